@@ -12,10 +12,19 @@ import Dashboard from './pages/Dashboard';
 import Login from './pages/Login';
 import LeadManagement from './pages/LeadManagement';
 import LeadDetails from './pages/LeadDetails';
+import Members from './pages/Members';
+import MemberProfile from './pages/MemberProfile';
 import ReferralSystem from './pages/ReferralSystem';
 import ReferralHandler from './pages/ReferralHandler';
 import CommunicationCenter from './pages/CommunicationCenter';
 import Profile from './pages/Profile';
+import MembershipPlans from './pages/MembershipPlans';
+import ReferralIncentives from './pages/ReferralIncentives';
+import Imports from './pages/Imports';
+import Reports from './pages/Reports';
+import Goals from './pages/Goals';
+import Tasks from './pages/Tasks';
+import NurtureSequences from './pages/NurtureSequences';
 import NotFound from './pages/NotFound';
 
 // Components
@@ -120,6 +129,7 @@ function App() {
           <Routes>
             {/* Public Routes */}
             <Route path="/login" element={<Login />} />
+            <Route path="/r/:referralId" element={<ReferralHandler />} />
             
             {/* Protected Routes */}
             <Route element={<ProtectedRoute />}>
@@ -128,13 +138,21 @@ function App() {
                 <Route index element={<Dashboard />} />
                 <Route path="leads" element={<LeadManagement />} />
                 <Route path="leads/:id" element={<LeadDetails />} />
+                <Route path="members" element={<Members />} />
+                <Route path="members/:memberId" element={<MemberProfile />} />
                 <Route path="referrals" element={<ReferralSystem />} />
+                <Route path="tasks" element={<Tasks />} />
                 <Route path="communication" element={<CommunicationCenter />} />
                 <Route path="profile" element={<Profile />} />
+                <Route path="membership-plans" element={<MembershipPlans />} />
+                <Route path="referral-incentives" element={<ReferralIncentives />} />
+                <Route path="imports" element={<Imports />} />
+                <Route path="reports" element={<Reports />} />
+                <Route path="goals" element={<Goals />} />
+                <Route path="nurture-sequences" element={<NurtureSequences />} />
               </Route>
               
               {/* Standalone Protected Pages */}
-              <Route path="/r/:referralId" element={<ReferralHandler />} />
               <Route path="/404" element={<NotFound />} />
             </Route>
             
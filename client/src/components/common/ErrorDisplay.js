@@ -28,6 +28,7 @@ const getAlertSeverity = (errorType) => {
     case ErrorTypes.AUTHENTICATION:
     case ErrorTypes.AUTHORIZATION:
     case ErrorTypes.VALIDATION:
+    case ErrorTypes.PLAN_LIMIT:
       return 'warning';
     case ErrorTypes.NETWORK:
     case ErrorTypes.TIMEOUT:
@@ -23,7 +23,14 @@ import {
   AccordionDetails
 } from '@mui/material';
 import { Close as CloseIcon, ExpandMore as ExpandMoreIcon } from '@mui/icons-material';
-import { SchemaConstraints } from '../../types/schema';
+import { MembershipPlanAPI } from '../../services/api';
+
+// Chip colors for the scoring engine's lead temperatures
+const TEMPERATURE_COLORS = {
+  cold: 'info',
+  warm: 'warning',
+  hot: 'error'
+};
 
 /**
  * LeadForm component
@@ -33,6 +40,8 @@ import { SchemaConstraints } from '../../types/schema';
  * Database mapping:
  * - Basic information fields map to the persons table
  * - Lead status and qualification data map to the lead_extensions table
+ * - Readiness score, conversion probability and temperature are shown read-only;
+ *   the lead scoring engine on the server sets them
  */
 const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = false }) => {
   // Phone validation regex - accepts formats like (123) 456-7890, 123-456-7890, etc.
@@ -60,6 +69,7 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
     interest_level: initialData.interest_level || 'Medium',
     preferred_contact_method: initialData.preferred_contact_method || 'Email',
     preferred_membership: initialData.preferred_membership || '',
+    preferred_membership_plan_id: initialData.preferred_membership_plan_id || '',
     goals: initialData.goals || '',
     budget_range: initialData.budget_range || '',
     acquisition_source: initialData.acquisition_source || '',
@@ -73,9 +83,6 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
     previous_experience: leadExtension.previous_experience || '',
     pain_points: leadExtension.pain_points || [],
     motivations: leadExtension.motivations || [],
-    readiness_score: leadExtension.readiness_score || 5,
-    lead_temperature: leadExtension.lead_temperature || 'warm',
-    conversion_probability: leadExtension.conversion_probability || 50,
     estimated_value: leadExtension.estimated_value || '',
     conversion_blockers: leadExtension.conversion_blockers || [],
     visit_completed: leadExtension.visit_completed || false,
@@ -85,6 +92,33 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
   // Form errors state
   const [errors, setErrors] = useState({});
   
+  // Membership plans on offer, from the plan catalog
+  const [membershipPlans, setMembershipPlans] = useState([]);
+  
+  // Load the plan catalog when the form opens
+  useEffect(() => {
+    if (!isOpen) return;
+    
+    MembershipPlanAPI.getPlans().then(response => {
+      if (response.success) {
+        setMembershipPlans(response.data.data || []);
+      }
+    });
+  }, [isOpen]);
+  
+  // Match leads recorded before the catalog existed to their plan by name
+  useEffect(() => {
+    if (formState.preferred_membership_plan_id || !formState.preferred_membership) return;
+    
+    const plan = membershipPlans.find(
+      item => item.name.toLowerCase() === formState.preferred_membership.toLowerCase()
+    );
+    
+    if (plan) {
+      setFormState(prevState => ({ ...prevState, preferred_membership_plan_id: plan.id }));
+    }
+  }, [membershipPlans, formState.preferred_membership, formState.preferred_membership_plan_id]);
+  
   // Handle input changes
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -97,39 +131,6 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
       console.log(`Field ${name} changed to: ${value}`);
     }
     
-    // Validate readiness_score and conversion_probability against schema constraints
-    if (name === 'readiness_score') {
-      const numValue = Number(value);
-      if (numValue < SchemaConstraints.LEAD_EXTENSION.READINESS_SCORE_MIN || 
-          numValue > SchemaConstraints.LEAD_EXTENSION.READINESS_SCORE_MAX) {
-        setErrors(prevErrors => ({
-          ...prevErrors,
-          readiness_score: `Value must be between ${SchemaConstraints.LEAD_EXTENSION.READINESS_SCORE_MIN} and ${SchemaConstraints.LEAD_EXTENSION.READINESS_SCORE_MAX}`
-        }));
-      } else {
-        setErrors(prevErrors => ({
-          ...prevErrors,
-          readiness_score: undefined
-        }));
-      }
-    }
-    
-    if (name === 'conversion_probability') {
-      const numValue = Number(value);
-      if (numValue < SchemaConstraints.LEAD_EXTENSION.CONVERSION_PROBABILITY_MIN || 
-          numValue > SchemaConstraints.LEAD_EXTENSION.CONVERSION_PROBABILITY_MAX) {
-        setErrors(prevErrors => ({
-          ...prevErrors,
-          conversion_probability: `Value must be between ${SchemaConstraints.LEAD_EXTENSION.CONVERSION_PROBABILITY_MIN} and ${SchemaConstraints.LEAD_EXTENSION.CONVERSION_PROBABILITY_MAX}`
-        }));
-      } else {
-        setErrors(prevErrors => ({
-          ...prevErrors,
-          conversion_probability: undefined
-        }));
-      }
-    }
-    
     // Use a callback form of setState to ensure we're working with the most recent state
     setFormState(prevState => {
       const newState = {
@@ -137,18 +138,13 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
         [name]: value
       };
       
-      // If this is a field that affects other values, update those too
-      if (name === 'interest_level') {
-        // Update readiness_score and lead_temperature based on interest_level
-        if (value === 'High') {
-          newState.readiness_score = 8;
-          newState.lead_temperature = 'hot';
-        } else if (value === 'Medium') {
-          newState.readiness_score = 5;
-          newState.lead_temperature = 'warm';
-        } else {
-          newState.readiness_score = 3;
-          newState.lead_temperature = 'cold';
+      // Choosing a plan records its name and, unless one was entered, values the lead at its price
+      if (name === 'preferred_membership_plan_id') {
+        const plan = membershipPlans.find(item => item.id === value);
+        newState.preferred_membership = plan ? plan.name : '';
+        
+        if (plan && !prevState.estimated_value) {
+          newState.estimated_value = plan.estimated_value;
         }
       }
       
@@ -194,24 +190,6 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
           error = 'Invalid phone number format';
         }
         break;
-      case 'readiness_score':
-        const readinessScore = Number(value);
-        if (isNaN(readinessScore)) {
-          error = 'Readiness score must be a number';
-        } else if (readinessScore < SchemaConstraints.LEAD_EXTENSION.READINESS_SCORE_MIN || 
-                  readinessScore > SchemaConstraints.LEAD_EXTENSION.READINESS_SCORE_MAX) {
-          error = `Readiness score must be between ${SchemaConstraints.LEAD_EXTENSION.READINESS_SCORE_MIN} and ${SchemaConstraints.LEAD_EXTENSION.READINESS_SCORE_MAX}`;
-        }
-        break;
-      case 'conversion_probability':
-        const convProb = Number(value);
-        if (isNaN(convProb)) {
-          error = 'Conversion probability must be a number';
-        } else if (convProb < SchemaConstraints.LEAD_EXTENSION.CONVERSION_PROBABILITY_MIN || 
-                  convProb > SchemaConstraints.LEAD_EXTENSION.CONVERSION_PROBABILITY_MAX) {
-          error = `Conversion probability must be between ${SchemaConstraints.LEAD_EXTENSION.CONVERSION_PROBABILITY_MIN} and ${SchemaConstraints.LEAD_EXTENSION.CONVERSION_PROBABILITY_MAX}`;
-        }
-        break;
       default:
         break;
     }
@@ -247,21 +225,6 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
       newErrors.phone = 'Invalid phone number format';
     }
     
-    // Validate lead extension fields against schema constraints
-    const readinessScore = Number(formState.readiness_score);
-    if (isNaN(readinessScore) || 
-        readinessScore < SchemaConstraints.LEAD_EXTENSION.READINESS_SCORE_MIN || 
-        readinessScore > SchemaConstraints.LEAD_EXTENSION.READINESS_SCORE_MAX) {
-      newErrors.readiness_score = `Readiness score must be between ${SchemaConstraints.LEAD_EXTENSION.READINESS_SCORE_MIN} and ${SchemaConstraints.LEAD_EXTENSION.READINESS_SCORE_MAX}`;
-    }
-    
-    const convProb = Number(formState.conversion_probability);
-    if (isNaN(convProb) || 
-        convProb < SchemaConstraints.LEAD_EXTENSION.CONVERSION_PROBABILITY_MIN || 
-        convProb > SchemaConstraints.LEAD_EXTENSION.CONVERSION_PROBABILITY_MAX) {
-      newErrors.conversion_probability = `Conversion probability must be between ${SchemaConstraints.LEAD_EXTENSION.CONVERSION_PROBABILITY_MIN} and ${SchemaConstraints.LEAD_EXTENSION.CONVERSION_PROBABILITY_MAX}`;
-    }
-    
     // Set errors state
     setErrors(newErrors);
     return newErrors;
@@ -286,21 +249,6 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
       return true;
     }
     
-    // Check readiness_score and conversion_probability
-    const readinessScore = Number(formState.readiness_score);
-    if (isNaN(readinessScore) || 
-        readinessScore < SchemaConstraints.LEAD_EXTENSION.READINESS_SCORE_MIN || 
-        readinessScore > SchemaConstraints.LEAD_EXTENSION.READINESS_SCORE_MAX) {
-      return true;
-    }
-    
-    const convProb = Number(formState.conversion_probability);
-    if (isNaN(convProb) || 
-        convProb < SchemaConstraints.LEAD_EXTENSION.CONVERSION_PROBABILITY_MIN || 
-        convProb > SchemaConstraints.LEAD_EXTENSION.CONVERSION_PROBABILITY_MAX) {
-      return true;
-    }
-    
     // All validations passed
     return false;
   };
@@ -342,6 +290,7 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
         interest_level: formState.interest_level,
         preferred_contact_method: formState.preferred_contact_method,
         preferred_membership: formState.preferred_membership,
+        preferred_membership_plan_id: formState.preferred_membership_plan_id,
         goals: formState.goals,
         budget_range: formState.budget_range,
         acquisition_source: formState.acquisition_source,
@@ -363,9 +312,6 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
         previous_experience: formState.previous_experience,
         pain_points: formState.pain_points,
         motivations: formState.motivations,
-        readiness_score: parseInt(formState.readiness_score, 10),
-        lead_temperature: formState.lead_temperature,
-        conversion_probability: parseInt(formState.conversion_probability, 10),
         estimated_value: formState.estimated_value ? parseFloat(formState.estimated_value) : null,
         conversion_blockers: formState.conversion_blockers,
         visit_completed: formState.visit_completed,
@@ -422,6 +368,7 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
         interest_level: initialData.interest_level || 'Medium',
         preferred_contact_method: initialData.preferred_contact_method || 'Email',
         preferred_membership: initialData.preferred_membership || '',
+        preferred_membership_plan_id: initialData.preferred_membership_plan_id || '',
         goals: initialData.goals || '',
         budget_range: initialData.budget_range || '',
         acquisition_source: initialData.acquisition_source || '',
@@ -435,9 +382,6 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
         previous_experience: leadExt.previous_experience || '',
         pain_points: leadExt.pain_points || [],
         motivations: leadExt.motivations || [],
-        readiness_score: leadExt.readiness_score || 5,
-        lead_temperature: leadExt.lead_temperature || 'warm',
-        conversion_probability: leadExt.conversion_probability || 50,
         estimated_value: leadExt.estimated_value || '',
         conversion_blockers: leadExt.conversion_blockers || [],
         visit_completed: leadExt.visit_completed || false,
@@ -669,24 +613,6 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
               </FormControl>
             </Grid>
             
-            <Grid item xs={12} sm={6}>
-              <FormControl fullWidth>
-                <InputLabel id="lead-temperature-label">Lead Temperature</InputLabel>
-                <Select
-                  labelId="lead-temperature-label"
-                  id="lead_temperature"
-                  name="lead_temperature"
-                  value={formState.lead_temperature}
-                  onChange={handleInputChange}
-                  label="Lead Temperature"
-                >
-                  <MenuItem value="cold">Cold</MenuItem>
-                  <MenuItem value="warm">Warm</MenuItem>
-                  <MenuItem value="hot">Hot</MenuItem>
-                </Select>
-              </FormControl>
-            </Grid>
-            
             <Grid item xs={12} sm={6}>
               <TextField
                 fullWidth
@@ -698,31 +624,35 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
               />
             </Grid>
             
-            <Grid item xs={12} sm={6}>
-              <TextField
-                fullWidth
-                id="readiness_score"
-                name="readiness_score"
-                label="Readiness Score (1-10)"
-                type="number"
-                InputProps={{ inputProps: { min: 1, max: 10 } }}
-                value={formState.readiness_score}
-                onChange={handleInputChange}
-              />
-            </Grid>
-            
-            <Grid item xs={12} sm={6}>
-              <TextField
-                fullWidth
-                id="conversion_probability"
-                name="conversion_probability"
-                label="Conversion Probability (%)"
-                type="number"
-                InputProps={{ inputProps: { min: 0, max: 100 } }}
-                value={formState.conversion_probability}
-                onChange={handleInputChange}
-              />
-            </Grid>
+            {isEditing && leadExtension.scored_at && (
+              <Grid item xs={12}>
+                <Box sx={{ p: 2, bgcolor: 'background.default', borderRadius: 1 }}>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    <Typography variant="subtitle2">Lead Score</Typography>
+                    <Chip
+                      size="small"
+                      label={(leadExtension.lead_temperature || 'cold').toUpperCase()}
+                      color={TEMPERATURE_COLORS[leadExtension.lead_temperature] || 'default'}
+                    />
+                    <Typography variant="body2">
+                      Readiness {leadExtension.readiness_score}/10 &middot; {leadExtension.conversion_probability}% likely to convert
+                    </Typography>
+                  </Box>
+                  {(leadExtension.score_factors || []).length > 0 && (
+                    <Box component="ul" sx={{ m: 0, mt: 1, pl: 2.5 }}>
+                      {leadExtension.score_factors.map(factor => (
+                        <Typography component="li" variant="body2" color="text.secondary" key={factor.factor}>
+                          {factor.detail} (+{factor.points})
+                        </Typography>
+                      ))}
+                    </Box>
+                  )}
+                  <Typography variant="caption" color="text.secondary">
+                    Scored automatically from the lead's activity on {new Date(leadExtension.scored_at).toLocaleString()}
+                  </Typography>
+                </Box>
+              </Grid>
+            )}
           </Grid>
           
           {/* Additional Information (collapsible sections) */}
@@ -739,18 +669,26 @@ const LeadForm = ({ isOpen, onClose, onSubmit, initialData = {}, isEditing = fal
                     <InputLabel id="preferred-membership-label">Preferred Membership</InputLabel>
                     <Select
                       labelId="preferred-membership-label"
-                      id="preferred_membership"
-                      name="preferred_membership"
-                      value={formState.preferred_membership}
+                      id="preferred_membership_plan_id"
+                      name="preferred_membership_plan_id"
+                      value={membershipPlans.some(plan => plan.id === formState.preferred_membership_plan_id)
+                        ? formState.preferred_membership_plan_id
+                        : ''}
                       onChange={handleInputChange}
                       label="Preferred Membership"
                     >
                       <MenuItem value="">Not specified</MenuItem>
-                      <MenuItem value="Basic">Basic</MenuItem>
-                      <MenuItem value="Standard">Standard</MenuItem>
-                      <MenuItem value="Premium">Premium</MenuItem>
-                      <MenuItem value="Family">Family</MenuItem>
+                      {membershipPlans.map(plan => (
+                        <MenuItem key={plan.id} value={plan.id}>
+                          {plan.name} (${plan.monthly_price}/month)
+                        </MenuItem>
+                      ))}
                     </Select>
+                    {formState.preferred_membership && !formState.preferred_membership_plan_id && (
+                      <FormHelperText>
+                        {formState.preferred_membership} is not in the plan catalog
+                      </FormHelperText>
+                    )}
                   </FormControl>
                 </Grid>
                 <Grid item xs={12} sm={6}>
@@ -9,48 +9,13 @@ import {
   IconButton, 
   Tooltip, 
   CircularProgress,
-  Button
+  Button,
+  Alert
 } from '@mui/material';
 import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
 import { ArrowForward as ArrowForwardIcon } from '@mui/icons-material';
 import { useNavigate } from 'react-router-dom';
-
-/**
- * Get leads by status
- * @param {Array} leads - Array of lead objects
- * @param {String} status - Status to filter by
- * @returns {Array} Filtered leads
- */
-const getLeadsByStatus = (leads, status) => {
-  if (!Array.isArray(leads)) return [];
-  
-  // Normalize the status for case-insensitive comparison
-  const normalizedStatus = status.toLowerCase().replace(/\s+/g, '_');
-  
-  return leads.filter(lead => {
-    // If lead has no extensions, return false
-    if (!lead?.lead_extensions || lead.lead_extensions.length === 0) {
-      return false;
-    }
-    
-    // Get the lead status from the first extension
-    const leadStatus = lead.lead_extensions[0]?.lead_status;
-    
-    // If no status, return false
-    if (!leadStatus) {
-      return false;
-    }
-    
-    // Normalize the lead status for comparison
-    const normalizedLeadStatus = leadStatus.toLowerCase().replace(/\s+/g, '_');
-    
-    // Compare normalized statuses, handling various formats
-    return normalizedLeadStatus === normalizedStatus ||
-           // Handle underscore vs space conversion
-           normalizedLeadStatus === status.toLowerCase() ||
-           leadStatus === status;
-  });
-};
+import { getMoveRejection } from '../../utils/leadPipeline';
 
 /**
  * Get color for interest level
@@ -72,14 +37,20 @@ const getInterestLevelColor = (interestLevel) => {
   }
 };
 
+// Shared default so the columns are not rebuilt on every render
+const NO_STAGES = [];
+
 /**
  * LeadPipeline component
  * A Kanban board for visualizing the lead pipeline
- * Supports drag and drop to move leads between stages
+ * Supports drag and drop to move leads between stages. Moves the pipeline
+ * does not allow are rejected with the reason, before or after the server
+ * checks them.
  */
-const LeadPipeline = ({ pipelineData = {}, onLeadClick, onStatusChange }) => {
+const LeadPipeline = ({ pipelineData = {}, stages = NO_STAGES, onLeadClick, onStatusChange }) => {
   const navigate = useNavigate();
   const [columns, setColumns] = useState({});
+  const [rejection, setRejection] = useState(null);
 
   // Convert pipelineData to columns with correct structure
   useEffect(() => {
@@ -88,21 +59,24 @@ const LeadPipeline = ({ pipelineData = {}, onLeadClick, onStatusChange }) => {
       return;
     }
     
+    // One column per stage, in pipeline order; pipelineData is keyed by stage
+    const columnStages = stages.length > 0
+      ? stages
+      : Object.keys(pipelineData).map(key => ({ key, label: key }));
+    
     const newColumns = {};
-    Object.keys(pipelineData).forEach(status => {
-      // Convert status to a valid column id
-      const columnId = status.toLowerCase().replace(/\s+/g, '_');
-      
-      newColumns[columnId] = {
-        id: columnId,
-        name: status,
-        color: getStatusColor(status),
-        items: Array.isArray(pipelineData[status]) ? pipelineData[status] : []
+    columnStages.forEach(stage => {
+      newColumns[stage.key] = {
+        id: stage.key,
+        name: stage.label,
+        stage,
+        color: getStatusColor(stage.label),
+        items: Array.isArray(pipelineData[stage.key]) ? pipelineData[stage.key] : []
       };
     });
     
     setColumns(newColumns);
-  }, [pipelineData]);
+  }, [pipelineData, stages]);
   
   // Get color for status
   const getStatusColor = (status) => {
@@ -113,7 +87,7 @@ const LeadPipeline = ({ pipelineData = {}, onLeadClick, onStatusChange }) => {
         return '#7b1fa2'; // Purple
       case 'Appointment Scheduled':
         return '#ff9800'; // Orange
-      case 'Appointment Completed':
+      case 'Visited':
         return '#ffc107'; // Amber
       case 'Proposal Made':
         return '#3949ab'; // Indigo
@@ -131,7 +105,7 @@ const LeadPipeline = ({ pipelineData = {}, onLeadClick, onStatusChange }) => {
   };
 
   // Handle dragging end event
-  const onDragEnd = result => {
+  const onDragEnd = async result => {
     if (!result) return;
     
     const { source, destination } = result;
@@ -150,16 +124,10 @@ const LeadPipeline = ({ pipelineData = {}, onLeadClick, onStatusChange }) => {
     }
 
     try {
-      // Extract the lead from the source list
-      const sourceStatus = source.droppableId;
-      const sourceLeads = getLeadsByStatus(pipelineData[sourceStatus], sourceStatus);
-      
-      if (!Array.isArray(sourceLeads) || sourceLeads.length <= source.index) {
-        console.error('Invalid source leads data');
-        return;
-      }
-      
-      const movedLead = sourceLeads[source.index];
+      // Extract the lead from the source column
+      const sourceColumn = columns[source.droppableId];
+      const destinationColumn = columns[destination.droppableId];
+      const movedLead = sourceColumn?.items?.[source.index];
       
       if (!movedLead || !movedLead.id) {
         console.error('Invalid lead data for drag operation');
@@ -168,8 +136,24 @@ const LeadPipeline = ({ pipelineData = {}, onLeadClick, onStatusChange }) => {
 
       // If the lead was moved to a different status column
       if (source.droppableId !== destination.droppableId) {
-        // Call the onStatusChange callback with the lead ID and new status
-        onStatusChange(movedLead.id, destination.droppableId);
+        const name = `${movedLead.first_name || ''} ${movedLead.last_name || ''}`.trim() || 'This lead';
+        
+        // Check the move against the pipeline before asking the server
+        const reason = getMoveRejection(movedLead, sourceColumn.stage, destinationColumn.stage);
+        
+        if (reason) {
+          setRejection(`${name} can't move to ${destinationColumn.name}: ${reason}`);
+          return;
+        }
+        
+        setRejection(null);
+        
+        // Call the onStatusChange callback with the lead ID and new stage
+        const update = await onStatusChange(movedLead.id, destination.droppableId);
+        
+        if (update && !update.success) {
+          setRejection(`${name} can't move to ${destinationColumn.name}: ${update.error}`);
+        }
       }
     } catch (error) {
       console.error('Error in drag and drop operation:', error);
@@ -213,6 +197,11 @@ const LeadPipeline = ({ pipelineData = {}, onLeadClick, onStatusChange }) => {
 
   return (
     <DragDropContext onDragEnd={onDragEnd}>
+      {rejection && (
+        <Alert severity="warning" sx={{ mb: 2 }} onClose={() => setRejection(null)}>
+          {rejection}
+        </Alert>
+      )}
       <Box sx={{ 
         display: 'flex', 
         overflowX: 'auto', 
@@ -286,16 +275,10 @@ const LeadPipeline = ({ pipelineData = {}, onLeadClick, onStatusChange }) => {
                                 {lead?.first_name || ''} {lead?.last_name || ''}
                               </Typography>
                               <Chip 
-                                label={lead?.lead_extensions && 
-                                      Array.isArray(lead.lead_extensions) && 
-                                      lead.lead_extensions.length > 0 ? 
-                                      lead.lead_extensions[0]?.lead_status || 'New' : 'New'} 
+                                label={column.name} 
                                 color="primary" 
                                 size="small" 
-                                variant={lead?.lead_extensions && 
-                                          Array.isArray(lead.lead_extensions) && 
-                                          lead.lead_extensions.length > 0 ? 
-                                          lead.lead_extensions[0]?.lead_status === 'New' ? 'filled' : 'outlined' : 'outlined'}
+                                variant={column.id === 'new' ? 'filled' : 'outlined'}
                               />
                             </Box>
                             
@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardHeader,
+  CardContent,
+  Avatar,
+  List,
+  ListItem,
+  ListItemText,
+  Chip,
+  Button,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Typography,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { Schedule as ScheduleIcon } from '@mui/icons-material';
+
+import { NurtureAPI } from '../../services/api';
+import { formatTimestamp } from '../../utils/dataTransformUtils';
+
+const STATUS_COLORS = {
+  active: 'primary',
+  completed: 'success',
+  exited: 'info',
+  cancelled: 'default'
+};
+
+// Why an enrollment ended early, or why a person couldn't be enrolled
+const REASON_LABELS = {
+  replied: 'replied',
+  appointment_booked: 'booked an appointment',
+  converted: 'converted',
+  opted_out: 'opted out',
+  already_enrolled: 'already in this sequence',
+  not_a_lead: 'this sequence is for leads',
+  not_a_referral: 'this sequence is for referrals',
+  other_location: 'this sequence is for another location',
+  not_found: 'not found'
+};
+
+/**
+ * NurtureEnrollments Component
+ * A panel of the nurture sequences a person is or was in, with a control to
+ * enroll them in another and to take them out of one.
+ *
+ * @param {Object} props - Component props
+ * @param {String} props.personId - Lead or referral
+ * @returns {JSX.Element} Nurture enrollments component
+ */
+const NurtureEnrollments = ({ personId }) => {
+  const [enrollments, setEnrollments] = useState([]);
+  const [sequences, setSequences] = useState([]);
+  const [sequenceId, setSequenceId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchEnrollments = useCallback(async () => {
+    setLoading(true);
+    const result = await NurtureAPI.getEnrollments({ person_id: personId, pageSize: 10 });
+
+    if (result.success) {
+      setEnrollments(result.data.data);
+      setError(null);
+    } else {
+      setError(result.error || 'Failed to load nurture sequences');
+    }
+
+    setLoading(false);
+  }, [personId]);
+
+  useEffect(() => {
+    fetchEnrollments();
+
+    NurtureAPI.getSequences().then((result) => {
+      if (result.success) {
+        setSequences(result.data.data.filter(sequence => sequence.is_active));
+      }
+    });
+  }, [fetchEnrollments]);
+
+  const handleEnroll = async () => {
+    setBusy(true);
+    const result = await NurtureAPI.enroll(sequenceId, [personId]);
+    setBusy(false);
+
+    if (result.success) {
+      const [skipped] = result.data.data.skipped;
+      setMessage(skipped ? `Not enrolled: ${REASON_LABELS[skipped.reason] || skipped.reason}.` : 'Enrolled.');
+      setSequenceId('');
+      fetchEnrollments();
+    } else {
+      setError(result.details?.message || result.error || 'Failed to enroll');
+    }
+  };
+
+  const handleCancel = async (enrollment) => {
+    if (!window.confirm(`Take them out of ${enrollment.sequence?.name || 'this sequence'}?`)) {
+      return;
+    }
+
+    const result = await NurtureAPI.cancelEnrollment(enrollment.sequence_id, enrollment.id);
+
+    if (result.success) {
+      fetchEnrollments();
+    } else {
+      setError(result.error || 'Failed to take them out of the sequence');
+    }
+  };
+
+  const describeEnrollment = (enrollment) => {
+    if (enrollment.status === 'active') {
+      return enrollment.next_step_at ? `Next message ${formatTimestamp(enrollment.next_step_at)}` : 'In progress';
+    }
+
+    if (enrollment.status === 'exited') {
+      return `Stopped: ${REASON_LABELS[enrollment.exit_reason] || enrollment.exit_reason}`;
+    }
+
+    return enrollment.status === 'completed' ? 'All messages sent' : 'Taken out';
+  };
+
+  return (
+    <Card sx={{ mt: 2 }}>
+      <CardHeader
+        title="Nurture Sequences"
+        titleTypographyProps={{ variant: 'h6' }}
+        avatar={
+          <Avatar sx={{ bgcolor: 'secondary.main' }}>
+            <ScheduleIcon />
+          </Avatar>
+        }
+      />
+      <CardContent sx={{ pt: 0 }}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert severity="info" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <List dense disablePadding>
+            {enrollments.length === 0 && (
+              <Typography variant="body2" color="text.secondary">
+                Not in any nurture sequence
+              </Typography>
+            )}
+            {enrollments.map(enrollment => (
+              <ListItem
+                key={enrollment.id}
+                disableGutters
+                secondaryAction={enrollment.status === 'active' && (
+                  <Button size="small" color="error" onClick={() => handleCancel(enrollment)}>
+                    Take Out
+                  </Button>
+                )}
+              >
+                <ListItemText
+                  primary={(
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      {enrollment.sequence?.name || 'Deleted sequence'}
+                      <Chip size="small" label={enrollment.status} color={STATUS_COLORS[enrollment.status]} />
+                    </Box>
+                  )}
+                  secondary={describeEnrollment(enrollment)}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        {sequences.length > 0 && (
+          <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+            <FormControl fullWidth size="small">
+              <InputLabel id="nurture-sequence-label">Sequence</InputLabel>
+              <Select
+                labelId="nurture-sequence-label"
+                value={sequenceId}
+                onChange={e => setSequenceId(e.target.value)}
+                label="Sequence"
+              >
+                {sequences.map(sequence => (
+                  <MenuItem key={sequence.id} value={sequence.id}>{sequence.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Button variant="outlined" disabled={!sequenceId || busy} onClick={handleEnroll}>
+              Enroll
+            </Button>
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default NurtureEnrollments;
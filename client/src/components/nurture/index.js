@@ -0,0 +1,6 @@
+/**
+ * Nurture Components Index
+ * Export all nurture sequence components for easy imports
+ */
+
+export { default as NurtureEnrollments } from './NurtureEnrollments';
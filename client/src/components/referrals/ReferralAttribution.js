@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  CircularProgress,
+  LinearProgress,
+  TextField,
+  MenuItem,
+  Select,
+  FormControl,
+  InputLabel,
+  InputAdornment,
+  Alert
+} from '@mui/material';
+
+import { useAuth } from '../../contexts/AuthContext';
+import { ReferralAPI } from '../../services/api';
+
+// Labels for each attribution model
+export const attributionModelLabels = {
+  first_touch: 'First Touch',
+  last_touch: 'Last Touch',
+  equal_split: 'Equal Split',
+  manual: 'Manual'
+};
+
+const referrerName = referrer => (
+  referrer.referrer ? `${referrer.referrer.first_name} ${referrer.referrer.last_name}` : 'Unknown referrer'
+);
+
+/**
+ * ReferralAttribution component
+ * Shows how a referral's credit is split between the members who referred it,
+ * and lets admins choose another attribution model or enter the shares by hand
+ */
+const ReferralAttribution = ({ referralId }) => {
+  const { currentUser } = useAuth();
+  const isAdmin = currentUser?.role === 'admin';
+
+  const [attribution, setAttribution] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // '' uses the organization's default
+  const [model, setModel] = useState('');
+  // Manual shares by relationship ID
+  const [shares, setShares] = useState({});
+
+  const applyResult = (data) => {
+    setAttribution(data);
+    setModel(data.referral_model || '');
+    setShares(Object.fromEntries(data.referrers.map(r => [r.relationship_id, String(r.share)])));
+  };
+
+  const fetchAttribution = useCallback(async () => {
+    setLoading(true);
+
+    const result = await ReferralAPI.getAttribution(referralId);
+
+    if (result.success) {
+      applyResult(result.data.data);
+      setError(null);
+    } else {
+      setError(result.error || 'Failed to load the referral\'s attribution');
+    }
+
+    setLoading(false);
+  }, [referralId]);
+
+  useEffect(() => {
+    fetchAttribution();
+  }, [fetchAttribution]);
+
+  const manualTotal = Object.values(shares).reduce((sum, share) => sum + (Number(share) || 0), 0);
+
+  const handleSave = async () => {
+    setSaving(true);
+
+    const result = await ReferralAPI.updateAttribution(
+      referralId,
+      model || null,
+      model === 'manual'
+        ? Object.entries(shares).map(([relationshipId, share]) => ({
+            relationship_id: relationshipId,
+            attribution_percentage: Number(share)
+          }))
+        : undefined
+    );
+
+    if (result.success) {
+      applyResult(result.data.data);
+      setError(null);
+    } else {
+      setError(result.error || 'Failed to update the referral\'s attribution');
+    }
+
+    setSaving(false);
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  }
+
+  if (!attribution) {
+    return error ? <Alert severity="error">{error}</Alert> : null;
+  }
+
+  if (attribution.referrers.length === 0) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        No referrers are credited with this referral.
+      </Typography>
+    );
+  }
+
+  const changed = model !== (attribution.referral_model || '') || model === 'manual';
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" gutterBottom>
+        Attribution
+      </Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        {attributionModelLabels[attribution.model]}
+        {attribution.referral_model ? '' : ' (organization default)'}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 1 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {attribution.referrers.map(referrer => (
+        <Box key={referrer.relationship_id} sx={{ mb: 1 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+            <Typography variant="body2" fontWeight={referrer.is_primary_referrer ? 'medium' : 'normal'}>
+              {referrerName(referrer)}
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              {referrer.share}%
+            </Typography>
+          </Box>
+          <LinearProgress variant="determinate" value={referrer.share} sx={{ height: 6, borderRadius: 3 }} />
+          {isAdmin && model === 'manual' && (
+            <TextField
+              size="small"
+              type="number"
+              value={shares[referrer.relationship_id] ?? ''}
+              onChange={e => setShares(prevShares => ({ ...prevShares, [referrer.relationship_id]: e.target.value }))}
+              inputProps={{ min: 0, max: 100, step: 1 }}
+              InputProps={{ endAdornment: <InputAdornment position="end">%</InputAdornment> }}
+              sx={{ mt: 1, width: '100%' }}
+            />
+          )}
+        </Box>
+      ))}
+
+      {isAdmin && (
+        <Box sx={{ mt: 2, display: 'flex', flexDirection: 'column', gap: 1 }}>
+          <FormControl size="small" fullWidth>
+            <InputLabel>Model</InputLabel>
+            <Select value={model} label="Model" onChange={e => setModel(e.target.value)}>
+              <MenuItem value="">
+                Organization default ({attributionModelLabels[attribution.organization_model]})
+              </MenuItem>
+              {Object.entries(attributionModelLabels).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {model === 'manual' && manualTotal !== 100 && (
+            <Typography variant="caption" color="error">
+              Shares add up to {manualTotal}%; they must add up to 100%.
+            </Typography>
+          )}
+          <Button
+            variant="outlined"
+            size="small"
+            onClick={handleSave}
+            disabled={saving || !changed || (model === 'manual' && manualTotal !== 100)}
+          >
+            {saving ? 'Saving...' : 'Apply Attribution'}
+          </Button>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default ReferralAttribution;
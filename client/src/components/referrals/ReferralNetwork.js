@@ -31,6 +31,8 @@ import {
 } from '@mui/icons-material';
 import * as d3 from 'd3';
 
+import ReferralAttribution from './ReferralAttribution';
+
 /**
  * ReferralNetwork component
  * Uses D3.js to visualize referral relationships
@@ -707,6 +709,14 @@ const ReferralNetwork = ({ data = [], loading = false, onSelectPerson, onCreateL
                     </>
                   )}
                 </Box>
+                
+                {/* How the referral's credit is split between its referrers */}
+                {selectedNode.type === 'referral' && (
+                  <>
+                    <Divider sx={{ my: 2 }} />
+                    <ReferralAttribution referralId={selectedNode.id} />
+                  </>
+                )}
               </Box>
             ) : (
               <Typography variant="body2" color="text.secondary">
@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Grid,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+
+import { TaskAPI } from '../../services/api';
+
+export const PRIORITIES = [
+  { value: 'low', label: 'Low' },
+  { value: 'normal', label: 'Normal' },
+  { value: 'high', label: 'High' },
+  { value: 'urgent', label: 'Urgent' }
+];
+
+// What completing a task logs on the person's record
+const INTERACTION_TYPES = [
+  { value: 'call', label: 'Call' },
+  { value: 'email', label: 'Email' },
+  { value: 'sms', label: 'SMS' },
+  { value: 'meeting', label: 'Meeting' },
+  { value: 'visit', label: 'Visit' },
+  { value: 'note', label: 'Note' },
+  { value: 'other', label: 'Other' }
+];
+
+const RECURRENCES = [
+  { value: '', label: 'Does not repeat' },
+  { value: 'daily', label: 'Days' },
+  { value: 'weekly', label: 'Weeks' },
+  { value: 'monthly', label: 'Months' }
+];
+
+// A timestamp as a datetime-local input value, in the browser's time zone
+const toInputValue = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Tomorrow at 9am, the default due date for a new task
+const defaultDueAt = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(9, 0, 0, 0);
+  return date.toISOString();
+};
+
+const toForm = (task, currentUserId) => ({
+  title: task?.title || '',
+  description: task?.description || '',
+  due_at: toInputValue(task?.due_at || defaultDueAt()),
+  priority: task?.priority || 'normal',
+  assigned_to: task?.assigned_to || currentUserId || '',
+  interaction_type: task?.interaction_type || 'call',
+  recurrence: task?.recurrence || '',
+  recurrence_interval: String(task?.recurrence_interval || 1),
+  recurrence_ends_at: task?.recurrence_ends_at ? toInputValue(task.recurrence_ends_at).slice(0, 10) : ''
+});
+
+/**
+ * TaskDialog Component
+ * Creates or edits a task
+ *
+ * @param {Object} props - Component props
+ * @param {Boolean} props.open - Whether the dialog is open
+ * @param {Object} props.task - Task to edit, or null to create one
+ * @param {String} props.personId - Person a new task is about
+ * @param {Array} props.assignees - Users the task can be assigned to
+ * @param {String} props.currentUserId - Default assignee of a new task
+ * @param {Function} props.onClose - Called when the dialog is closed without saving
+ * @param {Function} props.onSaved - Called with the saved task
+ * @returns {JSX.Element} Task dialog component
+ */
+const TaskDialog = ({ open, task, personId, assignees = [], currentUserId, onClose, onSaved }) => {
+  const [form, setForm] = useState(toForm(task, currentUserId));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (open) {
+      setForm(toForm(task, currentUserId));
+      setError(null);
+    }
+  }, [open, task, currentUserId]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(current => ({ ...current, [name]: value }));
+  };
+
+  const handleSave = async () => {
+    if (!form.title.trim()) {
+      setError('Give the task a title');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+
+    const taskData = {
+      title: form.title.trim(),
+      description: form.description.trim() || null,
+      due_at: new Date(form.due_at).toISOString(),
+      priority: form.priority,
+      assigned_to: form.assigned_to || undefined,
+      interaction_type: form.interaction_type,
+      recurrence: form.recurrence || null,
+      recurrence_interval: parseInt(form.recurrence_interval, 10) || 1,
+      // The series ends at the end of the chosen day
+      recurrence_ends_at: form.recurrence && form.recurrence_ends_at
+        ? new Date(`${form.recurrence_ends_at}T23:59:59`).toISOString()
+        : null
+    };
+
+    const result = task
+      ? await TaskAPI.updateTask(task.id, taskData)
+      : await TaskAPI.createTask({ ...taskData, person_id: personId || null });
+
+    setSaving(false);
+
+    if (result.success) {
+      onSaved(result.data.data);
+    } else {
+      setError(result.error || 'Failed to save the task');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{task ? 'Edit Task' : 'New Task'}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Grid container spacing={2} sx={{ mt: 0 }}>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              autoFocus
+              required
+              label="Title"
+              name="title"
+              value={form.title}
+              onChange={handleChange}
+            />
+          </Grid>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              multiline
+              minRows={2}
+              label="Description"
+              name="description"
+              value={form.description}
+              onChange={handleChange}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              fullWidth
+              required
+              label="Due"
+              type="datetime-local"
+              name="due_at"
+              value={form.due_at}
+              onChange={handleChange}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              select
+              fullWidth
+              label="Priority"
+              name="priority"
+              value={form.priority}
+              onChange={handleChange}
+            >
+              {PRIORITIES.map(priority => (
+                <MenuItem key={priority.value} value={priority.value}>{priority.label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              select
+              fullWidth
+              label="Assigned To"
+              name="assigned_to"
+              value={assignees.some(user => user.id === form.assigned_to) ? form.assigned_to : ''}
+              onChange={handleChange}
+              disabled={assignees.length === 0}
+            >
+              {assignees.map(user => (
+                <MenuItem key={user.id} value={user.id}>
+                  {`${user.first_name || ''} ${user.last_name || ''}`.trim() || 'Unnamed user'}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={6}>
+            <TextField
+              select
+              fullWidth
+              label="Logs On Completion"
+              name="interaction_type"
+              value={form.interaction_type}
+              onChange={handleChange}
+              helperText="For tasks about a person"
+            >
+              {INTERACTION_TYPES.map(type => (
+                <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={form.recurrence ? 4 : 12}>
+            <TextField
+              select
+              fullWidth
+              label="Repeat Every"
+              name="recurrence"
+              value={form.recurrence}
+              onChange={handleChange}
+            >
+              {RECURRENCES.map(recurrence => (
+                <MenuItem key={recurrence.value} value={recurrence.value}>{recurrence.label}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          {form.recurrence && (
+            <>
+              <Grid item xs={6} sm={3}>
+                <TextField
+                  fullWidth
+                  label="Interval"
+                  type="number"
+                  name="recurrence_interval"
+                  value={form.recurrence_interval}
+                  onChange={handleChange}
+                  inputProps={{ min: 1 }}
+                />
+              </Grid>
+              <Grid item xs={6} sm={5}>
+                <TextField
+                  fullWidth
+                  label="Until"
+                  type="date"
+                  name="recurrence_ends_at"
+                  value={form.recurrence_ends_at}
+                  onChange={handleChange}
+                  InputLabelProps={{ shrink: true }}
+                />
+              </Grid>
+            </>
+          )}
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={saving}
+          startIcon={saving ? <CircularProgress size={16} color="inherit" /> : null}
+        >
+          {task ? 'Save' : 'Create Task'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TaskDialog;
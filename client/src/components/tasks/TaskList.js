@@ -0,0 +1,362 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Box,
+  Card,
+  CardHeader,
+  CardActions,
+  Avatar,
+  Divider,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Chip,
+  Button,
+  Typography,
+  CircularProgress,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField
+} from '@mui/material';
+import {
+  Assignment as AssignmentIcon,
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  RadioButtonUnchecked as UncheckedIcon,
+  CheckCircle as CheckCircleIcon,
+  Repeat as RepeatIcon,
+  ArrowForward as ArrowForwardIcon
+} from '@mui/icons-material';
+
+import { TaskAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatTimestamp } from '../../utils/dataTransformUtils';
+import TaskDialog from './TaskDialog';
+
+const PRIORITY_COLORS = {
+  low: 'default',
+  normal: 'info',
+  high: 'warning',
+  urgent: 'error'
+};
+
+// Where a person's record lives; referrals have no page of their own
+const getPersonPath = (person) => {
+  if (person.is_member) return `/members/${person.id}`;
+  if (person.is_lead) return `/leads/${person.id}`;
+  return '/referrals';
+};
+
+const getPersonName = (person) => `${person.first_name || ''} ${person.last_name || ''}`.trim() || 'Unnamed';
+
+const RECURRENCE_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+// e.g. "Repeats every 2 weeks"
+const describeRecurrence = (task) => {
+  const unit = RECURRENCE_UNITS[task.recurrence];
+  return task.recurrence_interval > 1
+    ? `Repeats every ${task.recurrence_interval} ${unit}s`
+    : `Repeats every ${unit}`;
+};
+
+const isOverdue = (task) => task.status === 'open' && new Date(task.due_at) < new Date();
+
+/**
+ * TaskList Component
+ * A panel of tasks with buttons to add, edit, complete and delete them.
+ * Overdue tasks are shown in red. Completing a task about a person logs an
+ * interaction on their record with the notes given.
+ *
+ * @param {Object} props - Component props
+ * @param {String} props.title - Panel title
+ * @param {String} props.view - open, overdue, today, upcoming or completed
+ * @param {String} props.assignedTo - 'me' or a user ID to show only their tasks
+ * @param {String} props.personId - Show only tasks about this person; new tasks are about them
+ * @param {Number} props.pageSize - Most tasks to show
+ * @param {Boolean} props.showViewAll - Whether to link to the Tasks page
+ * @param {Boolean} props.fullHeight - Whether the card fills its grid cell
+ * @returns {JSX.Element} Task list component
+ */
+const TaskList = ({
+  title = 'My Tasks',
+  view = 'open',
+  assignedTo,
+  personId,
+  pageSize = 5,
+  showViewAll = false,
+  fullHeight = false
+}) => {
+  const { currentUser } = useAuth();
+  const [tasks, setTasks] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [assignees, setAssignees] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [completing, setCompleting] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const fetchTasks = useCallback(async () => {
+    setLoading(true);
+    const result = await TaskAPI.getTasks({
+      view,
+      assigned_to: assignedTo,
+      person_id: personId,
+      pageSize
+    });
+
+    if (result.success) {
+      setTasks(result.data.data);
+      setTotal(result.data.total);
+      setError(null);
+    } else {
+      setError(result.error || 'Failed to load tasks');
+    }
+
+    setLoading(false);
+  }, [view, assignedTo, personId, pageSize]);
+
+  useEffect(() => {
+    fetchTasks();
+  }, [fetchTasks]);
+
+  const openDialog = async (task = null) => {
+    setEditing(task);
+    setDialogOpen(true);
+
+    if (assignees.length === 0) {
+      const result = await TaskAPI.getAssignees();
+      if (result.success) {
+        setAssignees(result.data.data);
+      }
+    }
+  };
+
+  const handleSaved = () => {
+    setDialogOpen(false);
+    setEditing(null);
+    fetchTasks();
+  };
+
+  const startCompleting = (task) => {
+    setCompleting(task);
+    setNotes('');
+  };
+
+  const handleComplete = async () => {
+    setBusy(true);
+    const result = await TaskAPI.completeTask(completing.id, notes.trim());
+    setBusy(false);
+
+    if (result.success) {
+      const { next_task: nextTask } = result.data.data;
+      setMessage(nextTask
+        ? `Task completed. The next one is due ${formatTimestamp(nextTask.due_at)}.`
+        : 'Task completed.');
+      setCompleting(null);
+      fetchTasks();
+    } else {
+      setError(result.error || 'Failed to complete the task');
+      setCompleting(null);
+    }
+  };
+
+  const handleDelete = async (task) => {
+    if (!window.confirm(`Delete "${task.title}"?`)) {
+      return;
+    }
+
+    const result = await TaskAPI.deleteTask(task.id);
+
+    if (result.success) {
+      fetchTasks();
+    } else {
+      setError(result.error || 'Failed to delete the task');
+    }
+  };
+
+  return (
+    <Card sx={fullHeight ? { height: '100%' } : undefined}>
+      <CardHeader
+        title={title}
+        titleTypographyProps={{ variant: 'h6' }}
+        avatar={
+          <Avatar sx={{ bgcolor: 'secondary.main' }}>
+            <AssignmentIcon />
+          </Avatar>
+        }
+        action={
+          view !== 'completed' && (
+            <Tooltip title="Add Task">
+              <IconButton onClick={() => openDialog()}>
+                <AddIcon />
+              </IconButton>
+            </Tooltip>
+          )
+        }
+      />
+      <Divider />
+      {error && <Alert severity="error" onClose={() => setError(null)} sx={{ m: 2 }}>{error}</Alert>}
+      {message && <Alert severity="success" onClose={() => setMessage(null)} sx={{ m: 2 }}>{message}</Alert>}
+      {loading ? (
+        <Box display="flex" justifyContent="center" alignItems="center" height="200px">
+          <CircularProgress />
+        </Box>
+      ) : tasks.length === 0 ? (
+        <Box display="flex" justifyContent="center" alignItems="center" p={3} height="200px">
+          <Typography variant="body2" color="text.secondary">
+            {view === 'completed' ? 'No completed tasks yet.' : 'No tasks. Add one to plan a follow-up.'}
+          </Typography>
+        </Box>
+      ) : (
+        <List sx={{ p: 0 }}>
+          {tasks.map(task => (
+            <React.Fragment key={task.id}>
+              <ListItem
+                secondaryAction={
+                  task.status === 'open' && (
+                    <Box display="flex" gap={0.5}>
+                      <Tooltip title="Edit">
+                        <IconButton size="small" onClick={() => openDialog(task)}>
+                          <EditIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                      <Tooltip title="Delete">
+                        <IconButton size="small" onClick={() => handleDelete(task)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    </Box>
+                  )
+                }
+                sx={{ pr: 12 }}
+              >
+                <ListItemIcon sx={{ minWidth: 40 }}>
+                  {task.status === 'completed' ? (
+                    <CheckCircleIcon color="success" />
+                  ) : (
+                    <Tooltip title="Complete">
+                      <IconButton edge="start" size="small" onClick={() => startCompleting(task)}>
+                        <UncheckedIcon />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </ListItemIcon>
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center" gap={1} flexWrap="wrap">
+                      <span>{task.title}</span>
+                      {task.priority !== 'normal' && (
+                        <Chip label={task.priority} size="small" color={PRIORITY_COLORS[task.priority]} />
+                      )}
+                      {task.recurrence && (
+                        <Tooltip title={describeRecurrence(task)}>
+                          <RepeatIcon fontSize="small" color="action" />
+                        </Tooltip>
+                      )}
+                    </Box>
+                  }
+                  secondary={
+                    <Box component="span">
+                      <Box
+                        component="span"
+                        display="block"
+                        fontSize="small"
+                        color={isOverdue(task) ? 'error.main' : 'text.secondary'}
+                        fontWeight={isOverdue(task) ? 'medium' : 'normal'}
+                      >
+                        {task.status === 'completed'
+                          ? `Completed ${formatTimestamp(task.completed_at)}`
+                          : `${isOverdue(task) ? 'Overdue since' : 'Due'} ${formatTimestamp(task.due_at)}`}
+                      </Box>
+                      {task.person && !personId && (
+                        <Box component="span" display="block" fontSize="small">
+                          <Link to={getPersonPath(task.person)}>{getPersonName(task.person)}</Link>
+                        </Box>
+                      )}
+                      {task.assignee && task.assigned_to !== currentUser?.id && (
+                        <Box component="span" display="block" fontSize="small">
+                          {`Assigned to ${getPersonName(task.assignee)}`}
+                        </Box>
+                      )}
+                    </Box>
+                  }
+                />
+              </ListItem>
+              <Divider component="li" />
+            </React.Fragment>
+          ))}
+        </List>
+      )}
+      {showViewAll && (
+        <CardActions sx={{ justifyContent: 'flex-end' }}>
+          <Button
+            component={Link}
+            to="/tasks"
+            endIcon={<ArrowForwardIcon />}
+            size="small"
+          >
+            {total > tasks.length ? `View All ${total} Tasks` : 'View All Tasks'}
+          </Button>
+        </CardActions>
+      )}
+
+      <TaskDialog
+        open={dialogOpen}
+        task={editing}
+        personId={personId}
+        assignees={assignees}
+        currentUserId={currentUser?.id}
+        onClose={() => setDialogOpen(false)}
+        onSaved={handleSaved}
+      />
+
+      <Dialog open={Boolean(completing)} onClose={() => setCompleting(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>Complete Task</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            {completing?.person
+              ? `Completing "${completing.title}" logs a ${completing.interaction_type} on ${getPersonName(completing.person)}'s record.`
+              : `Mark "${completing?.title}" as done.`}
+            {completing?.recurrence && ' The next task in the series will be scheduled.'}
+          </DialogContentText>
+          {completing?.person && (
+            <TextField
+              fullWidth
+              multiline
+              minRows={3}
+              label="What happened?"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+            />
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCompleting(null)} disabled={busy}>Cancel</Button>
+          <Button
+            variant="contained"
+            color="success"
+            onClick={handleComplete}
+            disabled={busy}
+            startIcon={busy ? <CircularProgress size={16} color="inherit" /> : <CheckCircleIcon />}
+          >
+            Complete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default TaskList;
@@ -0,0 +1,7 @@
+/**
+ * Task Components Index
+ * Export all task-related components for easy imports
+ */
+
+export { default as TaskList } from './TaskList';
+export { default as TaskDialog } from './TaskDialog';
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Outlet, useNavigate, useLocation } from 'react-router-dom';
 import { 
   AppBar, 
@@ -16,21 +16,31 @@ import {
   Typography, 
   Avatar,
   Menu,
-  MenuItem
+  MenuItem,
+  Select
 } from '@mui/material';
 import {
   Menu as MenuIcon,
   Dashboard as DashboardIcon,
   People as PeopleIcon,
+  Groups as GroupsIcon,
   Share as ShareIcon,
   Chat as ChatIcon,
   Person as PersonIcon,
+  CardMembership as CardMembershipIcon,
+  Redeem as RedeemIcon,
+  UploadFile as UploadFileIcon,
+  Assessment as AssessmentIcon,
+  Flag as FlagIcon,
+  Assignment as AssignmentIcon,
+  Schedule as ScheduleIcon,
   Settings as SettingsIcon,
   Logout as LogoutIcon
 } from '@mui/icons-material';
 
 // Import AuthContext
 import { useAuth } from '../../contexts/AuthContext';
+import { LocationAPI } from '../../services/api';
 
 const drawerWidth = 240;
 
@@ -44,6 +54,33 @@ function Layout() {
   const navigate = useNavigate();
   const location = useLocation();
   const { currentUser, logout } = useAuth();
+  const [locations, setLocations] = useState([]);
+  const [locationId, setLocationId] = useState(localStorage.getItem('orca_location_id') || '');
+
+  // Load the locations the user may work in for the location switcher
+  useEffect(() => {
+    if (!currentUser) return;
+    
+    LocationAPI.getLocations().then((result) => {
+      if (result.success) {
+        setLocations(result.data.data || []);
+      }
+    });
+  }, [currentUser]);
+
+  // Switching location reloads the page so every view refetches its records
+  const handleLocationChange = (event) => {
+    const nextLocationId = event.target.value;
+    
+    if (nextLocationId) {
+      localStorage.setItem('orca_location_id', nextLocationId);
+    } else {
+      localStorage.removeItem('orca_location_id');
+    }
+    
+    setLocationId(nextLocationId);
+    window.location.reload();
+  };
 
   // Handle drawer toggle
   const handleDrawerToggle = () => {
@@ -62,6 +99,7 @@ function Layout() {
   const handleLogout = async () => {
     handleMenuClose();
     try {
+      localStorage.removeItem('orca_location_id');
       await logout();
       navigate('/login');
     } catch (error) {
@@ -78,9 +116,22 @@ function Layout() {
   const navItems = [
     { text: 'Dashboard', icon: <DashboardIcon />, path: '/' },
     { text: 'Leads', icon: <PeopleIcon />, path: '/leads' },
+    { text: 'Members', icon: <GroupsIcon />, path: '/members' },
     { text: 'Referrals', icon: <ShareIcon />, path: '/referrals' },
+    { text: 'Tasks', icon: <AssignmentIcon />, path: '/tasks' },
     { text: 'Communication', icon: <ChatIcon />, path: '/communication' },
+    { text: 'Reports', icon: <AssessmentIcon />, path: '/reports' },
     { text: 'Profile', icon: <PersonIcon />, path: '/profile' },
+    // Catalog management is admin only
+    ...(currentUser?.role === 'admin'
+      ? [
+          { text: 'Membership Plans', icon: <CardMembershipIcon />, path: '/membership-plans' },
+          { text: 'Referral Incentives', icon: <RedeemIcon />, path: '/referral-incentives' },
+          { text: 'Import', icon: <UploadFileIcon />, path: '/imports' },
+          { text: 'Goals', icon: <FlagIcon />, path: '/goals' },
+          { text: 'Nurture Sequences', icon: <ScheduleIcon />, path: '/nurture-sequences' }
+        ]
+      : []),
   ];
 
   // Drawer content (used for both permanent and temporary drawers)
@@ -148,6 +199,30 @@ function Layout() {
             {navItems.find(item => item.path === location.pathname)?.text || 'ORCA'}
           </Typography>
           
+          {/* Location switcher; users assigned to a location only have theirs */}
+          {locations.length > 0 && (
+            <Select
+              value={currentUser?.location_id || locationId}
+              onChange={handleLocationChange}
+              disabled={Boolean(currentUser?.location_id)}
+              displayEmpty
+              size="small"
+              variant="standard"
+              disableUnderline
+              sx={{ mr: 2, color: 'inherit', '& .MuiSelect-icon': { color: 'inherit' } }}
+              inputProps={{ 'aria-label': 'location' }}
+            >
+              {!currentUser?.location_id && (
+                <MenuItem value="">All locations</MenuItem>
+              )}
+              {locations.map((option) => (
+                <MenuItem key={option.id} value={option.id}>
+                  {option.name}
+                </MenuItem>
+              ))}
+            </Select>
+          )}
+          
           {/* User avatar and menu */}
           <Box sx={{ display: 'flex', alignItems: 'center' }}>
             <Typography variant="body2" sx={{ mr: 1, display: { xs: 'none', sm: 'block' } }}>
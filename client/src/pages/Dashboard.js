@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { 
   Box, 
   Grid, 
@@ -17,7 +17,11 @@ import {
   Chip,
   CardHeader,
   IconButton,
-  CardActions
+  CardActions,
+  Alert,
+  LinearProgress,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
 import { Link } from 'react-router-dom';
 import {
@@ -32,53 +36,78 @@ import {
   Event as EventIcon,
   Notifications as NotificationsIcon,
   LocalFireDepartment as HotIcon,
-  WatchLater as WatchLaterIcon
+  WatchLater as WatchLaterIcon,
+  Refresh as RefreshIcon,
+  EmojiEvents as TrophyIcon
 } from '@mui/icons-material';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ChartTooltip,
+  Legend
+} from 'recharts';
 
 // Import services
 import { 
-  fetchDashboardData, 
+  fetchRecentActivity, 
   fetchPriorityLeads,
   fetchUpcomingAppointments,
   fetchFollowUpLeads,
-  fetchLeadStatusDistribution,
   fetchUnansweredMessages
 } from '../services/dashboardService';
+import { AnalyticsAPI, GoalAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { TaskList } from '../components/tasks';
+
+// The dashboard shows the current user's own records
+const ANALYTICS_OPTIONS = { assigned_to: 'me' };
+
+// Periods the trend chart can show
+const TREND_PERIODS = [
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+  { value: 'quarter', label: 'Quarter' },
+  { value: 'year', label: 'Year' }
+];
 
 /**
  * Dashboard page component
- * Main entry point after login, displays key metrics and action items using data from Supabase
+ * Main entry point after login, displays key metrics from the analytics API and
+ * action items using data from Supabase
  * Shows most critical information that needs immediate attention
  */
 function Dashboard() {
+  const { currentUser } = useAuth();
   const [loading, setLoading] = useState(true);
+  const [activityLoading, setActivityLoading] = useState(true);
+  const [trendsLoading, setTrendsLoading] = useState(true);
   const [priorityLeadsLoading, setPriorityLeadsLoading] = useState(true);
   const [appointmentsLoading, setAppointmentsLoading] = useState(true);
   const [followUpLoading, setFollowUpLoading] = useState(true);
-  const [statusDistributionLoading, setStatusDistributionLoading] = useState(true);
   const [unansweredMessagesLoading, setUnansweredMessagesLoading] = useState(true);
   
-  // State for dashboard data
-  const [dashboardData, setDashboardData] = useState({
-    leadsData: {
-      total: 0,
-      newThisWeek: 0,
-      conversion: 0,
-      byStage: {}
-    },
-    referralsData: {
-      total: 0,
-      newThisMonth: 0
-    },
-    recentActivity: [],
-    upcomingAppointments: []
-  });
+  // State for the analytics API's reports; null until loaded
+  const [kpis, setKpis] = useState(null);
+  const [funnel, setFunnel] = useState(null);
+  const [sources, setSources] = useState(null);
+  const [trends, setTrends] = useState(null);
+  const [trendPeriod, setTrendPeriod] = useState('month');
+  const [analyticsError, setAnalyticsError] = useState(null);
+  const [goalProgress, setGoalProgress] = useState(null);
+  const [leaderboard, setLeaderboard] = useState(null);
+  // Bumped to make the task panel load its tasks again
+  const [taskRefreshKey, setTaskRefreshKey] = useState(0);
+  const [goalsLoading, setGoalsLoading] = useState(true);
+  const [recentActivity, setRecentActivity] = useState([]);
   
   // State for new action-focused data
   const [priorityLeads, setPriorityLeads] = useState([]);
   const [appointments, setAppointments] = useState([]);
   const [followUpLeads, setFollowUpLeads] = useState([]);
-  const [statusDistribution, setStatusDistribution] = useState([]);
   const [unansweredMessages, setUnansweredMessages] = useState([]);
 
   // Format date for display
@@ -123,6 +152,7 @@ function Dashboard() {
       'contacted': 'info',
       'appointment_scheduled': 'secondary',
       'appointment_completed': 'success',
+      'visited': 'success',
       'proposal_made': 'warning',
       'negotiation': 'warning',
       'won': 'success',
@@ -142,21 +172,91 @@ function Dashboard() {
     return statusMap[status] || 'default';
   };
 
-  // Fetch dashboard data on component mount
+  // Format a rate from the analytics API (0 to 1) as a percentage
+  const formatRate = (value) => `${Math.round((value || 0) * 1000) / 10}%`;
+
+  // Load the KPIs, funnel and sources; refresh skips the server's cache
+  const loadAnalytics = useCallback(async (refresh = false) => {
+    setLoading(true);
+    const options = refresh ? { ...ANALYTICS_OPTIONS, refresh: true } : ANALYTICS_OPTIONS;
+    
+    const [kpisResult, funnelResult, sourcesResult] = await Promise.all([
+      AnalyticsAPI.getKpis(options),
+      AnalyticsAPI.getFunnel(options),
+      AnalyticsAPI.getSources(options)
+    ]);
+    
+    const failed = [kpisResult, funnelResult, sourcesResult].find(result => !result.success);
+    
+    // Show what did load, and say plainly that the rest didn't rather than filling it in
+    setKpis(kpisResult.success ? kpisResult.data.data : null);
+    setFunnel(funnelResult.success ? funnelResult.data.data : null);
+    setSources(sourcesResult.success ? sourcesResult.data.data : null);
+    setAnalyticsError(failed ? failed.error : null);
+    setLoading(false);
+  }, []);
+  
+  // Load the trend chart for a period
+  const loadTrends = useCallback(async (period, refresh = false) => {
+    setTrendsLoading(true);
+    const options = refresh ? { ...ANALYTICS_OPTIONS, refresh: true } : ANALYTICS_OPTIONS;
+    const result = await AnalyticsAPI.getTrends(period, options);
+    
+    if (result.success) {
+      setTrends(result.data.data);
+    } else {
+      setTrends(null);
+      setAnalyticsError(result.error);
+    }
+    setTrendsLoading(false);
+  }, []);
+  
+  // Load this month's goal progress and leaderboard
+  const loadGoals = useCallback(async () => {
+    setGoalsLoading(true);
+    
+    const [progressResult, leaderboardResult] = await Promise.all([
+      GoalAPI.getMyProgress(),
+      GoalAPI.getLeaderboard()
+    ]);
+    
+    setGoalProgress(progressResult.success ? progressResult.data.data : null);
+    setLeaderboard(leaderboardResult.success ? leaderboardResult.data.data : null);
+    setGoalsLoading(false);
+  }, []);
+  
+  // Fetch the analytics on component mount
   useEffect(() => {
-    const loadDashboardData = async () => {
-      try {
-        setLoading(true);
-        const data = await fetchDashboardData();
-        setDashboardData(data);
-        setLoading(false);
-      } catch (error) {
-        console.error('Error loading dashboard data:', error);
-        setLoading(false);
-      }
+    loadAnalytics();
+  }, [loadAnalytics]);
+  
+  // Fetch the goals on component mount
+  useEffect(() => {
+    loadGoals();
+  }, [loadGoals]);
+  
+  // Fetch the trends whenever the period changes
+  useEffect(() => {
+    loadTrends(trendPeriod);
+  }, [loadTrends, trendPeriod]);
+  
+  const handleRefresh = () => {
+    loadAnalytics(true);
+    loadTrends(trendPeriod, true);
+    loadGoals();
+    setTaskRefreshKey(key => key + 1);
+  };
+  
+  // Fetch recent activity
+  useEffect(() => {
+    const loadRecentActivity = async () => {
+      setActivityLoading(true);
+      const activities = await fetchRecentActivity();
+      setRecentActivity(activities);
+      setActivityLoading(false);
     };
     
-    loadDashboardData();
+    loadRecentActivity();
   }, []);
   
   // Fetch priority leads that need attention
@@ -210,23 +310,6 @@ function Dashboard() {
     loadFollowUpLeads();
   }, []);
   
-  // Fetch lead status distribution
-  useEffect(() => {
-    const loadStatusDistribution = async () => {
-      try {
-        setStatusDistributionLoading(true);
-        const distribution = await fetchLeadStatusDistribution();
-        setStatusDistribution(distribution);
-        setStatusDistributionLoading(false);
-      } catch (error) {
-        console.error('Error loading status distribution:', error);
-        setStatusDistributionLoading(false);
-      }
-    };
-    
-    loadStatusDistribution();
-  }, []);
-  
   // Fetch unanswered messages
   useEffect(() => {
     const loadUnansweredMessages = async () => {
@@ -258,17 +341,37 @@ function Dashboard() {
         <Typography variant="h4" fontWeight="medium">
           Dashboard
         </Typography>
-        <Button 
-          variant="contained" 
-          color="primary" 
-          startIcon={<AddIcon />}
-          component={Link}
-          to="/leads/new"
-        >
-          Add New Lead
-        </Button>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          {kpis && (
+            <Typography variant="body2" color="text.secondary">
+              Updated {getRelativeTime(kpis.generated_at)}
+            </Typography>
+          )}
+          <Tooltip title="Refresh metrics">
+            <span>
+              <IconButton onClick={handleRefresh} disabled={loading} size="small">
+                <RefreshIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <Button 
+            variant="contained" 
+            color="primary" 
+            startIcon={<AddIcon />}
+            component={Link}
+            to="/leads/new"
+          >
+            Add New Lead
+          </Button>
+        </Box>
       </Box>
       
+      {analyticsError && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setAnalyticsError(null)}>
+          Some metrics couldn't be loaded and are shown as —. {analyticsError}
+        </Alert>
+      )}
+      
       {/* Metrics Cards */}
       <Grid container spacing={3} sx={{ mb: 4 }}>
         <Grid item xs={12} sm={6} md={3}>
@@ -283,10 +386,10 @@ function Dashboard() {
                 </Typography>
               </Box>
               <Typography variant="h3" component="div" sx={{ color: 'primary.main', fontWeight: 'bold' }}>
-                {dashboardData.leadsData.total}
+                {kpis ? kpis.leads.total : '—'}
               </Typography>
               <Typography variant="body2" color="text.secondary">
-                {dashboardData.leadsData.newThisWeek} new this week
+                {kpis ? `${kpis.leads.new_this_week} new this week` : 'Not available'}
               </Typography>
             </CardContent>
           </Card>
@@ -304,10 +407,10 @@ function Dashboard() {
                 </Typography>
               </Box>
               <Typography variant="h3" component="div" sx={{ color: 'success.main', fontWeight: 'bold' }}>
-                {dashboardData.leadsData.conversion}%
+                {kpis ? formatRate(kpis.leads.conversion_rate) : '—'}
               </Typography>
               <Typography variant="body2" color="text.secondary">
-                Based on closed leads
+                {kpis ? `${kpis.leads.won} won of ${kpis.leads.won + kpis.leads.lost} closed leads` : 'Based on closed leads'}
               </Typography>
             </CardContent>
           </Card>
@@ -346,10 +449,10 @@ function Dashboard() {
                 </Typography>
               </Box>
               <Typography variant="h3" component="div" sx={{ color: 'secondary.main', fontWeight: 'bold' }}>
-                {dashboardData.referralsData.total}
+                {kpis ? kpis.referrals.total : '—'}
               </Typography>
               <Typography variant="body2" color="text.secondary">
-                {dashboardData.referralsData.newThisMonth} new this month
+                {kpis ? `${kpis.referrals.new_this_month} new this month` : 'Not available'}
               </Typography>
             </CardContent>
           </Card>
@@ -362,6 +465,11 @@ function Dashboard() {
       </Typography>
       
       <Grid container spacing={3}>
+        {/* My Tasks */}
+        <Grid item xs={12}>
+          <TaskList key={taskRefreshKey} title="My Tasks" assignedTo="me" showViewAll />
+        </Grid>
+        
         {/* Priority Leads */}
         <Grid item xs={12} md={6}>
           <Card sx={{ height: '100%' }}>
@@ -455,6 +563,17 @@ function Dashboard() {
                                 sx={{ mr: 1, mb: 0.5 }} 
                               />
                             )}
+                            <Chip 
+                              label={`${lead.conversionProbability}% likely`} 
+                              size="small" 
+                              variant="outlined"
+                              sx={{ mr: 1, mb: 0.5 }} 
+                            />
+                            {lead.topFactors.length > 0 && (
+                              <Box component="span" display="block" fontSize="small">
+                                {lead.topFactors[0].detail}
+                              </Box>
+                            )}
                             <Box component="span" display="block" fontSize="small">
                               {lead.lastContacted ? `Last contacted: ${getRelativeTime(lead.lastContacted)}` : 'Never contacted'}
                             </Box>
@@ -721,11 +840,11 @@ function Dashboard() {
               }
             />
             <Divider />
-            {loading ? (
+            {activityLoading ? (
               <Box display="flex" justifyContent="center" alignItems="center" height="200px">
                 <CircularProgress />
               </Box>
-            ) : dashboardData.recentActivity.length === 0 ? (
+            ) : recentActivity.length === 0 ? (
               <Box display="flex" justifyContent="center" alignItems="center" p={3} height="200px">
                 <Typography variant="body2" color="text.secondary">
                   No recent activity to display.
@@ -733,7 +852,7 @@ function Dashboard() {
               </Box>
             ) : (
               <List sx={{ p: 0 }}>
-                {dashboardData.recentActivity.map((activity) => (
+                {recentActivity.map((activity) => (
                   <React.Fragment key={activity.id}>
                     <ListItem
                       component={Link}
@@ -785,42 +904,177 @@ function Dashboard() {
         </Grid>
       </Grid>
       
+      {/* Goals Section */}
+      <Typography variant="h5" sx={{ mt: 4, mb: 2 }}>
+        This Month's Goals
+      </Typography>
+      
+      <Grid container spacing={3}>
+        {/* My Goals */}
+        <Grid item xs={12} md={5}>
+          <Card sx={{ height: '100%' }}>
+            <CardHeader
+              title="My Goals"
+              subheader={goalProgress && goalProgress.rank
+                ? `#${goalProgress.rank} of ${goalProgress.of} on the leaderboard`
+                : 'Progress towards your targets'}
+              titleTypographyProps={{ variant: 'h6' }}
+            />
+            <Divider />
+            {goalsLoading ? (
+              <Box display="flex" justifyContent="center" alignItems="center" p={3} height="200px">
+                <CircularProgress />
+              </Box>
+            ) : !goalProgress ? (
+              <Box display="flex" justifyContent="center" alignItems="center" p={3} height="200px">
+                <Typography variant="body2" color="text.secondary">
+                  Your goals could not be loaded.
+                </Typography>
+              </Box>
+            ) : (
+              <CardContent>
+                {goalProgress.score === null && (
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                    No goals have been set for you this month.
+                  </Typography>
+                )}
+                {goalProgress.metrics.map((metric) => {
+                  const { target, actual, progress } = goalProgress.progress[metric.key];
+                  
+                  return (
+                    <Box key={metric.key} sx={{ mb: 1.5 }}>
+                      <Box display="flex" justifyContent="space-between" alignItems="center">
+                        <Typography variant="body2">{metric.label}</Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {target === null ? `${actual} (no goal)` : `${actual} of ${target}`}
+                        </Typography>
+                      </Box>
+                      {target !== null && (
+                        <LinearProgress
+                          variant="determinate"
+                          value={Math.min(progress, 1) * 100}
+                          color={progress >= 1 ? 'success' : 'primary'}
+                          sx={{ mt: 0.5, height: 6, borderRadius: 3 }}
+                        />
+                      )}
+                    </Box>
+                  );
+                })}
+              </CardContent>
+            )}
+            {currentUser?.role === 'admin' && (
+              <CardActions sx={{ justifyContent: 'flex-end' }}>
+                <Button 
+                  component={Link} 
+                  to="/goals"
+                  endIcon={<ArrowForwardIcon />}
+                  size="small"
+                >
+                  Set Goals
+                </Button>
+              </CardActions>
+            )}
+          </Card>
+        </Grid>
+        
+        {/* Leaderboard */}
+        <Grid item xs={12} md={7}>
+          <Card sx={{ height: '100%' }}>
+            <CardHeader
+              title="Leaderboard"
+              subheader="Ranked by progress towards each salesperson's goals"
+              titleTypographyProps={{ variant: 'h6' }}
+            />
+            <Divider />
+            {goalsLoading ? (
+              <Box display="flex" justifyContent="center" alignItems="center" p={3} height="200px">
+                <CircularProgress />
+              </Box>
+            ) : !leaderboard || leaderboard.entries.length === 0 ? (
+              <Box display="flex" justifyContent="center" alignItems="center" p={3} height="200px">
+                <Typography variant="body2" color="text.secondary">
+                  {leaderboard ? 'No salespeople yet.' : 'The leaderboard could not be loaded.'}
+                </Typography>
+              </Box>
+            ) : (
+              <List sx={{ p: 0 }}>
+                {leaderboard.entries.map((entry) => (
+                  <React.Fragment key={entry.user.id}>
+                    <ListItem selected={entry.user.id === currentUser?.id}>
+                      <ListItemAvatar>
+                        <Avatar sx={{ bgcolor: entry.rank === 1 && entry.score !== null ? 'warning.main' : 'grey.400' }}>
+                          {entry.rank === 1 && entry.score !== null ? <TrophyIcon /> : entry.rank}
+                        </Avatar>
+                      </ListItemAvatar>
+                      <ListItemText
+                        primary={entry.user.name}
+                        secondary={`${entry.metrics.new_leads.actual} new leads · ${entry.metrics.appointments_set.actual} appointments · `
+                          + `${entry.metrics.conversions.actual} conversions · ${entry.metrics.referrals_generated.actual} referrals · `
+                          + `${entry.metrics.messages_sent.actual} messages`}
+                      />
+                      <Chip
+                        label={entry.score === null ? 'No goals' : formatRate(entry.score)}
+                        color={entry.score >= 1 ? 'success' : 'default'}
+                        size="small"
+                      />
+                    </ListItem>
+                    <Divider component="li" />
+                  </React.Fragment>
+                ))}
+              </List>
+            )}
+          </Card>
+        </Grid>
+      </Grid>
+      
       {/* Metrics Section */}
       <Typography variant="h5" sx={{ mt: 4, mb: 2 }}>
         Key Metrics
       </Typography>
       
       <Grid container spacing={3}>
-        {/* Lead Status Distribution */}
+        {/* Conversion Funnel */}
         <Grid item xs={12} md={6}>
           <Card>
             <CardHeader
-              title="Lead Status Distribution"
+              title="Conversion Funnel"
+              subheader="Leads that reached each stage"
               titleTypographyProps={{ variant: 'h6' }}
             />
             <Divider />
-            {statusDistributionLoading ? (
+            {loading ? (
               <Box display="flex" justifyContent="center" alignItems="center" p={3} height="200px">
                 <CircularProgress />
               </Box>
-            ) : statusDistribution.length === 0 ? (
+            ) : !funnel || funnel.total === 0 ? (
               <Box display="flex" justifyContent="center" alignItems="center" p={3} height="200px">
                 <Typography variant="body2" color="text.secondary">
-                  No lead status data available.
+                  {funnel ? 'No leads yet.' : 'The funnel could not be loaded.'}
                 </Typography>
               </Box>
             ) : (
               <CardContent>
-                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-                  {statusDistribution.map((item) => (
-                    <Chip
-                      key={item.status}
-                      label={`${item.status}: ${item.count}`}
-                      color={getStatusColor(item.status)}
-                      sx={{ m: 0.5 }}
+                {funnel.stages.map((stage) => (
+                  <Box key={stage.key} sx={{ mb: 1.5 }}>
+                    <Box display="flex" justifyContent="space-between" alignItems="center">
+                      <Chip
+                        label={stage.label}
+                        color={getStatusColor(stage.key)}
+                        size="small"
+                      />
+                      <Typography variant="body2" color="text.secondary">
+                        {stage.reached} reached · {stage.current} now
+                        {stage.conversion_rate !== null && ` · ${formatRate(stage.conversion_rate)} from previous`}
+                      </Typography>
+                    </Box>
+                    <LinearProgress
+                      variant="determinate"
+                      value={(stage.reached / funnel.total) * 100}
+                      color={stage.key === 'lost' ? 'error' : 'primary'}
+                      sx={{ mt: 0.5, height: 6, borderRadius: 3 }}
                     />
-                  ))}
-                </Box>
+                  </Box>
+                ))}
               </CardContent>
             )}
             <CardActions sx={{ justifyContent: 'flex-end' }}>
@@ -906,6 +1160,98 @@ function Dashboard() {
             </CardActions>
           </Card>
         </Grid>
+        
+        {/* Lead Sources */}
+        <Grid item xs={12} md={6}>
+          <Card sx={{ height: '100%' }}>
+            <CardHeader
+              title="Lead Sources"
+              subheader="Conversion is won out of closed leads"
+              titleTypographyProps={{ variant: 'h6' }}
+            />
+            <Divider />
+            {loading ? (
+              <Box display="flex" justifyContent="center" alignItems="center" p={3} height="200px">
+                <CircularProgress />
+              </Box>
+            ) : !sources || sources.sources.length === 0 ? (
+              <Box display="flex" justifyContent="center" alignItems="center" p={3} height="200px">
+                <Typography variant="body2" color="text.secondary">
+                  {sources ? 'No leads yet.' : 'Lead sources could not be loaded.'}
+                </Typography>
+              </Box>
+            ) : (
+              <List sx={{ p: 0 }}>
+                {sources.sources.map((source) => (
+                  <React.Fragment key={source.source}>
+                    <ListItem>
+                      <ListItemText
+                        primary={source.source}
+                        secondary={`${source.leads} leads · ${source.won} won · ${source.lost} lost`}
+                      />
+                      <Chip
+                        label={formatRate(source.conversion_rate)}
+                        color={source.conversion_rate > 0 ? 'success' : 'default'}
+                        size="small"
+                      />
+                    </ListItem>
+                    <Divider component="li" />
+                  </React.Fragment>
+                ))}
+              </List>
+            )}
+          </Card>
+        </Grid>
+        
+        {/* Lead Trends */}
+        <Grid item xs={12} md={6}>
+          <Card sx={{ height: '100%' }}>
+            <CardHeader
+              title="Lead Trends"
+              titleTypographyProps={{ variant: 'h6' }}
+              action={
+                <ToggleButtonGroup
+                  value={trendPeriod}
+                  exclusive
+                  size="small"
+                  onChange={(event, period) => period && setTrendPeriod(period)}
+                >
+                  {TREND_PERIODS.map(period => (
+                    <ToggleButton key={period.value} value={period.value}>
+                      {period.label}
+                    </ToggleButton>
+                  ))}
+                </ToggleButtonGroup>
+              }
+            />
+            <Divider />
+            {trendsLoading ? (
+              <Box display="flex" justifyContent="center" alignItems="center" p={3} height="300px">
+                <CircularProgress />
+              </Box>
+            ) : !trends ? (
+              <Box display="flex" justifyContent="center" alignItems="center" p={3} height="300px">
+                <Typography variant="body2" color="text.secondary">
+                  Lead trends could not be loaded.
+                </Typography>
+              </Box>
+            ) : (
+              <CardContent sx={{ height: 300 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={trends.points}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" fontSize={12} />
+                    <YAxis allowDecimals={false} fontSize={12} />
+                    <ChartTooltip />
+                    <Legend />
+                    <Line type="monotone" dataKey="new_leads" name="New leads" stroke="#1976d2" dot={false} />
+                    <Line type="monotone" dataKey="converted_leads" name="Won" stroke="#2e7d32" dot={false} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </CardContent>
+            )}
+          </Card>
+        </Grid>
       </Grid>
     </Box>
   );
@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Navigate } from 'react-router-dom';
+import {
+  Typography,
+  Box,
+  Paper,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  Chip,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { Save as SaveIcon } from '@mui/icons-material';
+
+import { useAuth } from '../contexts/AuthContext';
+import { GoalAPI } from '../services/api';
+
+// The current month as YYYY-MM
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+// Key of a user's target for a metric in the grid
+const cellKey = (userId, metric) => `${userId}:${metric}`;
+
+/**
+ * Goals page component
+ * Lets admins set each user's monthly targets for new leads, appointments
+ * set, conversions, referrals generated and messages sent. Progress against
+ * them is shown on the dashboard's leaderboard.
+ */
+function Goals() {
+  const { currentUser } = useAuth();
+  const isAdmin = currentUser?.role === 'admin';
+
+  const [month, setMonth] = useState(currentMonth());
+  const [data, setData] = useState(null);
+  const [targets, setTargets] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const fetchGoals = useCallback(async () => {
+    setLoading(true);
+    const result = await GoalAPI.getGoals(month);
+
+    if (result.success) {
+      const goals = result.data.data;
+      setData(goals);
+      setTargets(goals.goals.reduce((cells, goal) => ({
+        ...cells,
+        [cellKey(goal.user_id, goal.metric)]: String(goal.target)
+      }), {}));
+      setError(null);
+    } else {
+      setData(null);
+      setError(result.error || 'Failed to load goals');
+    }
+
+    setLoading(false);
+  }, [month]);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchGoals();
+    }
+  }, [isAdmin, fetchGoals]);
+
+  if (!isAdmin) {
+    return <Navigate to="/" replace />;
+  }
+
+  const handleTargetChange = (userId, metric, value) => {
+    setTargets(current => ({ ...current, [cellKey(userId, metric)]: value }));
+    setSuccess(null);
+  };
+
+  // Save the filled-in targets and remove the ones that were cleared
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    setSuccess(null);
+
+    const goals = [];
+
+    data.users.forEach((user) => {
+      data.metrics.forEach((metric) => {
+        const value = (targets[cellKey(user.id, metric.key)] || '').trim();
+
+        if (value !== '') {
+          goals.push({ user_id: user.id, metric: metric.key, target: Number(value) });
+        }
+      });
+    });
+
+    const cleared = data.goals.filter(goal => (targets[cellKey(goal.user_id, goal.metric)] || '').trim() === '');
+
+    if (goals.length > 0) {
+      const result = await GoalAPI.saveGoals(month, goals);
+
+      if (!result.success) {
+        setError(result.error || 'Failed to save goals');
+        setSaving(false);
+        return;
+      }
+    }
+
+    const removed = await Promise.all(cleared.map(goal => GoalAPI.deleteGoal(goal.id)));
+    const failed = removed.find(result => !result.success);
+
+    if (failed) {
+      setError(failed.error || 'Failed to remove a goal');
+    } else {
+      setSuccess(`Goals for ${month} saved`);
+    }
+
+    setSaving(false);
+    fetchGoals();
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box>
+          <Typography variant="h4" component="h1">
+            Goals
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Set each salesperson's targets for the month. Leave a target blank for no goal.
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <TextField
+            label="Month"
+            type="month"
+            size="small"
+            value={month}
+            onChange={e => e.target.value && setMonth(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <Button
+            variant="contained"
+            startIcon={saving ? <CircularProgress size={18} color="inherit" /> : <SaveIcon />}
+            onClick={handleSave}
+            disabled={saving || loading || !data}
+          >
+            Save Goals
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {success && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setSuccess(null)}>
+          {success}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : data && (
+        <TableContainer component={Paper}>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>User</TableCell>
+                {data.metrics.map(metric => (
+                  <TableCell key={metric.key} align="right">{metric.label}</TableCell>
+                ))}
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {data.users.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={data.metrics.length + 1} align="center">
+                    No users in your organization yet.
+                  </TableCell>
+                </TableRow>
+              ) : data.users.map(user => (
+                <TableRow key={user.id}>
+                  <TableCell>
+                    {user.name}
+                    {user.role === 'admin' && <Chip label="Admin" size="small" sx={{ ml: 1 }} />}
+                  </TableCell>
+                  {data.metrics.map(metric => (
+                    <TableCell key={metric.key} align="right">
+                      <TextField
+                        type="number"
+                        size="small"
+                        value={targets[cellKey(user.id, metric.key)] || ''}
+                        onChange={e => handleTargetChange(user.id, metric.key, e.target.value)}
+                        inputProps={{ min: 0, step: 1, 'aria-label': `${user.name} ${metric.label}` }}
+                        sx={{ width: 96 }}
+                      />
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      )}
+    </Box>
+  );
+}
+
+export default Goals;
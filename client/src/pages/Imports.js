@@ -0,0 +1,557 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Navigate } from 'react-router-dom';
+import {
+  Typography,
+  Box,
+  Paper,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  LinearProgress,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import {
+  UploadFile as UploadFileIcon,
+  Visibility as VisibilityIcon,
+  PlayArrow as PlayArrowIcon,
+  Download as DownloadIcon
+} from '@mui/icons-material';
+
+import { useAuth } from '../contexts/AuthContext';
+import { ImportAPI } from '../services/api';
+
+// How often a running import's progress is refreshed
+const POLL_INTERVAL_MS = 2000;
+
+// Labels for each duplicate strategy
+const duplicateStrategyLabels = {
+  skip: 'Skip rows matching an existing contact',
+  update: 'Update matching contacts of the same kind'
+};
+
+// Chip colors for each import status
+const importStatusColors = {
+  uploaded: 'default',
+  queued: 'info',
+  processing: 'info',
+  completed: 'success',
+  failed: 'error'
+};
+
+// Chip colors for what a row would do
+const rowActionColors = {
+  create: 'success',
+  update: 'info',
+  skip: 'default',
+  error: 'error'
+};
+
+const formatDate = date => (date ? new Date(date).toLocaleString() : '—');
+const isRunning = importJob => ['queued', 'processing'].includes(importJob?.status);
+
+/**
+ * Imports page component
+ * Lets admins bring leads and members in from a CSV or XLSX file: upload it,
+ * map its columns, dry-run it, then follow the background import and download
+ * the rows that failed.
+ */
+function Imports() {
+  const { currentUser } = useAuth();
+  const isAdmin = currentUser?.role === 'admin';
+
+  const [importType, setImportType] = useState('lead');
+  const [imports, setImports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  // The import being set up or followed
+  const [importJob, setImportJob] = useState(null);
+  const [columnMapping, setColumnMapping] = useState({});
+  const [duplicateStrategy, setDuplicateStrategy] = useState('skip');
+  const [preview, setPreview] = useState(null);
+
+  const fileInputRef = useRef(null);
+
+  const fetchImports = useCallback(async () => {
+    const result = await ImportAPI.getImports();
+
+    if (result.success) {
+      setImports(result.data.data || []);
+    } else {
+      setError(result.error || 'Failed to load imports');
+    }
+
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchImports();
+    }
+  }, [isAdmin, fetchImports]);
+
+  // Follow a running import until it finishes
+  useEffect(() => {
+    if (!isRunning(importJob)) {
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      const result = await ImportAPI.getImport(importJob.id);
+
+      if (result.success) {
+        setImportJob(result.data.data);
+
+        if (!isRunning(result.data.data)) {
+          fetchImports();
+        }
+      }
+    }, POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [importJob, fetchImports]);
+
+  if (!isAdmin) {
+    return <Navigate to="/" replace />;
+  }
+
+  const openImport = (job) => {
+    setImportJob(job);
+    setColumnMapping(job.column_mapping || {});
+    setDuplicateStrategy(job.duplicate_strategy || 'skip');
+    setPreview(null);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+
+    if (!file) {
+      return;
+    }
+
+    setUploading(true);
+    const result = await ImportAPI.uploadFile(file, importType);
+    setUploading(false);
+
+    if (result.success) {
+      setError(null);
+      openImport(result.data.data);
+      fetchImports();
+    } else {
+      setError(result.details?.message || result.error || 'Failed to read the file');
+    }
+  };
+
+  const handleMappingChange = (header, fieldKey) => {
+    setColumnMapping(prevMapping => ({ ...prevMapping, [header]: fieldKey }));
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    setWorking(true);
+    const result = await ImportAPI.previewImport(importJob.id, columnMapping, duplicateStrategy);
+    setWorking(false);
+
+    if (result.success) {
+      setError(null);
+      setPreview(result.data.data);
+    } else {
+      setError(result.details?.message || result.error || 'Failed to preview the import');
+    }
+  };
+
+  const handleStart = async () => {
+    const { summary } = preview;
+
+    if (summary.error > 0 && !window.confirm(
+      `${summary.error} row(s) have errors and will be left out. You can download them after the import. Start anyway?`
+    )) {
+      return;
+    }
+
+    setWorking(true);
+    const result = await ImportAPI.startImport(importJob.id, columnMapping, duplicateStrategy);
+    setWorking(false);
+
+    if (result.success) {
+      setError(null);
+      setPreview(null);
+      setImportJob(prevJob => ({ ...prevJob, ...result.data.data }));
+      fetchImports();
+    } else {
+      setError(result.details?.message || result.error || 'Failed to start the import');
+    }
+  };
+
+  const handleDownloadErrors = async (job) => {
+    const result = await ImportAPI.downloadErrorReport(job.id);
+
+    if (!result.success) {
+      setError(result.error || 'Failed to download the error report');
+      return;
+    }
+
+    const url = window.URL.createObjectURL(result.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${job.file_name.replace(/\.[^.]+$/, '')}-errors.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const renderMapping = () => {
+    const fields = importJob.fields || [];
+    const samples = importJob.sample_rows || [];
+    const usedFields = Object.values(columnMapping).filter(Boolean);
+
+    return (
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Map the columns of {importJob.file_name}
+        </Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {importJob.total_rows} row(s). Map a name and an email or phone; columns left unmapped aren't imported.
+        </Typography>
+
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Column</TableCell>
+                <TableCell>Sample values</TableCell>
+                <TableCell sx={{ width: 260 }}>Imports as</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {importJob.headers.map((header, index) => (
+                <TableRow key={header}>
+                  <TableCell>{header}</TableCell>
+                  <TableCell>
+                    <Typography variant="caption" color="text.secondary">
+                      {samples.map(row => row[index]).filter(Boolean).slice(0, 3).join(' · ') || '—'}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <Select
+                      size="small"
+                      fullWidth
+                      displayEmpty
+                      value={columnMapping[header] || ''}
+                      onChange={e => handleMappingChange(header, e.target.value)}
+                    >
+                      <MenuItem value="">
+                        <em>Don't import</em>
+                      </MenuItem>
+                      {fields.map(field => (
+                        <MenuItem
+                          key={field.key}
+                          value={field.key}
+                          disabled={field.key !== columnMapping[header] && usedFields.includes(field.key)}
+                        >
+                          {field.label}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 2 }}>
+          <FormControl size="small" sx={{ minWidth: 320 }}>
+            <InputLabel>Duplicates</InputLabel>
+            <Select
+              value={duplicateStrategy}
+              label="Duplicates"
+              onChange={(e) => {
+                setDuplicateStrategy(e.target.value);
+                setPreview(null);
+              }}
+            >
+              {Object.entries(duplicateStrategyLabels).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button
+            variant="outlined"
+            startIcon={<VisibilityIcon />}
+            onClick={handlePreview}
+            disabled={working}
+          >
+            Preview
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<PlayArrowIcon />}
+            onClick={handleStart}
+            disabled={working || !preview}
+          >
+            Start Import
+          </Button>
+          {working && <CircularProgress size={24} />}
+        </Box>
+      </Paper>
+    );
+  };
+
+  const renderPreview = () => {
+    const { summary, rows, errors } = preview;
+    const previewedRows = new Set(rows.map(row => row.row));
+    const otherErrors = errors.filter(rowError => !previewedRows.has(rowError.row));
+
+    return (
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>
+          Dry run
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+          <Chip label={`${summary.create} to create`} color="success" variant="outlined" />
+          <Chip label={`${summary.update} to update`} color="info" variant="outlined" />
+          <Chip label={`${summary.skip} skipped`} variant="outlined" />
+          <Chip label={`${summary.error} with errors`} color="error" variant="outlined" />
+        </Box>
+
+        <TableContainer sx={{ maxHeight: 480 }}>
+          <Table size="small" stickyHeader>
+            <TableHead>
+              <TableRow>
+                <TableCell>Row</TableCell>
+                <TableCell>Result</TableCell>
+                <TableCell>Contact</TableCell>
+                <TableCell>Details</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.map(row => (
+                <TableRow key={row.row}>
+                  <TableCell>{row.row}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={row.action} color={rowActionColors[row.action]} />
+                  </TableCell>
+                  <TableCell>
+                    {[row.data.first_name, row.data.last_name].filter(Boolean).join(' ') || '—'}
+                    <Typography variant="caption" color="text.secondary" display="block">
+                      {row.data.email || row.data.phone || ''}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    {row.errors.length > 0 ? (
+                      <Typography variant="body2" color="error">
+                        {row.errors.join('; ')}
+                      </Typography>
+                    ) : (row.reason || '')}
+                  </TableCell>
+                </TableRow>
+              ))}
+              {otherErrors.map(rowError => (
+                <TableRow key={rowError.row}>
+                  <TableCell>{rowError.row}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label="error" color="error" />
+                  </TableCell>
+                  <TableCell>—</TableCell>
+                  <TableCell>
+                    <Typography variant="body2" color="error">
+                      {rowError.errors.join('; ')}
+                    </Typography>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        {summary.total_rows > rows.length && (
+          <Typography variant="caption" color="text.secondary">
+            Showing the first {rows.length} of {summary.total_rows} rows, and every row with errors.
+          </Typography>
+        )}
+      </Paper>
+    );
+  };
+
+  const renderProgress = () => {
+    const percent = importJob.total_rows > 0
+      ? Math.round((importJob.processed_rows / importJob.total_rows) * 100)
+      : 0;
+
+    return (
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h6">
+            Importing {importJob.file_name}
+          </Typography>
+          <Chip size="small" label={importJob.status} color={importStatusColors[importJob.status]} />
+        </Box>
+        <LinearProgress
+          variant="determinate"
+          value={percent}
+          color={importJob.status === 'failed' ? 'error' : 'primary'}
+          sx={{ height: 8, borderRadius: 4, mb: 1 }}
+        />
+        <Typography variant="body2" color="text.secondary">
+          {importJob.processed_rows} of {importJob.total_rows} rows · {importJob.created_count} created ·{' '}
+          {importJob.updated_count} updated · {importJob.skipped_count} skipped · {importJob.error_count} with errors
+        </Typography>
+        {importJob.last_error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {importJob.last_error}
+          </Alert>
+        )}
+        <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+          {importJob.error_count > 0 && (
+            <Button startIcon={<DownloadIcon />} onClick={() => handleDownloadErrors(importJob)}>
+              Download Error Report
+            </Button>
+          )}
+          {importJob.status === 'failed' && (
+            <Button onClick={() => openImport({ ...importJob, status: 'uploaded' })}>
+              Resume
+            </Button>
+          )}
+          {!isRunning(importJob) && (
+            <Button onClick={() => setImportJob(null)}>
+              Done
+            </Button>
+          )}
+        </Box>
+      </Paper>
+    );
+  };
+
+  const isSettingUp = importJob && importJob.status === 'uploaded';
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box>
+          <Typography variant="h4" component="h1">
+            Import
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Bring leads and members over from a CSV or XLSX export of your old system.
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel>Import</InputLabel>
+            <Select value={importType} label="Import" onChange={e => setImportType(e.target.value)}>
+              <MenuItem value="lead">Leads</MenuItem>
+              <MenuItem value="member">Members</MenuItem>
+            </Select>
+          </FormControl>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".csv,.txt,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+            hidden
+            onChange={handleFileChange}
+          />
+          <Button
+            variant="contained"
+            startIcon={uploading ? <CircularProgress size={18} color="inherit" /> : <UploadFileIcon />}
+            onClick={() => fileInputRef.current.click()}
+            disabled={uploading || isRunning(importJob)}
+          >
+            Upload File
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {isSettingUp && renderMapping()}
+      {isSettingUp && preview && renderPreview()}
+      {importJob && !isSettingUp && renderProgress()}
+
+      <Typography variant="h6" gutterBottom>
+        Recent Imports
+      </Typography>
+      <TableContainer component={Paper}>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>File</TableCell>
+                <TableCell>Type</TableCell>
+                <TableCell>Uploaded</TableCell>
+                <TableCell align="right">Rows</TableCell>
+                <TableCell align="right">Created</TableCell>
+                <TableCell align="right">Updated</TableCell>
+                <TableCell align="right">Errors</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {imports.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={9} align="center">
+                    No imports yet
+                  </TableCell>
+                </TableRow>
+              )}
+              {imports.map(job => (
+                <TableRow key={job.id}>
+                  <TableCell>{job.file_name}</TableCell>
+                  <TableCell>{job.import_type === 'lead' ? 'Leads' : 'Members'}</TableCell>
+                  <TableCell>{formatDate(job.created_at)}</TableCell>
+                  <TableCell align="right">{job.total_rows}</TableCell>
+                  <TableCell align="right">{job.created_count}</TableCell>
+                  <TableCell align="right">{job.updated_count}</TableCell>
+                  <TableCell align="right">{job.error_count}</TableCell>
+                  <TableCell>
+                    <Chip size="small" label={job.status} color={importStatusColors[job.status]} />
+                  </TableCell>
+                  <TableCell align="right">
+                    {job.error_count > 0 && (
+                      <Button size="small" startIcon={<DownloadIcon />} onClick={() => handleDownloadErrors(job)}>
+                        Errors
+                      </Button>
+                    )}
+                    <Button
+                      size="small"
+                      onClick={async () => {
+                        const result = await ImportAPI.getImport(job.id);
+                        if (result.success) openImport(result.data.data);
+                      }}
+                    >
+                      {job.status === 'uploaded' ? 'Continue' : 'View'}
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </TableContainer>
+    </Box>
+  );
+}
+
+export default Imports;
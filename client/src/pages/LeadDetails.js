@@ -54,6 +54,8 @@ import {
 import { supabase, fetchData, updateRecord } from '../services/supabaseClient';
 // Import the data transformation utilities
 import { formatTimestamp, processJsonField, processArrayField, processNumericField } from '../utils/dataTransformUtils';
+import { TaskList } from '../components/tasks';
+import { NurtureEnrollments } from '../components/nurture';
 
 /**
  * Lead Details page component
@@ -528,6 +530,12 @@ function LeadDetails() {
               )}
             </CardContent>
           </Card>
+          
+          {/* Follow-up tasks for this lead */}
+          <TaskList title="Tasks" personId={id} pageSize={10} />
+          
+          {/* Drip campaigns this lead is in */}
+          <NurtureEnrollments personId={id} />
         </Grid>
         
         {/* Tabs panel */}
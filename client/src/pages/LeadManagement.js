@@ -9,6 +9,7 @@ import { LeadAPI } from '../services/api';
 import { useAuth } from '../contexts/AuthContext';
 import { debugLeadCreation, withApiKey } from '../utils/supabaseUtils';
 import { supabase } from '../services/supabaseClient';
+import { DEFAULT_PIPELINE_STAGES, getStageForStatus } from '../utils/leadPipeline';
 
 /**
  * Lead Management page component
@@ -29,6 +30,22 @@ function LeadManagement() {
   const [limit, setLimit] = useState(20);
   const [totalLeads, setTotalLeads] = useState(0);
   const [isFormSubmitting, setIsFormSubmitting] = useState(false); // New state to track form submission
+  const [pipelineStages, setPipelineStages] = useState(DEFAULT_PIPELINE_STAGES);
+
+  // Load the pipeline stages and the moves allowed between them
+  useEffect(() => {
+    const fetchPipeline = async () => {
+      const result = await LeadAPI.getPipeline();
+      
+      if (result.success && Array.isArray(result.data?.data) && result.data.data.length > 0) {
+        setPipelineStages(result.data.data);
+      } else {
+        console.warn('Could not load the lead pipeline, using the default stages:', result.error);
+      }
+    };
+    
+    fetchPipeline();
+  }, []);
 
   // Fetch leads on component mount
   useEffect(() => {
@@ -403,140 +420,73 @@ function LeadManagement() {
     }
   };
 
+  /**
+   * Move a lead to another pipeline stage
+   * @param {string} leadId - Lead ID
+   * @param {string} newStatus - Key of the stage the lead was dropped on
+   * @returns {Promise<Object>} { success, error } so the board can show why a move was rejected
+   */
   const handleLeadStatusChange = async (leadId, newStatus) => {
     try {
-      // Convert column ID back to a proper status name if needed
-      // Handling format like 'appointment_scheduled' -> 'Appointment Scheduled'
-      let formattedStatus = newStatus;
+      // Call API to update lead status
+      const result = await LeadAPI.updateLeadStatus(leadId, newStatus);
       
-      // If the status contains underscores, convert to spaces and capitalize words
-      if (newStatus.includes('_')) {
-        formattedStatus = newStatus
-          .split('_')
-          .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-          .join(' ');
+      if (!result.success) {
+        // A rejected move lists its reasons
+        const reasons = Array.isArray(result.details) ? result.details.join('. ') : null;
+        return { success: false, error: reasons || result.error || 'Failed to update lead status' };
       }
       
-      console.log(`Updating lead ${leadId} status to: ${formattedStatus}`);
-      
-      // Call API to update lead status
-      const result = await LeadAPI.updateLeadStatus(leadId, formattedStatus);
-      
-      if (result.success) {
-        // Update local state to reflect the change without a full reload
-        setLeads(prevLeads => {
-          return prevLeads.map(lead => {
-            if (lead.id === leadId) {
-              // Create a new lead object with updated lead_extensions
-              return {
-                ...lead,
-                lead_extensions: lead.lead_extensions.map((ext, i) => {
-                  if (i === 0) { // Update only the first extension (primary status)
-                    return { ...ext, lead_status: formattedStatus };
-                  }
-                  return ext;
-                })
-              };
-            }
-            return lead;
-          });
-        });
+      // Update local state to reflect the change without a full reload
+      const updateLead = (lead) => {
+        if (lead.id !== leadId) {
+          return lead;
+        }
         
-        // Also update filtered leads
-        setFilteredLeads(prevLeads => {
-          return prevLeads.map(lead => {
-            if (lead.id === leadId) {
-              return {
-                ...lead,
-                lead_extensions: lead.lead_extensions.map((ext, i) => {
-                  if (i === 0) {
-                    return { ...ext, lead_status: formattedStatus };
-                  }
-                  return ext;
-                })
-              };
+        const updatedExtension = result.data?.data?.lead_extensions?.[0];
+        
+        return {
+          ...lead,
+          lead_extensions: lead.lead_extensions.map((ext, i) => {
+            if (i === 0) { // Update only the first extension (primary status)
+              return updatedExtension || { ...ext, lead_status: newStatus };
             }
-            return lead;
-          });
-        });
-      } else {
-        throw new Error(result.error || 'Failed to update lead status');
-      }
+            return ext;
+          })
+        };
+      };
+      
+      setLeads(prevLeads => prevLeads.map(updateLead));
+      setFilteredLeads(prevLeads => prevLeads.map(updateLead));
+      
+      return { success: true };
     } catch (error) {
       console.error('Error updating lead status:', error);
-      // Consider adding a user-visible error notification here
+      return { success: false, error: 'Failed to update lead status' };
     }
   };
 
   // After setting state with the leads, add this call to format them for the pipeline
   const formatLeadsForPipeline = (leads) => {
-    if (!Array.isArray(leads) || leads.length === 0) {
-      // Return empty pipeline if no leads
-      return {
-        'New': [],
-        'Contacted': [],
-        'Appointment Scheduled': [],
-        'Appointment Completed': [],
-        'Proposal Made': [],
-        'Negotiation': [],
-        'Won': [],
-        'Lost': []
-      };
-    }
+    // One column per pipeline stage, keyed by stage
+    const pipelineData = {};
+    pipelineStages.forEach(stage => {
+      pipelineData[stage.key] = [];
+    });
     
-    // Define the pipeline stages
-    const pipelineStages = {
-      'New': [],
-      'Contacted': [],
-      'Appointment Scheduled': [],
-      'Appointment Completed': [],
-      'Proposal Made': [],
-      'Negotiation': [],
-      'Won': [],
-      'Lost': []
-    };
+    if (!Array.isArray(leads)) {
+      return pipelineData;
+    }
     
     // Distribute leads to appropriate stages
     leads.forEach(lead => {
       if (!lead) return;
       
-      // Get the lead status from the first extension or default to 'New'
-      let status = 'New';
-      
-      if (lead.lead_extensions && lead.lead_extensions.length > 0) {
-        status = lead.lead_extensions[0].lead_status || 'New';
-      }
-      
-      // Make sure the status is one of our defined stages
-      if (!pipelineStages.hasOwnProperty(status)) {
-        // Try to map common status variants
-        const normalizedStatus = status.toLowerCase();
-        
-        if (normalizedStatus.includes('appointment') && normalizedStatus.includes('scheduled')) {
-          status = 'Appointment Scheduled';
-        } else if (normalizedStatus.includes('appointment') && normalizedStatus.includes('completed')) {
-          status = 'Appointment Completed';
-        } else if (normalizedStatus.includes('proposal')) {
-          status = 'Proposal Made';
-        } else if (normalizedStatus.includes('contact')) {
-          status = 'Contacted';
-        } else if (normalizedStatus.includes('won')) {
-          status = 'Won';
-        } else if (normalizedStatus.includes('lost')) {
-          status = 'Lost';
-        } else if (normalizedStatus.includes('negotiat')) {
-          status = 'Negotiation';
-        } else {
-          // Default to New if no mapping found
-          status = 'New';
-        }
-      }
-      
-      // Add the lead to its status array
-      pipelineStages[status].push(lead);
+      const stage = getStageForStatus(lead.lead_extensions?.[0]?.lead_status, pipelineStages);
+      pipelineData[stage.key].push(lead);
     });
     
-    return pipelineStages;
+    return pipelineData;
   };
 
   // Render component
@@ -618,6 +568,7 @@ function LeadManagement() {
             <Box mt={2}>
               <LeadPipeline 
                 pipelineData={formatLeadsForPipeline(filteredLeads)} 
+                stages={pipelineStages}
                 onLeadClick={handleViewLeadDetails}
                 onStatusChange={handleLeadStatusChange}
               />
@@ -650,10 +601,10 @@ function LeadManagement() {
                       </TableCell>
                       <TableCell>
                         <Chip 
-                          label={lead?.lead_extensions?.[0]?.lead_status || 'New'} 
+                          label={getStageForStatus(lead?.lead_extensions?.[0]?.lead_status, pipelineStages).label} 
                           color={
-                            lead?.lead_extensions?.[0]?.lead_status === 'Won' ? 'success' :
-                            lead?.lead_extensions?.[0]?.lead_status === 'Lost' ? 'error' :
+                            getStageForStatus(lead?.lead_extensions?.[0]?.lead_status, pipelineStages).key === 'won' ? 'success' :
+                            getStageForStatus(lead?.lead_extensions?.[0]?.lead_status, pipelineStages).key === 'lost' ? 'error' :
                             'primary'
                           }
                           size="small"
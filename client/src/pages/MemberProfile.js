@@ -0,0 +1,428 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Typography,
+  Box,
+  Paper,
+  Grid,
+  Button,
+  Tabs,
+  Tab,
+  Chip,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+  CircularProgress,
+  Alert,
+  Snackbar
+} from '@mui/material';
+import {
+  ArrowBack as ArrowBackIcon,
+  HowToReg as CheckInIcon
+} from '@mui/icons-material';
+
+import { MemberAPI } from '../services/api';
+import ReferralNetwork from '../components/referrals/ReferralNetwork';
+import ErrorBoundary from '../components/common/ErrorBoundary';
+import { membershipStatusColors, churnRiskColors, formatDate } from './Members';
+
+const tabs = [
+  { value: 'overview', label: 'Overview' },
+  { value: 'engagement', label: 'Engagement' },
+  { value: 'financials', label: 'Financials' },
+  { value: 'network', label: 'Referral Network' },
+  { value: 'interactions', label: 'Interactions' }
+];
+
+const formatAmount = amount => `$${Number(amount || 0).toFixed(2)}`;
+const formatDateTime = date => (date ? new Date(date).toLocaleString() : '—');
+
+/**
+ * A labelled value in one of the profile's panels
+ */
+const Field = ({ label, children }) => (
+  <Grid item xs={12} sm={6} md={4}>
+    <Typography variant="body2" color="text.secondary">
+      {label}
+    </Typography>
+    <Typography variant="body1">
+      {children === null || children === undefined || children === '' ? '—' : children}
+    </Typography>
+  </Grid>
+);
+
+/**
+ * Member Profile page component
+ * Shows a member's membership, engagement, billing, referral network and
+ * interactions, and lets the front desk check them in.
+ */
+function MemberProfile() {
+  const { memberId } = useParams();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tab = tabs.some(t => t.value === searchParams.get('tab')) ? searchParams.get('tab') : 'overview';
+
+  const [member, setMember] = useState(null);
+  const [engagement, setEngagement] = useState(null);
+  const [financials, setFinancials] = useState(null);
+  const [network, setNetwork] = useState({ nodes: [], links: [] });
+  const [loading, setLoading] = useState(true);
+  const [tabLoading, setTabLoading] = useState(false);
+  const [checkingIn, setCheckingIn] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const fetchMember = useCallback(async () => {
+    setLoading(true);
+
+    const result = await MemberAPI.getMember(memberId);
+
+    if (result.success) {
+      setMember(result.data.data);
+      setError(null);
+    } else {
+      setError(result.error || 'Failed to load the member');
+    }
+
+    setLoading(false);
+  }, [memberId]);
+
+  // Each tab beyond the overview loads its own data
+  const fetchTab = useCallback(async () => {
+    let result;
+
+    if (tab === 'engagement') {
+      setTabLoading(true);
+      result = await MemberAPI.getMemberEngagement(memberId);
+      if (result.success) setEngagement(result.data.data);
+    } else if (tab === 'financials') {
+      setTabLoading(true);
+      result = await MemberAPI.getMemberFinancials(memberId);
+      if (result.success) setFinancials(result.data.data);
+    } else if (tab === 'network') {
+      setTabLoading(true);
+      result = await MemberAPI.getMemberNetwork(memberId);
+      if (result.success) {
+        const data = result.data.data || { nodes: [], links: [] };
+        setNetwork({
+          nodes: data.nodes.map(node => ({ ...node, type: node.isMember ? 'member' : 'referral' })),
+          links: data.links
+        });
+      }
+    } else {
+      return;
+    }
+
+    if (!result.success) {
+      setError(result.error || 'Failed to load the member\'s details');
+    }
+
+    setTabLoading(false);
+  }, [tab, memberId]);
+
+  useEffect(() => {
+    fetchMember();
+  }, [fetchMember]);
+
+  useEffect(() => {
+    fetchTab();
+  }, [fetchTab]);
+
+  const handleCheckIn = async () => {
+    setCheckingIn(true);
+
+    const result = await MemberAPI.recordCheckIn(memberId);
+
+    if (result.success) {
+      setNotice(result.data.message || 'Check-in recorded');
+      fetchMember();
+      fetchTab();
+    } else {
+      setError(result.error || 'Failed to record the check-in');
+    }
+
+    setCheckingIn(false);
+  };
+
+  // Members open their own profile; referrals have nowhere else to go yet
+  const handleSelectPerson = (person) => {
+    if (person.type === 'member' && person.id !== memberId) {
+      navigate(`/members/${person.id}`);
+    }
+  };
+
+  if (loading && !member) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 6 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  if (!member) {
+    return (
+      <Box>
+        <Button startIcon={<ArrowBackIcon />} onClick={() => navigate('/members')} sx={{ mb: 2 }}>
+          Members
+        </Button>
+        <Alert severity="error">{error || 'Member not found'}</Alert>
+      </Box>
+    );
+  }
+
+  const extension = (member.member_extensions || [])[0] || {};
+  const referrals = member.referrals || [];
+  const interactions = member.interactions || [];
+
+  return (
+    <Box>
+      <Button startIcon={<ArrowBackIcon />} onClick={() => navigate('/members')} sx={{ mb: 2 }}>
+        Members
+      </Button>
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box>
+          <Typography variant="h4" component="h1">
+            {member.first_name} {member.last_name}
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+            {extension.membership_type && <Chip size="small" label={extension.membership_type} />}
+            {extension.membership_status && (
+              <Chip
+                size="small"
+                label={extension.membership_status}
+                color={membershipStatusColors[extension.membership_status] || 'default'}
+              />
+            )}
+            {extension.churn_risk && (
+              <Chip
+                size="small"
+                variant="outlined"
+                label={`${extension.churn_risk} churn risk`}
+                color={churnRiskColors[extension.churn_risk] || 'default'}
+              />
+            )}
+          </Box>
+        </Box>
+        <Button variant="contained" startIcon={<CheckInIcon />} onClick={handleCheckIn} disabled={checkingIn}>
+          {checkingIn ? 'Checking In...' : 'Check In'}
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Tabs
+        value={tab}
+        onChange={(e, value) => setSearchParams(value === 'overview' ? {} : { tab: value })}
+        variant="scrollable"
+        sx={{ mb: 2 }}
+      >
+        {tabs.map(t => <Tab key={t.value} value={t.value} label={t.label} />)}
+      </Tabs>
+
+      {tabLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <>
+          {tab === 'overview' && (
+            <Paper sx={{ p: 3 }}>
+              <Grid container spacing={2}>
+                <Field label="Email">{member.email}</Field>
+                <Field label="Phone">{member.phone}</Field>
+                <Field label="Assigned To">
+                  {member.assigned_to && member.assigned_to.first_name
+                    ? `${member.assigned_to.first_name} ${member.assigned_to.last_name}`
+                    : null}
+                </Field>
+                <Field label="Membership">{extension.membership_type}</Field>
+                <Field label="Joined">{formatDate(extension.join_date)}</Field>
+                <Field label="Membership Ends">{formatDate(extension.membership_end_date)}</Field>
+                <Field label="Last Check-in">{formatDateTime(extension.last_check_in)}</Field>
+                <Field label="Check-ins">{extension.check_in_count || 0}</Field>
+                <Field label="Referrals">{extension.referral_count || 0}</Field>
+              </Grid>
+            </Paper>
+          )}
+
+          {tab === 'engagement' && engagement && (
+            <Paper sx={{ p: 3 }}>
+              <Grid container spacing={2}>
+                <Field label="Check-ins">{engagement.checkInCount}</Field>
+                <Field label="Last Check-in">{formatDateTime(engagement.lastCheckIn)}</Field>
+                <Field label="Attendance Streak">{engagement.attendanceStreak}</Field>
+                <Field label="Satisfaction Score">{engagement.satisfactionScore}</Field>
+                <Field label="Successful Referrals">{engagement.successfulReferrals}</Field>
+              </Grid>
+              <Divider sx={{ my: 2 }} />
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                <Typography variant="subtitle2">
+                  Churn Risk
+                </Typography>
+                {engagement.churnRisk ? (
+                  <Chip
+                    size="small"
+                    label={`${engagement.churnRisk} (${engagement.churnScore ?? '—'}/100)`}
+                    color={churnRiskColors[engagement.churnRisk] || 'default'}
+                  />
+                ) : (
+                  <Typography variant="body2" color="text.secondary">
+                    Not scored yet
+                  </Typography>
+                )}
+                {engagement.churnScoredAt && (
+                  <Typography variant="caption" color="text.secondary">
+                    Scored {formatDateTime(engagement.churnScoredAt)}
+                  </Typography>
+                )}
+              </Box>
+              {engagement.churnRiskFactors.length > 0 && (
+                <List dense disablePadding>
+                  {engagement.churnRiskFactors.map(factor => (
+                    <ListItem key={factor.factor} disableGutters>
+                      <ListItemText primary={factor.detail} />
+                      <Chip
+                        size="small"
+                        variant="outlined"
+                        label={factor.points > 0 ? `+${factor.points}` : factor.points}
+                        color={factor.points > 0 ? 'error' : 'success'}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+              {engagement.retentionActions.some(action => action.status === 'open') && (
+                <Alert severity="warning" sx={{ mt: 1 }}>
+                  {engagement.retentionActions
+                    .filter(action => action.status === 'open')
+                    .map(action => `${action.title} (due ${formatDate(action.due_date)})`)
+                    .join('; ')}
+                </Alert>
+              )}
+              {engagement.classesAttended.length > 0 && (
+                <>
+                  <Divider sx={{ my: 2 }} />
+                  <Typography variant="subtitle2" gutterBottom>
+                    Classes Attended
+                  </Typography>
+                  <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                    {engagement.classesAttended.map((attended, index) => (
+                      <Chip
+                        key={index}
+                        size="small"
+                        label={typeof attended === 'string' ? attended : attended.name || attended.class_name || 'Class'}
+                      />
+                    ))}
+                  </Box>
+                </>
+              )}
+            </Paper>
+          )}
+
+          {tab === 'financials' && financials && (
+            <Paper sx={{ p: 3 }}>
+              <Grid container spacing={2}>
+                <Field label="Membership">{financials.membershipType}</Field>
+                <Field label="Payment Status">{financials.paymentStatus}</Field>
+                <Field label="Billing Day">{financials.billingDay}</Field>
+                <Field label="Monthly Spend">{formatAmount(financials.currentMonthlySpend)}</Field>
+                <Field label="Lifetime Value">{formatAmount(financials.lifetimeValue)}</Field>
+                <Field label="Referral Rewards Earned">{formatAmount(financials.referralRewardsEarned)}</Field>
+                <Field label="Joined">{formatDate(financials.joinDate)}</Field>
+                <Field label="Membership Ends">{formatDate(financials.membershipEndDate)}</Field>
+              </Grid>
+            </Paper>
+          )}
+
+          {tab === 'network' && (
+            <>
+              <Paper sx={{ p: 3, mb: 3 }}>
+                <ErrorBoundary
+                  componentName="ReferralNetwork"
+                  message="Unable to display referral network visualization."
+                >
+                  <ReferralNetwork data={network} onSelectPerson={handleSelectPerson} />
+                </ErrorBoundary>
+              </Paper>
+              <Paper sx={{ p: 3 }}>
+                <Typography variant="h6" gutterBottom>
+                  Referrals Made
+                </Typography>
+                {referrals.length === 0 ? (
+                  <Typography variant="body2" color="text.secondary">
+                    {member.first_name} hasn't referred anyone yet.
+                  </Typography>
+                ) : (
+                  <List dense>
+                    {referrals.map(referral => (
+                      <ListItem key={referral.id} divider>
+                        <ListItemText
+                          primary={referral.referred_person
+                            ? `${referral.referred_person.first_name} ${referral.referred_person.last_name}`
+                            : 'Unknown person'}
+                          secondary={`Referred ${formatDate(referral.referral_date || referral.created_at)}`}
+                        />
+                        {referral.attribution_percentage !== null && referral.attribution_percentage !== undefined && (
+                          <Chip size="small" variant="outlined" label={`${referral.attribution_percentage}% credit`} />
+                        )}
+                      </ListItem>
+                    ))}
+                  </List>
+                )}
+              </Paper>
+            </>
+          )}
+
+          {tab === 'interactions' && (
+            <Paper sx={{ p: 3 }}>
+              {interactions.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  No interactions recorded with {member.first_name} yet.
+                </Typography>
+              ) : (
+                <List dense>
+                  {interactions.map(interaction => (
+                    <ListItem key={interaction.id} divider alignItems="flex-start">
+                      <ListItemText
+                        primary={
+                          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                            <Chip size="small" label={interaction.interaction_type || 'note'} />
+                            <Typography variant="body2" fontWeight="medium">
+                              {interaction.subject || ''}
+                            </Typography>
+                          </Box>
+                        }
+                        secondary={
+                          <>
+                            {interaction.content || interaction.notes || ''}
+                            <br />
+                            {formatDateTime(interaction.created_at)}
+                          </>
+                        }
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+            </Paper>
+          )}
+        </>
+      )}
+
+      <Snackbar
+        open={Boolean(notice)}
+        autoHideDuration={4000}
+        onClose={() => setNotice(null)}
+        message={notice}
+      />
+    </Box>
+  );
+}
+
+export default MemberProfile;
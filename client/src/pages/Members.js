@@ -0,0 +1,285 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Typography,
+  Box,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TablePagination,
+  Chip,
+  Grid,
+  TextField,
+  InputAdornment,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import { Search as SearchIcon } from '@mui/icons-material';
+
+import { MemberAPI, MembershipPlanAPI } from '../services/api';
+
+// Chip colors for each membership status
+export const membershipStatusColors = {
+  active: 'success',
+  frozen: 'info',
+  cancelled: 'default',
+  expired: 'warning'
+};
+
+// Chip colors for each churn risk
+export const churnRiskColors = {
+  low: 'success',
+  medium: 'warning',
+  high: 'error'
+};
+
+const emptyFilters = {
+  search: '',
+  membership_type: '',
+  membership_status: '',
+  churn_risk: '',
+  has_referrals: ''
+};
+
+export const formatDate = date => (date ? new Date(date).toLocaleDateString() : '—');
+const capitalize = value => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '—');
+
+/**
+ * Members page component
+ * Lets the front desk look members up by name, plan, status, churn risk and
+ * whether they have referred anyone, and open their profile.
+ */
+function Members() {
+  const navigate = useNavigate();
+
+  const [members, setMembers] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [plans, setPlans] = useState([]);
+  const [filters, setFilters] = useState(emptyFilters);
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(20);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchMembers = useCallback(async () => {
+    setLoading(true);
+
+    // Leave out filters that aren't set
+    const activeFilters = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+    const result = await MemberAPI.getMembers(activeFilters, page + 1, rowsPerPage);
+
+    if (result.success) {
+      setMembers(result.data.members || []);
+      setTotal(result.data.pagination?.total || 0);
+      setError(null);
+    } else {
+      setError(result.error || 'Failed to load members');
+    }
+
+    setLoading(false);
+  }, [filters, page, rowsPerPage]);
+
+  useEffect(() => {
+    fetchMembers();
+  }, [fetchMembers]);
+
+  useEffect(() => {
+    const fetchPlans = async () => {
+      const result = await MembershipPlanAPI.getPlans(true);
+      if (result.success) setPlans(result.data.data || []);
+    };
+
+    fetchPlans();
+  }, []);
+
+  // Search once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters(prevFilters => (prevFilters.search === search ? prevFilters : { ...prevFilters, search }));
+      setPage(0);
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prevFilters => ({ ...prevFilters, [name]: value }));
+    setPage(0);
+  };
+
+  return (
+    <Box>
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          Members
+        </Typography>
+        <Typography variant="body2" color="text.secondary">
+          Look up a member to see their membership, engagement, billing and referrals.
+        </Typography>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 2, mb: 2 }}>
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={4}>
+            <TextField
+              fullWidth
+              size="small"
+              placeholder="Search by name or email"
+              value={search}
+              onChange={e => setSearch(e.target.value)}
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <SearchIcon />
+                  </InputAdornment>
+                )
+              }}
+            />
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Membership Type</InputLabel>
+              <Select name="membership_type" value={filters.membership_type} label="Membership Type" onChange={handleFilterChange}>
+                <MenuItem value="">All</MenuItem>
+                {plans.map(plan => (
+                  <MenuItem key={plan.id} value={plan.name}>{plan.name}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Status</InputLabel>
+              <Select name="membership_status" value={filters.membership_status} label="Status" onChange={handleFilterChange}>
+                <MenuItem value="">All</MenuItem>
+                {Object.keys(membershipStatusColors).map(status => (
+                  <MenuItem key={status} value={status}>{capitalize(status)}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Churn Risk</InputLabel>
+              <Select name="churn_risk" value={filters.churn_risk} label="Churn Risk" onChange={handleFilterChange}>
+                <MenuItem value="">All</MenuItem>
+                {Object.keys(churnRiskColors).map(risk => (
+                  <MenuItem key={risk} value={risk}>{capitalize(risk)}</MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={6} md={2}>
+            <FormControl fullWidth size="small">
+              <InputLabel>Referrals</InputLabel>
+              <Select name="has_referrals" value={filters.has_referrals} label="Referrals" onChange={handleFilterChange}>
+                <MenuItem value="">All</MenuItem>
+                <MenuItem value="true">Has referred</MenuItem>
+                <MenuItem value="false">No referrals</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+        </Grid>
+      </Paper>
+
+      <Paper>
+        <TableContainer>
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Name</TableCell>
+                <TableCell>Contact</TableCell>
+                <TableCell>Membership</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell>Churn Risk</TableCell>
+                <TableCell align="right">Referrals</TableCell>
+                <TableCell>Last Check-in</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {loading ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">
+                    <CircularProgress size={24} />
+                  </TableCell>
+                </TableRow>
+              ) : members.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={7} align="center">
+                    No members match these filters.
+                  </TableCell>
+                </TableRow>
+              ) : (
+                members.map((member) => {
+                  const extension = (member.member_extensions || [])[0] || {};
+
+                  return (
+                    <TableRow key={member.id} hover sx={{ cursor: 'pointer' }} onClick={() => navigate(`/members/${member.id}`)}>
+                      <TableCell>{member.first_name} {member.last_name}</TableCell>
+                      <TableCell>
+                        <Typography variant="body2">{member.email || '—'}</Typography>
+                        <Typography variant="body2" color="text.secondary">{member.phone || ''}</Typography>
+                      </TableCell>
+                      <TableCell>{extension.membership_type || '—'}</TableCell>
+                      <TableCell>
+                        {extension.membership_status && (
+                          <Chip
+                            size="small"
+                            label={capitalize(extension.membership_status)}
+                            color={membershipStatusColors[extension.membership_status] || 'default'}
+                          />
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {extension.churn_risk && (
+                          <Chip
+                            size="small"
+                            variant="outlined"
+                            label={capitalize(extension.churn_risk)}
+                            color={churnRiskColors[extension.churn_risk] || 'default'}
+                          />
+                        )}
+                      </TableCell>
+                      <TableCell align="right">{extension.referral_count || 0}</TableCell>
+                      <TableCell>{formatDate(extension.last_check_in)}</TableCell>
+                    </TableRow>
+                  );
+                })
+              )}
+            </TableBody>
+          </Table>
+        </TableContainer>
+        <TablePagination
+          component="div"
+          count={total}
+          page={page}
+          rowsPerPage={rowsPerPage}
+          rowsPerPageOptions={[10, 20, 50]}
+          onPageChange={(e, newPage) => setPage(newPage)}
+          onRowsPerPageChange={(e) => {
+            setRowsPerPage(parseInt(e.target.value, 10));
+            setPage(0);
+          }}
+        />
+      </Paper>
+    </Box>
+  );
+}
+
+export default Members;
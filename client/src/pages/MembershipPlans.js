@@ -0,0 +1,343 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Navigate } from 'react-router-dom';
+import {
+  Typography,
+  Box,
+  Paper,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Grid,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Block as BlockIcon
+} from '@mui/icons-material';
+
+import { useAuth } from '../contexts/AuthContext';
+import { MembershipPlanAPI } from '../services/api';
+
+// Labels for each billing interval
+const billingIntervalLabels = {
+  month: 'Monthly',
+  quarter: 'Quarterly',
+  year: 'Yearly'
+};
+
+const emptyPlan = {
+  name: '',
+  description: '',
+  monthly_price: '',
+  billing_interval: 'month',
+  trial_days: 0,
+  enrollment_fee: 0
+};
+
+/**
+ * Membership Plans page component
+ * Lets admins manage the membership plan catalog. The server keeps each plan's
+ * Stripe product and prices in step, so leads, conversions and checkouts all
+ * use the same prices.
+ */
+function MembershipPlans() {
+  const { currentUser } = useAuth();
+  const isAdmin = currentUser?.role === 'admin';
+
+  const [plans, setPlans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [formErrors, setFormErrors] = useState([]);
+
+  // Plan being created or edited; null when the dialog is closed
+  const [editingPlan, setEditingPlan] = useState(null);
+
+  const fetchPlans = useCallback(async () => {
+    setLoading(true);
+    const result = await MembershipPlanAPI.getPlans(true);
+
+    if (result.success) {
+      setPlans(result.data.data || []);
+      setError(null);
+    } else {
+      setError(result.error || 'Failed to load membership plans');
+    }
+
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchPlans();
+    }
+  }, [isAdmin, fetchPlans]);
+
+  if (!isAdmin) {
+    return <Navigate to="/" replace />;
+  }
+
+  const handleOpen = (plan = null) => {
+    setFormErrors([]);
+    setEditingPlan(plan ? { ...plan, description: plan.description || '' } : { ...emptyPlan });
+  };
+
+  const handleClose = () => {
+    setEditingPlan(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setEditingPlan(prevPlan => ({ ...prevPlan, [name]: value }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+
+    const planData = {
+      name: editingPlan.name,
+      description: editingPlan.description || null,
+      monthly_price: editingPlan.monthly_price,
+      billing_interval: editingPlan.billing_interval,
+      trial_days: editingPlan.trial_days,
+      enrollment_fee: editingPlan.enrollment_fee
+    };
+
+    const result = editingPlan.id
+      ? await MembershipPlanAPI.updatePlan(editingPlan.id, planData)
+      : await MembershipPlanAPI.createPlan(planData);
+
+    setSaving(false);
+
+    if (result.success) {
+      setEditingPlan(null);
+      fetchPlans();
+    } else {
+      // A 400 carries the validation errors, or the server's message (e.g. a duplicate name)
+      if (Array.isArray(result.details)) {
+        setFormErrors(result.details);
+      } else {
+        setFormErrors([result.details?.message || result.error || 'Failed to save membership plan']);
+      }
+    }
+  };
+
+  const handleDeactivate = async (plan) => {
+    if (!window.confirm(`Stop offering the ${plan.name} plan? Existing members keep their subscriptions.`)) {
+      return;
+    }
+
+    const result = await MembershipPlanAPI.deactivatePlan(plan.id);
+
+    if (result.success) {
+      fetchPlans();
+    } else {
+      setError(result.error || 'Failed to deactivate membership plan');
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box>
+          <Typography variant="h4" component="h1">
+            Membership Plans
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Plans offered to leads and charged through Stripe. A price change applies to new members only.
+          </Typography>
+        </Box>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => handleOpen()}>
+          New Plan
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <TableContainer component={Paper}>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Plan</TableCell>
+                <TableCell align="right">Monthly Price</TableCell>
+                <TableCell>Billing</TableCell>
+                <TableCell align="right">Trial Days</TableCell>
+                <TableCell align="right">Enrollment Fee</TableCell>
+                <TableCell align="right">Lead Value</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {plans.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={8} align="center">
+                    No membership plans yet
+                  </TableCell>
+                </TableRow>
+              )}
+              {plans.map(plan => (
+                <TableRow key={plan.id}>
+                  <TableCell>
+                    <Typography variant="body2" fontWeight="medium">{plan.name}</Typography>
+                    {plan.description && (
+                      <Typography variant="caption" color="text.secondary">{plan.description}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">${plan.monthly_price}</TableCell>
+                  <TableCell>
+                    {billingIntervalLabels[plan.billing_interval]} (${plan.interval_price})
+                  </TableCell>
+                  <TableCell align="right">{plan.trial_days}</TableCell>
+                  <TableCell align="right">${plan.enrollment_fee}</TableCell>
+                  <TableCell align="right">${plan.estimated_value}</TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={plan.is_active ? 'Offered' : 'Retired'}
+                      color={plan.is_active ? 'success' : 'default'}
+                    />
+                  </TableCell>
+                  <TableCell align="right">
+                    <Button size="small" startIcon={<EditIcon />} onClick={() => handleOpen(plan)}>
+                      Edit
+                    </Button>
+                    {plan.is_active && (
+                      <Button size="small" color="error" startIcon={<BlockIcon />} onClick={() => handleDeactivate(plan)}>
+                        Retire
+                      </Button>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </TableContainer>
+
+      <Dialog open={Boolean(editingPlan)} onClose={handleClose} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingPlan?.id ? `Edit ${editingPlan.name}` : 'New Membership Plan'}</DialogTitle>
+        {editingPlan && (
+          <DialogContent>
+            {formErrors.length > 0 && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {formErrors.map(message => <div key={message}>{message}</div>)}
+              </Alert>
+            )}
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  required
+                  name="name"
+                  label="Name"
+                  value={editingPlan.name}
+                  onChange={handleChange}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  multiline
+                  rows={2}
+                  name="description"
+                  label="Description"
+                  value={editingPlan.description}
+                  onChange={handleChange}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  required
+                  name="monthly_price"
+                  label="Monthly Price ($)"
+                  type="number"
+                  InputProps={{ inputProps: { min: 0, step: '0.01' } }}
+                  value={editingPlan.monthly_price}
+                  onChange={handleChange}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <FormControl fullWidth>
+                  <InputLabel id="billing-interval-label">Billing Interval</InputLabel>
+                  <Select
+                    labelId="billing-interval-label"
+                    name="billing_interval"
+                    value={editingPlan.billing_interval}
+                    onChange={handleChange}
+                    label="Billing Interval"
+                  >
+                    {Object.entries(billingIntervalLabels).map(([value, label]) => (
+                      <MenuItem key={value} value={value}>{label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  name="trial_days"
+                  label="Trial Days"
+                  type="number"
+                  InputProps={{ inputProps: { min: 0 } }}
+                  value={editingPlan.trial_days}
+                  onChange={handleChange}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  name="enrollment_fee"
+                  label="Enrollment Fee ($)"
+                  type="number"
+                  InputProps={{ inputProps: { min: 0, step: '0.01' } }}
+                  value={editingPlan.enrollment_fee}
+                  onChange={handleChange}
+                />
+              </Grid>
+            </Grid>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={handleClose}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving}
+            startIcon={saving ? <CircularProgress size={16} /> : null}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default MembershipPlans;
@@ -0,0 +1,731 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Navigate } from 'react-router-dom';
+import {
+  Typography,
+  Box,
+  Paper,
+  Button,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Grid,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  FormGroup,
+  FormLabel,
+  Checkbox,
+  InputLabel,
+  Select,
+  MenuItem,
+  Tooltip,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Delete as DeleteIcon,
+  Pause as PauseIcon,
+  PlayArrow as PlayArrowIcon,
+  BarChart as BarChartIcon,
+  ArrowUpward as ArrowUpwardIcon,
+  ArrowDownward as ArrowDownwardIcon,
+  Close as CloseIcon
+} from '@mui/icons-material';
+
+import { useAuth } from '../contexts/AuthContext';
+import { NurtureAPI, LeadAPI } from '../services/api';
+
+// Labels for the server's audiences, triggers, exit conditions and channels
+const audienceLabels = {
+  any: 'Leads and referrals',
+  lead: 'Leads',
+  referral: 'Referrals'
+};
+
+const triggerLabels = {
+  manual: 'Enrolled by hand',
+  lead_created: 'New lead',
+  referral_created: 'New referral',
+  lead_status_changed: 'Lead reaches a stage'
+};
+
+const exitConditionLabels = {
+  replied: 'Replied',
+  appointment_booked: 'Booked an appointment',
+  converted: 'Converted',
+  opted_out: 'Opted out'
+};
+
+const channelLabels = {
+  sms: 'SMS',
+  email: 'Email'
+};
+
+// Units a step's delay can be entered in, largest first
+const delayUnits = [
+  { value: 1440, label: 'days' },
+  { value: 60, label: 'hours' },
+  { value: 1, label: 'minutes' }
+];
+
+const PLACEHOLDERS = '{{first_name}}, {{last_name}}, {{full_name}}, {{salesperson_first_name}}, {{salesperson_name}}, {{business_name}}';
+
+const emptyStep = {
+  delay: 1,
+  unit: 1440,
+  channel: 'sms',
+  subject: '',
+  template: ''
+};
+
+const emptySequence = {
+  name: '',
+  description: '',
+  audience: 'any',
+  trigger: 'manual',
+  trigger_status: '',
+  exit_conditions: Object.keys(exitConditionLabels),
+  steps: [{ ...emptyStep, delay: 0 }]
+};
+
+/**
+ * Describe a delay in minutes in the largest whole unit
+ * @param {number} minutes - Delay in minutes
+ * @returns {Object} { delay, unit } for the step editor
+ */
+const splitDelay = (minutes) => {
+  const unit = delayUnits.find(option => minutes % option.value === 0 && minutes > 0) || delayUnits[2];
+  return { delay: minutes / unit.value, unit: unit.value };
+};
+
+/**
+ * Describe a step's delay for the sequence list
+ * @param {Object} step - Step
+ * @param {number} index - Its position in the sequence
+ * @returns {string} e.g. "SMS right away" or "Email after 2 days"
+ */
+const describeStep = (step, index) => {
+  const { delay, unit } = splitDelay(step.delay_minutes);
+  const unitLabel = delayUnits.find(option => option.value === unit).label;
+  const when = step.delay_minutes === 0
+    ? (index === 0 ? 'right away' : 'straight after')
+    : `after ${delay} ${delay === 1 ? unitLabel.slice(0, -1) : unitLabel}`;
+
+  return `${channelLabels[step.channel]} ${when}`;
+};
+
+/**
+ * Nurture Sequences page component
+ * Lets admins define drip campaigns: steps sent by SMS or email after a delay,
+ * who is enrolled and when, and what takes a person out early. Each
+ * sequence's stats show how many people are in it and how each step is doing.
+ */
+function NurtureSequences() {
+  const { currentUser } = useAuth();
+  const isAdmin = currentUser?.role === 'admin';
+
+  const [sequences, setSequences] = useState([]);
+  const [stages, setStages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [formError, setFormError] = useState(null);
+
+  // Sequence being created or edited; null when the dialog is closed
+  const [editing, setEditing] = useState(null);
+
+  // Sequence whose stats are shown, with its stats and active enrollments
+  const [viewing, setViewing] = useState(null);
+
+  const fetchSequences = useCallback(async () => {
+    setLoading(true);
+    const result = await NurtureAPI.getSequences();
+
+    if (result.success) {
+      setSequences(result.data.data || []);
+      setError(null);
+    } else {
+      setError(result.error || 'Failed to load nurture sequences');
+    }
+
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchSequences();
+
+      LeadAPI.getPipeline().then((result) => {
+        if (result.success) {
+          setStages(result.data.data || []);
+        }
+      });
+    }
+  }, [isAdmin, fetchSequences]);
+
+  if (!isAdmin) {
+    return <Navigate to="/" replace />;
+  }
+
+  const handleOpen = (sequence = null) => {
+    setFormError(null);
+    setEditing(sequence
+      ? {
+        id: sequence.id,
+        name: sequence.name,
+        description: sequence.description || '',
+        audience: sequence.audience,
+        trigger: sequence.trigger,
+        trigger_status: sequence.trigger_status || '',
+        exit_conditions: sequence.exit_conditions,
+        steps: sequence.steps.map(step => ({
+          ...splitDelay(step.delay_minutes),
+          channel: step.channel,
+          subject: step.subject || '',
+          template: step.template
+        }))
+      }
+      : { ...emptySequence, steps: emptySequence.steps.map(step => ({ ...step })) });
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setEditing(current => ({ ...current, [name]: value }));
+  };
+
+  const handleExitConditionChange = (condition) => {
+    setEditing(current => ({
+      ...current,
+      exit_conditions: current.exit_conditions.includes(condition)
+        ? current.exit_conditions.filter(value => value !== condition)
+        : [...current.exit_conditions, condition]
+    }));
+  };
+
+  const handleStepChange = (index, name, value) => {
+    setEditing(current => ({
+      ...current,
+      steps: current.steps.map((step, position) => (position === index ? { ...step, [name]: value } : step))
+    }));
+  };
+
+  const handleAddStep = () => {
+    setEditing(current => ({ ...current, steps: [...current.steps, { ...emptyStep }] }));
+  };
+
+  const handleRemoveStep = (index) => {
+    setEditing(current => ({ ...current, steps: current.steps.filter((step, position) => position !== index) }));
+  };
+
+  const handleMoveStep = (index, offset) => {
+    setEditing((current) => {
+      const steps = [...current.steps];
+      [steps[index], steps[index + offset]] = [steps[index + offset], steps[index]];
+      return { ...current, steps };
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+
+    const sequenceData = {
+      name: editing.name,
+      description: editing.description || null,
+      audience: editing.audience,
+      trigger: editing.trigger,
+      trigger_status: editing.trigger === 'lead_status_changed' ? editing.trigger_status : null,
+      exit_conditions: editing.exit_conditions,
+      steps: editing.steps.map(step => ({
+        delay_minutes: Math.round(Number(step.delay) * step.unit),
+        channel: step.channel,
+        subject: step.channel === 'email' ? step.subject : null,
+        template: step.template
+      }))
+    };
+
+    const result = editing.id
+      ? await NurtureAPI.updateSequence(editing.id, sequenceData)
+      : await NurtureAPI.createSequence(sequenceData);
+
+    setSaving(false);
+
+    if (result.success) {
+      setEditing(null);
+      fetchSequences();
+    } else {
+      setFormError(result.details?.message || result.error || 'Failed to save nurture sequence');
+    }
+  };
+
+  const handleToggleActive = async (sequence) => {
+    const result = await NurtureAPI.updateSequence(sequence.id, { is_active: !sequence.is_active });
+
+    if (result.success) {
+      fetchSequences();
+    } else {
+      setError(result.error || 'Failed to update nurture sequence');
+    }
+  };
+
+  const handleDelete = async (sequence) => {
+    if (!window.confirm(`Delete the ${sequence.name} sequence? Everyone in it is taken out and its stats are lost.`)) {
+      return;
+    }
+
+    const result = await NurtureAPI.deleteSequence(sequence.id);
+
+    if (result.success) {
+      fetchSequences();
+    } else {
+      setError(result.error || 'Failed to delete nurture sequence');
+    }
+  };
+
+  const handleViewStats = async (sequence) => {
+    setViewing({ sequence, stats: null, enrollments: [] });
+
+    const [statsResult, enrollmentsResult] = await Promise.all([
+      NurtureAPI.getSequence(sequence.id),
+      NurtureAPI.getEnrollments({ status: 'active', pageSize: 50 }, sequence.id)
+    ]);
+
+    if (statsResult.success) {
+      setViewing({
+        sequence: statsResult.data.data.sequence,
+        stats: statsResult.data.data.stats,
+        enrollments: enrollmentsResult.success ? enrollmentsResult.data.data : []
+      });
+    } else {
+      setViewing(null);
+      setError(statsResult.error || 'Failed to load nurture sequence stats');
+    }
+  };
+
+  const handleCancelEnrollment = async (enrollment) => {
+    const name = `${enrollment.person?.first_name || ''} ${enrollment.person?.last_name || ''}`.trim();
+
+    if (!window.confirm(`Take ${name || 'this person'} out of the sequence?`)) {
+      return;
+    }
+
+    const result = await NurtureAPI.cancelEnrollment(viewing.sequence.id, enrollment.id);
+
+    if (result.success) {
+      handleViewStats(viewing.sequence);
+    } else {
+      setError(result.error || 'Failed to take the person out of the sequence');
+    }
+  };
+
+  const describeTrigger = (sequence) => {
+    if (sequence.trigger !== 'lead_status_changed') {
+      return triggerLabels[sequence.trigger];
+    }
+
+    const stage = stages.find(option => option.key === sequence.trigger_status);
+    return `Lead reaches ${stage ? stage.label : sequence.trigger_status}`;
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box>
+          <Typography variant="h4" component="h1">
+            Nurture Sequences
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Texts and emails sent to leads and referrals over time, from their salesperson, until they reply, book or convert.
+          </Typography>
+        </Box>
+        <Button variant="contained" startIcon={<AddIcon />} onClick={() => handleOpen()}>
+          New Sequence
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <TableContainer component={Paper}>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Table>
+            <TableHead>
+              <TableRow>
+                <TableCell>Sequence</TableCell>
+                <TableCell>Audience</TableCell>
+                <TableCell>Enrolls</TableCell>
+                <TableCell>Steps</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell align="right">Actions</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {sequences.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">
+                    No nurture sequences yet
+                  </TableCell>
+                </TableRow>
+              )}
+              {sequences.map(sequence => (
+                <TableRow key={sequence.id}>
+                  <TableCell>
+                    <Typography variant="body2" fontWeight="medium">{sequence.name}</Typography>
+                    {sequence.description && (
+                      <Typography variant="caption" color="text.secondary">{sequence.description}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell>{audienceLabels[sequence.audience]}</TableCell>
+                  <TableCell>{describeTrigger(sequence)}</TableCell>
+                  <TableCell>
+                    {sequence.steps.map((step, index) => (
+                      <Typography key={step.id} variant="caption" display="block">
+                        {index + 1}. {describeStep(step, index)}
+                      </Typography>
+                    ))}
+                  </TableCell>
+                  <TableCell>
+                    <Chip
+                      size="small"
+                      label={sequence.is_active ? 'Active' : 'Paused'}
+                      color={sequence.is_active ? 'success' : 'default'}
+                    />
+                  </TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title="Stats">
+                      <IconButton size="small" onClick={() => handleViewStats(sequence)}>
+                        <BarChartIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Edit">
+                      <IconButton size="small" onClick={() => handleOpen(sequence)}>
+                        <EditIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title={sequence.is_active ? 'Pause' : 'Resume'}>
+                      <IconButton size="small" onClick={() => handleToggleActive(sequence)}>
+                        {sequence.is_active ? <PauseIcon fontSize="small" /> : <PlayArrowIcon fontSize="small" />}
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="Delete">
+                      <IconButton size="small" color="error" onClick={() => handleDelete(sequence)}>
+                        <DeleteIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </TableContainer>
+
+      <Dialog open={Boolean(editing)} onClose={() => setEditing(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{editing?.id ? `Edit ${editing.name}` : 'New Nurture Sequence'}</DialogTitle>
+        {editing && (
+          <DialogContent>
+            {formError && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {formError}
+              </Alert>
+            )}
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  required
+                  name="name"
+                  label="Name"
+                  value={editing.name}
+                  onChange={handleChange}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  name="description"
+                  label="Description"
+                  value={editing.description}
+                  onChange={handleChange}
+                />
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <FormControl fullWidth>
+                  <InputLabel id="audience-label">Audience</InputLabel>
+                  <Select
+                    labelId="audience-label"
+                    name="audience"
+                    value={editing.audience}
+                    onChange={handleChange}
+                    label="Audience"
+                  >
+                    {Object.entries(audienceLabels).map(([value, label]) => (
+                      <MenuItem key={value} value={value}>{label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} sm={4}>
+                <FormControl fullWidth>
+                  <InputLabel id="trigger-label">Enroll</InputLabel>
+                  <Select
+                    labelId="trigger-label"
+                    name="trigger"
+                    value={editing.trigger}
+                    onChange={handleChange}
+                    label="Enroll"
+                  >
+                    {Object.entries(triggerLabels).map(([value, label]) => (
+                      <MenuItem key={value} value={value}>{label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              {editing.trigger === 'lead_status_changed' && (
+                <Grid item xs={12} sm={4}>
+                  <FormControl fullWidth required>
+                    <InputLabel id="trigger-status-label">Stage</InputLabel>
+                    <Select
+                      labelId="trigger-status-label"
+                      name="trigger_status"
+                      value={editing.trigger_status}
+                      onChange={handleChange}
+                      label="Stage"
+                    >
+                      {stages.map(stage => (
+                        <MenuItem key={stage.key} value={stage.key}>{stage.label}</MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </Grid>
+              )}
+              <Grid item xs={12}>
+                <FormControl component="fieldset">
+                  <FormLabel component="legend">Take people out when they have</FormLabel>
+                  <FormGroup row>
+                    {Object.entries(exitConditionLabels).map(([value, label]) => (
+                      <FormControlLabel
+                        key={value}
+                        control={(
+                          <Checkbox
+                            checked={editing.exit_conditions.includes(value)}
+                            onChange={() => handleExitConditionChange(value)}
+                          />
+                        )}
+                        label={label}
+                      />
+                    ))}
+                  </FormGroup>
+                </FormControl>
+              </Grid>
+            </Grid>
+
+            <Typography variant="subtitle1" sx={{ mt: 3 }}>Steps</Typography>
+            <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 1 }}>
+              The first step's wait starts at enrollment; each later step waits after the one before. Placeholders: {PLACEHOLDERS}
+            </Typography>
+            {editing.steps.map((step, index) => (
+              <Paper key={index} variant="outlined" sx={{ p: 2, mb: 2 }}>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                  <Typography variant="body2" fontWeight="medium">Step {index + 1}</Typography>
+                  <Box>
+                    <IconButton size="small" disabled={index === 0} onClick={() => handleMoveStep(index, -1)}>
+                      <ArrowUpwardIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" disabled={index === editing.steps.length - 1} onClick={() => handleMoveStep(index, 1)}>
+                      <ArrowDownwardIcon fontSize="small" />
+                    </IconButton>
+                    <IconButton size="small" disabled={editing.steps.length === 1} onClick={() => handleRemoveStep(index)}>
+                      <CloseIcon fontSize="small" />
+                    </IconButton>
+                  </Box>
+                </Box>
+                <Grid container spacing={2}>
+                  <Grid item xs={6} sm={3}>
+                    <TextField
+                      fullWidth
+                      label="Wait"
+                      type="number"
+                      InputProps={{ inputProps: { min: 0 } }}
+                      value={step.delay}
+                      onChange={e => handleStepChange(index, 'delay', e.target.value)}
+                    />
+                  </Grid>
+                  <Grid item xs={6} sm={3}>
+                    <FormControl fullWidth>
+                      <InputLabel id={`step-${index}-unit-label`}>Unit</InputLabel>
+                      <Select
+                        labelId={`step-${index}-unit-label`}
+                        value={step.unit}
+                        onChange={e => handleStepChange(index, 'unit', e.target.value)}
+                        label="Unit"
+                      >
+                        {delayUnits.map(option => (
+                          <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                  <Grid item xs={12} sm={6}>
+                    <FormControl fullWidth>
+                      <InputLabel id={`step-${index}-channel-label`}>Send by</InputLabel>
+                      <Select
+                        labelId={`step-${index}-channel-label`}
+                        value={step.channel}
+                        onChange={e => handleStepChange(index, 'channel', e.target.value)}
+                        label="Send by"
+                      >
+                        {Object.entries(channelLabels).map(([value, label]) => (
+                          <MenuItem key={value} value={value}>{label}</MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  </Grid>
+                  {step.channel === 'email' && (
+                    <Grid item xs={12}>
+                      <TextField
+                        fullWidth
+                        required
+                        label="Subject"
+                        value={step.subject}
+                        onChange={e => handleStepChange(index, 'subject', e.target.value)}
+                      />
+                    </Grid>
+                  )}
+                  <Grid item xs={12}>
+                    <TextField
+                      fullWidth
+                      required
+                      multiline
+                      rows={3}
+                      label="Message"
+                      value={step.template}
+                      onChange={e => handleStepChange(index, 'template', e.target.value)}
+                    />
+                  </Grid>
+                </Grid>
+              </Paper>
+            ))}
+            <Button startIcon={<AddIcon />} onClick={handleAddStep}>
+              Add Step
+            </Button>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditing(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving}
+            startIcon={saving ? <CircularProgress size={16} /> : null}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(viewing)} onClose={() => setViewing(null)} maxWidth="md" fullWidth>
+        <DialogTitle>{viewing?.sequence.name}</DialogTitle>
+        <DialogContent>
+          {viewing && !viewing.stats && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+              <CircularProgress />
+            </Box>
+          )}
+          {viewing?.stats && (
+            <>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+                <Chip label={`${viewing.stats.enrollments.total} enrolled`} />
+                <Chip color="primary" label={`${viewing.stats.enrollments.active} active`} />
+                <Chip color="success" label={`${viewing.stats.enrollments.completed} completed`} />
+                <Chip label={`${viewing.stats.enrollments.cancelled} taken out`} />
+                {Object.entries(viewing.stats.enrollments.exit_reasons).map(([reason, count]) => (
+                  <Chip key={reason} variant="outlined" label={`${exitConditionLabels[reason]}: ${count}`} />
+                ))}
+              </Box>
+
+              <TableContainer component={Paper} variant="outlined" sx={{ mb: 3 }}>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Step</TableCell>
+                      <TableCell align="right">Sent</TableCell>
+                      <TableCell align="right">Delivered</TableCell>
+                      <TableCell align="right">Failed</TableCell>
+                      <TableCell align="right">Skipped</TableCell>
+                      <TableCell align="right">Replies</TableCell>
+                      <TableCell align="right">Reply Rate</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {viewing.stats.steps.map((stats, index) => (
+                      <TableRow key={stats.step_id}>
+                        <TableCell>{index + 1}. {channelLabels[stats.channel]}</TableCell>
+                        <TableCell align="right">{stats.sent}</TableCell>
+                        <TableCell align="right">{stats.channel === 'sms' ? stats.delivered : '—'}</TableCell>
+                        <TableCell align="right">{stats.failed}</TableCell>
+                        <TableCell align="right">{stats.skipped}</TableCell>
+                        <TableCell align="right">{stats.responded}</TableCell>
+                        <TableCell align="right">{stats.response_rate}%</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+
+              <Typography variant="subtitle1" gutterBottom>In the sequence now</Typography>
+              {viewing.enrollments.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">Nobody is in this sequence right now.</Typography>
+              ) : (
+                <Table size="small">
+                  <TableBody>
+                    {viewing.enrollments.map(enrollment => (
+                      <TableRow key={enrollment.id}>
+                        <TableCell>
+                          {enrollment.person ? `${enrollment.person.first_name} ${enrollment.person.last_name || ''}` : 'Unknown'}
+                        </TableCell>
+                        <TableCell>
+                          {enrollment.current_step} of {viewing.sequence.steps.length} sent
+                        </TableCell>
+                        <TableCell>
+                          {enrollment.next_step_at ? `Next ${new Date(enrollment.next_step_at).toLocaleString()}` : ''}
+                        </TableCell>
+                        <TableCell align="right">
+                          <Button size="small" color="error" onClick={() => handleCancelEnrollment(enrollment)}>
+                            Take Out
+                          </Button>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setViewing(null)}>Close</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default NurtureSequences;
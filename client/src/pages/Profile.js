@@ -1,4 +1,5 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import {
   Typography,
   Box,
@@ -15,25 +16,78 @@ import {
   FormGroup,
   Card,
   CardContent,
-  CircularProgress
+  CircularProgress,
+  Alert,
+  Chip,
+  Stack,
+  LinearProgress
 } from '@mui/material';
 import {
   Person as PersonIcon,
   Security as SecurityIcon,
   Notifications as NotificationsIcon,
   Save as SaveIcon,
-  Upload as UploadIcon
+  Upload as UploadIcon,
+  Link as LinkIcon,
+  Google as GoogleIcon,
+  CreditCard as CreditCardIcon
 } from '@mui/icons-material';
 
+import { useAuth } from '../contexts/AuthContext';
+import { AccountAPI, OrganizationAPI } from '../services/api';
+
+// Messages for the result the Google callback sends back in ?google=
+const googleResultMessages = {
+  connected: { severity: 'success', text: 'Your Google account is connected.' },
+  denied: { severity: 'warning', text: 'Google access was not granted, so your account was not connected.' },
+  invalid_state: { severity: 'error', text: 'The Google connection link expired. Please try connecting again.' },
+  error: { severity: 'error', text: 'We couldn\'t connect your Google account. Please try again.' }
+};
+
+const CONNECTED_ACCOUNTS_TAB = 3;
+const BILLING_TAB = 4;
+
+// Colors for the organization's Stripe subscription status
+const subscriptionStatusColors = {
+  active: 'success',
+  trialing: 'success',
+  incomplete: 'warning',
+  past_due: 'error',
+  unpaid: 'error',
+  canceled: 'default'
+};
+
+// Format a plan limit for display; null limits are unlimited
+const formatLimit = (value) => (value === null ? 'Unlimited' : Number(value).toLocaleString());
+
 /**
  * Profile page component
  * Handles user profile settings and preferences
  */
 function Profile() {
-  const [tab, setTab] = useState(0);
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const isAdmin = currentUser?.role === 'admin';
+  const googleResult = new URLSearchParams(location.search).get('google');
+  
+  const [tab, setTab] = useState(googleResult ? CONNECTED_ACCOUNTS_TAB : 0);
   const [loading, setLoading] = useState(false);
   const [success, setSuccess] = useState(false);
   
+  // Connected accounts
+  const [googleConnection, setGoogleConnection] = useState(null);
+  const [googleLoading, setGoogleLoading] = useState(false);
+  const [googleError, setGoogleError] = useState(null);
+  const [googleNotice, setGoogleNotice] = useState(googleResultMessages[googleResult] || null);
+  
+  // Organization billing
+  const [organization, setOrganization] = useState(null);
+  const [tiers, setTiers] = useState([]);
+  const [billingLoading, setBillingLoading] = useState(false);
+  const [billingError, setBillingError] = useState(null);
+  const [subscribingTier, setSubscribingTier] = useState(null);
+  
   // Sample user data - would come from Auth context in a real implementation
   const [profileData, setProfileData] = useState({
     firstName: 'John',
@@ -60,6 +114,126 @@ function Profile() {
     }
   });
   
+  // Load the Google connection, optionally confirming its tokens still work
+  const fetchGoogleConnection = useCallback(async (check = false) => {
+    setGoogleLoading(true);
+    setGoogleError(null);
+    
+    const result = await AccountAPI.getGoogleConnection(check);
+    
+    if (result.success) {
+      setGoogleConnection(result.data.data);
+    } else {
+      setGoogleError(result.error);
+    }
+    
+    setGoogleLoading(false);
+  }, []);
+  
+  useEffect(() => {
+    if (tab === CONNECTED_ACCOUNTS_TAB) {
+      fetchGoogleConnection();
+    }
+  }, [tab, fetchGoogleConnection]);
+  
+  // Load the organization's plan, usage and the tiers it can move to
+  const fetchBilling = useCallback(async () => {
+    setBillingLoading(true);
+    setBillingError(null);
+    
+    const [organizationResult, tiersResult] = await Promise.all([
+      OrganizationAPI.getOrganization(),
+      OrganizationAPI.getTiers()
+    ]);
+    
+    if (organizationResult.success) {
+      setOrganization(organizationResult.data.data);
+    } else {
+      setBillingError(organizationResult.error);
+    }
+    
+    if (tiersResult.success) {
+      setTiers(tiersResult.data.data || []);
+    }
+    
+    setBillingLoading(false);
+  }, []);
+  
+  useEffect(() => {
+    if (tab === BILLING_TAB) {
+      fetchBilling();
+    }
+  }, [tab, fetchBilling]);
+  
+  const handleSubscribe = async (tierKey) => {
+    setSubscribingTier(tierKey);
+    setBillingError(null);
+    
+    const result = await OrganizationAPI.subscribe(tierKey);
+    
+    if (result.success) {
+      setOrganization(result.data.data.organization);
+    } else {
+      // A 400 explains why the tier cannot be used, e.g. more seats in use than it includes
+      setBillingError(result.details?.message || result.error);
+    }
+    
+    setSubscribingTier(null);
+  };
+  
+  // Drop the callback result from the URL so a refresh does not show it again
+  useEffect(() => {
+    if (googleResult) {
+      navigate(location.pathname, { replace: true });
+    }
+  }, [googleResult, location.pathname, navigate]);
+  
+  // Start connecting: Google sends the browser back to the API callback, then here
+  const handleConnectGoogle = async () => {
+    setGoogleLoading(true);
+    setGoogleError(null);
+    
+    const result = await AccountAPI.connectGoogle();
+    
+    if (result.success) {
+      window.location.href = result.data.data.url;
+    } else {
+      setGoogleError(result.error);
+      setGoogleLoading(false);
+    }
+  };
+  
+  const handleDisconnectGoogle = async () => {
+    setGoogleLoading(true);
+    setGoogleError(null);
+    setGoogleNotice(null);
+    
+    const result = await AccountAPI.disconnectGoogle();
+    
+    if (result.success) {
+      setGoogleConnection(result.data.data);
+    } else {
+      setGoogleError(result.error);
+    }
+    
+    setGoogleLoading(false);
+  };
+  
+  // Summarize the connection's health for the status chip
+  const getGoogleHealth = (connection) => {
+    if (!connection || !connection.connected) {
+      return { label: 'Not connected', color: 'default' };
+    }
+    
+    if (connection.status === 'needs_reauth') {
+      return { label: 'Needs reconnecting', color: 'error' };
+    }
+    
+    return connection.healthy
+      ? { label: 'Connected', color: 'success' }
+      : { label: 'Connection problem', color: 'warning' };
+  };
+  
   // Handle tab change
   const handleTabChange = (event, newValue) => {
     setTab(newValue);
@@ -119,6 +293,8 @@ function Profile() {
           <Tab icon={<PersonIcon />} label="Personal Info" />
           <Tab icon={<SecurityIcon />} label="Security" />
           <Tab icon={<NotificationsIcon />} label="Notifications" />
+          <Tab icon={<LinkIcon />} label="Connected Accounts" />
+          <Tab icon={<CreditCardIcon />} label="Billing" />
         </Tabs>
       </Paper>
       
@@ -442,6 +618,207 @@ function Profile() {
           </Grid>
         </Paper>
       )}
+      
+      {/* Connected Accounts Tab */}
+      {tab === CONNECTED_ACCOUNTS_TAB && (
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Connected Accounts
+          </Typography>
+          <Divider sx={{ mb: 3 }} />
+          
+          {googleNotice && (
+            <Alert severity={googleNotice.severity} sx={{ mb: 3 }} onClose={() => setGoogleNotice(null)}>
+              {googleNotice.text}
+            </Alert>
+          )}
+          
+          {googleError && (
+            <Alert severity="error" sx={{ mb: 3 }}>
+              {googleError}
+            </Alert>
+          )}
+          
+          <Card variant="outlined">
+            <CardContent>
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 2 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+                  <GoogleIcon color="primary" fontSize="large" />
+                  <Box>
+                    <Typography variant="subtitle1">
+                      Google Calendar &amp; Gmail
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary">
+                      Lets referrals book time on your calendar and sends email from your Gmail account.
+                    </Typography>
+                  </Box>
+                </Box>
+                <Chip
+                  label={getGoogleHealth(googleConnection).label}
+                  color={getGoogleHealth(googleConnection).color}
+                  size="small"
+                />
+              </Box>
+              
+              {googleConnection?.connected && (
+                <Box sx={{ mt: 2 }}>
+                  <Typography variant="body2">
+                    Account: {googleConnection.account_email || 'Unknown'}
+                  </Typography>
+                  {googleConnection.last_refreshed_at && (
+                    <Typography variant="body2" color="text.secondary">
+                      Last verified: {new Date(googleConnection.last_refreshed_at).toLocaleString()}
+                    </Typography>
+                  )}
+                  {googleConnection.last_error && (
+                    <Typography variant="body2" color="error">
+                      Last error: {googleConnection.last_error}
+                    </Typography>
+                  )}
+                </Box>
+              )}
+              
+              <Stack direction="row" spacing={2} sx={{ mt: 3 }}>
+                {googleLoading ? (
+                  <CircularProgress size={24} />
+                ) : googleConnection?.connected ? (
+                  <>
+                    {googleConnection.status === 'needs_reauth' ? (
+                      <Button variant="contained" onClick={handleConnectGoogle}>
+                        Reconnect
+                      </Button>
+                    ) : (
+                      <Button variant="outlined" onClick={() => fetchGoogleConnection(true)}>
+                        Check Connection
+                      </Button>
+                    )}
+                    <Button color="error" onClick={handleDisconnectGoogle}>
+                      Disconnect
+                    </Button>
+                  </>
+                ) : (
+                  <Button variant="contained" startIcon={<GoogleIcon />} onClick={handleConnectGoogle}>
+                    Connect Google
+                  </Button>
+                )}
+              </Stack>
+            </CardContent>
+          </Card>
+        </Paper>
+      )}
+      
+      {/* Billing Tab */}
+      {tab === BILLING_TAB && (
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Billing
+          </Typography>
+          <Divider sx={{ mb: 3 }} />
+          
+          {billingError && (
+            <Alert severity="error" sx={{ mb: 3 }} onClose={() => setBillingError(null)}>
+              {billingError}
+            </Alert>
+          )}
+          
+          {billingLoading && !organization ? (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+              <CircularProgress />
+            </Box>
+          ) : organization && (
+            <>
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 2, mb: 3 }}>
+                <Box>
+                  <Typography variant="subtitle1">
+                    {organization.name}: {organization.tier.name} plan
+                  </Typography>
+                  {organization.current_period_end && (
+                    <Typography variant="body2" color="text.secondary">
+                      Renews {new Date(organization.current_period_end).toLocaleDateString()}
+                    </Typography>
+                  )}
+                </Box>
+                {organization.subscription_status && (
+                  <Chip
+                    label={organization.subscription_status.replace('_', ' ')}
+                    color={subscriptionStatusColors[organization.subscription_status] || 'default'}
+                    size="small"
+                  />
+                )}
+              </Box>
+              
+              <Typography variant="subtitle2" gutterBottom>
+                Usage
+              </Typography>
+              <Grid container spacing={3} sx={{ mb: 4 }}>
+                {organization.limits.map(limit => (
+                  <Grid item xs={12} sm={6} key={limit.key}>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+                      <Typography variant="body2">{limit.label}</Typography>
+                      <Typography variant="body2" color="text.secondary">
+                        {limit.used === null
+                          ? `Up to ${formatLimit(limit.allowed)} recipients`
+                          : `${limit.used.toLocaleString()} of ${formatLimit(limit.allowed)}`}
+                      </Typography>
+                    </Box>
+                    {limit.used !== null && limit.allowed !== null && (
+                      <LinearProgress
+                        variant="determinate"
+                        value={Math.min(100, (limit.used / limit.allowed) * 100)}
+                        color={limit.used >= limit.allowed ? 'error' : limit.used / limit.allowed >= 0.8 ? 'warning' : 'primary'}
+                      />
+                    )}
+                  </Grid>
+                ))}
+              </Grid>
+              
+              <Typography variant="subtitle2" gutterBottom>
+                Plans
+              </Typography>
+              <Grid container spacing={2}>
+                {tiers.map(tier => (
+                  <Grid item xs={12} md={4} key={tier.key}>
+                    <Card variant="outlined" sx={{ height: '100%', borderColor: tier.key === organization.plan_tier ? 'primary.main' : undefined }}>
+                      <CardContent>
+                        <Typography variant="h6">{tier.name}</Typography>
+                        <Typography variant="body2" color="text.secondary" gutterBottom>
+                          {tier.monthly_price === 0 ? 'Free' : `$${tier.monthly_price} / month`}
+                        </Typography>
+                        <Typography variant="body2">{formatLimit(tier.limits.seats)} seats</Typography>
+                        <Typography variant="body2">{formatLimit(tier.limits.monthly_sms)} SMS a month</Typography>
+                        <Typography variant="body2">{formatLimit(tier.limits.blast_size)} recipients per blast</Typography>
+                        <Typography variant="body2">{formatLimit(tier.limits.referral_links)} referral links</Typography>
+                        
+                        <Box sx={{ mt: 2 }}>
+                          {tier.key === organization.plan_tier ? (
+                            <Chip label="Current plan" color="primary" size="small" />
+                          ) : isAdmin && tier.monthly_price > 0 && (
+                            <Button
+                              variant="contained"
+                              size="small"
+                              onClick={() => handleSubscribe(tier.key)}
+                              disabled={Boolean(subscribingTier)}
+                              startIcon={subscribingTier === tier.key ? <CircularProgress size={16} /> : null}
+                            >
+                              Switch to {tier.name}
+                            </Button>
+                          )}
+                        </Box>
+                      </CardContent>
+                    </Card>
+                  </Grid>
+                ))}
+              </Grid>
+              
+              {!isAdmin && (
+                <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+                  Ask an admin to change your organization's plan.
+                </Typography>
+              )}
+            </>
+          )}
+        </Paper>
+      )}
     </Box>
   );
 }
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { 
   Box, 
@@ -14,16 +14,18 @@ import {
   Alert
 } from '@mui/material';
 
-// Supabase client
-import { supabase, insertRecord } from '../services/supabaseClient';
+// API service
+import { ReferralAPI } from '../services/api';
+import { ErrorTypes } from '../services/errorHandler';
 
 /**
  * ReferralHandler component
  * Handles referral links and captures referral information
- * This page is shown when someone visits a referral link
+ * This page is shown when someone visits a referral link. It is public: the
+ * visitor is the friend a member shared the link with, not a logged-in user.
  */
 function ReferralHandler() {
-  const { referralId } = useParams();
+  const { referralId: linkCode } = useParams();
   const navigate = useNavigate();
   
   // State
@@ -36,12 +38,19 @@ function ReferralHandler() {
     last_name: '',
     email: '',
     phone: '',
-    goals: '',
-    referral_source: referralId
+    goals: ''
   });
   const [formErrors, setFormErrors] = useState({});
+  const [submitError, setSubmitError] = useState(null);
   const [submitting, setSubmitting] = useState(false);
   const [submitted, setSubmitted] = useState(false);
+  const [referralId, setReferralId] = useState(null);
+  const [availability, setAvailability] = useState(null);
+  const [availabilityLoading, setAvailabilityLoading] = useState(false);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [booking, setBooking] = useState(false);
+  const [bookingError, setBookingError] = useState(null);
+  const [appointment, setAppointment] = useState(null);
 
   // Fetch referral source info on component mount
   useEffect(() => {
@@ -49,33 +58,57 @@ function ReferralHandler() {
       try {
         setLoading(true);
         
-        // In a real implementation, this would fetch the member who created this referral link
-        // For now, using simulated data
-        setTimeout(() => {
-          const mockReferralSource = {
-            id: referralId,
-            first_name: 'David',
-            last_name: 'Brown',
-            business_name: 'Fitness Plus'
-          };
-          
-          setReferralSource(mockReferralSource);
-          setLoading(false);
-        }, 1000);
+        // Resolve the link to the member who shared it
+        const result = await ReferralAPI.getPublicReferralLink(linkCode);
+        
+        if (result.success) {
+          setReferralSource(result.data.data);
+        } else {
+          setError('We couldn\'t find the referral information. Please try again or contact us directly.');
+        }
       } catch (err) {
         console.error('Error fetching referral source:', err);
         setError('We couldn\'t find the referral information. Please try again or contact us directly.');
+      } finally {
         setLoading(false);
       }
     };
 
-    if (referralId) {
+    if (linkCode) {
       fetchReferralSource();
     } else {
       setError('Invalid referral link');
       setLoading(false);
     }
-  }, [referralId]);
+  }, [linkCode]);
+
+  // Load the salesperson's free slots once the referral has been submitted
+  const fetchAvailability = useCallback(async () => {
+    setAvailabilityLoading(true);
+    
+    try {
+      const result = await ReferralAPI.getPublicAvailability(linkCode, referralId);
+      setAvailability(result.success ? result.data.data : null);
+    } catch (err) {
+      console.error('Error fetching availability:', err);
+      setAvailability(null);
+    } finally {
+      setAvailabilityLoading(false);
+    }
+  }, [linkCode, referralId]);
+
+  useEffect(() => {
+    if (referralId) {
+      fetchAvailability();
+    }
+  }, [referralId, fetchAvailability]);
+
+  // Group slots by day for display
+  const slotsByDay = (availability?.slots || []).reduce((days, slot) => {
+    const day = new Date(slot.start).toDateString();
+    days[day] = [...(days[day] || []), slot];
+    return days;
+  }, {});
 
   // Handle form field changes
   const handleChange = (e) => {
@@ -114,6 +147,8 @@ function ReferralHandler() {
     
     if (!referralData.phone.trim()) {
       errors.phone = 'Phone number is required';
+    } else if (!/^\+?[0-9]{10,15}$/.test(referralData.phone.replace(/[\s-()]/g, ''))) {
+      errors.phone = 'Phone number is not valid';
     }
     
     setFormErrors(errors);
@@ -129,23 +164,61 @@ function ReferralHandler() {
     }
     
     setSubmitting(true);
+    setSubmitError(null);
     
     try {
-      // In a real implementation, this would create a lead in Supabase
-      // with the referral information and source
-      // For now, just simulate an API call
-      await new Promise(resolve => setTimeout(resolve, 1500));
+      // Creates the referral and connects it to the member who shared the link
+      const result = await ReferralAPI.submitPublicReferral(linkCode, referralData);
       
-      setSubmitted(true);
-      setActiveStep(1);
+      if (result.success) {
+        setSubmitted(true);
+        setReferralId(result.data.data.referral_id);
+        setActiveStep(1);
+      } else if (result.errorType === ErrorTypes.RATE_LIMIT) {
+        setSubmitError('We\'ve received several submissions from you already. Please try again later.');
+      } else if (Array.isArray(result.details)) {
+        setSubmitError(result.details.join('. '));
+      } else {
+        setSubmitError('There was a problem submitting your information. Please try again.');
+      }
     } catch (err) {
       console.error('Error submitting referral:', err);
-      setError('There was a problem submitting your information. Please try again.');
+      setSubmitError('There was a problem submitting your information. Please try again.');
     } finally {
       setSubmitting(false);
     }
   };
 
+  // Book the selected slot on the salesperson's calendar
+  const handleBook = async () => {
+    if (!selectedSlot) {
+      return;
+    }
+    
+    setBooking(true);
+    setBookingError(null);
+    
+    try {
+      const result = await ReferralAPI.bookPublicAppointment(linkCode, referralId, selectedSlot.start);
+      
+      if (result.success) {
+        setAppointment(result.data.data);
+      } else if (result.errorType === ErrorTypes.RATE_LIMIT) {
+        setBookingError('We\'ve received several booking attempts from you already. Please try again later.');
+      } else {
+        // Most likely someone else just took the slot, so show the latest times
+        setBookingError('We couldn\'t book that time. Please choose another.');
+        setSelectedSlot(null);
+        fetchAvailability();
+      }
+    } catch (err) {
+      console.error('Error booking appointment:', err);
+      setBookingError('We couldn\'t book that time. Please choose another.');
+    } finally {
+      setBooking(false);
+    }
+  };
+
   // Handle loading state
   if (loading) {
     return (
@@ -181,7 +254,7 @@ function ReferralHandler() {
             {referralSource.business_name}
           </Typography>
           <Typography variant="subtitle1" color="text.secondary">
-            You've been referred by {referralSource.first_name} {referralSource.last_name}
+            You've been referred by {referralSource.referrer.first_name}
           </Typography>
         </Box>
         
@@ -198,6 +271,11 @@ function ReferralHandler() {
         {/* Step 1: Referral Form */}
         {activeStep === 0 && (
           <form onSubmit={handleSubmit}>
+            {submitError && (
+              <Alert severity="error" sx={{ mb: 3 }}>
+                {submitError}
+              </Alert>
+            )}
             <Grid container spacing={3}>
               <Grid item xs={12} sm={6}>
                 <TextField
@@ -281,43 +359,88 @@ function ReferralHandler() {
           </form>
         )}
         
-        {/* Step 2: Calendar Placeholder */}
+        {/* Step 2: Book an appointment */}
         {activeStep === 1 && (
           <Box>
-            <Alert severity="success" sx={{ mb: 4 }}>
-              Your information has been submitted successfully!
-            </Alert>
-            
-            <Typography variant="h6" gutterBottom>
-              Schedule Your Appointment
-            </Typography>
-            
-            <Typography variant="body1" paragraph>
-              Please select a date and time that works for you to meet with {referralSource.first_name}.
-            </Typography>
-            
-            <Box 
-              sx={{ 
-                height: '300px', 
-                backgroundColor: 'rgba(0,191,255,0.1)', 
-                borderRadius: 1,
-                display: 'flex',
-                justifyContent: 'center',
-                alignItems: 'center',
-                mt: 2,
-                mb: 4,
-                border: '1px dashed',
-                borderColor: 'primary.main'
-              }}
-            >
-              <Typography variant="subtitle1" color="primary.main">
-                Calendar Integration - Coming Soon
-              </Typography>
-            </Box>
+            {appointment ? (
+              <Alert severity="success" sx={{ mb: 4 }}>
+                You're booked with {appointment.salesperson.first_name} on{' '}
+                {new Date(appointment.start).toLocaleString([], { dateStyle: 'full', timeStyle: 'short' })}.
+                We've sent a confirmation to {referralData.email}.
+              </Alert>
+            ) : (
+              <>
+                <Alert severity="success" sx={{ mb: 4 }}>
+                  Your information has been submitted successfully!
+                </Alert>
+                
+                <Typography variant="h6" gutterBottom>
+                  Schedule Your Appointment
+                </Typography>
+                
+                <Typography variant="body1" paragraph>
+                  Please select a date and time that works for you to meet with {availability ? availability.salesperson.first_name : 'us'}. We'll let {referralSource.referrer.first_name} know you signed up.
+                </Typography>
+                
+                {bookingError && (
+                  <Alert severity="error" sx={{ mb: 3 }}>
+                    {bookingError}
+                  </Alert>
+                )}
+                
+                {availabilityLoading ? (
+                  <Box display="flex" justifyContent="center" sx={{ my: 4 }}>
+                    <CircularProgress />
+                  </Box>
+                ) : Object.keys(slotsByDay).length > 0 ? (
+                  <Box sx={{ maxHeight: 360, overflowY: 'auto', mt: 2, mb: 3 }}>
+                    {Object.entries(slotsByDay).map(([day, slots]) => (
+                      <Box key={day} sx={{ mb: 2 }}>
+                        <Typography variant="subtitle2" gutterBottom>
+                          {new Date(slots[0].start).toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric' })}
+                        </Typography>
+                        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                          {slots.map(slot => (
+                            <Button
+                              key={slot.start}
+                              size="small"
+                              variant={selectedSlot?.start === slot.start ? 'contained' : 'outlined'}
+                              onClick={() => setSelectedSlot(slot)}
+                            >
+                              {new Date(slot.start).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                            </Button>
+                          ))}
+                        </Box>
+                      </Box>
+                    ))}
+                  </Box>
+                ) : (
+                  <Alert severity="info" sx={{ mb: 3 }}>
+                    Online booking isn't available right now. We'll reach out to find a time that works for you.
+                  </Alert>
+                )}
+              </>
+            )}
             
-            <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+            <Box sx={{ display: 'flex', justifyContent: 'center', gap: 2 }}>
+              {!appointment && Object.keys(slotsByDay).length > 0 && (
+                <Button
+                  variant="contained"
+                  onClick={handleBook}
+                  disabled={!selectedSlot || booking}
+                >
+                  {booking ? (
+                    <>
+                      <CircularProgress size={20} color="inherit" sx={{ mr: 1 }} />
+                      Booking...
+                    </>
+                  ) : (
+                    "Book Appointment"
+                  )}
+                </Button>
+              )}
               <Button
-                variant="contained"
+                variant={appointment || Object.keys(slotsByDay).length === 0 ? 'contained' : 'text'}
                 onClick={() => window.location.href = '/'}
               >
                 Finish
@@ -0,0 +1,801 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Navigate } from 'react-router-dom';
+import {
+  Typography,
+  Box,
+  Paper,
+  Button,
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Tabs,
+  Tab,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Grid,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Edit as EditIcon,
+  Block as BlockIcon,
+  Delete as DeleteIcon,
+  Check as CheckIcon,
+  Close as CloseIcon,
+  Payments as PaymentsIcon
+} from '@mui/icons-material';
+
+import { useAuth } from '../contexts/AuthContext';
+import { IncentiveAPI, OrganizationAPI } from '../services/api';
+import { attributionModelLabels } from '../components/referrals/ReferralAttribution';
+
+// Labels for each reward type
+const rewardTypeLabels = {
+  credit: 'Account Credit',
+  free_month: 'Free Month',
+  cash: 'Cash',
+  gift: 'Gift'
+};
+
+// Labels for each payout method
+const payoutMethodLabels = {
+  account_credit: 'Account Credit',
+  cash: 'Cash',
+  check: 'Check',
+  gift_card: 'Gift Card',
+  other: 'Other'
+};
+
+// Chip colors for each award status
+const awardStatusColors = {
+  pending: 'warning',
+  approved: 'info',
+  rejected: 'default',
+  paid: 'success'
+};
+
+const emptyRule = {
+  name: '',
+  description: '',
+  trigger: 'conversion',
+  referral_threshold: '',
+  repeats: false,
+  reward_type: 'credit',
+  reward_amount: '',
+  tiers: [],
+  starts_at: '',
+  ends_at: '',
+  requires_approval: true
+};
+
+const formatAmount = amount => `$${Number(amount || 0).toFixed(2)}`;
+const formatDate = date => (date ? new Date(date).toLocaleDateString() : '—');
+const personName = person => (person ? `${person.first_name} ${person.last_name}` : '—');
+
+/**
+ * Referral Incentives page component
+ * Lets admins define what referrers earn when their referrals convert, review
+ * the awards conversions create and record the payouts made.
+ */
+function ReferralIncentives() {
+  const { currentUser } = useAuth();
+  const isAdmin = currentUser?.role === 'admin';
+
+  const [tab, setTab] = useState('rules');
+  const [rules, setRules] = useState([]);
+  const [awards, setAwards] = useState([]);
+  const [payouts, setPayouts] = useState([]);
+  const [awardStatus, setAwardStatus] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [formErrors, setFormErrors] = useState([]);
+
+  // Rule being created or edited; null when the dialog is closed
+  const [editingRule, setEditingRule] = useState(null);
+
+  // Award being paid; null when the dialog is closed
+  const [payingAward, setPayingAward] = useState(null);
+
+  // The organization's default attribution model
+  const [attributionModel, setAttributionModel] = useState('');
+
+  const fetchTab = useCallback(async () => {
+    setLoading(true);
+
+    let result;
+
+    if (tab === 'rules') {
+      result = await IncentiveAPI.getRules(true);
+      if (result.success) setRules(result.data.data || []);
+    } else if (tab === 'awards') {
+      result = await IncentiveAPI.getAwards(awardStatus ? { status: awardStatus } : {});
+      if (result.success) setAwards(result.data.data || []);
+    } else {
+      result = await IncentiveAPI.getPayouts();
+      if (result.success) setPayouts(result.data.data || []);
+    }
+
+    setError(result.success ? null : result.error || 'Failed to load referral incentives');
+    setLoading(false);
+  }, [tab, awardStatus]);
+
+  useEffect(() => {
+    if (isAdmin) {
+      fetchTab();
+    }
+  }, [isAdmin, fetchTab]);
+
+  useEffect(() => {
+    const fetchOrganization = async () => {
+      const result = await OrganizationAPI.getOrganization();
+      if (result.success) setAttributionModel(result.data.data.attribution_model || 'first_touch');
+    };
+
+    if (isAdmin) {
+      fetchOrganization();
+    }
+  }, [isAdmin]);
+
+  if (!isAdmin) {
+    return <Navigate to="/" replace />;
+  }
+
+  const handleAttributionModelChange = async (e) => {
+    const previousModel = attributionModel;
+    setAttributionModel(e.target.value);
+
+    const result = await OrganizationAPI.updateOrganization({ attribution_model: e.target.value });
+
+    if (!result.success) {
+      setAttributionModel(previousModel);
+      setError(result.error || 'Failed to change the default attribution model');
+    }
+  };
+
+  const handleOpen = (rule = null) => {
+    setFormErrors([]);
+    setEditingRule(rule
+      ? {
+          ...rule,
+          description: rule.description || '',
+          referral_threshold: rule.referral_threshold || '',
+          starts_at: rule.starts_at ? rule.starts_at.slice(0, 10) : '',
+          ends_at: rule.ends_at ? rule.ends_at.slice(0, 10) : ''
+        }
+      : { ...emptyRule });
+  };
+
+  const handleChange = (e) => {
+    const { name, value, checked, type } = e.target;
+    setEditingRule(prevRule => ({ ...prevRule, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleTierChange = (index, field, value) => {
+    setEditingRule(prevRule => ({
+      ...prevRule,
+      tiers: prevRule.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    }));
+  };
+
+  const handleAddTier = () => {
+    setEditingRule(prevRule => ({
+      ...prevRule,
+      tiers: [...prevRule.tiers, { min_referrals: '', reward_amount: '' }]
+    }));
+  };
+
+  const handleRemoveTier = (index) => {
+    setEditingRule(prevRule => ({
+      ...prevRule,
+      tiers: prevRule.tiers.filter((tier, i) => i !== index)
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+
+    const isMilestone = editingRule.trigger === 'milestone';
+    const ruleData = {
+      name: editingRule.name,
+      description: editingRule.description || null,
+      trigger: editingRule.trigger,
+      referral_threshold: isMilestone ? editingRule.referral_threshold : null,
+      repeats: isMilestone && editingRule.repeats,
+      reward_type: editingRule.reward_type,
+      reward_amount: editingRule.reward_amount,
+      tiers: editingRule.tiers,
+      starts_at: editingRule.starts_at || null,
+      ends_at: editingRule.ends_at || null,
+      requires_approval: editingRule.requires_approval
+    };
+
+    const result = editingRule.id
+      ? await IncentiveAPI.updateRule(editingRule.id, ruleData)
+      : await IncentiveAPI.createRule(ruleData);
+
+    setSaving(false);
+
+    if (result.success) {
+      setEditingRule(null);
+      fetchTab();
+    } else if (Array.isArray(result.details)) {
+      setFormErrors(result.details);
+    } else {
+      setFormErrors([result.details?.message || result.error || 'Failed to save incentive rule']);
+    }
+  };
+
+  const handleDeactivate = async (rule) => {
+    if (!window.confirm(`Switch off ${rule.name}? Awards already made can still be reviewed and paid.`)) {
+      return;
+    }
+
+    const result = await IncentiveAPI.deactivateRule(rule.id);
+
+    if (result.success) {
+      fetchTab();
+    } else {
+      setError(result.error || 'Failed to switch off incentive rule');
+    }
+  };
+
+  const handleReview = async (award, decision) => {
+    const notes = window.prompt(`Notes for ${decision === 'approve' ? 'approving' : 'rejecting'} this award (optional)`, '');
+
+    // Cancelled
+    if (notes === null) {
+      return;
+    }
+
+    const result = decision === 'approve'
+      ? await IncentiveAPI.approveAward(award.id, notes)
+      : await IncentiveAPI.rejectAward(award.id, notes);
+
+    if (result.success) {
+      fetchTab();
+    } else {
+      setError(result.details?.message || result.error || 'Failed to review award');
+    }
+  };
+
+  const handlePay = async () => {
+    setSaving(true);
+
+    const result = await IncentiveAPI.payAward(payingAward.id, {
+      method: payingAward.method,
+      reference: payingAward.reference || null,
+      notes: payingAward.notes || null
+    });
+
+    setSaving(false);
+
+    if (result.success) {
+      setPayingAward(null);
+      fetchTab();
+    } else {
+      setFormErrors([result.details?.message || result.error || 'Failed to pay award']);
+    }
+  };
+
+  const describeTrigger = (rule) => {
+    if (rule.trigger !== 'milestone') {
+      return 'Each conversion';
+    }
+
+    return rule.repeats
+      ? `Every ${rule.referral_threshold} conversions`
+      : `On reaching ${rule.referral_threshold} conversions`;
+  };
+
+  const renderRules = () => (
+    <Table>
+      <TableHead>
+        <TableRow>
+          <TableCell>Rule</TableCell>
+          <TableCell>Pays</TableCell>
+          <TableCell>Reward</TableCell>
+          <TableCell>Tiers</TableCell>
+          <TableCell>Runs</TableCell>
+          <TableCell>Status</TableCell>
+          <TableCell align="right">Actions</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {rules.length === 0 && (
+          <TableRow>
+            <TableCell colSpan={7} align="center">
+              No incentive rules yet
+            </TableCell>
+          </TableRow>
+        )}
+        {rules.map(rule => (
+          <TableRow key={rule.id}>
+            <TableCell>
+              <Typography variant="body2" fontWeight="medium">{rule.name}</Typography>
+              {rule.description && (
+                <Typography variant="caption" color="text.secondary">{rule.description}</Typography>
+              )}
+            </TableCell>
+            <TableCell>{describeTrigger(rule)}</TableCell>
+            <TableCell>
+              {formatAmount(rule.reward_amount)} {rewardTypeLabels[rule.reward_type]}
+            </TableCell>
+            <TableCell>
+              {(rule.tiers || []).length === 0
+                ? '—'
+                : rule.tiers.map(tier => `${tier.min_referrals}+: ${formatAmount(tier.reward_amount)}`).join(', ')}
+            </TableCell>
+            <TableCell>
+              {rule.starts_at || rule.ends_at
+                ? `${formatDate(rule.starts_at)} – ${formatDate(rule.ends_at)}`
+                : 'Always'}
+            </TableCell>
+            <TableCell>
+              <Chip
+                size="small"
+                label={rule.is_active ? 'Active' : 'Off'}
+                color={rule.is_active ? 'success' : 'default'}
+              />
+            </TableCell>
+            <TableCell align="right">
+              <Button size="small" startIcon={<EditIcon />} onClick={() => handleOpen(rule)}>
+                Edit
+              </Button>
+              {rule.is_active && (
+                <Button size="small" color="error" startIcon={<BlockIcon />} onClick={() => handleDeactivate(rule)}>
+                  Switch Off
+                </Button>
+              )}
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+
+  const renderAwards = () => (
+    <Table>
+      <TableHead>
+        <TableRow>
+          <TableCell>Referrer</TableCell>
+          <TableCell>Referral</TableCell>
+          <TableCell>Rule</TableCell>
+          <TableCell align="right">Share</TableCell>
+          <TableCell align="right">Amount</TableCell>
+          <TableCell>Earned</TableCell>
+          <TableCell>Status</TableCell>
+          <TableCell align="right">Actions</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {awards.length === 0 && (
+          <TableRow>
+            <TableCell colSpan={8} align="center">
+              {awardStatus === 'pending' ? 'No awards waiting for approval' : 'No awards'}
+            </TableCell>
+          </TableRow>
+        )}
+        {awards.map(award => (
+          <TableRow key={award.id}>
+            <TableCell>{personName(award.referrer)}</TableCell>
+            <TableCell>{personName(award.referral)}</TableCell>
+            <TableCell>{award.rule?.name}</TableCell>
+            <TableCell align="right">{award.attribution_percentage}%</TableCell>
+            <TableCell align="right">
+              {formatAmount(award.amount)} {rewardTypeLabels[award.reward_type]}
+            </TableCell>
+            <TableCell>{formatDate(award.created_at)}</TableCell>
+            <TableCell>
+              <Chip size="small" label={award.status} color={awardStatusColors[award.status]} />
+            </TableCell>
+            <TableCell align="right">
+              {award.status === 'pending' && (
+                <Button size="small" color="success" startIcon={<CheckIcon />} onClick={() => handleReview(award, 'approve')}>
+                  Approve
+                </Button>
+              )}
+              {award.status === 'approved' && (
+                <Button
+                  size="small"
+                  startIcon={<PaymentsIcon />}
+                  onClick={() => {
+                    setFormErrors([]);
+                    setPayingAward({ ...award, method: 'account_credit', reference: '', notes: '' });
+                  }}
+                >
+                  Pay
+                </Button>
+              )}
+              {['pending', 'approved'].includes(award.status) && (
+                <Button size="small" color="error" startIcon={<CloseIcon />} onClick={() => handleReview(award, 'reject')}>
+                  Reject
+                </Button>
+              )}
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+
+  const renderPayouts = () => (
+    <Table>
+      <TableHead>
+        <TableRow>
+          <TableCell>Paid</TableCell>
+          <TableCell>Referrer</TableCell>
+          <TableCell align="right">Amount</TableCell>
+          <TableCell>Method</TableCell>
+          <TableCell>Reference</TableCell>
+          <TableCell>Notes</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {payouts.length === 0 && (
+          <TableRow>
+            <TableCell colSpan={6} align="center">
+              No payouts yet
+            </TableCell>
+          </TableRow>
+        )}
+        {payouts.map(payout => (
+          <TableRow key={payout.id}>
+            <TableCell>{formatDate(payout.created_at)}</TableCell>
+            <TableCell>{personName(payout.person)}</TableCell>
+            <TableCell align="right">
+              {formatAmount(payout.amount)} {rewardTypeLabels[payout.reward_type]}
+            </TableCell>
+            <TableCell>{payoutMethodLabels[payout.method] || payout.method}</TableCell>
+            <TableCell>{payout.reference || '—'}</TableCell>
+            <TableCell>{payout.notes || '—'}</TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box>
+          <Typography variant="h4" component="h1">
+            Referral Incentives
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Rewards referrers earn when their referrals become members, split by each referrer's attribution.
+          </Typography>
+        </Box>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Default Attribution</InputLabel>
+            <Select
+              value={attributionModel}
+              label="Default Attribution"
+              onChange={handleAttributionModelChange}
+              disabled={!attributionModel}
+            >
+              {Object.entries(attributionModelLabels).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          {tab === 'rules' && (
+            <Button variant="contained" startIcon={<AddIcon />} onClick={() => handleOpen()}>
+              New Rule
+            </Button>
+          )}
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Tabs value={tab} onChange={(e, value) => setTab(value)}>
+          <Tab value="rules" label="Rules" />
+          <Tab value="awards" label="Approval Queue" />
+          <Tab value="payouts" label="Payout Ledger" />
+        </Tabs>
+        {tab === 'awards' && (
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel id="award-status-label">Status</InputLabel>
+            <Select
+              labelId="award-status-label"
+              value={awardStatus}
+              onChange={(e) => setAwardStatus(e.target.value)}
+              label="Status"
+            >
+              <MenuItem value="pending">Pending</MenuItem>
+              <MenuItem value="approved">Approved</MenuItem>
+              <MenuItem value="paid">Paid</MenuItem>
+              <MenuItem value="rejected">Rejected</MenuItem>
+              <MenuItem value="">All</MenuItem>
+            </Select>
+          </FormControl>
+        )}
+      </Box>
+
+      <TableContainer component={Paper}>
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <>
+            {tab === 'rules' && renderRules()}
+            {tab === 'awards' && renderAwards()}
+            {tab === 'payouts' && renderPayouts()}
+          </>
+        )}
+      </TableContainer>
+
+      <Dialog open={Boolean(editingRule)} onClose={() => setEditingRule(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{editingRule?.id ? `Edit ${editingRule.name}` : 'New Incentive Rule'}</DialogTitle>
+        {editingRule && (
+          <DialogContent>
+            {formErrors.length > 0 && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {formErrors.map(message => <div key={message}>{message}</div>)}
+              </Alert>
+            )}
+            <Grid container spacing={2} sx={{ mt: 0 }}>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  required
+                  name="name"
+                  label="Name"
+                  value={editingRule.name}
+                  onChange={handleChange}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  multiline
+                  rows={2}
+                  name="description"
+                  label="Description"
+                  value={editingRule.description}
+                  onChange={handleChange}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <FormControl fullWidth>
+                  <InputLabel id="trigger-label">Pays</InputLabel>
+                  <Select
+                    labelId="trigger-label"
+                    name="trigger"
+                    value={editingRule.trigger}
+                    onChange={handleChange}
+                    label="Pays"
+                  >
+                    <MenuItem value="conversion">On each conversion</MenuItem>
+                    <MenuItem value="milestone">On reaching a milestone</MenuItem>
+                  </Select>
+                </FormControl>
+              </Grid>
+              {editingRule.trigger === 'milestone' && (
+                <>
+                  <Grid item xs={12} sm={6}>
+                    <TextField
+                      fullWidth
+                      required
+                      name="referral_threshold"
+                      label="Converted Referrals"
+                      type="number"
+                      InputProps={{ inputProps: { min: 1 } }}
+                      value={editingRule.referral_threshold}
+                      onChange={handleChange}
+                    />
+                  </Grid>
+                  <Grid item xs={12}>
+                    <FormControlLabel
+                      control={<Switch name="repeats" checked={editingRule.repeats} onChange={handleChange} />}
+                      label="Pay again at every multiple of the milestone"
+                    />
+                  </Grid>
+                </>
+              )}
+              <Grid item xs={12} sm={6}>
+                <FormControl fullWidth>
+                  <InputLabel id="reward-type-label">Reward</InputLabel>
+                  <Select
+                    labelId="reward-type-label"
+                    name="reward_type"
+                    value={editingRule.reward_type}
+                    onChange={handleChange}
+                    label="Reward"
+                  >
+                    {Object.entries(rewardTypeLabels).map(([value, label]) => (
+                      <MenuItem key={value} value={value}>{label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  required
+                  name="reward_amount"
+                  label="Reward Value ($)"
+                  type="number"
+                  InputProps={{ inputProps: { min: 0, step: '0.01' } }}
+                  value={editingRule.reward_amount}
+                  onChange={handleChange}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <Typography variant="subtitle2">Tiers</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  Referrers with at least this many converted referrals earn the tier's value instead.
+                </Typography>
+              </Grid>
+              {editingRule.tiers.map((tier, index) => (
+                <React.Fragment key={index}>
+                  <Grid item xs={5}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="From Referrals"
+                      type="number"
+                      InputProps={{ inputProps: { min: 1 } }}
+                      value={tier.min_referrals}
+                      onChange={(e) => handleTierChange(index, 'min_referrals', e.target.value)}
+                    />
+                  </Grid>
+                  <Grid item xs={5}>
+                    <TextField
+                      fullWidth
+                      size="small"
+                      label="Reward Value ($)"
+                      type="number"
+                      InputProps={{ inputProps: { min: 0, step: '0.01' } }}
+                      value={tier.reward_amount}
+                      onChange={(e) => handleTierChange(index, 'reward_amount', e.target.value)}
+                    />
+                  </Grid>
+                  <Grid item xs={2}>
+                    <IconButton aria-label="Remove tier" onClick={() => handleRemoveTier(index)}>
+                      <DeleteIcon />
+                    </IconButton>
+                  </Grid>
+                </React.Fragment>
+              ))}
+              <Grid item xs={12}>
+                <Button size="small" startIcon={<AddIcon />} onClick={handleAddTier}>
+                  Add Tier
+                </Button>
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  name="starts_at"
+                  label="Starts"
+                  type="date"
+                  InputLabelProps={{ shrink: true }}
+                  value={editingRule.starts_at}
+                  onChange={handleChange}
+                />
+              </Grid>
+              <Grid item xs={12} sm={6}>
+                <TextField
+                  fullWidth
+                  name="ends_at"
+                  label="Ends"
+                  type="date"
+                  InputLabelProps={{ shrink: true }}
+                  value={editingRule.ends_at}
+                  onChange={handleChange}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <FormControlLabel
+                  control={
+                    <Switch name="requires_approval" checked={editingRule.requires_approval} onChange={handleChange} />
+                  }
+                  label="Awards wait for approval before they can be paid"
+                />
+              </Grid>
+            </Grid>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setEditingRule(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSave}
+            disabled={saving}
+            startIcon={saving ? <CircularProgress size={16} /> : null}
+          >
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(payingAward)} onClose={() => setPayingAward(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Pay Award</DialogTitle>
+        {payingAward && (
+          <DialogContent>
+            {formErrors.length > 0 && (
+              <Alert severity="error" sx={{ mb: 2 }}>
+                {formErrors.map(message => <div key={message}>{message}</div>)}
+              </Alert>
+            )}
+            <Typography variant="body2" sx={{ mb: 2 }}>
+              {formatAmount(payingAward.amount)} {rewardTypeLabels[payingAward.reward_type]} to {personName(payingAward.referrer)}
+            </Typography>
+            <Grid container spacing={2}>
+              <Grid item xs={12}>
+                <FormControl fullWidth>
+                  <InputLabel id="payout-method-label">Paid As</InputLabel>
+                  <Select
+                    labelId="payout-method-label"
+                    value={payingAward.method}
+                    onChange={(e) => setPayingAward(prev => ({ ...prev, method: e.target.value }))}
+                    label="Paid As"
+                  >
+                    {Object.entries(payoutMethodLabels).map(([value, label]) => (
+                      <MenuItem key={value} value={value}>{label}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  label="Reference"
+                  helperText="Receipt, check number or credit note"
+                  value={payingAward.reference}
+                  onChange={(e) => setPayingAward(prev => ({ ...prev, reference: e.target.value }))}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  multiline
+                  rows={2}
+                  label="Notes"
+                  value={payingAward.notes}
+                  onChange={(e) => setPayingAward(prev => ({ ...prev, notes: e.target.value }))}
+                />
+              </Grid>
+            </Grid>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setPayingAward(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handlePay}
+            disabled={saving}
+            startIcon={saving ? <CircularProgress size={16} /> : null}
+          >
+            Record Payout
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+}
+
+export default ReferralIncentives;
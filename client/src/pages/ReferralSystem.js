@@ -1,6 +1,6 @@
-import React, { useState, useEffect } from 'react';
-import { Typography, Box, Button, Paper, Grid, Card, CardContent, Divider, TextField, InputAdornment, IconButton, CircularProgress, Snackbar, Alert } from '@mui/material';
-import { Share as ShareIcon, ContentCopy as ContentCopyIcon, Add as AddIcon, CalendarMonth as CalendarMonthIcon } from '@mui/icons-material';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Typography, Box, Button, Paper, Grid, Card, CardContent, Divider, TextField, InputAdornment, IconButton, CircularProgress, Snackbar, Alert, Table, TableBody, TableCell, TableContainer, TableHead, TableRow } from '@mui/material';
+import { Share as ShareIcon, ContentCopy as ContentCopyIcon, Add as AddIcon, CalendarMonth as CalendarMonthIcon, Link as LinkIcon } from '@mui/icons-material';
 import ReferralForm from '../components/referrals/ReferralForm';
 import ReferralNetwork from '../components/referrals/ReferralNetwork';
 import { useNavigate } from 'react-router-dom';
@@ -24,16 +24,12 @@ function ReferralSystem() {
   const [notification, setNotification] = useState({ open: false, message: '', type: 'success' });
   const [selectedReferral, setSelectedReferral] = useState(null);
   const [referrals, setReferrals] = useState([]);
+  const [referralLinks, setReferralLinks] = useState([]);
+  const [generatingLink, setGeneratingLink] = useState(false);
   const [error, setError] = useState(null);
   
-  // Fetch referral data on component mount
-  useEffect(() => {
-    fetchReferralData();
-    generateReferralLink();
-  }, []);
-
   // Function to fetch referral data from API
-  const fetchReferralData = async () => {
+  const fetchReferralData = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
@@ -217,35 +213,66 @@ function ReferralSystem() {
     } finally {
       setLoading(false);
     }
-  };
+  }, [currentUser]);
+
+  // Fetch referral links and their click statistics
+  const fetchReferralLinks = useCallback(async () => {
+    try {
+      const result = await ReferralAPI.getReferralLinks();
+      
+      if (result.success) {
+        const links = result.data.data || [];
+        setReferralLinks(links);
+        
+        // Show the most recently created link in the share card
+        if (links.length > 0) {
+          const latest = [...links].sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+          setReferralLink(current => current || latest.url);
+        }
+      } else {
+        console.warn('Failed to load referral links:', result.error);
+      }
+    } catch (error) {
+      console.error('Error fetching referral links:', error);
+    }
+  }, []);
+
+  // Fetch referral data on component mount
+  useEffect(() => {
+    fetchReferralData();
+    fetchReferralLinks();
+  }, [fetchReferralData, fetchReferralLinks]);
 
-  // Generate a referral link for the current user
-  const generateReferralLink = async () => {
+  // Generate a referral link for a member
+  const generateReferralLink = async (member) => {
     try {
-      if (!currentUser) return;
+      setGeneratingLink(true);
       
-      const result = await ReferralAPI.generateReferralLink(
-        currentUser.id,
-        `${currentUser.first_name} ${currentUser.last_name}`
-      );
+      const result = await ReferralAPI.generateReferralLink(member.id);
       
       if (result.success) {
-        setReferralLink(result.data.shortLink);
+        setReferralLink(result.data.data.shortLink);
+        showNotification(`Referral link created for ${member.first_name} ${member.last_name}`);
+        fetchReferralLinks();
       } else {
-        // Use fallback link if API fails
-        console.warn('Failed to generate referral link:', result.error);
-        setReferralLink(`https://orca.app/r/${currentUser.id}`);
+        showNotification(result.error || 'Failed to generate referral link', 'error');
       }
     } catch (error) {
       console.error('Error generating referral link:', error);
-      // Use fallback link if API fails
-      setReferralLink(`https://orca.app/r/${currentUser.id}`);
+      showNotification('Failed to generate referral link', 'error');
+    } finally {
+      setGeneratingLink(false);
     }
   };
 
+  // Format a click timestamp for the link performance table
+  const formatClickTime = (timestamp) => (
+    timestamp ? new Date(timestamp).toLocaleString() : '—'
+  );
+
   // Copy referral link to clipboard
-  const handleCopyLink = () => {
-    navigator.clipboard.writeText(referralLink)
+  const handleCopyLink = (link = referralLink) => {
+    navigator.clipboard.writeText(link)
       .then(() => {
         setCopiedLink(true);
         showNotification('Referral link copied to clipboard!');
@@ -342,9 +369,10 @@ function ReferralSystem() {
       setLoading(true);
       setError(null);
       
-      // Convert to member
+      // Convert to member on the plan they preferred, from the plan catalog
       const result = await MemberAPI.convertToMember(referral.referred.id, {
-        membership_type: 'Basic',
+        membership_plan_id: referral.referred.preferred_membership_plan_id || undefined,
+        membership_type: referral.referred.preferred_membership || undefined,
         join_date: new Date().toISOString(),
         membership_end_date: null, // Open-ended membership
         billing_day: new Date().getDate(),
@@ -408,7 +436,7 @@ function ReferralSystem() {
   const handleRetry = () => {
     setError(null);
     fetchReferralData();
-    generateReferralLink();
+    fetchReferralLinks();
   };
 
   if (loading && networkData.nodes.length === 0) {
@@ -454,21 +482,22 @@ function ReferralSystem() {
         {/* Referral link card */}
         <Paper sx={{ p: 3, mb: 3 }}>
           <Typography variant="h6" gutterBottom>
-            Your Referral Link
+            Referral Link
           </Typography>
           <Box sx={{ display: 'flex', alignItems: 'center', mt: 2 }}>
             <TextField
               fullWidth
               variant="outlined"
               value={referralLink}
+              placeholder="Select a member and generate their referral link"
               InputProps={{
                 readOnly: true,
                 endAdornment: (
                   <InputAdornment position="end">
-                    <IconButton onClick={handleCopyLink} color={copiedLink ? "success" : "primary"}>
+                    <IconButton onClick={() => handleCopyLink()} disabled={!referralLink} color={copiedLink ? "success" : "primary"}>
                       <ContentCopyIcon />
                     </IconButton>
-                    <IconButton onClick={handleShareLink} color="primary">
+                    <IconButton onClick={handleShareLink} disabled={!referralLink} color="primary">
                       <ShareIcon />
                     </IconButton>
                   </InputAdornment>
@@ -477,8 +506,60 @@ function ReferralSystem() {
             />
           </Box>
           <Typography variant="body2" color="textSecondary" sx={{ mt: 1 }}>
-            Share this link with potential referrals. They'll be connected to you automatically.
+            Share this link with potential referrals. They'll be connected to the member automatically.
+          </Typography>
+        </Paper>
+
+        {/* Per-link performance */}
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Link Performance
           </Typography>
+          {referralLinks.length === 0 ? (
+            <Typography variant="body1" color="textSecondary">
+              No referral links yet. Generate one from a member's referral details.
+            </Typography>
+          ) : (
+            <TableContainer>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Member</TableCell>
+                    <TableCell>Link</TableCell>
+                    <TableCell>Campaign</TableCell>
+                    <TableCell>Source</TableCell>
+                    <TableCell align="right">Clicks</TableCell>
+                    <TableCell>First Click</TableCell>
+                    <TableCell>Last Click</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {referralLinks.map((link) => (
+                    <TableRow key={link.id} hover>
+                      <TableCell>
+                        {link.referrer ? `${link.referrer.first_name} ${link.referrer.last_name}` : '—'}
+                      </TableCell>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                          <Typography variant="body2" noWrap sx={{ maxWidth: 240 }}>
+                            {link.url}
+                          </Typography>
+                          <IconButton size="small" onClick={() => handleCopyLink(link.url)}>
+                            <ContentCopyIcon fontSize="small" />
+                          </IconButton>
+                        </Box>
+                      </TableCell>
+                      <TableCell>{link.campaign}</TableCell>
+                      <TableCell>{link.source}</TableCell>
+                      <TableCell align="right">{link.click_count || 0}</TableCell>
+                      <TableCell>{formatClickTime(link.first_clicked_at)}</TableCell>
+                      <TableCell>{formatClickTime(link.last_clicked_at)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          )}
         </Paper>
 
         {/* Referral network visualization */}
@@ -619,13 +700,23 @@ function ReferralSystem() {
                       </>
                     )}
                     {selectedReferral.referred.is_member && (
-                      <Button
-                        variant="contained"
-                        startIcon={<CalendarMonthIcon />}
-                        onClick={() => navigate(`/members/${selectedReferral.referred.id}`)}
-                      >
-                        View Member
-                      </Button>
+                      <>
+                        <Button
+                          variant="contained"
+                          startIcon={<CalendarMonthIcon />}
+                          onClick={() => navigate(`/members/${selectedReferral.referred.id}`)}
+                        >
+                          View Member
+                        </Button>
+                        <Button
+                          variant="outlined"
+                          startIcon={generatingLink ? <CircularProgress size={16} /> : <LinkIcon />}
+                          disabled={generatingLink}
+                          onClick={() => generateReferralLink(selectedReferral.referred)}
+                        >
+                          Generate Referral Link
+                        </Button>
+                      </>
                     )}
                   </Box>
                 </>
@@ -0,0 +1,379 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Typography,
+  Box,
+  Paper,
+  Button,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  CircularProgress,
+  Alert,
+  Tabs,
+  Tab
+} from '@mui/material';
+import {
+  Download as DownloadIcon,
+  PictureAsPdf as PictureAsPdfIcon,
+  Refresh as RefreshIcon
+} from '@mui/icons-material';
+
+import { AnalyticsAPI } from '../services/api';
+
+// Kinds of record the report covers
+const recordTypeLabels = {
+  lead: 'Leads',
+  referral: 'Referrals'
+};
+
+// Breakdowns of the win rate table
+const winRateDimensions = [
+  { key: 'source', label: 'Source' },
+  { key: 'campaign', label: 'Campaign' },
+  { key: 'salesperson', label: 'Salesperson' }
+];
+
+const formatRate = value => (value === null || value === undefined ? '—' : `${Math.round(value * 1000) / 10}%`);
+const formatDays = value => (value === null || value === undefined ? '—' : value.toFixed(1));
+
+/**
+ * Reports page component
+ * Shows how leads and referrals move through the pipeline: stage-to-stage
+ * conversion, median days in each stage, conversion of each month's cohort and
+ * win rates by source, campaign and salesperson, with CSV and PDF export.
+ */
+function Reports() {
+  // Filters being edited, and the ones the report on screen was run with
+  const [filters, setFilters] = useState({
+    record_type: 'lead',
+    start_date: '',
+    end_date: '',
+    acquisition_source: '',
+    acquisition_campaign: '',
+    assigned_to: ''
+  });
+  const [appliedFilters, setAppliedFilters] = useState(null);
+  const [report, setReport] = useState(null);
+  const [winRateDimension, setWinRateDimension] = useState('source');
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Only send the filters that are set; the server fills in the default date range
+  const queryFor = values => Object.fromEntries(Object.entries(values).filter(([, value]) => value));
+
+  const loadReport = useCallback(async (values) => {
+    setLoading(true);
+    setError(null);
+    const result = await AnalyticsAPI.getPipelineReport(queryFor(values));
+
+    if (result.success) {
+      const data = result.data.data;
+      setReport(data);
+      setAppliedFilters(values);
+      // Show the dates the server used when none were picked
+      setFilters(current => ({
+        ...current,
+        start_date: current.start_date || data.filters.start_date,
+        end_date: current.end_date || data.filters.end_date
+      }));
+    } else {
+      setError(result.error || 'Failed to load the report');
+    }
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadReport({ record_type: 'lead' });
+  }, [loadReport]);
+
+  const handleFilterChange = field => (event) => {
+    setFilters(current => ({ ...current, [field]: event.target.value }));
+  };
+
+  const handleRecordTypeChange = (event) => {
+    // Sources, campaigns and salespeople differ between leads and referrals
+    const next = {
+      ...filters,
+      record_type: event.target.value,
+      acquisition_source: '',
+      acquisition_campaign: '',
+      assigned_to: ''
+    };
+    setFilters(next);
+    loadReport(next);
+  };
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    const result = await AnalyticsAPI.exportPipelineReport(queryFor(appliedFilters || filters), format);
+    setExporting(null);
+
+    if (!result.success) {
+      setError(result.error || `Failed to export the report as ${format.toUpperCase()}`);
+      return;
+    }
+
+    const { record_type: recordType, start_date: startDate, end_date: endDate } = report.filters;
+    const url = window.URL.createObjectURL(result.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${recordType}-pipeline-report-${startDate}-to-${endDate}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const renderFilters = () => {
+    const options = report?.options || { sources: [], campaigns: [], salespeople: [] };
+
+    return (
+      <Paper sx={{ p: 2, mb: 3 }}>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center' }}>
+          <FormControl size="small" sx={{ minWidth: 140 }}>
+            <InputLabel>Report on</InputLabel>
+            <Select value={filters.record_type} label="Report on" onChange={handleRecordTypeChange}>
+              {Object.entries(recordTypeLabels).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <TextField
+            label="Acquired from"
+            type="date"
+            size="small"
+            value={filters.start_date}
+            onChange={handleFilterChange('start_date')}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label="Acquired to"
+            type="date"
+            size="small"
+            value={filters.end_date}
+            onChange={handleFilterChange('end_date')}
+            InputLabelProps={{ shrink: true }}
+          />
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel>Source</InputLabel>
+            <Select value={filters.acquisition_source} label="Source" onChange={handleFilterChange('acquisition_source')}>
+              <MenuItem value="">All sources</MenuItem>
+              {options.sources.map(source => (
+                <MenuItem key={source} value={source}>{source}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel>Campaign</InputLabel>
+            <Select value={filters.acquisition_campaign} label="Campaign" onChange={handleFilterChange('acquisition_campaign')}>
+              <MenuItem value="">All campaigns</MenuItem>
+              {options.campaigns.map(campaign => (
+                <MenuItem key={campaign} value={campaign}>{campaign}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl size="small" sx={{ minWidth: 160 }}>
+            <InputLabel>Salesperson</InputLabel>
+            <Select value={filters.assigned_to} label="Salesperson" onChange={handleFilterChange('assigned_to')}>
+              <MenuItem value="">Everyone</MenuItem>
+              {options.salespeople.map(person => (
+                <MenuItem key={person.id} value={person.id}>{person.name}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button
+            variant="contained"
+            startIcon={<RefreshIcon />}
+            onClick={() => loadReport(filters)}
+            disabled={loading}
+          >
+            Run Report
+          </Button>
+          <Box sx={{ flexGrow: 1 }} />
+          <Button
+            startIcon={exporting === 'csv' ? <CircularProgress size={16} /> : <DownloadIcon />}
+            onClick={() => handleExport('csv')}
+            disabled={!report || Boolean(exporting)}
+          >
+            CSV
+          </Button>
+          <Button
+            startIcon={exporting === 'pdf' ? <CircularProgress size={16} /> : <PictureAsPdfIcon />}
+            onClick={() => handleExport('pdf')}
+            disabled={!report || Boolean(exporting)}
+          >
+            PDF
+          </Button>
+        </Box>
+      </Paper>
+    );
+  };
+
+  const renderStages = () => (
+    <Paper sx={{ mb: 3 }}>
+      <Box sx={{ p: 2 }}>
+        <Typography variant="h6">Stage Conversion and Velocity</Typography>
+        <Typography variant="body2" color="text.secondary">
+          Conversion is the share of records reaching the previous stage that reached this one. Median days counts the stages records have moved out of.
+        </Typography>
+      </Box>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Stage</TableCell>
+              <TableCell align="right">Reached</TableCell>
+              <TableCell align="right">Conversion</TableCell>
+              <TableCell align="right">Median days</TableCell>
+              <TableCell align="right">Measured</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {report.stages.map(stage => (
+              <TableRow key={stage.key}>
+                <TableCell>{stage.label}</TableCell>
+                <TableCell align="right">{stage.reached}</TableCell>
+                <TableCell align="right">{formatRate(stage.conversion_rate)}</TableCell>
+                <TableCell align="right">{formatDays(stage.median_days)}</TableCell>
+                <TableCell align="right">{stage.measured}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+
+  const renderCohorts = () => (
+    <Paper sx={{ mb: 3 }}>
+      <Box sx={{ p: 2 }}>
+        <Typography variant="h6">Cohort Conversion by Acquisition Month</Typography>
+        <Typography variant="body2" color="text.secondary">
+          Conversion is wins out of every record acquired in the month; win rate is wins out of closed records.
+        </Typography>
+      </Box>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Month</TableCell>
+              <TableCell align="right">Records</TableCell>
+              <TableCell align="right">Won</TableCell>
+              <TableCell align="right">Lost</TableCell>
+              <TableCell align="right">Open</TableCell>
+              <TableCell align="right">Conversion</TableCell>
+              <TableCell align="right">Win rate</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {report.cohorts.map(cohort => (
+              <TableRow key={cohort.month}>
+                <TableCell>{cohort.month}</TableCell>
+                <TableCell align="right">{cohort.records}</TableCell>
+                <TableCell align="right">{cohort.won}</TableCell>
+                <TableCell align="right">{cohort.lost}</TableCell>
+                <TableCell align="right">{cohort.open}</TableCell>
+                <TableCell align="right">{formatRate(cohort.conversion_rate)}</TableCell>
+                <TableCell align="right">{formatRate(cohort.win_rate)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+
+  const renderWinRates = () => {
+    const rows = report.win_rates[winRateDimension] || [];
+    const dimension = winRateDimensions.find(item => item.key === winRateDimension);
+
+    return (
+      <Paper sx={{ mb: 3 }}>
+        <Box sx={{ px: 2, pt: 2 }}>
+          <Typography variant="h6">Win Rate</Typography>
+        </Box>
+        <Tabs value={winRateDimension} onChange={(event, value) => setWinRateDimension(value)} sx={{ px: 2 }}>
+          {winRateDimensions.map(item => (
+            <Tab key={item.key} value={item.key} label={`By ${item.label.toLowerCase()}`} />
+          ))}
+        </Tabs>
+        <TableContainer>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>{dimension.label}</TableCell>
+                <TableCell align="right">Records</TableCell>
+                <TableCell align="right">Won</TableCell>
+                <TableCell align="right">Lost</TableCell>
+                <TableCell align="right">Open</TableCell>
+                <TableCell align="right">Win rate</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {rows.length === 0 ? (
+                <TableRow>
+                  <TableCell colSpan={6} align="center">No records in this range.</TableCell>
+                </TableRow>
+              ) : rows.map(row => (
+                <TableRow key={row.key || row.label}>
+                  <TableCell>{row.label}</TableCell>
+                  <TableCell align="right">{row.records}</TableCell>
+                  <TableCell align="right">{row.won}</TableCell>
+                  <TableCell align="right">{row.lost}</TableCell>
+                  <TableCell align="right">{row.open}</TableCell>
+                  <TableCell align="right">{formatRate(row.win_rate)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </TableContainer>
+      </Paper>
+    );
+  };
+
+  return (
+    <Box>
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          Pipeline Reports
+        </Typography>
+        {report && (
+          <Typography variant="body2" color="text.secondary">
+            {report.total} {recordTypeLabels[report.filters.record_type].toLowerCase()} acquired {report.filters.start_date} to {report.filters.end_date}
+          </Typography>
+        )}
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {renderFilters()}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : report && (
+        <>
+          {renderStages()}
+          {renderCohorts()}
+          {renderWinRates()}
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default Reports;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import {
+  Typography,
+  Box,
+  Paper,
+  Tabs,
+  Tab,
+  ToggleButton,
+  ToggleButtonGroup
+} from '@mui/material';
+
+import { useAuth } from '../contexts/AuthContext';
+import { TaskList } from '../components/tasks';
+
+// Task list views, as named by the tasks API
+const VIEWS = [
+  { value: 'open', label: 'Open', title: 'Open Tasks' },
+  { value: 'overdue', label: 'Overdue', title: 'Overdue Tasks' },
+  { value: 'today', label: 'Today', title: 'Due Today' },
+  { value: 'upcoming', label: 'Upcoming', title: 'Upcoming Tasks' },
+  { value: 'completed', label: 'Completed', title: 'Completed Tasks' }
+];
+
+/**
+ * Tasks page component
+ * Lists the user's follow-up tasks by view: open, overdue, due today,
+ * upcoming and completed. Admins can also see everyone's tasks.
+ */
+function Tasks() {
+  const { currentUser } = useAuth();
+  const isAdmin = currentUser?.role === 'admin';
+
+  const [view, setView] = useState('open');
+  const [whose, setWhose] = useState('me');
+
+  const current = VIEWS.find(option => option.value === view);
+
+  return (
+    <Box>
+      <Box display="flex" justifyContent="space-between" alignItems="center" mb={3} flexWrap="wrap" gap={2}>
+        <Typography variant="h4">Tasks</Typography>
+        {isAdmin && (
+          <ToggleButtonGroup
+            value={whose}
+            exclusive
+            size="small"
+            onChange={(e, value) => value && setWhose(value)}
+          >
+            <ToggleButton value="me">My Tasks</ToggleButton>
+            <ToggleButton value="everyone">Everyone's</ToggleButton>
+          </ToggleButtonGroup>
+        )}
+      </Box>
+
+      <Paper sx={{ mb: 2 }}>
+        <Tabs
+          value={view}
+          onChange={(e, value) => setView(value)}
+          variant="scrollable"
+          aria-label="task views"
+        >
+          {VIEWS.map(option => (
+            <Tab key={option.value} value={option.value} label={option.label} />
+          ))}
+        </Tabs>
+      </Paper>
+
+      <TaskList
+        title={current.title}
+        view={view}
+        assignedTo={whose === 'me' ? 'me' : undefined}
+        pageSize={100}
+      />
+    </Box>
+  );
+}
+
+export default Tasks;
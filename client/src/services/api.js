@@ -38,6 +38,12 @@ api.interceptors.request.use(
       config.headers.Authorization = `Bearer ${token}`;
     }
     
+    // Work in the location picked in the location switcher, if any
+    const locationId = localStorage.getItem('orca_location_id');
+    if (locationId) {
+      config.headers['X-Location-Id'] = locationId;
+    }
+    
     // For Supabase routes, ensure API key is included
     if (config.url?.includes('supabase') || config.baseURL?.includes('supabase')) {
       // Add Supabase anon key as apikey header
@@ -81,6 +87,7 @@ api.interceptors.response.use(
     // Handle authentication errors
     if (error.response && error.response.status === 401) {
       localStorage.removeItem('orca_auth_token');
+      localStorage.removeItem('orca_location_id');
       
       // Only redirect if we're not already on the login page
       if (!window.location.pathname.includes('/login')) {
@@ -338,14 +345,37 @@ export const LeadAPI = {
     );
   },
 
+  // Get the pipeline stages, their allowed transitions and required fields
+  getPipeline: async () => {
+    return apiRequest(
+      () => api.get('/leads/pipeline'), 
+      'lead pipeline'
+    );
+  },
+
   // Update lead status (stage in pipeline)
-  updateLeadStatus: async (id, status) => {
-    // Update lead_extensions directly
+  // The server rejects moves the pipeline does not allow, listing the reasons
+  updateLeadStatus: async (id, status, details = {}) => {
     return apiRequest(
-      () => api.patch(`/persons/${id}`, { 
-        lead_extensions: [{ lead_status: status }] 
-      }), 
-      'lead status'
+      () => api.patch(`/leads/${id}/status`, { status, ...details }), 
+      'lead status',
+      false // A rejected move will not succeed on retry
+    );
+  },
+
+  // Get the scores the lead scoring engine has given a lead, newest first
+  getLeadScoreHistory: async (id, limit = 30) => {
+    return apiRequest(
+      () => api.get(`/leads/${id}/score`, { params: { limit } }),
+      'lead score history'
+    );
+  },
+
+  // Get the scoring signals and the organization's weights for them
+  getLeadScoring: async () => {
+    return apiRequest(
+      () => api.get('/leads/scoring'),
+      'lead scoring settings'
     );
   }
 };
@@ -464,14 +494,75 @@ export const ReferralAPI = {
     }
   },
 
-  // Generate a referral link
-  generateReferralLink: async (referrerId, referrerName) => {
+  // Generate a referral link for a member
+  generateReferralLink: async (memberId, options = {}) => {
     return apiRequest(
-      () => api.post('/persons/referral-link', { referrerId, referrerName }), 
+      () => api.post('/referrals/links', { memberId, ...options }), 
       'referral link'
     );
   },
 
+  // Get referral links with their click statistics
+  getReferralLinks: async (filters = {}) => {
+    return apiRequest(
+      () => api.get('/referrals/links', { params: filters }), 
+      'referral links'
+    );
+  },
+
+  // Get the public details of a referral link (no login required)
+  getPublicReferralLink: async (code) => {
+    return apiRequest(
+      () => api.get(`/referrals/public/${code}`), 
+      'referral link'
+    );
+  },
+
+  // Submit a referral from the public landing page (no login required)
+  // Not retried: the endpoint is rate limited and must not create duplicates
+  submitPublicReferral: async (code, referralData) => {
+    return apiRequest(
+      () => api.post(`/referrals/public/${code}`, referralData), 
+      'referral',
+      false
+    );
+  },
+
+  // Get the appointment times a referral can book from the landing page (no login required)
+  getPublicAvailability: async (code, referralId) => {
+    return apiRequest(
+      () => api.get(`/referrals/public/${code}/availability`, { params: { referralId } }), 
+      'availability'
+    );
+  },
+
+  // Book an appointment from the landing page (no login required)
+  // Not retried: a retry could book the salesperson's calendar twice
+  bookPublicAppointment: async (code, referralId, start) => {
+    return apiRequest(
+      () => api.post(`/referrals/public/${code}/appointment`, { referralId, start }), 
+      'appointment',
+      false
+    );
+  },
+
+  // Get how a referral's credit is split between its referrers
+  getAttribution: async (id) => {
+    return apiRequest(
+      () => api.get(`/referrals/${id}/attribution`), 
+      'referral attribution'
+    );
+  },
+
+  // Change how a referral's credit is split (admin only); a null model uses the organization's default
+  updateAttribution: async (id, model, shares = undefined) => {
+    return apiRequest(
+      () => api.put(`/referrals/${id}/attribution`, { model, shares }), 
+      'referral attribution',
+      false
+    );
+  },
+
   // Get referral network for visualization
   getReferralNetwork: async (personId, levels = 3) => {
     try {
@@ -563,6 +654,14 @@ export const MemberAPI = {
     }
   },
 
+  // Get the member's referral network for visualization
+  getMemberNetwork: async (id, levels = 3) => {
+    return apiRequest(
+      () => api.get(`/members/${id}/network`, { params: { levels } }), 
+      'member network'
+    );
+  },
+
   // Get member's referrals
   getMemberReferrals: async (id, page = 1, limit = 20) => {
     const params = { page, limit };
@@ -658,7 +757,7 @@ export const MessagingAPI = {
       return apiRequest(
         () => api.post('/messaging/blast', { 
           recipientIds, 
-          message, 
+          content: message, 
           ...options,
           message_type: 'sms',
           is_blast: true
@@ -947,7 +1046,539 @@ export const PersonAPI = {
   }
 };
 
+/**
+ * API Services for Connected Accounts
+ */
+export const AccountAPI = {
+  // Get the user's Google connection and its health
+  // check=true also confirms the tokens still work
+  getGoogleConnection: async (check = false) => {
+    return apiRequest(
+      () => api.get('/auth/google', { params: { check } }), 
+      'Google connection'
+    );
+  },
+
+  // Get the Google consent URL to send the browser to
+  connectGoogle: async () => {
+    return apiRequest(
+      () => api.get('/auth/google/connect'), 
+      'Google connection'
+    );
+  },
+
+  // Disconnect the user's Google account
+  disconnectGoogle: async () => {
+    return apiRequest(
+      () => api.delete('/auth/google'), 
+      'Google connection',
+      false
+    );
+  }
+};
+
+/**
+ * API Services for the Membership Plan Catalog
+ */
+export const MembershipPlanAPI = {
+  // Get the plans on offer; admins can include plans no longer offered
+  getPlans: async (includeInactive = false) => {
+    return apiRequest(
+      () => api.get('/membership-plans', { params: { includeInactive } }), 
+      'membership plans'
+    );
+  },
+
+  // Create a plan (admin only); the server creates its Stripe product and prices
+  createPlan: async (planData) => {
+    return apiRequest(
+      () => api.post('/membership-plans', planData), 
+      'membership plan',
+      false
+    );
+  },
+
+  // Update a plan (admin only); a new price applies to new members only
+  updatePlan: async (id, planData) => {
+    return apiRequest(
+      () => api.patch(`/membership-plans/${id}`, planData), 
+      'membership plan',
+      false
+    );
+  },
+
+  // Stop offering a plan (admin only)
+  deactivatePlan: async (id) => {
+    return apiRequest(
+      () => api.delete(`/membership-plans/${id}`), 
+      'membership plan',
+      false
+    );
+  }
+};
+
+/**
+ * API Services for the Organization's ORCA Subscription
+ */
+export const OrganizationAPI = {
+  // Get the organization's plan tier, subscription and usage against each limit
+  getOrganization: async () => {
+    return apiRequest(
+      () => api.get('/organization'), 
+      'organization'
+    );
+  },
+
+  // Get the plan tiers and their limits
+  getTiers: async () => {
+    return apiRequest(
+      () => api.get('/organization/tiers'), 
+      'plan tiers'
+    );
+  },
+
+  // Update the organization's settings, such as its default attribution model (admin only)
+  updateOrganization: async (settings) => {
+    return apiRequest(
+      () => api.patch('/organization', settings), 
+      'organization',
+      false
+    );
+  },
+
+  // Subscribe to a paid tier, or move to another one (admin only)
+  subscribe: async (tier, paymentMethodId = null) => {
+    return apiRequest(
+      () => api.post('/organization/subscription', { tier, paymentMethodId }), 
+      'subscription',
+      false
+    );
+  }
+};
+
+export const LocationAPI = {
+  // Get the locations the user may work in
+  getLocations: async (includeInactive = false) => {
+    return apiRequest(
+      () => api.get('/locations', { params: includeInactive ? { includeInactive: true } : {} }), 
+      'locations'
+    );
+  },
+
+  // Create a location (admin only)
+  createLocation: async (locationData) => {
+    return apiRequest(
+      () => api.post('/locations', locationData), 
+      'location',
+      false
+    );
+  },
+
+  // Update or close a location (admin only)
+  updateLocation: async (id, locationData) => {
+    return apiRequest(
+      () => api.patch(`/locations/${id}`, locationData), 
+      'location',
+      false
+    );
+  }
+};
+
+/**
+ * API Services for Referral Incentives
+ */
+export const IncentiveAPI = {
+  // Get the organization's incentive rules; admins can include switched-off rules
+  getRules: async (includeInactive = false) => {
+    return apiRequest(
+      () => api.get('/incentives/rules', { params: { includeInactive } }), 
+      'incentive rules'
+    );
+  },
+
+  // Create a rule (admin only)
+  createRule: async (ruleData) => {
+    return apiRequest(
+      () => api.post('/incentives/rules', ruleData), 
+      'incentive rule',
+      false
+    );
+  },
+
+  // Update a rule (admin only); awards already made keep their amounts
+  updateRule: async (id, ruleData) => {
+    return apiRequest(
+      () => api.patch(`/incentives/rules/${id}`, ruleData), 
+      'incentive rule',
+      false
+    );
+  },
+
+  // Switch a rule off (admin only)
+  deactivateRule: async (id) => {
+    return apiRequest(
+      () => api.delete(`/incentives/rules/${id}`), 
+      'incentive rule',
+      false
+    );
+  },
+
+  // Get awards (admin only); status 'pending' is the approval queue
+  getAwards: async (filters = {}) => {
+    return apiRequest(
+      () => api.get('/incentives/awards', { params: filters }), 
+      'incentive awards'
+    );
+  },
+
+  // Approve a pending award (admin only)
+  approveAward: async (id, notes = '') => {
+    return apiRequest(
+      () => api.post(`/incentives/awards/${id}/approve`, { notes }), 
+      'incentive award',
+      false
+    );
+  },
+
+  // Reject an award that hasn't been paid (admin only)
+  rejectAward: async (id, notes = '') => {
+    return apiRequest(
+      () => api.post(`/incentives/awards/${id}/reject`, { notes }), 
+      'incentive award',
+      false
+    );
+  },
+
+  // Pay an approved award and record it in the ledger (admin only)
+  payAward: async (id, payoutData) => {
+    return apiRequest(
+      () => api.post(`/incentives/awards/${id}/payout`, payoutData), 
+      'incentive payout',
+      false
+    );
+  },
+
+  // Get the payout ledger (admin only)
+  getPayouts: async (filters = {}) => {
+    return apiRequest(
+      () => api.get('/incentives/payouts', { params: filters }), 
+      'incentive payouts'
+    );
+  }
+};
+
+/**
+ * API Services for Bulk Imports (admin only)
+ */
+export const ImportAPI = {
+  // Get the fields a lead or member file's columns can be mapped to
+  getFields: async (importType) => {
+    return apiRequest(
+      () => api.get('/imports/fields', { params: { import_type: importType } }), 
+      'import fields'
+    );
+  },
+
+  // Upload a CSV or XLSX file; the response holds its headers and a suggested column mapping
+  uploadFile: async (file, importType) => {
+    return apiRequest(
+      () => api.post('/imports', file, {
+        params: { import_type: importType, file_name: file.name },
+        headers: { 'Content-Type': 'application/octet-stream' }
+      }), 
+      'import file',
+      false
+    );
+  },
+
+  // Get recent imports
+  getImports: async (filters = {}) => {
+    return apiRequest(
+      () => api.get('/imports', { params: filters }), 
+      'imports'
+    );
+  },
+
+  // Get an import and its progress
+  getImport: async (id) => {
+    return apiRequest(
+      () => api.get(`/imports/${id}`), 
+      'import'
+    );
+  },
+
+  // Dry-run an import: what each row would do and every row's errors
+  previewImport: async (id, columnMapping, duplicateStrategy) => {
+    return apiRequest(
+      () => api.post(`/imports/${id}/preview`, {
+        column_mapping: columnMapping,
+        duplicate_strategy: duplicateStrategy
+      }), 
+      'import preview',
+      false
+    );
+  },
+
+  // Start writing an import in the background
+  startImport: async (id, columnMapping, duplicateStrategy) => {
+    return apiRequest(
+      () => api.post(`/imports/${id}/start`, {
+        column_mapping: columnMapping,
+        duplicate_strategy: duplicateStrategy
+      }), 
+      'import',
+      false
+    );
+  },
+
+  // Download the rows that couldn't be imported as a CSV blob
+  downloadErrorReport: async (id) => {
+    return apiRequest(
+      () => api.get(`/imports/${id}/errors`, { responseType: 'blob' }), 
+      'import error report'
+    );
+  }
+};
+
+/**
+ * API Services for Analytics
+ * Dashboard numbers worked out on the server. Each report takes options:
+ * assigned_to ('me' or a user id) to narrow it to one salesperson's records,
+ * and refresh (true) to skip the server's cache.
+ */
+export const AnalyticsAPI = {
+  // Get lead, member and referral KPIs
+  getKpis: async (options = {}) => {
+    return apiRequest(
+      () => api.get('/analytics/kpis', { params: options }), 
+      'analytics KPIs'
+    );
+  },
+
+  // Get the leads in and reaching each pipeline stage
+  getFunnel: async (options = {}) => {
+    return apiRequest(
+      () => api.get('/analytics/funnel', { params: options }), 
+      'conversion funnel'
+    );
+  },
+
+  // Get leads, wins and conversion by acquisition source
+  getSources: async (options = {}) => {
+    return apiRequest(
+      () => api.get('/analytics/sources', { params: options }), 
+      'lead sources'
+    );
+  },
+
+  // Get new and converted leads over a week, month, quarter or year
+  getTrends: async (period = 'month', options = {}) => {
+    return apiRequest(
+      () => api.get('/analytics/trends', { params: { ...options, period } }), 
+      'lead trends'
+    );
+  },
+
+  // Get the pipeline report: stage conversion, days in each stage, cohorts and win rates
+  getPipelineReport: async (filters = {}) => {
+    return apiRequest(
+      () => api.get('/analytics/pipeline-report', { params: filters }), 
+      'pipeline report'
+    );
+  },
+
+  // Download the pipeline report as a CSV or PDF blob
+  exportPipelineReport: async (filters = {}, format = 'csv') => {
+    return apiRequest(
+      () => api.get('/analytics/pipeline-report', { params: { ...filters, format }, responseType: 'blob' }), 
+      'pipeline report export'
+    );
+  }
+};
+
+export const GoalAPI = {
+  // Get the organization's users and their goals for a month (admin only)
+  getGoals: async (month) => {
+    return apiRequest(
+      () => api.get('/goals', { params: { month } }), 
+      'goals'
+    );
+  },
+
+  // Set users' targets for a month: goals is [{ user_id, metric, target }] (admin only)
+  saveGoals: async (month, goals) => {
+    return apiRequest(
+      () => api.put('/goals', { month, goals }), 
+      'save goals'
+    );
+  },
+
+  // Remove a goal (admin only)
+  deleteGoal: async (id) => {
+    return apiRequest(
+      () => api.delete(`/goals/${id}`), 
+      'delete goal'
+    );
+  },
+
+  // Get every salesperson's progress towards their goals
+  getLeaderboard: async (month) => {
+    return apiRequest(
+      () => api.get('/goals/leaderboard', { params: { month } }), 
+      'leaderboard'
+    );
+  },
+
+  // Get the current user's progress and place on the leaderboard
+  getMyProgress: async (month) => {
+    return apiRequest(
+      () => api.get('/goals/me', { params: { month } }), 
+      'goal progress'
+    );
+  }
+};
+
+/**
+ * API Services for Tasks
+ */
+export const TaskAPI = {
+  // Get tasks: params are { view, assigned_to, person_id, page, pageSize }
+  // view is open (the default), overdue, today, upcoming or completed
+  getTasks: async (params = {}) => {
+    return apiRequest(
+      () => api.get('/tasks', { params }), 
+      'tasks'
+    );
+  },
+
+  // Get the users tasks can be assigned to
+  getAssignees: async () => {
+    return apiRequest(
+      () => api.get('/tasks/assignees'), 
+      'assignees'
+    );
+  },
+
+  // Create a task
+  createTask: async (taskData) => {
+    return apiRequest(
+      () => api.post('/tasks', taskData), 
+      'task',
+      false
+    );
+  },
+
+  // Update a task; status can be set to cancelled or back to open
+  updateTask: async (id, taskData) => {
+    return apiRequest(
+      () => api.patch(`/tasks/${id}`, taskData), 
+      'task',
+      false
+    );
+  },
+
+  // Complete a task, logging an interaction with the notes on the person's record
+  completeTask: async (id, notes = '') => {
+    return apiRequest(
+      () => api.post(`/tasks/${id}/complete`, { notes }), 
+      'task',
+      false
+    );
+  },
+
+  // Delete a task
+  deleteTask: async (id) => {
+    return apiRequest(
+      () => api.delete(`/tasks/${id}`), 
+      'task',
+      false
+    );
+  }
+};
+
+export const NurtureAPI = {
+  // Get nurture sequences with their steps
+  getSequences: async () => {
+    return apiRequest(
+      () => api.get('/nurture-sequences'), 
+      'nurture sequences'
+    );
+  },
+
+  // Get a sequence with its enrollment and per-step stats: { sequence, stats }
+  getSequence: async (id) => {
+    return apiRequest(
+      () => api.get(`/nurture-sequences/${id}`), 
+      'nurture sequence'
+    );
+  },
+
+  // Create a sequence (admin only)
+  createSequence: async (sequenceData) => {
+    return apiRequest(
+      () => api.post('/nurture-sequences', sequenceData), 
+      'nurture sequence',
+      false
+    );
+  },
+
+  // Update, pause or resume a sequence, or replace its steps (admin only)
+  updateSequence: async (id, sequenceData) => {
+    return apiRequest(
+      () => api.patch(`/nurture-sequences/${id}`, sequenceData), 
+      'nurture sequence',
+      false
+    );
+  },
+
+  // Delete a sequence (admin only)
+  deleteSequence: async (id) => {
+    return apiRequest(
+      () => api.delete(`/nurture-sequences/${id}`), 
+      'nurture sequence',
+      false
+    );
+  },
+
+  // Get enrollments: params are { person_id, status, page, pageSize }
+  // Pass a sequence ID for only that sequence's enrollments
+  getEnrollments: async (params = {}, sequenceId = null) => {
+    return apiRequest(
+      () => api.get(sequenceId ? `/nurture-sequences/${sequenceId}/enrollments` : '/nurture-sequences/enrollments', { params }), 
+      'enrollments'
+    );
+  },
+
+  // Enroll leads and referrals: resolves to { enrolled, skipped }
+  enroll: async (sequenceId, personIds) => {
+    return apiRequest(
+      () => api.post(`/nurture-sequences/${sequenceId}/enrollments`, { person_ids: personIds }), 
+      'enrollment',
+      false
+    );
+  },
+
+  // Take a person out of a sequence
+  cancelEnrollment: async (sequenceId, enrollmentId) => {
+    return apiRequest(
+      () => api.delete(`/nurture-sequences/${sequenceId}/enrollments/${enrollmentId}`), 
+      'enrollment',
+      false
+    );
+  }
+};
+
 export default {
+  AccountAPI,
+  AnalyticsAPI,
+  GoalAPI,
+  TaskAPI,
+  NurtureAPI,
+  ImportAPI,
+  IncentiveAPI,
+  LocationAPI,
+  MembershipPlanAPI,
+  OrganizationAPI,
   LeadAPI,
   ReferralAPI,
   MemberAPI,
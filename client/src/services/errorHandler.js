@@ -14,6 +14,7 @@ export const ErrorTypes = {
   NOT_FOUND: 'not_found',
   SERVER: 'server',
   RATE_LIMIT: 'rate_limit',
+  PLAN_LIMIT: 'plan_limit',
   TIMEOUT: 'timeout',
   UNKNOWN: 'unknown'
 };
@@ -103,6 +104,14 @@ const handleApiError = (error, resource = 'resource') => {
         ErrorTypes.AUTHENTICATION
       );
       
+    case 402:
+      // Over a limit of the organization's ORCA plan; the server explains the upgrade
+      return formatErrorResponse(
+        error.response.data?.message || 'This action is over your plan\'s limits.',
+        ErrorTypes.PLAN_LIMIT,
+        error.response.data?.limit
+      );
+      
     case 403:
       return formatErrorResponse(
         'You don\'t have permission to perform this action.',
@@ -58,6 +58,8 @@ export interface User {
   last_name?: string;
   phone?: string;
   role: 'admin' | 'salesperson'; // DEFAULT 'salesperson'::text in SQL
+  organization_id?: string; // The organization whose ORCA plan the user counts against
+  location_id?: string; // The location the user works at; unset works across all of them
   created_at?: string; // DEFAULT now() in SQL
   updated_at?: string; // DEFAULT now() in SQL
   last_login?: string;
@@ -105,7 +107,8 @@ export interface Person {
   // Shared qualification data
   interest_level?: string;
   goals?: string;
-  preferred_membership?: string;
+  preferred_membership?: string; // Name of the preferred plan
+  preferred_membership_plan_id?: string;
   interested_services?: string[];
   preferred_schedule?: Record<string, any>;
   special_requirements?: string;
@@ -120,6 +123,10 @@ export interface Person {
   tags?: string[];
   custom_fields?: Record<string, any>; // DEFAULT '{}'::jsonb in SQL
   
+  // Tenant
+  organization_id?: string; // NOT NULL in SQL, set by the API
+  location_id?: string; // References locations(id)
+  
   // Meta
   assigned_to?: string;
   created_at?: string; // DEFAULT now() in SQL
@@ -134,6 +141,18 @@ export interface Person {
   member_extensions?: MemberExtension[];
 }
 
+// Signals the lead scoring engine weighs
+export type LeadScoreSignal = 'interactions' | 'recency' | 'response_rate' | 'visit_trial' | 'objections' | 'budget_fit' | 'source';
+
+// One signal's part in a lead's score
+export interface LeadScoreFactor {
+  factor: LeadScoreSignal;
+  value: number; // 0-1, how well the lead does on the signal
+  weight: number; // The organization's weight for the signal
+  points: number; // Percentage points the signal adds to conversion_probability
+  detail: string;
+}
+
 // Lead extension interface
 export interface LeadExtension {
   id: string;
@@ -147,8 +166,8 @@ export interface LeadExtension {
   pain_points?: string[];
   motivations?: string[];
   objections?: any[]; // jsonb[] in SQL - Array of objects
-  readiness_score?: number; // SQL CHECK constraint: readiness_score >= 1 AND readiness_score <= 10
-  lead_temperature?: string; // Free-form text field in SQL
+  readiness_score?: number; // SQL CHECK constraint: readiness_score >= 1 AND readiness_score <= 10; set by the lead scoring engine
+  lead_temperature?: string; // 'cold', 'warm' or 'hot', set by the lead scoring engine
   
   // Pipeline data
   lead_status?: string; // DEFAULT 'new'::text in SQL
@@ -166,10 +185,14 @@ export interface LeadExtension {
   payment_info_collected?: boolean; // DEFAULT false in SQL
   
   // Conversion tracking
-  conversion_probability?: number; // SQL CHECK constraint: conversion_probability >= 0 AND conversion_probability <= 100
+  conversion_probability?: number; // SQL CHECK constraint: conversion_probability >= 0 AND conversion_probability <= 100; set by the lead scoring engine
   estimated_value?: number; // numeric in SQL
   conversion_blockers?: string[];
   
+  // Lead scoring
+  score_factors?: LeadScoreFactor[]; // jsonb in SQL, NOT NULL DEFAULT '[]'; the biggest contributors to the score
+  scored_at?: string | null; // timestamp with time zone in SQL
+  
   // Meta
   created_at?: string; // DEFAULT now() in SQL
   updated_at?: string; // DEFAULT now() in SQL
@@ -192,8 +215,10 @@ export interface ReferralExtension {
   
   // Appointment data
   appointment_date?: string;
+  appointment_end_date?: string;
   appointment_status?: string;
   google_calendar_event_id?: string;
+  appointment_calendar_user_id?: string; // Whose calendar holds the event
   
   // Conversion tracking
   conversion_status?: string;
@@ -209,18 +234,44 @@ export interface ReferralExtension {
   campaign_enrollments?: string[]; // text[] in SQL - Array of strings
   nurture_sequence_status?: Record<string, any>; // jsonb in SQL - Object
   
+  // Credit attribution between referrers
+  attribution_model?: AttributionModel | null; // NULL uses the organization's default
+  attributed_with?: AttributionModel; // Model the credit was last split with
+  attributed_at?: string;
+  
   // Meta
   created_at?: string; // DEFAULT now() in SQL
   updated_at?: string; // DEFAULT now() in SQL
 }
 
+// A signal that raised (or lowered) a member's churn score
+export interface ChurnRiskFactor {
+  factor: 'recency' | 'frequency_decay' | 'attendance_streak' | 'payment_status' | 'satisfaction' | 'sentiment';
+  points: number; // Negative for signals that lower the risk
+  detail: string;
+}
+
+// An effort to keep a member, such as the outreach created when they become high risk
+export interface RetentionAction {
+  id: string;
+  type: string; // 'churn_outreach'
+  status: 'open' | 'done';
+  assigned_to: string | null;
+  title: string;
+  due_date: string;
+  churn_score?: number;
+  factors?: ChurnRiskFactor[];
+  created_at: string;
+}
+
 // Member extension interface
 export interface MemberExtension {
   id: string;
   person_id: string; // NOT NULL constraint in SQL
   
   // Membership data
-  membership_type?: string;
+  membership_type?: string; // Name of the plan
+  membership_plan_id?: string;
   membership_status?: string;
   join_date?: string;
   membership_end_date?: string;
@@ -239,14 +290,21 @@ export interface MemberExtension {
   
   // Retention and satisfaction
   satisfaction_score?: number; // SQL CHECK constraint: satisfaction_score >= 1 AND satisfaction_score <= 10
-  churn_risk?: string; // Free-form text field in SQL
-  retention_actions?: any[]; // jsonb[] in SQL - Array of objects
+  churn_risk?: string; // 'low', 'medium' or 'high', set by the churn risk job
+  churn_score?: number | null; // 0-100, SQL CHECK constraint
+  churn_risk_factors?: ChurnRiskFactor[]; // jsonb in SQL, NOT NULL DEFAULT '[]'
+  churn_scored_at?: string | null;
+  retention_actions?: RetentionAction[]; // jsonb[] in SQL - Array of objects
   
   // Referral program
   referral_count?: number; // DEFAULT 0 in SQL
-  successful_referrals?: number; // DEFAULT 0 in SQL
+  successful_referrals?: number; // DEFAULT 0 in SQL, numeric in SQL - a shared referral counts as the referrer's share
   referral_rewards_earned?: number; // DEFAULT 0 in SQL, numeric in SQL
   
+  // Billing
+  stripe_customer_id?: string;
+  stripe_subscription_id?: string;
+  
   // Meta
   created_at?: string; // DEFAULT now() in SQL
   updated_at?: string; // DEFAULT now() in SQL
@@ -319,6 +377,10 @@ export interface Interaction {
   campaign_id?: string;
   template_id?: string;
   
+  // Tenant
+  organization_id?: string; // NOT NULL in SQL, set by the API
+  location_id?: string; // References locations(id)
+  
   // Meta
   created_at?: string; // DEFAULT now() in SQL
   updated_at?: string; // DEFAULT now() in SQL
@@ -335,7 +397,7 @@ export interface Message {
   id: string;
   
   // Sender and recipient
-  sender_id: string; // NOT NULL constraint in SQL
+  sender_id: string | null; // Null for automatic texts to a person without a salesperson
   recipient_id: string; // NOT NULL constraint in SQL
   
   // Message details
@@ -361,6 +423,11 @@ export interface Message {
   // Response tracking
   has_response?: boolean; // DEFAULT false in SQL
   response_id?: string;
+  direction?: 'outbound' | 'inbound'; // DEFAULT 'outbound'::text in SQL
+  
+  // Tenant
+  organization_id?: string; // NOT NULL in SQL, set by the API
+  location_id?: string; // References locations(id)
   
   // Meta
   metadata?: Record<string, any>; // DEFAULT '{}'::jsonb in SQL
@@ -371,4 +438,270 @@ export interface Message {
   sender?: User;
   recipient?: Person;
   response?: Message;
-} 
\ No newline at end of file
+} 
+
+// Referral link interface
+export interface ReferralLink {
+  id: string;
+  referrer_id: string; // NOT NULL constraint in SQL
+  created_by?: string;
+  
+  // Link
+  provider: 'firebase' | 'self_hosted'; // NOT NULL, DEFAULT 'self_hosted'::text in SQL
+  short_code: string; // NOT NULL, UNIQUE constraint in SQL
+  url: string; // NOT NULL constraint in SQL
+  destination_url: string; // NOT NULL constraint in SQL
+  preview_url?: string;
+  is_active?: boolean; // DEFAULT true in SQL
+  
+  // UTM data
+  campaign?: string; // DEFAULT 'default'::text in SQL
+  source?: string;
+  medium?: string;
+  utm_params?: Record<string, string>; // DEFAULT '{}'::jsonb in SQL
+  
+  // Click tracking
+  click_count?: number; // DEFAULT 0 in SQL
+  first_clicked_at?: string;
+  last_clicked_at?: string;
+  
+  // Tenant
+  organization_id?: string; // NOT NULL in SQL, set by the API
+  location_id?: string; // References locations(id)
+  
+  // Meta
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+  
+  // Related entities (populated by API)
+  referrer?: Person;
+}
+
+// Membership plan interface
+export interface MembershipPlan {
+  id: string;
+  name: string; // NOT NULL, unique regardless of case
+  description?: string;
+  
+  // Pricing
+  monthly_price: number; // NOT NULL, numeric in SQL
+  billing_interval: 'month' | 'quarter' | 'year'; // NOT NULL, DEFAULT 'month'::text in SQL
+  trial_days: number; // NOT NULL, DEFAULT 0 in SQL
+  enrollment_fee: number; // NOT NULL, DEFAULT 0 in SQL
+  is_active: boolean; // NOT NULL, DEFAULT true in SQL
+  
+  // Stripe
+  stripe_product_id?: string;
+  stripe_price_id?: string;
+  stripe_enrollment_price_id?: string;
+  
+  // Meta
+  created_by?: string;
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+  
+  // Computed by the API
+  estimated_value?: number; // Value used for a lead's estimated_value
+}
+
+// Limits of an ORCA plan tier; null is unlimited
+export interface PlanTierLimits {
+  seats: number | null;
+  monthly_sms: number | null;
+  blast_size: number | null;
+  referral_links: number | null;
+}
+
+// ORCA plan tier interface
+export interface PlanTier {
+  key: 'starter' | 'growth' | 'scale';
+  name: string;
+  monthly_price: number;
+  limits: PlanTierLimits;
+}
+
+// How a referral's credit is split between its referrers
+export type AttributionModel = 'first_touch' | 'last_touch' | 'equal_split' | 'manual';
+
+// A referral's attribution, as returned by GET /api/referrals/:id/attribution
+export interface ReferralAttribution {
+  model: AttributionModel; // Model that applies now
+  referral_model: AttributionModel | null; // The referral's own model, if it has one
+  organization_model: AttributionModel;
+  attributed_with: AttributionModel | null;
+  attributed_at: string | null;
+  referrers: Array<{
+    relationship_id: string;
+    person_id: string;
+    referrer: { id: string; first_name: string; last_name: string; email?: string } | null;
+    referral_date: string | null;
+    attribution_percentage: number; // Stored share
+    is_primary_referrer: boolean;
+    share: number; // Share under the model that applies now
+  }>;
+}
+
+// Organization interface (an ORCA account)
+export interface Organization {
+  id: string;
+  name: string; // NOT NULL constraint in SQL
+  plan_tier: PlanTier['key']; // NOT NULL, DEFAULT 'starter'::text in SQL
+  attribution_model: AttributionModel; // NOT NULL, DEFAULT 'first_touch'::text in SQL
+  lead_scoring_weights: Partial<Record<LeadScoreSignal, number>>; // jsonb in SQL, NOT NULL DEFAULT '{}'; overrides the default weights
+  
+  // Stripe subscription to the tier
+  stripe_customer_id?: string;
+  stripe_subscription_id?: string;
+  subscription_status?: string;
+  current_period_end?: string;
+  
+  // Meta
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+  
+  // Computed by the API
+  tier?: PlanTier;
+  usage?: { seats: number; monthly_sms: number; referral_links: number };
+  limits?: Array<{ key: keyof PlanTierLimits; label: string; allowed: number | null; used: number | null }>;
+  period_start?: string; // Start of the monthly SMS period
+}
+
+// Location interface (one of an organization's gyms)
+export interface Location {
+  id: string;
+  organization_id: string; // NOT NULL constraint in SQL
+  name: string; // NOT NULL, unique within the organization
+  address?: Record<string, any>;
+  phone?: string;
+  timezone?: string;
+  is_active: boolean; // DEFAULT true in SQL
+  
+  // Meta
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+}
+
+// Tier of an incentive rule; the highest tier a referrer has reached wins
+export interface IncentiveTier {
+  min_referrals: number;
+  reward_amount: number;
+}
+
+// Incentive rule interface (what referrers earn for converted referrals)
+export interface IncentiveRule {
+  id: string;
+  organization_id: string; // NOT NULL constraint in SQL
+  name: string; // NOT NULL constraint in SQL
+  description?: string;
+  
+  // When the rule pays
+  trigger: 'conversion' | 'milestone'; // DEFAULT 'conversion'::text in SQL
+  referral_threshold?: number; // Required for milestones
+  repeats: boolean; // DEFAULT false in SQL
+  
+  // The reward
+  reward_type: 'credit' | 'free_month' | 'cash' | 'gift'; // DEFAULT 'credit'::text in SQL
+  reward_amount: number; // DEFAULT 0 in SQL
+  tiers: IncentiveTier[]; // DEFAULT '[]'::jsonb in SQL
+  
+  // Time box
+  starts_at?: string;
+  ends_at?: string;
+  
+  requires_approval: boolean; // DEFAULT true in SQL
+  is_active: boolean; // DEFAULT true in SQL
+  
+  // Meta
+  created_by?: string;
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+}
+
+// Incentive award interface (a reward a referrer has earned)
+export interface IncentiveAward {
+  id: string;
+  organization_id: string; // NOT NULL constraint in SQL
+  rule_id: string; // NOT NULL constraint in SQL
+  person_id: string; // NOT NULL, the referrer
+  referral_id: string; // NOT NULL, the converted referral
+  relationship_id?: string;
+  attribution_percentage: number; // DEFAULT 100 in SQL
+  referral_count: number; // Referrer's converted referrals, weighted by attribution
+  reward_type: IncentiveRule['reward_type'];
+  amount: number;
+  status: 'pending' | 'approved' | 'rejected' | 'paid'; // DEFAULT 'pending'::text in SQL
+  reviewed_by?: string;
+  reviewed_at?: string;
+  review_notes?: string;
+  paid_at?: string;
+  
+  // Meta
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+  
+  // Joined by the API
+  rule?: Pick<IncentiveRule, 'id' | 'name' | 'trigger' | 'reward_type'>;
+  referrer?: Pick<Person, 'id' | 'first_name' | 'last_name' | 'email'>;
+  referral?: Pick<Person, 'id' | 'first_name' | 'last_name'>;
+}
+
+// Incentive payout interface (an entry in the payout ledger)
+export interface IncentivePayout {
+  id: string;
+  organization_id: string; // NOT NULL constraint in SQL
+  award_id: string; // NOT NULL, UNIQUE constraint in SQL
+  person_id: string; // NOT NULL, the referrer paid
+  amount: number;
+  reward_type: IncentiveRule['reward_type'];
+  method: 'account_credit' | 'cash' | 'check' | 'gift_card' | 'other'; // DEFAULT 'account_credit'::text in SQL
+  reference?: string;
+  notes?: string;
+  paid_by?: string;
+  created_at?: string; // DEFAULT now() in SQL
+}
+
+// An import of leads or members from a CSV or XLSX file (admin only)
+export interface ImportJob {
+  id: string;
+  organization_id: string; // NOT NULL constraint in SQL
+  location_id?: string | null; // Where imported persons are created
+  created_by?: string | null;
+  import_type: 'lead' | 'member';
+  file_name: string;
+  headers: string[];
+  total_rows: number;
+  column_mapping: Record<string, string>; // File column -> field key
+  duplicate_strategy: 'skip' | 'update'; // DEFAULT 'skip'::text in SQL
+  status: 'uploaded' | 'queued' | 'processing' | 'completed' | 'failed'; // DEFAULT 'uploaded'::text in SQL
+  processed_rows: number;
+  created_count: number;
+  updated_count: number;
+  skipped_count: number;
+  error_count: number;
+  last_error?: string | null;
+  started_at?: string | null;
+  progressed_at?: string | null;
+  completed_at?: string | null;
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+
+  // Added by the API
+  sample_rows?: string[][];
+  fields?: ImportField[];
+}
+
+// A field an import column can be mapped to
+export interface ImportField {
+  key: string;
+  label: string;
+  type: 'text' | 'email' | 'phone' | 'date' | 'number' | 'integer' | 'boolean' | 'list';
+}
+
+// One row of an import dry run, numbered as in the file
+export interface ImportPreviewRow {
+  row: number;
+  action: 'create' | 'update' | 'skip' | 'error';
+  reason: string | null;
+  errors: string[];
+  data: Record<string, unknown>;
+}
@@ -47,7 +47,8 @@ export const PersonSchema = {
   // Qualification data
   interest_level: 'text',
   goals: 'text',
-  preferred_membership: 'text',
+  preferred_membership: 'text', // Name of the preferred plan
+  preferred_membership_plan_id: 'uuid',
   interested_services: 'text[]',
   preferred_schedule: 'jsonb',
   special_requirements: 'text',
@@ -62,6 +63,10 @@ export const PersonSchema = {
   tags: 'text[]',
   custom_fields: 'jsonb',
   
+  // Tenant
+  organization_id: 'uuid', // NOT NULL, references organizations(id)
+  location_id: 'uuid', // References locations(id)
+  
   // Meta
   assigned_to: 'uuid',
   created_at: 'timestamp',
@@ -88,8 +93,8 @@ export const LeadExtensionSchema = {
   pain_points: 'text[]',
   motivations: 'text[]',
   objections: 'jsonb[]', // Array of objects
-  readiness_score: 'integer', // SQL CHECK constraint: readiness_score >= 1 AND readiness_score <= 10
-  lead_temperature: 'text', // Free-form text field in SQL
+  readiness_score: 'integer', // SQL CHECK constraint: readiness_score >= 1 AND readiness_score <= 10; set by the lead scoring engine
+  lead_temperature: 'text', // 'cold', 'warm' or 'hot', set by the lead scoring engine
   
   // Pipeline data
   lead_status: 'text', // DEFAULT 'new'::text in SQL
@@ -107,10 +112,14 @@ export const LeadExtensionSchema = {
   payment_info_collected: 'boolean', // DEFAULT false in SQL
   
   // Conversion tracking
-  conversion_probability: 'integer', // SQL CHECK constraint: conversion_probability >= 0 AND conversion_probability <= 100
+  conversion_probability: 'integer', // SQL CHECK constraint: conversion_probability >= 0 AND conversion_probability <= 100; set by the lead scoring engine
   estimated_value: 'numeric',
   conversion_blockers: 'text[]',
   
+  // Lead scoring
+  score_factors: 'jsonb', // NOT NULL, DEFAULT '[]' in SQL; the biggest contributors to the score
+  scored_at: 'timestamp',
+  
   // Meta
   created_at: 'timestamp', // DEFAULT now() in SQL
   updated_at: 'timestamp' // DEFAULT now() in SQL
@@ -137,8 +146,10 @@ export const ReferralExtensionSchema = {
   
   // Appointment data
   appointment_date: 'timestamp',
+  appointment_end_date: 'timestamp',
   appointment_status: 'text',
   google_calendar_event_id: 'text',
+  appointment_calendar_user_id: 'uuid', // Foreign key to users(id), whose calendar holds the event
   
   // Conversion tracking
   conversion_status: 'text',
@@ -154,6 +165,11 @@ export const ReferralExtensionSchema = {
   campaign_enrollments: 'text[]', // Array of campaign identifiers
   nurture_sequence_status: 'jsonb', // Status of nurture sequences
   
+  // Credit attribution between referrers
+  attribution_model: 'text', // NULL uses the organization's default ('first_touch', 'last_touch', 'equal_split' or 'manual')
+  attributed_with: 'text', // Model the credit was last split with
+  attributed_at: 'timestamp',
+  
   // Meta
   created_at: 'timestamp', // DEFAULT now() in SQL
   updated_at: 'timestamp' // DEFAULT now() in SQL
@@ -169,7 +185,8 @@ export const MemberExtensionSchema = {
   person_id: 'uuid', // NOT NULL constraint in SQL
   
   // Membership data
-  membership_type: 'text',
+  membership_type: 'text', // Name of the plan
+  membership_plan_id: 'uuid',
   membership_status: 'text',
   join_date: 'timestamp',
   membership_end_date: 'timestamp',
@@ -188,14 +205,21 @@ export const MemberExtensionSchema = {
   
   // Retention and satisfaction
   satisfaction_score: 'integer', // SQL CHECK constraint: satisfaction_score >= 1 AND satisfaction_score <= 10
-  churn_risk: 'text', // Free-form text field in SQL
+  churn_risk: 'text', // 'low', 'medium' or 'high', set by the churn risk job
+  churn_score: 'integer', // SQL CHECK constraint: churn_score >= 0 AND churn_score <= 100
+  churn_risk_factors: 'jsonb', // Signals behind the churn score
+  churn_scored_at: 'timestamp',
   retention_actions: 'jsonb[]', // Array of retention efforts
   
   // Referral program
   referral_count: 'integer', // DEFAULT 0 in SQL
-  successful_referrals: 'integer', // DEFAULT 0 in SQL
+  successful_referrals: 'numeric', // DEFAULT 0 in SQL; a shared referral counts as the referrer's share
   referral_rewards_earned: 'numeric', // DEFAULT 0 in SQL
   
+  // Billing
+  stripe_customer_id: 'text',
+  stripe_subscription_id: 'text',
+  
   // Meta
   created_at: 'timestamp', // DEFAULT now() in SQL
   updated_at: 'timestamp' // DEFAULT now() in SQL
@@ -272,6 +296,10 @@ export const InteractionSchema = {
   campaign_id: 'text',
   template_id: 'text',
   
+  // Tenant
+  organization_id: 'uuid', // NOT NULL, references organizations(id)
+  location_id: 'uuid', // References locations(id)
+  
   // Meta
   created_at: 'timestamp', // DEFAULT now() in SQL
   updated_at: 'timestamp', // DEFAULT now() in SQL
@@ -288,7 +316,7 @@ export const MessageSchema = {
   id: 'uuid',
   
   // Sender and recipient
-  sender_id: 'uuid', // NOT NULL constraint in SQL
+  sender_id: 'uuid', // Null for automatic texts to a person without a salesperson
   recipient_id: 'uuid', // NOT NULL constraint in SQL
   
   // Message details
@@ -314,6 +342,11 @@ export const MessageSchema = {
   // Response tracking
   has_response: 'boolean', // DEFAULT false in SQL
   response_id: 'uuid',
+  direction: 'text', // DEFAULT 'outbound'::text in SQL
+  
+  // Tenant
+  organization_id: 'uuid', // NOT NULL, references organizations(id)
+  location_id: 'uuid', // References locations(id)
   
   // Meta
   metadata: 'jsonb', // DEFAULT '{}'::jsonb in SQL
@@ -321,6 +354,226 @@ export const MessageSchema = {
   updated_at: 'timestamp' // DEFAULT now() in SQL
 };
 
+/**
+ * Referral Link Schema
+ * Represents a shareable referral link and its click statistics
+ */
+export const ReferralLinkSchema = {
+  // Core fields
+  id: 'uuid',
+  referrer_id: 'uuid', // NOT NULL constraint in SQL
+  created_by: 'uuid',
+  
+  // Link
+  provider: 'text', // NOT NULL, DEFAULT 'self_hosted'::text in SQL
+  short_code: 'text', // NOT NULL, UNIQUE constraint in SQL
+  url: 'text', // NOT NULL constraint in SQL
+  destination_url: 'text', // NOT NULL constraint in SQL
+  preview_url: 'text',
+  is_active: 'boolean', // DEFAULT true in SQL
+  
+  // UTM data
+  campaign: 'text', // DEFAULT 'default'::text in SQL
+  source: 'text',
+  medium: 'text',
+  utm_params: 'jsonb', // DEFAULT '{}'::jsonb in SQL
+  
+  // Click tracking
+  click_count: 'integer', // DEFAULT 0 in SQL
+  first_clicked_at: 'timestamp',
+  last_clicked_at: 'timestamp',
+  
+  // Tenant
+  organization_id: 'uuid', // NOT NULL, references organizations(id)
+  location_id: 'uuid', // References locations(id)
+  
+  // Meta
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Membership Plan Schema
+ * Represents a plan in the membership catalog, synced to Stripe
+ */
+export const MembershipPlanSchema = {
+  // Core fields
+  id: 'uuid',
+  name: 'text', // NOT NULL, unique regardless of case
+  description: 'text',
+  
+  // Pricing
+  monthly_price: 'numeric', // NOT NULL constraint in SQL
+  billing_interval: 'text', // NOT NULL, DEFAULT 'month'::text in SQL ('month', 'quarter' or 'year')
+  trial_days: 'integer', // NOT NULL, DEFAULT 0 in SQL
+  enrollment_fee: 'numeric', // NOT NULL, DEFAULT 0 in SQL
+  is_active: 'boolean', // NOT NULL, DEFAULT true in SQL
+  
+  // Stripe
+  stripe_product_id: 'text',
+  stripe_price_id: 'text',
+  stripe_enrollment_price_id: 'text',
+  
+  // Meta
+  created_by: 'uuid',
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Organization Schema
+ * Represents an ORCA account and its subscription tier
+ */
+export const OrganizationSchema = {
+  // Core fields
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  name: 'text', // NOT NULL constraint in SQL
+  plan_tier: 'text', // NOT NULL, DEFAULT 'starter'::text in SQL ('starter', 'growth' or 'scale')
+  attribution_model: 'text', // NOT NULL, DEFAULT 'first_touch'::text in SQL
+  lead_scoring_weights: 'jsonb', // NOT NULL, DEFAULT '{}' in SQL; overrides the default weights
+  
+  // Stripe subscription to the tier
+  stripe_customer_id: 'text',
+  stripe_subscription_id: 'text',
+  subscription_status: 'text',
+  current_period_end: 'timestamp',
+  
+  // Meta
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Location Schema
+ * Represents one of an organization's gyms
+ */
+export const LocationSchema = {
+  // Core fields
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, references organizations(id)
+  name: 'text', // NOT NULL, unique within the organization
+  address: 'jsonb',
+  phone: 'text',
+  timezone: 'text',
+  is_active: 'boolean', // NOT NULL, DEFAULT true in SQL
+  
+  // Meta
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Incentive Rule Schema
+ * Represents what referrers earn when their referrals convert
+ */
+export const IncentiveRuleSchema = {
+  // Core fields
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, references organizations(id)
+  name: 'text', // NOT NULL constraint in SQL
+  description: 'text',
+  
+  // When the rule pays
+  trigger: 'text', // NOT NULL, DEFAULT 'conversion'::text in SQL ('conversion' or 'milestone')
+  referral_threshold: 'integer', // Required for milestones, CHECK >= 1
+  repeats: 'boolean', // NOT NULL, DEFAULT false in SQL
+  
+  // The reward
+  reward_type: 'text', // NOT NULL, DEFAULT 'credit'::text in SQL ('credit', 'free_month', 'cash' or 'gift')
+  reward_amount: 'numeric', // NOT NULL, DEFAULT 0 in SQL
+  tiers: 'jsonb', // NOT NULL, DEFAULT '[]'::jsonb in SQL; [{min_referrals, reward_amount}]
+  
+  // Time box
+  starts_at: 'timestamp',
+  ends_at: 'timestamp',
+  
+  requires_approval: 'boolean', // NOT NULL, DEFAULT true in SQL
+  is_active: 'boolean', // NOT NULL, DEFAULT true in SQL
+  
+  // Meta
+  created_by: 'uuid',
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Incentive Award Schema
+ * Represents a reward a referrer has earned, from approval to payout
+ */
+export const IncentiveAwardSchema = {
+  // Core fields
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, references organizations(id)
+  rule_id: 'uuid', // NOT NULL, references incentive_rules(id)
+  person_id: 'uuid', // NOT NULL, the referrer
+  referral_id: 'uuid', // NOT NULL, the converted referral
+  relationship_id: 'uuid', // References relationships(id)
+  attribution_percentage: 'integer', // NOT NULL, DEFAULT 100 in SQL
+  referral_count: 'numeric', // NOT NULL, DEFAULT 0 in SQL
+  reward_type: 'text', // NOT NULL constraint in SQL
+  amount: 'numeric', // NOT NULL, DEFAULT 0 in SQL
+  
+  // Approval
+  status: 'text', // NOT NULL, DEFAULT 'pending'::text in SQL ('pending', 'approved', 'rejected' or 'paid')
+  reviewed_by: 'uuid',
+  reviewed_at: 'timestamp',
+  review_notes: 'text',
+  paid_at: 'timestamp',
+  
+  // Meta
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Incentive Payout Schema
+ * Represents an entry in the payout ledger
+ */
+export const IncentivePayoutSchema = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, references organizations(id)
+  award_id: 'uuid', // NOT NULL, UNIQUE, references incentive_awards(id)
+  person_id: 'uuid', // NOT NULL, the referrer paid
+  amount: 'numeric', // NOT NULL constraint in SQL
+  reward_type: 'text', // NOT NULL constraint in SQL
+  method: 'text', // NOT NULL, DEFAULT 'account_credit'::text in SQL
+  reference: 'text',
+  notes: 'text',
+  paid_by: 'uuid',
+  created_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Import Job Schema
+ * Represents an import of leads or members from a CSV or XLSX file
+ */
+export const ImportJobSchema = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, references organizations(id)
+  location_id: 'uuid', // References locations(id); where imported persons are created
+  created_by: 'uuid', // References users(id)
+  import_type: 'text', // NOT NULL ('lead' or 'member')
+  file_name: 'text', // NOT NULL constraint in SQL
+  headers: 'jsonb', // NOT NULL, the file's header row
+  rows: 'jsonb', // NOT NULL, the file's data rows; not returned to the client
+  total_rows: 'integer', // NOT NULL, DEFAULT 0 in SQL
+  column_mapping: 'jsonb', // NOT NULL, file column -> field
+  duplicate_strategy: 'text', // NOT NULL, DEFAULT 'skip'::text in SQL
+  status: 'text', // NOT NULL, DEFAULT 'uploaded'::text in SQL
+  processed_rows: 'integer', // NOT NULL, DEFAULT 0 in SQL
+  created_count: 'integer', // NOT NULL, DEFAULT 0 in SQL
+  updated_count: 'integer', // NOT NULL, DEFAULT 0 in SQL
+  skipped_count: 'integer', // NOT NULL, DEFAULT 0 in SQL
+  error_count: 'integer', // NOT NULL, DEFAULT 0 in SQL
+  errors: 'jsonb', // NOT NULL, [{row, errors}]; downloaded as a report
+  last_error: 'text',
+  started_at: 'timestamp',
+  progressed_at: 'timestamp',
+  completed_at: 'timestamp',
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
 /**
  * User Schema
  * Represents system users
@@ -334,6 +587,8 @@ export const UserSchema = {
   last_name: 'text',
   phone: 'text',
   role: 'text', // DEFAULT 'salesperson'::text in SQL
+  organization_id: 'uuid', // References organizations(id)
+  location_id: 'uuid', // References locations(id); NULL works across all locations
   
   // Meta
   created_at: 'timestamp', // DEFAULT now() in SQL
@@ -401,6 +656,11 @@ export default {
   RelationshipSchema,
   InteractionSchema,
   MessageSchema,
+  OrganizationSchema,
+  LocationSchema,
+  IncentiveRuleSchema,
+  IncentiveAwardSchema,
+  IncentivePayoutSchema,
   UserSchema,
   SchemaConstraints
 }; 
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * Lead Pipeline Utilities
+ *
+ * Helpers for placing leads on the pipeline board and checking moves between
+ * stages. The stages, their allowed transitions and required fields come from
+ * GET /api/leads/pipeline; the server enforces the same rules on every move.
+ */
+
+// Board columns used when the pipeline cannot be loaded. Without transitions,
+// moves are only checked by the server.
+export const DEFAULT_PIPELINE_STAGES = [
+  { key: 'new', label: 'New' },
+  { key: 'contacted', label: 'Contacted' },
+  { key: 'appointment_scheduled', label: 'Appointment Scheduled' },
+  { key: 'visited', label: 'Visited' },
+  { key: 'proposal_made', label: 'Proposal Made' },
+  { key: 'negotiation', label: 'Negotiation' },
+  { key: 'won', label: 'Won' },
+  { key: 'lost', label: 'Lost' }
+];
+
+/**
+ * Normalize a status or label for comparison ('Appointment Scheduled' -> 'appointment_scheduled')
+ * @param {string} value - Status or label
+ * @returns {string} Normalized value
+ */
+const toKey = (value) => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Find the stage a lead status belongs to
+ * Statuses saved as labels or older names (e.g. 'Appointment Completed') are
+ * mapped onto the closest stage; anything unrecognized goes in the first stage.
+ * @param {string} status - Lead status
+ * @param {Array} stages - Pipeline stages
+ * @returns {Object} Stage definition
+ */
+export const getStageForStatus = (status, stages) => {
+  if (!status) return stages[0];
+
+  const key = toKey(status);
+  const exact = stages.find(stage => stage.key === key || toKey(stage.label) === key);
+
+  if (exact) return exact;
+
+  // Map common status variants
+  let mappedKey = null;
+
+  if (key.includes('appointment') && key.includes('completed')) {
+    mappedKey = 'visited';
+  } else if (key.includes('appointment')) {
+    mappedKey = 'appointment_scheduled';
+  } else if (key.includes('proposal')) {
+    mappedKey = 'proposal_made';
+  } else if (key.includes('contact')) {
+    mappedKey = 'contacted';
+  } else if (key.includes('negotiat')) {
+    mappedKey = 'negotiation';
+  }
+
+  return stages.find(stage => stage.key === mappedKey) || stages[0];
+};
+
+/**
+ * Check a field the next stage requires
+ * @param {*} value - Field value
+ * @returns {boolean} True when the field is filled in
+ */
+const hasValue = (value) => value !== undefined && value !== null && value !== '' && value !== false;
+
+/**
+ * Explain why a lead cannot be moved between two stages
+ * @param {Object} lead - Lead with lead_extensions
+ * @param {Object} fromStage - Current stage
+ * @param {Object} toStage - Target stage
+ * @returns {string|null} Reason the move is not allowed, or null if it is
+ */
+export const getMoveRejection = (lead, fromStage, toStage) => {
+  if (!fromStage || !toStage || fromStage.key === toStage.key) return null;
+
+  const extension = lead?.lead_extensions?.[0] || {};
+  const reasons = [];
+
+  if (Array.isArray(fromStage.transitions) && !fromStage.transitions.includes(toStage.key)) {
+    reasons.push(`A lead in ${fromStage.label} cannot move to ${toStage.label}`);
+  }
+
+  (toStage.requiredFields || []).forEach(({ field, label }) => {
+    if (!hasValue(extension[field])) {
+      reasons.push(`${label} is required before ${toStage.label}`);
+    }
+  });
+
+  return reasons.length > 0 ? reasons.join('. ') : null;
+};
@@ -42,6 +42,7 @@ if (
  * @param {string} options.referrerName - Name of the referring person
  * @param {string} options.campaign - Optional campaign identifier
  * @param {string} options.source - Source of the referral
+ * @param {string} options.link - Optional deep link to open instead of the default referral page
  * @param {Object} options.customParams - Additional custom parameters
  * @returns {Promise<Object>} Created dynamic link
  */
@@ -52,6 +53,7 @@ const createReferralLink = async (options) => {
       referrerName, 
       campaign = 'default', 
       source = 'app',
+      link,
       customParams = {}
     } = options;
     
@@ -62,7 +64,9 @@ const createReferralLink = async (options) => {
     
     // Base URL to redirect to
     const baseUrl = process.env.CLIENT_URL || 'https://orca-lead-management.vercel.app';
-    const referralUrl = `${baseUrl}/referral?referrer=${referrerId}`;
+    const referralUrl = link
+      ? `${link}${link.includes('?') ? '&' : '?'}referrer=${referrerId}`
+      : `${baseUrl}/referral?referrer=${referrerId}`;
     
     // Build the dynamic link request
     const dynamicLinkRequest = {
@@ -113,6 +117,7 @@ const createReferralLink = async (options) => {
       success: true,
       shortLink: response.data.shortLink,
       previewLink: response.data.previewLink,
+      link: dynamicLinkRequest.dynamicLinkInfo.link,
       referrerId,
       campaign,
       source
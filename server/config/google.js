@@ -50,24 +50,31 @@ const createOAuth2Client = () => {
   );
 };
 
+// Access requested when a user connects their Google account
+const GOOGLE_SCOPES = [
+  'openid',
+  'https://www.googleapis.com/auth/userinfo.email',
+  'https://www.googleapis.com/auth/calendar',
+  'https://www.googleapis.com/auth/gmail.send',
+  'https://www.googleapis.com/auth/gmail.compose'
+];
+
 /**
  * Get an OAuth URL for user authorization
- * @param {string} userId - User ID for state parameter
+ * @param {string} state - Signed state parameter identifying the user (see utils/googleAccounts.js)
  * @returns {string} Authorization URL
  */
-const getGoogleAuthUrl = (userId) => {
+const getGoogleAuthUrl = (state) => {
   const oauth2Client = createOAuth2Client();
   
   // Generate a URL that asks for permissions for both Calendar and Gmail
   return oauth2Client.generateAuthUrl({
     access_type: 'offline', // Get a refresh token
-    scope: [
-      'https://www.googleapis.com/auth/calendar',
-      'https://www.googleapis.com/auth/gmail.send',
-      'https://www.googleapis.com/auth/gmail.compose'
-    ],
-    // Pass the user ID in the state parameter to associate the tokens with the user
-    state: userId
+    prompt: 'consent', // Google only returns a refresh token on consent, so always ask
+    include_granted_scopes: true,
+    scope: GOOGLE_SCOPES,
+    // Returned to the callback, which checks it before storing any tokens
+    state
   });
 };
 
@@ -87,6 +94,38 @@ const getGoogleTokens = async (code) => {
   }
 };
 
+/**
+ * Get a new access token with a refresh token
+ * @param {string} refreshToken - OAuth refresh token
+ * @returns {Promise<Object>} Tokens object with access_token and expiry_date
+ */
+const refreshGoogleTokens = async (refreshToken) => {
+  try {
+    const oauth2Client = createOAuth2Client();
+    oauth2Client.setCredentials({ refresh_token: refreshToken });
+    const { credentials } = await oauth2Client.refreshAccessToken();
+    return credentials;
+  } catch (error) {
+    console.error('Error refreshing Google tokens:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a token, removing the app's access to the Google account
+ * @param {string} token - Refresh or access token
+ * @returns {Promise<void>}
+ */
+const revokeGoogleToken = async (token) => {
+  try {
+    const oauth2Client = createOAuth2Client();
+    await oauth2Client.revokeToken(token);
+  } catch (error) {
+    console.error('Error revoking Google token:', error.message);
+    throw error;
+  }
+};
+
 /**
  * Create an authenticated Google Calendar client
  * @param {Object} tokens - OAuth tokens
@@ -119,6 +158,76 @@ const getGmailClient = (tokens) => {
   }
 };
 
+/**
+ * Calculate the free slots in a date range around a list of busy periods
+ * Slots fall on weekdays within work hours, starting every 30 minutes
+ * @param {Array} busySlots - Busy periods as { start, end }
+ * @param {Object} options - Range, slot length and work hours (see getAvailableTimeSlots)
+ * @returns {Array} Available time slots as { start, end } ISO strings
+ */
+const calculateAvailableSlots = (busySlots, options) => {
+  const {
+    startDate,
+    endDate,
+    durationMinutes = 60,
+    workHoursStart = 9,
+    workHoursEnd = 17
+  } = options;
+  
+  // Calculate available slots
+  const availableSlots = [];
+  let currentDay = new Date(startDate);
+  const endDay = new Date(endDate);
+  
+  // Process each day in the range
+  while (currentDay <= endDay) {
+    // Skip weekends (0 = Sunday, 6 = Saturday)
+    const dayOfWeek = currentDay.getDay();
+    if (dayOfWeek !== 0 && dayOfWeek !== 6) {
+      // Set start and end time for the current day
+      const dayStart = new Date(currentDay);
+      dayStart.setHours(workHoursStart, 0, 0, 0);
+      
+      const dayEnd = new Date(currentDay);
+      dayEnd.setHours(workHoursEnd, 0, 0, 0);
+      
+      // Check each potential time slot
+      let slotStart = new Date(dayStart);
+      
+      while (slotStart < dayEnd) {
+        // Calculate slot end time
+        const slotEnd = new Date(slotStart);
+        slotEnd.setMinutes(slotStart.getMinutes() + durationMinutes);
+        
+        // Check if this slot overlaps with any busy times
+        const isOverlapping = busySlots.some(busySlot => {
+          const busyStart = new Date(busySlot.start);
+          const busyEnd = new Date(busySlot.end);
+          return (slotStart < busyEnd && slotEnd > busyStart);
+        });
+        
+        // If not overlapping, add to available slots
+        if (!isOverlapping && slotEnd <= dayEnd) {
+          availableSlots.push({
+            start: slotStart.toISOString(),
+            end: slotEnd.toISOString()
+          });
+        }
+        
+        // Move to next potential slot (30-minute increments)
+        slotStart = new Date(slotStart);
+        slotStart.setMinutes(slotStart.getMinutes() + 30);
+      }
+    }
+    
+    // Move to next day
+    currentDay.setDate(currentDay.getDate() + 1);
+    currentDay = new Date(currentDay);
+  }
+  
+  return availableSlots;
+};
+
 /**
  * Get available time slots from a user's calendar
  * @param {Object} tokens - OAuth tokens
@@ -130,10 +239,7 @@ const getAvailableTimeSlots = async (tokens, options) => {
     const { 
       startDate, 
       endDate, 
-      durationMinutes = 60, 
       timezone = 'America/New_York', 
-      workHoursStart = 9, 
-      workHoursEnd = 17,
       calendarId = 'primary'
     } = options;
     
@@ -157,58 +263,7 @@ const getAvailableTimeSlots = async (tokens, options) => {
     
     const busySlots = busyTimesResponse.data.calendars[calendarId].busy || [];
     
-    // Calculate available slots
-    const availableSlots = [];
-    let currentDay = new Date(startDate);
-    const endDay = new Date(endDate);
-    
-    // Process each day in the range
-    while (currentDay <= endDay) {
-      // Skip weekends (0 = Sunday, 6 = Saturday)
-      const dayOfWeek = currentDay.getDay();
-      if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-        // Set start and end time for the current day
-        const dayStart = new Date(currentDay);
-        dayStart.setHours(workHoursStart, 0, 0, 0);
-        
-        const dayEnd = new Date(currentDay);
-        dayEnd.setHours(workHoursEnd, 0, 0, 0);
-        
-        // Check each potential time slot
-        let slotStart = new Date(dayStart);
-        
-        while (slotStart < dayEnd) {
-          // Calculate slot end time
-          const slotEnd = new Date(slotStart);
-          slotEnd.setMinutes(slotStart.getMinutes() + durationMinutes);
-          
-          // Check if this slot overlaps with any busy times
-          const isOverlapping = busySlots.some(busySlot => {
-            const busyStart = new Date(busySlot.start);
-            const busyEnd = new Date(busySlot.end);
-            return (slotStart < busyEnd && slotEnd > busyStart);
-          });
-          
-          // If not overlapping, add to available slots
-          if (!isOverlapping && slotEnd <= dayEnd) {
-            availableSlots.push({
-              start: slotStart.toISOString(),
-              end: slotEnd.toISOString()
-            });
-          }
-          
-          // Move to next potential slot (30-minute increments)
-          slotStart = new Date(slotStart);
-          slotStart.setMinutes(slotStart.getMinutes() + 30);
-        }
-      }
-      
-      // Move to next day
-      currentDay.setDate(currentDay.getDate() + 1);
-      currentDay = new Date(currentDay);
-    }
-    
-    return availableSlots;
+    return calculateAvailableSlots(busySlots, options);
   } catch (error) {
     console.error('Error getting available time slots:', error);
     throw error;
@@ -279,6 +334,167 @@ const createCalendarEvent = async (tokens, eventDetails) => {
   }
 };
 
+/**
+ * Move a calendar event
+ * @param {Object} tokens - OAuth tokens
+ * @param {string} eventId - Event ID
+ * @param {Object} changes - New times, plus calendarId, timezone and sendInvites
+ * @returns {Promise<Object>} Updated event
+ */
+const updateCalendarEvent = async (tokens, eventId, changes) => {
+  try {
+    const {
+      startDateTime,
+      endDateTime,
+      description,
+      timezone = 'America/New_York',
+      calendarId = 'primary',
+      sendInvites = true
+    } = changes;
+    
+    const calendar = getCalendarClient(tokens);
+    
+    // Patch only what changed so edits made in Google are kept
+    const patch = {};
+    
+    if (startDateTime) {
+      patch.start = { dateTime: new Date(startDateTime).toISOString(), timeZone: timezone };
+    }
+    
+    if (endDateTime) {
+      patch.end = { dateTime: new Date(endDateTime).toISOString(), timeZone: timezone };
+    }
+    
+    if (description !== undefined) {
+      patch.description = description;
+    }
+    
+    const updatedEvent = await calendar.events.patch({
+      calendarId,
+      eventId,
+      requestBody: patch,
+      sendUpdates: sendInvites ? 'all' : 'none'
+    });
+    
+    return updatedEvent.data;
+  } catch (error) {
+    console.error('Error updating calendar event:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a calendar event, notifying its attendees
+ * An event that is already gone is not an error.
+ * @param {Object} tokens - OAuth tokens
+ * @param {string} eventId - Event ID
+ * @param {Object} options - calendarId and sendInvites
+ * @returns {Promise<void>}
+ */
+const deleteCalendarEvent = async (tokens, eventId, { calendarId = 'primary', sendInvites = true } = {}) => {
+  try {
+    const calendar = getCalendarClient(tokens);
+    
+    await calendar.events.delete({
+      calendarId,
+      eventId,
+      sendUpdates: sendInvites ? 'all' : 'none'
+    });
+  } catch (error) {
+    const status = error.code || (error.response && error.response.status);
+    
+    if (status === 404 || status === 410) {
+      return;
+    }
+    
+    console.error('Error deleting calendar event:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the events changed since the last sync
+ * Without a sync token every event is listed, which also produces the first token.
+ * A token Google has expired fails with status 410; sync again without one.
+ * @param {Object} tokens - OAuth tokens
+ * @param {Object} options - syncToken and calendarId
+ * @returns {Promise<Object>} Changed events (including cancelled ones) and nextSyncToken
+ */
+const listCalendarEventChanges = async (tokens, { syncToken, calendarId = 'primary' } = {}) => {
+  try {
+    const calendar = getCalendarClient(tokens);
+    const events = [];
+    let pageToken;
+    let nextSyncToken;
+    
+    do {
+      const response = await calendar.events.list({
+        calendarId,
+        syncToken,
+        pageToken,
+        showDeleted: true,
+        singleEvents: true,
+        maxResults: 250
+      });
+      
+      events.push(...(response.data.items || []));
+      pageToken = response.data.nextPageToken;
+      nextSyncToken = response.data.nextSyncToken;
+    } while (pageToken);
+    
+    return { events, nextSyncToken };
+  } catch (error) {
+    console.error('Error listing calendar event changes:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Ask Google to post a notification whenever a calendar's events change
+ * @param {Object} tokens - OAuth tokens
+ * @param {Object} channel - id, token (echoed back for verification), address (HTTPS URL) and calendarId
+ * @returns {Promise<Object>} Channel with resourceId and expiration
+ */
+const watchCalendarEvents = async (tokens, { id, token, address, calendarId = 'primary' }) => {
+  try {
+    const calendar = getCalendarClient(tokens);
+    
+    const response = await calendar.events.watch({
+      calendarId,
+      requestBody: {
+        id,
+        token,
+        address,
+        type: 'web_hook'
+      }
+    });
+    
+    return response.data;
+  } catch (error) {
+    console.error('Error watching calendar events:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Stop a push notification channel
+ * @param {Object} tokens - OAuth tokens
+ * @param {Object} channel - Channel id and resourceId
+ * @returns {Promise<void>}
+ */
+const stopCalendarChannel = async (tokens, { id, resourceId }) => {
+  try {
+    const calendar = getCalendarClient(tokens);
+    
+    await calendar.channels.stop({
+      requestBody: { id, resourceId }
+    });
+  } catch (error) {
+    console.error('Error stopping calendar channel:', error.message);
+    throw error;
+  }
+};
+
 /**
  * Send an email using Gmail API
  * @param {Object} tokens - OAuth tokens
@@ -342,12 +558,21 @@ const sendEmail = async (tokens, emailDetails) => {
 };
 
 module.exports = {
+  GOOGLE_SCOPES,
   getGoogleAuthUrl,
   getGoogleTokens,
+  refreshGoogleTokens,
+  revokeGoogleToken,
   getCalendarClient,
   getGmailClient,
   getAvailableTimeSlots,
+  calculateAvailableSlots,
   createCalendarEvent,
+  updateCalendarEvent,
+  deleteCalendarEvent,
+  listCalendarEventChanges,
+  watchCalendarEvents,
+  stopCalendarChannel,
   sendEmail,
   googleConfig
 }; 
\ No newline at end of file
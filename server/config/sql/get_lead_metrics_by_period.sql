@@ -1,9 +1,13 @@
--- Function to calculate lead metrics by time period
+-- Function to calculate lead metrics by time period for an organization
+-- New leads are counted by when they were created and converted leads by when
+-- their status history first records the move to 'won'.
 CREATE OR REPLACE FUNCTION get_lead_metrics_by_period(
-  start_date TIMESTAMP,
-  end_date TIMESTAMP,
+  start_date TIMESTAMPTZ,
+  end_date TIMESTAMPTZ,
   period_interval TEXT, -- '1 day', '1 week', '1 month'
-  user_id UUID
+  org_id UUID,
+  location_ids UUID[] DEFAULT NULL, -- NULL for every location
+  assigned_user UUID DEFAULT NULL -- NULL for every salesperson
 )
 RETURNS TABLE (
   date TEXT,
@@ -12,23 +16,31 @@ RETURNS TABLE (
   conversion_rate NUMERIC
 ) 
 LANGUAGE plpgsql
+STABLE
 AS $$
+DECLARE
+  trunc_unit TEXT := CASE period_interval
+    WHEN '1 week' THEN 'week'
+    WHEN '1 month' THEN 'month'
+    ELSE 'day'
+  END;
 BEGIN
   RETURN QUERY
-  WITH date_series AS (
-    -- Generate a series of dates based on the period_interval
-    SELECT 
-      date_trunc(
-        CASE 
-          WHEN period_interval = '1 day' THEN 'day'
-          WHEN period_interval = '1 week' THEN 'week'
-          WHEN period_interval = '1 month' THEN 'month'
-          ELSE 'day'
-        END,
-        series_date
-      ) AS trunc_date
+  WITH scoped_leads AS (
+    SELECT p.id, p.created_at
+    FROM persons p
+    WHERE 
+      p.is_lead = TRUE AND
+      p.organization_id = org_id AND
+      (location_ids IS NULL OR p.location_id = ANY(location_ids)) AND
+      (assigned_user IS NULL OR p.assigned_to = assigned_user)
+  ),
+  
+  -- One row per period, starting at the period holding start_date
+  date_series AS (
+    SELECT series_date AS trunc_date
     FROM generate_series(
-      start_date,
+      date_trunc(trunc_unit, start_date),
       end_date,
       period_interval::INTERVAL
     ) AS series_date
@@ -37,44 +49,28 @@ BEGIN
   -- Get new leads created in each period
   new_leads_data AS (
     SELECT
-      date_trunc(
-        CASE 
-          WHEN period_interval = '1 day' THEN 'day'
-          WHEN period_interval = '1 week' THEN 'week'
-          WHEN period_interval = '1 month' THEN 'month'
-          ELSE 'day'
-        END,
-        created_at
-      ) AS trunc_date,
-      COUNT(*) AS new_lead_count
-    FROM persons
-    WHERE 
-      is_lead = TRUE AND
-      assigned_to = user_id AND
-      created_at BETWEEN start_date AND end_date
-    GROUP BY trunc_date
+      date_trunc(trunc_unit, sl.created_at) AS trunc_date,
+      COUNT(*)::INTEGER AS new_lead_count
+    FROM scoped_leads sl
+    WHERE sl.created_at BETWEEN start_date AND end_date
+    GROUP BY 1
   ),
   
-  -- Get converted leads (when status changed to 'won') in each period
+  -- Get leads first moved to 'won' in each period
   converted_leads_data AS (
     SELECT
-      date_trunc(
-        CASE 
-          WHEN period_interval = '1 day' THEN 'day'
-          WHEN period_interval = '1 week' THEN 'week'
-          WHEN period_interval = '1 month' THEN 'month'
-          ELSE 'day'
-        END,
-        updated_at
-      ) AS trunc_date,
-      COUNT(*) AS converted_lead_count
-    FROM lead_extensions le
-    JOIN persons p ON le.person_id = p.id
-    WHERE 
-      le.lead_status = 'won' AND
-      p.assigned_to = user_id AND
-      le.updated_at BETWEEN start_date AND end_date
-    GROUP BY trunc_date
+      date_trunc(trunc_unit, won.won_at) AS trunc_date,
+      COUNT(*)::INTEGER AS converted_lead_count
+    FROM (
+      SELECT le.person_id, MIN((h.entry->>'timestamp')::TIMESTAMPTZ) AS won_at
+      FROM lead_extensions le
+      JOIN scoped_leads sl ON sl.id = le.person_id
+      CROSS JOIN LATERAL unnest(le.status_history) AS h(entry)
+      WHERE lower(h.entry->>'status') = 'won'
+      GROUP BY le.person_id
+    ) won
+    WHERE won.won_at BETWEEN start_date AND end_date
+    GROUP BY 1
   )
   
   -- Join the series with the lead data and calculate metrics
@@ -84,7 +80,7 @@ BEGIN
     COALESCE(cld.converted_lead_count, 0) AS converted_leads,
     CASE 
       WHEN COALESCE(nld.new_lead_count, 0) > 0 THEN
-        COALESCE(cld.converted_lead_count, 0)::NUMERIC / COALESCE(nld.new_lead_count, 1)
+        ROUND(COALESCE(cld.converted_lead_count, 0)::NUMERIC / nld.new_lead_count, 4)
       ELSE 0
     END AS conversion_rate
   FROM date_series ds
@@ -92,4 +88,4 @@ BEGIN
   LEFT JOIN converted_leads_data cld ON ds.trunc_date = cld.trunc_date
   ORDER BY ds.trunc_date;
 END;
-$$; 
\ No newline at end of file
+$$;
@@ -110,7 +110,38 @@ const createProduct = async (productData) => {
 };
 
 /**
- * Create a subscription price
+ * Update a product
+ * @param {string} productId - Stripe product ID
+ * @param {Object} productData - Fields to update (name, description, active, metadata)
+ * @returns {Promise<Object>} Updated product
+ */
+const updateProduct = async (productId, productData) => {
+  try {
+    // Basic validation
+    if (!productId) {
+      throw new Error('Product ID is required');
+    }
+    
+    const product = await stripeClient.products.update(productId, productData);
+    
+    return {
+      success: true,
+      productId: product.id,
+      product
+    };
+  } catch (error) {
+    console.error('Error updating Stripe product:', error);
+    return {
+      success: false,
+      error: error.message,
+      details: error
+    };
+  }
+};
+
+/**
+ * Create a price
+ * Prices are recurring unless `recurring` is null, which creates a one-time price.
  * @param {Object} priceData - Price data
  * @returns {Promise<Object>} Created price
  */
@@ -133,14 +164,19 @@ const createPrice = async (priceData) => {
       throw new Error('Unit amount must be greater than 0');
     }
     
-    // Create price in Stripe
-    const price = await stripeClient.prices.create({
+    const priceParams = {
       product: productId,
       unit_amount: unitAmount, // in cents
       currency,
-      recurring,
       metadata
-    });
+    };
+    
+    if (recurring) {
+      priceParams.recurring = recurring;
+    }
+    
+    // Create price in Stripe
+    const price = await stripeClient.prices.create(priceParams);
     
     return {
       success: true,
@@ -157,6 +193,36 @@ const createPrice = async (priceData) => {
   }
 };
 
+/**
+ * Archive a price so it can no longer be used for new purchases
+ * Existing subscriptions on the price are not affected.
+ * @param {string} priceId - Stripe price ID
+ * @returns {Promise<Object>} Archived price
+ */
+const archivePrice = async (priceId) => {
+  try {
+    // Basic validation
+    if (!priceId) {
+      throw new Error('Price ID is required');
+    }
+    
+    const price = await stripeClient.prices.update(priceId, { active: false });
+    
+    return {
+      success: true,
+      priceId: price.id,
+      price
+    };
+  } catch (error) {
+    console.error('Error archiving Stripe price:', error);
+    return {
+      success: false,
+      error: error.message,
+      details: error
+    };
+  }
+};
+
 /**
  * Create a subscription
  * @param {Object} subscriptionData - Subscription data
@@ -226,6 +292,50 @@ const createSubscription = async (subscriptionData) => {
   }
 };
 
+/**
+ * Move a subscription to another price
+ * The change is prorated on the next invoice.
+ * @param {string} subscriptionId - Stripe subscription ID
+ * @param {Object} subscriptionData - Subscription changes
+ * @returns {Promise<Object>} Updated subscription
+ */
+const updateSubscription = async (subscriptionId, subscriptionData) => {
+  try {
+    const { priceId, metadata } = subscriptionData;
+    
+    // Basic validation
+    if (!subscriptionId || !priceId) {
+      throw new Error('Subscription ID and price ID are required');
+    }
+    
+    // Replace the price on the subscription's item
+    const current = await stripeClient.subscriptions.retrieve(subscriptionId);
+    const updateObj = {
+      items: [{ id: current.items.data[0].id, price: priceId }],
+      proration_behavior: 'create_prorations'
+    };
+    
+    if (metadata) {
+      updateObj.metadata = metadata;
+    }
+    
+    const subscription = await stripeClient.subscriptions.update(subscriptionId, updateObj);
+    
+    return {
+      success: true,
+      subscriptionId: subscription.id,
+      subscription
+    };
+  } catch (error) {
+    console.error('Error updating Stripe subscription:', error);
+    return {
+      success: false,
+      error: error.message,
+      details: error
+    };
+  }
+};
+
 /**
  * Create a checkout session
  * @param {Object} checkoutData - Checkout session data
@@ -238,6 +348,9 @@ const createCheckoutSession = async (checkoutData) => {
       quantity = 1,
       customerId = null,
       metadata = {},
+      subscriptionMetadata = {},
+      trialDays = 0,
+      enrollmentFeePriceId = null,
       successUrl,
       cancelUrl
     } = checkoutData;
@@ -259,9 +372,20 @@ const createCheckoutSession = async (checkoutData) => {
       mode: 'subscription',
       success_url: successUrl,
       cancel_url: cancelUrl,
-      metadata
+      metadata,
+      // Copied onto the subscription, so its invoices can be traced back
+      subscription_data: { metadata: subscriptionMetadata }
     };
     
+    // Charge a one-time fee with the first invoice
+    if (enrollmentFeePriceId) {
+      sessionParams.line_items.push({ price: enrollmentFeePriceId, quantity: 1 });
+    }
+    
+    if (trialDays > 0) {
+      sessionParams.subscription_data.trial_period_days = trialDays;
+    }
+    
     // Add customer if provided
     if (customerId) {
       sessionParams.customer = customerId;
@@ -295,7 +419,10 @@ const createPaymentLink = async (linkData) => {
     const { 
       priceId, 
       quantity = 1,
-      metadata = {}
+      metadata = {},
+      subscriptionMetadata = {},
+      trialDays = 0,
+      enrollmentFeePriceId = null
     } = linkData;
     
     // Basic validation
@@ -303,16 +430,28 @@ const createPaymentLink = async (linkData) => {
       throw new Error('Price ID is required');
     }
     
-    // Create payment link
-    const paymentLink = await stripeClient.paymentLinks.create({
+    const linkParams = {
       line_items: [
         {
           price: priceId,
           quantity
         }
       ],
-      metadata
-    });
+      metadata,
+      subscription_data: { metadata: subscriptionMetadata }
+    };
+    
+    // Charge a one-time fee with the first invoice
+    if (enrollmentFeePriceId) {
+      linkParams.line_items.push({ price: enrollmentFeePriceId, quantity: 1 });
+    }
+    
+    if (trialDays > 0) {
+      linkParams.subscription_data.trial_period_days = trialDays;
+    }
+    
+    // Create payment link
+    const paymentLink = await stripeClient.paymentLinks.create(linkParams);
     
     return {
       success: true,
@@ -401,8 +540,11 @@ const getCustomerDetails = async (customerId) => {
 module.exports = {
   createCustomer,
   createProduct,
+  updateProduct,
   createPrice,
+  archivePrice,
   createSubscription,
+  updateSubscription,
   createCheckoutSession,
   createPaymentLink,
   parseWebhookEvent,
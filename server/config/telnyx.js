@@ -5,6 +5,7 @@
  */
 
 const telnyx = require('telnyx');
+const crypto = require('crypto');
 const dotenv = require('dotenv');
 
 // Load environment variables
@@ -17,6 +18,8 @@ dotenv.config();
  * - TELNYX_API_KEY: The API key for Telnyx
  * - TELNYX_MESSAGING_PROFILE_ID: The messaging profile ID
  * - TELNYX_NUMBER: The phone number to send from
+ * - TELNYX_PUBLIC_KEY: The public key for verifying webhook signatures (base64)
+ * - TELNYX_WEBHOOK_URL: Where Telnyx should send delivery status callbacks
  * 
  * For local development, create a .env file with these variables
  * In production, they will be set in the hosting platform (Vercel)
@@ -24,6 +27,14 @@ dotenv.config();
 const telnyxApiKey = process.env.TELNYX_API_KEY || 'placeholder-api-key';
 const telnyxMessagingProfileId = process.env.TELNYX_MESSAGING_PROFILE_ID || 'placeholder-profile-id';
 const telnyxNumber = process.env.TELNYX_NUMBER || '+15555555555';
+const telnyxPublicKey = process.env.TELNYX_PUBLIC_KEY;
+const telnyxWebhookUrl = process.env.TELNYX_WEBHOOK_URL;
+
+// Webhooks older than this are rejected to prevent replays
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+// DER prefix that wraps a raw 32-byte ed25519 public key as SPKI
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
 
 // Log a warning if using fallback values
 if (
@@ -65,7 +76,7 @@ const sendSMS = async (to, message, options = {}) => {
       text: message,
       messaging_profile_id: options.messagingProfileId || telnyxMessagingProfileId,
       // Optional webhook URL for delivery status
-      webhook_url: options.webhookUrl,
+      webhook_url: options.webhookUrl || telnyxWebhookUrl,
       // Optional webhook failover URL
       webhook_failover_url: options.webhookFailoverUrl
     });
@@ -158,10 +169,74 @@ const sendBulkSMS = async (recipients, message, options = {}) => {
   }
 };
 
+/**
+ * Verify and parse a webhook event
+ * 
+ * Telnyx signs `${timestamp}|${rawBody}` with ed25519 and sends the result in the
+ * `telnyx-signature-ed25519` header, with the timestamp in `telnyx-timestamp`.
+ * @param {Buffer|string} payload - Raw request body
+ * @param {string} signature - Base64 signature header
+ * @param {string} timestamp - Unix timestamp header (seconds)
+ * @param {Object} options - Optional overrides
+ * @param {string} options.publicKey - Base64 public key (defaults to TELNYX_PUBLIC_KEY)
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Object} Verified event or error
+ */
+const parseWebhookEvent = (payload, signature, timestamp, options = {}) => {
+  try {
+    const publicKey = options.publicKey || telnyxPublicKey;
+    const now = options.now || Date.now();
+    
+    if (!publicKey) {
+      throw new Error('TELNYX_PUBLIC_KEY is not configured');
+    }
+    
+    if (!payload || !signature || !timestamp) {
+      throw new Error('Missing webhook payload, signature or timestamp');
+    }
+    
+    // Reject stale or future-dated webhooks
+    const ageSeconds = Math.abs(now / 1000 - Number(timestamp));
+    if (!Number.isFinite(ageSeconds) || ageSeconds > WEBHOOK_TOLERANCE_SECONDS) {
+      throw new Error('Webhook timestamp is outside the tolerance window');
+    }
+    
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'base64')]),
+      format: 'der',
+      type: 'spki'
+    });
+    
+    const isValid = crypto.verify(
+      null,
+      Buffer.from(`${timestamp}|${payload.toString()}`),
+      key,
+      Buffer.from(signature, 'base64')
+    );
+    
+    if (!isValid) {
+      throw new Error('Invalid webhook signature');
+    }
+    
+    return {
+      success: true,
+      event: JSON.parse(payload.toString())
+    };
+  } catch (error) {
+    console.error('Error verifying Telnyx webhook:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
 module.exports = {
   sendSMS,
   sendBulkSMS,
+  parseWebhookEvent,
   telnyxClient,
   telnyxNumber,
-  telnyxMessagingProfileId
+  telnyxMessagingProfileId,
+  telnyxWebhookUrl
 }; 
\ No newline at end of file
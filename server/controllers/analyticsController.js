@@ -0,0 +1,148 @@
+/**
+ * Analytics Controller
+ * Handles the dashboard's KPIs, conversion funnel, lead sources and period
+ * trends, and the pipeline report
+ */
+const analytics = require('../utils/analytics');
+const pipelineReport = require('../utils/pipelineReport');
+
+// Pipeline report formats and how they are sent
+const REPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', build: pipelineReport.toCsv },
+  pdf: { contentType: 'application/pdf', build: pipelineReport.toPdf }
+};
+
+/**
+ * Get the KPIs
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getKpis = async (req, res, next) => {
+  try {
+    const kpis = await analytics.getKpis(req.tenant, this._reportOptions(req));
+    
+    res.status(200).json({
+      status: 'success',
+      data: kpis
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the conversion funnel
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getFunnel = async (req, res, next) => {
+  try {
+    const funnel = await analytics.getFunnel(req.tenant, this._reportOptions(req));
+    
+    res.status(200).json({
+      status: 'success',
+      data: funnel
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get leads and conversion by acquisition source
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getSources = async (req, res, next) => {
+  try {
+    const sources = await analytics.getSources(req.tenant, this._reportOptions(req));
+    
+    res.status(200).json({
+      status: 'success',
+      data: sources
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get new and converted leads over a period
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getTrends = async (req, res, next) => {
+  try {
+    const trends = await analytics.getTrends(req.tenant, req.query.period || 'month', this._reportOptions(req));
+    
+    res.status(200).json({
+      status: 'success',
+      data: trends
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the pipeline report: stage conversion, days in each stage, monthly cohorts
+ * and win rates, as JSON or downloaded as CSV or PDF (?format=csv|pdf)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getPipelineReport = async (req, res, next) => {
+  try {
+    const format = req.query.format || 'json';
+    
+    if (format !== 'json' && !REPORT_FORMATS[format]) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'format must be one of: json, csv, pdf'
+      });
+    }
+    
+    const report = await pipelineReport.buildReport(req.tenant, {
+      ...req.query,
+      assigned_to: this._reportOptions(req).assignedTo
+    });
+    
+    if (format === 'json') {
+      return res.status(200).json({
+        status: 'success',
+        data: report
+      });
+    }
+    
+    const { filters } = report;
+    const fileName = `${filters.record_type}-pipeline-report-${filters.start_date}-to-${filters.end_date}.${format}`;
+    
+    res.setHeader('Content-Type', REPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.status(200).send(REPORT_FORMATS[format].build(report));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Read the options every report takes from the query string
+ * assigned_to=me narrows the report to the current user's records, and
+ * refresh=true works it out again instead of using the cached result.
+ * @param {Object} req - Express request object
+ * @returns {Object} { assignedTo, refresh }
+ */
+exports._reportOptions = (req) => {
+  const assignedTo = req.query.assigned_to === 'me'
+    ? req.user.id
+    : req.query.assigned_to || null;
+  
+  return {
+    assignedTo,
+    refresh: req.query.refresh === 'true'
+  };
+};
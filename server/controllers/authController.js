@@ -3,10 +3,20 @@
  * Handles user authentication and profile operations
  */
 const userModel = require('../models/userModel');
+const organizationModel = require('../models/organizationModel');
+const locationModel = require('../models/locationModel');
 const supabase = require('../config/supabase');
+const googleAccounts = require('../utils/googleAccounts');
+const calendarSync = require('../utils/calendarSync');
+const subscriptionTiers = require('../utils/subscriptionTiers');
+const organizationInvitations = require('../utils/organizationInvitations');
 
 /**
  * Register a new user
+ * With an invitationToken the user joins the organization that invited them,
+ * with the invitation's role, if its plan has a free seat. Otherwise a new
+ * organization is created on the starter tier, with a 'Main' location and the
+ * user as its admin. The role is never taken from the request.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -19,9 +29,38 @@ exports.register = async (req, res, next) => {
       first_name, 
       last_name, 
       phone, 
-      role = 'salesperson' 
+      organizationId,
+      organizationName,
+      invitationToken
     } = req.body;
     
+    // Joining an organization takes an invitation from one of its admins
+    if (organizationId && !invitationToken) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'An invitation is required to join an organization'
+      });
+    }
+    
+    let invitation = null;
+    
+    if (invitationToken) {
+      invitation = await organizationInvitations.findInvitation(invitationToken, email);
+      
+      // Check for a free seat before creating any account
+      const seatLimit = await subscriptionTiers.checkLimit(invitation.organization_id, 'seats', 1);
+      
+      if (seatLimit) {
+        return res.status(402).json({
+          status: 'error',
+          message: seatLimit.message,
+          limit: seatLimit
+        });
+      }
+      
+      invitation = await organizationInvitations.claimInvitation(invitation);
+    }
+    
     // Create auth user with Supabase Auth
     const { data: authData, error: authError } = await supabase.auth.signUp({
       email,
@@ -29,12 +68,30 @@ exports.register = async (req, res, next) => {
     });
     
     if (authError) {
+      if (invitation) {
+        await organizationInvitations.releaseInvitation(invitation);
+      }
+      
       return res.status(400).json({
         status: 'error',
         message: authError.message
       });
     }
     
+    let organization = { id: invitation && invitation.organization_id };
+    
+    if (!invitation) {
+      organization = await organizationModel.createOrganization({
+        name: organizationName || [first_name, last_name].filter(Boolean).join(' ') || email
+      });
+      
+      // Every organization starts with one location to work in
+      await locationModel.createLocation({
+        organization_id: organization.id,
+        name: 'Main'
+      });
+    }
+    
     // Create user in our users table with additional details
     const userData = {
       id: authData.user.id, // Use same ID as auth
@@ -42,12 +99,29 @@ exports.register = async (req, res, next) => {
       first_name,
       last_name,
       phone,
-      role,
+      // Whoever creates an organization manages it
+      role: invitation ? invitation.role || 'salesperson' : 'admin',
+      organization_id: organization.id,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
     
-    const newUser = await userModel.createUser(userData);
+    let newUser;
+    
+    try {
+      newUser = await userModel.createUser(userData);
+    } catch (error) {
+      // Let the invitation be used again, as when sign-up fails
+      if (invitation) {
+        await organizationInvitations.releaseInvitation(invitation);
+      }
+      
+      throw error;
+    }
+    
+    if (invitation) {
+      await organizationModel.updateInvitation(invitation.id, { accepted_by: newUser.id });
+    }
     
     // Don't return the password
     delete userData.password;
@@ -268,4 +342,114 @@ exports.updatePassword = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Get the URL that starts connecting the user's Google account
+ * The client sends the browser there; Google then redirects to googleCallback
+ * @param {Object} req - Express request object (with user object from authMiddleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.connectGoogle = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        url: googleAccounts.getAuthUrl(req.user.id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Handle the redirect back from Google's consent screen
+ * Public, since it is a browser redirect: the user comes from the signed state.
+ * Always redirects to the profile page with the outcome in the query string.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.googleCallback = async (req, res) => {
+  const { code, state, error: googleError } = req.query;
+  const redirect = (result) => res.redirect(`${googleAccounts.config.clientRedirectUrl}?google=${result}`);
+  
+  let userId;
+  
+  // Check the state before anything else so a forged callback stores nothing
+  try {
+    userId = googleAccounts.verifyState(state);
+  } catch (error) {
+    return redirect('invalid_state');
+  }
+  
+  if (googleError) {
+    return redirect(googleError === 'access_denied' ? 'denied' : 'error');
+  }
+  
+  if (!code) {
+    return redirect('error');
+  }
+  
+  try {
+    await googleAccounts.connect(userId, code);
+    redirect('connected');
+  } catch (error) {
+    console.error(`Google connection failed for user ${userId}:`, error.message);
+    redirect('error');
+  }
+};
+
+/**
+ * Get the user's Google connection and its health
+ * @param {Object} req - Express request object (with user object from authMiddleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getGoogleConnection = async (req, res, next) => {
+  try {
+    const connection = await googleAccounts.getStatus(req.user.id, {
+      check: req.query.check === 'true'
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: connection
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Disconnect the user's Google account
+ * @param {Object} req - Express request object (with user object from authMiddleware)
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.disconnectGoogle = async (req, res, next) => {
+  try {
+    // Stop calendar push notifications while the tokens still work
+    await calendarSync.stopSyncingUserCalendar(req.user);
+    
+    const removed = await googleAccounts.disconnect(req.user.id);
+    
+    if (!removed) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Google account is not connected'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        provider: 'google',
+        connected: false
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,116 @@
+/**
+ * Billing Controller
+ * Handles membership checkouts and Stripe webhooks
+ */
+const personModel = require('../models/personModel');
+const billing = require('../utils/billing');
+const membershipPlans = require('../utils/membershipPlans');
+
+/**
+ * Create a checkout session or payment link for a member
+ * Used to send a new link, to retry one that failed at conversion, or to move
+ * the member to another plan (membershipPlanId). Defaults to the member's plan.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createCheckout = async (req, res, next) => {
+  try {
+    const { personId, method = 'checkout', membershipPlanId } = req.body;
+    
+    if (!personId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'personId is required'
+      });
+    }
+    
+    const person = await personModel.getPersonById(personId, req.tenant);
+    
+    if (!person) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Person not found'
+      });
+    }
+    
+    const memberExtension = (person.member_extensions || [])[0];
+    
+    if (!person.is_member || !memberExtension) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Person is not a member'
+      });
+    }
+    
+    // Members converted before the catalog existed are matched by plan name
+    const { plan, error: planError } = await membershipPlans.resolvePlan({
+      planId: membershipPlanId || memberExtension.membership_plan_id,
+      name: memberExtension.membership_type
+    }, req.tenant);
+    const invalid = planError || billing.validatePaymentCollection(method, plan);
+    
+    if (invalid) {
+      return res.status(400).json({
+        status: 'error',
+        message: invalid
+      });
+    }
+    
+    const checkout = await billing.createMembershipCheckout(person, {
+      plan,
+      method,
+      memberExtension,
+      userId: req.user.id
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      data: checkout
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Handle a Stripe webhook
+ * Verifies the Stripe-Signature header against the raw body, then applies
+ * invoice and subscription events to the member's billing fields.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.handleStripeWebhook = async (req, res, next) => {
+  try {
+    const verification = billing.parseWebhookEvent(req.rawBody, req.headers['stripe-signature']);
+    
+    if (!verification.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Webhook verification failed: ${verification.error}`
+      });
+    }
+    
+    const event = verification.event;
+    
+    if (!event || !event.data || !event.data.object) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Webhook event payload is missing'
+      });
+    }
+    
+    const result = await billing.handleWebhookEvent(event);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        event_type: event.type,
+        ...result
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
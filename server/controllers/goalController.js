@@ -0,0 +1,111 @@
+/**
+ * Goal Controller
+ * Handles salespeople's monthly performance goals, the leaderboard and each
+ * user's progress towards their goals
+ */
+const goalModel = require('../models/goalModel');
+const performanceGoals = require('../utils/performanceGoals');
+
+/**
+ * Get the organization's users and their goals for a month (?month=YYYY-MM)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getGoals = async (req, res, next) => {
+  try {
+    const goals = await performanceGoals.getGoals(req.tenant.organizationId, req.query.month);
+    
+    res.status(200).json({
+      status: 'success',
+      data: goals
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set users' targets for a month
+ * The body is { month: 'YYYY-MM', goals: [{ user_id, metric, target }] }.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.saveGoals = async (req, res, next) => {
+  try {
+    const { month, goals } = req.body || {};
+    const saved = await performanceGoals.saveGoals(req.tenant.organizationId, month, goals, req.user.id);
+    
+    res.status(200).json({
+      status: 'success',
+      data: saved
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a goal
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteGoal = async (req, res, next) => {
+  try {
+    const goal = await goalModel.deleteGoal(req.tenant.organizationId, req.params.id);
+    
+    if (!goal) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Goal not found'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: goal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the leaderboard for a month (?month=YYYY-MM)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getLeaderboard = async (req, res, next) => {
+  try {
+    const leaderboard = await performanceGoals.getLeaderboard(req.tenant, { month: req.query.month });
+    
+    res.status(200).json({
+      status: 'success',
+      data: leaderboard
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's progress towards their goals for a month (?month=YYYY-MM)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getMyProgress = async (req, res, next) => {
+  try {
+    const progress = await performanceGoals.getUserProgress(req.tenant, req.user.id, { month: req.query.month });
+    
+    res.status(200).json({
+      status: 'success',
+      data: progress
+    });
+  } catch (error) {
+    next(error);
+  }
+};
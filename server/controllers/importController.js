@@ -0,0 +1,246 @@
+/**
+ * Import Controller
+ * Handles CSV and XLSX imports of leads and members: upload, column mapping,
+ * dry runs, background processing and error reports
+ */
+const importModel = require('../models/importModel');
+const bulkImport = require('../utils/bulkImport');
+const spreadsheet = require('../utils/spreadsheet');
+
+// Rows returned with an upload so the admin can see what each column holds
+const SAMPLE_ROWS = 5;
+
+/**
+ * Get the fields columns can be mapped to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getImportFields = async (req, res, next) => {
+  try {
+    const importType = bulkImport.assertImportType(req.query.import_type);
+    
+    res.status(200).json({
+      status: 'success',
+      data: bulkImport.getFields(importType)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload a file to import
+ * The file is sent as the raw request body, with its name and the import type
+ * in the query string. Its rows are kept on the import job until it is run.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.uploadImport = async (req, res, next) => {
+  try {
+    const importType = bulkImport.assertImportType(req.query.import_type);
+    const fileName = String(req.query.file_name || '').trim();
+    
+    if (!fileName) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'file_name is required'
+      });
+    }
+    
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Send the file as the request body with Content-Type application/octet-stream'
+      });
+    }
+    
+    const { headers, rows } = spreadsheet.parseSpreadsheet(req.body, fileName);
+    const suggestedMapping = bulkImport.suggestMapping(headers, importType);
+    
+    const importJob = await importModel.createImport({
+      created_by: req.user.id,
+      import_type: importType,
+      file_name: fileName,
+      headers,
+      rows,
+      total_rows: rows.length,
+      column_mapping: suggestedMapping
+    }, req.tenant);
+    
+    const { rows: savedRows, ...summary } = importJob;
+    
+    res.status(201).json({
+      status: 'success',
+      data: {
+        ...summary,
+        sample_rows: (savedRows || rows).slice(0, SAMPLE_ROWS),
+        fields: bulkImport.getFields(importType)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the organization's imports, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getImports = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 0;
+    const pageSize = parseInt(req.query.pageSize, 10) || 20;
+    
+    const imports = await importModel.getImports({
+      status: req.query.status
+    }, { page, pageSize }, req.tenant);
+    
+    res.status(200).json({
+      status: 'success',
+      data: imports
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get an import and its progress
+ * The errors are left out; they can be downloaded as a report.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getImport = async (req, res, next) => {
+  try {
+    const importJob = await this._findImport(req, res);
+    
+    if (!importJob) {
+      return;
+    }
+    
+    const { rows, errors, ...summary } = importJob;
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...summary,
+        sample_rows: rows.slice(0, SAMPLE_ROWS),
+        fields: bulkImport.getFields(importJob.import_type)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Dry-run an import with a column mapping
+ * Reports what each row would do and every row's errors without writing anything.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.previewImport = async (req, res, next) => {
+  try {
+    const importJob = await this._findImport(req, res);
+    
+    if (!importJob) {
+      return;
+    }
+    
+    const preview = await bulkImport.previewImport(importJob, {
+      column_mapping: req.body.column_mapping,
+      duplicate_strategy: req.body.duplicate_strategy
+    }, req.tenant);
+    
+    res.status(200).json({
+      status: 'success',
+      data: preview
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start an import
+ * The import is queued and written in the background; poll the import for progress.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.startImport = async (req, res, next) => {
+  try {
+    const importJob = await this._findImport(req, res);
+    
+    if (!importJob) {
+      return;
+    }
+    
+    const queued = await bulkImport.queueImport(importJob, {
+      column_mapping: req.body.column_mapping,
+      duplicate_strategy: req.body.duplicate_strategy
+    });
+    
+    // Start right away rather than waiting for the next scheduled run
+    bulkImport.processQueuedImports().catch((error) => {
+      console.error('Error processing imports:', error);
+    });
+    
+    res.status(202).json({
+      status: 'success',
+      data: queued
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the rows that couldn't be imported, with their errors, as CSV
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.downloadErrorReport = async (req, res, next) => {
+  try {
+    const importJob = await this._findImport(req, res);
+    
+    if (!importJob) {
+      return;
+    }
+    
+    const baseName = importJob.file_name.replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+    
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}-errors.csv"`);
+    res.status(200).send(bulkImport.buildErrorReport(importJob));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load the import named in the request, answering 404 if it isn't in the tenant's scope
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} Import job with its rows, or null if a response was sent
+ */
+exports._findImport = async (req, res) => {
+  const importJob = await importModel.getImportById(req.params.id, req.tenant);
+  
+  if (!importJob) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Import not found'
+    });
+    return null;
+  }
+  
+  return importJob;
+};
@@ -0,0 +1,313 @@
+/**
+ * Incentive Controller
+ * Handles referral incentive rules, the award approval queue and the payout ledger
+ */
+const incentiveModel = require('../models/incentiveModel');
+const referralIncentives = require('../utils/referralIncentives');
+const { validateIncentiveRule } = require('../utils/validation');
+
+// Rule fields admins can set
+const RULE_FIELDS = [
+  'name', 'description', 'trigger', 'referral_threshold', 'repeats', 'reward_type', 'reward_amount',
+  'tiers', 'starts_at', 'ends_at', 'requires_approval', 'is_active'
+];
+
+/**
+ * Get the organization's incentive rules
+ * Admins can include rules that have been switched off with ?includeInactive=true.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getRules = async (req, res, next) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && req.user.role === 'admin';
+    const rules = await incentiveModel.getRules(req.tenant.organizationId, { includeInactive });
+    
+    res.status(200).json({
+      status: 'success',
+      data: rules
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an incentive rule
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createRule = async (req, res, next) => {
+  try {
+    const ruleData = this._pickRuleFields(req.body);
+    const validation = validateIncentiveRule(ruleData);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid incentive rule',
+        errors: validation.errors
+      });
+    }
+    
+    const rule = await incentiveModel.createRule({
+      trigger: 'conversion',
+      reward_type: 'credit',
+      tiers: [],
+      requires_approval: true,
+      is_active: true,
+      ...ruleData,
+      organization_id: req.tenant.organizationId,
+      created_by: req.user.id
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      data: rule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an incentive rule
+ * Changes apply to conversions from now on; awards already made keep their amounts.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateRule = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const ruleData = this._pickRuleFields(req.body);
+    const previous = await incentiveModel.getRuleById(req.tenant.organizationId, id);
+    
+    if (!previous) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Incentive rule not found'
+      });
+    }
+    
+    const validation = validateIncentiveRule({ ...previous, ...ruleData }, true);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid incentive rule',
+        errors: validation.errors
+      });
+    }
+    
+    const updatedRule = await incentiveModel.updateRule(req.tenant.organizationId, id, ruleData);
+    
+    res.status(200).json({
+      status: 'success',
+      data: updatedRule
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Switch an incentive rule off
+ * The rule is kept so the awards made under it still can be reviewed and paid.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deactivateRule = async (req, res, next) => {
+  try {
+    req.body = { is_active: false };
+    return await this.updateRule(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the organization's incentive awards
+ * ?status=pending gives the approval queue.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAwards = async (req, res, next) => {
+  try {
+    const {
+      page = 0,
+      pageSize = 50,
+      status,
+      personId,
+      referralId
+    } = req.query;
+    
+    const awards = await incentiveModel.getAwards(req.tenant.organizationId, {
+      status,
+      personId,
+      referralId
+    }, {
+      page: parseInt(page, 10),
+      pageSize: parseInt(pageSize, 10)
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: awards
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a pending award
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.approveAward = async (req, res, next) => {
+  try {
+    const award = await referralIncentives.reviewAward(req.tenant.organizationId, req.params.id, 'approve', {
+      userId: req.user.id,
+      notes: req.body.notes
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: award
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a pending or approved award
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.rejectAward = async (req, res, next) => {
+  try {
+    const award = await referralIncentives.reviewAward(req.tenant.organizationId, req.params.id, 'reject', {
+      userId: req.user.id,
+      notes: req.body.notes
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: award
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pay an approved award and record it in the payout ledger
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.payAward = async (req, res, next) => {
+  try {
+    const { method, reference, notes } = req.body;
+    const { award, payout } = await referralIncentives.payAward(req.tenant.organizationId, req.params.id, {
+      userId: req.user.id,
+      method,
+      reference,
+      notes
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      data: {
+        award,
+        payout
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the organization's payout ledger
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getPayouts = async (req, res, next) => {
+  try {
+    const {
+      page = 0,
+      pageSize = 50,
+      personId,
+      dateFrom,
+      dateTo
+    } = req.query;
+    
+    const payouts = await incentiveModel.getPayouts(req.tenant.organizationId, {
+      personId,
+      dateFrom,
+      dateTo
+    }, {
+      page: parseInt(page, 10),
+      pageSize: parseInt(pageSize, 10)
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: payouts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take the rule fields from a request body, converting numbers sent as strings
+ * @param {Object} body - Request body
+ * @returns {Object} Rule fields that were sent
+ * @private
+ */
+exports._pickRuleFields = (body = {}) => {
+  const ruleData = {};
+  
+  RULE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      ruleData[field] = body[field];
+    }
+  });
+  
+  if (typeof ruleData.name === 'string') {
+    ruleData.name = ruleData.name.trim();
+  }
+  
+  ['referral_threshold', 'reward_amount'].forEach((field) => {
+    if (typeof ruleData[field] === 'string' && ruleData[field].trim() !== '' && !isNaN(Number(ruleData[field]))) {
+      ruleData[field] = Number(ruleData[field]);
+    }
+  });
+  
+  // Blank dates clear the time box
+  ['starts_at', 'ends_at'].forEach((field) => {
+    if (ruleData[field] === '') {
+      ruleData[field] = null;
+    }
+  });
+  
+  if (Array.isArray(ruleData.tiers)) {
+    ruleData.tiers = ruleData.tiers
+      .map(tier => tier || {})
+      .map(tier => ({ min_referrals: Number(tier.min_referrals), reward_amount: Number(tier.reward_amount) }))
+      .sort((a, b) => a.min_referrals - b.min_referrals);
+  }
+  
+  return ruleData;
+};
@@ -3,6 +3,7 @@
  * Handles API requests related to interactions between users and persons
  */
 const interactionModel = require('../models/interactionModel');
+const leadScoring = require('../utils/leadScoring');
 const { validateInteraction } = require('../utils/validation');
 
 /**
@@ -51,7 +52,7 @@ exports.getAllInteractions = async (req, res) => {
       pageSize: parseInt(pageSize)
     };
     
-    const interactions = await interactionModel.getAllInteractions(filters, pagination);
+    const interactions = await interactionModel.getAllInteractions(filters, pagination, req.tenant);
     
     res.status(200).json({
       success: true,
@@ -77,7 +78,7 @@ exports.getAllInteractions = async (req, res) => {
  */
 exports.getInteractionById = async (req, res) => {
   try {
-    const interaction = await interactionModel.getInteractionById(req.params.id);
+    const interaction = await interactionModel.getInteractionById(req.params.id, req.tenant);
     
     if (!interaction) {
       return res.status(404).json({
@@ -121,7 +122,8 @@ exports.getInteractionsByPerson = async (req, res) => {
     
     const interactions = await interactionModel.getInteractionsByPersonId(
       req.params.personId,
-      pagination
+      pagination,
+      req.tenant
     );
     
     res.status(200).json({
@@ -163,7 +165,12 @@ exports.createInteraction = async (req, res) => {
       req.body.user_id = req.user.id;
     }
     
-    const interaction = await interactionModel.createInteraction(req.body);
+    const interaction = await interactionModel.createInteraction(req.body, req.tenant);
+    
+    // Interactions count towards a lead's score
+    if (interaction && interaction.person_id) {
+      await leadScoring.rescoreLead(interaction.person_id, 'interaction');
+    }
     
     res.status(201).json({
       success: true,
@@ -171,7 +178,7 @@ exports.createInteraction = async (req, res) => {
     });
   } catch (error) {
     console.error('Error in createInteraction controller:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Server error creating interaction',
       error: error.message
@@ -190,7 +197,7 @@ exports.createInteraction = async (req, res) => {
 exports.updateInteraction = async (req, res) => {
   try {
     // Check if the interaction exists
-    const existingInteraction = await interactionModel.getInteractionById(req.params.id);
+    const existingInteraction = await interactionModel.getInteractionById(req.params.id, req.tenant);
     
     if (!existingInteraction) {
       return res.status(404).json({
@@ -210,7 +217,7 @@ exports.updateInteraction = async (req, res) => {
       });
     }
     
-    const updatedInteraction = await interactionModel.updateInteraction(req.params.id, req.body);
+    const updatedInteraction = await interactionModel.updateInteraction(req.params.id, req.body, req.tenant);
     
     res.status(200).json({
       success: true,
@@ -236,7 +243,7 @@ exports.updateInteraction = async (req, res) => {
 exports.deleteInteraction = async (req, res) => {
   try {
     // Check if the interaction exists
-    const existingInteraction = await interactionModel.getInteractionById(req.params.id);
+    const existingInteraction = await interactionModel.getInteractionById(req.params.id, req.tenant);
     
     if (!existingInteraction) {
       return res.status(404).json({
@@ -245,7 +252,7 @@ exports.deleteInteraction = async (req, res) => {
       });
     }
     
-    await interactionModel.deleteInteraction(req.params.id);
+    await interactionModel.deleteInteraction(req.params.id, req.tenant);
     
     res.status(200).json({
       success: true,
@@ -270,7 +277,7 @@ exports.deleteInteraction = async (req, res) => {
  */
 exports.getInteractionCountsByType = async (req, res) => {
   try {
-    const counts = await interactionModel.getInteractionCountsByType(req.params.personId);
+    const counts = await interactionModel.getInteractionCountsByType(req.params.personId, req.tenant);
     
     res.status(200).json({
       success: true,
@@ -302,7 +309,8 @@ exports.getRecentInteractions = async (req, res) => {
     
     const interactions = await interactionModel.getRecentInteractionsByUser(
       userId,
-      parseInt(limit)
+      parseInt(limit),
+      req.tenant
     );
     
     res.status(200).json({
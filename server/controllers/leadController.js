@@ -3,6 +3,12 @@
  * Handles lead-related API requests and responses
  */
 const leadModel = require('../models/leadModel');
+const leadPipeline = require('../utils/leadPipeline');
+const membershipPlans = require('../utils/membershipPlans');
+const leadScoring = require('../utils/leadScoring');
+const nurtureSequences = require('../utils/nurtureSequences');
+const leadScoreModel = require('../models/leadScoreModel');
+const organizationModel = require('../models/organizationModel');
 
 /**
  * Get all leads with optional filtering
@@ -35,7 +41,7 @@ exports.getAllLeads = async (req, res, next) => {
     };
     
     // Get leads
-    const leads = await leadModel.getAllLeads(filters, pagination);
+    const leads = await leadModel.getAllLeads(filters, pagination, req.tenant);
     
     // Return response
     res.status(200).json({
@@ -58,7 +64,7 @@ exports.getLeadById = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const lead = await leadModel.getLeadById(id);
+    const lead = await leadModel.getLeadById(id, req.tenant);
     
     if (!lead) {
       return res.status(404).json({
@@ -110,6 +116,7 @@ exports.createLead = async (req, res, next) => {
       interest_level,
       goals,
       preferred_membership,
+      preferred_membership_plan_id,
       interested_services,
       preferred_schedule,
       special_requirements,
@@ -129,8 +136,6 @@ exports.createLead = async (req, res, next) => {
       pain_points,
       motivations,
       objections,
-      readiness_score,
-      lead_temperature,
       lead_status,
       visit_completed,
       visit_date,
@@ -140,11 +145,13 @@ exports.createLead = async (req, res, next) => {
       forms_completed,
       documents_shared,
       payment_info_collected,
-      conversion_probability,
       estimated_value,
       conversion_blockers
     } = req.body;
     
+    // readiness_score, conversion_probability and lead_temperature are left
+    // out: the lead scoring engine sets them
+    
     // Prepare person data
     const personData = {
       first_name,
@@ -170,6 +177,7 @@ exports.createLead = async (req, res, next) => {
       interest_level,
       goals,
       preferred_membership,
+      preferred_membership_plan_id,
       interested_services,
       preferred_schedule,
       special_requirements,
@@ -192,8 +200,6 @@ exports.createLead = async (req, res, next) => {
       pain_points,
       motivations,
       objections,
-      readiness_score,
-      lead_temperature,
       lead_status: lead_status || 'new',
       status_history: [{
         status: lead_status || 'new',
@@ -208,18 +214,34 @@ exports.createLead = async (req, res, next) => {
       forms_completed,
       documents_shared,
       payment_info_collected,
-      conversion_probability,
       estimated_value,
       conversion_blockers
     };
     
+    // Preferred membership comes from the plan catalog
+    const planError = await this._applyPreferredPlan(personData, leadExtensionData, req.tenant);
+    
+    if (planError) {
+      return res.status(400).json({
+        status: 'error',
+        message: planError
+      });
+    }
+    
     // Create lead
-    const newLead = await leadModel.createLead(personData, leadExtensionData);
+    const newLead = await leadModel.createLead(personData, leadExtensionData, req.tenant);
+    
+    // Give the new lead its first score
+    const score = await leadScoring.rescoreLead(newLead.id, 'lead_created');
+    
+    // Start any nurture sequences for new leads
+    await nurtureSequences.enrollByTrigger('lead_created', newLead.id);
     
     // Return response
     res.status(201).json({
       status: 'success',
-      data: newLead
+      data: newLead,
+      score
     });
   } catch (error) {
     next(error);
@@ -242,11 +264,14 @@ exports.updateLead = async (req, res, next) => {
       // Person data
       first_name,
       last_name,
+      preferred_membership,
+      preferred_membership_plan_id,
       // ... all other person fields
-
+      
       // Lead extension data
       decision_authority,
       decision_timeline,
+      estimated_value,
       // ... all other lead extension fields
     } = req.body;
     
@@ -254,6 +279,8 @@ exports.updateLead = async (req, res, next) => {
     const personData = {
       first_name,
       last_name,
+      preferred_membership,
+      preferred_membership_plan_id,
       // ... all other person fields updated
     };
     
@@ -261,16 +288,46 @@ exports.updateLead = async (req, res, next) => {
     const leadExtensionData = {
       decision_authority,
       decision_timeline,
+      estimated_value,
       // ... all other lead extension fields updated
     };
     
+    // Preferred membership comes from the plan catalog
+    const planError = await this._applyPreferredPlan(personData, leadExtensionData, req.tenant);
+    
+    if (planError) {
+      return res.status(400).json({
+        status: 'error',
+        message: planError
+      });
+    }
+    
     // Update lead
-    const updatedLead = await leadModel.updateLead(id, personData, leadExtensionData);
+    const updatedLead = await leadModel.updateLead(id, personData, leadExtensionData, req.tenant);
+    const score = updatedLead ? await leadScoring.rescoreLead(id, 'lead_updated') : null;
     
     // Return response
     res.status(200).json({
       status: 'success',
-      data: updatedLead
+      data: updatedLead,
+      score
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the lead pipeline definition
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getPipeline = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      status: 'success',
+      data: leadPipeline.getPipeline()
     });
   } catch (error) {
     next(error);
@@ -279,6 +336,9 @@ exports.updateLead = async (req, res, next) => {
 
 /**
  * Update lead status
+ * Moves the lead to another pipeline stage. The move must be an allowed
+ * transition, and fields the new stage requires (e.g. visit_date) must already
+ * be set on the lead or be sent with the request.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -286,7 +346,7 @@ exports.updateLead = async (req, res, next) => {
 exports.updateLeadStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, notes, ...fields } = req.body;
     
     if (!status) {
       return res.status(400).json({
@@ -295,13 +355,136 @@ exports.updateLeadStatus = async (req, res, next) => {
       });
     }
     
+    const lead = await leadModel.getLeadById(id, req.tenant);
+    
+    if (!lead) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Lead with ID ${id} not found`
+      });
+    }
+    
+    const currentExtension = (lead.lead_extensions && lead.lead_extensions[0]) || {};
+    const transition = leadPipeline.checkTransition(currentExtension, status, fields);
+    
+    if (transition.errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: transition.errors.join('. '),
+        errors: transition.errors
+      });
+    }
+    
     // Update lead status
-    const updatedLead = await leadModel.updateLeadStatus(id, status);
+    const updatedLead = await leadModel.updateLeadStatus(id, transition.status, {
+      userId: req.user.id,
+      notes,
+      fields: transition.fields,
+      currentExtension
+    }, req.tenant);
+    const score = await leadScoring.rescoreLead(id, 'status_changed');
+    
+    // Start any nurture sequences for leads reaching this stage
+    await nurtureSequences.enrollByTrigger('lead_status_changed', id, { status: transition.status });
     
     // Return response
     res.status(200).json({
       status: 'success',
-      data: updatedLead
+      data: updatedLead,
+      score
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get how leads are scored: the signals, the default weights and the
+ * organization's weights
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getLeadScoring = async (req, res, next) => {
+  try {
+    const organization = req.user.organization_id
+      ? await organizationModel.getOrganizationById(req.user.organization_id)
+      : null;
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        signals: leadScoring.SIGNALS,
+        default_weights: leadScoring.DEFAULT_WEIGHTS,
+        weights: leadScoring.getWeights(organization)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a lead's score history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getLeadScoreHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 30, 100);
+    
+    const history = await leadScoreModel.getScoreHistory(id, limit, req.tenant);
+    
+    if (!history) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Lead with ID ${id} not found`
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      results: history.length,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rescore a lead now
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.scoreLead = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    
+    const lead = await leadModel.getLeadById(id, req.tenant);
+    
+    if (!lead) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Lead with ID ${id} not found`
+      });
+    }
+    
+    const score = await leadScoring.rescoreLead(id, 'manual');
+    
+    if (!score) {
+      return res.status(422).json({
+        status: 'error',
+        message: 'The lead could not be scored. Won and lost leads are not scored.'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: score
     });
   } catch (error) {
     next(error);
@@ -319,7 +502,7 @@ exports.deleteLead = async (req, res, next) => {
     const { id } = req.params;
     
     // Delete lead
-    await leadModel.deleteLead(id);
+    await leadModel.deleteLead(id, req.tenant);
     
     // Return response
     res.status(204).json({
@@ -329,4 +512,39 @@ exports.deleteLead = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Set a lead's preferred membership from the plan catalog
+ * The plan is chosen by preferred_membership_plan_id, or by its name in
+ * preferred_membership. Unless an estimated value is given, the lead is valued
+ * at the plan's price.
+ * @param {Object} personData - Person data, updated in place
+ * @param {Object} leadExtensionData - Lead extension data, updated in place
+ * @param {Object} scope - Tenant scope whose plans can be chosen (see utils/tenancy.js)
+ * @returns {Promise<String|null>} Why the plan can't be used, or null
+ * @private
+ */
+exports._applyPreferredPlan = async (personData, leadExtensionData, scope = null) => {
+  const { plan, error } = await membershipPlans.resolvePlan({
+    planId: personData.preferred_membership_plan_id,
+    name: personData.preferred_membership
+  }, scope);
+  
+  if (error) {
+    return error;
+  }
+  
+  if (plan) {
+    personData.preferred_membership_plan_id = plan.id;
+    personData.preferred_membership = plan.name;
+    
+    const { estimated_value: estimatedValue } = leadExtensionData;
+    
+    if (estimatedValue === undefined || estimatedValue === null || estimatedValue === '') {
+      leadExtensionData.estimated_value = membershipPlans.getEstimatedValue(plan);
+    }
+  }
+  
+  return null;
+};
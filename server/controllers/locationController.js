@@ -0,0 +1,110 @@
+/**
+ * Location Controller
+ * Handles the gym locations of the signed-in user's organization
+ */
+const locationModel = require('../models/locationModel');
+
+/**
+ * Get the locations the user may work in
+ * Users assigned to a location only get that one.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getLocations = async (req, res, next) => {
+  try {
+    const { organizationId, locationIds } = req.tenant;
+    const includeInactive = req.query.includeInactive === 'true' && req.user.role === 'admin';
+    
+    const locations = await locationModel.getLocations(organizationId, { includeInactive });
+    
+    res.status(200).json({
+      status: 'success',
+      data: req.user.location_id
+        ? locations.filter(location => locationIds.includes(location.id))
+        : locations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a location in the user's organization
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createLocation = async (req, res, next) => {
+  try {
+    const { name, address, phone, timezone } = req.body;
+    
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'name is required'
+      });
+    }
+    
+    const location = await locationModel.createLocation({
+      organization_id: req.tenant.organizationId,
+      name: name.trim(),
+      address,
+      phone,
+      timezone
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      data: location
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update one of the organization's locations, or close it (is_active: false)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateLocation = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { organizationId } = req.tenant;
+    
+    const existing = await locationModel.getLocationById(organizationId, id);
+    
+    if (!existing) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Location not found'
+      });
+    }
+    
+    const changes = {};
+    
+    ['name', 'address', 'phone', 'timezone', 'is_active'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    });
+    
+    if (changes.name !== undefined && !String(changes.name).trim()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'name cannot be empty'
+      });
+    }
+    
+    const location = await locationModel.updateLocation(organizationId, id, changes);
+    
+    res.status(200).json({
+      status: 'success',
+      data: location
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -8,6 +8,9 @@
 const personModel = require('../models/personModel');
 const memberModel = require('../models/memberModel');
 const relationshipModel = require('../models/relationshipModel');
+const referralModel = require('../models/referralModel');
+const billing = require('../utils/billing');
+const membershipPlans = require('../utils/membershipPlans');
 
 /**
  * Convert an existing person to a member
@@ -17,16 +20,38 @@ const relationshipModel = require('../models/relationshipModel');
 const convertToMember = async (req, res) => {
   try {
     const { personId } = req.params;
-    const memberData = req.body;
+    // paymentCollection ('checkout' or 'payment_link') asks for the first payment through Stripe
+    const { paymentCollection, ...memberData } = req.body;
+    
+    // The plan is chosen by membership_plan_id, or by its name in membership_type
+    const { plan, error: planError } = await membershipPlans.resolvePlan({
+      planId: memberData.membership_plan_id,
+      name: memberData.membership_type
+    }, req.tenant);
+    if (planError) {
+      return res.status(400).json({ success: false, error: planError });
+    }
+    if (plan) {
+      memberData.membership_plan_id = plan.id;
+      memberData.membership_type = plan.name;
+    }
+    
+    // Check payment can be collected before converting anyone
+    if (paymentCollection) {
+      const invalid = billing.validatePaymentCollection(paymentCollection, plan);
+      if (invalid) {
+        return res.status(400).json({ success: false, error: invalid });
+      }
+    }
     
     // Check if person exists
-    const person = await personModel.getPersonById(personId);
+    const person = await personModel.getPersonById(personId, req.tenant);
     if (!person) {
       return res.status(404).json({ success: false, error: 'Person not found' });
     }
     
     // Update person to mark as member
-    await personModel.updatePerson(personId, { is_member: true });
+    await personModel.updatePerson(personId, { is_member: true }, {}, req.tenant);
     
     // Create member extension
     const memberExtension = await memberModel.createMemberExtension({
@@ -34,11 +59,30 @@ const convertToMember = async (req, res) => {
       ...memberData
     });
     
+    // The conversion stands if Stripe fails; the checkout can be retried from /api/billing/checkout
+    let checkout = null;
+    let checkoutError;
+    if (paymentCollection) {
+      try {
+        checkout = await billing.createMembershipCheckout(person, {
+          plan,
+          method: paymentCollection,
+          memberExtension,
+          userId: req.user && req.user.id
+        });
+      } catch (error) {
+        console.error('Error creating membership checkout:', error);
+        checkoutError = error.message;
+      }
+    }
+    
     res.status(201).json({ 
       success: true, 
       data: { 
         person: { ...person, is_member: true },
-        member_extension: memberExtension
+        member_extension: memberExtension,
+        checkout,
+        checkout_error: checkoutError
       }
     });
   } catch (error) {
@@ -57,7 +101,7 @@ const getMemberExtension = async (req, res) => {
     const { personId } = req.params;
     
     // Check if person exists and is a member
-    const person = await personModel.getPersonById(personId);
+    const person = await personModel.getPersonById(personId, req.tenant);
     if (!person) {
       return res.status(404).json({ success: false, error: 'Person not found' });
     }
@@ -67,7 +111,7 @@ const getMemberExtension = async (req, res) => {
     }
     
     // Get member extension
-    const memberExtension = await memberModel.getMemberExtensionByPersonId(personId);
+    const memberExtension = await memberModel.getMemberExtensionByPersonId(personId, req.tenant);
     
     if (!memberExtension) {
       return res.status(404).json({ success: false, error: 'Member extension not found' });
@@ -90,7 +134,7 @@ const updateMemberExtension = async (req, res) => {
     const { id } = req.params;
     const memberData = req.body;
     
-    const updatedMemberExtension = await memberModel.updateMemberExtension(id, memberData);
+    const updatedMemberExtension = await memberModel.updateMemberExtension(id, memberData, req.tenant);
     
     if (!updatedMemberExtension) {
       return res.status(404).json({ success: false, error: 'Member extension not found' });
@@ -110,15 +154,27 @@ const updateMemberExtension = async (req, res) => {
  */
 const listMembers = async (req, res) => {
   try {
-    const { page = 1, limit = 20, search, assigned_to, membership_status } = req.query;
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      assigned_to,
+      membership_status,
+      membership_type,
+      churn_risk,
+      has_referrals
+    } = req.query;
     
     // Build filters object
     const filters = {};
     if (search) filters.search = search;
     if (assigned_to) filters.assigned_to = assigned_to;
     if (membership_status) filters.membership_status = membership_status;
+    if (membership_type) filters.membership_type = membership_type;
+    if (churn_risk) filters.churn_risk = churn_risk;
+    if (has_referrals === 'true' || has_referrals === 'false') filters.has_referrals = has_referrals === 'true';
     
-    const result = await memberModel.listMembers(filters, parseInt(page), parseInt(limit));
+    const result = await memberModel.listMembers(filters, parseInt(page), parseInt(limit), req.tenant);
     res.status(200).json({ success: true, ...result });
   } catch (error) {
     console.error('Error listing members:', error);
@@ -134,7 +190,7 @@ const listMembers = async (req, res) => {
 const getMemberProfile = async (req, res) => {
   try {
     const { id } = req.params;
-    const profile = await memberModel.getMemberProfile(id);
+    const profile = await memberModel.getMemberProfile(id, req.tenant);
     
     if (!profile) {
       return res.status(404).json({ success: false, error: 'Member not found' });
@@ -157,7 +213,7 @@ const recordCheckIn = async (req, res) => {
     const { id } = req.params;
     
     // Get member extension ID from person ID
-    const memberExt = await memberModel.getMemberExtensionByPersonId(id);
+    const memberExt = await memberModel.getMemberExtensionByPersonId(id, req.tenant);
     
     if (!memberExt) {
       return res.status(404).json({ success: false, error: 'Member not found' });
@@ -188,7 +244,7 @@ const getMemberNetwork = async (req, res) => {
     const { levels = 3 } = req.query;
     
     // Check if person exists and is a member
-    const person = await personModel.getPersonById(id);
+    const person = await personModel.getPersonById(id, req.tenant);
     if (!person) {
       return res.status(404).json({ success: false, error: 'Person not found' });
     }
@@ -198,7 +254,7 @@ const getMemberNetwork = async (req, res) => {
     }
     
     // Get network visualization data
-    const network = await relationshipModel.getReferralNetwork(id, parseInt(levels));
+    const network = await referralModel.getReferralNetwork(id, parseInt(levels), true, req.tenant);
     
     res.status(200).json({ success: true, data: network });
   } catch (error) {
@@ -218,19 +274,19 @@ const getMemberReferrals = async (req, res) => {
     const { page = 1, limit = 20 } = req.query;
     
     // Check if person exists and is a member
-    const person = await personModel.getPersonById(id);
+    const person = await personModel.getPersonById(id, req.tenant);
     if (!person) {
       return res.status(404).json({ success: false, error: 'Person not found' });
     }
     
-    // Get referral relationships
+    // Get referral relationships (pages are numbered from 1 here, from 0 in the model)
     const referrals = await relationshipModel.getReferralRelationships(
       { referrerId: id },
-      parseInt(page),
-      parseInt(limit)
+      { page: parseInt(page) - 1, pageSize: parseInt(limit) },
+      req.tenant
     );
     
-    res.status(200).json({ success: true, ...referrals });
+    res.status(200).json({ success: true, data: referrals });
   } catch (error) {
     console.error('Error getting member referrals:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -247,7 +303,7 @@ const getMemberFinancials = async (req, res) => {
     const { id } = req.params;
     
     // Get member extension
-    const memberExt = await memberModel.getMemberExtensionByPersonId(id);
+    const memberExt = await memberModel.getMemberExtensionByPersonId(id, req.tenant);
     
     if (!memberExt) {
       return res.status(404).json({ success: false, error: 'Member not found' });
@@ -282,7 +338,7 @@ const getMemberEngagement = async (req, res) => {
     const { id } = req.params;
     
     // Get member extension
-    const memberExt = await memberModel.getMemberExtensionByPersonId(id);
+    const memberExt = await memberModel.getMemberExtensionByPersonId(id, req.tenant);
     
     if (!memberExt) {
       return res.status(404).json({ success: false, error: 'Member not found' });
@@ -295,7 +351,12 @@ const getMemberEngagement = async (req, res) => {
       attendanceStreak: memberExt.attendance_streak || 0,
       classesAttended: memberExt.classes_attended || [],
       satisfactionScore: memberExt.satisfaction_score,
-      churnRisk: memberExt.churn_risk || 'low',
+      // Null until the churn risk job has scored the member
+      churnRisk: memberExt.churn_risk || null,
+      churnScore: memberExt.churn_score,
+      churnRiskFactors: memberExt.churn_risk_factors || [],
+      churnScoredAt: memberExt.churn_scored_at || null,
+      retentionActions: memberExt.retention_actions || [],
       referralCount: memberExt.referral_count || 0,
       successfulReferrals: memberExt.successful_referrals || 0
     };
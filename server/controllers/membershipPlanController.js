@@ -0,0 +1,210 @@
+/**
+ * Membership Plan Controller
+ * Handles membership plan catalog API requests and responses
+ */
+const membershipPlanModel = require('../models/membershipPlanModel');
+const membershipPlans = require('../utils/membershipPlans');
+const { validateMembershipPlan } = require('../utils/validation');
+
+// Plan fields admins can set
+const PLAN_FIELDS = ['name', 'description', 'monthly_price', 'billing_interval', 'trial_days', 'enrollment_fee', 'is_active'];
+
+/**
+ * Get the organization's membership plans
+ * Admins can include plans that are no longer offered with ?includeInactive=true.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getPlans = async (req, res, next) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && req.user.role === 'admin';
+    const plans = await membershipPlanModel.getPlans({ includeInactive }, req.tenant);
+    
+    res.status(200).json({
+      status: 'success',
+      data: plans.map(membershipPlans.withPricing)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a membership plan by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getPlanById = async (req, res, next) => {
+  try {
+    const plan = await membershipPlanModel.getPlanById(req.params.id, req.tenant);
+    
+    if (!plan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Membership plan not found'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: membershipPlans.withPricing(plan)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a membership plan and its Stripe product and prices
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createPlan = async (req, res, next) => {
+  try {
+    const planData = this._pickPlanFields(req.body);
+    const validation = validateMembershipPlan(planData);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid membership plan',
+        errors: validation.errors
+      });
+    }
+    
+    const plan = {
+      billing_interval: 'month',
+      trial_days: 0,
+      enrollment_fee: 0,
+      is_active: true,
+      ...planData
+    };
+    
+    const existing = await membershipPlanModel.getPlanByName(plan.name, req.tenant);
+    
+    if (existing) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A plan named ${existing.name} already exists`
+      });
+    }
+    
+    // Sync before saving, so every saved plan can be sold
+    const stripeIds = await membershipPlans.syncPlan(plan);
+    
+    const newPlan = await membershipPlanModel.createPlan({
+      ...plan,
+      ...stripeIds,
+      organization_id: req.tenant.organizationId,
+      created_by: req.user.id
+    });
+    
+    res.status(201).json({
+      status: 'success',
+      data: membershipPlans.withPricing(newPlan)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a membership plan
+ * A new price changes what new members pay; existing subscriptions keep theirs.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updatePlan = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const planData = this._pickPlanFields(req.body);
+    const validation = validateMembershipPlan(planData, true);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid membership plan',
+        errors: validation.errors
+      });
+    }
+    
+    const previous = await membershipPlanModel.getPlanById(id, req.tenant);
+    
+    if (!previous) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Membership plan not found'
+      });
+    }
+    
+    if (planData.name) {
+      const existing = await membershipPlanModel.getPlanByName(planData.name, req.tenant);
+      
+      if (existing && existing.id !== id) {
+        return res.status(400).json({
+          status: 'error',
+          message: `A plan named ${existing.name} already exists`
+        });
+      }
+    }
+    
+    const stripeIds = await membershipPlans.syncPlan({ ...previous, ...planData }, previous);
+    const updatedPlan = await membershipPlanModel.updatePlan(id, { ...planData, ...stripeIds }, req.tenant);
+    
+    res.status(200).json({
+      status: 'success',
+      data: membershipPlans.withPricing(updatedPlan)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stop offering a membership plan
+ * The plan is kept so members and leads that reference it still can; its
+ * Stripe product is archived.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deactivatePlan = async (req, res, next) => {
+  try {
+    req.body = { is_active: false };
+    return await this.updatePlan(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take the plan fields from a request body, converting numbers sent as strings
+ * @param {Object} body - Request body
+ * @returns {Object} Plan fields that were sent
+ * @private
+ */
+exports._pickPlanFields = (body = {}) => {
+  const planData = {};
+  
+  PLAN_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      planData[field] = body[field];
+    }
+  });
+  
+  if (typeof planData.name === 'string') {
+    planData.name = planData.name.trim();
+  }
+  
+  ['monthly_price', 'trial_days', 'enrollment_fee'].forEach((field) => {
+    if (typeof planData[field] === 'string' && planData[field].trim() !== '' && !isNaN(Number(planData[field]))) {
+      planData[field] = Number(planData[field]);
+    }
+  });
+  
+  return planData;
+};
@@ -4,11 +4,21 @@
  */
 const messageModel = require('../models/messageModel');
 const personModel = require('../models/personModel');
-const { google } = require('googleapis');
-const telnyx = require('telnyx');
+const google = require('../config/google');
+const telnyx = require('../config/telnyx');
+const interactionModel = require('../models/interactionModel');
+const { CustomError } = require('../utils/errorHandler');
+const googleAccounts = require('../utils/googleAccounts');
+const { getComplianceKeyword, getComplianceReply } = require('../utils/smsCompliance');
+const appointmentReminders = require('../utils/appointmentReminders');
+const { normalizePhone } = require('../utils/validation');
+const subscriptionTiers = require('../utils/subscriptionTiers');
+const tenancy = require('../utils/tenancy');
+const leadScoring = require('../utils/leadScoring');
+const nurtureSequences = require('../utils/nurtureSequences');
 
-// Initialize Telnyx client
-const telnyxClient = telnyx(process.env.TELNYX_API_KEY);
+// How often a text blast being sent refreshes its start time
+const BLAST_HEARTBEAT_MS = 60 * 1000;
 
 /**
  * Get all messages with optional filtering
@@ -45,7 +55,7 @@ exports.getAllMessages = async (req, res, next) => {
     };
     
     // Get messages
-    const messages = await messageModel.getAllMessages(filters, pagination);
+    const messages = await messageModel.getAllMessages(filters, pagination, req.tenant);
     
     // Return response
     res.status(200).json({
@@ -68,7 +78,7 @@ exports.getMessageById = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const message = await messageModel.getMessageById(id);
+    const message = await messageModel.getMessageById(id, req.tenant);
     
     if (!message) {
       return res.status(404).json({
@@ -98,7 +108,7 @@ exports.getConversation = async (req, res, next) => {
     const userId = req.user.id; // From auth middleware
     
     // Check if person exists
-    const person = await personModel.getPersonById(personId);
+    const person = await personModel.getPersonById(personId, req.tenant);
     
     if (!person) {
       return res.status(404).json({
@@ -108,7 +118,7 @@ exports.getConversation = async (req, res, next) => {
     }
     
     // Get conversation
-    const conversation = await messageModel.getConversation(userId, personId);
+    const conversation = await messageModel.getConversation(userId, personId, req.tenant);
     
     res.status(200).json({
       status: 'success',
@@ -153,7 +163,7 @@ exports.sendMessage = async (req, res, next) => {
     }
     
     // Check if recipient exists
-    const recipient = await personModel.getPersonById(recipientId);
+    const recipient = await personModel.getPersonById(recipientId, req.tenant);
     
     if (!recipient) {
       return res.status(404).json({
@@ -162,6 +172,11 @@ exports.sendMessage = async (req, res, next) => {
       });
     }
     
+    // Opted-out persons must not be texted
+    if (messageType.toLowerCase() === 'sms' && recipient.sms_opt_in === false) {
+      return res.status(422).json(this._suppressedResponse(recipientId));
+    }
+    
     // Prepare message data
     const messageData = {
       sender_id: req.user.id, // From auth middleware
@@ -184,6 +199,11 @@ exports.sendMessage = async (req, res, next) => {
       sentMessage = await this._sendSMSMessage(messageData, recipient);
     }
     
+    // Being messaged changes a lead's response rate
+    if (recipient.is_lead) {
+      await leadScoring.rescoreLead(recipientId, 'message');
+    }
+    
     res.status(201).json({
       status: 'success',
       data: sentMessage
@@ -216,7 +236,7 @@ exports.sendSMS = async (req, res, next) => {
     }
     
     // Check if recipient exists
-    const recipient = await personModel.getPersonById(recipientId);
+    const recipient = await personModel.getPersonById(recipientId, req.tenant);
     
     if (!recipient) {
       return res.status(404).json({
@@ -225,6 +245,18 @@ exports.sendSMS = async (req, res, next) => {
       });
     }
     
+    // Opted-out persons must not be texted
+    if (recipient.sms_opt_in === false) {
+      return res.status(422).json(this._suppressedResponse(recipientId));
+    }
+    
+    // The organization's plan caps SMS sent each month
+    const smsLimit = await subscriptionTiers.checkLimit(req.user.organization_id, 'monthly_sms', 1);
+    
+    if (smsLimit) {
+      return res.status(402).json(this._limitExceededResponse(smsLimit));
+    }
+    
     // Prepare message data
     const messageData = {
       sender_id: req.user.id, // From auth middleware
@@ -238,6 +270,10 @@ exports.sendSMS = async (req, res, next) => {
     // Send SMS
     const sentMessage = await this._sendSMSMessage(messageData, recipient);
     
+    if (recipient.is_lead) {
+      await leadScoring.rescoreLead(recipientId, 'message');
+    }
+    
     res.status(201).json({
       status: 'success',
       data: sentMessage
@@ -249,13 +285,30 @@ exports.sendSMS = async (req, res, next) => {
 
 /**
  * Internal method to send SMS message
+ * 
+ * With a pending message (see _processTextBlast) the send is recorded on that
+ * row instead of a new one. The row is deleted if the SMS is not sent, and kept
+ * if it is sent but can't be recorded, so the recipient is never texted twice.
  * @param {Object} messageData - Message data
  * @param {Object} recipient - Recipient data
+ * @param {Object} pendingMessage - Message row created for this send beforehand
  * @returns {Promise<Object>} Sent message record
  * @private
  */
-exports._sendSMSMessage = async (messageData, recipient) => {
+exports._sendSMSMessage = async (messageData, recipient, pendingMessage = null) => {
+  let sent = false;
+  
+  // Record the send on the pending row if there is one
+  const saveMessage = (data) => (pendingMessage
+    ? messageModel.updateMessage(pendingMessage.id, data)
+    : messageModel.createMessage(data));
+  
   try {
+    // Last line of defence for every SMS path (single, blast, scheduled)
+    if (recipient.sms_opt_in === false) {
+      throw new CustomError(`Recipient ${recipient.id} has opted out of SMS messages`, 422);
+    }
+    
     // Apply template if provided
     let finalContent = messageData.content;
     
@@ -272,42 +325,53 @@ exports._sendSMSMessage = async (messageData, recipient) => {
       console.warn('TELNYX_API_KEY or TELNYX_MESSAGING_PROFILE_ID not set, using mock SMS sending');
       
       // Create message record without actually sending
-      return await messageModel.createMessage({
+      sent = true;
+      return await saveMessage({
         ...messageData,
         content: finalContent,
         status: 'sent',
         sent_at: new Date().toISOString(),
-        delivered_at: new Date().toISOString()
+        delivered_at: new Date().toISOString(),
+        metadata: {
+          ...messageData.metadata,
+          to: normalizePhone(recipient.phone)
+        }
       });
     }
     
     // Format phone number if needed
-    const phone = recipient.phone.replace(/\D/g, '');
+    const phone = normalizePhone(recipient.phone);
     
-    // For an actual implementation, use Telnyx API to send SMS
-    try {
-      const telnyxResponse = await telnyxClient.messages.create({
-        from: process.env.TELNYX_MESSAGING_PROFILE_ID,
-        to: phone,
-        text: finalContent
-      });
-      
-      // Create message record with Telnyx data
-      return await messageModel.createMessage({
-        ...messageData,
-        content: finalContent,
-        status: 'sent',
-        sent_at: new Date().toISOString(),
-        metadata: {
-          telnyx_message_id: telnyxResponse.data.id
-        }
-      });
-    } catch (telnyxError) {
-      console.error('Telnyx API error:', telnyxError);
-      throw new Error(`SMS sending failed: ${telnyxError.message}`);
+    // Send through Telnyx; delivery receipts come back through the webhook
+    const telnyxResponse = await telnyx.sendSMS(phone, finalContent);
+    
+    if (!telnyxResponse.success) {
+      console.error('Telnyx API error:', telnyxResponse.error);
+      throw new Error(`SMS sending failed: ${telnyxResponse.error}`);
     }
+    
+    sent = true;
+    
+    // Create message record with Telnyx data. The provider message ID maps
+    // delivery receipts back to this row, and the number threads replies.
+    return await saveMessage({
+      ...messageData,
+      content: finalContent,
+      status: 'sent',
+      sent_at: new Date().toISOString(),
+      metadata: {
+        ...messageData.metadata,
+        telnyx_message_id: telnyxResponse.messageId,
+        to: telnyxResponse.to
+      }
+    });
   } catch (error) {
     console.error('Error in _sendSMSMessage:', error);
+    
+    if (pendingMessage && !sent) {
+      await messageModel.deleteMessage(pendingMessage.id);
+    }
+    
     throw error;
   }
 };
@@ -337,7 +401,7 @@ exports.sendEmail = async (req, res, next) => {
     }
     
     // Check if recipient exists
-    const recipient = await personModel.getPersonById(recipientId);
+    const recipient = await personModel.getPersonById(recipientId, req.tenant);
     
     if (!recipient) {
       return res.status(404).json({
@@ -363,6 +427,10 @@ exports.sendEmail = async (req, res, next) => {
     // Send email
     const sentMessage = await this._sendEmailMessage(messageData, recipient);
     
+    if (recipient.is_lead) {
+      await leadScoring.rescoreLead(recipientId, 'message');
+    }
+    
     res.status(201).json({
       status: 'success',
       data: sentMessage
@@ -395,8 +463,7 @@ exports._sendEmailMessage = async (messageData, recipient) => {
       }
     }
     
-    // In a real implementation, we would use Google Gmail API
-    // Check if we have the API credentials
+    // Without Google API credentials, record the email without sending it
     if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
       console.warn('GOOGLE_CLIENT_ID or GOOGLE_CLIENT_SECRET not set, using mock email sending');
       
@@ -411,21 +478,38 @@ exports._sendEmailMessage = async (messageData, recipient) => {
       });
     }
     
-    // For an actual implementation, use Google Gmail API to send email
+    if (!recipient.email) {
+      throw new CustomError('Recipient has no email address', 400);
+    }
+    
+    // Send from the sender's connected Gmail account. Not being connected is
+    // a 409 the sender has to act on, so it is passed on as is.
+    const tokens = await googleAccounts.getTokens(messageData.sender_id);
+    let gmailMessage;
+    
     try {
-      // This would require full OAuth flow and token management
-      // For simplicity, we'll just create the message record
-      return await messageModel.createMessage({
-        ...messageData,
+      gmailMessage = await google.sendEmail(tokens, {
+        to: recipient.email,
         subject: finalSubject,
-        content: finalContent,
-        status: 'sent',
-        sent_at: new Date().toISOString()
+        body: finalContent
       });
     } catch (googleError) {
       console.error('Google API error:', googleError);
       throw new Error(`Email sending failed: ${googleError.message}`);
     }
+    
+    return await messageModel.createMessage({
+      ...messageData,
+      subject: finalSubject,
+      content: finalContent,
+      status: 'sent',
+      sent_at: new Date().toISOString(),
+      metadata: {
+        ...messageData.metadata,
+        gmail_message_id: gmailMessage.id,
+        to: recipient.email
+      }
+    });
   } catch (error) {
     console.error('Error in _sendEmailMessage:', error);
     throw error;
@@ -464,20 +548,19 @@ exports.sendTextBlast = async (req, res, next) => {
       });
     }
     
-    // Get recipients
-    let recipients = [];
-    
-    if (recipientIds && recipientIds.length > 0) {
-      // Use provided recipient IDs
-      recipients = await Promise.all(
-        recipientIds.map(id => personModel.getPersonById(id))
-      );
-      recipients = recipients.filter(r => r !== null);
-    } else if (filters) {
-      // Use filters to find recipients
-      recipients = await personModel.getFilteredPersons(filters);
+    if (scheduledFor && isNaN(new Date(scheduledFor).getTime())) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'scheduledFor must be a valid date'
+      });
     }
     
+    // Get recipients
+    const recipients = await this._resolveBlastRecipients({
+      recipient_ids: recipientIds,
+      filters
+    }, req.tenant);
+    
     if (recipients.length === 0) {
       return res.status(400).json({
         status: 'error',
@@ -485,19 +568,39 @@ exports.sendTextBlast = async (req, res, next) => {
       });
     }
     
-    // Create a text blast record
+    // The organization's plan caps both the blast size and the SMS sent each
+    // month. Opted-out recipients and those without a phone are not texted.
+    const blastLimit = await subscriptionTiers.checkLimit(req.user.organization_id, 'blast_size', recipients.length);
+    
+    if (blastLimit) {
+      return res.status(402).json(this._limitExceededResponse(blastLimit));
+    }
+    
+    const sendableCount = recipients.filter(r => r.phone && r.sms_opt_in !== false).length;
+    const smsLimit = await subscriptionTiers.checkLimit(req.user.organization_id, 'monthly_sms', sendableCount);
+    
+    if (smsLimit) {
+      return res.status(402).json(this._limitExceededResponse(smsLimit));
+    }
+    
+    // Create a text blast record. The audience is stored with the blast so the
+    // scheduler can send it later, or resume it after a restart.
+    const now = new Date().toISOString();
     const blastData = {
       sender_id: req.user.id,
       content,
       template_id: templateId,
       personalization_data: personalizationData,
-      scheduled_for: scheduledFor,
+      recipient_ids: recipientIds && recipientIds.length > 0 ? recipients.map(r => r.id) : null,
+      filters: recipientIds && recipientIds.length > 0 ? null : filters,
+      scheduled_for: scheduledFor ? new Date(scheduledFor).toISOString() : null,
       recipient_count: recipients.length,
       status: scheduledFor ? 'scheduled' : 'processing',
-      created_at: new Date().toISOString()
+      started_at: scheduledFor ? null : now,
+      created_at: now
     };
     
-    const textBlast = await messageModel.createTextBlast(blastData);
+    const textBlast = await messageModel.createTextBlast(blastData, req.tenant);
     
     // If scheduled for later, return the blast record
     if (scheduledFor) {
@@ -509,55 +612,18 @@ exports.sendTextBlast = async (req, res, next) => {
     }
     
     // Otherwise, process the blast immediately
-    const messages = [];
-    
-    // Process each recipient
-    for (const recipient of recipients) {
-      // Skip recipients without a phone number or those who opted out
-      if (!recipient.phone || recipient.sms_opt_in === false) {
-        continue;
-      }
-      
-      try {
-        // Prepare personalized data for this recipient
-        const recipientPersonalization = {
-          ...personalizationData,
-          first_name: recipient.first_name,
-          last_name: recipient.last_name,
-          full_name: `${recipient.first_name} ${recipient.last_name}`
-        };
-        
-        // Prepare message data
-        const messageData = {
-          sender_id: req.user.id,
-          recipient_id: recipient.id,
-          message_type: 'sms',
-          content,
-          template_id: templateId,
-          personalization_data: recipientPersonalization,
-          is_blast: true,
-          blast_id: textBlast.id
-        };
-        
-        // Send the message
-        const message = await this._sendSMSMessage(messageData, recipient);
-        messages.push(message);
-      } catch (recipientError) {
-        console.error(`Error sending to recipient ${recipient.id}:`, recipientError);
-        // Continue with other recipients
-      }
-    }
-    
-    // Update blast status
-    await messageModel.updateTextBlastStatus(textBlast.id, 'completed', messages.length);
+    const result = await this._processTextBlast(textBlast, recipients);
     
     res.status(201).json({
       status: 'success',
       data: {
         ...textBlast,
-        status: 'completed',
-        sent_count: messages.length,
-        messages
+        status: result.status,
+        sent_count: result.sentCount,
+        failed_count: result.failedCount,
+        suppressed_count: result.suppressed.length,
+        suppressed: result.suppressed,
+        messages: result.messages
       }
     });
   } catch (error) {
@@ -565,6 +631,165 @@ exports.sendTextBlast = async (req, res, next) => {
   }
 };
 
+/**
+ * Internal method to resolve the recipients of a text blast
+ * @param {Object} blast - Text blast audience
+ * @param {Array<UUID>} blast.recipient_ids - Explicit recipient IDs
+ * @param {Object} blast.filters - Person filters, used when no recipient IDs are given
+ * @param {Object} scope - Tenant scope to find recipients in; defaults to the blast's own
+ * @returns {Promise<Array>} Person records
+ * @private
+ */
+exports._resolveBlastRecipients = async (blast, scope = tenancy.getRecordScope(blast)) => {
+  const { recipient_ids, filters } = blast;
+  
+  if (recipient_ids && recipient_ids.length > 0) {
+    const recipients = await Promise.all(
+      recipient_ids.map(id => personModel.getPersonById(id, scope).catch(() => null))
+    );
+    return recipients.filter(r => r !== null);
+  }
+  
+  if (!filters) {
+    return [];
+  }
+  
+  // Page through every person matching the filters
+  const pageSize = 500;
+  const recipients = [];
+  
+  for (let page = 0; ; page++) {
+    const batch = await personModel.getAllPersons(filters, { page, pageSize }, scope);
+    recipients.push(...batch);
+    
+    if (batch.length < pageSize) {
+      break;
+    }
+  }
+  
+  return recipients;
+};
+
+/**
+ * Internal method to send a text blast to its recipients
+ * 
+ * Each recipient gets a 'sending' message row before their SMS goes out, and
+ * recipients that already have a message in this blast are skipped, so a blast
+ * interrupted part-way (e.g. by a restart) can be processed again without
+ * texting anyone twice. A row still 'sending' on resume may or may not have
+ * gone out, so it is counted as failed rather than sent again.
+ * 
+ * The blast's start time is refreshed as it goes, so the scheduler doesn't
+ * take a long blast for an abandoned one. If another worker has taken it over
+ * anyway, sending stops and the blast is left to that worker.
+ * @param {Object} textBlast - Text blast record (status should already be 'processing')
+ * @param {Array} recipients - Person records to send to
+ * @returns {Promise<Object>} Final status, sent and failed counts, suppressed recipient IDs, and the new messages
+ * @private
+ */
+exports._processTextBlast = async (textBlast, recipients) => {
+  const existingMessages = await messageModel.getMessagesByBlastId(textBlast.id) || [];
+  const alreadySent = new Set(existingMessages.map(message => message.recipient_id));
+  const interrupted = existingMessages.filter(message => message.status === 'sending');
+  
+  const messages = [];
+  const suppressed = [];
+  let failedCount = interrupted.length;
+  let lastError = interrupted.length > 0 ? 'Sending was interrupted before it could be confirmed' : null;
+  let claimedBlast = textBlast;
+  let lastHeartbeat = Date.now();
+  
+  // Process each recipient
+  for (const recipient of recipients) {
+    if (Date.now() - lastHeartbeat >= BLAST_HEARTBEAT_MS) {
+      claimedBlast = await messageModel.touchTextBlast(claimedBlast);
+      lastHeartbeat = Date.now();
+      
+      if (!claimedBlast) {
+        console.warn(`Text blast ${textBlast.id} was taken over by another worker; stopping`);
+        
+        return {
+          status: 'processing',
+          sentCount: alreadySent.size - interrupted.length + messages.length,
+          failedCount,
+          suppressed,
+          messages
+        };
+      }
+    }
+    
+    // Opted-out recipients are suppressed and reported back
+    if (recipient.sms_opt_in === false) {
+      suppressed.push(recipient.id);
+      continue;
+    }
+    
+    // Skip recipients without a phone number
+    if (!recipient.phone) {
+      continue;
+    }
+    
+    if (alreadySent.has(recipient.id)) {
+      continue;
+    }
+    
+    try {
+      // Prepare personalized data for this recipient
+      const recipientPersonalization = {
+        ...textBlast.personalization_data,
+        first_name: recipient.first_name,
+        last_name: recipient.last_name,
+        full_name: `${recipient.first_name} ${recipient.last_name}`
+      };
+      
+      // Prepare message data
+      const messageData = {
+        sender_id: textBlast.sender_id,
+        recipient_id: recipient.id,
+        message_type: 'sms',
+        content: textBlast.content,
+        template_id: textBlast.template_id,
+        personalization_data: recipientPersonalization,
+        is_blast: true,
+        blast_id: textBlast.id
+      };
+      
+      // Record the send before it happens, then send the message
+      const pendingMessage = await messageModel.createMessage({
+        ...messageData,
+        status: 'sending'
+      });
+      const message = await this._sendSMSMessage(messageData, recipient, pendingMessage);
+      messages.push(message);
+    } catch (recipientError) {
+      console.error(`Error sending to recipient ${recipient.id}:`, recipientError);
+      failedCount++;
+      lastError = recipientError.message;
+      // Continue with other recipients
+    }
+  }
+  
+  const sentCount = alreadySent.size - interrupted.length + messages.length;
+  
+  // A blast where every attempted send failed is marked failed
+  const status = sentCount === 0 && failedCount > 0 ? 'failed' : 'completed';
+  
+  // Update blast status
+  await messageModel.updateTextBlastStatus(textBlast.id, status, sentCount, {
+    failed_count: failedCount,
+    suppressed_count: suppressed.length,
+    last_error: lastError
+  });
+  
+  return {
+    status,
+    sentCount,
+    failedCount,
+    suppressed,
+    messages
+  };
+};
+
 /**
  * Get all text blasts
  * @param {Object} req - Express request object
@@ -598,7 +823,7 @@ exports.getAllTextBlasts = async (req, res, next) => {
     };
     
     // Get text blasts
-    const textBlasts = await messageModel.getAllTextBlasts(filters, pagination);
+    const textBlasts = await messageModel.getAllTextBlasts(filters, pagination, req.tenant);
     
     // Return response
     res.status(200).json({
@@ -621,7 +846,7 @@ exports.getTextBlastById = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const textBlast = await messageModel.getTextBlastById(id);
+    const textBlast = await messageModel.getTextBlastById(id, req.tenant);
     
     if (!textBlast) {
       return res.status(404).json({
@@ -673,7 +898,7 @@ exports.getAllTemplates = async (req, res, next) => {
     };
     
     // Get templates
-    const templates = await messageModel.getAllTemplates(filters, pagination);
+    const templates = await messageModel.getAllTemplates(filters, pagination, req.tenant);
     
     // Return response
     res.status(200).json({
@@ -721,7 +946,7 @@ exports.createTemplate = async (req, res, next) => {
     };
     
     // Create template
-    const template = await messageModel.createTemplate(templateData);
+    const template = await messageModel.createTemplate(templateData, req.tenant);
     
     res.status(201).json({
       status: 'success',
@@ -742,7 +967,7 @@ exports.getTemplateById = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const template = await messageModel.getTemplateById(id);
+    const template = await messageModel.getTemplateById(id, req.tenant);
     
     if (!template) {
       return res.status(404).json({
@@ -778,7 +1003,7 @@ exports.updateTemplate = async (req, res, next) => {
     } = req.body;
     
     // Check if template exists
-    const existingTemplate = await messageModel.getTemplateById(id);
+    const existingTemplate = await messageModel.getTemplateById(id, req.tenant);
     
     if (!existingTemplate) {
       return res.status(404).json({
@@ -813,7 +1038,7 @@ exports.updateTemplate = async (req, res, next) => {
     });
     
     // Update template
-    const updatedTemplate = await messageModel.updateTemplate(id, templateData);
+    const updatedTemplate = await messageModel.updateTemplate(id, templateData, req.tenant);
     
     res.status(200).json({
       status: 'success',
@@ -835,7 +1060,7 @@ exports.deleteTemplate = async (req, res, next) => {
     const { id } = req.params;
     
     // Check if template exists
-    const existingTemplate = await messageModel.getTemplateById(id);
+    const existingTemplate = await messageModel.getTemplateById(id, req.tenant);
     
     if (!existingTemplate) {
       return res.status(404).json({
@@ -853,7 +1078,7 @@ exports.deleteTemplate = async (req, res, next) => {
     }
     
     // Delete template
-    await messageModel.deleteTemplate(id);
+    await messageModel.deleteTemplate(id, req.tenant);
     
     res.status(204).json({
       status: 'success',
@@ -879,7 +1104,7 @@ exports.getMessagingStats = async (req, res, next) => {
     } = req.query;
     
     // Get statistics
-    const stats = await messageModel.getMessagingStats(dateFrom, dateTo, userId);
+    const stats = await messageModel.getMessagingStats(dateFrom, dateTo, userId, req.tenant);
     
     // Return response
     res.status(200).json({
@@ -891,6 +1116,321 @@ exports.getMessagingStats = async (req, res, next) => {
   }
 };
 
+/**
+ * Receive Telnyx messaging webhooks (delivery receipts and inbound SMS)
+ * Not behind auth: the request is authenticated by its ed25519 signature.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.handleTelnyxWebhook = async (req, res, next) => {
+  try {
+    const verification = telnyx.parseWebhookEvent(
+      req.rawBody,
+      req.headers['telnyx-signature-ed25519'],
+      req.headers['telnyx-timestamp']
+    );
+    
+    if (!verification.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Webhook verification failed: ${verification.error}`
+      });
+    }
+    
+    const { data: event } = verification.event;
+    
+    if (!event || !event.payload) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Webhook event payload is missing'
+      });
+    }
+    
+    let result = null;
+    
+    switch (event.event_type) {
+      case 'message.sent':
+      case 'message.finalized':
+        result = await this._handleDeliveryReceipt(event.payload, event.occurred_at);
+        break;
+      case 'message.received':
+        result = await this._handleInboundSMS(event.payload);
+        break;
+      default:
+        // Acknowledge events we don't act on so Telnyx doesn't retry them
+        break;
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        event_type: event.event_type,
+        message_id: result ? result.id : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Internal method to apply a Telnyx delivery receipt to its message
+ * @param {Object} payload - Telnyx message payload
+ * @param {String} occurredAt - Event time reported by Telnyx
+ * @returns {Promise<Object|null>} Updated message record, or null if no message matches
+ * @private
+ */
+exports._handleDeliveryReceipt = async (payload, occurredAt) => {
+  const message = await messageModel.getMessageByProviderId(payload.id);
+  
+  if (!message) {
+    console.warn(`No message found for Telnyx message ID ${payload.id}`);
+    return null;
+  }
+  
+  const deliveryStatus = payload.to && payload.to[0] ? payload.to[0].status : null;
+  
+  if (deliveryStatus === 'delivered') {
+    return await messageModel.markAsDelivered(message.id, occurredAt);
+  }
+  
+  if (['sending_failed', 'delivery_failed', 'delivery_unconfirmed'].includes(deliveryStatus)) {
+    return await messageModel.markAsFailed(message.id, {
+      status: deliveryStatus,
+      errors: payload.errors || [],
+      occurred_at: occurredAt
+    });
+  }
+  
+  // Intermediate states (queued, sending, sent) need no update
+  return message;
+};
+
+/**
+ * Internal method to thread an inbound SMS into its conversation
+ * 
+ * The reply is attached to the latest outbound SMS sent to that number. If
+ * nothing was ever sent to it, the reply is filed under the person with that
+ * number and their assigned salesperson. STOP/START/HELP keywords and C/R
+ * replies to appointment reminders are then acted on.
+ * 
+ * Telnyx retries a webhook until it succeeds. STOP and START are applied
+ * before anything else on every delivery, so a retry applies them even if an
+ * earlier attempt stored the reply and then failed. A reply is stored once, and
+ * marked handled when everything after it is done; a retry for a reply that
+ * isn't handled yet runs those steps again to finish them.
+ * @param {Object} payload - Telnyx message payload
+ * @returns {Promise<Object|null>} Message record, or null if the sender is unknown
+ * @private
+ */
+exports._handleInboundSMS = async (payload) => {
+  const from = payload.from ? payload.from.phone_number : null;
+  const keyword = getComplianceKeyword(payload.text);
+  
+  if (keyword === 'opt_out' || keyword === 'opt_in') {
+    await this._applySmsConsent(keyword, from);
+  }
+  
+  let inboundMessage = await messageModel.getMessageByProviderId(payload.id);
+  
+  if (inboundMessage && inboundMessage.metadata && inboundMessage.metadata.handled_at) {
+    return inboundMessage;
+  }
+  
+  if (!inboundMessage) {
+    inboundMessage = await this._storeInboundSMS(payload, from);
+  }
+  
+  // A reply raises the person's response rate if they are a lead
+  if (inboundMessage) {
+    await leadScoring.rescoreLead(inboundMessage.recipient_id, 'message');
+  }
+  
+  // STOP/START/HELP are honoured even when the number is unknown. A retry
+  // doesn't log or confirm a keyword that was already handled.
+  if (keyword && !(inboundMessage && inboundMessage.metadata && inboundMessage.metadata.keyword_handled_at)) {
+    await this._handleComplianceKeyword(keyword, from, inboundMessage);
+    
+    if (inboundMessage) {
+      inboundMessage = await messageModel.markInboundHandled(inboundMessage, 'keyword_handled_at');
+    }
+  }
+  
+  // A reply, or STOP, can take the person out of their nurture sequences
+  if (inboundMessage) {
+    await nurtureSequences.recordReply(inboundMessage.recipient_id, keyword);
+  }
+  
+  // C or R in answer to an appointment reminder
+  const appointmentReply = keyword ? null : appointmentReminders.getReplyKeyword(payload.text);
+  
+  if (appointmentReply) {
+    await appointmentReminders.handleReply(appointmentReply, from, inboundMessage);
+  }
+  
+  if (inboundMessage) {
+    inboundMessage = await messageModel.markInboundHandled(inboundMessage);
+  }
+  
+  return inboundMessage;
+};
+
+/**
+ * Internal method to store an inbound SMS in its conversation
+ * @param {Object} payload - Telnyx message payload
+ * @param {String} from - Number the SMS came from (E.164)
+ * @returns {Promise<Object|null>} Created message record, or null if the sender is unknown
+ * @private
+ */
+exports._storeInboundSMS = async (payload, from) => {
+  const responseData = {
+    message_type: 'sms',
+    content: payload.text || '',
+    status: 'received',
+    sent_at: payload.received_at || new Date().toISOString(),
+    metadata: {
+      telnyx_message_id: payload.id,
+      from
+    }
+  };
+  
+  const originalMessage = await messageModel.getLatestMessageToPhone(from);
+  
+  if (originalMessage) {
+    return messageModel.recordResponse(originalMessage.id, responseData);
+  }
+  
+  const person = await personModel.getPersonByPhone(from);
+  
+  if (person && person.assigned_to) {
+    return messageModel.createMessage({
+      ...responseData,
+      sender_id: person.assigned_to,
+      recipient_id: person.id,
+      direction: 'inbound'
+    });
+  }
+  
+  console.warn(`Inbound SMS from ${from} does not match an assigned person`);
+  return null;
+};
+
+/**
+ * Internal method to apply a STOP or START reply to every person with the number
+ * Only persons whose consent changes are updated, so it is safe to repeat.
+ * @param {String} keyword - 'opt_out' or 'opt_in'
+ * @param {String} phone - Number the keyword came from (E.164)
+ * @returns {Promise<Array>} IDs of the persons updated
+ * @private
+ */
+exports._applySmsConsent = async (keyword, phone) => {
+  const persons = await personModel.getPersonsByPhone(phone);
+  const smsOptIn = keyword === 'opt_in';
+  const updated = [];
+  
+  for (const person of persons) {
+    if (smsOptIn ? person.sms_opt_in === false : person.sms_opt_in !== false) {
+      await personModel.updatePerson(person.id, { sms_opt_in: smsOptIn });
+      updated.push(person.id);
+    }
+  }
+  
+  return updated;
+};
+
+/**
+ * Internal method to log a STOP, START or HELP reply and confirm it
+ * 
+ * Each person with the number gets an interaction logged, and the
+ * carrier-required confirmation is sent back to the number. The opt-out or
+ * opt-in itself is applied first, by _applySmsConsent.
+ * @param {String} keyword - 'opt_out', 'opt_in' or 'help'
+ * @param {String} phone - Number the keyword came from (E.164)
+ * @param {Object|null} inboundMessage - The stored inbound message, if it matched a conversation
+ * @returns {Promise<Object>} Persons with the number and the confirmation send result
+ * @private
+ */
+exports._handleComplianceKeyword = async (keyword, phone, inboundMessage) => {
+  const persons = await personModel.getPersonsByPhone(phone);
+  const now = new Date().toISOString();
+  const subjects = {
+    opt_out: 'SMS opt-out',
+    opt_in: 'SMS opt-in',
+    help: 'SMS help request'
+  };
+  
+  for (const person of persons) {
+    await interactionModel.createInteraction({
+      person_id: person.id,
+      user_id: person.assigned_to || (inboundMessage ? inboundMessage.sender_id : null),
+      interaction_type: 'sms',
+      subject: subjects[keyword],
+      content: inboundMessage ? inboundMessage.content : null,
+      status: 'completed',
+      completed_at: now,
+      custom_fields: {
+        compliance_keyword: keyword,
+        phone
+      }
+    });
+  }
+  
+  // Confirmations go straight to the provider: they must reach opted-out numbers
+  const reply = getComplianceReply(keyword);
+  const result = await telnyx.sendSMS(phone, reply);
+  
+  if (!result.success) {
+    console.error(`Failed to send ${keyword} confirmation to ${phone}:`, result.error);
+  }
+  
+  if (inboundMessage) {
+    await messageModel.createMessage({
+      sender_id: inboundMessage.sender_id,
+      recipient_id: inboundMessage.recipient_id,
+      message_type: 'sms',
+      content: reply,
+      status: result.success ? 'sent' : 'failed',
+      metadata: {
+        telnyx_message_id: result.messageId,
+        to: phone,
+        compliance_keyword: keyword
+      }
+    });
+  }
+  
+  return {
+    persons: persons.map(person => person.id),
+    confirmationSent: result.success
+  };
+};
+
+/**
+ * Helper method to build the response for a suppressed (opted-out) recipient
+ * @param {UUID} recipientId - Recipient ID
+ * @returns {Object} Response body
+ * @private
+ */
+exports._suppressedResponse = (recipientId) => ({
+  status: 'error',
+  message: 'Recipient has opted out of SMS messages',
+  data: {
+    suppressed: [recipientId]
+  }
+});
+
+/**
+ * Helper method to build the response for an action over the organization's plan limits
+ * @param {Object} exceeded - Result of subscriptionTiers.checkLimit
+ * @returns {Object} Response body
+ * @private
+ */
+exports._limitExceededResponse = (exceeded) => ({
+  status: 'error',
+  message: exceeded.message,
+  limit: exceeded
+});
+
 /**
  * Helper method to apply a template with personalization data
  * @param {String} template - Template string with placeholders
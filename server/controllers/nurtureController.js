@@ -0,0 +1,227 @@
+/**
+ * Nurture Controller
+ * Handles nurture sequences (drip campaigns): defining them, enrolling leads
+ * and referrals, and their per-step stats
+ */
+const nurtureModel = require('../models/nurtureModel');
+const nurtureSequences = require('../utils/nurtureSequences');
+
+/**
+ * Get sequences, by name
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getSequences = async (req, res, next) => {
+  try {
+    const sequences = (await nurtureModel.getSequences(req.tenant))
+      .map(sequence => ({ ...sequence, steps: nurtureSequences.getSteps(sequence) }));
+    
+    res.status(200).json({
+      status: 'success',
+      results: sequences.length,
+      data: sequences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a sequence with its enrollment and per-step stats
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getSequence = async (req, res, next) => {
+  try {
+    const sequence = await nurtureModel.getSequenceById(req.params.id, req.tenant);
+    
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Nurture sequence not found'
+      });
+    }
+    
+    const stats = await nurtureSequences.getStats(sequence);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        sequence: { ...sequence, steps: nurtureSequences.getSteps(sequence) },
+        stats
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a sequence (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createSequence = async (req, res, next) => {
+  try {
+    const sequence = await nurtureSequences.createSequence(req.body, req.user, req.tenant);
+    
+    res.status(201).json({
+      status: 'success',
+      data: sequence
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a sequence, pause or resume it, or replace its steps (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateSequence = async (req, res, next) => {
+  try {
+    const sequence = await nurtureModel.getSequenceById(req.params.id, req.tenant);
+    
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Nurture sequence not found'
+      });
+    }
+    
+    const updated = await nurtureSequences.updateSequence(sequence, req.body, req.tenant);
+    
+    res.status(200).json({
+      status: 'success',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a sequence, with its enrollments and stats (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteSequence = async (req, res, next) => {
+  try {
+    const deleted = await nurtureModel.deleteSequence(req.params.id, req.tenant);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Nurture sequence not found'
+      });
+    }
+    
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get enrollments, most recent first
+ * ?person_id and ?status narrow them; under a sequence's route, only its
+ * enrollments are returned.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getEnrollments = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 0;
+    const pageSize = parseInt(req.query.pageSize, 10) || 20;
+    
+    if (req.params.id && !(await nurtureModel.getSequenceById(req.params.id, req.tenant))) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Nurture sequence not found'
+      });
+    }
+    
+    const { enrollments, total } = await nurtureModel.getEnrollments({
+      sequenceId: req.params.id,
+      personId: req.query.person_id,
+      status: req.query.status
+    }, { page, pageSize }, req.tenant);
+    
+    res.status(200).json({
+      status: 'success',
+      results: enrollments.length,
+      total,
+      data: enrollments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Enroll leads and referrals in a sequence
+ * People who can't be enrolled are listed with the reason, e.g. already_enrolled.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.enroll = async (req, res, next) => {
+  try {
+    const sequence = await nurtureModel.getSequenceById(req.params.id, req.tenant);
+    
+    if (!sequence) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Nurture sequence not found'
+      });
+    }
+    
+    const { enrolled, skipped } = await nurtureSequences.enrollPeople(sequence, req.body.person_ids, req.user, req.tenant);
+    
+    res.status(201).json({
+      status: 'success',
+      data: { enrolled, skipped }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take a person out of a sequence
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.cancelEnrollment = async (req, res, next) => {
+  try {
+    const enrollment = await nurtureModel.getEnrollmentById(req.params.enrollmentId, req.tenant);
+    
+    if (!enrollment || enrollment.sequence_id !== req.params.id) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Enrollment not found'
+      });
+    }
+    
+    const sequence = await nurtureModel.getSequenceById(req.params.id);
+    const cancelled = await nurtureSequences.cancelEnrollment(enrollment, sequence);
+    
+    res.status(200).json({
+      status: 'success',
+      data: cancelled
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,258 @@
+/**
+ * Organization Controller
+ * Handles the signed-in user's organization, its ORCA plan tier and usage
+ */
+const organizationModel = require('../models/organizationModel');
+const subscriptionTiers = require('../utils/subscriptionTiers');
+const { ATTRIBUTION_MODELS } = require('../utils/referralAttribution');
+const leadScoring = require('../utils/leadScoring');
+const organizationInvitations = require('../utils/organizationInvitations');
+
+/**
+ * Get the user's organization with its tier, limits and usage
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getOrganization = async (req, res, next) => {
+  try {
+    const organization = await this._getUserOrganization(req.user);
+    
+    if (!organization) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'You do not belong to an organization'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: await subscriptionTiers.getSummary(organization)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the ORCA plan tiers and their limits
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getTiers = async (req, res, next) => {
+  try {
+    const tiers = subscriptionTiers.TIER_ORDER.map(key => subscriptionTiers.TIERS[key]);
+    
+    res.status(200).json({
+      status: 'success',
+      data: tiers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Subscribe the user's organization to a paid tier, or move it to another one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.subscribe = async (req, res, next) => {
+  try {
+    const { tier, paymentMethodId } = req.body;
+    
+    if (!tier) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'tier is required'
+      });
+    }
+    
+    const organization = await this._getUserOrganization(req.user);
+    
+    if (!organization) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'You do not belong to an organization'
+      });
+    }
+    
+    const result = await subscriptionTiers.subscribe(organization, tier, {
+      email: req.user.email,
+      paymentMethodId
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        organization: await subscriptionTiers.getSummary(result.organization),
+        subscription: result.subscription
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the user's organization settings
+ * The default referral attribution model and the lead scoring weights can be
+ * changed here. The attribution model applies to conversions from now on; the
+ * weights apply from each lead's next score.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateOrganization = async (req, res, next) => {
+  try {
+    const {
+      attribution_model: attributionModel,
+      lead_scoring_weights: leadScoringWeights
+    } = req.body;
+    
+    if (attributionModel === undefined && leadScoringWeights === undefined) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'attribution_model or lead_scoring_weights is required'
+      });
+    }
+    
+    if (attributionModel !== undefined && !ATTRIBUTION_MODELS.includes(attributionModel)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `attribution_model must be one of: ${ATTRIBUTION_MODELS.join(', ')}`
+      });
+    }
+    
+    const organization = await this._getUserOrganization(req.user);
+    
+    if (!organization) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'You do not belong to an organization'
+      });
+    }
+    
+    const updates = {};
+    
+    if (attributionModel !== undefined) {
+      updates.attribution_model = attributionModel;
+    }
+    
+    // Weights replace the organization's previous ones; signals left out use the defaults
+    if (leadScoringWeights !== undefined) {
+      updates.lead_scoring_weights = leadScoring.validateWeights(leadScoringWeights);
+    }
+    
+    const updatedOrganization = await organizationModel.updateOrganization(organization.id, updates);
+    
+    res.status(200).json({
+      status: 'success',
+      data: await subscriptionTiers.getSummary(updatedOrganization)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the organization's invitations that haven't been used yet (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getInvitations = async (req, res, next) => {
+  try {
+    if (!req.user.organization_id) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'You do not belong to an organization'
+      });
+    }
+    
+    const invitations = await organizationModel.getPendingInvitations(req.user.organization_id);
+    
+    res.status(200).json({
+      status: 'success',
+      results: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite someone to join the organization (admin only)
+ * The token is returned this once; send it to the person being invited, who
+ * registers with it as invitationToken.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createInvitation = async (req, res, next) => {
+  try {
+    if (!req.user.organization_id) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'You do not belong to an organization'
+      });
+    }
+    
+    const { invitation, token } = await organizationInvitations.createInvitation(
+      req.user.organization_id,
+      { email: req.body.email, role: req.body.role },
+      req.user
+    );
+    
+    res.status(201).json({
+      status: 'success',
+      data: { ...invitation, token }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Withdraw an invitation (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteInvitation = async (req, res, next) => {
+  try {
+    const deleted = req.user.organization_id &&
+      await organizationModel.deleteInvitation(req.params.id, req.user.organization_id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invitation not found'
+      });
+    }
+    
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's organization
+ * @param {Object} user - Signed-in user
+ * @returns {Promise<Object|null>} Organization, or null if the user has none
+ * @private
+ */
+exports._getUserOrganization = async (user) => {
+  if (!user.organization_id) {
+    return null;
+  }
+  
+  return organizationModel.getOrganizationById(user.organization_id);
+};
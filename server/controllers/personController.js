@@ -16,7 +16,7 @@ const relationshipModel = require('../models/relationshipModel');
 const createPerson = async (req, res) => {
   try {
     const personData = req.body;
-    const person = await personModel.createPerson(personData);
+    const person = await personModel.createPerson(personData, {}, req.tenant);
     res.status(201).json({ success: true, data: person });
   } catch (error) {
     console.error('Error creating person:', error);
@@ -32,7 +32,7 @@ const createPerson = async (req, res) => {
 const getPersonById = async (req, res) => {
   try {
     const { id } = req.params;
-    const person = await personModel.getPersonById(id);
+    const person = await personModel.getPersonById(id, req.tenant);
     
     if (!person) {
       return res.status(404).json({ success: false, error: 'Person not found' });
@@ -55,7 +55,7 @@ const getPersonSummary = async (req, res) => {
     const { id } = req.params;
     
     // Get person with all extensions
-    const person = await personModel.getPersonById(id);
+    const person = await personModel.getPersonById(id, req.tenant);
     
     if (!person) {
       return res.status(404).json({ success: false, error: 'Person not found' });
@@ -98,7 +98,7 @@ const updatePerson = async (req, res) => {
   try {
     const { id } = req.params;
     const personData = req.body;
-    const updatedPerson = await personModel.updatePerson(id, personData);
+    const updatedPerson = await personModel.updatePerson(id, personData, {}, req.tenant);
     
     if (!updatedPerson) {
       return res.status(404).json({ success: false, error: 'Person not found' });
@@ -107,7 +107,7 @@ const updatePerson = async (req, res) => {
     res.status(200).json({ success: true, data: updatedPerson });
   } catch (error) {
     console.error('Error updating person:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
 };
 
@@ -119,7 +119,7 @@ const updatePerson = async (req, res) => {
 const deletePerson = async (req, res) => {
   try {
     const { id } = req.params;
-    const success = await personModel.deletePerson(id);
+    const success = await personModel.deletePerson(id, req.tenant);
     
     if (!success) {
       return res.status(404).json({ success: false, error: 'Person not found' });
@@ -185,7 +185,7 @@ const getPersonRelationships = async (req, res) => {
     const { type, direction } = req.query;
     
     // Check if person exists
-    const person = await personModel.getPersonById(id);
+    const person = await personModel.getPersonById(id, req.tenant);
     if (!person) {
       return res.status(404).json({ success: false, error: 'Person not found' });
     }
@@ -214,7 +214,7 @@ const getPersonInteractions = async (req, res) => {
     const { page = 1, limit = 20, type } = req.query;
     
     // Check if person exists
-    const person = await personModel.getPersonById(id);
+    const person = await personModel.getPersonById(id, req.tenant);
     if (!person) {
       return res.status(404).json({ success: false, error: 'Person not found' });
     }
@@ -250,7 +250,7 @@ const generateReferralLink = async (req, res) => {
     }
     
     // Check if person exists
-    const person = await personModel.getPersonById(referrerId);
+    const person = await personModel.getPersonById(referrerId, req.tenant);
     if (!person) {
       return res.status(404).json({ 
         success: false, 
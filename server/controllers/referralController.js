@@ -4,8 +4,23 @@
  */
 const referralModel = require('../models/referralModel');
 const personModel = require('../models/personModel');
-const { v4: uuidv4 } = require('uuid');
 const firebase = require('firebase-admin');
+const { parseReferralLink } = require('../config/firebase');
+const userModel = require('../models/userModel');
+const messageModel = require('../models/messageModel');
+const telnyx = require('../config/telnyx');
+const referralLinks = require('../utils/referralLinks');
+const appointmentCalendar = require('../utils/appointmentCalendar');
+const calendarSync = require('../utils/calendarSync');
+const billing = require('../utils/billing');
+const membershipPlans = require('../utils/membershipPlans');
+const referralAttribution = require('../utils/referralAttribution');
+const referralIncentives = require('../utils/referralIncentives');
+const nurtureSequences = require('../utils/nurtureSequences');
+const subscriptionTiers = require('../utils/subscriptionTiers');
+const { isInScope } = require('../utils/tenancy');
+const { validatePerson, normalizePhone } = require('../utils/validation');
+const { CustomError } = require('../utils/errorHandler');
 const { google } = require('googleapis');
 
 /**
@@ -45,7 +60,7 @@ exports.getAllReferrals = async (req, res, next) => {
     };
     
     // Get referrals
-    const referrals = await referralModel.getAllReferrals(filters, pagination);
+    const referrals = await referralModel.getAllReferrals(filters, pagination, req.tenant);
     
     // Return response
     res.status(200).json({
@@ -68,7 +83,7 @@ exports.getReferralById = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    const referral = await referralModel.getReferralById(id);
+    const referral = await referralModel.getReferralById(id, req.tenant);
     
     if (!referral) {
       return res.status(404).json({
@@ -148,13 +163,26 @@ exports.createReferral = async (req, res, next) => {
       referral_link_id
     };
     
+    // The referrer must be someone in the user's organization and location
+    if (referrer_id && !(await personModel.getPersonById(referrer_id, req.tenant))) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Referrer with ID ${referrer_id} not found`
+      });
+    }
+    
     // Create referral
     const newReferral = await referralModel.createReferral(
       personData, 
       referralExtensionData,
-      relationshipData
+      referrer_id,
+      relationshipData,
+      req.tenant
     );
     
+    // Start any nurture sequences for new referrals
+    await nurtureSequences.enrollByTrigger('referral_created', newReferral.id);
+    
     // Return response
     res.status(201).json({
       status: 'success',
@@ -216,7 +244,8 @@ exports.updateReferral = async (req, res, next) => {
     const updatedReferral = await referralModel.updateReferral(
       id, 
       personData, 
-      referralExtensionData
+      referralExtensionData,
+      req.tenant
     );
     
     // Return response
@@ -240,7 +269,7 @@ exports.deleteReferral = async (req, res, next) => {
     const { id } = req.params;
     
     // Delete referral
-    await referralModel.deleteReferral(id);
+    await referralModel.deleteReferral(id, req.tenant);
     
     // Return response
     res.status(204).json({
@@ -260,7 +289,7 @@ exports.deleteReferral = async (req, res, next) => {
  */
 exports.generateReferralLink = async (req, res, next) => {
   try {
-    const { memberId, campaignId } = req.body;
+    const { memberId, campaignId, campaign, source = 'app', provider } = req.body;
     
     if (!memberId) {
       return res.status(400).json({
@@ -270,7 +299,7 @@ exports.generateReferralLink = async (req, res, next) => {
     }
     
     // Check if member exists
-    const member = await personModel.getPersonById(memberId);
+    const member = await personModel.getPersonById(memberId, req.tenant);
     
     if (!member || !member.is_member) {
       return res.status(404).json({
@@ -279,17 +308,41 @@ exports.generateReferralLink = async (req, res, next) => {
       });
     }
     
-    // Generate a unique ID for this referral link
-    const linkId = uuidv4();
+    // The organization's plan caps how many referral links it can create
+    const linkLimit = await subscriptionTiers.checkLimit(req.user.organization_id, 'referral_links', 1);
+    
+    if (linkLimit) {
+      return res.status(402).json({
+        status: 'error',
+        message: linkLimit.message,
+        limit: linkLimit
+      });
+    }
+    
+    // Create the link with the configured provider (Firebase or self-hosted)
+    const created = await referralLinks.createLink({
+      referrerId: memberId,
+      referrerName: `${member.first_name} ${member.last_name}`,
+      campaign: campaign || campaignId || 'default',
+      source,
+      provider
+    });
+    
+    // UTM data is read back from the landing page URL the link redirects to
+    const parsed = parseReferralLink(created.destinationUrl);
     
-    // In a real implementation, we would use Firebase Dynamic Links
-    // For now, create a mock link
     const linkData = {
-      id: linkId,
-      memberId,
-      campaignId,
-      created_at: new Date().toISOString(),
-      url: `https://orca.app/r/${linkId}?ref=${memberId}${campaignId ? `&campaign=${campaignId}` : ''}`
+      referrer_id: memberId,
+      created_by: req.user.id,
+      provider: created.provider,
+      short_code: created.shortCode,
+      url: created.url,
+      destination_url: created.destinationUrl,
+      preview_url: created.previewUrl,
+      campaign: parsed.campaign,
+      source: parsed.source,
+      medium: parsed.medium,
+      utm_params: parsed.params
     };
     
     // Save the link in the database
@@ -298,7 +351,49 @@ exports.generateReferralLink = async (req, res, next) => {
     // Return response
     res.status(201).json({
       status: 'success',
-      data: newLink
+      data: {
+        ...newLink,
+        shortLink: newLink.url
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get referral links with their click statistics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getReferralLinks = async (req, res, next) => {
+  try {
+    const { 
+      page = 0, 
+      pageSize = 50,
+      referrerId,
+      campaign
+    } = req.query;
+    
+    // Salespeople see the links they generated; admins see every link
+    const filters = {
+      referrerId,
+      campaign,
+      createdBy: req.user.role === 'admin' ? req.query.createdBy : req.user.id
+    };
+    
+    const pagination = {
+      page: parseInt(page, 10),
+      pageSize: parseInt(pageSize, 10)
+    };
+    
+    const links = await referralModel.getReferralLinks(filters, pagination, req.tenant);
+    
+    res.status(200).json({
+      status: 'success',
+      results: links.length,
+      data: links
     });
   } catch (error) {
     next(error);
@@ -317,7 +412,7 @@ exports.getReferralLinkById = async (req, res, next) => {
     
     const link = await referralModel.getReferralLinkById(id);
     
-    if (!link) {
+    if (!link || !isInScope(link, req.tenant)) {
       return res.status(404).json({
         status: 'error',
         message: `Referral link with ID ${id} not found`
@@ -333,6 +428,260 @@ exports.getReferralLinkById = async (req, res, next) => {
   }
 };
 
+/**
+ * Follow a referral link
+ * Public route that counts the click and redirects to the referral landing page
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.followReferralLink = async (req, res, next) => {
+  try {
+    const { code } = req.params;
+    
+    const link = await referralModel.recordReferralLinkClick(code);
+    
+    if (!link) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Referral link not found or no longer active'
+      });
+    }
+    
+    res.redirect(302, link.destination_url);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the public details of a referral link
+ * Used by the referral landing page, so only the referrer's first name is shared
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getPublicReferralLink = async (req, res, next) => {
+  try {
+    const { code } = req.params;
+    
+    const link = await referralModel.getReferralLinkByCode(code);
+    
+    if (!link || !link.is_active || !link.referrer) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'This referral link is not valid'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        code: link.short_code,
+        business_name: process.env.BUSINESS_NAME || 'ORCA',
+        referrer: {
+          first_name: link.referrer.first_name
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Submit a referral from the public landing page
+ * Creates the person, their referral extension and the relationship to the
+ * referring member in one step
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.submitPublicReferral = async (req, res, next) => {
+  try {
+    const { code } = req.params;
+    const {
+      first_name,
+      last_name,
+      email,
+      phone,
+      goals
+    } = req.body;
+    
+    // Person data, trimmed since it comes straight from a public form
+    const personData = {
+      first_name: typeof first_name === 'string' ? first_name.trim() : first_name,
+      last_name: typeof last_name === 'string' ? last_name.trim() : last_name,
+      email: typeof email === 'string' ? email.trim().toLowerCase() : email,
+      phone: typeof phone === 'string' ? phone.trim() : phone,
+      goals: typeof goals === 'string' ? goals.trim() : undefined
+    };
+    
+    // Email and phone are optional on a person but required here
+    const validationResult = validatePerson(personData);
+    const errors = [...validationResult.errors];
+    
+    if (!personData.email) {
+      errors.push('Email is required');
+    }
+    
+    if (!personData.phone) {
+      errors.push('Phone is required');
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid referral data',
+        errors
+      });
+    }
+    
+    const link = await referralModel.getReferralLinkByCode(code);
+    
+    if (!link || !link.is_active || !link.referrer) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'This referral link is not valid'
+      });
+    }
+    
+    const now = new Date().toISOString();
+    
+    const newReferral = await referralModel.createReferral(
+      {
+        ...personData,
+        is_referral: true,
+        acquisition_source: 'Referral',
+        acquisition_campaign: link.campaign,
+        acquisition_date: now,
+        utm_parameters: link.utm_params,
+        referral_source: link.short_code,
+        // The salesperson who generated the link follows up
+        assigned_to: link.created_by,
+        // The referral joins the link's organization and location
+        organization_id: link.organization_id,
+        location_id: link.location_id
+      },
+      {
+        referral_status: 'submitted'
+      },
+      link.referrer_id,
+      {
+        referral_date: now,
+        referral_channel: 'referral_link',
+        referral_campaign: link.campaign,
+        referral_link_id: link.id
+      }
+    );
+    
+    // Start any nurture sequences for new referrals
+    await nurtureSequences.enrollByTrigger('referral_created', newReferral.id);
+    
+    // Only what the landing page needs for its next step
+    res.status(201).json({
+      status: 'success',
+      data: {
+        referral_id: newReferral.id,
+        referrer: {
+          first_name: link.referrer.first_name
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the appointment times a referral can book from the landing page
+ * The times are the free slots on the assigned salesperson's calendar
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getPublicAvailability = async (req, res, next) => {
+  try {
+    const booking = await this._getPublicBooking(req.params.code, req.query.referralId);
+    
+    if (!booking) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'This referral link is not valid'
+      });
+    }
+    
+    const slots = await appointmentCalendar.getAvailableSlots(booking.salesperson);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        duration_minutes: appointmentCalendar.config.durationMinutes,
+        timezone: appointmentCalendar.config.timezone,
+        salesperson: {
+          first_name: booking.salesperson.first_name
+        },
+        slots
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Book an appointment from the landing page
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.bookPublicAppointment = async (req, res, next) => {
+  try {
+    const { referralId, start } = req.body;
+    
+    if (!start) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Appointment time is required'
+      });
+    }
+    
+    const booking = await this._getPublicBooking(req.params.code, referralId);
+    
+    if (!booking) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'This referral link is not valid'
+      });
+    }
+    
+    // Referrals book once from the landing page; changes go through their salesperson
+    const extension = (booking.referral.referral_extensions || [])[0] || {};
+    
+    if (extension.google_calendar_event_id && extension.appointment_status !== 'cancelled') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'An appointment has already been booked'
+      });
+    }
+    
+    const appointment = await this._bookReferralAppointment(booking.referral, booking.salesperson, start);
+    
+    res.status(201).json({
+      status: 'success',
+      data: {
+        start: appointment.start,
+        end: appointment.end,
+        salesperson: {
+          first_name: booking.salesperson.first_name
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get referral network for a person
  * @param {Object} req - Express request object
@@ -345,7 +694,7 @@ exports.getReferralNetwork = async (req, res, next) => {
     const { depth = 2 } = req.query; // How many levels deep to fetch
     
     // Get the network
-    const network = await referralModel.getReferralNetwork(id, parseInt(depth, 10));
+    const network = await referralModel.getReferralNetwork(id, parseInt(depth, 10), true, req.tenant);
     
     if (!network) {
       return res.status(404).json({
@@ -374,7 +723,6 @@ exports.scheduleAppointment = async (req, res, next) => {
     const { id } = req.params;
     const { 
       appointmentDate,
-      duration = 60, // in minutes
       notes,
       salesPersonId
     } = req.body;
@@ -386,23 +734,26 @@ exports.scheduleAppointment = async (req, res, next) => {
       });
     }
     
-    // In a real implementation, we would use Google Calendar API
-    // For now, create a mock appointment
-    const appointmentData = {
-      referralId: id,
-      appointmentDate,
-      duration,
-      notes,
-      salesPersonId,
-      status: 'scheduled',
-      created_at: new Date().toISOString()
-    };
+    const referral = await referralModel.getReferralById(id, req.tenant);
+    
+    if (!referral) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Referral with ID ${id} not found`
+      });
+    }
+    
+    // Book on the chosen salesperson's calendar, then the assigned one, then the caller's
+    const salesperson = await userModel.getUserById(salesPersonId || referral.assigned_to || req.user.id);
     
-    // Save the appointment in the database
-    const appointment = await referralModel.scheduleAppointment(id, appointmentData);
+    if (!salesperson) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Salesperson not found'
+      });
+    }
     
-    // Update referral status
-    await referralModel.updateReferralStatus(id, 'appointment_scheduled');
+    const appointment = await this._bookReferralAppointment(referral, salesperson, appointmentDate, notes);
     
     // Return response
     res.status(201).json({
@@ -444,6 +795,8 @@ exports.getAppointmentDetails = async (req, res, next) => {
 
 /**
  * Update appointment details
+ * A new time moves the salesperson's calendar event too (attendees are notified);
+ * a status change alone (e.g. confirmed, completed, no_show) only updates the referral.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -453,34 +806,106 @@ exports.updateAppointment = async (req, res, next) => {
     const { id } = req.params;
     const { 
       appointmentDate,
-      duration,
       notes,
       status
     } = req.body;
     
-    // Prepare appointment data
-    const appointmentData = {
-      appointmentDate,
-      duration,
-      notes,
-      status,
-      updated_at: new Date().toISOString()
-    };
+    const allowedStatuses = ['scheduled', 'confirmed', 'completed', 'no_show', 'rescheduled'];
+    const errors = [];
     
-    // Update the appointment
-    const updatedAppointment = await referralModel.updateAppointment(id, appointmentData);
+    if (!appointmentDate && !status) {
+      errors.push('Provide a new appointmentDate or status');
+    }
+    
+    if (appointmentDate && Number.isNaN(new Date(appointmentDate).getTime())) {
+      errors.push('appointmentDate must be a valid date');
+    }
+    
+    if (status && !allowedStatuses.includes(status)) {
+      errors.push(`Status must be one of: ${allowedStatuses.join(', ')}. Cancel appointments with DELETE.`);
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid appointment update',
+        errors
+      });
+    }
+    
+    const referral = await referralModel.getReferralById(id, req.tenant);
+    const extension = referral && referral.referral_extensions && referral.referral_extensions[0];
     
-    if (!updatedAppointment) {
+    if (!extension || !extension.appointment_date) {
       return res.status(404).json({
         status: 'error',
         message: `No appointment found for referral with ID ${id}`
       });
     }
     
+    if (extension.appointment_status === 'cancelled') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This appointment was cancelled. Schedule a new one instead.'
+      });
+    }
+    
+    const appointmentData = {};
+    
+    if (appointmentDate && new Date(appointmentDate).getTime() !== new Date(extension.appointment_date).getTime()) {
+      let newStart = new Date(appointmentDate).toISOString();
+      
+      if (extension.google_calendar_event_id) {
+        const salesperson = await this._getAppointmentCalendarOwner(referral);
+        const moved = await appointmentCalendar.rescheduleAppointment(salesperson, extension.google_calendar_event_id, {
+          start: appointmentDate,
+          currentStart: extension.appointment_date
+        });
+        newStart = moved.start;
+        appointmentData.appointment_end_date = moved.end;
+      }
+      
+      appointmentData.appointment_date = newStart;
+      appointmentData.appointment_status = status || 'rescheduled';
+      appointmentData.statusChangeNotes = notes ||
+        `Appointment moved from ${new Date(extension.appointment_date).toISOString()} to ${newStart}`;
+    } else if (status) {
+      appointmentData.appointment_status = status;
+      
+      if (notes) {
+        appointmentData.statusChangeNotes = notes;
+      }
+    } else {
+      // Same time as before and no status: nothing to change
+      return res.status(200).json({
+        status: 'success',
+        data: referral
+      });
+    }
+    
+    let updatedReferral;
+    
+    try {
+      updatedReferral = await referralModel.updateReferralAppointment(id, appointmentData);
+    } catch (error) {
+      // Another booking took the new time first, so the event goes back where it was
+      if (error.statusCode === 409 && appointmentData.appointment_date && extension.google_calendar_event_id) {
+        const salesperson = await this._getAppointmentCalendarOwner(referral);
+        await appointmentCalendar.rescheduleAppointment(salesperson, extension.google_calendar_event_id, {
+          start: extension.appointment_date,
+          currentStart: appointmentData.appointment_date
+        }).catch((moveError) => {
+          console.error(`Error moving calendar event ${extension.google_calendar_event_id} back:`, moveError);
+        });
+      }
+      
+      throw error;
+    }
+    
     // Return response
     res.status(200).json({
       status: 'success',
-      data: updatedAppointment
+      data: updatedReferral
     });
   } catch (error) {
     next(error);
@@ -489,6 +914,7 @@ exports.updateAppointment = async (req, res, next) => {
 
 /**
  * Cancel an appointment
+ * Deletes the salesperson's calendar event, which notifies the attendees
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -496,10 +922,29 @@ exports.updateAppointment = async (req, res, next) => {
 exports.cancelAppointment = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { reason } = req.body;
+    const { reason } = req.body || {};
     
-    // Cancel the appointment
-    await referralModel.cancelAppointment(id, reason);
+    const referral = await referralModel.getReferralById(id, req.tenant);
+    const extension = referral && referral.referral_extensions && referral.referral_extensions[0];
+    
+    if (!extension || !extension.appointment_date) {
+      return res.status(404).json({
+        status: 'error',
+        message: `No appointment found for referral with ID ${id}`
+      });
+    }
+    
+    if (extension.appointment_status !== 'cancelled') {
+      if (extension.google_calendar_event_id) {
+        const salesperson = await this._getAppointmentCalendarOwner(referral);
+        await appointmentCalendar.cancelAppointment(salesperson, extension.google_calendar_event_id);
+      }
+      
+      await referralModel.updateReferralAppointment(id, {
+        appointment_status: 'cancelled',
+        statusChangeNotes: reason ? `Appointment cancelled: ${reason}` : 'Appointment cancelled'
+      });
+    }
     
     // Return response
     res.status(204).json({
@@ -511,6 +956,41 @@ exports.cancelAppointment = async (req, res, next) => {
   }
 };
 
+/**
+ * Handle a Google Calendar push notification
+ * Google only says that the calendar changed, so the salesperson's calendar is
+ * synced to find out what (see utils/calendarSync.js)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.handleGoogleCalendarWebhook = async (req, res, next) => {
+  try {
+    const result = await calendarSync.handleNotification({
+      channelId: req.headers['x-goog-channel-id'],
+      channelToken: req.headers['x-goog-channel-token'],
+      resourceState: req.headers['x-goog-resource-state']
+    });
+    
+    if (!result) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Unknown notification channel'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        checked: result.checked,
+        applied: result.applied.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Convert a referral to a member
  * @param {Object} req - Express request object
@@ -521,17 +1001,53 @@ exports.convertToMember = async (req, res, next) => {
   try {
     const { id } = req.params;
     const { 
+      membershipPlanId,
       membershipType,
       membershipStatus,
       joinDate = new Date().toISOString(),
       billingDay,
       paymentStatus,
+      // 'checkout' or 'payment_link' to collect the first payment through Stripe
+      paymentCollection
       // ... other member fields
     } = req.body;
     
+    // The plan is chosen by membershipPlanId, or by its name in membershipType
+    const { plan, error: planError } = await membershipPlans.resolvePlan({
+      planId: membershipPlanId,
+      name: membershipType
+    }, req.tenant);
+    
+    if (planError) {
+      return res.status(400).json({
+        status: 'error',
+        message: planError
+      });
+    }
+    
+    // Check payment can be collected before converting the referral
+    if (paymentCollection) {
+      const invalid = billing.validatePaymentCollection(paymentCollection, plan);
+      
+      if (invalid) {
+        return res.status(400).json({
+          status: 'error',
+          message: invalid
+        });
+      }
+    }
+    
+    if (!(await referralModel.getReferralById(id, req.tenant))) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Referral with ID ${id} not found`
+      });
+    }
+    
     // Prepare member extension data
     const memberExtensionData = {
-      membership_type: membershipType,
+      membership_plan_id: plan ? plan.id : undefined,
+      membership_type: plan ? plan.name : undefined,
       membership_status: membershipStatus || 'active',
       join_date: joinDate,
       billing_day: billingDay,
@@ -542,10 +1058,118 @@ exports.convertToMember = async (req, res, next) => {
     // Convert referral to member
     const convertedMember = await referralModel.convertToMember(id, memberExtensionData);
     
+    // Split the credit between the referrers before their incentives are worked out from it;
+    // a failure here leaves the conversion in place
+    let attribution = null;
+    let attributionError;
+    
+    try {
+      attribution = await referralAttribution.applyAttribution(convertedMember);
+    } catch (error) {
+      console.error('Error applying referral attribution:', error);
+      attributionError = error.message;
+    }
+    
+    // Award the referrers' incentives; a failure here leaves the conversion in place
+    let incentives = [];
+    let incentivesError;
+    
+    try {
+      incentives = await referralIncentives.evaluateConversion(convertedMember);
+    } catch (error) {
+      console.error('Error evaluating referral incentives:', error);
+      incentivesError = error.message;
+    }
+    
+    // The conversion stands if Stripe fails; the checkout can be retried from /api/billing/checkout
+    let checkout = null;
+    let checkoutError;
+    
+    if (paymentCollection) {
+      try {
+        checkout = await billing.createMembershipCheckout(convertedMember, {
+          plan,
+          method: paymentCollection,
+          memberExtension: (convertedMember.member_extensions || [])[0],
+          userId: req.user && req.user.id
+        });
+      } catch (error) {
+        console.error('Error creating membership checkout:', error);
+        checkoutError = error.message;
+      }
+    }
+    
     // Return response
     res.status(200).json({
       status: 'success',
-      data: convertedMember
+      data: convertedMember,
+      checkout,
+      checkout_error: checkoutError,
+      attribution,
+      attribution_error: attributionError,
+      incentives,
+      incentives_error: incentivesError
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get how a referral's credit is split between its referrers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getReferralAttribution = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const referral = await referralModel.getReferralById(id, req.tenant);
+    
+    if (!referral) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Referral with ID ${id} not found`
+      });
+    }
+    
+    const attribution = await referralAttribution.getAttribution(referral);
+    
+    res.status(200).json({
+      status: 'success',
+      data: attribution
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change how a referral's credit is split between its referrers
+ * The referrers' successful_referrals are recounted straight away; incentives
+ * already awarded for the referral keep their amounts.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateReferralAttribution = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { model = null, shares } = req.body;
+    const referral = await referralModel.getReferralById(id, req.tenant);
+    
+    if (!referral) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Referral with ID ${id} not found`
+      });
+    }
+    
+    const attribution = await referralAttribution.setAttribution(referral, { model, shares });
+    
+    res.status(200).json({
+      status: 'success',
+      data: attribution
     });
   } catch (error) {
     next(error);
@@ -562,12 +1186,11 @@ exports.getReferralStats = async (req, res, next) => {
   try {
     const { 
       dateFrom, 
-      dateTo,
-      salesPersonId
+      dateTo
     } = req.query;
     
     // Get statistics
-    const stats = await referralModel.getReferralStats(dateFrom, dateTo, salesPersonId);
+    const stats = await referralModel.getReferralStats({ startDate: dateFrom, endDate: dateTo }, req.tenant);
     
     // Return response
     res.status(200).json({
@@ -577,4 +1200,211 @@ exports.getReferralStats = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Internal method to resolve a landing page booking
+ * The referral must have come in through the link, and must have a salesperson
+ * @param {String} code - Referral link short code
+ * @param {UUID} referralId - Referral ID (person_id) returned when the referral was submitted
+ * @returns {Promise<Object|null>} Link, referral and salesperson, or null if the booking is not valid
+ * @private
+ */
+exports._getPublicBooking = async (code, referralId) => {
+  if (!referralId) {
+    return null;
+  }
+  
+  const link = await referralModel.getReferralLinkByCode(code);
+  
+  if (!link || !link.is_active) {
+    return null;
+  }
+  
+  let referral;
+  
+  try {
+    referral = await referralModel.getReferralById(referralId);
+  } catch (error) {
+    // No matching row, or an ID that is not a UUID
+    if (error.code === 'PGRST116' || error.code === '22P02') {
+      return null;
+    }
+    throw error;
+  }
+  
+  if (!referral || referral.referral_source !== link.short_code || !referral.assigned_to) {
+    return null;
+  }
+  
+  const salesperson = await userModel.getUserById(referral.assigned_to);
+  
+  if (!salesperson) {
+    return null;
+  }
+  
+  return { link, referral, salesperson };
+};
+
+/**
+ * Internal method to book a referral's appointment
+ * Creates the calendar event with the referral as attendee, stores it on the
+ * referral extension and sends the confirmations. If the booking can't be
+ * stored (e.g. another booking took the slot first), the event is deleted again.
+ * @param {Object} referral - Referral (person with referral_extensions)
+ * @param {Object} salesperson - Salesperson whose calendar is booked
+ * @param {String} start - Start time, one of the salesperson's free slots
+ * @param {String} notes - Notes added to the event description
+ * @returns {Promise<Object>} Booked event and which confirmations were sent
+ * @private
+ */
+exports._bookReferralAppointment = async (referral, salesperson, start, notes) => {
+  const businessName = process.env.BUSINESS_NAME || 'ORCA';
+  const referralName = `${referral.first_name} ${referral.last_name || ''}`.trim();
+  
+  const event = await appointmentCalendar.bookAppointment(salesperson, {
+    start,
+    summary: `${businessName} consultation: ${referralName}`,
+    description: [
+      `Referral appointment with ${referralName}`,
+      referral.email && `Email: ${referral.email}`,
+      referral.phone && `Phone: ${referral.phone}`,
+      referral.goals && `Goals: ${referral.goals}`,
+      notes
+    ].filter(Boolean).join('\n'),
+    attendees: referral.email ? [referral.email] : []
+  });
+  
+  try {
+    await referralModel.updateReferralAppointment(referral.id, {
+      appointment_date: event.start,
+      appointment_end_date: event.end,
+      appointment_status: 'scheduled',
+      google_calendar_event_id: event.id,
+      appointment_calendar_user_id: salesperson.id
+    });
+  } catch (error) {
+    try {
+      await appointmentCalendar.cancelAppointment(salesperson, event.id);
+    } catch (cancelError) {
+      console.error(`Error deleting calendar event ${event.id} for a booking that failed:`, cancelError);
+    }
+    
+    throw error;
+  }
+  
+  const confirmations = await this._sendAppointmentConfirmations(referral, salesperson, event);
+  
+  return {
+    referral_id: referral.id,
+    salesperson_id: salesperson.id,
+    google_calendar_event_id: event.id,
+    html_link: event.htmlLink,
+    start: event.start,
+    end: event.end,
+    confirmations
+  };
+};
+
+/**
+ * Internal method to find the salesperson whose calendar holds a referral's appointment
+ * Appointments booked before the calendar owner was recorded fall back to the assigned salesperson.
+ * @param {Object} referral - Referral (person with referral_extensions)
+ * @returns {Promise<Object>} Salesperson (user)
+ * @private
+ */
+exports._getAppointmentCalendarOwner = async (referral) => {
+  const extension = referral.referral_extensions[0];
+  const ownerId = extension.appointment_calendar_user_id || referral.assigned_to;
+  const salesperson = ownerId ? await userModel.getUserById(ownerId) : null;
+  
+  if (!salesperson) {
+    throw new CustomError('The salesperson whose calendar holds this appointment was not found', 404);
+  }
+  
+  return salesperson;
+};
+
+/**
+ * Internal method to confirm a booked appointment with both parties
+ * The referral gets an email and, unless opted out, a text; the salesperson
+ * gets an email. The booking stands if a confirmation fails, so failures are
+ * logged and reported rather than thrown.
+ * @param {Object} referral - Referral (person)
+ * @param {Object} salesperson - Salesperson (user)
+ * @param {Object} event - Booked event with start time
+ * @returns {Promise<Object>} Which confirmations were sent
+ * @private
+ */
+exports._sendAppointmentConfirmations = async (referral, salesperson, event) => {
+  const businessName = process.env.BUSINESS_NAME || 'ORCA';
+  const when = appointmentCalendar.formatAppointmentTime(event.start);
+  const referralName = `${referral.first_name} ${referral.last_name || ''}`.trim();
+  const sent = {
+    referral_email: false,
+    referral_sms: false,
+    salesperson_email: false
+  };
+  
+  if (referral.email) {
+    const subject = `Your appointment with ${businessName}`;
+    const content = `Hi ${referral.first_name}, you're booked with ${salesperson.first_name} at ${businessName} on ${when}. We look forward to meeting you!`;
+    
+    try {
+      await appointmentCalendar.sendEmail(salesperson, { to: referral.email, subject, body: content });
+      sent.referral_email = true;
+      
+      await messageModel.createMessage({
+        sender_id: salesperson.id,
+        recipient_id: referral.id,
+        message_type: 'email',
+        subject,
+        content,
+        status: 'sent',
+        metadata: { to: referral.email, appointment_event_id: event.id }
+      });
+    } catch (error) {
+      console.error(`Failed to email appointment confirmation to referral ${referral.id}:`, error.message);
+    }
+  }
+  
+  if (referral.phone && referral.sms_opt_in !== false) {
+    const phone = normalizePhone(referral.phone);
+    const content = `${businessName}: You're booked with ${salesperson.first_name} on ${when}. Reply STOP to opt out.`;
+    
+    try {
+      const result = await telnyx.sendSMS(phone, content);
+      sent.referral_sms = result.success;
+      
+      if (!result.success) {
+        console.error(`Failed to text appointment confirmation to referral ${referral.id}:`, result.error);
+      }
+      
+      await messageModel.createMessage({
+        sender_id: salesperson.id,
+        recipient_id: referral.id,
+        message_type: 'sms',
+        content,
+        status: result.success ? 'sent' : 'failed',
+        metadata: { telnyx_message_id: result.messageId, to: phone, appointment_event_id: event.id }
+      });
+    } catch (error) {
+      console.error(`Failed to text appointment confirmation to referral ${referral.id}:`, error.message);
+    }
+  }
+  
+  if (salesperson.email) {
+    try {
+      await appointmentCalendar.sendEmail(salesperson, {
+        to: salesperson.email,
+        subject: `New appointment: ${referralName}`,
+        body: `${referralName} booked an appointment with you on ${when}. It has been added to your calendar.`
+      });
+      sent.salesperson_email = true;
+    } catch (error) {
+      console.error(`Failed to email appointment confirmation to salesperson ${salesperson.id}:`, error.message);
+    }
+  }
+  
+  return sent;
+};
@@ -18,8 +18,8 @@ const createRelationship = async (req, res) => {
     const relationshipData = req.body;
     
     // Validate that both persons exist
-    const personA = await personModel.getPersonById(relationshipData.person_a_id);
-    const personB = await personModel.getPersonById(relationshipData.person_b_id);
+    const personA = await personModel.getPersonById(relationshipData.person_a_id, req.tenant);
+    const personB = await personModel.getPersonById(relationshipData.person_b_id, req.tenant);
     
     if (!personA || !personB) {
       return res.status(404).json({ 
@@ -44,7 +44,7 @@ const createRelationship = async (req, res) => {
 const getRelationshipById = async (req, res) => {
   try {
     const { id } = req.params;
-    const relationship = await relationshipModel.getRelationshipById(id);
+    const relationship = await relationshipModel.getRelationshipById(id, req.tenant);
     
     if (!relationship) {
       return res.status(404).json({ success: false, error: 'Relationship not found' });
@@ -67,6 +67,10 @@ const updateRelationship = async (req, res) => {
     const { id } = req.params;
     const relationshipData = req.body;
     
+    if (!(await relationshipModel.getRelationshipById(id, req.tenant))) {
+      return res.status(404).json({ success: false, error: 'Relationship not found' });
+    }
+    
     const updatedRelationship = await relationshipModel.updateRelationship(id, relationshipData);
     
     if (!updatedRelationship) {
@@ -88,6 +92,11 @@ const updateRelationship = async (req, res) => {
 const deleteRelationship = async (req, res) => {
   try {
     const { id } = req.params;
+    
+    if (!(await relationshipModel.getRelationshipById(id, req.tenant))) {
+      return res.status(404).json({ success: false, error: 'Relationship not found' });
+    }
+    
     const success = await relationshipModel.deleteRelationship(id);
     
     if (!success) {
@@ -112,6 +121,10 @@ const listRelationships = async (req, res) => {
     
     // If person_id is provided, get relationships for that person
     if (person_id) {
+      if (!(await personModel.getPersonById(person_id, req.tenant))) {
+        return res.status(404).json({ success: false, error: 'Person not found' });
+      }
+      
       const options = {};
       if (type) options.relationshipType = type;
       if (direction) options.direction = direction;
@@ -142,8 +155,8 @@ const createReferralRelationship = async (req, res) => {
     const referralData = req.body;
     
     // Validate that both persons exist
-    const referrer = await personModel.getPersonById(referralData.referrer_id);
-    const referred = await personModel.getPersonById(referralData.referred_id);
+    const referrer = await personModel.getPersonById(referralData.referrer_id, req.tenant);
+    const referred = await personModel.getPersonById(referralData.referred_id, req.tenant);
     
     if (!referrer || !referred) {
       return res.status(404).json({ 
@@ -160,7 +173,7 @@ const createReferralRelationship = async (req, res) => {
       await personModel.updatePerson(referred.id, { 
         is_referral: true,
         referral_source: referrer.id 
-      });
+      }, {}, req.tenant);
     }
     
     res.status(201).json({ success: true, data: relationship });
@@ -188,7 +201,7 @@ const getReferralRelationships = async (req, res) => {
     if (end_date) filters.endDate = end_date;
     if (channel) filters.channel = channel;
     
-    const result = await relationshipModel.getReferralRelationships(filters, parseInt(page), parseInt(limit));
+    const result = await relationshipModel.getReferralRelationships(filters, parseInt(page), parseInt(limit), req.tenant);
     res.status(200).json({ success: true, ...result });
   } catch (error) {
     console.error('Error getting referral relationships:', error);
@@ -207,7 +220,7 @@ const getNetworkVisualization = async (req, res) => {
     const { levels = 3 } = req.query;
     
     // Check if person exists
-    const person = await personModel.getPersonById(personId);
+    const person = await personModel.getPersonById(personId, req.tenant);
     if (!person) {
       return res.status(404).json({ success: false, error: 'Person not found' });
     }
@@ -233,7 +246,7 @@ const getRelationshipsForPerson = async (req, res) => {
     const { type, direction } = req.query;
     
     // Check if person exists
-    const person = await personModel.getPersonById(personId);
+    const person = await personModel.getPersonById(personId, req.tenant);
     if (!person) {
       return res.status(404).json({ success: false, error: 'Person not found' });
     }
@@ -0,0 +1,285 @@
+/**
+ * Task Controller
+ * Handles follow-up tasks: listing, creating, changing, completing and
+ * removing them
+ */
+const taskModel = require('../models/taskModel');
+const tasks = require('../utils/tasks');
+const { validateTask } = require('../utils/validation');
+
+// Task fields users can set
+const TASK_FIELDS = [
+  'title', 'description', 'due_at', 'priority', 'assigned_to', 'person_id', 'interaction_type',
+  'recurrence', 'recurrence_interval', 'recurrence_ends_at'
+];
+
+/**
+ * Get tasks, soonest due first
+ * ?view=open|overdue|today|upcoming|completed picks the tasks (open by default);
+ * ?assigned_to=me|<user id> and ?person_id narrow them.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getTasks = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 0;
+    const pageSize = parseInt(req.query.pageSize, 10) || 20;
+    const assignedTo = req.query.assigned_to === 'me' ? req.user.id : req.query.assigned_to;
+    
+    const { tasks: taskList, total } = await taskModel.getTasks({
+      ...tasks.getViewFilters(req.query.view || 'open'),
+      assignedTo,
+      personId: req.query.person_id,
+      visibleTo: req.user.role === 'admin' ? null : req.user.id
+    }, { page, pageSize }, req.tenant);
+    
+    res.status(200).json({
+      status: 'success',
+      results: taskList.length,
+      total,
+      data: taskList
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the users tasks can be assigned to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAssignees = async (req, res, next) => {
+  try {
+    const assignees = await taskModel.getAssignees(req.tenant.organizationId);
+    
+    res.status(200).json({
+      status: 'success',
+      results: assignees.length,
+      data: assignees
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a task
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getTask = async (req, res, next) => {
+  try {
+    const task = await this._findTask(req);
+    
+    if (!task) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: task
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a task
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createTask = async (req, res, next) => {
+  try {
+    const taskData = this._pickTaskFields(req.body);
+    const validation = validateTask(taskData);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid task',
+        errors: validation.errors
+      });
+    }
+    
+    const task = await tasks.createTask(taskData, req.user, req.tenant);
+    
+    res.status(201).json({
+      status: 'success',
+      data: task
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a task
+ * status may be set to 'cancelled', or back to 'open' for a cancelled task;
+ * tasks are completed through completeTask.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateTask = async (req, res, next) => {
+  try {
+    const task = await this._findTask(req);
+    
+    if (!task) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found'
+      });
+    }
+    
+    const changes = this._pickTaskFields(req.body);
+    
+    if (req.body.status !== undefined) {
+      if (!['open', 'cancelled'].includes(req.body.status) || task.status === 'completed') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'A task can only be cancelled or reopened; complete it with POST /api/tasks/:id/complete'
+        });
+      }
+      
+      changes.status = req.body.status;
+    }
+    
+    const validation = validateTask({ ...task, ...changes }, true);
+    
+    if (!validation.isValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid task',
+        errors: validation.errors
+      });
+    }
+    
+    const updatedTask = await tasks.updateTask(task, changes, req.tenant);
+    
+    res.status(200).json({
+      status: 'success',
+      data: updatedTask
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete a task
+ * A task about a person logs an interaction with the notes in the body; a
+ * repeating task schedules the next one.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.completeTask = async (req, res, next) => {
+  try {
+    const task = await this._findTask(req);
+    
+    if (!task) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found'
+      });
+    }
+    
+    if (task.status !== 'open') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This task is no longer open'
+      });
+    }
+    
+    const result = await tasks.completeTask(task, {
+      user: req.user,
+      notes: req.body && typeof req.body.notes === 'string' ? req.body.notes.trim() : null
+    }, req.tenant);
+    
+    res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a task
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteTask = async (req, res, next) => {
+  try {
+    const task = await this._findTask(req);
+    
+    if (!task) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found'
+      });
+    }
+    
+    await taskModel.deleteTask(task.id, req.tenant);
+    
+    res.status(204).json({
+      status: 'success',
+      data: null
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find the task a request is about, if the user may see it
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} Task, or null if it isn't found or belongs to someone else
+ */
+exports._findTask = async (req) => {
+  const task = await taskModel.getTaskById(req.params.id, req.tenant);
+  return task && tasks.canManage(task, req.user) ? task : null;
+};
+
+/**
+ * Pick the task fields users can set from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Task fields
+ */
+exports._pickTaskFields = (body = {}) => {
+  const taskData = {};
+  
+  TASK_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      taskData[field] = body[field];
+    }
+  });
+  
+  if (typeof taskData.title === 'string') {
+    taskData.title = taskData.title.trim();
+  }
+  
+  if (taskData.recurrence_interval !== undefined && taskData.recurrence_interval !== '') {
+    taskData.recurrence_interval = Number(taskData.recurrence_interval);
+  }
+  
+  // A blank repeat or person means none
+  ['recurrence', 'recurrence_ends_at', 'person_id'].forEach((field) => {
+    if (taskData[field] === '') {
+      taskData[field] = null;
+    }
+  });
+  
+  return taskData;
+};
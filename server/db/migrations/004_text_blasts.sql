@@ -0,0 +1,64 @@
+-- ORCA Lead Management Software
+-- Text Blast Migration
+--
+-- Stores text blasts and everything the background dispatcher needs to send a
+-- scheduled blast after a restart: the recipients (or the filters that select
+-- them) and the processing state.
+
+CREATE TABLE IF NOT EXISTS text_blasts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  sender_id UUID REFERENCES users(id),
+
+  -- Content
+  content TEXT NOT NULL,
+  template_id UUID,
+  personalization_data JSONB,
+
+  -- Audience
+  recipient_ids UUID[], -- Explicit recipients, resolved again at send time
+  filters JSONB, -- Person filters, used when recipient_ids is empty
+  recipient_count INTEGER DEFAULT 0,
+
+  -- Scheduling and status
+  status TEXT DEFAULT 'processing', -- scheduled, processing, completed, failed
+  scheduled_for TIMESTAMPTZ,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  sent_count INTEGER DEFAULT 0,
+  failed_count INTEGER DEFAULT 0,
+  last_error TEXT,
+
+  -- Meta
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Columns added for the dispatcher, in case text_blasts was created by hand
+ALTER TABLE text_blasts ADD COLUMN IF NOT EXISTS recipient_ids UUID[];
+ALTER TABLE text_blasts ADD COLUMN IF NOT EXISTS filters JSONB;
+ALTER TABLE text_blasts ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ;
+ALTER TABLE text_blasts ADD COLUMN IF NOT EXISTS failed_count INTEGER DEFAULT 0;
+ALTER TABLE text_blasts ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_text_blasts_status_scheduled_for ON text_blasts(status, scheduled_for);
+CREATE INDEX IF NOT EXISTS idx_text_blasts_sender_id ON text_blasts(sender_id);
+
+-- Messages are looked up by blast when a blast is resumed
+CREATE INDEX IF NOT EXISTS idx_messages_blast_id ON messages(blast_id);
+
+ALTER TABLE text_blasts ENABLE ROW LEVEL SECURITY;
+
+-- Admins can manage all text blasts
+CREATE POLICY admin_manage_all_text_blasts ON text_blasts
+  FOR ALL
+  USING (is_admin());
+
+-- Salespeople can see and create their own text blasts
+CREATE POLICY salespeople_manage_own_text_blasts ON text_blasts
+  FOR ALL
+  USING (sender_id = get_current_user_id());
+
+CREATE TRIGGER update_text_blasts_timestamp
+  BEFORE UPDATE ON text_blasts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
@@ -0,0 +1,13 @@
+-- ORCA Lead Management Software
+-- Inbound Message Migration
+--
+-- Messages always keep the salesperson in sender_id and the person in
+-- recipient_id so the foreign keys hold for both directions of a conversation.
+-- The direction column records which way an SMS actually went.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS direction TEXT DEFAULT 'outbound'; -- outbound, inbound
+
+-- Delivery receipts and inbound replies are matched on provider data in metadata
+CREATE INDEX IF NOT EXISTS idx_messages_telnyx_message_id ON messages ((metadata->>'telnyx_message_id'));
+CREATE INDEX IF NOT EXISTS idx_messages_metadata_to ON messages ((metadata->>'to'));
+CREATE INDEX IF NOT EXISTS idx_messages_direction ON messages(direction);
@@ -0,0 +1,7 @@
+-- ORCA Lead Management Software
+-- SMS Opt-Out Migration
+--
+-- Recipients who replied STOP keep sms_opt_in = false and are skipped by every
+-- SMS send. Blasts record how many of their recipients were suppressed.
+
+ALTER TABLE text_blasts ADD COLUMN IF NOT EXISTS suppressed_count INTEGER DEFAULT 0;
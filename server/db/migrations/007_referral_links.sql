@@ -0,0 +1,68 @@
+-- ORCA Lead Management Software
+-- Referral Link Migration
+--
+-- Stores the referral links generated for members, whichever provider created
+-- them (Firebase Dynamic Links or the built-in short-link provider), along with
+-- the UTM data of the link and how often it has been opened.
+
+CREATE TABLE IF NOT EXISTS referral_links (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  referrer_id UUID NOT NULL REFERENCES persons(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES users(id),
+
+  -- Link
+  provider TEXT NOT NULL DEFAULT 'self_hosted', -- firebase, self_hosted
+  short_code TEXT NOT NULL UNIQUE, -- Identifies the link in /r/:code and click tracking
+  url TEXT NOT NULL, -- The link that is shared
+  destination_url TEXT NOT NULL, -- Where the link sends people, with UTM parameters
+  preview_url TEXT,
+  is_active BOOLEAN DEFAULT true,
+
+  -- UTM data, as parsed from the destination URL
+  campaign TEXT DEFAULT 'default',
+  source TEXT,
+  medium TEXT,
+  utm_params JSONB DEFAULT '{}'::jsonb,
+
+  -- Click tracking
+  click_count INTEGER DEFAULT 0,
+  first_clicked_at TIMESTAMPTZ,
+  last_clicked_at TIMESTAMPTZ,
+
+  -- Meta
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_referral_links_referrer_id ON referral_links(referrer_id);
+CREATE INDEX IF NOT EXISTS idx_referral_links_created_by ON referral_links(created_by);
+
+-- Counts a click in one statement so concurrent clicks are never lost
+CREATE OR REPLACE FUNCTION record_referral_link_click(link_code TEXT, click_time TIMESTAMPTZ)
+RETURNS SETOF referral_links
+LANGUAGE sql
+AS $$
+  UPDATE referral_links
+  SET click_count = click_count + 1,
+      first_clicked_at = COALESCE(first_clicked_at, click_time),
+      last_clicked_at = click_time
+  WHERE short_code = link_code AND is_active = true
+  RETURNING *
+$$;
+
+ALTER TABLE referral_links ENABLE ROW LEVEL SECURITY;
+
+-- Admins can manage all referral links
+CREATE POLICY admin_manage_all_referral_links ON referral_links
+  FOR ALL
+  USING (is_admin());
+
+-- Salespeople can manage the links they created
+CREATE POLICY salespeople_manage_own_referral_links ON referral_links
+  FOR ALL
+  USING (created_by = get_current_user_id());
+
+CREATE TRIGGER update_referral_links_timestamp
+  BEFORE UPDATE ON referral_links
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
@@ -0,0 +1,50 @@
+-- ORCA Lead Management Software
+-- OAuth Connection Migration
+--
+-- Stores the third-party accounts (currently Google) each user has connected,
+-- with their OAuth tokens. Tokens are encrypted by the API before they are
+-- written (utils/tokenEncryption.js), so this table never holds them in plain text.
+
+CREATE TABLE IF NOT EXISTS oauth_connections (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  provider TEXT NOT NULL DEFAULT 'google',
+
+  -- Connected account
+  account_email TEXT,
+  scopes TEXT[] DEFAULT '{}',
+
+  -- Encrypted tokens
+  access_token_encrypted TEXT,
+  refresh_token_encrypted TEXT NOT NULL,
+  token_expires_at TIMESTAMPTZ,
+
+  -- Connection health
+  status TEXT NOT NULL DEFAULT 'connected', -- connected, needs_reauth
+  last_refreshed_at TIMESTAMPTZ,
+  last_error TEXT,
+  connected_at TIMESTAMPTZ DEFAULT NOW(),
+
+  -- Meta
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT oauth_connections_user_provider_key UNIQUE (user_id, provider)
+);
+
+ALTER TABLE oauth_connections ENABLE ROW LEVEL SECURITY;
+
+-- Tokens are only read by the API with the service role; users can see and
+-- remove their own connections
+CREATE POLICY users_view_own_oauth_connections ON oauth_connections
+  FOR SELECT
+  USING (user_id = get_current_user_id());
+
+CREATE POLICY users_delete_own_oauth_connections ON oauth_connections
+  FOR DELETE
+  USING (user_id = get_current_user_id());
+
+CREATE TRIGGER update_oauth_connections_timestamp
+  BEFORE UPDATE ON oauth_connections
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
@@ -0,0 +1,44 @@
+-- ORCA Lead Management Software
+-- Calendar Sync Migration
+--
+-- Keeps referral appointments in step with the Google Calendar events behind
+-- them. Each appointment records whose calendar holds its event, and each
+-- synced calendar keeps its incremental sync token and push notification
+-- channel, so changes made in Google can be applied back to the referral.
+
+ALTER TABLE referral_extensions ADD COLUMN IF NOT EXISTS appointment_calendar_user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_referral_extensions_google_calendar_event_id ON referral_extensions(google_calendar_event_id);
+
+CREATE TABLE IF NOT EXISTS calendar_syncs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  calendar_id TEXT NOT NULL DEFAULT 'primary',
+
+  -- Incremental sync
+  sync_token TEXT, -- nextSyncToken from the last events.list
+  last_synced_at TIMESTAMPTZ,
+  last_error TEXT,
+
+  -- Push notification channel (events.watch)
+  channel_id TEXT UNIQUE,
+  channel_token TEXT, -- Secret Google echoes back in X-Goog-Channel-Token
+  channel_resource_id TEXT,
+  channel_expires_at TIMESTAMPTZ,
+
+  -- Meta
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE calendar_syncs ENABLE ROW LEVEL SECURITY;
+
+-- Sync state is only written by the API with the service role; users can see their own
+CREATE POLICY users_view_own_calendar_syncs ON calendar_syncs
+  FOR SELECT
+  USING (user_id = get_current_user_id());
+
+CREATE TRIGGER update_calendar_syncs_timestamp
+  BEFORE UPDATE ON calendar_syncs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
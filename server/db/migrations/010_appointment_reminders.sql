@@ -0,0 +1,53 @@
+-- ORCA Lead Management Software
+-- Appointment Reminder Migration
+--
+-- Records each reminder sent ahead of a referral appointment (e.g. 24 hours and
+-- 2 hours before), so a reminder is never sent twice and a text reply of C or R
+-- can be matched to the appointment it was about. Reminders are keyed by the
+-- appointment time, so a rescheduled appointment gets a fresh set.
+
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  person_id UUID NOT NULL REFERENCES persons(id) ON DELETE CASCADE,
+  appointment_date TIMESTAMPTZ NOT NULL, -- The appointment time the reminder was for
+  offset_minutes INTEGER NOT NULL, -- How long before the appointment it was due
+
+  -- Delivery
+  status TEXT NOT NULL DEFAULT 'sending', -- sending, sent, failed, skipped
+  channel TEXT, -- sms, email
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  interaction_id UUID REFERENCES interactions(id) ON DELETE SET NULL,
+  sent_at TIMESTAMPTZ,
+  error TEXT,
+
+  -- Reply to an SMS reminder
+  reply TEXT, -- confirm, reschedule
+  replied_at TIMESTAMPTZ,
+
+  -- Meta
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT appointment_reminders_person_appointment_offset_key UNIQUE (person_id, appointment_date, offset_minutes)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminders_person_id ON appointment_reminders(person_id);
+
+ALTER TABLE appointment_reminders ENABLE ROW LEVEL SECURITY;
+
+-- Admins can manage all appointment reminders
+CREATE POLICY admin_manage_all_appointment_reminders ON appointment_reminders
+  FOR ALL
+  USING (is_admin());
+
+-- Salespeople can see the reminders sent to their assigned persons
+CREATE POLICY salespeople_see_appointment_reminders ON appointment_reminders
+  FOR SELECT
+  USING (
+    EXISTS (SELECT 1 FROM persons WHERE persons.id = appointment_reminders.person_id AND persons.assigned_to = get_current_user_id())
+  );
+
+CREATE TRIGGER update_appointment_reminders_timestamp
+  BEFORE UPDATE ON appointment_reminders
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
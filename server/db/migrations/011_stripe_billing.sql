@@ -0,0 +1,65 @@
+-- ORCA Lead Management Software
+-- Stripe Billing Migration
+--
+-- Lets a conversion to member start a Stripe checkout or payment link for the
+-- chosen membership, and keeps the member's payment status and spend in step
+-- with Stripe's invoice and subscription webhooks. Each processed webhook event
+-- is recorded once, so a redelivered event is never counted twice.
+
+ALTER TABLE member_extensions ADD COLUMN IF NOT EXISTS stripe_customer_id TEXT;
+ALTER TABLE member_extensions ADD COLUMN IF NOT EXISTS stripe_subscription_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_member_extensions_stripe_customer_id ON member_extensions(stripe_customer_id);
+
+CREATE TABLE IF NOT EXISTS member_checkouts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  person_id UUID NOT NULL REFERENCES persons(id) ON DELETE CASCADE,
+  membership_type TEXT,
+  price_id TEXT NOT NULL, -- Stripe price charged
+  method TEXT NOT NULL, -- checkout, payment_link
+  stripe_id TEXT NOT NULL UNIQUE, -- Checkout session or payment link ID
+  url TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open', -- open, completed
+  completed_at TIMESTAMPTZ,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+  -- Meta
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_checkouts_person_id ON member_checkouts(person_id);
+
+CREATE TABLE IF NOT EXISTS billing_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  stripe_event_id TEXT NOT NULL UNIQUE,
+  event_type TEXT NOT NULL,
+  person_id UUID REFERENCES persons(id) ON DELETE SET NULL,
+  amount NUMERIC, -- Amount paid, for invoice events
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE member_checkouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE billing_events ENABLE ROW LEVEL SECURITY;
+
+-- Admins can manage all checkouts
+CREATE POLICY admin_manage_all_member_checkouts ON member_checkouts
+  FOR ALL
+  USING (is_admin());
+
+-- Salespeople can see the checkouts for their assigned persons
+CREATE POLICY salespeople_see_member_checkouts ON member_checkouts
+  FOR SELECT
+  USING (
+    EXISTS (SELECT 1 FROM persons WHERE persons.id = member_checkouts.person_id AND persons.assigned_to = get_current_user_id())
+  );
+
+-- Billing events are only written by the API with the service role; admins can read them
+CREATE POLICY admin_view_billing_events ON billing_events
+  FOR SELECT
+  USING (is_admin());
+
+CREATE TRIGGER update_member_checkouts_timestamp
+  BEFORE UPDATE ON member_checkouts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
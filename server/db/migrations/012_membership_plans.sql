@@ -0,0 +1,57 @@
+-- ORCA Lead Management Software
+-- Membership Plans Migration
+--
+-- Replaces free-text membership names with an admin-managed plan catalog. Each
+-- plan is synced to a Stripe product with a recurring price (and a one-time
+-- price for its enrollment fee). Leads' preferred membership, members' plans and
+-- checkouts reference the catalog, so revenue can be forecast from plan prices.
+
+CREATE TABLE IF NOT EXISTS membership_plans (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  description TEXT,
+  monthly_price NUMERIC NOT NULL CHECK (monthly_price >= 0),
+  billing_interval TEXT NOT NULL DEFAULT 'month', -- month, quarter, year
+  trial_days INTEGER NOT NULL DEFAULT 0 CHECK (trial_days >= 0),
+  enrollment_fee NUMERIC NOT NULL DEFAULT 0 CHECK (enrollment_fee >= 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Stripe
+  stripe_product_id TEXT,
+  stripe_price_id TEXT, -- Recurring price charged each billing interval
+  stripe_enrollment_price_id TEXT, -- One-time price for the enrollment fee
+
+  -- Meta
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT membership_plans_billing_interval_check CHECK (billing_interval IN ('month', 'quarter', 'year'))
+);
+
+-- Plan names are unique regardless of case, so "Premium" and "premium" can't both exist
+CREATE UNIQUE INDEX IF NOT EXISTS idx_membership_plans_name ON membership_plans(LOWER(name));
+
+ALTER TABLE persons ADD COLUMN IF NOT EXISTS preferred_membership_plan_id UUID REFERENCES membership_plans(id) ON DELETE SET NULL;
+ALTER TABLE member_extensions ADD COLUMN IF NOT EXISTS membership_plan_id UUID REFERENCES membership_plans(id) ON DELETE SET NULL;
+ALTER TABLE member_checkouts ADD COLUMN IF NOT EXISTS membership_plan_id UUID REFERENCES membership_plans(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_persons_preferred_membership_plan_id ON persons(preferred_membership_plan_id);
+CREATE INDEX IF NOT EXISTS idx_member_extensions_membership_plan_id ON member_extensions(membership_plan_id);
+
+ALTER TABLE membership_plans ENABLE ROW LEVEL SECURITY;
+
+-- Admins manage the catalog
+CREATE POLICY admin_manage_membership_plans ON membership_plans
+  FOR ALL
+  USING (is_admin());
+
+-- Everyone signed in can see the catalog
+CREATE POLICY users_view_membership_plans ON membership_plans
+  FOR SELECT
+  USING (get_current_user_id() IS NOT NULL);
+
+CREATE TRIGGER update_membership_plans_timestamp
+  BEFORE UPDATE ON membership_plans
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
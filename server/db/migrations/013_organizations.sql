@@ -0,0 +1,60 @@
+-- ORCA Lead Management Software
+-- Organizations Migration
+--
+-- ORCA accounts belong to an organization, which subscribes to an ORCA plan
+-- tier through Stripe. The tier sets the organization's limits: seats, SMS sent
+-- per month, text blast size and referral links (see server/utils/subscriptionTiers.js).
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  name TEXT NOT NULL,
+  plan_tier TEXT NOT NULL DEFAULT 'starter', -- starter, growth, scale
+
+  -- Stripe subscription to the tier
+  stripe_customer_id TEXT,
+  stripe_subscription_id TEXT,
+  subscription_status TEXT, -- Stripe subscription status, e.g. active, past_due, canceled
+  current_period_end TIMESTAMPTZ,
+
+  -- Meta
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT organizations_plan_tier_check CHECK (plan_tier IN ('starter', 'growth', 'scale'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_organizations_stripe_customer_id ON organizations(stripe_customer_id);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_users_organization_id ON users(organization_id);
+
+-- Stripe events for an organization's subscription are recorded against it
+ALTER TABLE billing_events ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL;
+
+-- Existing users share one organization on the starter tier
+DO $$
+DECLARE
+  default_organization_id UUID;
+BEGIN
+  IF EXISTS (SELECT 1 FROM users WHERE organization_id IS NULL) THEN
+    INSERT INTO organizations (name) VALUES ('ORCA') RETURNING id INTO default_organization_id;
+    UPDATE users SET organization_id = default_organization_id WHERE organization_id IS NULL;
+  END IF;
+END $$;
+
+ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
+
+-- Users see their own organization
+CREATE POLICY users_view_own_organization ON organizations
+  FOR SELECT
+  USING (id = (SELECT organization_id FROM users WHERE id = get_current_user_id()));
+
+-- Admins manage their own organization
+CREATE POLICY admin_manage_own_organization ON organizations
+  FOR UPDATE
+  USING (is_admin() AND id = (SELECT organization_id FROM users WHERE id = get_current_user_id()));
+
+CREATE TRIGGER update_organizations_timestamp
+  BEFORE UPDATE ON organizations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
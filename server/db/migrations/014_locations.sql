@@ -0,0 +1,216 @@
+-- ORCA Lead Management Software
+-- Locations and Tenant Isolation Migration
+--
+-- An organization runs one or more gym locations. Persons, messages,
+-- interactions, text blasts and referral links are stamped with the
+-- organization and location they belong to, and row level security keeps each
+-- organization's records from the others. A user assigned to a location only
+-- sees that location's records; a user without one sees the whole organization.
+
+CREATE TABLE IF NOT EXISTS locations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  address JSONB,
+  phone TEXT,
+  timezone TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+
+  -- Meta
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Location names are unique within an organization, regardless of case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_locations_organization_name ON locations(organization_id, lower(name));
+
+-- The location a user works at; NULL gives access to all of the organization's locations
+ALTER TABLE users ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES locations(id) ON DELETE SET NULL;
+
+ALTER TABLE persons
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES locations(id) ON DELETE SET NULL;
+ALTER TABLE messages
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES locations(id) ON DELETE SET NULL;
+ALTER TABLE interactions
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES locations(id) ON DELETE SET NULL;
+ALTER TABLE text_blasts
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES locations(id) ON DELETE SET NULL;
+ALTER TABLE referral_links
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES locations(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_persons_tenant ON persons(organization_id, location_id);
+CREATE INDEX IF NOT EXISTS idx_messages_tenant ON messages(organization_id, location_id);
+CREATE INDEX IF NOT EXISTS idx_interactions_tenant ON interactions(organization_id, location_id);
+CREATE INDEX IF NOT EXISTS idx_text_blasts_tenant ON text_blasts(organization_id, location_id);
+CREATE INDEX IF NOT EXISTS idx_referral_links_tenant ON referral_links(organization_id, location_id);
+
+-- Stamp existing records. Each organization gets a 'Main' location; persons
+-- belong to their assigned user's organization (or the oldest one), and
+-- everything else follows its person or sender.
+DO $$
+DECLARE
+  default_organization_id UUID;
+BEGIN
+  SELECT id INTO default_organization_id FROM organizations ORDER BY created_at LIMIT 1;
+
+  IF default_organization_id IS NULL AND EXISTS (SELECT 1 FROM persons) THEN
+    INSERT INTO organizations (name) VALUES ('ORCA') RETURNING id INTO default_organization_id;
+  END IF;
+
+  INSERT INTO locations (organization_id, name)
+  SELECT o.id, 'Main'
+  FROM organizations o
+  WHERE NOT EXISTS (SELECT 1 FROM locations l WHERE l.organization_id = o.id);
+
+  UPDATE persons p
+  SET organization_id = COALESCE(
+    (SELECT u.organization_id FROM users u WHERE u.id = p.assigned_to),
+    default_organization_id
+  )
+  WHERE p.organization_id IS NULL;
+
+  UPDATE persons p
+  SET location_id = (SELECT l.id FROM locations l WHERE l.organization_id = p.organization_id ORDER BY l.created_at LIMIT 1)
+  WHERE p.location_id IS NULL;
+
+  UPDATE messages m
+  SET organization_id = p.organization_id, location_id = p.location_id
+  FROM persons p
+  WHERE p.id = m.recipient_id AND m.organization_id IS NULL;
+
+  UPDATE interactions i
+  SET organization_id = p.organization_id, location_id = p.location_id
+  FROM persons p
+  WHERE p.id = i.person_id AND i.organization_id IS NULL;
+
+  UPDATE referral_links r
+  SET organization_id = p.organization_id, location_id = p.location_id
+  FROM persons p
+  WHERE p.id = r.referrer_id AND r.organization_id IS NULL;
+
+  UPDATE text_blasts t
+  SET organization_id = COALESCE(
+    (SELECT u.organization_id FROM users u WHERE u.id = t.sender_id),
+    default_organization_id
+  )
+  WHERE t.organization_id IS NULL;
+END $$;
+
+ALTER TABLE persons ALTER COLUMN organization_id SET NOT NULL;
+ALTER TABLE messages ALTER COLUMN organization_id SET NOT NULL;
+ALTER TABLE interactions ALTER COLUMN organization_id SET NOT NULL;
+ALTER TABLE text_blasts ALTER COLUMN organization_id SET NOT NULL;
+ALTER TABLE referral_links ALTER COLUMN organization_id SET NOT NULL;
+
+-- The current user's organization
+CREATE OR REPLACE FUNCTION current_organization_id()
+RETURNS UUID AS $$
+  SELECT organization_id FROM users WHERE id = get_current_user_id();
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- The current user's location; NULL when they work across the organization
+CREATE OR REPLACE FUNCTION current_location_id()
+RETURNS UUID AS $$
+  SELECT location_id FROM users WHERE id = get_current_user_id();
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Whether the current user may see a record stamped with an organization and location
+CREATE OR REPLACE FUNCTION can_access_tenant(record_organization_id UUID, record_location_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT record_organization_id = current_organization_id()
+    AND (current_location_id() IS NULL OR record_location_id = current_location_id());
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Whether the current user may see a person, and so the records hanging off it
+CREATE OR REPLACE FUNCTION can_access_person(target_person_id UUID)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM persons
+    WHERE persons.id = target_person_id
+      AND can_access_tenant(persons.organization_id, persons.location_id)
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- The policies from earlier migrations decide what a role may do. These
+-- restrictive policies are ANDed with them, so no role, admins included, can
+-- reach another organization's or location's records.
+CREATE POLICY tenant_isolation_persons ON persons
+  AS RESTRICTIVE FOR ALL
+  USING (can_access_tenant(organization_id, location_id))
+  WITH CHECK (can_access_tenant(organization_id, location_id));
+
+CREATE POLICY tenant_isolation_messages ON messages
+  AS RESTRICTIVE FOR ALL
+  USING (can_access_tenant(organization_id, location_id))
+  WITH CHECK (can_access_tenant(organization_id, location_id));
+
+CREATE POLICY tenant_isolation_interactions ON interactions
+  AS RESTRICTIVE FOR ALL
+  USING (can_access_tenant(organization_id, location_id))
+  WITH CHECK (can_access_tenant(organization_id, location_id));
+
+CREATE POLICY tenant_isolation_text_blasts ON text_blasts
+  AS RESTRICTIVE FOR ALL
+  USING (can_access_tenant(organization_id, location_id))
+  WITH CHECK (can_access_tenant(organization_id, location_id));
+
+CREATE POLICY tenant_isolation_referral_links ON referral_links
+  AS RESTRICTIVE FOR ALL
+  USING (can_access_tenant(organization_id, location_id))
+  WITH CHECK (can_access_tenant(organization_id, location_id));
+
+CREATE POLICY tenant_isolation_lead_extensions ON lead_extensions
+  AS RESTRICTIVE FOR ALL
+  USING (can_access_person(person_id));
+
+CREATE POLICY tenant_isolation_referral_extensions ON referral_extensions
+  AS RESTRICTIVE FOR ALL
+  USING (can_access_person(person_id));
+
+CREATE POLICY tenant_isolation_member_extensions ON member_extensions
+  AS RESTRICTIVE FOR ALL
+  USING (can_access_person(person_id));
+
+CREATE POLICY tenant_isolation_relationships ON relationships
+  AS RESTRICTIVE FOR ALL
+  USING (can_access_person(person_a_id) AND can_access_person(person_b_id));
+
+CREATE POLICY tenant_isolation_appointment_reminders ON appointment_reminders
+  AS RESTRICTIVE FOR ALL
+  USING (can_access_person(person_id));
+
+CREATE POLICY tenant_isolation_member_checkouts ON member_checkouts
+  AS RESTRICTIVE FOR ALL
+  USING (can_access_person(person_id));
+
+CREATE POLICY tenant_isolation_billing_events ON billing_events
+  AS RESTRICTIVE FOR SELECT
+  USING (organization_id = current_organization_id() OR can_access_person(person_id));
+
+-- Admins only see and manage the users in their own organization
+CREATE POLICY tenant_isolation_users ON users
+  AS RESTRICTIVE FOR ALL
+  USING (organization_id = current_organization_id());
+
+ALTER TABLE locations ENABLE ROW LEVEL SECURITY;
+
+-- Users see their organization's locations
+CREATE POLICY users_view_own_locations ON locations
+  FOR SELECT
+  USING (organization_id = current_organization_id());
+
+-- Admins manage their organization's locations
+CREATE POLICY admin_manage_own_locations ON locations
+  FOR ALL
+  USING (is_admin() AND organization_id = current_organization_id())
+  WITH CHECK (is_admin() AND organization_id = current_organization_id());
+
+CREATE TRIGGER update_locations_timestamp
+  BEFORE UPDATE ON locations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
@@ -0,0 +1,142 @@
+-- ORCA Lead Management Software
+-- Referral Incentives Migration
+--
+-- Admins define the incentives members earn for referring people: a reward
+-- when a referral converts, or when a referrer reaches a number of converted
+-- referrals. Rules can be tiered by how many referrals the referrer has
+-- converted, and limited to a date range. Converting a referral evaluates the
+-- rules and awards each referrer their share of the reward, split by
+-- relationships.attribution_percentage. Awards wait in an approval queue and are
+-- recorded in a payout ledger when paid.
+
+CREATE TABLE IF NOT EXISTS incentive_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+
+  -- When the rule pays: each conversion, or on reaching referral_threshold conversions
+  trigger TEXT NOT NULL DEFAULT 'conversion',
+  referral_threshold INTEGER CHECK (referral_threshold >= 1),
+  repeats BOOLEAN NOT NULL DEFAULT false, -- Milestones pay again every referral_threshold conversions
+
+  -- The reward and what it is worth
+  reward_type TEXT NOT NULL DEFAULT 'credit',
+  reward_amount NUMERIC NOT NULL DEFAULT 0 CHECK (reward_amount >= 0),
+  tiers JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{min_referrals, reward_amount}], highest tier reached wins
+
+  -- Time box; conversions outside it don't earn the reward
+  starts_at TIMESTAMPTZ,
+  ends_at TIMESTAMPTZ,
+
+  requires_approval BOOLEAN NOT NULL DEFAULT true,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+
+  -- Meta
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT incentive_rules_trigger_check CHECK (trigger IN ('conversion', 'milestone')),
+  CONSTRAINT incentive_rules_reward_type_check CHECK (reward_type IN ('credit', 'free_month', 'cash', 'gift')),
+  CONSTRAINT incentive_rules_milestone_threshold_check CHECK (trigger <> 'milestone' OR referral_threshold IS NOT NULL),
+  CONSTRAINT incentive_rules_dates_check CHECK (starts_at IS NULL OR ends_at IS NULL OR starts_at < ends_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_incentive_rules_organization_id ON incentive_rules(organization_id);
+
+-- An incentive earned by a referrer. The approval queue is the pending awards.
+CREATE TABLE IF NOT EXISTS incentive_awards (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  rule_id UUID NOT NULL REFERENCES incentive_rules(id) ON DELETE CASCADE,
+  person_id UUID NOT NULL REFERENCES persons(id) ON DELETE CASCADE, -- The referrer earning the reward
+  referral_id UUID NOT NULL REFERENCES persons(id) ON DELETE CASCADE, -- The referral whose conversion earned it
+  relationship_id UUID REFERENCES relationships(id) ON DELETE SET NULL,
+
+  -- How the reward was worked out
+  attribution_percentage INTEGER NOT NULL DEFAULT 100,
+  referral_count NUMERIC NOT NULL DEFAULT 0, -- Referrer's converted referrals, weighted by attribution, including this one
+  reward_type TEXT NOT NULL,
+  amount NUMERIC NOT NULL DEFAULT 0 CHECK (amount >= 0),
+
+  -- Approval
+  status TEXT NOT NULL DEFAULT 'pending',
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  review_notes TEXT,
+  paid_at TIMESTAMPTZ,
+
+  -- Meta
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT incentive_awards_status_check CHECK (status IN ('pending', 'approved', 'rejected', 'paid')),
+  -- Converting a referral again never awards the same rule twice
+  CONSTRAINT incentive_awards_rule_person_referral_key UNIQUE (rule_id, person_id, referral_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_incentive_awards_organization_status ON incentive_awards(organization_id, status);
+CREATE INDEX IF NOT EXISTS idx_incentive_awards_person_id ON incentive_awards(person_id);
+CREATE INDEX IF NOT EXISTS idx_incentive_awards_referral_id ON incentive_awards(referral_id);
+
+-- The payout ledger: one entry per paid award, never changed once written
+CREATE TABLE IF NOT EXISTS incentive_payouts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  award_id UUID NOT NULL UNIQUE REFERENCES incentive_awards(id) ON DELETE RESTRICT,
+  person_id UUID NOT NULL REFERENCES persons(id) ON DELETE CASCADE,
+  amount NUMERIC NOT NULL CHECK (amount >= 0),
+  reward_type TEXT NOT NULL,
+  method TEXT NOT NULL DEFAULT 'account_credit', -- account_credit, cash, check, gift_card, other
+  reference TEXT, -- Receipt, check number or credit note
+  notes TEXT,
+  paid_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_incentive_payouts_organization_created_at ON incentive_payouts(organization_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_incentive_payouts_person_id ON incentive_payouts(person_id);
+
+ALTER TABLE incentive_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE incentive_awards ENABLE ROW LEVEL SECURITY;
+ALTER TABLE incentive_payouts ENABLE ROW LEVEL SECURITY;
+
+-- Users see their organization's rules; admins manage them
+CREATE POLICY users_view_own_incentive_rules ON incentive_rules
+  FOR SELECT
+  USING (organization_id = current_organization_id());
+
+CREATE POLICY admin_manage_own_incentive_rules ON incentive_rules
+  FOR ALL
+  USING (is_admin() AND organization_id = current_organization_id())
+  WITH CHECK (is_admin() AND organization_id = current_organization_id());
+
+-- Users see the awards of the referrers they can see; admins review them
+CREATE POLICY users_view_own_incentive_awards ON incentive_awards
+  FOR SELECT
+  USING (organization_id = current_organization_id() AND can_access_person(person_id));
+
+CREATE POLICY admin_manage_own_incentive_awards ON incentive_awards
+  FOR ALL
+  USING (is_admin() AND organization_id = current_organization_id())
+  WITH CHECK (is_admin() AND organization_id = current_organization_id());
+
+-- Admins see and add to the ledger; entries can't be changed or removed
+CREATE POLICY admin_view_own_incentive_payouts ON incentive_payouts
+  FOR SELECT
+  USING (is_admin() AND organization_id = current_organization_id());
+
+CREATE POLICY admin_insert_own_incentive_payouts ON incentive_payouts
+  FOR INSERT
+  WITH CHECK (is_admin() AND organization_id = current_organization_id());
+
+CREATE TRIGGER update_incentive_rules_timestamp
+  BEFORE UPDATE ON incentive_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
+
+CREATE TRIGGER update_incentive_awards_timestamp
+  BEFORE UPDATE ON incentive_awards
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
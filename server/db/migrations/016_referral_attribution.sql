@@ -0,0 +1,30 @@
+-- ORCA Lead Management Software
+-- Referral Attribution Migration
+--
+-- When several members referred the same person, an attribution model decides
+-- how the credit for their conversion is split: first touch, last touch, an
+-- equal split, or percentages an admin sets by hand. Each organization picks a
+-- default model, and a referral can be given its own. The split is stored in
+-- relationships.attribution_percentage when the referral converts.
+
+ALTER TABLE organizations
+  ADD COLUMN IF NOT EXISTS attribution_model TEXT NOT NULL DEFAULT 'first_touch';
+
+ALTER TABLE organizations
+  ADD CONSTRAINT organizations_attribution_model_check
+  CHECK (attribution_model IN ('first_touch', 'last_touch', 'equal_split', 'manual'));
+
+-- The model chosen for one referral (NULL uses the organization's default), and
+-- the model and time its credit was last split with
+ALTER TABLE referral_extensions
+  ADD COLUMN IF NOT EXISTS attribution_model TEXT,
+  ADD COLUMN IF NOT EXISTS attributed_with TEXT,
+  ADD COLUMN IF NOT EXISTS attributed_at TIMESTAMPTZ;
+
+ALTER TABLE referral_extensions
+  ADD CONSTRAINT referral_extensions_attribution_model_check
+  CHECK (attribution_model IS NULL OR attribution_model IN ('first_touch', 'last_touch', 'equal_split', 'manual'));
+
+-- A referral shared between referrers credits each with their fraction of it
+ALTER TABLE member_extensions
+  ALTER COLUMN successful_referrals TYPE NUMERIC USING successful_referrals::numeric;
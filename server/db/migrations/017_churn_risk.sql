@@ -0,0 +1,43 @@
+-- ORCA Lead Management Software
+-- Churn Risk Migration
+--
+-- A scheduled job scores each member's risk of leaving from their attendance,
+-- payments, satisfaction and the sentiment of recent interactions. Every
+-- check-in is now recorded so the job can tell when a member's visits are
+-- tailing off. The score, its risk level and the factors behind it are written
+-- to member_extensions; a member crossing into high risk gets a retention
+-- action for their salesperson.
+
+CREATE TABLE IF NOT EXISTS member_check_ins (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  person_id UUID NOT NULL REFERENCES persons(id) ON DELETE CASCADE,
+  checked_in_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_check_ins_person_checked_in ON member_check_ins(person_id, checked_in_at);
+
+-- Score from 0 (no risk) to 100, the factors that made it up, and when it was worked out
+ALTER TABLE member_extensions
+  ADD COLUMN IF NOT EXISTS churn_score INTEGER,
+  ADD COLUMN IF NOT EXISTS churn_risk_factors JSONB NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS churn_scored_at TIMESTAMPTZ;
+
+ALTER TABLE member_extensions
+  ADD CONSTRAINT member_extensions_churn_score_check
+  CHECK (churn_score IS NULL OR (churn_score >= 0 AND churn_score <= 100));
+
+CREATE INDEX IF NOT EXISTS idx_interactions_person_sentiment ON interactions(person_id, created_at)
+  WHERE sentiment IS NOT NULL;
+
+ALTER TABLE member_check_ins ENABLE ROW LEVEL SECURITY;
+
+-- Users see and record check-ins for the members they can see
+CREATE POLICY users_view_own_member_check_ins ON member_check_ins
+  FOR SELECT
+  USING (organization_id = current_organization_id() AND can_access_person(person_id));
+
+CREATE POLICY users_insert_own_member_check_ins ON member_check_ins
+  FOR INSERT
+  WITH CHECK (organization_id = current_organization_id() AND can_access_person(person_id));
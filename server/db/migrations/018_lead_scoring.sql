@@ -0,0 +1,43 @@
+-- ORCA Lead Management Software
+-- Lead Scoring Migration
+--
+-- readiness_score, conversion_probability and lead_temperature are now worked
+-- out by the lead scoring engine instead of being typed in. The engine weighs
+-- interactions, how recently the lead was contacted, how often they answer
+-- messages, visit and trial progress, resolved objections, budget fit and
+-- source. Each organization can change the weights. Every score is kept in
+-- lead_score_history with the factors behind it, and the biggest factors are
+-- kept on the lead.
+
+-- Weights that replace the engine's defaults, e.g. {"response_rate": 30}
+ALTER TABLE organizations
+  ADD COLUMN IF NOT EXISTS lead_scoring_weights JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- The factors that contributed most to the current score, and when it was worked out
+ALTER TABLE lead_extensions
+  ADD COLUMN IF NOT EXISTS score_factors JSONB NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS scored_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_lead_extensions_readiness_score ON lead_extensions(readiness_score);
+
+CREATE TABLE IF NOT EXISTS lead_score_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  person_id UUID NOT NULL REFERENCES persons(id) ON DELETE CASCADE,
+  readiness_score INTEGER NOT NULL CHECK (readiness_score >= 1 AND readiness_score <= 10),
+  conversion_probability INTEGER NOT NULL CHECK (conversion_probability >= 0 AND conversion_probability <= 100),
+  lead_temperature TEXT NOT NULL CHECK (lead_temperature IN ('cold', 'warm', 'hot')),
+  factors JSONB NOT NULL DEFAULT '[]'::jsonb,
+  -- What caused the score: 'nightly', 'lead_created', 'lead_updated', 'status_changed', 'interaction', 'message' or 'manual'
+  trigger TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_lead_score_history_person_created ON lead_score_history(person_id, created_at);
+
+ALTER TABLE lead_score_history ENABLE ROW LEVEL SECURITY;
+
+-- Users see the score history of the leads they can see; only the server records it
+CREATE POLICY users_view_own_lead_score_history ON lead_score_history
+  FOR SELECT
+  USING (organization_id = current_organization_id() AND can_access_person(person_id));
@@ -0,0 +1,53 @@
+-- ORCA Lead Management Software
+-- Imports Migration
+--
+-- Admins bring leads and members over from their old CRM or check-in software
+-- by uploading a CSV or XLSX file. The parsed rows are kept on the import job
+-- while the admin maps the file's columns and checks a dry run, and are then
+-- written in chunks by a background job. Progress and every row's errors are
+-- kept on the job so it can resume after a restart and so the admin can
+-- download an error report.
+
+CREATE TABLE IF NOT EXISTS import_jobs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  -- Location the imported persons are created in; NULL for none
+  location_id UUID REFERENCES locations(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  import_type TEXT NOT NULL CHECK (import_type IN ('lead', 'member')),
+  file_name TEXT NOT NULL,
+  -- The file's header row and data rows, as text
+  headers JSONB NOT NULL DEFAULT '[]'::jsonb,
+  rows JSONB NOT NULL DEFAULT '[]'::jsonb,
+  total_rows INTEGER NOT NULL DEFAULT 0,
+  -- File column -> field, e.g. {"E-mail": "email"}
+  column_mapping JSONB NOT NULL DEFAULT '{}'::jsonb,
+  -- What to do with a row matching an existing person by email or phone
+  duplicate_strategy TEXT NOT NULL DEFAULT 'skip' CHECK (duplicate_strategy IN ('skip', 'update')),
+  status TEXT NOT NULL DEFAULT 'uploaded'
+    CHECK (status IN ('uploaded', 'queued', 'processing', 'completed', 'failed')),
+  processed_rows INTEGER NOT NULL DEFAULT 0,
+  created_count INTEGER NOT NULL DEFAULT 0,
+  updated_count INTEGER NOT NULL DEFAULT 0,
+  skipped_count INTEGER NOT NULL DEFAULT 0,
+  error_count INTEGER NOT NULL DEFAULT 0,
+  -- [{"row": 12, "errors": ["Invalid email format"]}], numbered as in the file
+  errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+  last_error TEXT,
+  started_at TIMESTAMPTZ,
+  -- When the last chunk was written; a processing job that stops moving is picked up again
+  progressed_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_jobs_organization_created ON import_jobs(organization_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_import_jobs_status ON import_jobs(status);
+
+ALTER TABLE import_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Admins see their organization's imports; only the server writes them
+CREATE POLICY admins_view_import_jobs ON import_jobs
+  FOR SELECT
+  USING (is_admin() AND organization_id = current_organization_id());
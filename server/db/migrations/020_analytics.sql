@@ -0,0 +1,104 @@
+-- ORCA Lead Management Software
+-- Analytics Migration
+--
+-- Dashboard numbers now come from the server's analytics API instead of
+-- queries run in the browser. The API builds its period trends on
+-- get_lead_metrics_by_period, which is rewritten to count a whole organization
+-- (optionally one location or salesperson) and to date conversions from each
+-- lead's status history rather than from when the lead was last edited.
+-- The same definition is kept in server/config/sql/get_lead_metrics_by_period.sql.
+
+-- The earlier version took the salesperson as its only filter
+DROP FUNCTION IF EXISTS get_lead_metrics_by_period(TIMESTAMP, TIMESTAMP, TEXT, UUID);
+
+-- Function to calculate lead metrics by time period for an organization
+-- New leads are counted by when they were created and converted leads by when
+-- their status history first records the move to 'won'.
+CREATE OR REPLACE FUNCTION get_lead_metrics_by_period(
+  start_date TIMESTAMPTZ,
+  end_date TIMESTAMPTZ,
+  period_interval TEXT, -- '1 day', '1 week', '1 month'
+  org_id UUID,
+  location_ids UUID[] DEFAULT NULL, -- NULL for every location
+  assigned_user UUID DEFAULT NULL -- NULL for every salesperson
+)
+RETURNS TABLE (
+  date TEXT,
+  new_leads INTEGER,
+  converted_leads INTEGER,
+  conversion_rate NUMERIC
+) 
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  trunc_unit TEXT := CASE period_interval
+    WHEN '1 week' THEN 'week'
+    WHEN '1 month' THEN 'month'
+    ELSE 'day'
+  END;
+BEGIN
+  RETURN QUERY
+  WITH scoped_leads AS (
+    SELECT p.id, p.created_at
+    FROM persons p
+    WHERE 
+      p.is_lead = TRUE AND
+      p.organization_id = org_id AND
+      (location_ids IS NULL OR p.location_id = ANY(location_ids)) AND
+      (assigned_user IS NULL OR p.assigned_to = assigned_user)
+  ),
+  
+  -- One row per period, starting at the period holding start_date
+  date_series AS (
+    SELECT series_date AS trunc_date
+    FROM generate_series(
+      date_trunc(trunc_unit, start_date),
+      end_date,
+      period_interval::INTERVAL
+    ) AS series_date
+  ),
+  
+  -- Get new leads created in each period
+  new_leads_data AS (
+    SELECT
+      date_trunc(trunc_unit, sl.created_at) AS trunc_date,
+      COUNT(*)::INTEGER AS new_lead_count
+    FROM scoped_leads sl
+    WHERE sl.created_at BETWEEN start_date AND end_date
+    GROUP BY 1
+  ),
+  
+  -- Get leads first moved to 'won' in each period
+  converted_leads_data AS (
+    SELECT
+      date_trunc(trunc_unit, won.won_at) AS trunc_date,
+      COUNT(*)::INTEGER AS converted_lead_count
+    FROM (
+      SELECT le.person_id, MIN((h.entry->>'timestamp')::TIMESTAMPTZ) AS won_at
+      FROM lead_extensions le
+      JOIN scoped_leads sl ON sl.id = le.person_id
+      CROSS JOIN LATERAL unnest(le.status_history) AS h(entry)
+      WHERE lower(h.entry->>'status') = 'won'
+      GROUP BY le.person_id
+    ) won
+    WHERE won.won_at BETWEEN start_date AND end_date
+    GROUP BY 1
+  )
+  
+  -- Join the series with the lead data and calculate metrics
+  SELECT
+    to_char(ds.trunc_date, 'YYYY-MM-DD') AS date,
+    COALESCE(nld.new_lead_count, 0) AS new_leads,
+    COALESCE(cld.converted_lead_count, 0) AS converted_leads,
+    CASE 
+      WHEN COALESCE(nld.new_lead_count, 0) > 0 THEN
+        ROUND(COALESCE(cld.converted_lead_count, 0)::NUMERIC / nld.new_lead_count, 4)
+      ELSE 0
+    END AS conversion_rate
+  FROM date_series ds
+  LEFT JOIN new_leads_data nld ON ds.trunc_date = nld.trunc_date
+  LEFT JOIN converted_leads_data cld ON ds.trunc_date = cld.trunc_date
+  ORDER BY ds.trunc_date;
+END;
+$$;
@@ -0,0 +1,52 @@
+-- ORCA Lead Management Software
+-- Performance Goals Migration
+--
+-- Managers set monthly targets for each salesperson: new leads, appointments
+-- set, conversions, referrals generated and messages sent. Progress is worked
+-- out from the salesperson's leads, referrals, interactions and messages when
+-- it is asked for, so only the targets are stored. The leaderboard and each
+-- salesperson's progress widget on the dashboard read them.
+
+CREATE TABLE IF NOT EXISTS performance_goals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+  -- The target: first day of the month it is for, what is counted and how many
+  month DATE NOT NULL,
+  metric TEXT NOT NULL,
+  target INTEGER NOT NULL,
+
+  -- Meta
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT performance_goals_metric_check CHECK (metric IN ('new_leads', 'appointments_set', 'conversions', 'referrals_generated', 'messages_sent')),
+  CONSTRAINT performance_goals_target_check CHECK (target >= 0),
+  CONSTRAINT performance_goals_month_check CHECK (EXTRACT(DAY FROM month) = 1),
+  CONSTRAINT performance_goals_user_month_metric_key UNIQUE (user_id, month, metric)
+);
+
+CREATE INDEX IF NOT EXISTS idx_performance_goals_organization_month ON performance_goals(organization_id, month);
+
+-- Progress is counted from when leads and referrals last changed
+CREATE INDEX IF NOT EXISTS idx_lead_extensions_updated_at ON lead_extensions(updated_at);
+CREATE INDEX IF NOT EXISTS idx_referral_extensions_updated_at ON referral_extensions(updated_at);
+
+ALTER TABLE performance_goals ENABLE ROW LEVEL SECURITY;
+
+-- Users see their organization's goals, so the leaderboard can be shared; admins set them
+CREATE POLICY users_view_own_performance_goals ON performance_goals
+  FOR SELECT
+  USING (organization_id = current_organization_id());
+
+CREATE POLICY admin_manage_own_performance_goals ON performance_goals
+  FOR ALL
+  USING (is_admin() AND organization_id = current_organization_id())
+  WITH CHECK (is_admin() AND organization_id = current_organization_id());
+
+CREATE TRIGGER update_performance_goals_timestamp
+  BEFORE UPDATE ON performance_goals
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
@@ -0,0 +1,72 @@
+-- ORCA Lead Management Software
+-- Tasks Migration
+--
+-- Follow-ups become tasks: a title, a due date, a priority, the user they are
+-- assigned to and, usually, the lead, referral or member they are about.
+-- Tasks can repeat every so many days, weeks or months; completing one
+-- schedules the next. Completing a task about a person logs an interaction
+-- on their record. persons.next_scheduled_contact and
+-- interactions.scheduled_at are left as they are.
+
+CREATE TABLE IF NOT EXISTS tasks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  location_id UUID REFERENCES locations(id) ON DELETE SET NULL,
+  person_id UUID REFERENCES persons(id) ON DELETE CASCADE, -- The lead, referral or member the task is about
+
+  -- The task
+  title TEXT NOT NULL,
+  description TEXT,
+  due_at TIMESTAMPTZ NOT NULL,
+  priority TEXT NOT NULL DEFAULT 'normal',
+  assigned_to UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  interaction_type TEXT NOT NULL DEFAULT 'call', -- What completing the task logs
+
+  -- Repeating tasks: every recurrence_interval days, weeks or months until recurrence_ends_at
+  recurrence TEXT,
+  recurrence_interval INTEGER NOT NULL DEFAULT 1,
+  recurrence_ends_at TIMESTAMPTZ,
+  series_id UUID, -- First task of the series
+
+  -- Completion
+  status TEXT NOT NULL DEFAULT 'open',
+  completed_at TIMESTAMPTZ,
+  completed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  interaction_id UUID REFERENCES interactions(id) ON DELETE SET NULL, -- Logged when the task was completed
+
+  -- Meta
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT tasks_priority_check CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+  CONSTRAINT tasks_status_check CHECK (status IN ('open', 'completed', 'cancelled')),
+  CONSTRAINT tasks_recurrence_check CHECK (recurrence IS NULL OR recurrence IN ('daily', 'weekly', 'monthly')),
+  CONSTRAINT tasks_recurrence_interval_check CHECK (recurrence_interval >= 1)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_assigned_to_status_due_at ON tasks(assigned_to, status, due_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_person_id ON tasks(person_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_organization_id ON tasks(organization_id);
+
+ALTER TABLE tasks ENABLE ROW LEVEL SECURITY;
+
+-- Admins manage every task; salespeople manage the tasks assigned to them or that they created
+CREATE POLICY admin_manage_all_tasks ON tasks
+  FOR ALL
+  USING (is_admin());
+
+CREATE POLICY salespeople_manage_own_tasks ON tasks
+  FOR ALL
+  USING (assigned_to = get_current_user_id() OR created_by = get_current_user_id())
+  WITH CHECK (assigned_to = get_current_user_id() OR created_by = get_current_user_id());
+
+CREATE POLICY tenant_isolation_tasks ON tasks
+  AS RESTRICTIVE FOR ALL
+  USING (can_access_tenant(organization_id, location_id))
+  WITH CHECK (can_access_tenant(organization_id, location_id));
+
+CREATE TRIGGER update_tasks_timestamp
+  BEFORE UPDATE ON tasks
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
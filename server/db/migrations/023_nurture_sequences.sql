@@ -0,0 +1,176 @@
+-- ORCA Lead Management Software
+-- Nurture Sequences Migration
+--
+-- Drip campaigns for leads and referrals. Admins define a sequence of steps,
+-- each sent by SMS or email after a delay, and the conditions that take a
+-- person out of it early: replying, booking an appointment, converting or
+-- opting out. People are enrolled by hand or when a trigger fires (a lead or
+-- referral is created, or a lead moves to a stage). Each step sent is
+-- recorded as a delivery, which the per-step delivery and response stats are
+-- counted from. referral_extensions.campaign_enrollments and
+-- nurture_sequence_status mirror a referral's enrollments.
+
+CREATE TABLE IF NOT EXISTS nurture_sequences (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  location_id UUID REFERENCES locations(id) ON DELETE SET NULL, -- NULL for every location
+
+  name TEXT NOT NULL,
+  description TEXT,
+  audience TEXT NOT NULL DEFAULT 'any', -- Who can be enrolled
+  trigger TEXT NOT NULL DEFAULT 'manual', -- What enrolls people automatically
+  trigger_status TEXT, -- Lead stage for the lead_status_changed trigger
+  exit_conditions TEXT[] NOT NULL DEFAULT ARRAY['replied', 'appointment_booked', 'converted', 'opted_out'],
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+
+  -- Meta
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT nurture_sequences_audience_check CHECK (audience IN ('lead', 'referral', 'any')),
+  CONSTRAINT nurture_sequences_trigger_check CHECK (trigger IN ('manual', 'lead_created', 'referral_created', 'lead_status_changed')),
+  CONSTRAINT nurture_sequences_trigger_status_check CHECK (trigger <> 'lead_status_changed' OR trigger_status IS NOT NULL),
+  CONSTRAINT nurture_sequences_exit_conditions_check CHECK (exit_conditions <@ ARRAY['replied', 'appointment_booked', 'converted', 'opted_out'])
+);
+
+CREATE INDEX IF NOT EXISTS idx_nurture_sequences_organization_trigger ON nurture_sequences(organization_id, trigger);
+
+CREATE TABLE IF NOT EXISTS nurture_sequence_steps (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  sequence_id UUID NOT NULL REFERENCES nurture_sequences(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL, -- 0 for the first step
+
+  delay_minutes INTEGER NOT NULL DEFAULT 0, -- After enrollment for the first step, after the previous step for the rest
+  channel TEXT NOT NULL,
+  subject TEXT, -- Emails only
+  template TEXT NOT NULL, -- With {{first_name}}-style placeholders
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT nurture_sequence_steps_channel_check CHECK (channel IN ('sms', 'email')),
+  CONSTRAINT nurture_sequence_steps_delay_check CHECK (delay_minutes >= 0),
+  CONSTRAINT nurture_sequence_steps_position_check CHECK (position >= 0),
+  CONSTRAINT nurture_sequence_steps_sequence_position_key UNIQUE (sequence_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS nurture_enrollments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  location_id UUID REFERENCES locations(id) ON DELETE SET NULL,
+  sequence_id UUID NOT NULL REFERENCES nurture_sequences(id) ON DELETE CASCADE,
+  person_id UUID NOT NULL REFERENCES persons(id) ON DELETE CASCADE,
+
+  status TEXT NOT NULL DEFAULT 'active',
+  current_step INTEGER NOT NULL DEFAULT 0, -- Position of the next step to send
+  next_step_at TIMESTAMPTZ, -- When it is due; NULL once the enrollment has ended
+  exit_reason TEXT,
+
+  enrolled_via TEXT NOT NULL DEFAULT 'manual',
+  enrolled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  enrolled_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ended_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT nurture_enrollments_status_check CHECK (status IN ('active', 'completed', 'exited', 'cancelled')),
+  CONSTRAINT nurture_enrollments_exit_reason_check CHECK (exit_reason IS NULL OR exit_reason IN ('replied', 'appointment_booked', 'converted', 'opted_out')),
+  CONSTRAINT nurture_enrollments_enrolled_via_check CHECK (enrolled_via IN ('manual', 'trigger'))
+);
+
+-- A person is in a sequence at most once at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_nurture_enrollments_active ON nurture_enrollments(sequence_id, person_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_nurture_enrollments_due ON nurture_enrollments(next_step_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_nurture_enrollments_person_id ON nurture_enrollments(person_id);
+
+CREATE TABLE IF NOT EXISTS nurture_step_deliveries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  enrollment_id UUID NOT NULL REFERENCES nurture_enrollments(id) ON DELETE CASCADE,
+  sequence_id UUID NOT NULL REFERENCES nurture_sequences(id) ON DELETE CASCADE,
+  step_id UUID REFERENCES nurture_sequence_steps(id) ON DELETE SET NULL,
+  position INTEGER NOT NULL,
+  person_id UUID NOT NULL REFERENCES persons(id) ON DELETE CASCADE,
+
+  channel TEXT NOT NULL,
+  status TEXT NOT NULL, -- Delivery receipts are read from the message
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  interaction_id UUID REFERENCES interactions(id) ON DELETE SET NULL,
+  error TEXT,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  responded_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT nurture_step_deliveries_channel_check CHECK (channel IN ('sms', 'email')),
+  CONSTRAINT nurture_step_deliveries_status_check CHECK (status IN ('sent', 'failed', 'skipped'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_nurture_step_deliveries_sequence_id ON nurture_step_deliveries(sequence_id);
+CREATE INDEX IF NOT EXISTS idx_nurture_step_deliveries_enrollment_id ON nurture_step_deliveries(enrollment_id);
+CREATE INDEX IF NOT EXISTS idx_nurture_step_deliveries_person_sent ON nurture_step_deliveries(person_id, sent_at) WHERE status = 'sent';
+
+ALTER TABLE nurture_sequences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE nurture_sequence_steps ENABLE ROW LEVEL SECURITY;
+ALTER TABLE nurture_enrollments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE nurture_step_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Users see their organization's sequences and enroll people in them; admins define them
+CREATE POLICY users_view_own_nurture_sequences ON nurture_sequences
+  FOR SELECT
+  USING (organization_id = current_organization_id());
+
+CREATE POLICY admin_manage_own_nurture_sequences ON nurture_sequences
+  FOR ALL
+  USING (is_admin() AND organization_id = current_organization_id())
+  WITH CHECK (is_admin() AND organization_id = current_organization_id());
+
+CREATE POLICY users_view_own_nurture_sequence_steps ON nurture_sequence_steps
+  FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM nurture_sequences
+    WHERE nurture_sequences.id = nurture_sequence_steps.sequence_id
+      AND nurture_sequences.organization_id = current_organization_id()
+  ));
+
+CREATE POLICY admin_manage_own_nurture_sequence_steps ON nurture_sequence_steps
+  FOR ALL
+  USING (is_admin() AND EXISTS (
+    SELECT 1 FROM nurture_sequences
+    WHERE nurture_sequences.id = nurture_sequence_steps.sequence_id
+      AND nurture_sequences.organization_id = current_organization_id()
+  ));
+
+CREATE POLICY users_manage_own_nurture_enrollments ON nurture_enrollments
+  FOR ALL
+  USING (organization_id = current_organization_id())
+  WITH CHECK (organization_id = current_organization_id());
+
+CREATE POLICY tenant_isolation_nurture_enrollments ON nurture_enrollments
+  AS RESTRICTIVE FOR ALL
+  USING (can_access_tenant(organization_id, location_id))
+  WITH CHECK (can_access_tenant(organization_id, location_id));
+
+CREATE POLICY users_view_own_nurture_step_deliveries ON nurture_step_deliveries
+  FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM nurture_sequences
+    WHERE nurture_sequences.id = nurture_step_deliveries.sequence_id
+      AND nurture_sequences.organization_id = current_organization_id()
+  ));
+
+CREATE TRIGGER update_nurture_sequences_timestamp
+  BEFORE UPDATE ON nurture_sequences
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
+
+CREATE TRIGGER update_nurture_sequence_steps_timestamp
+  BEFORE UPDATE ON nurture_sequence_steps
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
+
+CREATE TRIGGER update_nurture_enrollments_timestamp
+  BEFORE UPDATE ON nurture_enrollments
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
@@ -0,0 +1,38 @@
+-- ORCA Lead Management Software
+-- Organization Invitations Migration
+--
+-- Joining an existing organization takes an invitation from one of its
+-- admins. The invitation sets the new user's role, and can be limited to one
+-- email address. Only a hash of its token is stored; the token itself is
+-- shown to the admin once. An invitation is used once and expires.
+
+CREATE TABLE IF NOT EXISTS organization_invitations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+  token_hash TEXT NOT NULL, -- SHA-256 of the token, hex
+  email TEXT, -- Only this address can use it, if set
+  role TEXT NOT NULL DEFAULT 'salesperson',
+  expires_at TIMESTAMPTZ NOT NULL,
+
+  -- Use
+  accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  accepted_at TIMESTAMPTZ,
+
+  -- Meta
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT organization_invitations_role_check CHECK (role IN ('salesperson', 'admin')),
+  CONSTRAINT organization_invitations_token_hash_key UNIQUE (token_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_invitations_organization_id ON organization_invitations(organization_id);
+
+ALTER TABLE organization_invitations ENABLE ROW LEVEL SECURITY;
+
+-- Admins manage their own organization's invitations; sign-up reads them with the service role
+CREATE POLICY admin_manage_own_organization_invitations ON organization_invitations
+  FOR ALL
+  USING (is_admin() AND organization_id = current_organization_id())
+  WITH CHECK (is_admin() AND organization_id = current_organization_id());
@@ -0,0 +1,29 @@
+-- ORCA Lead Management Software
+-- Membership Plan Organizations Migration
+--
+-- Each organization keeps its own membership plan catalog. Plans were shared
+-- by every organization, so any admin could change another gym's plans and a
+-- member could be billed on another gym's plan. Existing plans go to their
+-- creator's organization, or the oldest one. Plan names are now unique within
+-- an organization, regardless of case.
+
+ALTER TABLE membership_plans
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE;
+
+UPDATE membership_plans mp
+SET organization_id = COALESCE(
+  (SELECT u.organization_id FROM users u WHERE u.id = mp.created_by),
+  (SELECT o.id FROM organizations o ORDER BY o.created_at LIMIT 1)
+)
+WHERE mp.organization_id IS NULL;
+
+ALTER TABLE membership_plans ALTER COLUMN organization_id SET NOT NULL;
+
+DROP INDEX IF EXISTS idx_membership_plans_name;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_membership_plans_organization_name ON membership_plans(organization_id, LOWER(name));
+
+-- Like the tables in 014_locations.sql, no role can reach another organization's plans
+CREATE POLICY tenant_isolation_membership_plans ON membership_plans
+  AS RESTRICTIVE FOR ALL
+  USING (organization_id = current_organization_id())
+  WITH CHECK (organization_id = current_organization_id());
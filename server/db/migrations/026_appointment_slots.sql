@@ -0,0 +1,69 @@
+-- ORCA Lead Management Software
+-- Appointment Slots Migration
+--
+-- Booking checks that a slot is free before creating the calendar event, so
+-- two people booking at once could both get overlapping times. Slots start
+-- every 30 minutes but last the appointment's length, so bookings that don't
+-- share a start time can still overlap. A referral extension now stores when
+-- its appointment ends, and a salesperson's calendar can hold only one upcoming
+-- appointment at any moment; the second booking fails with an exclusion
+-- violation and is turned away with 409. Cancelled, completed and missed
+-- appointments don't hold their time.
+--
+-- Appointments already overlapping must be moved or cancelled before this
+-- migration runs.
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+ALTER TABLE referral_extensions
+  ADD COLUMN IF NOT EXISTS appointment_end_date TIMESTAMPTZ;
+
+-- Booking and rescheduling store the end. Any other change to the start moves
+-- the end with it, keeping the appointment's length (an hour when unknown).
+CREATE OR REPLACE FUNCTION set_appointment_end_date()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.appointment_date IS NULL THEN
+    NEW.appointment_end_date = NULL;
+  ELSIF TG_OP = 'UPDATE'
+    AND NEW.appointment_date IS DISTINCT FROM OLD.appointment_date
+    AND NEW.appointment_end_date IS NOT DISTINCT FROM OLD.appointment_end_date
+    AND OLD.appointment_date IS NOT NULL
+    AND OLD.appointment_end_date IS NOT NULL THEN
+    NEW.appointment_end_date = NEW.appointment_date + (OLD.appointment_end_date - OLD.appointment_date);
+  END IF;
+
+  IF NEW.appointment_date IS NOT NULL
+    AND (NEW.appointment_end_date IS NULL OR NEW.appointment_end_date <= NEW.appointment_date) THEN
+    NEW.appointment_end_date = NEW.appointment_date + INTERVAL '1 hour';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_referral_extensions_appointment_end_date ON referral_extensions;
+CREATE TRIGGER set_referral_extensions_appointment_end_date
+  BEFORE INSERT OR UPDATE OF appointment_date, appointment_end_date ON referral_extensions
+  FOR EACH ROW
+  EXECUTE FUNCTION set_appointment_end_date();
+
+UPDATE referral_extensions
+SET appointment_end_date = appointment_date + INTERVAL '1 hour'
+WHERE appointment_date IS NOT NULL
+  AND appointment_end_date IS NULL;
+
+ALTER TABLE referral_extensions
+  DROP CONSTRAINT IF EXISTS referral_extensions_appointment_overlap;
+
+ALTER TABLE referral_extensions
+  ADD CONSTRAINT referral_extensions_appointment_overlap
+  EXCLUDE USING gist (
+    appointment_calendar_user_id WITH =,
+    tstzrange(appointment_date, appointment_end_date) WITH &&
+  )
+  WHERE (
+    appointment_calendar_user_id IS NOT NULL
+    AND appointment_date IS NOT NULL
+    AND appointment_status IN ('scheduled', 'confirmed', 'rescheduled', 'reschedule_requested')
+  );
@@ -0,0 +1,65 @@
+-- ORCA Lead Management Software
+-- Message Templates Migration
+--
+-- The messaging API saves SMS and email templates in message_templates, which
+-- no earlier migration created. Like messages, each template now belongs to an
+-- organization and, optionally, one of its locations, so one gym's admins can
+-- no longer read, change or delete another gym's templates. Existing templates
+-- go to their creator's organization, or the oldest one.
+
+CREATE TABLE IF NOT EXISTS message_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Who created the template
+  name TEXT NOT NULL,
+  template_type TEXT NOT NULL, -- 'sms' or 'email'
+  subject TEXT,
+  content TEXT NOT NULL,
+  variables JSONB DEFAULT '[]'::jsonb,
+
+  -- Meta
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE message_templates
+  ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES locations(id) ON DELETE SET NULL;
+
+UPDATE message_templates mt
+SET organization_id = COALESCE(
+  (SELECT u.organization_id FROM users u WHERE u.id = mt.user_id),
+  (SELECT o.id FROM organizations o ORDER BY o.created_at LIMIT 1)
+)
+WHERE mt.organization_id IS NULL;
+
+ALTER TABLE message_templates ALTER COLUMN organization_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_message_templates_tenant ON message_templates(organization_id, location_id);
+CREATE INDEX IF NOT EXISTS idx_message_templates_user_id ON message_templates(user_id);
+
+ALTER TABLE message_templates ENABLE ROW LEVEL SECURITY;
+
+-- Admins manage every template; salespeople manage the ones they created
+DROP POLICY IF EXISTS admin_manage_all_message_templates ON message_templates;
+CREATE POLICY admin_manage_all_message_templates ON message_templates
+  FOR ALL
+  USING (is_admin());
+
+DROP POLICY IF EXISTS salespeople_manage_own_message_templates ON message_templates;
+CREATE POLICY salespeople_manage_own_message_templates ON message_templates
+  FOR ALL
+  USING (user_id = get_current_user_id())
+  WITH CHECK (user_id = get_current_user_id());
+
+-- Like the tables in 014_locations.sql, no role can reach another organization's or location's templates
+DROP POLICY IF EXISTS tenant_isolation_message_templates ON message_templates;
+CREATE POLICY tenant_isolation_message_templates ON message_templates
+  AS RESTRICTIVE FOR ALL
+  USING (can_access_tenant(organization_id, location_id))
+  WITH CHECK (can_access_tenant(organization_id, location_id));
+
+DROP TRIGGER IF EXISTS update_message_templates_timestamp ON message_templates;
+CREATE TRIGGER update_message_templates_timestamp
+  BEFORE UPDATE ON message_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_timestamp();
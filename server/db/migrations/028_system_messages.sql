@@ -0,0 +1,12 @@
+-- ORCA Lead Management Software
+-- System Messages Migration
+--
+-- Automatic texts, such as appointment reminders, also go to people who have no
+-- salesperson. Those texts weren't stored, because every message needed a
+-- sender, so they never counted towards the organization's monthly SMS. They are now stored without a sender, and usage is counted by
+-- the messages' organization.
+
+ALTER TABLE messages ALTER COLUMN sender_id DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_messages_organization_sent_at ON messages(organization_id, sent_at)
+  WHERE message_type = 'sms' AND direction = 'outbound';
@@ -1,6 +1,184 @@
 -- ORCA Lead Management Software - Current Database Schema
 -- This file contains the verified and current database schema used in production
 
+CREATE TABLE public.appointment_reminders (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  person_id uuid NOT NULL,
+  appointment_date timestamp with time zone NOT NULL,
+  offset_minutes integer NOT NULL,
+  status text NOT NULL DEFAULT 'sending'::text,
+  channel text NULL,
+  message_id uuid NULL,
+  interaction_id uuid NULL,
+  sent_at timestamp with time zone NULL,
+  error text NULL,
+  reply text NULL,
+  replied_at timestamp with time zone NULL,
+  created_at timestamp with time zone NULL DEFAULT now(),
+  updated_at timestamp with time zone NULL DEFAULT now(),
+  CONSTRAINT appointment_reminders_pkey PRIMARY KEY (id),
+  CONSTRAINT appointment_reminders_person_appointment_offset_key UNIQUE (person_id, appointment_date, offset_minutes),
+  CONSTRAINT appointment_reminders_person_id_fkey FOREIGN KEY (person_id) REFERENCES persons(id) ON DELETE CASCADE,
+  CONSTRAINT appointment_reminders_message_id_fkey FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE SET NULL,
+  CONSTRAINT appointment_reminders_interaction_id_fkey FOREIGN KEY (interaction_id) REFERENCES interactions(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_appointment_reminders_person_id ON public.appointment_reminders USING btree (person_id);
+
+CREATE TABLE public.billing_events (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  stripe_event_id text NOT NULL,
+  event_type text NOT NULL,
+  person_id uuid NULL,
+  amount numeric NULL,
+  created_at timestamp with time zone NULL DEFAULT now(),
+  organization_id uuid NULL,
+  CONSTRAINT billing_events_pkey PRIMARY KEY (id),
+  CONSTRAINT billing_events_stripe_event_id_key UNIQUE (stripe_event_id),
+  CONSTRAINT billing_events_person_id_fkey FOREIGN KEY (person_id) REFERENCES persons(id) ON DELETE SET NULL,
+  CONSTRAINT billing_events_organization_id_fkey FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL
+);
+
+CREATE TABLE public.calendar_syncs (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  user_id uuid NOT NULL,
+  calendar_id text NOT NULL DEFAULT 'primary'::text,
+  sync_token text NULL,
+  last_synced_at timestamp with time zone NULL,
+  last_error text NULL,
+  channel_id text NULL,
+  channel_token text NULL,
+  channel_resource_id text NULL,
+  channel_expires_at timestamp with time zone NULL,
+  created_at timestamp with time zone NULL DEFAULT now(),
+  updated_at timestamp with time zone NULL DEFAULT now(),
+  CONSTRAINT calendar_syncs_pkey PRIMARY KEY (id),
+  CONSTRAINT calendar_syncs_user_id_key UNIQUE (user_id),
+  CONSTRAINT calendar_syncs_channel_id_key UNIQUE (channel_id),
+  CONSTRAINT calendar_syncs_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE public.import_jobs (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  organization_id uuid NOT NULL,
+  location_id uuid NULL,
+  created_by uuid NULL,
+  import_type text NOT NULL,
+  file_name text NOT NULL,
+  headers jsonb NOT NULL DEFAULT '[]'::jsonb,
+  rows jsonb NOT NULL DEFAULT '[]'::jsonb,
+  total_rows integer NOT NULL DEFAULT 0,
+  column_mapping jsonb NOT NULL DEFAULT '{}'::jsonb,
+  duplicate_strategy text NOT NULL DEFAULT 'skip'::text,
+  status text NOT NULL DEFAULT 'uploaded'::text,
+  processed_rows integer NOT NULL DEFAULT 0,
+  created_count integer NOT NULL DEFAULT 0,
+  updated_count integer NOT NULL DEFAULT 0,
+  skipped_count integer NOT NULL DEFAULT 0,
+  error_count integer NOT NULL DEFAULT 0,
+  errors jsonb NOT NULL DEFAULT '[]'::jsonb,
+  last_error text NULL,
+  started_at timestamp with time zone NULL,
+  progressed_at timestamp with time zone NULL,
+  completed_at timestamp with time zone NULL,
+  created_at timestamp with time zone NULL DEFAULT now(),
+  updated_at timestamp with time zone NULL DEFAULT now(),
+  CONSTRAINT import_jobs_pkey PRIMARY KEY (id),
+  CONSTRAINT import_jobs_organization_id_fkey FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT import_jobs_location_id_fkey FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE SET NULL,
+  CONSTRAINT import_jobs_created_by_fkey FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT import_jobs_import_type_check CHECK ((import_type = ANY (ARRAY['lead'::text, 'member'::text]))),
+  CONSTRAINT import_jobs_duplicate_strategy_check CHECK ((duplicate_strategy = ANY (ARRAY['skip'::text, 'update'::text]))),
+  CONSTRAINT import_jobs_status_check CHECK ((status = ANY (ARRAY['uploaded'::text, 'queued'::text, 'processing'::text, 'completed'::text, 'failed'::text])))
+);
+CREATE INDEX IF NOT EXISTS idx_import_jobs_organization_created ON public.import_jobs USING btree (organization_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_import_jobs_status ON public.import_jobs USING btree (status);
+
+CREATE TABLE public.incentive_awards (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  organization_id uuid NOT NULL,
+  rule_id uuid NOT NULL,
+  person_id uuid NOT NULL,
+  referral_id uuid NOT NULL,
+  relationship_id uuid NULL,
+  attribution_percentage integer NOT NULL DEFAULT 100,
+  referral_count numeric NOT NULL DEFAULT 0,
+  reward_type text NOT NULL,
+  amount numeric NOT NULL DEFAULT 0,
+  status text NOT NULL DEFAULT 'pending'::text,
+  reviewed_by uuid NULL,
+  reviewed_at timestamp with time zone NULL,
+  review_notes text NULL,
+  paid_at timestamp with time zone NULL,
+  created_at timestamp with time zone NULL DEFAULT now(),
+  updated_at timestamp with time zone NULL DEFAULT now(),
+  CONSTRAINT incentive_awards_pkey PRIMARY KEY (id),
+  CONSTRAINT incentive_awards_rule_person_referral_key UNIQUE (rule_id, person_id, referral_id),
+  CONSTRAINT incentive_awards_organization_id_fkey FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT incentive_awards_rule_id_fkey FOREIGN KEY (rule_id) REFERENCES incentive_rules(id) ON DELETE CASCADE,
+  CONSTRAINT incentive_awards_person_id_fkey FOREIGN KEY (person_id) REFERENCES persons(id) ON DELETE CASCADE,
+  CONSTRAINT incentive_awards_referral_id_fkey FOREIGN KEY (referral_id) REFERENCES persons(id) ON DELETE CASCADE,
+  CONSTRAINT incentive_awards_relationship_id_fkey FOREIGN KEY (relationship_id) REFERENCES relationships(id) ON DELETE SET NULL,
+  CONSTRAINT incentive_awards_reviewed_by_fkey FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT incentive_awards_amount_check CHECK ((amount >= (0)::numeric)),
+  CONSTRAINT incentive_awards_status_check CHECK ((status = ANY (ARRAY['pending'::text, 'approved'::text, 'rejected'::text, 'paid'::text])))
+);
+CREATE INDEX IF NOT EXISTS idx_incentive_awards_organization_status ON public.incentive_awards USING btree (organization_id, status);
+CREATE INDEX IF NOT EXISTS idx_incentive_awards_person_id ON public.incentive_awards USING btree (person_id);
+CREATE INDEX IF NOT EXISTS idx_incentive_awards_referral_id ON public.incentive_awards USING btree (referral_id);
+
+CREATE TABLE public.incentive_payouts (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  organization_id uuid NOT NULL,
+  award_id uuid NOT NULL,
+  person_id uuid NOT NULL,
+  amount numeric NOT NULL,
+  reward_type text NOT NULL,
+  method text NOT NULL DEFAULT 'account_credit'::text,
+  reference text NULL,
+  notes text NULL,
+  paid_by uuid NULL,
+  created_at timestamp with time zone NULL DEFAULT now(),
+  CONSTRAINT incentive_payouts_pkey PRIMARY KEY (id),
+  CONSTRAINT incentive_payouts_award_id_key UNIQUE (award_id),
+  CONSTRAINT incentive_payouts_organization_id_fkey FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT incentive_payouts_award_id_fkey FOREIGN KEY (award_id) REFERENCES incentive_awards(id) ON DELETE RESTRICT,
+  CONSTRAINT incentive_payouts_person_id_fkey FOREIGN KEY (person_id) REFERENCES persons(id) ON DELETE CASCADE,
+  CONSTRAINT incentive_payouts_paid_by_fkey FOREIGN KEY (paid_by) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT incentive_payouts_amount_check CHECK ((amount >= (0)::numeric))
+);
+CREATE INDEX IF NOT EXISTS idx_incentive_payouts_organization_created_at ON public.incentive_payouts USING btree (organization_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_incentive_payouts_person_id ON public.incentive_payouts USING btree (person_id);
+
+CREATE TABLE public.incentive_rules (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  organization_id uuid NOT NULL,
+  name text NOT NULL,
+  description text NULL,
+  trigger text NOT NULL DEFAULT 'conversion'::text,
+  referral_threshold integer NULL,
+  repeats boolean NOT NULL DEFAULT false,
+  reward_type text NOT NULL DEFAULT 'credit'::text,
+  reward_amount numeric NOT NULL DEFAULT 0,
+  tiers jsonb NOT NULL DEFAULT '[]'::jsonb,
+  starts_at timestamp with time zone NULL,
+  ends_at timestamp with time zone NULL,
+  requires_approval boolean NOT NULL DEFAULT true,
+  is_active boolean NOT NULL DEFAULT true,
+  created_by uuid NULL,
+  created_at timestamp with time zone NULL DEFAULT now(),
+  updated_at timestamp with time zone NULL DEFAULT now(),
+  CONSTRAINT incentive_rules_pkey PRIMARY KEY (id),
+  CONSTRAINT incentive_rules_organization_id_fkey FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT incentive_rules_created_by_fkey FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT incentive_rules_referral_threshold_check CHECK ((referral_threshold >= 1)),
+  CONSTRAINT incentive_rules_reward_amount_check CHECK ((reward_amount >= (0)::numeric)),
+  CONSTRAINT incentive_rules_trigger_check CHECK ((trigger = ANY (ARRAY['conversion'::text, 'milestone'::text]))),
+  CONSTRAINT incentive_rules_reward_type_check CHECK ((reward_type = ANY (ARRAY['credit'::text, 'free_month'::text, 'cash'::text, 'gift'::text]))),
+  CONSTRAINT incentive_rules_milestone_threshold_check CHECK (((trigger <> 'milestone'::text) OR (referral_threshold IS NOT NULL))),
+  CONSTRAINT incentive_rules_dates_check CHECK (((starts_at IS NULL) OR (ends_at IS NULL) OR (starts_at < ends_at)))
+);
+CREATE INDEX IF NOT EXISTS idx_incentive_rules_organization_id ON public.incentive_rules USING btree (organization_id);
+
 CREATE TABLE public.interactions (
   id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
   person_id uuid NOT NULL,
@@ -23,9 +201,13 @@ CREATE TABLE public.interactions (
   updated_at timestamp with time zone NULL DEFAULT now(),
   notes text NULL,
   custom_fields jsonb NULL DEFAULT '{}'::jsonb,
+  organization_id uuid NOT NULL,
+  location_id uuid NULL,
   CONSTRAINT interactions_pkey PRIMARY KEY (id),
   CONSTRAINT interactions_person_id_fkey FOREIGN KEY (person_id) REFERENCES persons(id) ON DELETE CASCADE,
-  CONSTRAINT interactions_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id)
+  CONSTRAINT interactions_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id),
+  CONSTRAINT interactions_organization_id_fkey FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT interactions_location_id_fkey FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE SET NULL
 );
 CREATE INDEX IF NOT EXISTS idx_interactions_person_id ON public.interactions USING btree (person_id);
 CREATE INDEX IF NOT EXISTS idx_interactions_user_id ON public.interactions USING btree (user_id);
@@ -33,6 +215,8 @@ CREATE INDEX IF NOT EXISTS idx_interactions_interaction_type ON public.interacti
 CREATE INDEX IF NOT EXISTS idx_interactions_scheduled_at ON public.interactions USING btree (scheduled_at);
 CREATE INDEX IF NOT EXISTS idx_interactions_completed_at ON public.interactions USING btree (completed_at);
 CREATE INDEX IF NOT EXISTS idx_interactions_campaign_id ON public.interactions USING btree (campaign_id);
+CREATE INDEX IF NOT EXISTS idx_interactions_tenant ON public.interactions USING btree (organization_id, location_id);
+CREATE INDEX IF NOT EXISTS idx_interactions_person_sentiment ON public.interactions USING btree (person_id, created_at) WHERE (sentiment IS NOT NULL);
 
 CREATE TABLE public.lead_extensions (
   id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
@@ -62,6 +246,8 @@ CREATE TABLE public.lead_extensions (
   conversion_blockers text[] NULL,
   created_at timestamp with time zone NULL DEFAULT now(),
   updated_at timestamp with time zone NULL DEFAULT now(),
+  score_factors jsonb NOT NULL DEFAULT '[]'::jsonb,
+  scored_at timestamp with time zone NULL,
   CONSTRAINT lead_extensions_pkey PRIMARY KEY (id),
   CONSTRAINT lead_extensions_person_id_fkey FOREIGN KEY (person_id) REFERENCES persons(id) ON DELETE CASCADE,
   CONSTRAINT ck_conversion_probability CHECK (((conversion_probability >= 0) AND (conversion_probability <= 100))),
@@ -72,6 +258,53 @@ CREATE INDEX IF NOT EXISTS idx_lead_extensions_lead_status ON public.lead_extens
 CREATE INDEX IF NOT EXISTS idx_lead_extensions_visit_completed ON public.lead_extensions USING btree (visit_completed);
 CREATE INDEX IF NOT EXISTS idx_lead_extensions_trial_status ON public.lead_extensions USING btree (trial_status);
 CREATE INDEX IF NOT EXISTS idx_lead_extensions_conversion_probability ON public.lead_extensions USING btree (conversion_probability);
+CREATE INDEX IF NOT EXISTS idx_lead_extensions_readiness_score ON public.lead_extensions USING btree (readiness_score);
+
+CREATE TABLE public.lead_score_history (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  organization_id uuid NOT NULL,
+  person_id uuid NOT NULL,
+  readiness_score integer NOT NULL,
+  conversion_probability integer NOT NULL,
+  lead_temperature text NOT NULL,
+  factors jsonb NOT NULL DEFAULT '[]'::jsonb,
+  trigger text NOT NULL,
+  created_at timestamp with time zone NULL DEFAULT now(),
+  CONSTRAINT lead_score_history_pkey PRIMARY KEY (id),
+  CONSTRAINT lead_score_history_organization_id_fkey FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT lead_score_history_person_id_fkey FOREIGN KEY (person_id) REFERENCES persons(id) ON DELETE CASCADE,
+  CONSTRAINT lead_score_history_readiness_score_check CHECK (((readiness_score >= 1) AND (readiness_score <= 10))),
+  CONSTRAINT lead_score_history_conversion_probability_check CHECK (((conversion_probability >= 0) AND (conversion_probability <= 100))),
+  CONSTRAINT lead_score_history_lead_temperature_check CHECK ((lead_temperature = ANY (ARRAY['cold'::text, 'warm'::text, 'hot'::text])))
+);
+CREATE INDEX IF NOT EXISTS idx_lead_score_history_person_created ON public.lead_score_history USING btree (person_id, created_at);
+
+CREATE TABLE public.locations (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  organization_id uuid NOT NULL,
+  name text NOT NULL,
+  address jsonb NULL,
+  phone text NULL,
+  timezone text NULL,
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamp with time zone NULL DEFAULT now(),
+  updated_at timestamp with time zone NULL DEFAULT now(),
+  CONSTRAINT locations_pkey PRIMARY KEY (id),
+  CONSTRAINT locations_organization_id_fkey FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_locations_organization_name ON public.locations USING btree (organization_id, lower(name));
+
+CREATE TABLE public.member_check_ins (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  organization_id uuid NOT NULL,
+  person_id uuid NOT NULL,
+  checked_in_at timestamp with time zone NOT NULL DEFAULT now(),
+  created_at timestamp with time zone NULL DEFAULT now(),
+  CONSTRAINT member_check_ins_pkey PRIMARY KEY (id),
+  CONSTRAINT member_check_ins_organization_id_fkey FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT member_check_ins_person_id_fkey FOREIGN KEY (person_id) REFERENCES persons(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_member_check_ins_person_checked_in ON public.member_check_ins USING btree (person_id, checked_in_at);
 
 CREATE TABLE public.member_extensions (
   id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
@@ -92,24 +325,80 @@ CREATE TABLE public.member_extensions (
   churn_risk text NULL,
   retention_actions jsonb[] NULL,
   referral_count integer NULL DEFAULT 0,
-  successful_referrals integer NULL DEFAULT 0,
+  successful_referrals numeric NULL DEFAULT 0,
   referral_rewards_earned numeric NULL DEFAULT 0,
   created_at timestamp with time zone NULL DEFAULT now(),
   updated_at timestamp with time zone NULL DEFAULT now(),
+  stripe_customer_id text NULL,
+  stripe_subscription_id text NULL,
+  membership_plan_id uuid NULL,
+  churn_score integer NULL,
+  churn_risk_factors jsonb NOT NULL DEFAULT '[]'::jsonb,
+  churn_scored_at timestamp with time zone NULL,
   CONSTRAINT member_extensions_pkey PRIMARY KEY (id),
   CONSTRAINT member_extensions_person_id_fkey FOREIGN KEY (person_id) REFERENCES persons(id) ON DELETE CASCADE,
+  CONSTRAINT member_extensions_membership_plan_id_fkey FOREIGN KEY (membership_plan_id) REFERENCES membership_plans(id) ON DELETE SET NULL,
   CONSTRAINT ck_billing_day CHECK (((billing_day >= 1) AND (billing_day <= 31))),
-  CONSTRAINT ck_satisfaction_score CHECK (((satisfaction_score >= 1) AND (satisfaction_score <= 10)))
+  CONSTRAINT ck_satisfaction_score CHECK (((satisfaction_score >= 1) AND (satisfaction_score <= 10))),
+  CONSTRAINT member_extensions_churn_score_check CHECK (((churn_score IS NULL) OR ((churn_score >= 0) AND (churn_score <= 100))))
 );
 CREATE INDEX IF NOT EXISTS idx_member_extensions_person_id ON public.member_extensions USING btree (person_id);
 CREATE INDEX IF NOT EXISTS idx_member_extensions_membership_status ON public.member_extensions USING btree (membership_status);
 CREATE INDEX IF NOT EXISTS idx_member_extensions_membership_type ON public.member_extensions USING btree (membership_type);
 CREATE INDEX IF NOT EXISTS idx_member_extensions_join_date ON public.member_extensions USING btree (join_date);
 CREATE INDEX IF NOT EXISTS idx_member_extensions_churn_risk ON public.member_extensions USING btree (churn_risk);
+CREATE INDEX IF NOT EXISTS idx_member_extensions_stripe_customer_id ON public.member_extensions USING btree (stripe_customer_id);
+CREATE INDEX IF NOT EXISTS idx_member_extensions_membership_plan_id ON public.member_extensions USING btree (membership_plan_id);
+
+CREATE TABLE public.member_checkouts (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  person_id uuid NOT NULL,
+  membership_type text NULL,
+  price_id text NOT NULL,
+  method text NOT NULL,
+  stripe_id text NOT NULL,
+  url text NOT NULL,
+  status text NOT NULL DEFAULT 'open'::text,
+  completed_at timestamp with time zone NULL,
+  created_by uuid NULL,
+  created_at timestamp with time zone NULL DEFAULT now(),
+  updated_at timestamp with time zone NULL DEFAULT now(),
+  membership_plan_id uuid NULL,
+  CONSTRAINT member_checkouts_pkey PRIMARY KEY (id),
+  CONSTRAINT member_checkouts_stripe_id_key UNIQUE (stripe_id),
+  CONSTRAINT member_checkouts_person_id_fkey FOREIGN KEY (person_id) REFERENCES persons(id) ON DELETE CASCADE,
+  CONSTRAINT member_checkouts_created_by_fkey FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT member_checkouts_membership_plan_id_fkey FOREIGN KEY (membership_plan_id) REFERENCES membership_plans(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_member_checkouts_person_id ON public.member_checkouts USING btree (person_id);
+
+CREATE TABLE public.membership_plans (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  name text NOT NULL,
+  description text NULL,
+  monthly_price numeric NOT NULL,
+  billing_interval text NOT NULL DEFAULT 'month'::text,
+  trial_days integer NOT NULL DEFAULT 0,
+  enrollment_fee numeric NOT NULL DEFAULT 0,
+  is_active boolean NOT NULL DEFAULT true,
+  stripe_product_id text NULL,
+  stripe_price_id text NULL,
+  stripe_enrollment_price_id text NULL,
+  created_by uuid NULL,
+  created_at timestamp with time zone NULL DEFAULT now(),
+  updated_at timestamp with time zone NULL DEFAULT now(),
+  CONSTRAINT membership_plans_pkey PRIMARY KEY (id),
+  CONSTRAINT membership_plans_created_by_fkey FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT membership_plans_monthly_price_check CHECK ((monthly_price >= (0)::numeric)),
+  CONSTRAINT membership_plans_trial_days_check CHECK ((trial_days >= 0)),
+  CONSTRAINT membership_plans_enrollment_fee_check CHECK ((enrollment_fee >= (0)::numeric)),
+  CONSTRAINT membership_plans_billing_interval_check CHECK ((billing_interval = ANY (ARRAY['month'::text, 'quarter'::text, 'year'::text])))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_membership_plans_name ON public.membership_plans USING btree (lower(name));
 
 CREATE TABLE public.messages (
   id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
-  sender_id uuid NOT NULL,
+  sender_id uuid NULL,
   recipient_id uuid NOT NULL,
   message_type text NOT NULL,
   subject text NULL,
@@ -125,13 +414,18 @@ CREATE TABLE public.messages (
   campaign_id text NULL,
   has_response boolean NULL DEFAULT false,
   response_id uuid NULL,
+  direction text NULL DEFAULT 'outbound'::text,
   metadata jsonb NULL DEFAULT '{}'::jsonb,
   created_at timestamp with time zone NULL DEFAULT now(),
   updated_at timestamp with time zone NULL DEFAULT now(),
+  organization_id uuid NOT NULL,
+  location_id uuid NULL,
   CONSTRAINT messages_pkey PRIMARY KEY (id),
   CONSTRAINT messages_recipient_id_fkey FOREIGN KEY (recipient_id) REFERENCES persons(id),
   CONSTRAINT messages_response_id_fkey FOREIGN KEY (response_id) REFERENCES messages(id) ON DELETE SET NULL,
-  CONSTRAINT messages_sender_id_fkey FOREIGN KEY (sender_id) REFERENCES users(id)
+  CONSTRAINT messages_sender_id_fkey FOREIGN KEY (sender_id) REFERENCES users(id),
+  CONSTRAINT messages_organization_id_fkey FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT messages_location_id_fkey FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE SET NULL
 );
 CREATE INDEX IF NOT EXISTS idx_messages_recipient_id ON public.messages USING btree (recipient_id);
 CREATE INDEX IF NOT EXISTS idx_messages_is_blast ON public.messages USING btree (is_blast) WHERE (is_blast = true);
@@ -141,6 +435,49 @@ CREATE INDEX IF NOT EXISTS idx_messages_sent_at ON public.messages USING btree (
 CREATE INDEX IF NOT EXISTS idx_messages_campaign_id ON public.messages USING btree (campaign_id);
 CREATE INDEX IF NOT EXISTS idx_messages_has_response ON public.messages USING btree (has_response);
 CREATE INDEX IF NOT EXISTS idx_messages_blast_id ON public.messages USING btree (blast_id);
+CREATE INDEX IF NOT EXISTS idx_messages_telnyx_message_id ON public.messages USING btree (((metadata ->> 'telnyx_message_id'::text)));
+CREATE INDEX IF NOT EXISTS idx_messages_metadata_to ON public.messages USING btree (((metadata ->> 'to'::text)));
+CREATE INDEX IF NOT EXISTS idx_messages_direction ON public.messages USING btree (direction);
+CREATE INDEX IF NOT EXISTS idx_messages_tenant ON public.messages USING btree (organization_id, location_id);
+CREATE INDEX IF NOT EXISTS idx_messages_organization_sent_at ON public.messages USING btree (organization_id, sent_at) WHERE ((message_type = 'sms'::text) AND (direction = 'outbound'::text));
+
+CREATE TABLE public.oauth_connections (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  user_id uuid NOT NULL,
+  provider text NOT NULL DEFAULT 'google'::text,
+  account_email text NULL,
+  scopes text[] NULL DEFAULT '{}'::text[],
+  access_token_encrypted text NULL,
+  refresh_token_encrypted text NOT NULL,
+  token_expires_at timestamp with time zone NULL,
+  status text NOT NULL DEFAULT 'connected'::text,
+  last_refreshed_at timestamp with time zone NULL,
+  last_error text NULL,
+  connected_at timestamp with time zone NULL DEFAULT now(),
+  created_at timestamp with time zone NULL DEFAULT now(),
+  updated_at timestamp with time zone NULL DEFAULT now(),
+  CONSTRAINT oauth_connections_pkey PRIMARY KEY (id),
+  CONSTRAINT oauth_connections_user_provider_key UNIQUE (user_id, provider),
+  CONSTRAINT oauth_connections_user_id_fkey FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE public.organizations (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  name text NOT NULL,
+  plan_tier text NOT NULL DEFAULT 'starter'::text,
+  stripe_customer_id text NULL,
+  stripe_subscription_id text NULL,
+  subscription_status text NULL,
+  current_period_end timestamp with time zone NULL,
+  attribution_model text NOT NULL DEFAULT 'first_touch'::text,
+  lead_scoring_weights jsonb NOT NULL DEFAULT '{}'::jsonb,
+  created_at timestamp with time zone NULL DEFAULT now(),
+  updated_at timestamp with time zone NULL DEFAULT now(),
+  CONSTRAINT organizations_pkey PRIMARY KEY (id),
+  CONSTRAINT organizations_plan_tier_check CHECK ((plan_tier = ANY (ARRAY['starter'::text, 'growth'::text, 'scale'::text]))),
+  CONSTRAINT organizations_attribution_model_check CHECK ((attribution_model = ANY (ARRAY['first_touch'::text, 'last_touch'::text, 'equal_split'::text, 'manual'::text])))
+);
+CREATE INDEX IF NOT EXISTS idx_organizations_stripe_customer_id ON public.organizations USING btree (stripe_customer_id);
 
 CREATE TABLE public.persons (
   id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
@@ -186,8 +523,14 @@ CREATE TABLE public.persons (
   last_contacted timestamp with time zone NULL,
   next_scheduled_contact timestamp with time zone NULL,
   notes text NULL,
+  preferred_membership_plan_id uuid NULL,
+  organization_id uuid NOT NULL,
+  location_id uuid NULL,
   CONSTRAINT persons_pkey PRIMARY KEY (id),
-  CONSTRAINT persons_assigned_to_fkey FOREIGN KEY (assigned_to) REFERENCES users(id)
+  CONSTRAINT persons_assigned_to_fkey FOREIGN KEY (assigned_to) REFERENCES users(id),
+  CONSTRAINT persons_preferred_membership_plan_id_fkey FOREIGN KEY (preferred_membership_plan_id) REFERENCES membership_plans(id) ON DELETE SET NULL,
+  CONSTRAINT persons_organization_id_fkey FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT persons_location_id_fkey FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE SET NULL
 );
 CREATE INDEX IF NOT EXISTS idx_persons_assigned_to ON public.persons USING btree (assigned_to);
 CREATE INDEX IF NOT EXISTS idx_persons_is_lead ON public.persons USING btree (is_lead) WHERE (is_lead = true);
@@ -197,6 +540,8 @@ CREATE INDEX IF NOT EXISTS idx_persons_phone ON public.persons USING btree (phon
 CREATE INDEX IF NOT EXISTS idx_persons_email ON public.persons USING btree (email);
 CREATE INDEX IF NOT EXISTS idx_persons_last_contacted ON public.persons USING btree (last_contacted);
 CREATE INDEX IF NOT EXISTS idx_persons_acquisition_source ON public.persons USING btree (acquisition_source);
+CREATE INDEX IF NOT EXISTS idx_persons_preferred_membership_plan_id ON public.persons USING btree (preferred_membership_plan_id);
+CREATE INDEX IF NOT EXISTS idx_persons_tenant ON public.persons USING btree (organization_id, location_id);
 
 CREATE TABLE public.referral_extensions (
   id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
@@ -208,8 +553,10 @@ CREATE TABLE public.referral_extensions (
   status_history jsonb[] NULL,
   time_in_stage_days jsonb NULL,
   appointment_date timestamp with time zone NULL,
+  appointment_end_date timestamp with time zone NULL,
   appointment_status text NULL,
   google_calendar_event_id text NULL,
+  appointment_calendar_user_id uuid NULL,
   conversion_status text NULL,
   conversion_date timestamp with time zone NULL,
   conversion_probability integer NULL,
@@ -218,17 +565,56 @@ CREATE TABLE public.referral_extensions (
   marketing_materials_sent jsonb[] NULL,
   campaign_enrollments text[] NULL,
   nurture_sequence_status jsonb NULL,
+  attribution_model text NULL,
+  attributed_with text NULL,
+  attributed_at timestamp with time zone NULL,
   created_at timestamp with time zone NULL DEFAULT now(),
   updated_at timestamp with time zone NULL DEFAULT now(),
   CONSTRAINT referral_extensions_pkey PRIMARY KEY (id),
   CONSTRAINT referral_extensions_person_id_fkey FOREIGN KEY (person_id) REFERENCES persons(id) ON DELETE CASCADE,
-  CONSTRAINT ck_referral_conversion_probability CHECK (((conversion_probability >= 0) AND (conversion_probability <= 100)))
+  CONSTRAINT referral_extensions_appointment_calendar_user_id_fkey FOREIGN KEY (appointment_calendar_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  CONSTRAINT referral_extensions_appointment_overlap EXCLUDE USING gist (appointment_calendar_user_id WITH =, tstzrange(appointment_date, appointment_end_date) WITH &&) WHERE (((appointment_calendar_user_id IS NOT NULL) AND (appointment_date IS NOT NULL) AND (appointment_status = ANY (ARRAY['scheduled'::text, 'confirmed'::text, 'rescheduled'::text, 'reschedule_requested'::text])))),
+  CONSTRAINT ck_referral_conversion_probability CHECK (((conversion_probability >= 0) AND (conversion_probability <= 100))),
+  CONSTRAINT referral_extensions_attribution_model_check CHECK (((attribution_model IS NULL) OR (attribution_model = ANY (ARRAY['first_touch'::text, 'last_touch'::text, 'equal_split'::text, 'manual'::text]))))
 );
 CREATE INDEX IF NOT EXISTS idx_referral_extensions_person_id ON public.referral_extensions USING btree (person_id);
 CREATE INDEX IF NOT EXISTS idx_referral_extensions_referral_status ON public.referral_extensions USING btree (referral_status);
 CREATE INDEX IF NOT EXISTS idx_referral_extensions_appointment_date ON public.referral_extensions USING btree (appointment_date);
+CREATE INDEX IF NOT EXISTS idx_referral_extensions_google_calendar_event_id ON public.referral_extensions USING btree (google_calendar_event_id);
 CREATE INDEX IF NOT EXISTS idx_referral_extensions_conversion_status ON public.referral_extensions USING btree (conversion_status);
 
+CREATE TABLE public.referral_links (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  referrer_id uuid NOT NULL,
+  created_by uuid NULL,
+  provider text NOT NULL DEFAULT 'self_hosted'::text,
+  short_code text NOT NULL,
+  url text NOT NULL,
+  destination_url text NOT NULL,
+  preview_url text NULL,
+  is_active boolean NULL DEFAULT true,
+  campaign text NULL DEFAULT 'default'::text,
+  source text NULL,
+  medium text NULL,
+  utm_params jsonb NULL DEFAULT '{}'::jsonb,
+  click_count integer NULL DEFAULT 0,
+  first_clicked_at timestamp with time zone NULL,
+  last_clicked_at timestamp with time zone NULL,
+  created_at timestamp with time zone NULL DEFAULT now(),
+  updated_at timestamp with time zone NULL DEFAULT now(),
+  organization_id uuid NOT NULL,
+  location_id uuid NULL,
+  CONSTRAINT referral_links_pkey PRIMARY KEY (id),
+  CONSTRAINT referral_links_short_code_key UNIQUE (short_code),
+  CONSTRAINT referral_links_referrer_id_fkey FOREIGN KEY (referrer_id) REFERENCES persons(id) ON DELETE CASCADE,
+  CONSTRAINT referral_links_created_by_fkey FOREIGN KEY (created_by) REFERENCES users(id),
+  CONSTRAINT referral_links_organization_id_fkey FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT referral_links_location_id_fkey FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_referral_links_referrer_id ON public.referral_links USING btree (referrer_id);
+CREATE INDEX IF NOT EXISTS idx_referral_links_created_by ON public.referral_links USING btree (created_by);
+CREATE INDEX IF NOT EXISTS idx_referral_links_tenant ON public.referral_links USING btree (organization_id, location_id);
+
 CREATE TABLE public.relationships (
   id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
   person_a_id uuid NOT NULL,
@@ -258,6 +644,36 @@ CREATE INDEX IF NOT EXISTS idx_relationships_person_a_id ON public.relationships
 CREATE INDEX IF NOT EXISTS idx_relationships_person_b_id ON public.relationships USING btree (person_b_id);
 CREATE INDEX IF NOT EXISTS idx_relationships_relationship_type ON public.relationships USING btree (relationship_type);
 
+CREATE TABLE public.text_blasts (
+  id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
+  sender_id uuid NULL,
+  content text NOT NULL,
+  template_id uuid NULL,
+  personalization_data jsonb NULL,
+  recipient_ids uuid[] NULL,
+  filters jsonb NULL,
+  recipient_count integer NULL DEFAULT 0,
+  status text NULL DEFAULT 'processing'::text,
+  scheduled_for timestamp with time zone NULL,
+  started_at timestamp with time zone NULL,
+  completed_at timestamp with time zone NULL,
+  sent_count integer NULL DEFAULT 0,
+  failed_count integer NULL DEFAULT 0,
+  suppressed_count integer NULL DEFAULT 0,
+  last_error text NULL,
+  created_at timestamp with time zone NULL DEFAULT now(),
+  updated_at timestamp with time zone NULL DEFAULT now(),
+  organization_id uuid NOT NULL,
+  location_id uuid NULL,
+  CONSTRAINT text_blasts_pkey PRIMARY KEY (id),
+  CONSTRAINT text_blasts_sender_id_fkey FOREIGN KEY (sender_id) REFERENCES users(id),
+  CONSTRAINT text_blasts_organization_id_fkey FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  CONSTRAINT text_blasts_location_id_fkey FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_text_blasts_status_scheduled_for ON public.text_blasts USING btree (status, scheduled_for);
+CREATE INDEX IF NOT EXISTS idx_text_blasts_sender_id ON public.text_blasts USING btree (sender_id);
+CREATE INDEX IF NOT EXISTS idx_text_blasts_tenant ON public.text_blasts USING btree (organization_id, location_id);
+
 CREATE TABLE public.users (
   id uuid NOT NULL DEFAULT extensions.uuid_generate_v4(),
   email text NOT NULL,
@@ -270,7 +686,12 @@ CREATE TABLE public.users (
   updated_at timestamp with time zone NULL DEFAULT now(),
   last_login timestamp with time zone NULL,
   settings jsonb NULL DEFAULT '{}'::jsonb,
+  organization_id uuid NULL,
+  location_id uuid NULL,
   CONSTRAINT users_pkey PRIMARY KEY (id),
-  CONSTRAINT users_email_key UNIQUE (email)
+  CONSTRAINT users_email_key UNIQUE (email),
+  CONSTRAINT users_organization_id_fkey FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL,
+  CONSTRAINT users_location_id_fkey FOREIGN KEY (location_id) REFERENCES locations(id) ON DELETE SET NULL
 );
-CREATE INDEX IF NOT EXISTS idx_users_role ON public.users USING btree (role); 
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_users_role ON public.users USING btree (role);
+CREATE INDEX IF NOT EXISTS idx_users_organization_id ON public.users USING btree (organization_id); 
\ No newline at end of file
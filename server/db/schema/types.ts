@@ -34,6 +34,7 @@ export const SchemaConstraints = {
     ATTRIBUTION_PERCENTAGE: 100,
     INTERACTION_STATUS: 'completed',
     MESSAGE_STATUS: 'sent',
+    MESSAGE_DIRECTION: 'outbound',
     IS_BLAST: false,
     HAS_RESPONSE: false,
     RESPONSE_RECEIVED: false,
@@ -62,6 +63,8 @@ export interface User {
   updated_at?: string; // DEFAULT now() in SQL
   last_login?: string;
   settings?: Record<string, any>; // DEFAULT '{}'::jsonb in SQL
+  organization_id?: string; // foreign key to organizations(id)
+  location_id?: string; // foreign key to locations(id); unset for users who work across the organization
 }
 
 // Person model (unified base model)
@@ -105,7 +108,8 @@ export interface Person {
   // Shared qualification data
   interest_level?: string;
   goals?: string;
-  preferred_membership?: string;
+  preferred_membership?: string; // Name of the preferred plan
+  preferred_membership_plan_id?: string; // foreign key to membership_plans(id)
   interested_services?: string[]; // text[] in SQL
   preferred_schedule?: Record<string, any>; // jsonb in SQL
   special_requirements?: string;
@@ -127,6 +131,22 @@ export interface Person {
   last_contacted?: string; // timestamp with time zone in SQL
   next_scheduled_contact?: string; // timestamp with time zone in SQL
   notes?: string;
+  
+  // Tenant
+  organization_id: string; // NOT NULL, foreign key to organizations(id) ON DELETE CASCADE
+  location_id?: string; // foreign key to locations(id) ON DELETE SET NULL
+}
+
+// Signals the lead scoring engine weighs
+export type LeadScoreSignal = 'interactions' | 'recency' | 'response_rate' | 'visit_trial' | 'objections' | 'budget_fit' | 'source';
+
+// One signal's part in a lead's score
+export interface LeadScoreFactor {
+  factor: LeadScoreSignal;
+  value: number; // 0-1, how well the lead does on the signal
+  weight: number; // The organization's weight for the signal
+  points: number; // Percentage points the signal adds to conversion_probability
+  detail: string;
 }
 
 // Lead extension model
@@ -142,8 +162,8 @@ export interface LeadExtension {
   pain_points?: string[]; // text[] in SQL
   motivations?: string[]; // text[] in SQL
   objections?: any[]; // jsonb[] in SQL
-  readiness_score?: number; // SQL CHECK constraint: readiness_score >= 1 AND readiness_score <= 10
-  lead_temperature?: string; // Free-form text field in SQL
+  readiness_score?: number; // SQL CHECK constraint: readiness_score >= 1 AND readiness_score <= 10; set by the lead scoring engine
+  lead_temperature?: string; // 'cold', 'warm' or 'hot', set by the lead scoring engine
   
   // Pipeline data
   lead_status?: string; // DEFAULT 'new'::text in SQL
@@ -161,10 +181,14 @@ export interface LeadExtension {
   payment_info_collected?: boolean; // DEFAULT false in SQL
   
   // Conversion tracking
-  conversion_probability?: number; // SQL CHECK constraint: conversion_probability >= 0 AND conversion_probability <= 100
+  conversion_probability?: number; // SQL CHECK constraint: conversion_probability >= 0 AND conversion_probability <= 100; set by the lead scoring engine
   estimated_value?: number; // numeric in SQL
   conversion_blockers?: string[]; // text[] in SQL
   
+  // Lead scoring (utils/leadScoring.js)
+  score_factors?: LeadScoreFactor[]; // jsonb in SQL, NOT NULL DEFAULT '[]'; the biggest contributors to the score
+  scored_at?: string | null; // timestamp with time zone in SQL
+  
   // Meta
   created_at?: string; // DEFAULT now() in SQL
   updated_at?: string; // DEFAULT now() in SQL
@@ -187,8 +211,10 @@ export interface ReferralExtension {
   
   // Appointment data
   appointment_date?: string; // timestamp with time zone in SQL
+  appointment_end_date?: string; // timestamp with time zone in SQL
   appointment_status?: string;
   google_calendar_event_id?: string;
+  appointment_calendar_user_id?: string; // foreign key to users(id), whose calendar holds the event
   
   // Conversion tracking
   conversion_status?: string;
@@ -204,18 +230,44 @@ export interface ReferralExtension {
   campaign_enrollments?: string[]; // text[] in SQL
   nurture_sequence_status?: Record<string, any>; // jsonb in SQL
   
+  // Credit attribution between referrers
+  attribution_model?: AttributionModel; // NULL uses the organization's default
+  attributed_with?: AttributionModel; // Model the credit was last split with
+  attributed_at?: string; // timestamp with time zone in SQL
+  
   // Meta
   created_at?: string; // DEFAULT now() in SQL
   updated_at?: string; // DEFAULT now() in SQL
 }
 
 // Member extension model
+// A signal that raised (or lowered) a member's churn score
+export interface ChurnRiskFactor {
+  factor: 'recency' | 'frequency_decay' | 'attendance_streak' | 'payment_status' | 'satisfaction' | 'sentiment';
+  points: number; // Added to the score; negative for signals that lower the risk
+  detail: string;
+}
+
+// An effort to keep a member, such as the outreach task created when they become high risk
+export interface RetentionAction {
+  id: string;
+  type: string; // 'churn_outreach'
+  status: 'open' | 'done';
+  assigned_to: string | null; // User ID of the member's salesperson
+  title: string;
+  due_date: string;
+  churn_score?: number;
+  factors?: ChurnRiskFactor[];
+  created_at: string;
+}
+
 export interface MemberExtension {
   id: string;
   person_id: string; // NOT NULL constraint in SQL, foreign key to persons(id) ON DELETE CASCADE
   
   // Membership data
-  membership_type?: string;
+  membership_type?: string; // Name of the plan
+  membership_plan_id?: string; // foreign key to membership_plans(id)
   membership_status?: string;
   join_date?: string; // timestamp with time zone in SQL
   membership_end_date?: string; // timestamp with time zone in SQL
@@ -234,19 +286,35 @@ export interface MemberExtension {
   
   // Retention and satisfaction
   satisfaction_score?: number; // SQL CHECK constraint: satisfaction_score >= 1 AND satisfaction_score <= 10
-  churn_risk?: string; // Free-form text field in SQL
-  retention_actions?: any[]; // jsonb[] in SQL
+  churn_risk?: string; // 'low', 'medium' or 'high', set by the churn risk job (utils/churnRisk.js)
+  churn_score?: number | null; // 0-100, SQL CHECK constraint
+  churn_risk_factors?: ChurnRiskFactor[]; // jsonb in SQL, NOT NULL DEFAULT '[]'
+  churn_scored_at?: string | null; // timestamp with time zone in SQL
+  retention_actions?: RetentionAction[]; // jsonb[] in SQL
   
   // Referral program
   referral_count?: number; // DEFAULT 0 in SQL
-  successful_referrals?: number; // DEFAULT 0 in SQL
+  successful_referrals?: number; // numeric in SQL, DEFAULT 0; shared referrals count as the referrer's fraction
   referral_rewards_earned?: number; // DEFAULT 0 in SQL, numeric in SQL
   
+  // Billing
+  stripe_customer_id?: string;
+  stripe_subscription_id?: string;
+  
   // Meta
   created_at?: string; // DEFAULT now() in SQL
   updated_at?: string; // DEFAULT now() in SQL
 }
 
+// A member's visit, kept so the churn risk job can see attendance tailing off
+export interface MemberCheckIn {
+  id: string;
+  organization_id: string; // NOT NULL, foreign key to organizations(id) ON DELETE CASCADE
+  person_id: string; // NOT NULL, foreign key to persons(id) ON DELETE CASCADE
+  checked_in_at: string; // NOT NULL, DEFAULT now()
+  created_at?: string; // DEFAULT now() in SQL
+}
+
 // Relationship model
 export interface Relationship {
   id: string;
@@ -315,6 +383,10 @@ export interface Interaction {
   updated_at?: string; // DEFAULT now() in SQL
   notes?: string;
   custom_fields?: Record<string, any>; // DEFAULT '{}'::jsonb in SQL
+  
+  // Tenant
+  organization_id: string; // NOT NULL, foreign key to organizations(id) ON DELETE CASCADE
+  location_id?: string; // foreign key to locations(id) ON DELETE SET NULL
 }
 
 // Message model
@@ -322,7 +394,7 @@ export interface Message {
   id: string;
   
   // Sender and recipient
-  sender_id: string; // NOT NULL constraint in SQL, foreign key to users(id)
+  sender_id: string | null; // foreign key to users(id); null for automatic texts to a person without a salesperson
   recipient_id: string; // NOT NULL constraint in SQL, foreign key to persons(id)
   
   // Message details
@@ -348,9 +420,356 @@ export interface Message {
   // Response tracking
   has_response?: boolean; // DEFAULT false in SQL
   response_id?: string; // foreign key to messages(id) ON DELETE SET NULL
+  direction?: 'outbound' | 'inbound'; // DEFAULT 'outbound'::text in SQL
   
   // Meta
   metadata?: Record<string, any>; // DEFAULT '{}'::jsonb in SQL
   created_at?: string; // DEFAULT now() in SQL
   updated_at?: string; // DEFAULT now() in SQL
-} 
\ No newline at end of file
+  
+  // Tenant
+  organization_id: string; // NOT NULL, foreign key to organizations(id) ON DELETE CASCADE
+  location_id?: string; // foreign key to locations(id) ON DELETE SET NULL
+}
+
+// Text blast model
+export interface TextBlast {
+  id: string;
+  sender_id?: string; // foreign key to users(id)
+  
+  // Content
+  content: string; // NOT NULL constraint in SQL
+  template_id?: string;
+  personalization_data?: Record<string, any>; // jsonb in SQL
+  
+  // Audience
+  recipient_ids?: string[]; // uuid[] in SQL
+  filters?: Record<string, any>; // jsonb in SQL
+  recipient_count?: number; // DEFAULT 0 in SQL
+  
+  // Scheduling and status
+  status?: 'scheduled' | 'processing' | 'completed' | 'failed'; // DEFAULT 'processing'::text in SQL
+  scheduled_for?: string; // timestamp with time zone in SQL
+  started_at?: string; // timestamp with time zone in SQL
+  completed_at?: string; // timestamp with time zone in SQL
+  sent_count?: number; // DEFAULT 0 in SQL
+  failed_count?: number; // DEFAULT 0 in SQL
+  suppressed_count?: number; // DEFAULT 0 in SQL
+  last_error?: string;
+  
+  // Meta
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+  
+  // Tenant
+  organization_id: string; // NOT NULL, foreign key to organizations(id) ON DELETE CASCADE
+  location_id?: string; // foreign key to locations(id) ON DELETE SET NULL
+}
+
+// Referral link model
+export interface ReferralLink {
+  id: string;
+  referrer_id: string; // NOT NULL, foreign key to persons(id)
+  created_by?: string; // foreign key to users(id)
+  
+  // Link
+  provider: 'firebase' | 'self_hosted'; // NOT NULL, DEFAULT 'self_hosted'::text in SQL
+  short_code: string; // NOT NULL, UNIQUE constraint in SQL
+  url: string; // NOT NULL constraint in SQL
+  destination_url: string; // NOT NULL constraint in SQL
+  preview_url?: string;
+  is_active?: boolean; // DEFAULT true in SQL
+  
+  // UTM data
+  campaign?: string; // DEFAULT 'default'::text in SQL
+  source?: string;
+  medium?: string;
+  utm_params?: Record<string, string>; // DEFAULT '{}'::jsonb in SQL
+  
+  // Click tracking
+  click_count?: number; // DEFAULT 0 in SQL
+  first_clicked_at?: string; // timestamp with time zone in SQL
+  last_clicked_at?: string; // timestamp with time zone in SQL
+  
+  // Meta
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+  
+  // Tenant
+  organization_id: string; // NOT NULL, foreign key to organizations(id) ON DELETE CASCADE
+  location_id?: string; // foreign key to locations(id) ON DELETE SET NULL
+}
+
+// OAuth connection model (tokens are stored encrypted)
+export interface OAuthConnection {
+  id: string;
+  user_id: string; // NOT NULL, foreign key to users(id)
+  provider: 'google'; // NOT NULL, DEFAULT 'google'::text in SQL
+  
+  // Connected account
+  account_email?: string;
+  scopes?: string[]; // DEFAULT '{}'::text[] in SQL
+  
+  // Encrypted tokens
+  access_token_encrypted?: string;
+  refresh_token_encrypted: string; // NOT NULL constraint in SQL
+  token_expires_at?: string; // timestamp with time zone in SQL
+  
+  // Connection health
+  status: 'connected' | 'needs_reauth'; // NOT NULL, DEFAULT 'connected'::text in SQL
+  last_refreshed_at?: string; // timestamp with time zone in SQL
+  last_error?: string;
+  connected_at?: string; // DEFAULT now() in SQL
+  
+  // Meta
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+}
+
+export interface AppointmentReminder {
+  id: string;
+  person_id: string; // NOT NULL, foreign key to persons(id)
+  appointment_date: string; // NOT NULL, timestamp with time zone in SQL
+  offset_minutes: number; // NOT NULL
+  
+  // Delivery
+  status: 'sending' | 'sent' | 'failed' | 'skipped'; // NOT NULL, DEFAULT 'sending'::text in SQL
+  channel?: 'sms' | 'email';
+  message_id?: string; // foreign key to messages(id)
+  interaction_id?: string; // foreign key to interactions(id)
+  sent_at?: string; // timestamp with time zone in SQL
+  error?: string;
+  
+  // Reply to an SMS reminder
+  reply?: 'confirm' | 'reschedule';
+  replied_at?: string; // timestamp with time zone in SQL
+  
+  // Meta
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+}
+
+export interface BillingEvent {
+  id: string;
+  stripe_event_id: string; // NOT NULL, UNIQUE
+  event_type: string; // NOT NULL
+  person_id?: string; // foreign key to persons(id)
+  organization_id?: string; // foreign key to organizations(id), for ORCA subscription events
+  amount?: number; // numeric in SQL
+  created_at?: string; // DEFAULT now() in SQL
+}
+
+export interface CalendarSync {
+  id: string;
+  user_id: string; // NOT NULL, UNIQUE, foreign key to users(id)
+  calendar_id: string; // NOT NULL, DEFAULT 'primary'::text in SQL
+  
+  // Incremental sync
+  sync_token?: string;
+  last_synced_at?: string; // timestamp with time zone in SQL
+  last_error?: string;
+  
+  // Push notification channel
+  channel_id?: string; // UNIQUE
+  channel_token?: string;
+  channel_resource_id?: string;
+  channel_expires_at?: string; // timestamp with time zone in SQL
+  
+  // Meta
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+}
+
+export interface MemberCheckout {
+  id: string;
+  person_id: string; // NOT NULL, foreign key to persons(id)
+  membership_type?: string;
+  membership_plan_id?: string; // foreign key to membership_plans(id)
+  price_id: string; // NOT NULL
+  method: 'checkout' | 'payment_link'; // NOT NULL
+  stripe_id: string; // NOT NULL, UNIQUE
+  url: string; // NOT NULL
+  status: 'open' | 'completed'; // NOT NULL, DEFAULT 'open'::text in SQL
+  completed_at?: string; // timestamp with time zone in SQL
+  created_by?: string; // foreign key to users(id)
+  
+  // Meta
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+}
+
+export interface MembershipPlan {
+  id: string;
+  name: string; // NOT NULL, unique regardless of case
+  description?: string;
+  monthly_price: number; // NOT NULL, numeric in SQL
+  billing_interval: 'month' | 'quarter' | 'year'; // NOT NULL, DEFAULT 'month'::text in SQL
+  trial_days: number; // NOT NULL, DEFAULT 0 in SQL
+  enrollment_fee: number; // NOT NULL, DEFAULT 0 in SQL, numeric in SQL
+  is_active: boolean; // NOT NULL, DEFAULT true in SQL
+  
+  // Stripe
+  stripe_product_id?: string;
+  stripe_price_id?: string; // Recurring price charged each billing interval
+  stripe_enrollment_price_id?: string; // One-time price for the enrollment fee
+  
+  // Meta
+  created_by?: string; // foreign key to users(id)
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+}
+
+// How the credit for a referral with several referrers is split
+export type AttributionModel = 'first_touch' | 'last_touch' | 'equal_split' | 'manual';
+
+export interface Organization {
+  id: string;
+  name: string; // NOT NULL
+  plan_tier: 'starter' | 'growth' | 'scale'; // NOT NULL, DEFAULT 'starter'::text in SQL
+  
+  // Stripe subscription to the tier
+  stripe_customer_id?: string;
+  stripe_subscription_id?: string;
+  subscription_status?: string; // Stripe subscription status
+  current_period_end?: string; // timestamp with time zone in SQL
+  
+  attribution_model: AttributionModel; // NOT NULL, DEFAULT 'first_touch'::text in SQL
+  lead_scoring_weights: Partial<Record<LeadScoreSignal, number>>; // jsonb in SQL, NOT NULL DEFAULT '{}'; overrides the default weights
+  
+  // Meta
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+}
+
+// Each score the lead scoring engine gave a lead
+export interface LeadScoreHistory {
+  id: string;
+  organization_id: string; // NOT NULL, foreign key to organizations(id) ON DELETE CASCADE
+  person_id: string; // NOT NULL, foreign key to persons(id) ON DELETE CASCADE
+  readiness_score: number; // NOT NULL, 1-10
+  conversion_probability: number; // NOT NULL, 0-100
+  lead_temperature: 'cold' | 'warm' | 'hot'; // NOT NULL
+  factors: LeadScoreFactor[]; // jsonb in SQL, NOT NULL DEFAULT '[]'
+  trigger: string; // NOT NULL; 'nightly', 'lead_created', 'lead_updated', 'status_changed', 'interaction', 'message' or 'manual'
+  created_at?: string; // DEFAULT now() in SQL
+}
+
+export interface Location {
+  id: string;
+  organization_id: string; // NOT NULL, foreign key to organizations(id) ON DELETE CASCADE
+  name: string; // NOT NULL, unique within the organization regardless of case
+  address?: Record<string, any>; // jsonb in SQL
+  phone?: string;
+  timezone?: string;
+  is_active: boolean; // NOT NULL, DEFAULT true in SQL
+  
+  // Meta
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+}
+
+export interface IncentiveTier {
+  min_referrals: number; // Converted referrals the referrer needs for this tier
+  reward_amount: number;
+}
+
+export interface IncentiveRule {
+  id: string;
+  organization_id: string; // NOT NULL, foreign key to organizations(id) ON DELETE CASCADE
+  name: string; // NOT NULL
+  description?: string;
+  
+  // When the rule pays
+  trigger: 'conversion' | 'milestone'; // NOT NULL, DEFAULT 'conversion'::text in SQL
+  referral_threshold?: number; // Required for milestones, SQL CHECK constraint: referral_threshold >= 1
+  repeats: boolean; // NOT NULL, DEFAULT false in SQL
+  
+  // The reward
+  reward_type: 'credit' | 'free_month' | 'cash' | 'gift'; // NOT NULL, DEFAULT 'credit'::text in SQL
+  reward_amount: number; // NOT NULL, DEFAULT 0 in SQL, numeric in SQL
+  tiers: IncentiveTier[]; // NOT NULL, DEFAULT '[]'::jsonb in SQL
+  
+  // Time box
+  starts_at?: string; // timestamp with time zone in SQL
+  ends_at?: string; // timestamp with time zone in SQL
+  
+  requires_approval: boolean; // NOT NULL, DEFAULT true in SQL
+  is_active: boolean; // NOT NULL, DEFAULT true in SQL
+  
+  // Meta
+  created_by?: string; // foreign key to users(id)
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+}
+
+export interface IncentiveAward {
+  id: string;
+  organization_id: string; // NOT NULL, foreign key to organizations(id) ON DELETE CASCADE
+  rule_id: string; // NOT NULL, foreign key to incentive_rules(id) ON DELETE CASCADE
+  person_id: string; // NOT NULL, the referrer earning the reward
+  referral_id: string; // NOT NULL, the referral whose conversion earned it
+  relationship_id?: string; // foreign key to relationships(id)
+  attribution_percentage: number; // NOT NULL, DEFAULT 100 in SQL
+  referral_count: number; // NOT NULL, DEFAULT 0 in SQL, numeric in SQL
+  reward_type: IncentiveRule['reward_type']; // NOT NULL
+  amount: number; // NOT NULL, DEFAULT 0 in SQL, numeric in SQL
+  
+  // Approval
+  status: 'pending' | 'approved' | 'rejected' | 'paid'; // NOT NULL, DEFAULT 'pending'::text in SQL
+  reviewed_by?: string; // foreign key to users(id)
+  reviewed_at?: string; // timestamp with time zone in SQL
+  review_notes?: string;
+  paid_at?: string; // timestamp with time zone in SQL
+  
+  // Meta
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+}
+
+export interface IncentivePayout {
+  id: string;
+  organization_id: string; // NOT NULL, foreign key to organizations(id) ON DELETE CASCADE
+  award_id: string; // NOT NULL, UNIQUE, foreign key to incentive_awards(id)
+  person_id: string; // NOT NULL, the referrer paid
+  amount: number; // NOT NULL, numeric in SQL
+  reward_type: IncentiveRule['reward_type']; // NOT NULL
+  method: string; // NOT NULL, DEFAULT 'account_credit'::text in SQL
+  reference?: string;
+  notes?: string;
+  paid_by?: string; // foreign key to users(id)
+  created_at?: string; // DEFAULT now() in SQL
+}
+
+// A row of an import that could not be written, numbered as in the file
+export interface ImportRowError {
+  row: number;
+  errors: string[];
+}
+
+// A CSV or XLSX file of leads or members being imported
+export interface ImportJob {
+  id: string;
+  organization_id: string; // NOT NULL, foreign key to organizations(id) ON DELETE CASCADE
+  location_id?: string | null; // foreign key to locations(id) ON DELETE SET NULL
+  created_by?: string | null; // foreign key to users(id) ON DELETE SET NULL
+  import_type: 'lead' | 'member'; // NOT NULL
+  file_name: string; // NOT NULL
+  headers: string[]; // jsonb in SQL, NOT NULL DEFAULT '[]'
+  rows: string[][]; // jsonb in SQL, NOT NULL DEFAULT '[]'; the file's data rows
+  total_rows: number; // NOT NULL DEFAULT 0
+  column_mapping: Record<string, string>; // jsonb in SQL, NOT NULL DEFAULT '{}'; file column -> field
+  duplicate_strategy: 'skip' | 'update'; // NOT NULL, DEFAULT 'skip'::text in SQL
+  status: 'uploaded' | 'queued' | 'processing' | 'completed' | 'failed'; // NOT NULL, DEFAULT 'uploaded'::text in SQL
+  processed_rows: number; // NOT NULL DEFAULT 0
+  created_count: number; // NOT NULL DEFAULT 0
+  updated_count: number; // NOT NULL DEFAULT 0
+  skipped_count: number; // NOT NULL DEFAULT 0
+  error_count: number; // NOT NULL DEFAULT 0
+  errors: ImportRowError[]; // jsonb in SQL, NOT NULL DEFAULT '[]'
+  last_error?: string | null;
+  started_at?: string | null;
+  progressed_at?: string | null; // When the last chunk was written
+  completed_at?: string | null;
+  created_at?: string; // DEFAULT now() in SQL
+  updated_at?: string; // DEFAULT now() in SQL
+}
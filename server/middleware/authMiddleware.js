@@ -1,12 +1,16 @@
 const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
 const supabase = require('../config/supabase');
+const tenancy = require('../utils/tenancy');
 
 // Load environment variables
 dotenv.config();
 
 /**
  * Middleware to protect routes by validating JWT token
+ * Also resolves the tenant scope the request works in (req.tenant): the user's
+ * organization, and the location picked in the location switcher, sent as the
+ * X-Location-Id header.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -53,6 +57,16 @@ exports.protect = async (req, res, next) => {
       
       // Add user to request object
       req.user = user;
+      
+      try {
+        req.tenant = await tenancy.resolveTenant(user, req.headers['x-location-id'] || null);
+      } catch (tenantError) {
+        return res.status(tenantError.statusCode || 500).json({
+          status: 'error',
+          message: tenantError.message
+        });
+      }
+      
       next();
     } catch (error) {
       return res.status(401).json({
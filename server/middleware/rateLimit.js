@@ -0,0 +1,67 @@
+/**
+ * Rate Limiting Middleware
+ * Limits how often a client can call public (unauthenticated) endpoints
+ *
+ * Counts are kept in memory per server instance, in fixed windows keyed by
+ * client IP. Set TRUST_PROXY when running behind a proxy so req.ip is the
+ * visitor's address rather than the proxy's.
+ */
+
+/**
+ * Create a rate limiting middleware
+ *
+ * @param {Object} options - Limiter options
+ * @param {Number} options.windowMs - Length of a window in milliseconds
+ * @param {Number} options.max - Requests allowed per client per window
+ * @param {String} options.message - Error message once the limit is reached
+ * @param {Function} options.keyGenerator - Derives the client key from a request (default: req.ip)
+ * @returns {Function} Express middleware
+ */
+exports.rateLimit = ({
+  windowMs = 15 * 60 * 1000,
+  max = 10,
+  message = 'Too many requests, please try again later',
+  keyGenerator = (req) => req.ip
+} = {}) => {
+  const hits = new Map();
+
+  const middleware = (req, res, next) => {
+    const now = Date.now();
+    const key = keyGenerator(req);
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      // Drop expired windows while we are here so the map cannot grow unbounded
+      for (const [storedKey, stored] of hits) {
+        if (stored.resetAt <= now) {
+          hits.delete(storedKey);
+        }
+      }
+
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count++;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - entry.count, 0)));
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+
+      return res.status(429).json({
+        status: 'error',
+        message
+      });
+    }
+
+    next();
+  };
+
+  // Lets tests and admin tooling start from a clean slate
+  middleware.reset = () => hits.clear();
+
+  return middleware;
+};
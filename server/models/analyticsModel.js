@@ -0,0 +1,183 @@
+/**
+ * Analytics Model
+ * Handles the aggregate reads behind the dashboard's KPIs, funnel, sources and trends
+ */
+const supabase = require('../config/supabase');
+const { applyScope } = require('../utils/tenancy');
+
+/**
+ * Count persons with a role flag
+ * @param {Object} filters - Query filters
+ * @param {String} filters.flag - Role flag to count ('is_lead', 'is_member' or 'is_referral')
+ * @param {String} filters.createdSince - Only count persons created on or after this ISO timestamp
+ * @param {UUID} filters.assignedTo - Only count persons assigned to this user
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<number>} Number of persons
+ */
+exports.countPersons = async ({ flag, createdSince = null, assignedTo = null }, scope = null) => {
+  try {
+    let query = applyScope(supabase
+      .from('persons')
+      .select('id', { count: 'exact', head: true })
+      .eq(flag, true), scope);
+    
+    if (createdSince) {
+      query = query.gte('created_at', createdSince);
+    }
+    
+    if (assignedTo) {
+      query = query.eq('assigned_to', assignedTo);
+    }
+    
+    const { count, error } = await query;
+    
+    if (error) {
+      throw error;
+    }
+    
+    return count || 0;
+  } catch (error) {
+    console.error('Error in countPersons:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count members whose membership is active
+ * @param {Object} filters - Query filters
+ * @param {UUID} filters.assignedTo - Only count members assigned to this user
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<number>} Number of active members
+ */
+exports.countActiveMembers = async ({ assignedTo = null } = {}, scope = null) => {
+  try {
+    let query = applyScope(supabase
+      .from('persons')
+      .select('id, member_extensions!inner(membership_status)', { count: 'exact', head: true })
+      .eq('is_member', true)
+      .eq('member_extensions.membership_status', 'active'), scope);
+    
+    if (assignedTo) {
+      query = query.eq('assigned_to', assignedTo);
+    }
+    
+    const { count, error } = await query;
+    
+    if (error) {
+      throw error;
+    }
+    
+    return count || 0;
+  } catch (error) {
+    console.error('Error in countActiveMembers:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of leads with the fields the funnel and source reports need
+ * @param {Object} filters - Query filters
+ * @param {UUID} filters.assignedTo - Only include leads assigned to this user
+ * @param {Object} pagination - { page, pageSize }
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array>} Persons with acquisition_source, created_at and lead_extensions (lead_status, status_history)
+ */
+exports.getLeadsForAnalytics = async ({ assignedTo = null } = {}, { page = 0, pageSize = 1000 } = {}, scope = null) => {
+  try {
+    const from = page * pageSize;
+    
+    let query = applyScope(supabase
+      .from('persons')
+      .select(`
+        id, acquisition_source, created_at, assigned_to,
+        lead_extensions!inner (lead_status, status_history)
+      `)
+      .eq('is_lead', true), scope);
+    
+    if (assignedTo) {
+      query = query.eq('assigned_to', assignedTo);
+    }
+    
+    const { data, error } = await query
+      .order('id')
+      .range(from, from + pageSize - 1);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getLeadsForAnalytics:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get new and converted lead counts for each period in a date range
+ * Runs get_lead_metrics_by_period (server/config/sql/get_lead_metrics_by_period.sql).
+ * @param {Object} params - Report parameters
+ * @param {String} params.startDate - Start of the range (ISO timestamp)
+ * @param {String} params.endDate - End of the range (ISO timestamp)
+ * @param {String} params.interval - Period length ('1 day', '1 week' or '1 month')
+ * @param {UUID} params.assignedTo - Only count leads assigned to this user
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array>} [{ date, new_leads, converted_leads, conversion_rate }]
+ */
+exports.getLeadMetricsByPeriod = async ({ startDate, endDate, interval, assignedTo = null }, scope) => {
+  try {
+    const { data, error } = await supabase.rpc('get_lead_metrics_by_period', {
+      start_date: startDate,
+      end_date: endDate,
+      period_interval: interval,
+      org_id: scope.organizationId,
+      location_ids: scope.locationId ? [scope.locationId] : null,
+      assigned_user: assignedTo
+    });
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getLeadMetricsByPeriod:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of leads or referrals with the fields the pipeline report needs
+ * @param {Object} filters - Query filters
+ * @param {String} filters.flag - Role flag of the records ('is_lead' or 'is_referral')
+ * @param {String} filters.extension - Extension table holding the status ('lead_extensions' or 'referral_extensions')
+ * @param {String} filters.columns - Extension columns to read, including status_history
+ * @param {Object} pagination - { page, pageSize }
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array>} Persons with acquisition fields, their salesperson and their extension
+ */
+exports.getRecordsForReport = async ({ flag, extension, columns }, { page = 0, pageSize = 1000 } = {}, scope = null) => {
+  try {
+    const from = page * pageSize;
+    
+    const { data, error } = await applyScope(supabase
+      .from('persons')
+      .select(`
+        id, acquisition_source, acquisition_campaign, acquisition_date, created_at, assigned_to,
+        salesperson:assigned_to (id, first_name, last_name),
+        ${extension}!inner (${columns})
+      `)
+      .eq(flag, true), scope)
+      .order('id')
+      .range(from, from + pageSize - 1);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getRecordsForReport:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,118 @@
+/**
+ * Appointment Reminder Model
+ * Handles database interactions for the reminders sent before referral appointments
+ */
+const supabase = require('../config/supabase');
+
+/**
+ * Standard fields for the appointment_reminders table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.appointmentReminderFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  person_id: 'uuid', // NOT NULL constraint in SQL, foreign key to persons(id)
+  appointment_date: 'timestamp', // NOT NULL constraint in SQL
+  offset_minutes: 'integer', // NOT NULL constraint in SQL
+  
+  // Delivery
+  status: 'text', // NOT NULL, DEFAULT 'sending'::text in SQL ('sending', 'sent', 'failed' or 'skipped')
+  channel: 'text', // 'sms' or 'email'
+  message_id: 'uuid', // Foreign key to messages(id)
+  interaction_id: 'uuid', // Foreign key to interactions(id)
+  sent_at: 'timestamp',
+  error: 'text',
+  
+  // Reply to an SMS reminder
+  reply: 'text', // 'confirm' or 'reschedule'
+  replied_at: 'timestamp',
+  
+  // Meta
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Claim a reminder before sending it
+ * The row is unique per person, appointment time and offset, so only one
+ * worker can claim a given reminder.
+ * @param {Object} reminderData - person_id, appointment_date and offset_minutes
+ * @returns {Promise<Object|null>} Claimed reminder, or null if it was already claimed
+ */
+exports.claimReminder = async (reminderData) => {
+  try {
+    const { data, error } = await supabase
+      .from('appointment_reminders')
+      .insert({ ...reminderData, status: 'sending' })
+      .select()
+      .single();
+    
+    if (error) {
+      // Unique violation: the reminder has already been handled
+      if (error.code === '23505') {
+        return null;
+      }
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in claimReminder:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a reminder
+ * @param {UUID} id - Reminder ID
+ * @param {Object} reminderData - Fields to update
+ * @returns {Promise<Object>} Updated reminder
+ */
+exports.updateReminder = async (id, reminderData) => {
+  try {
+    const { data, error } = await supabase
+      .from('appointment_reminders')
+      .update(reminderData)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateReminder:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the latest text reminder sent to a person for an appointment that has not passed
+ * @param {UUID} personId - Person ID
+ * @param {String} since - Only appointments at or after this time (ISO string)
+ * @returns {Promise<Object|null>} Reminder, or null if none was sent
+ */
+exports.getLatestSmsReminder = async (personId, since) => {
+  try {
+    const { data, error } = await supabase
+      .from('appointment_reminders')
+      .select('*')
+      .eq('person_id', personId)
+      .eq('channel', 'sms')
+      .eq('status', 'sent')
+      .gte('appointment_date', since)
+      .order('sent_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getLatestSmsReminder:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,194 @@
+/**
+ * Billing Model
+ * Handles database interactions for membership checkouts and processed Stripe webhook events
+ */
+const supabase = require('../config/supabase');
+
+/**
+ * Standard fields for the member_checkouts table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.memberCheckoutFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  person_id: 'uuid', // NOT NULL constraint in SQL, foreign key to persons(id)
+  membership_type: 'text',
+  membership_plan_id: 'uuid', // Foreign key to membership_plans(id)
+  price_id: 'text', // NOT NULL constraint in SQL, Stripe price ID
+  method: 'text', // NOT NULL constraint in SQL ('checkout' or 'payment_link')
+  stripe_id: 'text', // NOT NULL, UNIQUE constraint in SQL, checkout session or payment link ID
+  url: 'text', // NOT NULL constraint in SQL
+  status: 'text', // NOT NULL, DEFAULT 'open'::text in SQL ('open' or 'completed')
+  completed_at: 'timestamp',
+  created_by: 'uuid', // Foreign key to users(id)
+  
+  // Meta
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Standard fields for the billing_events table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.billingEventFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  stripe_event_id: 'text', // NOT NULL, UNIQUE constraint in SQL
+  event_type: 'text', // NOT NULL constraint in SQL
+  person_id: 'uuid', // Foreign key to persons(id)
+  organization_id: 'uuid', // Foreign key to organizations(id), for ORCA subscription events
+  amount: 'numeric', // Amount paid, for invoice events
+  created_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Record a checkout session or payment link created for a membership
+ * @param {Object} checkoutData - Checkout data
+ * @returns {Promise<Object>} Created checkout
+ */
+exports.createCheckout = async (checkoutData) => {
+  try {
+    const { data, error } = await supabase
+      .from('member_checkouts')
+      .insert(checkoutData)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createCheckout:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a checkout by its Stripe checkout session or payment link ID
+ * @param {String} stripeId - Checkout session or payment link ID
+ * @returns {Promise<Object|null>} Checkout, or null if none matches
+ */
+exports.getCheckoutByStripeId = async (stripeId) => {
+  try {
+    const { data, error } = await supabase
+      .from('member_checkouts')
+      .select('*')
+      .eq('stripe_id', stripeId)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getCheckoutByStripeId:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a checkout
+ * @param {UUID} id - Checkout ID
+ * @param {Object} checkoutData - Fields to update
+ * @returns {Promise<Object>} Updated checkout
+ */
+exports.updateCheckout = async (id, checkoutData) => {
+  try {
+    const { data, error } = await supabase
+      .from('member_checkouts')
+      .update(checkoutData)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateCheckout:', error);
+    throw error;
+  }
+};
+
+/**
+ * Claim a Stripe webhook event before processing it
+ * Stripe can deliver an event more than once; the event ID is unique, so
+ * only the first delivery is processed.
+ * @param {Object} eventData - stripe_event_id and event_type
+ * @returns {Promise<Object|null>} Claimed event, or null if it was already processed
+ */
+exports.claimEvent = async (eventData) => {
+  try {
+    const { data, error } = await supabase
+      .from('billing_events')
+      .insert(eventData)
+      .select()
+      .single();
+    
+    if (error) {
+      // Unique violation: the event has already been processed
+      if (error.code === '23505') {
+        return null;
+      }
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in claimEvent:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a processed event with what it applied to
+ * @param {UUID} id - Billing event ID
+ * @param {Object} eventData - person_id and amount
+ * @returns {Promise<Object>} Updated event
+ */
+exports.updateEvent = async (id, eventData) => {
+  try {
+    const { data, error } = await supabase
+      .from('billing_events')
+      .update(eventData)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateEvent:', error);
+    throw error;
+  }
+};
+
+/**
+ * Release a claimed event whose processing failed, so Stripe's retry is processed
+ * @param {UUID} id - Billing event ID
+ * @returns {Promise<Boolean>} True if successful
+ */
+exports.releaseEvent = async (id) => {
+  try {
+    const { error } = await supabase
+      .from('billing_events')
+      .delete()
+      .eq('id', id);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error in releaseEvent:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,129 @@
+/**
+ * Calendar Sync Model
+ * Handles database interactions for the sync state of users' Google Calendars
+ *
+ * Each row holds the incremental sync token and push notification channel
+ * used to pick up changes to appointment events made in Google.
+ */
+const supabase = require('../config/supabase');
+
+/**
+ * Standard fields for the calendar_syncs table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.calendarSyncFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  user_id: 'uuid', // NOT NULL, UNIQUE constraint in SQL, foreign key to users(id)
+  calendar_id: 'text', // NOT NULL, DEFAULT 'primary'::text in SQL
+  
+  // Incremental sync
+  sync_token: 'text',
+  last_synced_at: 'timestamp',
+  last_error: 'text',
+  
+  // Push notification channel
+  channel_id: 'text', // UNIQUE constraint in SQL
+  channel_token: 'text',
+  channel_resource_id: 'text',
+  channel_expires_at: 'timestamp',
+  
+  // Meta
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Get a user's calendar sync state
+ * @param {UUID} userId - User ID
+ * @returns {Promise<Object|null>} Sync state, or null if the calendar has not been synced
+ */
+exports.getSyncByUserId = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('calendar_syncs')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getSyncByUserId:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the sync state that owns a push notification channel
+ * @param {String} channelId - Channel ID from X-Goog-Channel-ID
+ * @returns {Promise<Object|null>} Sync state, or null for an unknown channel
+ */
+exports.getSyncByChannelId = async (channelId) => {
+  try {
+    const { data, error } = await supabase
+      .from('calendar_syncs')
+      .select('*')
+      .eq('channel_id', channelId)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getSyncByChannelId:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or update a user's calendar sync state
+ * @param {UUID} userId - User ID
+ * @param {Object} syncData - Fields to set
+ * @returns {Promise<Object>} Saved sync state
+ */
+exports.saveSync = async (userId, syncData) => {
+  try {
+    const { data, error } = await supabase
+      .from('calendar_syncs')
+      .upsert({ ...syncData, user_id: userId }, { onConflict: 'user_id' })
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in saveSync:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a user's calendar sync state
+ * @param {UUID} userId - User ID
+ * @returns {Promise<Boolean>} True if successful
+ */
+exports.deleteSync = async (userId) => {
+  try {
+    const { error } = await supabase
+      .from('calendar_syncs')
+      .delete()
+      .eq('user_id', userId);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error in deleteSync:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,266 @@
+/**
+ * Goal Model
+ * Handles database interactions for salespeople's monthly performance goals
+ * and the activity their progress is counted from
+ */
+const supabase = require('../config/supabase');
+const { applyScope } = require('../utils/tenancy');
+
+/**
+ * Standard fields for the performance_goals table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.performanceGoalFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  user_id: 'uuid', // NOT NULL, foreign key to users(id)
+  
+  // The target
+  month: 'date', // NOT NULL, first day of the month
+  metric: 'text', // NOT NULL ('new_leads', 'appointments_set', 'conversions', 'referrals_generated' or 'messages_sent')
+  target: 'integer', // NOT NULL, SQL CHECK constraint: target >= 0
+  
+  // Meta
+  created_by: 'uuid', // Foreign key to users(id)
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+  // UNIQUE (user_id, month, metric)
+};
+
+/**
+ * Get an organization's goals for a month
+ * @param {UUID} organizationId - Organization ID
+ * @param {Object} filters - Query filters
+ * @param {String} filters.month - First day of the month (YYYY-MM-DD)
+ * @param {UUID} filters.userId - Only get this user's goals
+ * @returns {Promise<Array>} Goals
+ */
+exports.getGoals = async (organizationId, { month, userId = null }) => {
+  try {
+    let query = supabase
+      .from('performance_goals')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('month', month);
+    
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getGoals:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save goals, replacing the target of any the user already has for the month and metric
+ * @param {Array<Object>} goals - Goals, each with organization_id, user_id, month, metric and target
+ * @returns {Promise<Array>} Saved goals
+ */
+exports.saveGoals = async (goals) => {
+  try {
+    const { data, error } = await supabase
+      .from('performance_goals')
+      .upsert(goals, { onConflict: 'user_id,month,metric' })
+      .select();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in saveGoals:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete one of an organization's goals
+ * @param {UUID} organizationId - Organization ID
+ * @param {UUID} id - Goal ID
+ * @returns {Promise<Object|null>} Deleted goal, or null if the organization has none with this ID
+ */
+exports.deleteGoal = async (organizationId, id) => {
+  try {
+    const { data, error } = await supabase
+      .from('performance_goals')
+      .delete()
+      .eq('organization_id', organizationId)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in deleteGoal:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get an organization's users
+ * @param {UUID} organizationId - Organization ID
+ * @returns {Promise<Array>} Users with id, first_name, last_name, role and location_id
+ */
+exports.getUsers = async (organizationId) => {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, first_name, last_name, role, location_id')
+      .eq('organization_id', organizationId)
+      .order('first_name');
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getUsers:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of the leads that changed on or after a date
+ * Leads created since then are included, as creating a lead writes its extension.
+ * @param {Object} filters - Query filters
+ * @param {String} filters.since - ISO timestamp
+ * @param {Object} pagination - { page, pageSize }
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array>} Persons with created_at, assigned_to and lead_extensions (status_history)
+ */
+exports.getLeadActivity = async ({ since }, { page = 0, pageSize = 1000 } = {}, scope = null) => {
+  try {
+    const from = page * pageSize;
+    
+    const { data, error } = await applyScope(supabase
+      .from('persons')
+      .select('id, created_at, assigned_to, lead_extensions!inner (status_history)')
+      .eq('is_lead', true)
+      .gte('lead_extensions.updated_at', since), scope)
+      .order('id')
+      .range(from, from + pageSize - 1);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getLeadActivity:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of the referrals that changed on or after a date
+ * @param {Object} filters - Query filters
+ * @param {String} filters.since - ISO timestamp
+ * @param {Object} pagination - { page, pageSize }
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array>} Persons with created_at, assigned_to and referral_extensions (conversion_status, conversion_date)
+ */
+exports.getReferralActivity = async ({ since }, { page = 0, pageSize = 1000 } = {}, scope = null) => {
+  try {
+    const from = page * pageSize;
+    
+    const { data, error } = await applyScope(supabase
+      .from('persons')
+      .select('id, created_at, assigned_to, referral_extensions!inner (conversion_status, conversion_date)')
+      .eq('is_referral', true)
+      .gte('referral_extensions.updated_at', since), scope)
+      .order('id')
+      .range(from, from + pageSize - 1);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getReferralActivity:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of the meetings logged in a period
+ * @param {Object} filters - Query filters
+ * @param {String} filters.since - Start of the period (ISO timestamp)
+ * @param {String} filters.until - End of the period, exclusive (ISO timestamp)
+ * @param {Object} pagination - { page, pageSize }
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array>} Interactions with id, user_id and person_id
+ */
+exports.getMeetings = async ({ since, until }, { page = 0, pageSize = 1000 } = {}, scope = null) => {
+  try {
+    const from = page * pageSize;
+    
+    const { data, error } = await applyScope(supabase
+      .from('interactions')
+      .select('id, user_id, person_id')
+      .eq('interaction_type', 'meeting')
+      .gte('created_at', since)
+      .lt('created_at', until), scope)
+      .order('id')
+      .range(from, from + pageSize - 1);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getMeetings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of the messages sent in a period
+ * Inbound replies and messages that failed to send are left out.
+ * @param {Object} filters - Query filters
+ * @param {String} filters.since - Start of the period (ISO timestamp)
+ * @param {String} filters.until - End of the period, exclusive (ISO timestamp)
+ * @param {Object} pagination - { page, pageSize }
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array>} Messages with id and sender_id
+ */
+exports.getSentMessages = async ({ since, until }, { page = 0, pageSize = 1000 } = {}, scope = null) => {
+  try {
+    const from = page * pageSize;
+    
+    const { data, error } = await applyScope(supabase
+      .from('messages')
+      .select('id, sender_id')
+      .eq('direction', 'outbound')
+      .neq('status', 'failed')
+      .gte('sent_at', since)
+      .lt('sent_at', until), scope)
+      .order('id')
+      .range(from, from + pageSize - 1);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getSentMessages:', error);
+    throw error;
+  }
+};
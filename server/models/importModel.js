@@ -0,0 +1,211 @@
+/**
+ * Import Model
+ * Handles database interactions for the import jobs that bring leads and
+ * members in from uploaded CSV and XLSX files
+ */
+const supabase = require('../config/supabase');
+const { applyScope, stampRecord } = require('../utils/tenancy');
+
+/**
+ * Standard fields for the import_jobs table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.importJobFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  location_id: 'uuid', // Foreign key to locations(id); where imported persons are created
+  created_by: 'uuid', // Foreign key to users(id)
+  
+  // The file
+  import_type: 'text', // NOT NULL ('lead' or 'member')
+  file_name: 'text', // NOT NULL
+  headers: 'jsonb', // NOT NULL, DEFAULT '[]'::jsonb in SQL; the file's header row
+  rows: 'jsonb', // NOT NULL, DEFAULT '[]'::jsonb in SQL; the file's data rows
+  total_rows: 'integer', // NOT NULL, DEFAULT 0 in SQL
+  
+  // How to import it
+  column_mapping: 'jsonb', // NOT NULL, DEFAULT '{}'::jsonb in SQL; file column -> field
+  duplicate_strategy: 'text', // NOT NULL, DEFAULT 'skip'::text in SQL ('skip' or 'update')
+  
+  // Progress
+  status: 'text', // NOT NULL, DEFAULT 'uploaded'::text in SQL ('uploaded', 'queued', 'processing', 'completed' or 'failed')
+  processed_rows: 'integer', // NOT NULL, DEFAULT 0 in SQL
+  created_count: 'integer', // NOT NULL, DEFAULT 0 in SQL
+  updated_count: 'integer', // NOT NULL, DEFAULT 0 in SQL
+  skipped_count: 'integer', // NOT NULL, DEFAULT 0 in SQL
+  error_count: 'integer', // NOT NULL, DEFAULT 0 in SQL
+  errors: 'jsonb', // NOT NULL, DEFAULT '[]'::jsonb in SQL; [{row, errors}] numbered as in the file
+  last_error: 'text', // Why the import failed
+  started_at: 'timestamp',
+  progressed_at: 'timestamp', // When the last chunk was written
+  completed_at: 'timestamp',
+  
+  // Meta
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+// Columns returned when listing imports; the rows themselves can be large
+const SUMMARY_COLUMNS = 'id, organization_id, location_id, created_by, import_type, file_name, headers, total_rows, '
+  + 'column_mapping, duplicate_strategy, status, processed_rows, created_count, updated_count, skipped_count, '
+  + 'error_count, last_error, started_at, progressed_at, completed_at, created_at, updated_at';
+
+/**
+ * Create an import job
+ * @param {Object} importData - Import job data
+ * @param {Object} scope - Tenant scope the import belongs to (see utils/tenancy.js)
+ * @returns {Promise<Object>} Created import job
+ */
+exports.createImport = async (importData, scope = null) => {
+  try {
+    const { data, error } = await supabase
+      .from('import_jobs')
+      .insert([stampRecord(importData, scope)])
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createImport:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get an import job with its rows
+ * @param {UUID} id - Import job ID
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Import job, or null if not found in the scope
+ */
+exports.getImportById = async (id, scope = null) => {
+  try {
+    const { data, error } = await applyScope(supabase
+      .from('import_jobs')
+      .select('*')
+      .eq('id', id), scope)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getImportById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get import jobs, newest first, without their rows
+ * @param {Object} filters - Optional query filters
+ * @param {String} filters.status - Only imports in this status
+ * @param {String} filters.progressedBefore - Only imports that last moved at or before this time
+ * @param {Object} pagination - Pagination options
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array>} Import jobs
+ */
+exports.getImports = async (filters = {}, pagination = { page: 0, pageSize: 20 }, scope = null) => {
+  try {
+    const { page, pageSize } = pagination;
+    const from = page * pageSize;
+    const to = from + pageSize - 1;
+    
+    let query = applyScope(supabase
+      .from('import_jobs')
+      .select(SUMMARY_COLUMNS), scope);
+    
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+    
+    if (filters.progressedBefore) {
+      query = query.lte('progressed_at', filters.progressedBefore);
+    }
+    
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getImports:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update an import job
+ * @param {UUID} id - Import job ID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object>} Updated import job, without its rows
+ */
+exports.updateImport = async (id, changes) => {
+  try {
+    const { data, error } = await supabase
+      .from('import_jobs')
+      .update({
+        ...changes,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select(SUMMARY_COLUMNS)
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateImport:', error);
+    throw error;
+  }
+};
+
+/**
+ * Claim an import job for processing
+ * The update only succeeds if the job is still in the state it was read in,
+ * so two workers can't both pick it up.
+ * @param {Object} importJob - Import job in 'queued' or stalled 'processing' state
+ * @returns {Promise<Object|null>} Claimed import job with its rows, or null if another worker claimed it
+ */
+exports.claimImport = async (importJob) => {
+  try {
+    const now = new Date().toISOString();
+    
+    let query = supabase
+      .from('import_jobs')
+      .update({
+        status: 'processing',
+        started_at: importJob.started_at || now,
+        progressed_at: now,
+        updated_at: now
+      })
+      .eq('id', importJob.id)
+      .eq('status', importJob.status);
+    
+    query = importJob.progressed_at
+      ? query.eq('progressed_at', importJob.progressed_at)
+      : query.is('progressed_at', null);
+    
+    const { data, error } = await query.select();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error in claimImport:', error);
+    throw error;
+  }
+};
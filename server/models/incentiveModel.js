@@ -0,0 +1,417 @@
+/**
+ * Incentive Model
+ * Handles database interactions for referral incentive rules, the awards
+ * referrers earn under them and the ledger of awards paid out
+ */
+const supabase = require('../config/supabase');
+
+/**
+ * Standard fields for the incentive_rules table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.incentiveRuleFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  name: 'text', // NOT NULL
+  description: 'text',
+  
+  // When the rule pays
+  trigger: 'text', // NOT NULL, DEFAULT 'conversion'::text in SQL ('conversion' or 'milestone')
+  referral_threshold: 'integer', // Required for milestones, SQL CHECK constraint: referral_threshold >= 1
+  repeats: 'boolean', // NOT NULL, DEFAULT false in SQL; milestones pay again every referral_threshold conversions
+  
+  // The reward
+  reward_type: 'text', // NOT NULL, DEFAULT 'credit'::text in SQL ('credit', 'free_month', 'cash' or 'gift')
+  reward_amount: 'numeric', // NOT NULL, DEFAULT 0 in SQL; what the reward is worth
+  tiers: 'jsonb', // NOT NULL, DEFAULT '[]'::jsonb in SQL; [{min_referrals, reward_amount}]
+  
+  // Time box
+  starts_at: 'timestamp',
+  ends_at: 'timestamp',
+  
+  requires_approval: 'boolean', // NOT NULL, DEFAULT true in SQL
+  is_active: 'boolean', // NOT NULL, DEFAULT true in SQL
+  
+  // Meta
+  created_by: 'uuid', // Foreign key to users(id)
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Standard fields for the incentive_awards table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.incentiveAwardFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  rule_id: 'uuid', // NOT NULL, foreign key to incentive_rules(id)
+  person_id: 'uuid', // NOT NULL, the referrer earning the reward
+  referral_id: 'uuid', // NOT NULL, the referral whose conversion earned it
+  relationship_id: 'uuid', // Foreign key to relationships(id)
+  
+  // How the reward was worked out
+  attribution_percentage: 'integer', // NOT NULL, DEFAULT 100 in SQL
+  referral_count: 'numeric', // NOT NULL, DEFAULT 0 in SQL; converted referrals weighted by attribution
+  reward_type: 'text', // NOT NULL
+  amount: 'numeric', // NOT NULL, DEFAULT 0 in SQL
+  
+  // Approval
+  status: 'text', // NOT NULL, DEFAULT 'pending'::text in SQL ('pending', 'approved', 'rejected' or 'paid')
+  reviewed_by: 'uuid', // Foreign key to users(id)
+  reviewed_at: 'timestamp',
+  review_notes: 'text',
+  paid_at: 'timestamp',
+  
+  // Meta
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Standard fields for the incentive_payouts table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.incentivePayoutFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  award_id: 'uuid', // NOT NULL, UNIQUE, foreign key to incentive_awards(id)
+  person_id: 'uuid', // NOT NULL, the referrer paid
+  amount: 'numeric', // NOT NULL
+  reward_type: 'text', // NOT NULL
+  method: 'text', // NOT NULL, DEFAULT 'account_credit'::text in SQL
+  reference: 'text',
+  notes: 'text',
+  paid_by: 'uuid', // Foreign key to users(id)
+  created_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Get an organization's incentive rules, newest first
+ * @param {UUID} organizationId - Organization ID
+ * @param {Object} options - Query options
+ * @param {Boolean} options.includeInactive - Include rules that have been switched off
+ * @returns {Promise<Array>} Incentive rules
+ */
+exports.getRules = async (organizationId, { includeInactive = false } = {}) => {
+  try {
+    let query = supabase
+      .from('incentive_rules')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: false });
+    
+    if (!includeInactive) {
+      query = query.eq('is_active', true);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getRules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get one of an organization's incentive rules
+ * @param {UUID} organizationId - Organization ID
+ * @param {UUID} id - Rule ID
+ * @returns {Promise<Object|null>} Rule, or null if the organization has none with this ID
+ */
+exports.getRuleById = async (organizationId, id) => {
+  try {
+    const { data, error } = await supabase
+      .from('incentive_rules')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getRuleById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create an incentive rule
+ * @param {Object} ruleData - Rule data, including organization_id
+ * @returns {Promise<Object>} Created rule
+ */
+exports.createRule = async (ruleData) => {
+  try {
+    const { data, error } = await supabase
+      .from('incentive_rules')
+      .insert(ruleData)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createRule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update one of an organization's incentive rules
+ * @param {UUID} organizationId - Organization ID
+ * @param {UUID} id - Rule ID
+ * @param {Object} ruleData - Fields to update
+ * @returns {Promise<Object>} Updated rule
+ */
+exports.updateRule = async (organizationId, id, ruleData) => {
+  try {
+    const { data, error } = await supabase
+      .from('incentive_rules')
+      .update(ruleData)
+      .eq('organization_id', organizationId)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateRule:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record an award
+ * A rule only awards a referrer once for each referral, so evaluating a
+ * conversion again doesn't award anything twice.
+ * @param {Object} awardData - Award data
+ * @returns {Promise<Object|null>} Created award, or null if it was already awarded
+ */
+exports.createAward = async (awardData) => {
+  try {
+    const { data, error } = await supabase
+      .from('incentive_awards')
+      .insert(awardData)
+      .select()
+      .single();
+    
+    if (error) {
+      // Unique violation: the rule has already awarded this referrer for this referral
+      if (error.code === '23505') {
+        return null;
+      }
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createAward:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get an organization's awards, newest first, with their rule, referrer and referral
+ * @param {UUID} organizationId - Organization ID
+ * @param {Object} filters - Filter criteria
+ * @param {String} filters.status - Award status; 'pending' is the approval queue
+ * @param {UUID} filters.personId - Referrer
+ * @param {UUID} filters.referralId - Referral
+ * @param {Object} pagination - Pagination options
+ * @returns {Promise<Array>} Awards
+ */
+exports.getAwards = async (organizationId, filters = {}, pagination = { page: 0, pageSize: 50 }) => {
+  try {
+    const { page, pageSize } = pagination;
+    const from = page * pageSize;
+    const to = from + pageSize - 1;
+    
+    let query = supabase
+      .from('incentive_awards')
+      .select(`
+        *,
+        rule:rule_id (id, name, trigger, reward_type),
+        referrer:person_id (id, first_name, last_name, email),
+        referral:referral_id (id, first_name, last_name)
+      `)
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+    
+    if (filters.personId) {
+      query = query.eq('person_id', filters.personId);
+    }
+    
+    if (filters.referralId) {
+      query = query.eq('referral_id', filters.referralId);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getAwards:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get one of an organization's awards
+ * @param {UUID} organizationId - Organization ID
+ * @param {UUID} id - Award ID
+ * @returns {Promise<Object|null>} Award, or null if the organization has none with this ID
+ */
+exports.getAwardById = async (organizationId, id) => {
+  try {
+    const { data, error } = await supabase
+      .from('incentive_awards')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getAwardById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Move an award on from one of the statuses it may be in
+ * Matching on the current status means two reviewers can't both act on it.
+ * @param {UUID} organizationId - Organization ID
+ * @param {UUID} id - Award ID
+ * @param {Array<String>} fromStatuses - Statuses the award may be moved from
+ * @param {Object} awardData - New status and review fields
+ * @returns {Promise<Object|null>} Updated award, or null if it wasn't in one of fromStatuses
+ */
+exports.updateAwardStatus = async (organizationId, id, fromStatuses, awardData) => {
+  try {
+    const { data, error } = await supabase
+      .from('incentive_awards')
+      .update(awardData)
+      .eq('organization_id', organizationId)
+      .eq('id', id)
+      .in('status', fromStatuses)
+      .select()
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateAwardStatus:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a payout to the ledger
+ * @param {Object} payoutData - Payout data
+ * @returns {Promise<Object|null>} Created payout, or null if the award has already been paid
+ */
+exports.createPayout = async (payoutData) => {
+  try {
+    const { data, error } = await supabase
+      .from('incentive_payouts')
+      .insert(payoutData)
+      .select()
+      .single();
+    
+    if (error) {
+      // Unique violation: the award already has a payout
+      if (error.code === '23505') {
+        return null;
+      }
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createPayout:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get an organization's payout ledger, newest first
+ * @param {UUID} organizationId - Organization ID
+ * @param {Object} filters - Filter criteria
+ * @param {UUID} filters.personId - Referrer paid
+ * @param {String} filters.dateFrom - Paid on or after
+ * @param {String} filters.dateTo - Paid on or before
+ * @param {Object} pagination - Pagination options
+ * @returns {Promise<Array>} Payouts
+ */
+exports.getPayouts = async (organizationId, filters = {}, pagination = { page: 0, pageSize: 50 }) => {
+  try {
+    const { page, pageSize } = pagination;
+    const from = page * pageSize;
+    const to = from + pageSize - 1;
+    
+    let query = supabase
+      .from('incentive_payouts')
+      .select(`
+        *,
+        award:award_id (id, rule_id, referral_id),
+        person:person_id (id, first_name, last_name, email)
+      `)
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: false })
+      .range(from, to);
+    
+    if (filters.personId) {
+      query = query.eq('person_id', filters.personId);
+    }
+    
+    if (filters.dateFrom) {
+      query = query.gte('created_at', filters.dateFrom);
+    }
+    
+    if (filters.dateTo) {
+      query = query.lte('created_at', filters.dateTo);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getPayouts:', error);
+    throw error;
+  }
+};
@@ -4,6 +4,9 @@
  */
 const supabase = require('../config/supabase');
 const { SchemaConstraints } = require('../db/schema/types');
+const personModel = require('./personModel');
+const { applyScope, restrictChanges, getTenantColumns, isInScope } = require('../utils/tenancy');
+const { CustomError } = require('../utils/errorHandler');
 
 /**
  * Standard fields for the interactions table, matching Supabase database structure
@@ -16,6 +19,10 @@ exports.interactionFields = {
   user_id: 'uuid', // Nullable in SQL
   interaction_type: 'text',
   
+  // Tenant, always the person's
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  location_id: 'uuid', // Foreign key to locations(id)
+  
   // Content
   subject: 'text',
   content: 'text',
@@ -96,22 +103,23 @@ exports.validateInteraction = (interactionData) => {
  * @param {Object} pagination - Pagination options
  * @param {Number} pagination.page - Page number (0-indexed)
  * @param {Number} pagination.pageSize - Items per page
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Array>} Array of interaction records
  */
-exports.getAllInteractions = async (filters = {}, pagination = { page: 0, pageSize: 10 }) => {
+exports.getAllInteractions = async (filters = {}, pagination = { page: 0, pageSize: 10 }, scope = null) => {
   try {
     const { page, pageSize } = pagination;
     const from = page * pageSize;
     const to = from + pageSize - 1;
     
-    let query = supabase
+    let query = applyScope(supabase
       .from('interactions')
       .select(`
         *,
         persons:person_id (id, first_name, last_name, email, phone),
         users:user_id (id, first_name, last_name, email)
       `)
-      .range(from, to);
+      .range(from, to), scope);
     
     // Apply filters
     if (filters.personId) {
@@ -161,19 +169,20 @@ exports.getAllInteractions = async (filters = {}, pagination = { page: 0, pageSi
 /**
  * Get an interaction by ID
  * @param {UUID} id - Interaction ID
- * @returns {Promise<Object>} Interaction record
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Interaction record, or null if none is found in the scope
  */
-exports.getInteractionById = async (id) => {
+exports.getInteractionById = async (id, scope = null) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('interactions')
       .select(`
         *,
         persons:person_id (id, first_name, last_name, email, phone),
         users:user_id (id, first_name, last_name, email)
       `)
-      .eq('id', id)
-      .single();
+      .eq('id', id), scope)
+      .maybeSingle();
     
     if (error) {
       throw error;
@@ -190,21 +199,22 @@ exports.getInteractionById = async (id) => {
  * Get interactions for a specific person
  * @param {UUID} personId - Person ID
  * @param {Object} pagination - Pagination options
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Array>} Array of interaction records
  */
-exports.getInteractionsByPersonId = async (personId, pagination = { page: 0, pageSize: 10 }) => {
+exports.getInteractionsByPersonId = async (personId, pagination = { page: 0, pageSize: 10 }, scope = null) => {
   try {
     const { page, pageSize } = pagination;
     const from = page * pageSize;
     const to = from + pageSize - 1;
     
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('interactions')
       .select(`
         *,
         users:user_id (id, first_name, last_name, email)
       `)
-      .eq('person_id', personId)
+      .eq('person_id', personId), scope)
       .order('created_at', { ascending: false })
       .range(from, to);
     
@@ -240,9 +250,11 @@ exports.getInteractionsByPersonId = async (personId, pagination = { page: 0, pag
  * @param {String} interactionData.template_id - Template used for the interaction
  * @param {String} interactionData.notes - Additional notes
  * @param {Object} interactionData.custom_fields - Custom data fields
- * @returns {Promise<Object>} Created interaction record
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js); the person must be in it
+ * @returns {Promise<Object>} Created interaction record, in the person's organization and location
+ * @throws {CustomError} 404 if the person is not found in the scope
  */
-exports.createInteraction = async (interactionData) => {
+exports.createInteraction = async (interactionData, scope = null) => {
   try {
     // Validate data
     const validation = exports.validateInteraction(interactionData);
@@ -251,10 +263,17 @@ exports.createInteraction = async (interactionData) => {
       throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
     }
     
+    const person = await personModel.getPersonTenant(interactionData.person_id);
+    
+    if (!person || !isInScope(person, scope)) {
+      throw new CustomError(`Person with ID ${interactionData.person_id} not found`, 404);
+    }
+    
     // Add timestamps if not provided
     const now = new Date().toISOString();
     const dataWithTimestamps = {
       ...validation.data,
+      ...getTenantColumns(person),
       created_at: interactionData.created_at || now,
       updated_at: interactionData.updated_at || now
     };
@@ -280,9 +299,10 @@ exports.createInteraction = async (interactionData) => {
  * Update an interaction
  * @param {UUID} id - Interaction ID
  * @param {Object} interactionData - Interaction data to update
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Object>} Updated interaction record
  */
-exports.updateInteraction = async (id, interactionData) => {
+exports.updateInteraction = async (id, interactionData, scope = null) => {
   try {
     // Validate data
     const validation = exports.validateInteraction(interactionData);
@@ -294,14 +314,14 @@ exports.updateInteraction = async (id, interactionData) => {
     // Add updated timestamp
     const now = new Date().toISOString();
     const dataWithTimestamp = {
-      ...validation.data,
+      ...restrictChanges(validation.data, scope),
       updated_at: now
     };
     
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('interactions')
       .update(dataWithTimestamp)
-      .eq('id', id)
+      .eq('id', id), scope)
       .select()
       .single();
     
@@ -319,14 +339,15 @@ exports.updateInteraction = async (id, interactionData) => {
 /**
  * Delete an interaction
  * @param {UUID} id - Interaction ID
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<boolean>} Success flag
  */
-exports.deleteInteraction = async (id) => {
+exports.deleteInteraction = async (id, scope = null) => {
   try {
-    const { error } = await supabase
+    const { error } = await applyScope(supabase
       .from('interactions')
       .delete()
-      .eq('id', id);
+      .eq('id', id), scope);
     
     if (error) {
       throw error;
@@ -342,14 +363,15 @@ exports.deleteInteraction = async (id) => {
 /**
  * Get interaction counts by type
  * @param {UUID} personId - Person ID
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Object>} Count of interactions by type
  */
-exports.getInteractionCountsByType = async (personId) => {
+exports.getInteractionCountsByType = async (personId, scope = null) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('interactions')
       .select('interaction_type')
-      .eq('person_id', personId);
+      .eq('person_id', personId), scope);
     
     if (error) {
       throw error;
@@ -373,17 +395,18 @@ exports.getInteractionCountsByType = async (personId) => {
  * Get recent interactions for a user
  * @param {UUID} userId - User ID
  * @param {Number} limit - Maximum number of interactions to return
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Array>} Array of recent interaction records
  */
-exports.getRecentInteractionsByUser = async (userId, limit = 10) => {
+exports.getRecentInteractionsByUser = async (userId, limit = 10, scope = null) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('interactions')
       .select(`
         *,
         persons:person_id (id, first_name, last_name, email, phone)
       `)
-      .eq('user_id', userId)
+      .eq('user_id', userId), scope)
       .order('created_at', { ascending: false })
       .limit(limit);
     
@@ -403,15 +426,16 @@ exports.getRecentInteractionsByUser = async (userId, limit = 10) => {
  * @param {Date} startDate - Start date for counting
  * @param {Date} endDate - End date for counting
  * @param {UUID} userId - Optional user ID to filter by
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<number>} Count of scheduled interactions
  */
-exports.countScheduledInteractions = async (startDate, endDate, userId = null) => {
+exports.countScheduledInteractions = async (startDate, endDate, userId = null, scope = null) => {
   try {
-    let query = supabase
+    let query = applyScope(supabase
       .from('interactions')
       .select('id', { count: 'exact' })
       .gte('scheduled_at', startDate)
-      .lte('scheduled_at', endDate);
+      .lte('scheduled_at', endDate), scope);
     
     if (userId) {
       query = query.eq('user_id', userId);
@@ -435,17 +459,18 @@ exports.countScheduledInteractions = async (startDate, endDate, userId = null) =
  * @param {Object} options - Options
  * @param {number} options.limit - Number of interactions to return
  * @param {UUID} options.userId - Optional user ID to filter by
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Array>} Array of recent interactions
  */
-exports.getRecentInteractions = async ({ limit = 5, userId = null }) => {
+exports.getRecentInteractions = async ({ limit = 5, userId = null }, scope = null) => {
   try {
-    let query = supabase
+    let query = applyScope(supabase
       .from('interactions')
       .select(`
         *,
         persons:person_id (id, first_name, last_name, email, phone),
         users:user_id (id, first_name, last_name, email)
-      `)
+      `), scope)
       .order('created_at', { ascending: false })
       .limit(limit);
     
@@ -464,4 +489,63 @@ exports.getRecentInteractions = async ({ limit = 5, userId = null }) => {
     console.error('Error in getRecentInteractions:', error);
     throw error;
   }
-}; 
\ No newline at end of file
+}; 
+/**
+ * Get the sentiment of interactions with several people since a date
+ * @param {Array<UUID>} personIds - Person IDs
+ * @param {Date|string} since - Earliest interaction to include
+ * @returns {Promise<Array>} Interactions (person_id, sentiment, created_at) that have a sentiment
+ */
+exports.getSentimentsSince = async (personIds, since) => {
+  try {
+    if (personIds.length === 0) {
+      return [];
+    }
+    
+    const { data, error } = await supabase
+      .from('interactions')
+      .select('person_id, sentiment, created_at')
+      .in('person_id', personIds)
+      .not('sentiment', 'is', null)
+      .gte('created_at', new Date(since).toISOString());
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getSentimentsSince:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get when several people were last interacted with, and how often, since a date
+ * @param {Array<UUID>} personIds - Person IDs
+ * @param {Date|string} since - Earliest interaction to include
+ * @returns {Promise<Array>} Interactions (person_id, created_at), newest first
+ */
+exports.getInteractionTimesSince = async (personIds, since) => {
+  try {
+    if (personIds.length === 0) {
+      return [];
+    }
+    
+    const { data, error } = await supabase
+      .from('interactions')
+      .select('person_id, created_at')
+      .in('person_id', personIds)
+      .gte('created_at', new Date(since).toISOString())
+      .order('created_at', { ascending: false });
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getInteractionTimesSince:', error);
+    throw error;
+  }
+};
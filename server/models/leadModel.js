@@ -4,6 +4,8 @@
  */
 const supabase = require('../config/supabase');
 const personModel = require('./personModel');
+const leadPipeline = require('../utils/leadPipeline');
+const { applyScope } = require('../utils/tenancy');
 const { SchemaConstraints } = require('../db/schema/types');
 
 /**
@@ -23,8 +25,8 @@ exports.leadExtensionFields = {
   pain_points: 'text[]',
   motivations: 'text[]',
   objections: 'jsonb[]', // Array of objects
-  readiness_score: 'integer', // SQL CHECK constraint: readiness_score >= 1 AND readiness_score <= 10
-  lead_temperature: 'text', // Free-form text field in SQL
+  readiness_score: 'integer', // SQL CHECK constraint: readiness_score >= 1 AND readiness_score <= 10; set by the lead scoring engine
+  lead_temperature: 'text', // 'cold', 'warm' or 'hot', set by the lead scoring engine
   
   // Pipeline data
   lead_status: 'text', // DEFAULT 'new'::text in SQL
@@ -42,10 +44,14 @@ exports.leadExtensionFields = {
   payment_info_collected: 'boolean', // DEFAULT false in SQL
   
   // Conversion tracking
-  conversion_probability: 'integer', // SQL CHECK constraint: conversion_probability >= 0 AND conversion_probability <= 100
+  conversion_probability: 'integer', // SQL CHECK constraint: conversion_probability >= 0 AND conversion_probability <= 100; set by the lead scoring engine
   estimated_value: 'numeric',
   conversion_blockers: 'text[]',
   
+  // Lead scoring
+  score_factors: 'jsonb', // Biggest contributors to the score, NOT NULL DEFAULT '[]' in SQL
+  scored_at: 'timestamp', // When the lead scoring engine last scored the lead
+  
   // Meta
   created_at: 'timestamp', // DEFAULT now() in SQL
   updated_at: 'timestamp' // DEFAULT now() in SQL
@@ -144,23 +150,24 @@ exports.validateLeadExtension = (leadData) => {
  * @param {String} filters.searchTerm - Search by name, email, or phone
  * @param {UUID} filters.assignedTo - Filter by assigned user
  * @param {Object} pagination - Pagination options
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Array>} Array of lead records
  */
-exports.getAllLeads = async (filters = {}, pagination = { page: 0, pageSize: 10 }) => {
+exports.getAllLeads = async (filters = {}, pagination = { page: 0, pageSize: 10 }, scope = null) => {
   try {
     const { page, pageSize } = pagination;
     const from = page * pageSize;
     const to = from + pageSize - 1;
     
     // Query to get leads with all extensions
-    let query = supabase
+    let query = applyScope(supabase
       .from('persons')
       .select(`
         *,
         lead_extensions (*)
       `)
       .eq('is_lead', true)
-      .range(from, to);
+      .range(from, to), scope);
     
     // Apply person table filters
     if (filters.searchTerm) {
@@ -231,11 +238,12 @@ exports.getAllLeads = async (filters = {}, pagination = { page: 0, pageSize: 10
 /**
  * Get lead by ID
  * @param {UUID} id - Lead ID (person_id)
- * @returns {Promise<Object>} Lead record
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Lead record, or null if none is found in the scope
  */
-exports.getLeadById = async (id) => {
+exports.getLeadById = async (id, scope = null) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('persons')
       .select(`
         *,
@@ -246,8 +254,8 @@ exports.getLeadById = async (id) => {
         )
       `)
       .eq('id', id)
-      .eq('is_lead', true)
-      .single();
+      .eq('is_lead', true), scope)
+      .maybeSingle();
     
     if (error) {
       throw error;
@@ -264,9 +272,10 @@ exports.getLeadById = async (id) => {
  * Create a new lead
  * @param {Object} personData - Core person data
  * @param {Object} leadExtensionData - Lead-specific data
+ * @param {Object} scope - Tenant scope the lead is created in (see utils/tenancy.js)
  * @returns {Promise<Object>} Created lead
  */
-exports.createLead = async (personData, leadExtensionData = {}) => {
+exports.createLead = async (personData, leadExtensionData = {}, scope = null) => {
   try {
     // Validate lead extension data if provided
     if (leadExtensionData.readiness_score !== undefined) {
@@ -304,7 +313,7 @@ exports.createLead = async (personData, leadExtensionData = {}) => {
     }
     
     // Create person with lead extension
-    return await personModel.createPerson(leadPersonData, { leadExtension: leadExtData });
+    return await personModel.createPerson(leadPersonData, { leadExtension: leadExtData }, scope);
   } catch (error) {
     console.error('Error in createLead:', error);
     throw error;
@@ -316,9 +325,10 @@ exports.createLead = async (personData, leadExtensionData = {}) => {
  * @param {UUID} id - Lead ID (person_id)
  * @param {Object} personData - Core person data to update
  * @param {Object} leadExtensionData - Lead-specific data to update
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Object>} Updated lead
  */
-exports.updateLead = async (id, personData = {}, leadExtensionData = {}) => {
+exports.updateLead = async (id, personData = {}, leadExtensionData = {}, scope = null) => {
   try {
     // Validate lead extension data if provided
     if (leadExtensionData.readiness_score !== undefined) {
@@ -336,7 +346,7 @@ exports.updateLead = async (id, personData = {}, leadExtensionData = {}) => {
     // If updating lead_status, add entry to status_history
     if (leadExtensionData.lead_status) {
       // First get current lead to access current status_history
-      const currentLead = await exports.getLeadById(id);
+      const currentLead = await exports.getLeadById(id, scope);
       
       if (currentLead && currentLead.lead_extensions && currentLead.lead_extensions.length > 0) {
         const currentExtension = currentLead.lead_extensions[0];
@@ -344,17 +354,9 @@ exports.updateLead = async (id, personData = {}, leadExtensionData = {}) => {
         
         // Only update if status is actually changing
         if (currentStatus !== leadExtensionData.lead_status) {
-          const now = new Date().toISOString();
-          const currentHistory = currentExtension.status_history || [];
-          
-          leadExtensionData.status_history = [
-            ...currentHistory,
-            {
-              status: leadExtensionData.lead_status,
-              timestamp: now,
-              notes: leadExtensionData.statusChangeNotes || `Status changed from ${currentStatus} to ${leadExtensionData.lead_status}`
-            }
-          ];
+          Object.assign(leadExtensionData, leadPipeline.recordTransition(currentExtension, leadExtensionData.lead_status, {
+            notes: leadExtensionData.statusChangeNotes
+          }));
           
           // Remove temporary field used only for note creation
           delete leadExtensionData.statusChangeNotes;
@@ -363,21 +365,63 @@ exports.updateLead = async (id, personData = {}, leadExtensionData = {}) => {
     }
     
     // Update the lead (person with lead_extension)
-    return await personModel.updatePerson(id, personData, { leadExtension: leadExtensionData });
+    return await personModel.updatePerson(id, personData, { leadExtension: leadExtensionData }, scope);
   } catch (error) {
     console.error('Error in updateLead:', error);
     throw error;
   }
 };
 
+/**
+ * Move a lead to a new pipeline stage
+ * The change should already have been checked with leadPipeline.checkTransition.
+ * Appends an entry to status_history and recomputes stage_duration_days.
+ * @param {UUID} id - Lead ID (person_id)
+ * @param {String} status - New stage key
+ * @param {Object} options - Change details
+ * @param {UUID} options.userId - User making the change
+ * @param {String} options.notes - Notes for the history entry
+ * @param {Object} options.fields - Lead extension fields required by the new stage
+ * @param {Object} options.currentExtension - The lead's current lead_extensions record, if already loaded
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object>} Updated lead
+ */
+exports.updateLeadStatus = async (id, status, { userId, notes, fields = {}, currentExtension } = {}, scope = null) => {
+  try {
+    let extension = currentExtension;
+    
+    if (!extension) {
+      const currentLead = await exports.getLeadById(id, scope);
+      extension = (currentLead && currentLead.lead_extensions && currentLead.lead_extensions[0]) || {};
+    }
+    
+    // Nothing to record if the lead is already in this stage
+    if (extension.lead_status === status) {
+      return await exports.getLeadById(id, scope);
+    }
+    
+    const leadExtensionData = {
+      ...fields,
+      lead_status: status,
+      ...leadPipeline.recordTransition(extension, status, { userId, notes })
+    };
+    
+    return await personModel.updatePerson(id, {}, { leadExtension: leadExtensionData }, scope);
+  } catch (error) {
+    console.error('Error in updateLeadStatus:', error);
+    throw error;
+  }
+};
+
 /**
  * Delete a lead
  * @param {UUID} id - Lead ID (person_id)
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Boolean>} True if successful
  */
-exports.deleteLead = async (id) => {
+exports.deleteLead = async (id, scope = null) => {
   try {
-    return await personModel.deletePerson(id);
+    return await personModel.deletePerson(id, scope);
   } catch (error) {
     console.error('Error in deleteLead:', error);
     throw error;
@@ -386,16 +430,17 @@ exports.deleteLead = async (id) => {
 
 /**
  * Get lead counts by status
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Object>} Count of leads by status
  */
-exports.getLeadCountsByStatus = async () => {
+exports.getLeadCountsByStatus = async (scope = null) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('persons')
       .select(`
         lead_extensions (lead_status)
       `)
-      .eq('is_lead', true);
+      .eq('is_lead', true), scope);
     
     if (error) {
       throw error;
@@ -420,17 +465,18 @@ exports.getLeadCountsByStatus = async () => {
 /**
  * Get lead conversion rate
  * @param {Object} filters - Optional query filters
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Object>} Conversion rate statistics
  */
-exports.getLeadConversionRate = async (filters = {}) => {
+exports.getLeadConversionRate = async (filters = {}, scope = null) => {
   try {
-    let query = supabase
+    let query = applyScope(supabase
       .from('persons')
       .select(`
         id,
         lead_extensions (conversion_probability)
       `)
-      .eq('is_lead', true);
+      .eq('is_lead', true), scope);
     
     // Apply filters
     if (filters.assignedTo) {
@@ -576,6 +622,7 @@ exports.updateLeadExtension = async (id, leadData) => {
         notes: leadData.status_notes || 'Status updated'
       });
       updateData.status_history = statusHistory;
+      updateData.stage_duration_days = leadPipeline.getStageDurations(statusHistory);
     }
     
     const { data, error } = await supabase
@@ -594,4 +641,48 @@ exports.updateLeadExtension = async (id, leadData) => {
     console.error('Error in updateLeadExtension:', error);
     throw error;
   }
-}; 
\ No newline at end of file
+}; 
+
+/**
+ * Get leads with what the lead scoring engine needs: their lead extension and
+ * the price of their preferred plan
+ * Not tenant-scoped; the engine scores leads across organizations.
+ * @param {Object} options - Options
+ * @param {Array<UUID>} options.personIds - Only these leads (all leads if omitted)
+ * @param {Number} options.page - Page number, starting at 0
+ * @param {Number} options.pageSize - Leads per page
+ * @returns {Promise<Array>} Lead records with lead_extensions and preferred_plan
+ */
+exports.getLeadsForScoring = async ({ personIds = null, page = 0, pageSize = 500 } = {}) => {
+  try {
+    const from = page * pageSize;
+    
+    let query = supabase
+      .from('persons')
+      .select(`
+        id, organization_id, assigned_to, acquisition_source, referral_source,
+        budget_range, last_contacted,
+        lead_extensions!inner (*),
+        preferred_plan:preferred_membership_plan_id (id, name, monthly_price)
+      `)
+      .eq('is_lead', true)
+      .eq('active_status', true);
+    
+    if (personIds) {
+      query = query.in('id', personIds);
+    }
+    
+    const { data, error } = await query
+      .order('id')
+      .range(from, from + pageSize - 1);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getLeadsForScoring:', error);
+    throw error;
+  }
+};
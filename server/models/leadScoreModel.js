@@ -0,0 +1,81 @@
+/**
+ * Lead Score Model
+ * Handles database interactions for the history of scores the lead scoring engine gives leads
+ */
+const supabase = require('../config/supabase');
+const personModel = require('./personModel');
+
+/**
+ * Standard fields for the lead_score_history table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.leadScoreHistoryFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  person_id: 'uuid', // NOT NULL, foreign key to persons(id)
+  
+  // The score
+  readiness_score: 'integer', // NOT NULL, 1-10
+  conversion_probability: 'integer', // NOT NULL, 0-100
+  lead_temperature: 'text', // NOT NULL ('cold', 'warm' or 'hot')
+  factors: 'jsonb', // NOT NULL, DEFAULT '[]' in SQL; every signal's part in the score
+  trigger: 'text', // NOT NULL; what caused the score, e.g. 'nightly' or 'interaction'
+  
+  // Meta
+  created_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Record a lead's score
+ * @param {Object} scoreData - Score data
+ * @returns {Promise<Object>} Created history entry
+ */
+exports.recordScore = async (scoreData) => {
+  try {
+    const { data, error } = await supabase
+      .from('lead_score_history')
+      .insert([scoreData])
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in recordScore:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a lead's score history
+ * @param {UUID} personId - Lead ID (person_id)
+ * @param {Number} limit - Maximum number of entries to return
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array|null>} History entries, newest first, or null if the lead is not found in the scope
+ */
+exports.getScoreHistory = async (personId, limit = 30, scope = null) => {
+  try {
+    if (scope && !(await personModel.getPersonById(personId, scope))) {
+      return null;
+    }
+    
+    const { data, error } = await supabase
+      .from('lead_score_history')
+      .select('*')
+      .eq('person_id', personId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getScoreHistory:', error);
+    throw error;
+  }
+};
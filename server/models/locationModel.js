@@ -0,0 +1,133 @@
+/**
+ * Location Model
+ * Handles database interactions for an organization's gym locations
+ */
+const supabase = require('../config/supabase');
+
+/**
+ * Standard fields for the locations table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.locationFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  name: 'text', // NOT NULL, unique within the organization regardless of case
+  address: 'jsonb',
+  phone: 'text',
+  timezone: 'text',
+  is_active: 'boolean', // NOT NULL, DEFAULT true in SQL
+  
+  // Meta
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Get an organization's locations
+ * @param {UUID} organizationId - Organization ID
+ * @param {Object} options - Query options
+ * @param {Boolean} options.includeInactive - Include locations that have been closed
+ * @returns {Promise<Array>} Locations, by name
+ */
+exports.getLocations = async (organizationId, { includeInactive = false } = {}) => {
+  try {
+    let query = supabase
+      .from('locations')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('name', { ascending: true });
+    
+    if (!includeInactive) {
+      query = query.eq('is_active', true);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getLocations:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get one of an organization's locations
+ * @param {UUID} organizationId - Organization ID
+ * @param {UUID} id - Location ID
+ * @returns {Promise<Object|null>} Location, or null if the organization has none with this ID
+ */
+exports.getLocationById = async (organizationId, id) => {
+  try {
+    const { data, error } = await supabase
+      .from('locations')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getLocationById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a location
+ * @param {Object} locationData - Location data, including organization_id
+ * @returns {Promise<Object>} Created location
+ */
+exports.createLocation = async (locationData) => {
+  try {
+    const { data, error } = await supabase
+      .from('locations')
+      .insert(locationData)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createLocation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update one of an organization's locations
+ * @param {UUID} organizationId - Organization ID
+ * @param {UUID} id - Location ID
+ * @param {Object} locationData - Fields to update
+ * @returns {Promise<Object>} Updated location
+ */
+exports.updateLocation = async (organizationId, id, locationData) => {
+  try {
+    const { data, error } = await supabase
+      .from('locations')
+      .update(locationData)
+      .eq('organization_id', organizationId)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateLocation:', error);
+    throw error;
+  }
+};
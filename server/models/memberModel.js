@@ -8,6 +8,7 @@
 const supabase = require('../config/supabase');
 const { errorHandler } = require('../utils/errorHandler');
 const personModel = require('./personModel');
+const { applyScope } = require('../utils/tenancy');
 
 /**
  * Standard fields for the member_extensions table, matching Supabase database structure
@@ -19,7 +20,8 @@ exports.memberExtensionFields = {
   person_id: 'uuid', // NOT NULL constraint in SQL
   
   // Membership data
-  membership_type: 'text',
+  membership_type: 'text', // Name of the plan
+  membership_plan_id: 'uuid', // Foreign key to membership_plans(id)
   membership_status: 'text',
   join_date: 'timestamp',
   membership_end_date: 'timestamp',
@@ -38,14 +40,21 @@ exports.memberExtensionFields = {
   
   // Retention data
   satisfaction_score: 'integer', // SQL CHECK constraint: satisfaction_score >= 1 AND satisfaction_score <= 10
-  churn_risk: 'text', // Free-form text field in SQL
+  churn_risk: 'text', // 'low', 'medium' or 'high', set by the churn risk job
+  churn_score: 'integer', // SQL CHECK constraint: churn_score >= 0 AND churn_score <= 100
+  churn_risk_factors: 'jsonb', // Signals behind the churn score, NOT NULL DEFAULT '[]' in SQL
+  churn_scored_at: 'timestamp', // When the churn risk job last scored the member
   retention_actions: 'jsonb[]', // Array of retention efforts
   
   // Referral program
   referral_count: 'integer', // DEFAULT 0 in SQL
-  successful_referrals: 'integer', // DEFAULT 0 in SQL
+  successful_referrals: 'numeric', // DEFAULT 0 in SQL; a shared referral counts as the referrer's fraction of it
   referral_rewards_earned: 'numeric', // DEFAULT 0 in SQL
   
+  // Billing
+  stripe_customer_id: 'text',
+  stripe_subscription_id: 'text',
+  
   // Meta
   created_at: 'timestamp', // DEFAULT now() in SQL
   updated_at: 'timestamp' // DEFAULT now() in SQL
@@ -63,7 +72,7 @@ const createMemberExtension = async (memberData) => {
       .insert(memberData)
       .select()
       .single();
-
+    
     if (error) throw error;
     return data;
   } catch (error) {
@@ -74,16 +83,21 @@ const createMemberExtension = async (memberData) => {
 /**
  * Get member extension by person ID
  * @param {string} personId - Person ID
- * @returns {Promise<Object>} Member extension data
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object>} Member extension data, or null if the person is not found in the scope
  */
-const getMemberExtensionByPersonId = async (personId) => {
+const getMemberExtensionByPersonId = async (personId, scope = null) => {
   try {
+    if (scope && !(await personModel.getPersonById(personId, scope))) {
+      return null;
+    }
+    
     const { data, error } = await supabase
       .from('member_extensions')
       .select('*')
       .eq('person_id', personId)
       .single();
-
+    
     if (error && error.code !== 'PGRST116') throw error; // PGRST116 is "no rows returned" - not an error for us
     return data || null;
   } catch (error) {
@@ -91,21 +105,55 @@ const getMemberExtensionByPersonId = async (personId) => {
   }
 };
 
+/**
+ * Get member extension by Stripe customer ID
+ * @param {string} customerId - Stripe customer ID
+ * @returns {Promise<Object|null>} Member extension data, or null if no member has this customer
+ */
+const getMemberExtensionByStripeCustomerId = async (customerId) => {
+  try {
+    const { data, error } = await supabase
+      .from('member_extensions')
+      .select('*')
+      .eq('stripe_customer_id', customerId)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data || null;
+  } catch (error) {
+    throw errorHandler('MemberModel.getMemberExtensionByStripeCustomerId', error);
+  }
+};
+
 /**
  * Update member extension
  * @param {string} id - Member extension ID
  * @param {Object} memberData - Updated member data
- * @returns {Promise<Object>} Updated member extension
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object>} Updated member extension, or null if its member is not found in the scope
  */
-const updateMemberExtension = async (id, memberData) => {
+const updateMemberExtension = async (id, memberData, scope = null) => {
   try {
+    if (scope) {
+      const { data: extension, error: fetchError } = await supabase
+        .from('member_extensions')
+        .select('person_id')
+        .eq('id', id)
+        .maybeSingle();
+      
+      if (fetchError) throw fetchError;
+      if (!extension || !(await personModel.getPersonById(extension.person_id, scope))) {
+        return null;
+      }
+    }
+    
     const { data, error } = await supabase
       .from('member_extensions')
       .update(memberData)
       .eq('id', id)
       .select()
       .single();
-
+    
     if (error) throw error;
     return data;
   } catch (error) {
@@ -124,7 +172,7 @@ const deleteMemberExtension = async (id) => {
       .from('member_extensions')
       .delete()
       .eq('id', id);
-
+    
     if (error) throw error;
     return true;
   } catch (error) {
@@ -135,47 +183,75 @@ const deleteMemberExtension = async (id) => {
 /**
  * List members with filtering
  * @param {Object} filters - Query filters
+ * @param {string} filters.search - Matches first name, last name or email
+ * @param {UUID} filters.assigned_to - User the members are assigned to
+ * @param {string} filters.membership_status - Membership status
+ * @param {string} filters.membership_type - Membership type (plan name)
+ * @param {string} filters.churn_risk - Churn risk ('low', 'medium' or 'high')
+ * @param {boolean} filters.has_referrals - Only members who have (true) or haven't (false) referred anyone
  * @param {number} page - Page number for pagination
  * @param {number} limit - Results per page
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Object>} Paginated members list
  */
-const listMembers = async (filters = {}, page = 1, limit = 20) => {
+const listMembers = async (filters = {}, page = 1, limit = 20, scope = null) => {
   try {
     const offset = (page - 1) * limit;
     
+    // Filtering on the extension needs an inner join, or non-matching members come back without it
+    const filtersExtension = Boolean(filters.membership_status || filters.membership_type || filters.churn_risk) ||
+      filters.has_referrals !== undefined;
+    const extensionJoin = filtersExtension ? 'member_extensions!inner' : 'member_extensions';
+    
+    const applyFilters = (query) => {
+      if (filters.search) {
+        query = query.or(`first_name.ilike.%${filters.search}%,last_name.ilike.%${filters.search}%,email.ilike.%${filters.search}%`);
+      }
+      
+      if (filters.assigned_to) {
+        query = query.eq('assigned_to', filters.assigned_to);
+      }
+      
+      if (filters.membership_status) {
+        query = query.eq('member_extensions.membership_status', filters.membership_status);
+      }
+      
+      if (filters.membership_type) {
+        query = query.eq('member_extensions.membership_type', filters.membership_type);
+      }
+      
+      if (filters.churn_risk) {
+        query = query.eq('member_extensions.churn_risk', filters.churn_risk);
+      }
+      
+      if (filters.has_referrals === true) {
+        query = query.gt('member_extensions.referral_count', 0);
+      } else if (filters.has_referrals === false) {
+        query = query.or('referral_count.is.null,referral_count.eq.0', { foreignTable: 'member_extensions' });
+      }
+      
+      return query;
+    };
+    
     // Start with the persons table that have is_member flag
-    let query = supabase
+    const { data, error } = await applyFilters(applyScope(supabase
       .from('persons')
       .select(`
         *,
-        member_extensions(*)
+        ${extensionJoin}(*)
       `)
-      .eq('is_member', true)
+      .eq('is_member', true), scope))
+      .order('last_name', { ascending: true })
+      .order('first_name', { ascending: true })
       .range(offset, offset + limit - 1);
     
-    // Apply filters
-    if (filters.search) {
-      query = query.or(`first_name.ilike.%${filters.search}%,last_name.ilike.%${filters.search}%,email.ilike.%${filters.search}%`);
-    }
-    
-    if (filters.assigned_to) {
-      query = query.eq('assigned_to', filters.assigned_to);
-    }
-    
-    if (filters.membership_status) {
-      query = query.eq('member_extensions.membership_status', filters.membership_status);
-    }
-    
-    // Execute query
-    const { data, error } = await query;
-    
     if (error) throw error;
     
-    // Also get total count for pagination
-    const { count, error: countError } = await supabase
+    // Also get total count for pagination, with the same filters
+    const { count, error: countError } = await applyFilters(applyScope(supabase
       .from('persons')
-      .select('*', { count: 'exact', head: true })
-      .eq('is_member', true);
+      .select(`id, ${extensionJoin}(id)`, { count: 'exact', head: true })
+      .eq('is_member', true), scope));
       
     if (countError) throw countError;
     
@@ -196,12 +272,13 @@ const listMembers = async (filters = {}, page = 1, limit = 20) => {
 /**
  * Get full member profile with all related data
  * @param {string} id - Person ID
- * @returns {Promise<Object>} Complete member profile
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Complete member profile, or null if the member is not found in the scope
  */
-const getMemberProfile = async (id) => {
+const getMemberProfile = async (id, scope = null) => {
   try {
     // Get person data with member extension
-    const { data: member, error } = await supabase
+    const { data: member, error } = await applyScope(supabase
       .from('persons')
       .select(`
         *,
@@ -209,10 +286,11 @@ const getMemberProfile = async (id) => {
         assigned_to:users(id, first_name, last_name, email)
       `)
       .eq('id', id)
-      .eq('is_member', true)
-      .single();
+      .eq('is_member', true), scope)
+      .maybeSingle();
     
     if (error) throw error;
+    if (!member) return null;
     
     // Get relationships (referrals made by this member)
     const { data: referrals, error: referralsError } = await supabase
@@ -255,12 +333,18 @@ const trackCheckIn = async (memberId) => {
     // First get current check-in data
     const { data: member, error: fetchError } = await supabase
       .from('member_extensions')
-      .select('check_in_count, last_check_in, attendance_streak')
+      .select('person_id, check_in_count, last_check_in, attendance_streak, persons (organization_id)')
       .eq('id', memberId)
       .single();
     
     if (fetchError) throw fetchError;
     
+    // Keep every visit so the churn risk job can see attendance tailing off
+    await createCheckIn({
+      organization_id: member.persons.organization_id,
+      person_id: member.person_id
+    });
+    
     // Calculate new values
     const lastCheckIn = new Date(member.last_check_in || 0);
     const today = new Date();
@@ -306,6 +390,79 @@ const trackCheckIn = async (memberId) => {
   }
 };
 
+/**
+ * Record a member's visit in the check-in history
+ * @param {Object} checkIn - Check-in data (organization_id, person_id, checked_in_at)
+ * @returns {Promise<Object>} Created check-in
+ */
+const createCheckIn = async (checkIn) => {
+  try {
+    const { data, error } = await supabase
+      .from('member_check_ins')
+      .insert([checkIn])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    throw errorHandler('MemberModel.createCheckIn', error);
+  }
+};
+
+/**
+ * Get the check-ins of several members since a date
+ * @param {Array<string>} personIds - Person IDs of the members
+ * @param {Date|string} since - Earliest check-in to include
+ * @returns {Promise<Array>} Check-ins (person_id, checked_in_at), oldest first
+ */
+const getCheckInsSince = async (personIds, since) => {
+  try {
+    if (personIds.length === 0) return [];
+    
+    const { data, error } = await supabase
+      .from('member_check_ins')
+      .select('person_id, checked_in_at')
+      .in('person_id', personIds)
+      .gte('checked_in_at', new Date(since).toISOString())
+      .order('checked_in_at', { ascending: true });
+    
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw errorHandler('MemberModel.getCheckInsSince', error);
+  }
+};
+
+/**
+ * Get a page of active and frozen members for the churn risk job, across all
+ * organizations, with their salesperson
+ * @param {number} page - Page number, starting at 0
+ * @param {number} pageSize - Members per page
+ * @returns {Promise<Array>} Member extensions with persons (organization_id, assigned_to)
+ */
+const getMembersForChurnScoring = async (page = 0, pageSize = 500) => {
+  try {
+    const from = page * pageSize;
+    
+    const { data, error } = await supabase
+      .from('member_extensions')
+      .select(`
+        id, person_id, last_check_in, attendance_streak, payment_status,
+        satisfaction_score, churn_risk, retention_actions,
+        persons!inner (organization_id, assigned_to, first_name, last_name)
+      `)
+      .in('membership_status', ['active', 'frozen'])
+      .order('id')
+      .range(from, from + pageSize - 1);
+    
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    throw errorHandler('MemberModel.getMembersForChurnScoring', error);
+  }
+};
+
 /**
  * Get all members with filtering options
  * @param {Object} filters - Optional query filters
@@ -438,9 +595,11 @@ exports.getMemberById = async (id) => {
  * Create a new member
  * @param {Object} personData - Core person data
  * @param {Object} memberExtensionData - Member-specific data
+ * @param {Object} scope - Tenant scope the member is created in (see utils/tenancy.js);
+ *   without one, personData must carry organization_id
  * @returns {Promise<Object>} Created member
  */
-exports.createMember = async (personData, memberExtensionData = {}) => {
+exports.createMember = async (personData, memberExtensionData = {}, scope = null) => {
   try {
     // Ensure member flag is set
     const memberPersonData = {
@@ -460,7 +619,7 @@ exports.createMember = async (personData, memberExtensionData = {}) => {
     };
     
     // Create person with member extension
-    return await personModel.createPerson(memberPersonData, { memberExtension: memberExtData });
+    return await personModel.createPerson(memberPersonData, { memberExtension: memberExtData }, scope);
   } catch (error) {
     console.error('Error in createMember:', error);
     throw error;
@@ -472,12 +631,13 @@ exports.createMember = async (personData, memberExtensionData = {}) => {
  * @param {UUID} id - Member ID (person_id)
  * @param {Object} personData - Core person data to update
  * @param {Object} memberExtensionData - Member-specific data to update
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Object>} Updated member
  */
-exports.updateMember = async (id, personData = {}, memberExtensionData = {}) => {
+exports.updateMember = async (id, personData = {}, memberExtensionData = {}, scope = null) => {
   try {
     // Update the member
-    return await personModel.updatePerson(id, personData, { memberExtension: memberExtensionData });
+    return await personModel.updatePerson(id, personData, { memberExtension: memberExtensionData }, scope);
   } catch (error) {
     console.error('Error in updateMember:', error);
     throw error;
@@ -548,6 +708,12 @@ exports.recordCheckIn = async (id, checkInDate = new Date().toISOString()) => {
       classes_attended: classesAttended
     };
     
+    await createCheckIn({
+      organization_id: member.organization_id,
+      person_id: id,
+      checked_in_at: checkInDate
+    });
+    
     return await exports.updateMember(id, {}, memberExtensionData);
   } catch (error) {
     console.error('Error in recordCheckIn:', error);
@@ -747,22 +913,17 @@ exports.getMemberStats = async (filters = {}) => {
   }
 };
 
-module.exports = {
+// The functions above are plain consts; the rest are already on exports
+Object.assign(exports, {
   createMemberExtension,
   getMemberExtensionByPersonId,
+  getMemberExtensionByStripeCustomerId,
   updateMemberExtension,
   deleteMemberExtension,
   listMembers,
   getMemberProfile,
   trackCheckIn,
-  getAllMembers,
-  getMemberById,
-  createMember,
-  updateMember,
-  deleteMember,
-  recordCheckIn,
-  getMembersWithReferrals,
-  getMemberReferrals,
-  recordReferral,
-  getMemberStats
-}; 
\ No newline at end of file
+  createCheckIn,
+  getCheckInsSince,
+  getMembersForChurnScoring
+});
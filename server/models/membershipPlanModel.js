@@ -0,0 +1,180 @@
+/**
+ * Membership Plan Model
+ * Handles database interactions for the membership plan catalog
+ */
+const supabase = require('../config/supabase');
+
+/**
+ * Standard fields for the membership_plans table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.membershipPlanFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  name: 'text', // NOT NULL, unique within the organization regardless of case
+  description: 'text',
+  
+  // Pricing
+  monthly_price: 'numeric', // NOT NULL, SQL CHECK constraint: monthly_price >= 0
+  billing_interval: 'text', // NOT NULL, DEFAULT 'month'::text in SQL ('month', 'quarter' or 'year')
+  trial_days: 'integer', // NOT NULL, DEFAULT 0 in SQL
+  enrollment_fee: 'numeric', // NOT NULL, DEFAULT 0 in SQL
+  is_active: 'boolean', // NOT NULL, DEFAULT true in SQL
+  
+  // Stripe
+  stripe_product_id: 'text',
+  stripe_price_id: 'text', // Recurring price charged each billing interval
+  stripe_enrollment_price_id: 'text', // One-time price for the enrollment fee
+  
+  // Meta
+  created_by: 'uuid', // Foreign key to users(id)
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Limit a plans query to a tenant scope
+ * Plans belong to the organization and are offered at all of its locations.
+ * @param {Object} query - Supabase query
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Object} Scoped query
+ */
+const scopePlans = (query, scope) => (scope ? query.eq('organization_id', scope.organizationId) : query);
+
+/**
+ * Get the membership plans, cheapest first
+ * @param {Object} options - Query options
+ * @param {Boolean} options.includeInactive - Include plans that are no longer offered
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array>} Membership plans
+ */
+exports.getPlans = async ({ includeInactive = false } = {}, scope = null) => {
+  try {
+    let query = scopePlans(supabase
+      .from('membership_plans')
+      .select('*'), scope)
+      .order('monthly_price', { ascending: true });
+    
+    if (!includeInactive) {
+      query = query.eq('is_active', true);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getPlans:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a membership plan by ID
+ * @param {UUID} id - Plan ID
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Plan, or null if none matches
+ */
+exports.getPlanById = async (id, scope = null) => {
+  try {
+    const { data, error } = await scopePlans(supabase
+      .from('membership_plans')
+      .select('*')
+      .eq('id', id), scope)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getPlanById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a membership plan by name, ignoring case
+ * @param {String} name - Plan name
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Plan, or null if none matches
+ */
+exports.getPlanByName = async (name, scope = null) => {
+  try {
+    // Escape LIKE wildcards so the name is matched exactly
+    const pattern = String(name).trim().replace(/[\\%_]/g, '\\$&');
+    
+    const { data, error } = await scopePlans(supabase
+      .from('membership_plans')
+      .select('*')
+      .ilike('name', pattern), scope)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getPlanByName:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a membership plan
+ * @param {Object} planData - Plan data, with its organization_id
+ * @returns {Promise<Object>} Created plan
+ */
+exports.createPlan = async (planData) => {
+  try {
+    const { data, error } = await supabase
+      .from('membership_plans')
+      .insert(planData)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createPlan:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a membership plan
+ * A plan never moves to another organization.
+ * @param {UUID} id - Plan ID
+ * @param {Object} planData - Fields to update
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Updated plan, or null if none matches
+ */
+exports.updatePlan = async (id, planData, scope = null) => {
+  try {
+    const { organization_id: organizationId, ...changes } = planData;
+    
+    const { data, error } = await scopePlans(supabase
+      .from('membership_plans')
+      .update(changes)
+      .eq('id', id), scope)
+      .select()
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updatePlan:', error);
+    throw error;
+  }
+};
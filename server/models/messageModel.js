@@ -4,6 +4,9 @@
  */
 const supabase = require('../config/supabase');
 const { SchemaConstraints } = require('../db/schema/types');
+const personModel = require('./personModel');
+const { applyScope, stampRecord, restrictChanges, getTenantColumns, isInScope } = require('../utils/tenancy');
+const { CustomError } = require('../utils/errorHandler');
 
 /**
  * Standard fields for the messages table, matching Supabase database structure
@@ -14,9 +17,13 @@ exports.messageFields = {
   id: 'uuid',
   
   // Sender and recipient
-  sender_id: 'uuid', // NOT NULL constraint in SQL
+  sender_id: 'uuid', // Salesperson; null for automatic texts to a person without one
   recipient_id: 'uuid', // NOT NULL constraint in SQL
   
+  // Tenant, always the recipient person's
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  location_id: 'uuid', // Foreign key to locations(id)
+  
   // Message details
   message_type: 'text', // NOT NULL constraint in SQL
   subject: 'text',
@@ -40,6 +47,7 @@ exports.messageFields = {
   // Response tracking
   has_response: 'boolean', // DEFAULT false in SQL
   response_id: 'uuid',
+  direction: 'text', // DEFAULT 'outbound'::text in SQL
   
   // Meta
   metadata: 'jsonb', // DEFAULT '{}'::jsonb in SQL
@@ -56,10 +64,6 @@ exports.validateMessage = (messageData) => {
   const errors = [];
   
   // Check required fields
-  if (!messageData.sender_id) {
-    errors.push('sender_id is required');
-  }
-  
   if (!messageData.recipient_id) {
     errors.push('recipient_id is required');
   }
@@ -77,6 +81,10 @@ exports.validateMessage = (messageData) => {
     messageData.status = SchemaConstraints.DEFAULT_VALUES.MESSAGE_STATUS;
   }
   
+  if (messageData.direction === undefined) {
+    messageData.direction = SchemaConstraints.DEFAULT_VALUES.MESSAGE_DIRECTION;
+  }
+  
   if (messageData.is_blast === undefined) {
     messageData.is_blast = SchemaConstraints.DEFAULT_VALUES.IS_BLAST;
   }
@@ -106,17 +114,18 @@ exports.validateMessage = (messageData) => {
  * @param {String} filters.dateFrom - Filter by date range start
  * @param {String} filters.dateTo - Filter by date range end
  * @param {Object} pagination - Pagination options
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Array>} Array of message records
  */
-exports.getAllMessages = async (filters = {}, pagination = { page: 0, pageSize: 20 }) => {
+exports.getAllMessages = async (filters = {}, pagination = { page: 0, pageSize: 20 }, scope = null) => {
   try {
     const { page, pageSize } = pagination;
     const from = page * pageSize;
     const to = from + pageSize - 1;
     
-    let query = supabase
+    let query = applyScope(supabase
       .from('messages')
-      .select('*, sender:sender_id(*), recipient:recipient_id(*)')
+      .select('*, sender:sender_id(*), recipient:recipient_id(*)'), scope)
       .range(from, to)
       .order('sent_at', { ascending: false });
     
@@ -157,15 +166,16 @@ exports.getAllMessages = async (filters = {}, pagination = { page: 0, pageSize:
 /**
  * Get message by ID
  * @param {UUID} id - Message ID
- * @returns {Promise<Object>} Message record
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Message record, or null if none is found in the scope
  */
-exports.getMessageById = async (id) => {
+exports.getMessageById = async (id, scope = null) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('messages')
       .select('*, sender:sender_id(*), recipient:recipient_id(*)')
-      .eq('id', id)
-      .single();
+      .eq('id', id), scope)
+      .maybeSingle();
     
     if (error) {
       throw error;
@@ -182,14 +192,15 @@ exports.getMessageById = async (id) => {
  * Get conversation between a user and a person
  * @param {UUID} userId - User ID
  * @param {UUID} personId - Person ID
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Array>} Array of message records in the conversation
  */
-exports.getConversation = async (userId, personId) => {
+exports.getConversation = async (userId, personId, scope = null) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('messages')
       .select('*')
-      .or(`and(sender_id.eq.${userId},recipient_id.eq.${personId}),and(sender_id.eq.${personId},recipient_id.eq.${userId})`)
+      .or(`and(sender_id.eq.${userId},recipient_id.eq.${personId}),and(sender_id.eq.${personId},recipient_id.eq.${userId})`), scope)
       .order('sent_at', { ascending: true });
     
     if (error) {
@@ -206,9 +217,11 @@ exports.getConversation = async (userId, personId) => {
 /**
  * Create a new message
  * @param {Object} messageData - Message data
- * @returns {Promise<Object>} Created message record
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js); the recipient must be in it
+ * @returns {Promise<Object>} Created message record, in the recipient's organization and location
+ * @throws {CustomError} 404 if the recipient is not found in the scope
  */
-exports.createMessage = async (messageData) => {
+exports.createMessage = async (messageData, scope = null) => {
   try {
     // Validate data
     const validation = exports.validateMessage(messageData);
@@ -217,10 +230,17 @@ exports.createMessage = async (messageData) => {
       throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
     }
     
+    const recipient = await personModel.getPersonTenant(messageData.recipient_id);
+    
+    if (!recipient || !isInScope(recipient, scope)) {
+      throw new CustomError(`Recipient with ID ${messageData.recipient_id} not found`, 404);
+    }
+    
     // Add timestamps if not provided
     const now = new Date().toISOString();
     const dataWithTimestamps = {
       ...validation.data,
+      ...getTenantColumns(recipient),
       sent_at: messageData.sent_at || now,
       created_at: messageData.created_at || now,
       updated_at: messageData.updated_at || now
@@ -286,16 +306,18 @@ exports.updateMessage = async (id, messageData) => {
 /**
  * Mark message as delivered
  * @param {UUID} id - Message ID
+ * @param {String} deliveredAt - Delivery time reported by the provider (defaults to now)
  * @returns {Promise<Object>} Updated message record
  */
-exports.markAsDelivered = async (id) => {
+exports.markAsDelivered = async (id, deliveredAt) => {
   try {
     const now = new Date().toISOString();
     
     const { data, error } = await supabase
       .from('messages')
       .update({
-        delivered_at: now,
+        status: 'delivered',
+        delivered_at: deliveredAt || now,
         updated_at: now
       })
       .eq('id', id)
@@ -313,6 +335,135 @@ exports.markAsDelivered = async (id) => {
   }
 };
 
+/**
+ * Mark message as failed
+ * @param {UUID} id - Message ID
+ * @param {Object} failureDetails - Provider error details, stored in metadata
+ * @returns {Promise<Object>} Updated message record
+ */
+exports.markAsFailed = async (id, failureDetails = {}) => {
+  try {
+    const { data: message, error: fetchError } = await supabase
+      .from('messages')
+      .select('metadata')
+      .eq('id', id)
+      .single();
+    
+    if (fetchError) {
+      throw fetchError;
+    }
+    
+    const { data, error } = await supabase
+      .from('messages')
+      .update({
+        status: 'failed',
+        metadata: {
+          ...(message && message.metadata),
+          delivery_failure: failureDetails
+        },
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in markAsFailed:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a message by the ID the SMS provider assigned to it
+ * @param {String} providerMessageId - Telnyx message ID
+ * @returns {Promise<Object|null>} Message record, or null if none matches
+ */
+exports.getMessageByProviderId = async (providerMessageId) => {
+  try {
+    const { data, error } = await supabase
+      .from('messages')
+      .select('*')
+      .eq('metadata->>telnyx_message_id', providerMessageId)
+      .limit(1);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error in getMessageByProviderId:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark an inbound message handled, once everything a reply triggers is done
+ * A retried webhook for a handled message is ignored; one for a message that
+ * isn't handled yet finishes the work. A step that mustn't run twice, like
+ * confirming a STOP, is marked under its own field when it is done.
+ * @param {Object} message - Inbound message record
+ * @param {String} field - Metadata field to set, handled_at for the whole message
+ * @returns {Promise<Object>} Updated message record
+ */
+exports.markInboundHandled = async (message, field = 'handled_at') => {
+  try {
+    const now = new Date().toISOString();
+    
+    const { data, error } = await supabase
+      .from('messages')
+      .update({
+        metadata: { ...(message.metadata || {}), [field]: now },
+        updated_at: now
+      })
+      .eq('id', message.id)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in markInboundHandled:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the most recent outbound SMS sent to a phone number
+ * Used to find which conversation an inbound reply belongs to.
+ * @param {String} phone - Phone number in E.164 format
+ * @returns {Promise<Object|null>} Message record, or null if none matches
+ */
+exports.getLatestMessageToPhone = async (phone) => {
+  try {
+    const { data, error } = await supabase
+      .from('messages')
+      .select('*')
+      .eq('message_type', 'sms')
+      .eq('direction', 'outbound')
+      .eq('metadata->>to', phone)
+      .order('sent_at', { ascending: false })
+      .limit(1);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error in getLatestMessageToPhone:', error);
+    throw error;
+  }
+};
+
 /**
  * Mark message as read
  * @param {UUID} id - Message ID
@@ -368,6 +519,9 @@ exports.deleteMessage = async (id) => {
 
 /**
  * Record response to a message
+ * 
+ * The response keeps the original sender_id/recipient_id pair (user and person)
+ * so it threads into the same conversation, and is stored with direction 'inbound'.
  * @param {UUID} originalMessageId - Original message ID
  * @param {Object} responseData - Response message data
  * @returns {Promise<Object>} Created response message record
@@ -391,9 +545,11 @@ exports.recordResponse = async (originalMessageId, responseData) => {
     
     // Create the response message
     const responseMessage = await exports.createMessage({
+      message_type: originalMessage.message_type,
       ...responseData,
-      sender_id: originalMessage.recipient_id,
-      recipient_id: originalMessage.sender_id
+      sender_id: originalMessage.sender_id,
+      recipient_id: originalMessage.recipient_id,
+      direction: 'inbound'
     });
     
     // Update the original message to reference the response
@@ -537,15 +693,16 @@ exports.getBlastSummary = async (blastId) => {
 /**
  * Get unread message count for a user
  * @param {UUID} userId - User ID
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<number>} Count of unread messages
  */
-exports.getUnreadMessageCount = async (userId) => {
+exports.getUnreadMessageCount = async (userId, scope = null) => {
   try {
-    const { count, error } = await supabase
+    const { count, error } = await applyScope(supabase
       .from('messages')
       .select('*', { count: 'exact' })
       .eq('recipient_id', userId)
-      .is('read_at', null);
+      .is('read_at', null), scope);
     
     if (error) {
       throw error;
@@ -561,13 +718,14 @@ exports.getUnreadMessageCount = async (userId) => {
 /**
  * Create a text blast
  * @param {Object} blastData - Text blast data
+ * @param {Object} scope - Tenant scope the blast is sent from (see utils/tenancy.js)
  * @returns {Promise<Object>} Created text blast record
  */
-exports.createTextBlast = async (blastData) => {
+exports.createTextBlast = async (blastData, scope = null) => {
   try {
     const { data, error } = await supabase
       .from('text_blasts')
-      .insert(blastData)
+      .insert(stampRecord(blastData, scope))
       .select();
     
     if (error) {
@@ -586,13 +744,15 @@ exports.createTextBlast = async (blastData) => {
  * @param {UUID} id - Text blast ID
  * @param {String} status - New status
  * @param {Number} sentCount - Number of messages sent
+ * @param {Object} details - Additional columns to set (e.g. failed_count, last_error)
  * @returns {Promise<Object>} Updated text blast record
  */
-exports.updateTextBlastStatus = async (id, status, sentCount) => {
+exports.updateTextBlastStatus = async (id, status, sentCount, details = {}) => {
   try {
     const { data, error } = await supabase
       .from('text_blasts')
       .update({
+        ...details,
         status,
         sent_count: sentCount,
         completed_at: status === 'completed' ? new Date().toISOString() : null
@@ -611,6 +771,77 @@ exports.updateTextBlastStatus = async (id, status, sentCount) => {
   }
 };
 
+/**
+ * Claim a text blast for processing
+ * 
+ * The update only matches while the blast still has the status and start time
+ * it was read with, so when several server instances race for the same blast
+ * exactly one of them gets it back.
+ * @param {Object} textBlast - Text blast record as read from the database
+ * @returns {Promise<Object|null>} Claimed text blast record, or null if another worker claimed it first
+ */
+exports.claimTextBlast = async (textBlast) => {
+  try {
+    let query = supabase
+      .from('text_blasts')
+      .update({
+        status: 'processing',
+        started_at: new Date().toISOString()
+      })
+      .eq('id', textBlast.id)
+      .eq('status', textBlast.status);
+    
+    query = textBlast.started_at
+      ? query.eq('started_at', textBlast.started_at)
+      : query.is('started_at', null);
+    
+    const { data, error } = await query.select();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error in claimTextBlast:', error);
+    throw error;
+  }
+};
+
+/**
+ * Refresh the start time of a blast that is still being sent
+ * 
+ * The scheduler treats a blast as abandoned once its start time is stale, so
+ * the worker sending it calls this as it goes. Like claimTextBlast, the update
+ * only matches while the blast still has the start time this worker set.
+ * @param {Object} textBlast - Text blast record as claimed or last refreshed
+ * @returns {Promise<Object|null>} Refreshed text blast record, or null if another worker has taken the blast over
+ */
+exports.touchTextBlast = async (textBlast) => {
+  try {
+    let query = supabase
+      .from('text_blasts')
+      .update({ started_at: new Date().toISOString() })
+      .eq('id', textBlast.id)
+      .eq('status', 'processing');
+    
+    query = textBlast.started_at
+      ? query.eq('started_at', textBlast.started_at)
+      : query.is('started_at', null);
+    
+    const { data, error } = await query.select();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error in touchTextBlast:', error);
+    throw error;
+  }
+};
+
 /**
  * Get all text blasts
  * @param {Object} filters - Optional query filters
@@ -618,18 +849,21 @@ exports.updateTextBlastStatus = async (id, status, sentCount) => {
  * @param {UUID} filters.senderId - Filter by sender ID
  * @param {String} filters.dateFrom - Filter by date range start
  * @param {String} filters.dateTo - Filter by date range end
+ * @param {String} filters.scheduledBefore - Only blasts scheduled at or before this time
+ * @param {String} filters.startedBefore - Only blasts started at or before this time
  * @param {Object} pagination - Pagination options
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Array>} Array of text blast records
  */
-exports.getAllTextBlasts = async (filters = {}, pagination = { page: 0, pageSize: 10 }) => {
+exports.getAllTextBlasts = async (filters = {}, pagination = { page: 0, pageSize: 10 }, scope = null) => {
   try {
     const { page, pageSize } = pagination;
     const from = page * pageSize;
     const to = from + pageSize - 1;
     
-    let query = supabase
+    let query = applyScope(supabase
       .from('text_blasts')
-      .select('*, sender:sender_id(*)')
+      .select('*, sender:sender_id(*)'), scope)
       .range(from, to)
       .order('created_at', { ascending: false });
     
@@ -650,6 +884,14 @@ exports.getAllTextBlasts = async (filters = {}, pagination = { page: 0, pageSize
       query = query.lte('created_at', filters.dateTo);
     }
     
+    if (filters.scheduledBefore) {
+      query = query.lte('scheduled_for', filters.scheduledBefore);
+    }
+    
+    if (filters.startedBefore) {
+      query = query.lte('started_at', filters.startedBefore);
+    }
+    
     const { data, error } = await query;
     
     if (error) {
@@ -666,15 +908,16 @@ exports.getAllTextBlasts = async (filters = {}, pagination = { page: 0, pageSize
 /**
  * Get text blast by ID
  * @param {UUID} id - Text blast ID
- * @returns {Promise<Object>} Text blast record
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Text blast record, or null if none is found in the scope
  */
-exports.getTextBlastById = async (id) => {
+exports.getTextBlastById = async (id, scope = null) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('text_blasts')
       .select('*, sender:sender_id(*)')
-      .eq('id', id)
-      .single();
+      .eq('id', id), scope)
+      .maybeSingle();
     
     if (error) {
       throw error;
@@ -689,6 +932,7 @@ exports.getTextBlastById = async (id) => {
 
 /**
  * Create multiple messages in a batch
+ * Each message is stamped with its recipient's organization and location.
  * @param {Array} messages - Array of message objects
  * @returns {Promise<Object>} Result of the batch insert
  */
@@ -713,11 +957,22 @@ exports.createBatchMessages = async (messages) => {
       }
     });
     
+    const { data: recipients, error: recipientError } = await supabase
+      .from('persons')
+      .select('id, organization_id, location_id')
+      .in('id', [...new Set(messages.map(message => message.recipient_id))]);
+    
+    if (recipientError) {
+      throw recipientError;
+    }
+    
+    const tenants = new Map((recipients || []).map(recipient => [recipient.id, getTenantColumns(recipient)]));
     const now = new Date().toISOString();
     
-    // Add timestamps to all messages
+    // Add tenant and timestamps to all messages
     const messagesWithTimestamps = messages.map(message => ({
       ...message,
+      ...tenants.get(message.recipient_id),
       created_at: message.created_at || now,
       updated_at: message.updated_at || now,
       sent_at: message.sent_at || now
@@ -766,13 +1021,14 @@ exports.getMessagesByBlastId = async (blastId) => {
 /**
  * Create a message template
  * @param {Object} templateData - Template data
+ * @param {Object} scope - Tenant scope the template belongs to (see utils/tenancy.js)
  * @returns {Promise<Object>} Created template record
  */
-exports.createTemplate = async (templateData) => {
+exports.createTemplate = async (templateData, scope = null) => {
   try {
     const { data, error } = await supabase
       .from('message_templates')
-      .insert(templateData)
+      .insert(stampRecord(templateData, scope))
       .select();
     
     if (error) {
@@ -792,17 +1048,18 @@ exports.createTemplate = async (templateData) => {
  * @param {String} filters.templateType - Filter by template type
  * @param {UUID} filters.userId - Filter by user ID
  * @param {Object} pagination - Pagination options
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Array>} Array of template records
  */
-exports.getAllTemplates = async (filters = {}, pagination = { page: 0, pageSize: 10 }) => {
+exports.getAllTemplates = async (filters = {}, pagination = { page: 0, pageSize: 10 }, scope = null) => {
   try {
     const { page, pageSize } = pagination;
     const from = page * pageSize;
     const to = from + pageSize - 1;
     
-    let query = supabase
+    let query = applyScope(supabase
       .from('message_templates')
-      .select('*')
+      .select('*'), scope)
       .range(from, to)
       .order('created_at', { ascending: false });
     
@@ -831,15 +1088,16 @@ exports.getAllTemplates = async (filters = {}, pagination = { page: 0, pageSize:
 /**
  * Get template by ID
  * @param {UUID} id - Template ID
- * @returns {Promise<Object>} Template record
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Template record, or null if none is found in the scope
  */
-exports.getTemplateById = async (id) => {
+exports.getTemplateById = async (id, scope = null) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('message_templates')
       .select('*')
-      .eq('id', id)
-      .single();
+      .eq('id', id), scope)
+      .maybeSingle();
     
     if (error) {
       throw error;
@@ -856,21 +1114,22 @@ exports.getTemplateById = async (id) => {
  * Update a template
  * @param {UUID} id - Template ID
  * @param {Object} templateData - Template data to update
- * @returns {Promise<Object>} Updated template record
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Updated template record, or null if none is found in the scope
  */
-exports.updateTemplate = async (id, templateData) => {
+exports.updateTemplate = async (id, templateData, scope = null) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('message_templates')
-      .update(templateData)
-      .eq('id', id)
+      .update(restrictChanges(templateData, scope))
+      .eq('id', id), scope)
       .select();
     
     if (error) {
       throw error;
     }
     
-    return data[0];
+    return data[0] || null;
   } catch (error) {
     console.error('Error in updateTemplate:', error);
     throw error;
@@ -880,14 +1139,15 @@ exports.updateTemplate = async (id, templateData) => {
 /**
  * Delete a template
  * @param {UUID} id - Template ID
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Boolean>} True if successful
  */
-exports.deleteTemplate = async (id) => {
+exports.deleteTemplate = async (id, scope = null) => {
   try {
-    const { error } = await supabase
+    const { error } = await applyScope(supabase
       .from('message_templates')
       .delete()
-      .eq('id', id);
+      .eq('id', id), scope);
     
     if (error) {
       throw error;
@@ -905,14 +1165,15 @@ exports.deleteTemplate = async (id) => {
  * @param {String} dateFrom - Start date for statistics
  * @param {String} dateTo - End date for statistics
  * @param {UUID} userId - Filter by user ID
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Object>} Messaging statistics
  */
-exports.getMessagingStats = async (dateFrom, dateTo, userId) => {
+exports.getMessagingStats = async (dateFrom, dateTo, userId, scope = null) => {
   try {
     // Prepare query for messages
-    let messageQuery = supabase
+    let messageQuery = applyScope(supabase
       .from('messages')
-      .select('*');
+      .select('*'), scope);
     
     // Apply date filters if provided
     if (dateFrom) {
@@ -936,9 +1197,9 @@ exports.getMessagingStats = async (dateFrom, dateTo, userId) => {
     }
     
     // Prepare query for text blasts
-    let blastQuery = supabase
+    let blastQuery = applyScope(supabase
       .from('text_blasts')
-      .select('*');
+      .select('*'), scope);
     
     // Apply date filters if provided
     if (dateFrom) {
@@ -1011,4 +1272,34 @@ exports.getMessagingStats = async (dateFrom, dateTo, userId) => {
     console.error('Error in getMessagingStats:', error);
     throw error;
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Get the messages exchanged with several people since a date, to work out how
+ * often they answer
+ * @param {Array<UUID>} personIds - Person IDs
+ * @param {Date|string} since - Earliest message to include
+ * @returns {Promise<Array>} Messages (recipient_id, direction, has_response, sent_at)
+ */
+exports.getMessagesForResponseRate = async (personIds, since) => {
+  try {
+    if (personIds.length === 0) {
+      return [];
+    }
+    
+    const { data, error } = await supabase
+      .from('messages')
+      .select('recipient_id, direction, has_response, sent_at')
+      .in('recipient_id', personIds)
+      .gte('sent_at', new Date(since).toISOString());
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getMessagesForResponseRate:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,728 @@
+/**
+ * Nurture Model
+ * Handles database interactions for nurture sequences: their steps, the people
+ * enrolled in them and each step sent
+ */
+const supabase = require('../config/supabase');
+const { applyScope, restrictChanges } = require('../utils/tenancy');
+
+/**
+ * Standard fields for the nurture_sequences table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.sequenceFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  location_id: 'uuid', // Foreign key to locations(id); null for every location
+  
+  name: 'text', // NOT NULL
+  description: 'text',
+  audience: 'text', // NOT NULL, DEFAULT 'any'::text in SQL ('lead', 'referral' or 'any')
+  trigger: 'text', // NOT NULL, DEFAULT 'manual'::text in SQL ('manual', 'lead_created', 'referral_created' or 'lead_status_changed')
+  trigger_status: 'text', // Lead stage for the lead_status_changed trigger
+  exit_conditions: 'text[]', // NOT NULL; any of 'replied', 'appointment_booked', 'converted' and 'opted_out'
+  is_active: 'boolean', // NOT NULL, DEFAULT true in SQL
+  
+  // Meta
+  created_by: 'uuid', // Foreign key to users(id)
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Standard fields for the nurture_sequence_steps table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.stepFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  sequence_id: 'uuid', // NOT NULL, foreign key to nurture_sequences(id)
+  position: 'integer', // NOT NULL, 0 for the first step
+  
+  delay_minutes: 'integer', // NOT NULL, DEFAULT 0 in SQL; after enrollment for the first step, after the previous step for the rest
+  channel: 'text', // NOT NULL ('sms' or 'email')
+  subject: 'text', // Emails only
+  template: 'text', // NOT NULL
+  
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+  // UNIQUE (sequence_id, position)
+};
+
+/**
+ * Standard fields for the nurture_enrollments table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.enrollmentFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  location_id: 'uuid', // Foreign key to locations(id)
+  sequence_id: 'uuid', // NOT NULL, foreign key to nurture_sequences(id)
+  person_id: 'uuid', // NOT NULL, foreign key to persons(id)
+  
+  status: 'text', // NOT NULL, DEFAULT 'active'::text in SQL ('active', 'completed', 'exited' or 'cancelled')
+  current_step: 'integer', // NOT NULL, DEFAULT 0 in SQL; position of the next step to send
+  next_step_at: 'timestamp', // When it is due; null once the enrollment has ended
+  exit_reason: 'text', // 'replied', 'appointment_booked', 'converted' or 'opted_out'
+  
+  enrolled_via: 'text', // NOT NULL, DEFAULT 'manual'::text in SQL ('manual' or 'trigger')
+  enrolled_by: 'uuid', // Foreign key to users(id)
+  enrolled_at: 'timestamp', // NOT NULL, DEFAULT now() in SQL
+  ended_at: 'timestamp',
+  
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+  // UNIQUE (sequence_id, person_id) while active
+};
+
+/**
+ * Standard fields for the nurture_step_deliveries table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.deliveryFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  enrollment_id: 'uuid', // NOT NULL, foreign key to nurture_enrollments(id)
+  sequence_id: 'uuid', // NOT NULL, foreign key to nurture_sequences(id)
+  step_id: 'uuid', // Foreign key to nurture_sequence_steps(id)
+  position: 'integer', // NOT NULL
+  person_id: 'uuid', // NOT NULL, foreign key to persons(id)
+  
+  channel: 'text', // NOT NULL ('sms' or 'email')
+  status: 'text', // NOT NULL ('sent', 'failed' or 'skipped'); delivery receipts are read from the message
+  message_id: 'uuid', // Foreign key to messages(id)
+  interaction_id: 'uuid', // Foreign key to interactions(id)
+  error: 'text',
+  sent_at: 'timestamp', // NOT NULL, DEFAULT now() in SQL
+  responded_at: 'timestamp', // When the person first replied to this step
+  
+  created_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+// Columns returned for a sequence, with its steps
+const SEQUENCE_COLUMNS = '*, steps:nurture_sequence_steps (*)';
+
+// Columns returned for an enrollment, with the person and sequence
+const ENROLLMENT_COLUMNS = `
+  *,
+  person:person_id (id, first_name, last_name, email, phone, is_lead, is_referral, is_member),
+  sequence:sequence_id (id, name)
+`;
+
+/**
+ * Limit a sequences query to a tenant scope
+ * Sequences for every location (location_id null) are in every location's scope.
+ * @param {Object} query - Supabase query
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Object} Scoped query
+ */
+const scopeSequences = (query, scope) => {
+  if (!scope) {
+    return query;
+  }
+  
+  const scoped = query.eq('organization_id', scope.organizationId);
+  
+  return scope.locationId
+    ? scoped.or(`location_id.is.null,location_id.eq.${scope.locationId}`)
+    : scoped;
+};
+
+/**
+ * Get sequences, by name
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array>} Sequences with their steps
+ */
+exports.getSequences = async (scope = null) => {
+  try {
+    const { data, error } = await scopeSequences(supabase
+      .from('nurture_sequences')
+      .select(SEQUENCE_COLUMNS), scope)
+      .order('name');
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getSequences:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a sequence by ID
+ * @param {UUID} id - Sequence ID
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Sequence with its steps, or null if none is found in the scope
+ */
+exports.getSequenceById = async (id, scope = null) => {
+  try {
+    const { data, error } = await scopeSequences(supabase
+      .from('nurture_sequences')
+      .select(SEQUENCE_COLUMNS)
+      .eq('id', id), scope)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getSequenceById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get an organization's active sequences that a trigger enrolls people in
+ * @param {UUID} organizationId - Organization ID
+ * @param {String} trigger - 'lead_created', 'referral_created' or 'lead_status_changed'
+ * @returns {Promise<Array>} Sequences with their steps
+ */
+exports.getTriggeredSequences = async (organizationId, trigger) => {
+  try {
+    const { data, error } = await supabase
+      .from('nurture_sequences')
+      .select(SEQUENCE_COLUMNS)
+      .eq('organization_id', organizationId)
+      .eq('trigger', trigger)
+      .eq('is_active', true);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getTriggeredSequences:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a sequence
+ * @param {Object} sequenceData - Sequence data, including its organization_id and location_id
+ * @returns {Promise<Object>} Created sequence
+ */
+exports.createSequence = async (sequenceData) => {
+  try {
+    const now = new Date().toISOString();
+    
+    const { data, error } = await supabase
+      .from('nurture_sequences')
+      .insert([{ ...sequenceData, created_at: now, updated_at: now }])
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createSequence:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a sequence
+ * @param {UUID} id - Sequence ID
+ * @param {Object} changes - Fields to update
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Updated sequence, or null if none is found in the scope
+ */
+exports.updateSequence = async (id, changes, scope = null) => {
+  try {
+    const { data, error } = await scopeSequences(supabase
+      .from('nurture_sequences')
+      .update({
+        ...restrictChanges(changes, scope),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id), scope)
+      .select()
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateSequence:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a sequence, with its steps, enrollments and deliveries
+ * @param {UUID} id - Sequence ID
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Deleted sequence, or null if none is found in the scope
+ */
+exports.deleteSequence = async (id, scope = null) => {
+  try {
+    const { data, error } = await scopeSequences(supabase
+      .from('nurture_sequences')
+      .delete()
+      .eq('id', id), scope)
+      .select()
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in deleteSequence:', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace a sequence's steps
+ * Steps are matched by position, so a step keeps its ID (and its stats) when
+ * it is edited. Steps past the end of the new list are removed.
+ * @param {UUID} sequenceId - Sequence ID
+ * @param {Array} steps - Steps in order: { delay_minutes, channel, subject, template }
+ * @returns {Promise<Array>} Saved steps, in order
+ */
+exports.saveSteps = async (sequenceId, steps) => {
+  try {
+    const now = new Date().toISOString();
+    
+    const { data, error } = await supabase
+      .from('nurture_sequence_steps')
+      .upsert(steps.map((step, position) => ({
+        ...step,
+        sequence_id: sequenceId,
+        position,
+        updated_at: now
+      })), { onConflict: 'sequence_id,position' })
+      .select();
+    
+    if (error) {
+      throw error;
+    }
+    
+    const { error: deleteError } = await supabase
+      .from('nurture_sequence_steps')
+      .delete()
+      .eq('sequence_id', sequenceId)
+      .gte('position', steps.length);
+    
+    if (deleteError) {
+      throw deleteError;
+    }
+    
+    return (data || []).sort((a, b) => a.position - b.position);
+  } catch (error) {
+    console.error('Error in saveSteps:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get enrollments, most recent first
+ * @param {Object} filters - Optional query filters
+ * @param {UUID} filters.sequenceId - Only enrollments in this sequence
+ * @param {UUID} filters.personId - Only this person's enrollments
+ * @param {String} filters.status - Only enrollments in this status
+ * @param {Object} pagination - Pagination options
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object>} { enrollments, total }
+ */
+exports.getEnrollments = async (filters = {}, pagination = { page: 0, pageSize: 20 }, scope = null) => {
+  try {
+    const { page, pageSize } = pagination;
+    const from = page * pageSize;
+    const to = from + pageSize - 1;
+    
+    let query = applyScope(supabase
+      .from('nurture_enrollments')
+      .select(ENROLLMENT_COLUMNS, { count: 'exact' }), scope);
+    
+    if (filters.sequenceId) {
+      query = query.eq('sequence_id', filters.sequenceId);
+    }
+    
+    if (filters.personId) {
+      query = query.eq('person_id', filters.personId);
+    }
+    
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+    
+    const { data, count, error } = await query
+      .order('enrolled_at', { ascending: false })
+      .range(from, to);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return { enrollments: data || [], total: count || 0 };
+  } catch (error) {
+    console.error('Error in getEnrollments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get an enrollment by ID
+ * @param {UUID} id - Enrollment ID
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Enrollment, or null if none is found in the scope
+ */
+exports.getEnrollmentById = async (id, scope = null) => {
+  try {
+    const { data, error } = await applyScope(supabase
+      .from('nurture_enrollments')
+      .select(ENROLLMENT_COLUMNS)
+      .eq('id', id), scope)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getEnrollmentById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a person's active enrollments
+ * @param {UUID} personId - Person ID
+ * @returns {Promise<Array>} Enrollments, with their sequence's name and exit conditions
+ */
+exports.getActiveEnrollments = async (personId) => {
+  try {
+    const { data, error } = await supabase
+      .from('nurture_enrollments')
+      .select('*, sequence:sequence_id (id, name, exit_conditions)')
+      .eq('person_id', personId)
+      .eq('status', 'active');
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getActiveEnrollments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Enroll a person in a sequence
+ * @param {Object} enrollmentData - Enrollment data, including its organization_id and location_id
+ * @returns {Promise<Object|null>} Created enrollment, or null if the person is already active in the sequence
+ */
+exports.createEnrollment = async (enrollmentData) => {
+  try {
+    const { data, error } = await supabase
+      .from('nurture_enrollments')
+      .insert([enrollmentData])
+      .select()
+      .single();
+    
+    if (error) {
+      // Unique violation: the person is already active in the sequence
+      if (error.code === '23505') {
+        return null;
+      }
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createEnrollment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update an active enrollment
+ * The update only succeeds while the enrollment is at the expected step, so
+ * two workers can't send the same step and a cancelled enrollment stays
+ * cancelled.
+ * @param {UUID} id - Enrollment ID
+ * @param {Number} currentStep - Step the enrollment must be at
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object|null>} Updated enrollment, or null if it had moved on or ended
+ */
+exports.advanceEnrollment = async (id, currentStep, changes) => {
+  try {
+    const { data, error } = await supabase
+      .from('nurture_enrollments')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', 'active')
+      .eq('current_step', currentStep)
+      .select()
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in advanceEnrollment:', error);
+    throw error;
+  }
+};
+
+/**
+ * End an active enrollment
+ * @param {UUID} id - Enrollment ID
+ * @param {Object} changes - { status, exit_reason, ended_at }
+ * @returns {Promise<Object|null>} Ended enrollment, or null if it had already ended
+ */
+exports.endEnrollment = async (id, changes) => {
+  try {
+    const { data, error } = await supabase
+      .from('nurture_enrollments')
+      .update({ ...changes, next_step_at: null, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('status', 'active')
+      .select()
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in endEnrollment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get active enrollments whose next step is due, soonest first
+ * Enrollments in paused sequences wait until the sequence is active again.
+ * @param {String} now - Current time (ISO timestamp)
+ * @param {Number} limit - Most enrollments to return
+ * @returns {Promise<Array>} Enrollments, with their sequence and its steps
+ */
+exports.getDueEnrollments = async (now, limit = 100) => {
+  try {
+    const { data, error } = await supabase
+      .from('nurture_enrollments')
+      .select(`*, sequence:sequence_id!inner (${SEQUENCE_COLUMNS})`)
+      .eq('status', 'active')
+      .eq('sequence.is_active', true)
+      .lte('next_step_at', now)
+      .order('next_step_at', { ascending: true })
+      .limit(limit);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getDueEnrollments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of a sequence's enrollment outcomes
+ * @param {UUID} sequenceId - Sequence ID
+ * @param {Object} pagination - { page, pageSize }
+ * @returns {Promise<Array>} Enrollments' status and exit_reason
+ */
+exports.getEnrollmentOutcomes = async (sequenceId, { page, pageSize }) => {
+  try {
+    const from = page * pageSize;
+    
+    const { data, error } = await supabase
+      .from('nurture_enrollments')
+      .select('id, status, exit_reason')
+      .eq('sequence_id', sequenceId)
+      .order('id')
+      .range(from, from + pageSize - 1);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getEnrollmentOutcomes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get what a nurture sequence needs to know about a person
+ * @param {UUID} personId - Person ID
+ * @returns {Promise<Object|null>} Person with their lead and referral extensions, or null if not found
+ */
+exports.getPersonState = async (personId) => {
+  try {
+    const { data, error } = await supabase
+      .from('persons')
+      .select(`
+        id, organization_id, location_id, first_name, last_name, email, phone,
+        sms_opt_in, email_opt_in, do_not_contact_until, assigned_to,
+        is_lead, is_referral, is_member,
+        lead_extensions (lead_status),
+        referral_extensions (id, appointment_date, appointment_status, conversion_status, campaign_enrollments, nurture_sequence_status)
+      `)
+      .eq('id', personId)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getPersonState:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record a step sent, skipped or failed
+ * @param {Object} deliveryData - Delivery data
+ * @returns {Promise<Object>} Created delivery
+ */
+exports.createDelivery = async (deliveryData) => {
+  try {
+    const { data, error } = await supabase
+      .from('nurture_step_deliveries')
+      .insert([deliveryData])
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createDelivery:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of a sequence's deliveries
+ * @param {UUID} sequenceId - Sequence ID
+ * @param {Object} pagination - { page, pageSize }
+ * @returns {Promise<Array>} Deliveries, with their message's delivery status
+ */
+exports.getDeliveries = async (sequenceId, { page, pageSize }) => {
+  try {
+    const from = page * pageSize;
+    
+    const { data, error } = await supabase
+      .from('nurture_step_deliveries')
+      .select('id, position, channel, status, responded_at, message:message_id (status)')
+      .eq('sequence_id', sequenceId)
+      .order('id')
+      .range(from, from + pageSize - 1);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getDeliveries:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the last step sent to a person, in any sequence
+ * @param {UUID} personId - Person ID
+ * @returns {Promise<Object|null>} Delivery, or null if no step has been sent to them
+ */
+exports.getLastSentDelivery = async (personId) => {
+  try {
+    const { data, error } = await supabase
+      .from('nurture_step_deliveries')
+      .select('*')
+      .eq('person_id', personId)
+      .eq('status', 'sent')
+      .order('sent_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getLastSentDelivery:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record the first reply to a step
+ * @param {UUID} id - Delivery ID
+ * @param {String} respondedAt - Reply time (ISO timestamp)
+ * @returns {Promise<Object|null>} Updated delivery, or null if a reply was already recorded
+ */
+exports.markResponded = async (id, respondedAt) => {
+  try {
+    const { data, error } = await supabase
+      .from('nurture_step_deliveries')
+      .update({ responded_at: respondedAt })
+      .eq('id', id)
+      .is('responded_at', null)
+      .select()
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in markResponded:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a referral's campaign_enrollments and nurture_sequence_status
+ * @param {UUID} personId - Referral's person ID
+ * @param {Object} changes - { campaign_enrollments, nurture_sequence_status }
+ * @returns {Promise<Object|null>} Updated referral extension
+ */
+exports.updateReferralNurture = async (personId, changes) => {
+  try {
+    const { data, error } = await supabase
+      .from('referral_extensions')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('person_id', personId)
+      .select('id, campaign_enrollments, nurture_sequence_status')
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateReferralNurture:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,169 @@
+/**
+ * OAuth Connection Model
+ * Handles database interactions for users' connected third-party accounts
+ *
+ * Token columns hold values encrypted by utils/tokenEncryption.js; this model
+ * stores and returns them as they are.
+ */
+const supabase = require('../config/supabase');
+
+/**
+ * Standard fields for the oauth_connections table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.oauthConnectionFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  user_id: 'uuid', // NOT NULL constraint in SQL, foreign key to users(id)
+  provider: 'text', // NOT NULL, DEFAULT 'google'::text in SQL
+  
+  // Connected account
+  account_email: 'text',
+  scopes: 'text[]', // DEFAULT '{}'::text[] in SQL
+  
+  // Encrypted tokens
+  access_token_encrypted: 'text',
+  refresh_token_encrypted: 'text', // NOT NULL constraint in SQL
+  token_expires_at: 'timestamp',
+  
+  // Connection health
+  status: 'text', // NOT NULL, DEFAULT 'connected'::text in SQL ('connected' or 'needs_reauth')
+  last_refreshed_at: 'timestamp',
+  last_error: 'text',
+  connected_at: 'timestamp', // DEFAULT now() in SQL
+  
+  // Meta
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Get a user's connection to a provider
+ * @param {UUID} userId - User ID
+ * @param {String} provider - Provider name (e.g. 'google')
+ * @returns {Promise<Object|null>} Connection, or null if the user has not connected
+ */
+exports.getConnection = async (userId, provider) => {
+  try {
+    const { data, error } = await supabase
+      .from('oauth_connections')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('provider', provider)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getConnection:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get every connection to a provider
+ * @param {String} provider - Provider name (e.g. 'google')
+ * @param {Object} filters - Optional filters
+ * @param {String} filters.status - Only connections with this status
+ * @returns {Promise<Array>} Connections
+ */
+exports.getConnections = async (provider, filters = {}) => {
+  try {
+    let query = supabase
+      .from('oauth_connections')
+      .select('*')
+      .eq('provider', provider);
+    
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+    
+    const { data, error } = await query;
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getConnections:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or replace a user's connection to a provider
+ * @param {Object} connectionData - Connection data, including user_id and provider
+ * @returns {Promise<Object>} Saved connection
+ */
+exports.saveConnection = async (connectionData) => {
+  try {
+    const { data, error } = await supabase
+      .from('oauth_connections')
+      .upsert(connectionData, { onConflict: 'user_id,provider' })
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in saveConnection:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a connection
+ * @param {UUID} id - Connection ID
+ * @param {Object} connectionData - Fields to update
+ * @returns {Promise<Object>} Updated connection
+ */
+exports.updateConnection = async (id, connectionData) => {
+  try {
+    const { data, error } = await supabase
+      .from('oauth_connections')
+      .update(connectionData)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateConnection:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a user's connection to a provider
+ * @param {UUID} userId - User ID
+ * @param {String} provider - Provider name (e.g. 'google')
+ * @returns {Promise<Boolean>} True if successful
+ */
+exports.deleteConnection = async (userId, provider) => {
+  try {
+    const { error } = await supabase
+      .from('oauth_connections')
+      .delete()
+      .eq('user_id', userId)
+      .eq('provider', provider);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return true;
+  } catch (error) {
+    console.error('Error in deleteConnection:', error);
+    throw error;
+  }
+};
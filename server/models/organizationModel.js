@@ -0,0 +1,358 @@
+/**
+ * Organization Model
+ * Handles database interactions for organizations and the usage their plan tier limits
+ */
+const supabase = require('../config/supabase');
+
+/**
+ * Standard fields for the organizations table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.organizationFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  name: 'text', // NOT NULL constraint in SQL
+  plan_tier: 'text', // NOT NULL, DEFAULT 'starter'::text in SQL ('starter', 'growth' or 'scale')
+  
+  // Stripe subscription to the tier
+  stripe_customer_id: 'text',
+  stripe_subscription_id: 'text',
+  subscription_status: 'text', // Stripe subscription status, e.g. 'active' or 'past_due'
+  current_period_end: 'timestamp',
+  
+  attribution_model: 'text', // NOT NULL, DEFAULT 'first_touch'::text in SQL; how shared referrals are credited
+  
+  // Meta
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+/**
+ * Get an organization by ID
+ * @param {UUID} id - Organization ID
+ * @returns {Promise<Object|null>} Organization, or null if none matches
+ */
+exports.getOrganizationById = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('organizations')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getOrganizationById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create an organization
+ * @param {Object} organizationData - Organization data
+ * @returns {Promise<Object>} Created organization
+ */
+exports.createOrganization = async (organizationData) => {
+  try {
+    const { data, error } = await supabase
+      .from('organizations')
+      .insert(organizationData)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createOrganization:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update an organization
+ * @param {UUID} id - Organization ID
+ * @param {Object} organizationData - Fields to update
+ * @returns {Promise<Object>} Updated organization
+ */
+exports.updateOrganization = async (id, organizationData) => {
+  try {
+    const { data, error } = await supabase
+      .from('organizations')
+      .update(organizationData)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateOrganization:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the IDs of an organization's users
+ * @param {UUID} id - Organization ID
+ * @returns {Promise<Array<UUID>>} User IDs
+ */
+exports.getUserIds = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select('id')
+      .eq('organization_id', id);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return (data || []).map(user => user.id);
+  } catch (error) {
+    console.error('Error in getUserIds:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count the SMS an organization has sent since a date
+ * Counted by the messages' organization, so automatic texts to people without
+ * a salesperson count too. Inbound replies are not counted.
+ * @param {UUID} id - Organization ID
+ * @param {Date} since - Start of the period
+ * @returns {Promise<Number>} Outbound SMS sent
+ */
+exports.countSMSSent = async (id, since) => {
+  try {
+    const { count, error } = await supabase
+      .from('messages')
+      .select('id', { count: 'exact', head: true })
+      .eq('organization_id', id)
+      .eq('message_type', 'sms')
+      .eq('direction', 'outbound')
+      .gte('sent_at', since.toISOString());
+    
+    if (error) {
+      throw error;
+    }
+    
+    return count || 0;
+  } catch (error) {
+    console.error('Error in countSMSSent:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count the referral links an organization's users have created
+ * @param {Array<UUID>} userIds - The organization's user IDs
+ * @returns {Promise<Number>} Referral links
+ */
+exports.countReferralLinks = async (userIds) => {
+  try {
+    if (userIds.length === 0) {
+      return 0;
+    }
+    
+    const { count, error } = await supabase
+      .from('referral_links')
+      .select('id', { count: 'exact', head: true })
+      .in('created_by', userIds);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return count || 0;
+  } catch (error) {
+    console.error('Error in countReferralLinks:', error);
+    throw error;
+  }
+};
+
+/**
+ * Standard fields for the organization_invitations table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.invitationFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, REFERENCES organizations(id) in SQL
+  token_hash: 'text', // NOT NULL, UNIQUE in SQL; SHA-256 of the token, which is never stored
+  email: 'text', // Only this address can use the invitation, if set
+  role: 'text', // NOT NULL, DEFAULT 'salesperson'::text in SQL ('salesperson' or 'admin')
+  expires_at: 'timestamp', // NOT NULL in SQL
+  
+  // Use
+  accepted_by: 'uuid', // REFERENCES users(id) in SQL
+  accepted_at: 'timestamp',
+  
+  // Meta
+  invited_by: 'uuid', // REFERENCES users(id) in SQL
+  created_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+// Invitation columns safe to return; the token hash stays in the database
+const INVITATION_COLUMNS = 'id, organization_id, email, role, expires_at, accepted_by, accepted_at, invited_by, created_at';
+
+/**
+ * Create an invitation to join an organization
+ * @param {Object} invitationData - Invitation data, with the token's hash
+ * @returns {Promise<Object>} Created invitation, without the token hash
+ */
+exports.createInvitation = async (invitationData) => {
+  try {
+    const { data, error } = await supabase
+      .from('organization_invitations')
+      .insert(invitationData)
+      .select(INVITATION_COLUMNS)
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createInvitation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get an organization's invitations that haven't been used, newest first
+ * @param {UUID} organizationId - Organization ID
+ * @returns {Promise<Array>} Invitations, without their token hashes
+ */
+exports.getPendingInvitations = async (organizationId) => {
+  try {
+    const { data, error } = await supabase
+      .from('organization_invitations')
+      .select(INVITATION_COLUMNS)
+      .eq('organization_id', organizationId)
+      .is('accepted_at', null)
+      .order('created_at', { ascending: false });
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getPendingInvitations:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get an invitation by its token's hash
+ * @param {String} tokenHash - SHA-256 of the invitation token, hex
+ * @returns {Promise<Object|null>} Invitation, or null if none matches
+ */
+exports.getInvitationByTokenHash = async (tokenHash) => {
+  try {
+    const { data, error } = await supabase
+      .from('organization_invitations')
+      .select(INVITATION_COLUMNS)
+      .eq('token_hash', tokenHash)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getInvitationByTokenHash:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark an invitation used, if it is still unused and unexpired
+ * The conditional update lets only one registration use an invitation.
+ * @param {UUID} id - Invitation ID
+ * @returns {Promise<Object|null>} Claimed invitation, or null if it was already used or has expired
+ */
+exports.claimInvitation = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('organization_invitations')
+      .update({ accepted_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('accepted_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .select(INVITATION_COLUMNS)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in claimInvitation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update an invitation, e.g. to record who used it or to release a claim
+ * @param {UUID} id - Invitation ID
+ * @param {Object} invitationData - Fields to update
+ * @returns {Promise<Object>} Updated invitation
+ */
+exports.updateInvitation = async (id, invitationData) => {
+  try {
+    const { data, error } = await supabase
+      .from('organization_invitations')
+      .update(invitationData)
+      .eq('id', id)
+      .select(INVITATION_COLUMNS)
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateInvitation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete one of an organization's invitations
+ * @param {UUID} id - Invitation ID
+ * @param {UUID} organizationId - Organization the invitation must belong to
+ * @returns {Promise<Object|null>} Deleted invitation, or null if none matches
+ */
+exports.deleteInvitation = async (id, organizationId) => {
+  try {
+    const { data, error } = await supabase
+      .from('organization_invitations')
+      .delete()
+      .eq('id', id)
+      .eq('organization_id', organizationId)
+      .select(INVITATION_COLUMNS)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in deleteInvitation:', error);
+    throw error;
+  }
+};
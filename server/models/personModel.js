@@ -3,6 +3,8 @@
  * Handles database interactions for the unified person model
  */
 const supabase = require('../config/supabase');
+const { applyScope, stampRecord, restrictChanges } = require('../utils/tenancy');
+const { CustomError } = require('../utils/errorHandler');
 
 /**
  * Standard fields for the person model, matching Supabase database structure
@@ -45,7 +47,8 @@ exports.personFields = {
   // Qualification data
   interest_level: 'text',
   goals: 'text',
-  preferred_membership: 'text',
+  preferred_membership: 'text', // Name of the preferred plan
+  preferred_membership_plan_id: 'uuid', // Foreign key to membership_plans(id)
   interested_services: 'text[]',
   preferred_schedule: 'jsonb',
   special_requirements: 'text',
@@ -60,6 +63,10 @@ exports.personFields = {
   tags: 'text[]',
   custom_fields: 'jsonb',
   
+  // Tenant
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  location_id: 'uuid', // Foreign key to locations(id)
+  
   // Meta
   assigned_to: 'uuid',
   created_at: 'timestamp',
@@ -84,18 +91,19 @@ exports.personFields = {
  * @param {Object} pagination - Pagination options
  * @param {Number} pagination.page - Page number (0-indexed)
  * @param {Number} pagination.pageSize - Items per page
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Array>} Array of person records
  */
-exports.getAllPersons = async (filters = {}, pagination = { page: 0, pageSize: 10 }) => {
+exports.getAllPersons = async (filters = {}, pagination = { page: 0, pageSize: 10 }, scope = null) => {
   try {
     const { page, pageSize } = pagination;
     const from = page * pageSize;
     const to = from + pageSize - 1;
     
-    let query = supabase
+    let query = applyScope(supabase
       .from('persons')
       .select('*, lead_extensions(*), referral_extensions(*), member_extensions(*)')
-      .range(from, to);
+      .range(from, to), scope);
     
     // Apply filters
     if (filters.isLead !== undefined) {
@@ -151,15 +159,16 @@ exports.getAllPersons = async (filters = {}, pagination = { page: 0, pageSize: 1
 /**
  * Get a person by ID
  * @param {UUID} id - Person ID
- * @returns {Promise<Object>} Person record
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Person record, or null if none is found in the scope
  */
-exports.getPersonById = async (id) => {
+exports.getPersonById = async (id, scope = null) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('persons')
       .select('*, lead_extensions(*), referral_extensions(*), member_extensions(*)')
-      .eq('id', id)
-      .single();
+      .eq('id', id), scope)
+      .maybeSingle();
     
     if (error) {
       throw error;
@@ -172,6 +181,156 @@ exports.getPersonById = async (id) => {
   }
 };
 
+/**
+ * Get the organization and location a person belongs to, so that records
+ * created for the person (messages, interactions, referral links) share them
+ * @param {UUID} id - Person ID
+ * @returns {Promise<Object|null>} { organization_id, location_id }, or null if the person does not exist
+ */
+exports.getPersonTenant = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('persons')
+      .select('organization_id, location_id')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getPersonTenant:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the ways a phone number may have been stored
+ * Numbers are saved as they were entered, so a lookup tries the digits with and
+ * without the country code and the usual US formats.
+ * @param {String} phone - Phone number in any format
+ * @returns {Array<String>} Distinct spellings of the number; empty if it has no digits
+ */
+const getPhoneVariants = (phone) => {
+  const digits = (phone || '').replace(/\D/g, '');
+  
+  if (!digits) {
+    return [];
+  }
+  
+  const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  const candidates = [phone, digits, `+${digits}`, national];
+  
+  if (national.length === 10) {
+    const area = national.slice(0, 3);
+    const prefix = national.slice(3, 6);
+    const line = national.slice(6);
+    candidates.push(
+      `+1${national}`,
+      `1${national}`,
+      `(${area}) ${prefix}-${line}`,
+      `${area}-${prefix}-${line}`,
+      `${area}.${prefix}.${line}`,
+      `${area} ${prefix} ${line}`
+    );
+  }
+  
+  return [...new Set(candidates)];
+};
+
+/**
+ * Find all persons with a phone number
+ * Phone numbers are stored as entered, so the common US formats of the number
+ * are all tried.
+ * @param {String} phone - Phone number, ideally in E.164 format
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array>} Matching person records, most recently updated first
+ */
+exports.getPersonsByPhone = async (phone, scope = null) => {
+  try {
+    const candidates = getPhoneVariants(phone);
+    
+    if (candidates.length === 0) {
+      return [];
+    }
+    
+    const { data, error } = await applyScope(supabase
+      .from('persons')
+      .select('*')
+      .in('phone', candidates), scope)
+      .order('updated_at', { ascending: false });
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getPersonsByPhone:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find a person by phone number
+ * @param {String} phone - Phone number, ideally in E.164 format
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Most recently updated matching person, or null
+ */
+exports.getPersonByPhone = async (phone, scope = null) => {
+  const persons = await exports.getPersonsByPhone(phone, scope);
+  return persons.length > 0 ? persons[0] : null;
+};
+
+/**
+ * Find the persons matching any of a set of emails or phone numbers
+ * Emails match ignoring case and phone numbers match in any of their usual
+ * formats. Lookups are split into batches to keep each request short.
+ * @param {Object} contacts - Contact details to look for
+ * @param {Array<String>} contacts.emails - Email addresses
+ * @param {Array<String>} contacts.phones - Phone numbers in any format
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array>} Matching persons (id, names, email, phone and role flags)
+ */
+exports.findPersonsByContact = async ({ emails = [], phones = [] } = {}, scope = null) => {
+  try {
+    const batchSize = 100;
+    const emailValues = [...new Set(emails.filter(Boolean).flatMap(email => [email, email.toLowerCase()]))];
+    const phoneValues = [...new Set(phones.flatMap(getPhoneVariants))];
+    const lookups = [];
+    
+    for (let i = 0; i < emailValues.length; i += batchSize) {
+      lookups.push(['email', emailValues.slice(i, i + batchSize)]);
+    }
+    
+    for (let i = 0; i < phoneValues.length; i += batchSize) {
+      lookups.push(['phone', phoneValues.slice(i, i + batchSize)]);
+    }
+    
+    const persons = new Map();
+    
+    for (const [field, values] of lookups) {
+      const { data, error } = await applyScope(supabase
+        .from('persons')
+        .select('id, first_name, last_name, email, phone, is_lead, is_member, is_referral')
+        .in(field, values), scope);
+      
+      if (error) {
+        throw error;
+      }
+      
+      (data || []).forEach(person => persons.set(person.id, person));
+    }
+    
+    return [...persons.values()];
+  } catch (error) {
+    console.error('Error in findPersonsByContact:', error);
+    throw error;
+  }
+};
+
 /**
  * Create a new person
  * @param {Object} personData - Person data (see personFields for structure)
@@ -183,9 +342,11 @@ exports.getPersonById = async (id) => {
  * @param {Boolean} personData.is_referral - Is this person a referral
  * @param {Boolean} personData.is_member - Is this person a member
  * @param {Object} extensionData - Optional extension data based on person type
+ * @param {Object} scope - Tenant scope the person is created in (see utils/tenancy.js);
+ *   without one, personData must carry organization_id
  * @returns {Promise<Object>} Created person record
  */
-exports.createPerson = async (personData, extensionData = {}) => {
+exports.createPerson = async (personData, extensionData = {}, scope = null) => {
   try {
     // Validate required fields
     if (!personData.first_name || !personData.last_name) {
@@ -194,11 +355,11 @@ exports.createPerson = async (personData, extensionData = {}) => {
     
     // Add timestamps if not provided
     const now = new Date().toISOString();
-    const dataWithTimestamps = {
+    const dataWithTimestamps = stampRecord({
       ...personData,
       created_at: personData.created_at || now,
       updated_at: personData.updated_at || now
-    };
+    }, scope);
     
     // Start a transaction
     const { data: person, error: personError } = await supabase
@@ -306,27 +467,35 @@ exports.createPerson = async (personData, extensionData = {}) => {
  * @param {UUID} id - Person ID
  * @param {Object} personData - Person data to update
  * @param {Object} extensionData - Optional extension data to update
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Object>} Updated person record
+ * @throws {CustomError} 404 if the person is not found in the scope
  */
-exports.updatePerson = async (id, personData, extensionData = {}) => {
+exports.updatePerson = async (id, personData, extensionData = {}, scope = null) => {
   try {
     // Add updated timestamp
     const now = new Date().toISOString();
     const dataWithTimestamp = {
-      ...personData,
+      ...restrictChanges(personData, scope),
       updated_at: now
     };
     
     // Update person
-    const { error: personError } = await supabase
+    const { data: updated, error: personError } = await applyScope(supabase
       .from('persons')
       .update(dataWithTimestamp)
-      .eq('id', id);
+      .eq('id', id), scope)
+      .select('id');
     
     if (personError) {
       throw personError;
     }
     
+    // Extensions are only touched once the person is known to be in the scope
+    if (scope && (!updated || updated.length === 0)) {
+      throw new CustomError(`Person with ID ${id} not found`, 404);
+    }
+    
     // Update extensions if provided
     if (extensionData.leadExtension) {
       // Validate constraints
@@ -409,15 +578,16 @@ exports.updatePerson = async (id, personData, extensionData = {}) => {
 /**
  * Delete a person
  * @param {UUID} id - Person ID
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Boolean>} True if successful
  */
-exports.deletePerson = async (id) => {
+exports.deletePerson = async (id, scope = null) => {
   try {
     // Extensions will be cascaded due to ON DELETE CASCADE
-    const { error } = await supabase
+    const { error } = await applyScope(supabase
       .from('persons')
       .delete()
-      .eq('id', id);
+      .eq('id', id), scope);
     
     if (error) {
       throw error;
@@ -433,13 +603,14 @@ exports.deletePerson = async (id) => {
 /**
  * Count persons with optional filtering
  * @param {Object} filters - Optional query filters (same as getAllPersons)
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Number>} Total count of matching persons
  */
-exports.countPersons = async (filters = {}) => {
+exports.countPersons = async (filters = {}, scope = null) => {
   try {
-    let query = supabase
+    let query = applyScope(supabase
       .from('persons')
-      .select('id', { count: 'exact' });
+      .select('id', { count: 'exact' }), scope);
     
     // Apply the same filters as getAllPersons
     if (filters.isLead !== undefined) {
@@ -495,9 +666,10 @@ exports.countPersons = async (filters = {}) => {
 /**
  * Get distinct values for a specific field
  * @param {String} field - The field to get distinct values for
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Array>} Array of distinct values
  */
-exports.getDistinctValues = async (field) => {
+exports.getDistinctValues = async (field, scope = null) => {
   try {
     // Use the personFields map to validate the field exists
     if (!exports.personFields[field]) {
@@ -509,10 +681,10 @@ exports.getDistinctValues = async (field) => {
       throw new Error(`Cannot get distinct values for ${exports.personFields[field]} type field: ${field}`);
     }
     
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('persons')
       .select(field)
-      .not(field, 'is', null);
+      .not(field, 'is', null), scope);
     
     if (error) {
       throw error;
@@ -4,6 +4,8 @@
  */
 const supabase = require('../config/supabase');
 const personModel = require('./personModel');
+const { applyScope, isInScope } = require('../utils/tenancy');
+const { CustomError } = require('../utils/errorHandler');
 
 /**
  * Standard fields for the referral_extensions table, matching Supabase database structure
@@ -26,8 +28,10 @@ exports.referralExtensionFields = {
   
   // Appointment data
   appointment_date: 'timestamp',
+  appointment_end_date: 'timestamp', // Kept in step with appointment_date by a trigger when not given
   appointment_status: 'text',
   google_calendar_event_id: 'text',
+  appointment_calendar_user_id: 'uuid', // Foreign key to users(id), whose calendar holds the event
   
   // Conversion data
   conversion_status: 'text',
@@ -43,11 +47,53 @@ exports.referralExtensionFields = {
   campaign_enrollments: 'text[]', // Array of campaign identifiers
   nurture_sequence_status: 'jsonb', // Status of nurture sequences
   
+  // Credit attribution between referrers
+  attribution_model: 'text', // NULL uses the organization's default ('first_touch', 'last_touch', 'equal_split' or 'manual')
+  attributed_with: 'text', // Model the credit was last split with
+  attributed_at: 'timestamp',
+  
   // Meta
   created_at: 'timestamp', // DEFAULT now() in SQL
   updated_at: 'timestamp' // DEFAULT now() in SQL
 };
 
+/**
+ * Standard fields for the referral_links table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.referralLinkFields = {
+  id: 'uuid',
+  referrer_id: 'uuid', // NOT NULL, foreign key to persons(id)
+  created_by: 'uuid', // Foreign key to users(id)
+  
+  // Tenant
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  location_id: 'uuid', // Foreign key to locations(id)
+  
+  // Link
+  provider: 'text', // NOT NULL, DEFAULT 'self_hosted'::text in SQL ('firebase' or 'self_hosted')
+  short_code: 'text', // NOT NULL, UNIQUE constraint in SQL
+  url: 'text', // NOT NULL, the link that is shared
+  destination_url: 'text', // NOT NULL, where the link sends people
+  preview_url: 'text',
+  is_active: 'boolean', // DEFAULT true in SQL
+  
+  // UTM data
+  campaign: 'text', // DEFAULT 'default'::text in SQL
+  source: 'text',
+  medium: 'text',
+  utm_params: 'jsonb', // DEFAULT '{}'::jsonb in SQL
+  
+  // Click tracking
+  click_count: 'integer', // DEFAULT 0 in SQL
+  first_clicked_at: 'timestamp',
+  last_clicked_at: 'timestamp',
+  
+  // Metadata
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
 /**
  * Get all referrals with filtering options
  * @param {Object} filters - Optional query filters
@@ -60,23 +106,24 @@ exports.referralExtensionFields = {
  * @param {String} filters.dateFrom - Filter by date range start
  * @param {String} filters.dateTo - Filter by date range end
  * @param {Object} pagination - Pagination options
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Array>} Array of referral records
  */
-exports.getAllReferrals = async (filters = {}, pagination = { page: 0, pageSize: 10 }) => {
+exports.getAllReferrals = async (filters = {}, pagination = { page: 0, pageSize: 10 }, scope = null) => {
   try {
     const { page, pageSize } = pagination;
     const from = page * pageSize;
     const to = from + pageSize - 1;
     
     // Query to get referrals with all extensions
-    let query = supabase
+    let query = applyScope(supabase
       .from('persons')
       .select(`
         *,
         referral_extensions (*)
       `)
       .eq('is_referral', true)
-      .range(from, to);
+      .range(from, to), scope);
     
     // Apply person table filters
     if (filters.searchTerm) {
@@ -160,11 +207,12 @@ exports.getAllReferrals = async (filters = {}, pagination = { page: 0, pageSize:
 /**
  * Get referral by ID
  * @param {UUID} id - Referral ID (person_id)
- * @returns {Promise<Object>} Referral record
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Referral record, or null if none is found in the scope
  */
-exports.getReferralById = async (id) => {
+exports.getReferralById = async (id, scope = null) => {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await applyScope(supabase
       .from('persons')
       .select(`
         *,
@@ -175,8 +223,8 @@ exports.getReferralById = async (id) => {
         )
       `)
       .eq('id', id)
-      .eq('is_referral', true)
-      .single();
+      .eq('is_referral', true), scope)
+      .maybeSingle();
     
     if (error) {
       throw error;
@@ -189,15 +237,77 @@ exports.getReferralById = async (id) => {
   }
 };
 
+/**
+ * Get referrals with an active appointment in a time range
+ * Cancelled, completed and no-show appointments, and those waiting to be
+ * rescheduled, are left out.
+ * @param {String} from - Range start (ISO string)
+ * @param {String} to - Range end (ISO string)
+ * @returns {Promise<Array>} Referral records, each with its referral extension
+ */
+exports.getUpcomingAppointments = async (from, to) => {
+  try {
+    const { data, error } = await supabase
+      .from('persons')
+      .select(`
+        *,
+        referral_extensions!inner (*)
+      `)
+      .eq('is_referral', true)
+      .gte('referral_extensions.appointment_date', from)
+      .lte('referral_extensions.appointment_date', to)
+      .in('referral_extensions.appointment_status', ['scheduled', 'confirmed', 'rescheduled']);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getUpcomingAppointments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the referral whose appointment is a calendar event
+ * @param {String} eventId - Calendar event ID (google_calendar_event_id)
+ * @returns {Promise<Object|null>} Referral record, or null if no appointment uses the event
+ */
+exports.getReferralByCalendarEventId = async (eventId) => {
+  try {
+    const { data, error } = await supabase
+      .from('referral_extensions')
+      .select('person_id')
+      .eq('google_calendar_event_id', eventId)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    if (!data) {
+      return null;
+    }
+    
+    return await exports.getReferralById(data.person_id);
+  } catch (error) {
+    console.error('Error in getReferralByCalendarEventId:', error);
+    throw error;
+  }
+};
+
 /**
  * Create a new referral
  * @param {Object} personData - Core person data
  * @param {Object} referralExtensionData - Referral-specific data
  * @param {UUID} referrerId - ID of person who made the referral
  * @param {Object} relationshipData - Additional data about the relationship
+ * @param {Object} scope - Tenant scope the referral is created in (see utils/tenancy.js);
+ *   without one, personData must carry organization_id
  * @returns {Promise<Object>} Created referral
  */
-exports.createReferral = async (personData, referralExtensionData = {}, referrerId = null, relationshipData = {}) => {
+exports.createReferral = async (personData, referralExtensionData = {}, referrerId = null, relationshipData = {}, scope = null) => {
   try {
     // Ensure referral flag is set
     const referralPersonData = {
@@ -222,11 +332,17 @@ exports.createReferral = async (personData, referralExtensionData = {}, referrer
     }
     
     // Create person with referral extension
-    const referral = await personModel.createPerson(referralPersonData, { referralExtension: referralExtData });
+    const referral = await personModel.createPerson(referralPersonData, { referralExtension: referralExtData }, scope);
     
     // If referrer is provided, create relationship
     if (referrerId && referral) {
-      await exports.createReferralRelationship(referrerId, referral.id, relationshipData);
+      try {
+        await exports.createReferralRelationship(referrerId, referral.id, relationshipData);
+      } catch (relationshipError) {
+        // Do not leave a referral behind without its referrer
+        await personModel.deletePerson(referral.id);
+        throw relationshipError;
+      }
     }
     
     return referral;
@@ -288,21 +404,25 @@ exports.createReferralRelationship = async (referrerId, referralId, relationship
  * @param {UUID} id - Referral ID (person_id)
  * @param {Object} personData - Core person data to update
  * @param {Object} referralExtensionData - Referral-specific data to update
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Object>} Updated referral
  */
-exports.updateReferral = async (id, personData = {}, referralExtensionData = {}) => {
+exports.updateReferral = async (id, personData = {}, referralExtensionData = {}, scope = null) => {
   try {
     // If updating referral_status, add entry to status_history
     if (referralExtensionData.referral_status) {
       // First get current referral to access current status_history
-      const currentReferral = await exports.getReferralById(id);
+      const currentReferral = await exports.getReferralById(id, scope);
       
       if (currentReferral && currentReferral.referral_extensions && currentReferral.referral_extensions.length > 0) {
         const currentExtension = currentReferral.referral_extensions[0];
         const currentStatus = currentExtension.referral_status;
         
-        // Only update if status is actually changing
-        if (currentStatus !== referralExtensionData.referral_status) {
+        // Only update if status is actually changing, or if an appointment change
+        // comes with notes (moving an appointment twice keeps the same status)
+        const isNotedAppointmentChange = Boolean(referralExtensionData.appointment_status && referralExtensionData.statusChangeNotes);
+        
+        if (currentStatus !== referralExtensionData.referral_status || isNotedAppointmentChange) {
           const now = new Date().toISOString();
           const currentHistory = currentExtension.status_history || [];
           
@@ -314,11 +434,11 @@ exports.updateReferral = async (id, personData = {}, referralExtensionData = {})
               notes: referralExtensionData.statusChangeNotes || `Status changed from ${currentStatus} to ${referralExtensionData.referral_status}`
             }
           ];
-          
-          // Remove temporary field used only for note creation
-          delete referralExtensionData.statusChangeNotes;
         }
       }
+      
+      // Remove temporary field used only for note creation
+      delete referralExtensionData.statusChangeNotes;
     }
     
     // Update appointment data if provided
@@ -333,21 +453,22 @@ exports.updateReferral = async (id, personData = {}, referralExtensionData = {})
             'completed': 'appointment_completed',
             'no_show': 'no_show',
             'cancelled': 'appointment_cancelled',
-            'rescheduled': 'appointment_rescheduled'
+            'rescheduled': 'appointment_rescheduled',
+            'reschedule_requested': 'appointment_reschedule_requested'
           };
           
           if (statusMap[referralExtensionData.appointment_status]) {
             referralExtensionData.referral_status = statusMap[referralExtensionData.appointment_status];
             
             // Add to status history (recursive call will handle the status history update)
-            return await exports.updateReferral(id, personData, referralExtensionData);
+            return await exports.updateReferral(id, personData, referralExtensionData, scope);
           }
         }
       }
     }
     
     // Update the referral
-    return await personModel.updatePerson(id, personData, { referralExtension: referralExtensionData });
+    return await personModel.updatePerson(id, personData, { referralExtension: referralExtensionData }, scope);
   } catch (error) {
     console.error('Error in updateReferral:', error);
     throw error;
@@ -359,15 +480,23 @@ exports.updateReferral = async (id, personData = {}, referralExtensionData = {})
  * @param {UUID} id - Referral ID (person_id)
  * @param {Object} appointmentData - Appointment data
  * @param {Date} appointmentData.appointment_date - Appointment date
+ * @param {Date} appointmentData.appointment_end_date - When the appointment ends
  * @param {String} appointmentData.appointment_status - Appointment status
  * @param {String} appointmentData.google_calendar_event_id - Google Calendar event ID
  * @returns {Promise<Object>} Updated referral
+ * @throws {CustomError} 409 if the salesperson already has an appointment overlapping that time
  */
 exports.updateReferralAppointment = async (id, appointmentData) => {
   try {
     return await exports.updateReferral(id, {}, appointmentData);
   } catch (error) {
     console.error('Error in updateReferralAppointment:', error);
+    
+    // Exclusion violation: another booking overlaps this one (see 026_appointment_slots.sql)
+    if (error.code === '23P01') {
+      throw new CustomError('That time is no longer available', 409);
+    }
+    
     throw error;
   }
 };
@@ -396,14 +525,56 @@ exports.updateReferralConversion = async (id, conversionStatus, conversionDate =
   }
 };
 
+/**
+ * Convert a referral to a member
+ * Marks the person as a member, creates their member extension (or updates the
+ * existing one) and records the referral as converted.
+ * @param {UUID} id - Referral ID (person_id)
+ * @param {Object} memberExtensionData - Member-specific data
+ * @returns {Promise<Object>} Converted person with extensions
+ */
+exports.convertToMember = async (id, memberExtensionData = {}) => {
+  try {
+    const { data: existingExtension, error: findError } = await supabase
+      .from('member_extensions')
+      .select('id')
+      .eq('person_id', id)
+      .maybeSingle();
+    
+    if (findError) {
+      throw findError;
+    }
+    
+    if (existingExtension) {
+      await personModel.updatePerson(id, { is_member: true }, { memberExtension: memberExtensionData });
+    } else {
+      const { error: memberError } = await supabase
+        .from('member_extensions')
+        .insert({ person_id: id, ...memberExtensionData });
+      
+      if (memberError) {
+        throw memberError;
+      }
+      
+      await personModel.updatePerson(id, { is_member: true });
+    }
+    
+    return await exports.updateReferralConversion(id, 'converted');
+  } catch (error) {
+    console.error('Error in convertToMember:', error);
+    throw error;
+  }
+};
+
 /**
  * Delete a referral
  * @param {UUID} id - Referral ID (person_id)
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Boolean>} True if successful
  */
-exports.deleteReferral = async (id) => {
+exports.deleteReferral = async (id, scope = null) => {
   try {
-    return await personModel.deletePerson(id);
+    return await personModel.deletePerson(id, scope);
   } catch (error) {
     console.error('Error in deleteReferral:', error);
     throw error;
@@ -496,14 +667,91 @@ exports.getReferrerForReferral = async (referralId) => {
   }
 };
 
+/**
+ * Get every referrer credited with a referral, with their share of the credit,
+ * earliest referral first
+ * @param {UUID} referralId - Person ID who was referred
+ * @returns {Promise<Array>} Referral relationships (id, person_a_id, referral_date, created_at,
+ *   attribution_percentage, is_primary_referrer and the referrer)
+ */
+exports.getReferrersForReferral = async (referralId) => {
+  try {
+    const { data, error } = await supabase
+      .from('relationships')
+      .select(`
+        id, person_a_id, referral_date, created_at, attribution_percentage, is_primary_referrer,
+        referrer:person_a_id (id, first_name, last_name, email)
+      `)
+      .eq('person_b_id', referralId)
+      .eq('relationship_type', 'referral')
+      .order('referral_date', { ascending: true });
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getReferrersForReferral:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a referrer's converted referrals, with the referrer's share of each
+ * @param {UUID} referrerId - Person ID who made the referrals
+ * @returns {Promise<Array>} Converted referrals ({ referral_id, attribution_percentage, conversion_date })
+ */
+exports.getConvertedReferralShares = async (referrerId) => {
+  try {
+    const { data: relationships, error: relError } = await supabase
+      .from('relationships')
+      .select('person_b_id, attribution_percentage')
+      .eq('person_a_id', referrerId)
+      .eq('relationship_type', 'referral');
+    
+    if (relError) {
+      throw relError;
+    }
+    
+    if (!relationships || relationships.length === 0) {
+      return [];
+    }
+    
+    const { data: converted, error } = await supabase
+      .from('referral_extensions')
+      .select('person_id, conversion_date')
+      .in('person_id', relationships.map(rel => rel.person_b_id))
+      .eq('conversion_status', 'converted');
+    
+    if (error) {
+      throw error;
+    }
+    
+    return (converted || []).map((extension) => {
+      const relationship = relationships.find(rel => rel.person_b_id === extension.person_id);
+      
+      return {
+        referral_id: extension.person_id,
+        attribution_percentage: relationship.attribution_percentage,
+        conversion_date: extension.conversion_date
+      };
+    });
+  } catch (error) {
+    console.error('Error in getConvertedReferralShares:', error);
+    throw error;
+  }
+};
+
 /**
  * Get referral network
  * @param {UUID} rootPersonId - Starting point for network
  * @param {Number} maxDepth - Maximum depth to traverse
  * @param {Boolean} includeMembers - Whether to include members 
- * @returns {Promise<Object>} Network structure with nodes and links
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js); persons outside it are left out
+ * @returns {Promise<Object|null>} Network structure with nodes and links, or null if the root person is not found in the scope
  */
-exports.getReferralNetwork = async (rootPersonId, maxDepth = 2, includeMembers = true) => {
+exports.getReferralNetwork = async (rootPersonId, maxDepth = 2, includeMembers = true, scope = null) => {
   try {
     // Set to track visited nodes to avoid cycles
     const visited = new Set();
@@ -522,17 +770,21 @@ exports.getReferralNetwork = async (rootPersonId, maxDepth = 2, includeMembers =
       visited.add(currentPersonId);
       
       // Get the current person
-      const { data: person, error: personError } = await supabase
+      const { data: person, error: personError } = await applyScope(supabase
         .from('persons')
         .select('*, lead_extensions(*), referral_extensions(*), member_extensions(*)')
-        .eq('id', currentPersonId)
-        .single();
+        .eq('id', currentPersonId), scope)
+        .maybeSingle();
       
       if (personError) {
         console.error('Error fetching person:', personError);
         return;
       }
       
+      if (!person) {
+        return;
+      }
+      
       // Skip if we're not including members and this is a member (except for root)
       if (!includeMembers && person.is_member && currentPersonId !== rootPersonId) {
         return;
@@ -543,6 +795,8 @@ exports.getReferralNetwork = async (rootPersonId, maxDepth = 2, includeMembers =
         nodes.set(person.id, {
           id: person.id,
           name: `${person.first_name} ${person.last_name}`,
+          first_name: person.first_name,
+          last_name: person.last_name,
           email: person.email,
           phone: person.phone,
           isLead: person.is_lead,
@@ -573,11 +827,18 @@ exports.getReferralNetwork = async (rootPersonId, maxDepth = 2, includeMembers =
           continue;
         }
         
+        // Skip referrals from another organization or location
+        if (!isInScope(referralPerson, scope)) {
+          continue;
+        }
+        
         // Add referral to nodes if not already present
         if (!nodes.has(referralPerson.id)) {
           nodes.set(referralPerson.id, {
             id: referralPerson.id,
             name: `${referralPerson.first_name} ${referralPerson.last_name}`,
+            first_name: referralPerson.first_name,
+            last_name: referralPerson.last_name,
             email: referralPerson.email,
             phone: referralPerson.phone,
             isLead: referralPerson.is_lead,
@@ -605,6 +866,10 @@ exports.getReferralNetwork = async (rootPersonId, maxDepth = 2, includeMembers =
     // Start the recursive traversal
     await fetchReferrals(rootPersonId, 0);
     
+    if (!nodes.has(rootPersonId)) {
+      return null;
+    }
+    
     // Convert nodes map to array
     const nodesArray = Array.from(nodes.values());
     
@@ -621,13 +886,25 @@ exports.getReferralNetwork = async (rootPersonId, maxDepth = 2, includeMembers =
 /**
  * Get referral statistics
  * @param {Object} filters - Optional filters like date range
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
  * @returns {Promise<Object>} Referral statistics
  */
-exports.getReferralStats = async (filters = {}) => {
+exports.getReferralStats = async (filters = {}, scope = null) => {
   try {
     let query = supabase
       .from('referral_extensions')
-      .select('referral_status, conversion_status, appointment_status');
+      .select(scope
+        ? 'referral_status, conversion_status, appointment_status, persons!inner (organization_id, location_id)'
+        : 'referral_status, conversion_status, appointment_status');
+    
+    // Referral extensions are scoped through their person
+    if (scope) {
+      query = query.eq('persons.organization_id', scope.organizationId);
+      
+      if (scope.locationId) {
+        query = query.eq('persons.location_id', scope.locationId);
+      }
+    }
     
     // Apply date filters if provided
     if (filters.startDate && filters.endDate) {
@@ -685,4 +962,152 @@ exports.getReferralStats = async (filters = {}) => {
     console.error('Error in getReferralStats:', error);
     throw error;
   }
-}; 
\ No newline at end of file
+};
+
+/**
+ * Create a referral link record
+ * The link belongs to its referrer's organization and location.
+ * @param {Object} linkData - Link data (see referralLinkFields for structure)
+ * @returns {Promise<Object>} Created referral link
+ */
+exports.createReferralLink = async (linkData) => {
+  try {
+    const tenant = linkData.organization_id ? {} : await personModel.getPersonTenant(linkData.referrer_id);
+    
+    const { data, error } = await supabase
+      .from('referral_links')
+      .insert({ ...linkData, ...tenant })
+      .select()
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createReferralLink:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a referral link by ID
+ * @param {UUID} id - Referral link ID
+ * @returns {Promise<Object|null>} Referral link with its referrer, or null if not found
+ */
+exports.getReferralLinkById = async (id) => {
+  try {
+    const { data, error } = await supabase
+      .from('referral_links')
+      .select('*, referrer:referrer_id (id, first_name, last_name, email, phone)')
+      .eq('id', id)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getReferralLinkById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a referral link by its short code
+ * @param {String} shortCode - Short code from the shared link
+ * @returns {Promise<Object|null>} Referral link with its referrer, or null if not found
+ */
+exports.getReferralLinkByCode = async (shortCode) => {
+  try {
+    const { data, error } = await supabase
+      .from('referral_links')
+      .select('*, referrer:referrer_id (id, first_name, last_name, email, phone)')
+      .eq('short_code', shortCode)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getReferralLinkByCode:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get referral links with their click statistics
+ * @param {Object} filters - Optional query filters
+ * @param {UUID} filters.referrerId - Filter by referring member
+ * @param {UUID} filters.createdBy - Filter by the user who generated the link
+ * @param {String} filters.campaign - Filter by campaign
+ * @param {Object} pagination - Pagination options
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array>} Referral links, most clicked first
+ */
+exports.getReferralLinks = async (filters = {}, pagination = { page: 0, pageSize: 50 }, scope = null) => {
+  try {
+    const { page, pageSize } = pagination;
+    const start = page * pageSize;
+    const end = start + pageSize - 1;
+    
+    let query = applyScope(supabase
+      .from('referral_links')
+      .select('*, referrer:referrer_id (id, first_name, last_name, email, phone)'), scope);
+    
+    if (filters.referrerId) {
+      query = query.eq('referrer_id', filters.referrerId);
+    }
+    
+    if (filters.createdBy) {
+      query = query.eq('created_by', filters.createdBy);
+    }
+    
+    if (filters.campaign) {
+      query = query.eq('campaign', filters.campaign);
+    }
+    
+    const { data, error } = await query
+      .order('click_count', { ascending: false })
+      .order('created_at', { ascending: false })
+      .range(start, end);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getReferralLinks:', error);
+    throw error;
+  }
+};
+
+/**
+ * Count a click on a referral link
+ * The increment happens in the database so concurrent clicks are not lost.
+ * @param {String} shortCode - Short code from the shared link
+ * @param {String} clickedAt - Click time (ISO string)
+ * @returns {Promise<Object|null>} Updated link, or null if the code is unknown or inactive
+ */
+exports.recordReferralLinkClick = async (shortCode, clickedAt = new Date().toISOString()) => {
+  try {
+    const { data, error } = await supabase.rpc('record_referral_link_click', {
+      link_code: shortCode,
+      click_time: clickedAt
+    });
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error in recordReferralLinkClick:', error);
+    throw error;
+  }
+};
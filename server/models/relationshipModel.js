@@ -7,6 +7,7 @@
 
 const supabase = require('../config/supabase');
 const { errorHandler } = require('../utils/errorHandler');
+const { isInScope } = require('../utils/tenancy');
 
 /**
  * Standard fields for the relationships table, matching Supabase database structure
@@ -125,16 +126,17 @@ exports.createRelationship = async (relationshipData) => {
 /**
  * Get relationship by ID
  * @param {UUID} id - Relationship ID
- * @returns {Promise<Object>} Relationship data with resolved person data
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js); both persons must be in it
+ * @returns {Promise<Object|null>} Relationship data with resolved person data, or null if it is outside the scope
  */
-exports.getRelationshipById = async (id) => {
+exports.getRelationshipById = async (id, scope = null) => {
   try {
     const { data, error } = await supabase
       .from('relationships')
       .select(`
         *,
-        person_a:person_a_id (id, first_name, last_name, email, phone),
-        person_b:person_b_id (id, first_name, last_name, email, phone)
+        person_a:person_a_id (id, first_name, last_name, email, phone, organization_id, location_id),
+        person_b:person_b_id (id, first_name, last_name, email, phone, organization_id, location_id)
       `)
       .eq('id', id)
       .single();
@@ -143,6 +145,10 @@ exports.getRelationshipById = async (id) => {
       throw error;
     }
     
+    if (!isInScope(data.person_a, scope) || !isInScope(data.person_b, scope)) {
+      return null;
+    }
+    
     return data;
   } catch (error) {
     console.error('Error in getRelationshipById:', error);
@@ -386,9 +392,10 @@ exports.getRelationshipsForPerson = async (personId, options = {}, pagination =
  * @param {String} filters.dateFrom - Filter from date
  * @param {String} filters.dateTo - Filter to date
  * @param {Object} pagination - Pagination options
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js); referrers must be in it
  * @returns {Promise<Array>} Array of referral relationships
  */
-exports.getReferralRelationships = async (filters = {}, pagination = { page: 0, pageSize: 20 }) => {
+exports.getReferralRelationships = async (filters = {}, pagination = { page: 0, pageSize: 20 }, scope = null) => {
   try {
     const { page, pageSize } = pagination;
     const from = page * pageSize;
@@ -398,12 +405,21 @@ exports.getReferralRelationships = async (filters = {}, pagination = { page: 0,
       .from('relationships')
       .select(`
         *,
-        referrer:person_a_id (id, first_name, last_name, email, phone),
+        referrer:person_a_id${scope ? '!inner' : ''} (id, first_name, last_name, email, phone, organization_id, location_id),
         referred:person_b_id (id, first_name, last_name, email, phone, is_lead, is_referral, is_member)
       `)
       .eq('relationship_type', 'referral')
       .range(from, to);
     
+    // Relationships are scoped through the referrer
+    if (scope) {
+      query = query.eq('referrer.organization_id', scope.organizationId);
+      
+      if (scope.locationId) {
+        query = query.eq('referrer.location_id', scope.locationId);
+      }
+    }
+    
     // Apply filters
     if (filters.referrerId) {
       query = query.eq('person_a_id', filters.referrerId);
@@ -607,16 +623,3 @@ exports.getRelationshipStats = async (filters = {}) => {
     throw error;
   }
 };
-
-module.exports = {
-  relationshipFields,
-  createRelationship,
-  getRelationshipById,
-  updateRelationship,
-  deleteRelationship,
-  getRelationshipsForPerson,
-  getReferralRelationships,
-  createReferralRelationship,
-  markAsPrimaryReferrer,
-  getRelationshipStats
-}; 
\ No newline at end of file
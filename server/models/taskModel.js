@@ -0,0 +1,276 @@
+/**
+ * Task Model
+ * Handles database interactions for tasks: follow-ups with a due date and an
+ * assignee, usually about a lead, referral or member
+ */
+const supabase = require('../config/supabase');
+const { applyScope, restrictChanges } = require('../utils/tenancy');
+
+/**
+ * Standard fields for the tasks table, matching Supabase database structure
+ * Used for validation and documentation purposes
+ */
+exports.taskFields = {
+  id: 'uuid', // DEFAULT extensions.uuid_generate_v4() in SQL
+  organization_id: 'uuid', // NOT NULL, foreign key to organizations(id)
+  location_id: 'uuid', // Foreign key to locations(id)
+  person_id: 'uuid', // Foreign key to persons(id); the lead, referral or member the task is about
+  
+  // The task
+  title: 'text', // NOT NULL
+  description: 'text',
+  due_at: 'timestamp', // NOT NULL
+  priority: 'text', // NOT NULL, DEFAULT 'normal'::text in SQL ('low', 'normal', 'high' or 'urgent')
+  assigned_to: 'uuid', // NOT NULL, foreign key to users(id)
+  interaction_type: 'text', // NOT NULL, DEFAULT 'call'::text in SQL; what completing the task logs
+  
+  // Repeating tasks
+  recurrence: 'text', // 'daily', 'weekly' or 'monthly'; null for a one-off task
+  recurrence_interval: 'integer', // NOT NULL, DEFAULT 1 in SQL, SQL CHECK constraint: recurrence_interval >= 1
+  recurrence_ends_at: 'timestamp', // No more tasks are scheduled after this
+  series_id: 'uuid', // First task of the series
+  
+  // Completion
+  status: 'text', // NOT NULL, DEFAULT 'open'::text in SQL ('open', 'completed' or 'cancelled')
+  completed_at: 'timestamp',
+  completed_by: 'uuid', // Foreign key to users(id)
+  interaction_id: 'uuid', // Foreign key to interactions(id); logged when the task was completed
+  
+  // Meta
+  created_by: 'uuid', // Foreign key to users(id)
+  created_at: 'timestamp', // DEFAULT now() in SQL
+  updated_at: 'timestamp' // DEFAULT now() in SQL
+};
+
+// Columns returned for a task, with the person it is about and its assignee
+const TASK_COLUMNS = `
+  *,
+  person:person_id (id, first_name, last_name, email, phone, is_lead, is_referral, is_member),
+  assignee:assigned_to (id, first_name, last_name)
+`;
+
+/**
+ * Get tasks, soonest due first
+ * @param {Object} filters - Optional query filters
+ * @param {UUID} filters.assignedTo - Only tasks assigned to this user
+ * @param {UUID} filters.visibleTo - Only tasks assigned to or created by this user
+ * @param {UUID} filters.personId - Only tasks about this person
+ * @param {String} filters.status - Only tasks in this status
+ * @param {String} filters.dueBefore - Only tasks due before this time (ISO timestamp)
+ * @param {String} filters.dueAfter - Only tasks due at or after this time (ISO timestamp)
+ * @param {Object} pagination - Pagination options
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object>} { tasks, total }
+ */
+exports.getTasks = async (filters = {}, pagination = { page: 0, pageSize: 20 }, scope = null) => {
+  try {
+    const { page, pageSize } = pagination;
+    const from = page * pageSize;
+    const to = from + pageSize - 1;
+    
+    let query = applyScope(supabase
+      .from('tasks')
+      .select(TASK_COLUMNS, { count: 'exact' }), scope);
+    
+    if (filters.assignedTo) {
+      query = query.eq('assigned_to', filters.assignedTo);
+    }
+    
+    if (filters.visibleTo) {
+      query = query.or(`assigned_to.eq.${filters.visibleTo},created_by.eq.${filters.visibleTo}`);
+    }
+    
+    if (filters.personId) {
+      query = query.eq('person_id', filters.personId);
+    }
+    
+    if (filters.status) {
+      query = query.eq('status', filters.status);
+    }
+    
+    if (filters.dueBefore) {
+      query = query.lt('due_at', filters.dueBefore);
+    }
+    
+    if (filters.dueAfter) {
+      query = query.gte('due_at', filters.dueAfter);
+    }
+    
+    const { data, count, error } = await query
+      .order('due_at', { ascending: filters.status !== 'completed' })
+      .range(from, to);
+    
+    if (error) {
+      throw error;
+    }
+    
+    return { tasks: data || [], total: count || 0 };
+  } catch (error) {
+    console.error('Error in getTasks:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the users tasks can be assigned to
+ * @param {UUID} organizationId - Organization ID
+ * @returns {Promise<Array>} The organization's users, by first name
+ */
+exports.getAssignees = async (organizationId) => {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, first_name, last_name')
+      .eq('organization_id', organizationId)
+      .order('first_name');
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data || [];
+  } catch (error) {
+    console.error('Error in getAssignees:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a task by ID
+ * @param {UUID} id - Task ID
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Task, or null if none is found in the scope
+ */
+exports.getTaskById = async (id, scope = null) => {
+  try {
+    const { data, error } = await applyScope(supabase
+      .from('tasks')
+      .select(TASK_COLUMNS)
+      .eq('id', id), scope)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in getTaskById:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a task
+ * @param {Object} taskData - Task data, including its organization_id and location_id
+ * @returns {Promise<Object>} Created task
+ */
+exports.createTask = async (taskData) => {
+  try {
+    const now = new Date().toISOString();
+    
+    const { data, error } = await supabase
+      .from('tasks')
+      .insert([{ ...taskData, created_at: now, updated_at: now }])
+      .select(TASK_COLUMNS)
+      .single();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in createTask:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a task
+ * @param {UUID} id - Task ID
+ * @param {Object} changes - Fields to update
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Updated task, or null if none is found in the scope
+ */
+exports.updateTask = async (id, changes, scope = null) => {
+  try {
+    const { data, error } = await applyScope(supabase
+      .from('tasks')
+      .update({
+        ...restrictChanges(changes, scope),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id), scope)
+      .select(TASK_COLUMNS)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in updateTask:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark an open task completed
+ * The update only succeeds if the task is still open, so completing it twice
+ * can't log two interactions or schedule two repeats.
+ * @param {UUID} id - Task ID
+ * @param {Object} completion - { completed_at, completed_by }
+ * @returns {Promise<Object|null>} Completed task, or null if it was no longer open
+ */
+exports.claimCompletion = async (id, completion) => {
+  try {
+    const { data, error } = await supabase
+      .from('tasks')
+      .update({
+        ...completion,
+        status: 'completed',
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('status', 'open')
+      .select(TASK_COLUMNS)
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in claimCompletion:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a task
+ * @param {UUID} id - Task ID
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object|null>} Deleted task, or null if none is found in the scope
+ */
+exports.deleteTask = async (id, scope = null) => {
+  try {
+    const { data, error } = await applyScope(supabase
+      .from('tasks')
+      .delete()
+      .eq('id', id), scope)
+      .select()
+      .maybeSingle();
+    
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error in deleteTask:', error);
+    throw error;
+  }
+};
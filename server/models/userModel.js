@@ -19,7 +19,8 @@ exports.userFields = {
   created_at: 'timestamp', // DEFAULT now() in SQL
   updated_at: 'timestamp', // DEFAULT now() in SQL
   last_login: 'timestamp',
-  settings: 'jsonb' // DEFAULT '{}'::jsonb in SQL
+  settings: 'jsonb', // DEFAULT '{}'::jsonb in SQL
+  organization_id: 'uuid' // Foreign key to organizations(id)
 };
 
 /**
@@ -159,7 +160,8 @@ exports.createUser = async (userData) => {
       role: userData.role || 'salesperson',
       created_at: now,
       updated_at: now,
-      settings: userData.settings || {}
+      settings: userData.settings || {},
+      organization_id: userData.organization_id
     };
     
     const { data, error } = await supabase
@@ -0,0 +1,29 @@
+/**
+ * Analytics Routes
+ * Handles the aggregated numbers behind the dashboard
+ */
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// All analytics routes require authentication
+router.use(authMiddleware.protect);
+
+// GET /api/analytics/kpis - Get lead, member and referral KPIs (?assigned_to=me|<user id>)
+router.get('/kpis', analyticsController.getKpis);
+
+// GET /api/analytics/funnel - Get leads in and reaching each pipeline stage
+router.get('/funnel', analyticsController.getFunnel);
+
+// GET /api/analytics/sources - Get leads, wins and conversion by acquisition source
+router.get('/sources', analyticsController.getSources);
+
+// GET /api/analytics/trends - Get new and converted leads over a period (?period=week|month|quarter|year)
+router.get('/trends', analyticsController.getTrends);
+
+// GET /api/analytics/pipeline-report - Get stage conversion, velocity, cohorts and win rates
+// (?record_type=lead|referral&start_date&end_date&acquisition_source&acquisition_campaign&assigned_to&format=json|csv|pdf)
+router.get('/pipeline-report', analyticsController.getPipelineReport);
+
+module.exports = router;
@@ -13,6 +13,9 @@ router.post('/register', authController.register);
 router.post('/login', authController.login);
 router.post('/reset-password', authController.resetPassword);
 
+// Google redirects the browser here, so the user is identified by the signed state
+router.get('/google-callback', authController.googleCallback);
+
 // Protected routes (authentication required)
 router.use(protect); // Apply authentication middleware
 router.get('/me', authController.getCurrentUser);
@@ -20,4 +23,9 @@ router.patch('/profile', authController.updateProfile);
 router.post('/logout', authController.logout);
 router.patch('/update-password', authController.updatePassword);
 
+// Connected Google account
+router.get('/google/connect', authController.connectGoogle);
+router.get('/google', authController.getGoogleConnection);
+router.delete('/google', authController.disconnectGoogle);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * Billing Routes
+ * Handles membership checkout and Stripe webhook endpoints
+ */
+const express = require('express');
+const router = express.Router();
+const billingController = require('../controllers/billingController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Webhook Routes (authenticated by Stripe signature, not by user token)
+// POST /api/billing/webhook - Stripe invoice, subscription and checkout events
+router.post('/webhook', billingController.handleStripeWebhook);
+
+// Apply authentication middleware to all other billing routes
+router.use(authMiddleware.protect);
+
+// POST /api/billing/checkout - Create a checkout session or payment link for a member
+router.post('/checkout', billingController.createCheckout);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * Goal Routes
+ * Handles monthly performance goals, the leaderboard and users' progress
+ */
+const express = require('express');
+const router = express.Router();
+const goalController = require('../controllers/goalController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Apply authentication middleware to all goal routes
+router.use(authMiddleware.protect);
+
+// GET /api/goals/leaderboard - Get every salesperson's progress towards their goals (?month=YYYY-MM)
+router.get('/leaderboard', goalController.getLeaderboard);
+
+// GET /api/goals/me - Get the current user's progress and place on the leaderboard (?month=YYYY-MM)
+router.get('/me', goalController.getMyProgress);
+
+// Admin-only goal management
+// GET /api/goals - Get the organization's users and their goals (?month=YYYY-MM)
+router.get('/', authMiddleware.restrictTo('admin'), goalController.getGoals);
+
+// PUT /api/goals - Set users' targets for a month
+router.put('/', authMiddleware.restrictTo('admin'), goalController.saveGoals);
+
+// DELETE /api/goals/:id - Remove a goal
+router.delete('/:id', authMiddleware.restrictTo('admin'), goalController.deleteGoal);
+
+module.exports = router;
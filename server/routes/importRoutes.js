@@ -0,0 +1,39 @@
+/**
+ * Import Routes
+ * Handles CSV and XLSX imports of leads and members
+ */
+const express = require('express');
+const router = express.Router();
+const importController = require('../controllers/importController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Imports are admin-only
+router.use(authMiddleware.protect);
+router.use(authMiddleware.restrictTo('admin'));
+
+// GET /api/imports/fields - Get the fields columns can be mapped to (?import_type=lead|member)
+router.get('/fields', importController.getImportFields);
+
+// GET /api/imports - Get imports, newest first
+router.get('/', importController.getImports);
+
+// POST /api/imports - Upload a CSV or XLSX file as the raw body (?import_type=lead|member&file_name=...)
+router.post(
+  '/',
+  express.raw({ type: 'application/octet-stream', limit: process.env.IMPORT_MAX_FILE_SIZE || '10mb' }),
+  importController.uploadImport
+);
+
+// GET /api/imports/:id - Get an import and its progress
+router.get('/:id', importController.getImport);
+
+// POST /api/imports/:id/preview - Dry-run the import with a column mapping
+router.post('/:id/preview', importController.previewImport);
+
+// POST /api/imports/:id/start - Queue the import for background processing
+router.post('/:id/start', importController.startImport);
+
+// GET /api/imports/:id/errors - Download the rows that couldn't be imported as CSV
+router.get('/:id/errors', importController.downloadErrorReport);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * Incentive Routes
+ * Handles referral incentive rules, the award approval queue and the payout ledger
+ */
+const express = require('express');
+const router = express.Router();
+const incentiveController = require('../controllers/incentiveController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Apply authentication middleware to all incentive routes
+router.use(authMiddleware.protect);
+
+// GET /api/incentives/rules - Get the incentives on offer (admins: ?includeInactive=true for all)
+router.get('/rules', incentiveController.getRules);
+
+// Admin-only rule management
+// POST /api/incentives/rules - Create a rule
+router.post('/rules', authMiddleware.restrictTo('admin'), incentiveController.createRule);
+
+// PATCH /api/incentives/rules/:id - Update a rule
+router.patch('/rules/:id', authMiddleware.restrictTo('admin'), incentiveController.updateRule);
+
+// DELETE /api/incentives/rules/:id - Switch a rule off
+router.delete('/rules/:id', authMiddleware.restrictTo('admin'), incentiveController.deactivateRule);
+
+// Admin-only approval queue and payouts
+// GET /api/incentives/awards - Get awards (?status=pending for the approval queue)
+router.get('/awards', authMiddleware.restrictTo('admin'), incentiveController.getAwards);
+
+// POST /api/incentives/awards/:id/approve - Approve a pending award
+router.post('/awards/:id/approve', authMiddleware.restrictTo('admin'), incentiveController.approveAward);
+
+// POST /api/incentives/awards/:id/reject - Reject an award that hasn't been paid
+router.post('/awards/:id/reject', authMiddleware.restrictTo('admin'), incentiveController.rejectAward);
+
+// POST /api/incentives/awards/:id/payout - Pay an approved award
+router.post('/awards/:id/payout', authMiddleware.restrictTo('admin'), incentiveController.payAward);
+
+// GET /api/incentives/payouts - Get the payout ledger
+router.get('/payouts', authMiddleware.restrictTo('admin'), incentiveController.getPayouts);
+
+module.exports = router;
@@ -18,6 +18,12 @@ router
   .get(leadController.getAllLeads)
   .post(leadController.createLead);
 
+// GET /api/leads/pipeline - Get the pipeline stages and allowed transitions
+router.get('/pipeline', leadController.getPipeline);
+
+// GET /api/leads/scoring - Get the lead scoring signals and the organization's weights
+router.get('/scoring', leadController.getLeadScoring);
+
 // GET /api/leads/:id - Get lead by ID
 // PATCH /api/leads/:id - Update lead by ID
 // DELETE /api/leads/:id - Delete lead by ID
@@ -27,9 +33,16 @@ router
   .patch(leadController.updateLead)
   .delete(leadController.deleteLead);
 
-// PATCH /api/leads/:id/status - Update lead status
+// PATCH /api/leads/:id/status - Move a lead to another pipeline stage
 router
   .route('/:id/status')
   .patch(leadController.updateLeadStatus);
 
+// GET /api/leads/:id/score - Get the lead's score history
+// POST /api/leads/:id/score - Rescore the lead now
+router
+  .route('/:id/score')
+  .get(leadController.getLeadScoreHistory)
+  .post(leadController.scoreLead);
+
 module.exports = router; 
\ No newline at end of file
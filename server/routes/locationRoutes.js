@@ -0,0 +1,22 @@
+/**
+ * Location Routes
+ * Handles the gym locations of the signed-in user's organization
+ */
+const express = require('express');
+const router = express.Router();
+const locationController = require('../controllers/locationController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Apply authentication middleware to all location routes
+router.use(authMiddleware.protect);
+
+// GET /api/locations - Get the locations the user may work in
+router.get('/', locationController.getLocations);
+
+// POST /api/locations - Create a location (admin only)
+router.post('/', authMiddleware.restrictTo('admin'), locationController.createLocation);
+
+// PATCH /api/locations/:id - Update or close a location (admin only)
+router.patch('/:id', authMiddleware.restrictTo('admin'), locationController.updateLocation);
+
+module.exports = router;
@@ -11,7 +11,7 @@ const authMiddleware = require('../middleware/authMiddleware');
 const memberController = require('../controllers/memberController');
 
 // Apply auth middleware to all routes
-router.use(authMiddleware);
+router.use(authMiddleware.protect);
 
 // Create a new member (converts existing person to member)
 router.post('/convert/:personId', memberController.convertToMember);
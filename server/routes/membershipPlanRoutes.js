@@ -0,0 +1,29 @@
+/**
+ * Membership Plan Routes
+ * Handles the membership plan catalog endpoints
+ */
+const express = require('express');
+const router = express.Router();
+const membershipPlanController = require('../controllers/membershipPlanController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Apply authentication middleware to all membership plan routes
+router.use(authMiddleware.protect);
+
+// GET /api/membership-plans - Get the plans on offer (admins: ?includeInactive=true for all)
+router.get('/', membershipPlanController.getPlans);
+
+// GET /api/membership-plans/:id - Get a plan by ID
+router.get('/:id', membershipPlanController.getPlanById);
+
+// Admin-only catalog management, synced to Stripe products and prices
+// POST /api/membership-plans - Create a plan
+router.post('/', authMiddleware.restrictTo('admin'), membershipPlanController.createPlan);
+
+// PATCH /api/membership-plans/:id - Update a plan
+router.patch('/:id', authMiddleware.restrictTo('admin'), membershipPlanController.updatePlan);
+
+// DELETE /api/membership-plans/:id - Stop offering a plan
+router.delete('/:id', authMiddleware.restrictTo('admin'), membershipPlanController.deactivatePlan);
+
+module.exports = router;
@@ -7,7 +7,11 @@ const router = express.Router();
 const messagingController = require('../controllers/messagingController');
 const authMiddleware = require('../middleware/authMiddleware');
 
-// Apply authentication middleware to all messaging routes
+// Webhook Routes (authenticated by provider signature, not by user token)
+// POST /api/messaging/webhooks/telnyx - Telnyx delivery receipts and inbound SMS
+router.post('/webhooks/telnyx', messagingController.handleTelnyxWebhook);
+
+// Apply authentication middleware to all other messaging routes
 router.use(authMiddleware.protect);
 
 // GET /api/messaging/messages - Get all messages
@@ -0,0 +1,40 @@
+/**
+ * Nurture Sequence Routes
+ * Handles drip campaigns sent to leads and referrals by SMS and email
+ */
+const express = require('express');
+const router = express.Router();
+const nurtureController = require('../controllers/nurtureController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Apply authentication middleware to all nurture sequence routes
+router.use(authMiddleware.protect);
+
+// GET /api/nurture-sequences - Get sequences with their steps
+router.get('/', nurtureController.getSequences);
+
+// POST /api/nurture-sequences - Create a sequence (admin only)
+router.post('/', authMiddleware.restrictTo('admin'), nurtureController.createSequence);
+
+// GET /api/nurture-sequences/enrollments - Get enrollments in any sequence (?person_id&status)
+router.get('/enrollments', nurtureController.getEnrollments);
+
+// GET /api/nurture-sequences/:id - Get a sequence with its enrollment and per-step stats
+router.get('/:id', nurtureController.getSequence);
+
+// PATCH /api/nurture-sequences/:id - Update, pause or resume a sequence, or replace its steps (admin only)
+router.patch('/:id', authMiddleware.restrictTo('admin'), nurtureController.updateSequence);
+
+// DELETE /api/nurture-sequences/:id - Delete a sequence (admin only)
+router.delete('/:id', authMiddleware.restrictTo('admin'), nurtureController.deleteSequence);
+
+// GET /api/nurture-sequences/:id/enrollments - Get a sequence's enrollments (?status)
+router.get('/:id/enrollments', nurtureController.getEnrollments);
+
+// POST /api/nurture-sequences/:id/enrollments - Enroll leads and referrals ({ person_ids })
+router.post('/:id/enrollments', nurtureController.enroll);
+
+// DELETE /api/nurture-sequences/:id/enrollments/:enrollmentId - Take a person out of a sequence
+router.delete('/:id/enrollments/:enrollmentId', nurtureController.cancelEnrollment);
+
+module.exports = router;
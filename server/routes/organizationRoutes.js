@@ -0,0 +1,34 @@
+/**
+ * Organization Routes
+ * Handles the signed-in user's organization and its ORCA subscription
+ */
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Apply authentication middleware to all organization routes
+router.use(authMiddleware.protect);
+
+// GET /api/organization - Get the user's organization with its tier, limits and usage
+router.get('/', organizationController.getOrganization);
+
+// PATCH /api/organization - Update the organization's settings (admin only)
+router.patch('/', authMiddleware.restrictTo('admin'), organizationController.updateOrganization);
+
+// GET /api/organization/tiers - Get the ORCA plan tiers and their limits
+router.get('/tiers', organizationController.getTiers);
+
+// POST /api/organization/subscription - Subscribe to a paid tier (admin only)
+router.post('/subscription', authMiddleware.restrictTo('admin'), organizationController.subscribe);
+
+// GET /api/organization/invitations - Get the invitations that haven't been used (admin only)
+router.get('/invitations', authMiddleware.restrictTo('admin'), organizationController.getInvitations);
+
+// POST /api/organization/invitations - Invite someone to join, with a role (admin only)
+router.post('/invitations', authMiddleware.restrictTo('admin'), organizationController.createInvitation);
+
+// DELETE /api/organization/invitations/:id - Withdraw an invitation (admin only)
+router.delete('/invitations/:id', authMiddleware.restrictTo('admin'), organizationController.deleteInvitation);
+
+module.exports = router;
@@ -6,8 +6,52 @@ const express = require('express');
 const router = express.Router();
 const referralController = require('../controllers/referralController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimit');
 
-// Apply authentication middleware to all referral routes
+// Public submissions are limited per client IP to keep out spam
+const publicReferralLimiter = rateLimit({
+  windowMs: parseInt(process.env.PUBLIC_REFERRAL_RATE_WINDOW_MINUTES || '15', 10) * 60 * 1000,
+  max: parseInt(process.env.PUBLIC_REFERRAL_RATE_LIMIT || '5', 10),
+  message: 'Too many referral submissions, please try again later'
+});
+
+// Bookings get their own allowance so submitting does not use it up
+const publicBookingLimiter = rateLimit({
+  windowMs: parseInt(process.env.PUBLIC_REFERRAL_RATE_WINDOW_MINUTES || '15', 10) * 60 * 1000,
+  max: parseInt(process.env.PUBLIC_REFERRAL_RATE_LIMIT || '5', 10),
+  message: 'Too many booking attempts, please try again later'
+});
+
+// Each availability lookup reads the salesperson's calendar, so it is limited
+// too, with room for the page to be reloaded a few times
+const publicAvailabilityLimiter = rateLimit({
+  windowMs: parseInt(process.env.PUBLIC_REFERRAL_RATE_WINDOW_MINUTES || '15', 10) * 60 * 1000,
+  max: parseInt(process.env.PUBLIC_AVAILABILITY_RATE_LIMIT || '30', 10),
+  message: 'Too many availability requests, please try again later'
+});
+
+// Public Routes (opened by the people a member shares a link with)
+// GET /api/referrals/l/:code - Count a referral link click and redirect to the landing page
+router.get('/l/:code', referralController.followReferralLink);
+
+// GET /api/referrals/public/:code - Get the referring member's first name for the landing page
+// POST /api/referrals/public/:code - Submit a referral from the landing page
+router
+  .route('/public/:code')
+  .get(referralController.getPublicReferralLink)
+  .post(publicReferralLimiter, referralController.submitPublicReferral);
+
+// GET /api/referrals/public/:code/availability - Get the salesperson's free appointment slots
+router.get('/public/:code/availability', publicAvailabilityLimiter, referralController.getPublicAvailability);
+
+// POST /api/referrals/public/:code/appointment - Book an appointment from the landing page
+router.post('/public/:code/appointment', publicBookingLimiter, referralController.bookPublicAppointment);
+
+// Webhook Routes (authenticated by the channel token, not by user token)
+// POST /api/referrals/webhooks/google-calendar - Google Calendar push notifications for appointment events
+router.post('/webhooks/google-calendar', referralController.handleGoogleCalendarWebhook);
+
+// Apply authentication middleware to all other referral routes
 router.use(authMiddleware.protect);
 
 // GET /api/referrals - Get all referrals with filtering
@@ -17,6 +61,17 @@ router
   .get(referralController.getAllReferrals)
   .post(referralController.createReferral);
 
+// Link routes come before /:id so 'links' is not read as a referral ID
+// GET /api/referrals/links - Get referral links with click statistics
+// POST /api/referrals/links - Generate a new referral link
+router
+  .route('/links')
+  .get(referralController.getReferralLinks)
+  .post(referralController.generateReferralLink);
+
+// GET /api/referrals/links/:id - Get referral link details
+router.get('/links/:id', referralController.getReferralLinkById);
+
 // GET /api/referrals/:id - Get referral by ID
 // PATCH /api/referrals/:id - Update referral by ID
 // DELETE /api/referrals/:id - Delete referral by ID
@@ -26,12 +81,6 @@ router
   .patch(referralController.updateReferral)
   .delete(referralController.deleteReferral);
 
-// POST /api/referrals/links - Generate a new referral link
-router.post('/links', referralController.generateReferralLink);
-
-// GET /api/referrals/links/:id - Get referral link details
-router.get('/links/:id', referralController.getReferralLinkById);
-
 // GET /api/referrals/network/:id - Get referral network for a person
 router.get('/network/:id', referralController.getReferralNetwork);
 
@@ -50,6 +99,13 @@ router.delete('/:id/appointment', referralController.cancelAppointment);
 // POST /api/referrals/:id/convert - Convert a referral to a member
 router.post('/:id/convert', referralController.convertToMember);
 
+// GET /api/referrals/:id/attribution - Get how a referral's credit is split between its referrers
+// PUT /api/referrals/:id/attribution - Change the split (admin only)
+router
+  .route('/:id/attribution')
+  .get(referralController.getReferralAttribution)
+  .put(authMiddleware.restrictTo('admin'), referralController.updateReferralAttribution);
+
 // GET /api/referrals/stats - Get referral statistics
 router.get('/stats', authMiddleware.restrictTo('admin'), referralController.getReferralStats);
 
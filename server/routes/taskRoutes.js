@@ -0,0 +1,34 @@
+/**
+ * Task Routes
+ * Handles follow-up tasks with due dates, priorities and assignees
+ */
+const express = require('express');
+const router = express.Router();
+const taskController = require('../controllers/taskController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Apply authentication middleware to all task routes
+router.use(authMiddleware.protect);
+
+// GET /api/tasks - Get tasks (?view=open|overdue|today|upcoming|completed&assigned_to=me|<user id>&person_id)
+router.get('/', taskController.getTasks);
+
+// POST /api/tasks - Create a task
+router.post('/', taskController.createTask);
+
+// GET /api/tasks/assignees - Get the users tasks can be assigned to
+router.get('/assignees', taskController.getAssignees);
+
+// GET /api/tasks/:id - Get a task
+router.get('/:id', taskController.getTask);
+
+// PATCH /api/tasks/:id - Update, cancel or reopen a task
+router.patch('/:id', taskController.updateTask);
+
+// POST /api/tasks/:id/complete - Complete a task, logging an interaction and scheduling its next repeat
+router.post('/:id/complete', taskController.completeTask);
+
+// DELETE /api/tasks/:id - Delete a task
+router.delete('/:id', taskController.deleteTask);
+
+module.exports = router;
@@ -19,19 +19,48 @@ const relationshipRoutes = require('./routes/relationshipRoutes');
 const interactionRoutes = require('./routes/interactionRoutes');
 const databaseRoutes = require('./routes/databaseRoutes');
 const maintenanceRoutes = require('./routes/maintenanceRoutes');
+const billingRoutes = require('./routes/billingRoutes');
+const membershipPlanRoutes = require('./routes/membershipPlanRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+const locationRoutes = require('./routes/locationRoutes');
+const incentiveRoutes = require('./routes/incentiveRoutes');
+const importRoutes = require('./routes/importRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const goalRoutes = require('./routes/goalRoutes');
+const taskRoutes = require('./routes/taskRoutes');
+const nurtureRoutes = require('./routes/nurtureRoutes');
 
 // Import utilities
 const { scheduleAutomaticBackups } = require('./utils/databaseBackup');
 const { maintenanceMiddleware, scheduleRecurringMaintenance } = require('./utils/maintenanceScheduler');
+const { scheduleTextBlastDispatcher } = require('./utils/textBlastScheduler');
+const appointmentCalendar = require('./utils/appointmentCalendar');
+const { scheduleCalendarSync } = require('./utils/calendarSync');
+const { scheduleAppointmentReminders } = require('./utils/appointmentReminders');
+const { scheduleChurnScoring } = require('./utils/churnRisk');
+const { scheduleLeadScoring } = require('./utils/leadScoring');
+const { scheduleImportProcessing } = require('./utils/bulkImport');
+const { scheduleNurtureSequences } = require('./utils/nurtureDispatcher');
 
 // Initialize Express app
 const app = express();
 
+// Behind a proxy (e.g. Vercel), trust X-Forwarded-For so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY === 'true' : hops);
+}
+
 // Set up middleware
 app.use(helmet()); // Security headers
 app.use(cors()); // Enable CORS
 app.use(morgan('dev')); // Logging
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+})); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Apply maintenance middleware to all routes
@@ -70,6 +99,16 @@ app.use('/api/relationships', relationshipRoutes);
 app.use('/api/interactions', interactionRoutes);
 app.use('/api/database', databaseRoutes);
 app.use('/api/maintenance', maintenanceRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/membership-plans', membershipPlanRoutes);
+app.use('/api/organization', organizationRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/incentives', incentiveRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/goals', goalRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/nurture-sequences', nurtureRoutes);
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -130,6 +169,9 @@ app.use('/api/*', (req, res) => {
   });
 });
 
+// Refuse to start without a calendar for referral appointments
+appointmentCalendar.checkConfig();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -147,6 +189,48 @@ app.listen(PORT, () => {
     scheduleRecurringMaintenance();
     console.log('Recurring maintenance windows scheduled');
   }
+  
+  // Dispatch scheduled text blasts (on unless explicitly disabled)
+  if (process.env.ENABLE_TEXT_BLAST_SCHEDULER !== 'false') {
+    scheduleTextBlastDispatcher();
+    console.log('Scheduled text blast dispatcher started');
+  }
+  
+  // Sync referral appointments with changes made in Google Calendar (on unless explicitly disabled)
+  if (process.env.ENABLE_CALENDAR_SYNC !== 'false') {
+    scheduleCalendarSync();
+    console.log('Calendar sync started');
+  }
+  
+  // Remind referrals of upcoming appointments (on unless explicitly disabled)
+  if (process.env.ENABLE_APPOINTMENT_REMINDERS !== 'false') {
+    scheduleAppointmentReminders();
+    console.log('Appointment reminders started');
+  }
+  
+  // Score members' churn risk nightly (on unless explicitly disabled)
+  if (process.env.ENABLE_CHURN_SCORING !== 'false') {
+    scheduleChurnScoring();
+    console.log('Churn risk scoring started');
+  }
+  
+  // Rescore open leads nightly (on unless explicitly disabled)
+  if (process.env.ENABLE_LEAD_SCORING !== 'false') {
+    scheduleLeadScoring();
+    console.log('Lead scoring started');
+  }
+  
+  // Write queued imports in the background (on unless explicitly disabled)
+  if (process.env.ENABLE_IMPORT_PROCESSING !== 'false') {
+    scheduleImportProcessing();
+    console.log('Import processing started');
+  }
+  
+  // Send due nurture sequence steps (on unless explicitly disabled)
+  if (process.env.ENABLE_NURTURE_SEQUENCES !== 'false') {
+    scheduleNurtureSequences();
+    console.log('Nurture sequences started');
+  }
 });
 
 module.exports = app; // Export for testing 
\ No newline at end of file
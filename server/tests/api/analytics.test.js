@@ -0,0 +1,154 @@
+/**
+ * Analytics API Tests
+ * Tests for the dashboard's KPI, funnel, source and trend endpoints and the
+ * pipeline report
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+const mockUser = { id: uuidv4(), role: 'salesperson' };
+const mockTenant = { organizationId: uuidv4(), locationId: null, locationIds: [] };
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { ...mockUser };
+    req.tenant = mockTenant;
+    next();
+  },
+  restrictTo: (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ status: 'error', message: 'You do not have permission to perform this action' });
+    }
+    next();
+  }
+}));
+
+jest.mock('../../models/analyticsModel', () => ({
+  countPersons: jest.fn(),
+  countActiveMembers: jest.fn(),
+  getLeadsForAnalytics: jest.fn(),
+  getLeadMetricsByPeriod: jest.fn(),
+  getRecordsForReport: jest.fn()
+}));
+
+const analyticsModel = require('../../models/analyticsModel');
+const analytics = require('../../utils/analytics');
+const analyticsRoutes = require('../../routes/analyticsRoutes');
+
+describe('Analytics API', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    analytics.clearCache();
+
+    app = express();
+    app.use(express.json());
+    app.use('/analytics', analyticsRoutes);
+    // Same shape as the server's error handler
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+    });
+
+    analyticsModel.countPersons.mockResolvedValue(3);
+    analyticsModel.countActiveMembers.mockResolvedValue(7);
+    analyticsModel.getLeadsForAnalytics.mockResolvedValue([
+      { id: uuidv4(), acquisition_source: 'Website', lead_extensions: [{ lead_status: 'won', status_history: [] }] }
+    ]);
+    analyticsModel.getLeadMetricsByPeriod.mockResolvedValue([]);
+    analyticsModel.getRecordsForReport.mockResolvedValue([]);
+  });
+
+  describe('GET /analytics/kpis', () => {
+    it('should return the KPIs for the current user with when they were worked out', async () => {
+      const res = await request(app).get('/analytics/kpis?assigned_to=me');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.leads).toEqual(expect.objectContaining({ total: 1, won: 1, conversion_rate: 1 }));
+      expect(res.body.data.members).toEqual({ active: 7 });
+      expect(res.body.data.generated_at).toEqual(expect.any(String));
+      expect(res.body.data.cached).toBe(false);
+      expect(analyticsModel.countActiveMembers).toHaveBeenCalledWith({ assignedTo: mockUser.id }, mockTenant);
+    });
+
+    it('should report a database error instead of made-up numbers', async () => {
+      analyticsModel.countActiveMembers.mockRejectedValue(new Error('connection refused'));
+
+      const res = await request(app).get('/analytics/kpis');
+
+      expect(res.status).toBe(500);
+      expect(res.body).toEqual({ status: 'error', message: 'connection refused' });
+    });
+  });
+
+  describe('GET /analytics/funnel', () => {
+    it('should return every pipeline stage', async () => {
+      const res = await request(app).get('/analytics/funnel');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.stages[0]).toEqual({ key: 'new', label: 'New', current: 0, reached: 1, conversion_rate: null });
+      expect(res.body.data.total).toBe(1);
+    });
+  });
+
+  describe('GET /analytics/trends', () => {
+    it('should default to the last month', async () => {
+      const res = await request(app).get('/analytics/trends');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.period).toBe('month');
+      expect(analyticsModel.getLeadMetricsByPeriod).toHaveBeenCalledWith(
+        expect.objectContaining({ interval: '1 day', assignedTo: null }),
+        mockTenant
+      );
+    });
+
+    it('should reject an unknown period', async () => {
+      const res = await request(app).get('/analytics/trends?period=decade');
+
+      expect(res.status).toBe(400);
+      expect(analyticsModel.getLeadMetricsByPeriod).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /analytics/pipeline-report', () => {
+    it('should return the report as JSON', async () => {
+      const res = await request(app).get('/analytics/pipeline-report?start_date=2030-01-01&end_date=2030-02-15&assigned_to=me');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.filters).toEqual(expect.objectContaining({
+        record_type: 'lead',
+        start_date: '2030-01-01',
+        end_date: '2030-02-15',
+        assigned_to: mockUser.id
+      }));
+      expect(res.body.data.cohorts.map(cohort => cohort.month)).toEqual(['2030-01', '2030-02']);
+    });
+
+    it('should download the report as CSV or PDF', async () => {
+      const csv = await request(app).get('/analytics/pipeline-report?start_date=2030-01-01&end_date=2030-01-31&format=csv');
+
+      expect(csv.status).toBe(200);
+      expect(csv.headers['content-type']).toMatch(/text\/csv/);
+      expect(csv.headers['content-disposition']).toBe('attachment; filename="lead-pipeline-report-2030-01-01-to-2030-01-31.csv"');
+      expect(csv.text.split('\r\n')[0]).toBe('Leads Pipeline Report');
+
+      const pdf = await request(app).get('/analytics/pipeline-report?record_type=referral&format=pdf');
+
+      expect(pdf.status).toBe(200);
+      expect(pdf.headers['content-type']).toBe('application/pdf');
+      expect(pdf.headers['content-disposition']).toMatch(/^attachment; filename="referral-pipeline-report-/);
+    });
+
+    it('should reject an unknown format or bad dates', async () => {
+      const format = await request(app).get('/analytics/pipeline-report?format=xlsx');
+      const dates = await request(app).get('/analytics/pipeline-report?start_date=01/02/2030');
+
+      expect(format.status).toBe(400);
+      expect(dates.status).toBe(400);
+      expect(dates.body.message).toBe('start_date must be a date in the form YYYY-MM-DD');
+    });
+  });
+});
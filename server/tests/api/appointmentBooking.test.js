@@ -0,0 +1,518 @@
+/**
+ * Appointment Booking API Tests
+ * Tests for booking, moving and cancelling referral appointments on the
+ * salesperson's calendar, using the local calendar provider in place of Google
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+// Limit kept low so the rate limiting test stays small
+process.env.PUBLIC_AVAILABILITY_RATE_LIMIT = '5';
+
+// External SDKs loaded by the referral controller
+jest.mock('firebase-admin', () => ({}), { virtual: true });
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+const mockUserId = uuidv4();
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { id: mockUserId, role: 'salesperson' };
+    next();
+  },
+  restrictTo: () => (req, res, next) => next()
+}));
+
+jest.mock('../../models/referralModel', () => ({
+  getReferralLinkByCode: jest.fn(),
+  getReferralById: jest.fn(),
+  getReferralByCalendarEventId: jest.fn(),
+  updateReferralAppointment: jest.fn()
+}));
+
+jest.mock('../../models/calendarSyncModel', () => ({
+  getSyncByUserId: jest.fn(),
+  getSyncByChannelId: jest.fn(),
+  saveSync: jest.fn()
+}));
+
+jest.mock('../../models/personModel', () => ({
+  getPersonById: jest.fn()
+}));
+
+jest.mock('../../models/userModel', () => ({
+  getUserById: jest.fn()
+}));
+
+jest.mock('../../models/messageModel', () => ({
+  createMessage: jest.fn()
+}));
+
+jest.mock('../../config/telnyx', () => ({
+  sendSMS: jest.fn()
+}));
+
+const referralModel = require('../../models/referralModel');
+const userModel = require('../../models/userModel');
+const messageModel = require('../../models/messageModel');
+const telnyx = require('../../config/telnyx');
+const calendarSyncModel = require('../../models/calendarSyncModel');
+const appointmentCalendar = require('../../utils/appointmentCalendar');
+const { CustomError } = require('../../utils/errorHandler');
+const referralRoutes = require('../../routes/referralRoutes');
+
+describe('Appointment Booking API', () => {
+  let app;
+  let clientIp = 0;
+  let salesperson;
+  let referral;
+  const link = { id: uuidv4(), short_code: 'abc12345', is_active: true };
+
+  // Each test books from its own address so the rate limit does not carry over
+  const fromNewClient = (req) => req.set('X-Forwarded-For', `10.0.2.${++clientIp}`);
+
+  const firstSlot = async () => {
+    const slots = await appointmentCalendar.getAvailableSlots(salesperson);
+    return slots[0].start;
+  };
+
+  beforeEach(() => {
+    app = express();
+    app.set('trust proxy', true);
+    app.use(express.json());
+    app.use(referralRoutes);
+    jest.clearAllMocks();
+
+    appointmentCalendar.config.provider = 'local';
+    appointmentCalendar.providers.local.reset();
+
+    salesperson = { id: mockUserId, first_name: 'Alex', email: 'alex@orca.test' };
+    referral = {
+      id: uuidv4(),
+      first_name: 'Sam',
+      last_name: 'Friend',
+      email: 'sam@example.com',
+      phone: '(555) 555-0111',
+      sms_opt_in: true,
+      referral_source: link.short_code,
+      assigned_to: salesperson.id,
+      referral_extensions: [{ referral_status: 'submitted' }]
+    };
+
+    referralModel.getReferralLinkByCode.mockResolvedValue(link);
+    referralModel.getReferralById.mockImplementation(async () => referral);
+    referralModel.updateReferralAppointment.mockImplementation(async (id, data) => ({ id, ...data }));
+    userModel.getUserById.mockImplementation(async () => salesperson);
+    telnyx.sendSMS.mockResolvedValue({ success: true, messageId: 'msg_1', to: '+15555550111' });
+  });
+
+  describe('GET /public/:code/availability', () => {
+    it('should list the assigned salesperson\'s free slots', async () => {
+      const response = await request(app)
+        .get('/public/abc12345/availability')
+        .query({ referralId: referral.id });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.salesperson).toEqual({ first_name: 'Alex' });
+      expect(response.body.data.slots.length).toBeGreaterThan(0);
+      expect(response.body.data.slots[0]).toEqual({
+        start: expect.any(String),
+        end: expect.any(String)
+      });
+      expect(JSON.stringify(response.body)).not.toContain('alex@orca.test');
+      expect(userModel.getUserById).toHaveBeenCalledWith(salesperson.id);
+    });
+
+    it('should leave out slots that are already booked', async () => {
+      const start = await firstSlot();
+      await appointmentCalendar.bookAppointment(salesperson, { start, summary: 'Another appointment' });
+
+      const response = await request(app)
+        .get('/public/abc12345/availability')
+        .query({ referralId: referral.id });
+
+      expect(response.body.data.slots.map(slot => slot.start)).not.toContain(start);
+    });
+
+    it('should return 404 for a referral that did not come from the link', async () => {
+      referral.referral_source = 'other123';
+
+      const response = await request(app)
+        .get('/public/abc12345/availability')
+        .query({ referralId: referral.id });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should return 404 for an unknown referral', async () => {
+      referralModel.getReferralById.mockRejectedValue({ code: 'PGRST116' });
+
+      const response = await request(app)
+        .get('/public/abc12345/availability')
+        .query({ referralId: uuidv4() });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should rate limit repeated lookups from one client', async () => {
+      const lookup = () => request(app)
+        .get('/public/abc12345/availability')
+        .set('X-Forwarded-For', '10.0.3.1')
+        .query({ referralId: referral.id });
+
+      for (let i = 0; i < 5; i++) {
+        expect((await lookup()).status).toBe(200);
+      }
+
+      const limited = await lookup();
+
+      expect(limited.status).toBe(429);
+      expect(limited.body.message).toBe('Too many availability requests, please try again later');
+      expect(limited.headers['retry-after']).toBeDefined();
+    });
+  });
+
+  describe('POST /public/:code/appointment', () => {
+    it('should book the slot with the referral as attendee and store the event ID', async () => {
+      const start = await firstSlot();
+
+      const response = await fromNewClient(request(app).post('/public/abc12345/appointment'))
+        .send({ referralId: referral.id, start });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ start, salesperson: { first_name: 'Alex' } });
+
+      const [event] = appointmentCalendar.providers.local.events;
+      expect(event).toMatchObject({
+        userId: salesperson.id,
+        startDateTime: start,
+        attendees: ['sam@example.com']
+      });
+      expect(referralModel.updateReferralAppointment).toHaveBeenCalledWith(referral.id, {
+        appointment_date: start,
+        appointment_end_date: event.endDateTime,
+        appointment_status: 'scheduled',
+        google_calendar_event_id: event.id,
+        appointment_calendar_user_id: salesperson.id
+      });
+    });
+
+    it('should confirm the booking with both parties', async () => {
+      const start = await firstSlot();
+
+      await fromNewClient(request(app).post('/public/abc12345/appointment'))
+        .send({ referralId: referral.id, start });
+
+      const recipients = appointmentCalendar.providers.local.outbox.map(email => email.to);
+      expect(recipients).toEqual(['sam@example.com', 'alex@orca.test']);
+      expect(telnyx.sendSMS).toHaveBeenCalledWith('+15555550111', expect.stringContaining('Alex'));
+      expect(messageModel.createMessage).toHaveBeenCalledWith(expect.objectContaining({
+        sender_id: salesperson.id,
+        recipient_id: referral.id,
+        message_type: 'email'
+      }));
+      expect(messageModel.createMessage).toHaveBeenCalledWith(expect.objectContaining({
+        sender_id: salesperson.id,
+        recipient_id: referral.id,
+        message_type: 'sms',
+        status: 'sent'
+      }));
+    });
+
+    it('should not text a referral who opted out of SMS', async () => {
+      referral.sms_opt_in = false;
+      const start = await firstSlot();
+
+      const response = await fromNewClient(request(app).post('/public/abc12345/appointment'))
+        .send({ referralId: referral.id, start });
+
+      expect(response.status).toBe(201);
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+    });
+
+    it('should keep the booking when a confirmation fails', async () => {
+      telnyx.sendSMS.mockRejectedValue(new Error('Network Error'));
+      const start = await firstSlot();
+
+      const response = await fromNewClient(request(app).post('/public/abc12345/appointment'))
+        .send({ referralId: referral.id, start });
+
+      expect(response.status).toBe(201);
+      expect(referralModel.updateReferralAppointment).toHaveBeenCalled();
+    });
+
+    it('should reject a slot that has been taken', async () => {
+      const start = await firstSlot();
+      await appointmentCalendar.bookAppointment(salesperson, { start, summary: 'Another appointment' });
+
+      const response = await fromNewClient(request(app).post('/public/abc12345/appointment'))
+        .send({ referralId: referral.id, start });
+
+      expect(response.status).toBe(409);
+      expect(referralModel.updateReferralAppointment).not.toHaveBeenCalled();
+    });
+
+    it('should delete the event when another booking stores the slot first', async () => {
+      referralModel.updateReferralAppointment.mockRejectedValue(new CustomError('That time is no longer available', 409));
+
+      const response = await fromNewClient(request(app).post('/public/abc12345/appointment'))
+        .send({ referralId: referral.id, start: await firstSlot() });
+
+      expect(response.status).toBe(409);
+      expect(appointmentCalendar.providers.local.events[0].status).toBe('cancelled');
+      expect(appointmentCalendar.providers.local.outbox).toEqual([]);
+    });
+
+    it('should turn away a racing booking that overlaps another without sharing its start time', async () => {
+      const slots = await appointmentCalendar.getAvailableSlots(salesperson);
+      const stored = [];
+      // Both bookings check the calendar before either event is on it
+      const freeSlots = jest.spyOn(appointmentCalendar.providers.local, 'getFreeSlots').mockResolvedValue(slots);
+      // Stands in for the overlap constraint in 026_appointment_slots.sql
+      referralModel.updateReferralAppointment.mockImplementation(async (id, data) => {
+        if (stored.some(booked => data.appointment_date < booked.appointment_end_date && booked.appointment_date < data.appointment_end_date)) {
+          throw new CustomError('That time is no longer available', 409);
+        }
+
+        stored.push(data);
+        return { id, ...data };
+      });
+
+      const first = await fromNewClient(request(app).post('/public/abc12345/appointment'))
+        .send({ referralId: referral.id, start: slots[0].start });
+      referral = { ...referral, id: uuidv4() };
+      const second = await fromNewClient(request(app).post('/public/abc12345/appointment'))
+        .send({ referralId: referral.id, start: slots[1].start });
+      freeSlots.mockRestore();
+
+      expect(new Date(slots[1].start) - new Date(slots[0].start)).toBe(30 * 60 * 1000);
+      expect(first.status).toBe(201);
+      expect(stored).toEqual([expect.objectContaining({ appointment_date: slots[0].start, appointment_end_date: slots[0].end })]);
+      expect(second.status).toBe(409);
+      expect(appointmentCalendar.providers.local.events.map(event => event.status)).toEqual(['confirmed', 'cancelled']);
+    });
+
+    it('should reject a second booking from the landing page', async () => {
+      referral.referral_extensions = [{ appointment_status: 'scheduled', google_calendar_event_id: 'evt_1' }];
+
+      const response = await fromNewClient(request(app).post('/public/abc12345/appointment'))
+        .send({ referralId: referral.id, start: await firstSlot() });
+
+      expect(response.status).toBe(409);
+      expect(appointmentCalendar.providers.local.events).toHaveLength(0);
+    });
+
+    it('should require a time', async () => {
+      const response = await fromNewClient(request(app).post('/public/abc12345/appointment'))
+        .send({ referralId: referral.id });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /:id/appointment', () => {
+    it('should book on the assigned salesperson\'s calendar', async () => {
+      const start = await firstSlot();
+
+      const response = await request(app)
+        .post(`/${referral.id}/appointment`)
+        .send({ appointmentDate: start, notes: 'Bring workout clothes' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        referral_id: referral.id,
+        salesperson_id: salesperson.id,
+        start,
+        confirmations: { referral_email: true, referral_sms: true, salesperson_email: true }
+      });
+      expect(appointmentCalendar.providers.local.events[0].description).toContain('Bring workout clothes');
+    });
+  });
+
+  describe('Existing appointments', () => {
+    let event;
+
+    // Book the first free slot and give the referral the stored appointment
+    beforeEach(async () => {
+      const booked = await appointmentCalendar.bookAppointment(salesperson, { start: await firstSlot(), summary: 'Consultation' });
+      event = appointmentCalendar.providers.local.events[0];
+      referral.referral_extensions = [{
+        referral_status: 'appointment_scheduled',
+        appointment_date: booked.start,
+        appointment_status: 'scheduled',
+        google_calendar_event_id: booked.id,
+        appointment_calendar_user_id: salesperson.id
+      }];
+    });
+
+    describe('PATCH /:id/appointment', () => {
+      it('should move the calendar event and mark the appointment rescheduled', async () => {
+        const slots = await appointmentCalendar.getAvailableSlots(salesperson);
+        const newStart = slots[slots.length - 1].start;
+
+        const response = await request(app)
+          .patch(`/${referral.id}/appointment`)
+          .send({ appointmentDate: newStart });
+
+        expect(response.status).toBe(200);
+        expect(event.startDateTime).toBe(newStart);
+        expect(referralModel.updateReferralAppointment).toHaveBeenCalledWith(referral.id, {
+          appointment_date: newStart,
+          appointment_end_date: event.endDateTime,
+          appointment_status: 'rescheduled',
+          statusChangeNotes: expect.stringContaining('Appointment moved from')
+        });
+      });
+
+      it('should allow moving by less than the appointment length', async () => {
+        const newStart = new Date(new Date(event.startDateTime).getTime() + 30 * 60 * 1000).toISOString();
+
+        const response = await request(app)
+          .patch(`/${referral.id}/appointment`)
+          .send({ appointmentDate: newStart });
+
+        expect(response.status).toBe(200);
+        expect(event.startDateTime).toBe(newStart);
+      });
+
+      it('should not move onto another booked appointment', async () => {
+        const slots = await appointmentCalendar.getAvailableSlots(salesperson);
+        const taken = slots[slots.length - 1].start;
+        await appointmentCalendar.bookAppointment(salesperson, { start: taken, summary: 'Another appointment' });
+
+        const response = await request(app)
+          .patch(`/${referral.id}/appointment`)
+          .send({ appointmentDate: taken });
+
+        expect(response.status).toBe(409);
+        expect(referralModel.updateReferralAppointment).not.toHaveBeenCalled();
+      });
+
+      it('should move the event back when another booking stores the new time first', async () => {
+        const originalStart = event.startDateTime;
+        const slots = await appointmentCalendar.getAvailableSlots(salesperson);
+        referralModel.updateReferralAppointment.mockRejectedValue(new CustomError('That time is no longer available', 409));
+
+        const response = await request(app)
+          .patch(`/${referral.id}/appointment`)
+          .send({ appointmentDate: slots[slots.length - 1].start });
+
+        expect(response.status).toBe(409);
+        expect(event.startDateTime).toBe(originalStart);
+      });
+
+      it('should update a status without touching the calendar', async () => {
+        const version = event.version;
+
+        const response = await request(app)
+          .patch(`/${referral.id}/appointment`)
+          .send({ status: 'confirmed' });
+
+        expect(response.status).toBe(200);
+        expect(event.version).toBe(version);
+        expect(referralModel.updateReferralAppointment).toHaveBeenCalledWith(referral.id, {
+          appointment_status: 'confirmed'
+        });
+      });
+
+      it('should reject cancelling through an update', async () => {
+        const response = await request(app)
+          .patch(`/${referral.id}/appointment`)
+          .send({ status: 'cancelled' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.errors).toHaveLength(1);
+      });
+
+      it('should not move a cancelled appointment', async () => {
+        referral.referral_extensions[0].appointment_status = 'cancelled';
+
+        const response = await request(app)
+          .patch(`/${referral.id}/appointment`)
+          .send({ appointmentDate: await firstSlot() });
+
+        expect(response.status).toBe(409);
+      });
+    });
+
+    describe('DELETE /:id/appointment', () => {
+      it('should delete the calendar event and cancel the appointment', async () => {
+        const response = await request(app)
+          .delete(`/${referral.id}/appointment`)
+          .send({ reason: 'Referral is travelling' });
+
+        expect(response.status).toBe(204);
+        expect(event.status).toBe('cancelled');
+        expect(referralModel.updateReferralAppointment).toHaveBeenCalledWith(referral.id, {
+          appointment_status: 'cancelled',
+          statusChangeNotes: 'Appointment cancelled: Referral is travelling'
+        });
+      });
+
+      it('should free the slot again', async () => {
+        const start = event.startDateTime;
+
+        await request(app).delete(`/${referral.id}/appointment`);
+
+        expect(await appointmentCalendar.isSlotAvailable(salesperson, start)).toBe(true);
+      });
+
+      it('should return 404 when the referral has no appointment', async () => {
+        referral.referral_extensions = [{ referral_status: 'submitted' }];
+
+        const response = await request(app).delete(`/${referral.id}/appointment`);
+
+        expect(response.status).toBe(404);
+      });
+    });
+
+    describe('POST /webhooks/google-calendar', () => {
+      const sync = { id: 'sync-1', user_id: mockUserId, channel_id: 'channel-1', channel_token: 'secret-token' };
+
+      const notify = (token, state = 'exists') => request(app)
+        .post('/webhooks/google-calendar')
+        .set('X-Goog-Channel-ID', 'channel-1')
+        .set('X-Goog-Channel-Token', token)
+        .set('X-Goog-Resource-State', state);
+
+      beforeEach(() => {
+        calendarSyncModel.getSyncByChannelId.mockResolvedValue(sync);
+        calendarSyncModel.getSyncByUserId.mockResolvedValue(sync);
+        referralModel.getReferralByCalendarEventId.mockImplementation(async (eventId) =>
+          (eventId === event.id ? referral : null)
+        );
+      });
+
+      it('should apply an event moved in Google to the referral', async () => {
+        const slots = await appointmentCalendar.getAvailableSlots(salesperson);
+        const newStart = slots[slots.length - 1].start;
+        await appointmentCalendar.providers.local.updateEvent(salesperson, event.id, { startDateTime: newStart });
+
+        const response = await notify('secret-token');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.applied).toBe(1);
+        expect(referralModel.updateReferralAppointment).toHaveBeenCalledWith(referral.id, expect.objectContaining({
+          appointment_date: newStart,
+          appointment_status: 'rescheduled'
+        }));
+      });
+
+      it('should reject a notification with the wrong channel token', async () => {
+        const response = await notify('forged-token');
+
+        expect(response.status).toBe(404);
+        expect(calendarSyncModel.saveSync).not.toHaveBeenCalled();
+      });
+
+      it('should acknowledge the sync message sent when a channel starts', async () => {
+        const response = await notify('secret-token', 'sync');
+
+        expect(response.status).toBe(200);
+        expect(calendarSyncModel.saveSync).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
@@ -0,0 +1,376 @@
+/**
+ * Membership Billing API Tests
+ * Tests for the Stripe webhook, member checkouts and collecting payment when a
+ * person or referral is converted to a member, using the local billing provider
+ * in place of Stripe
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+process.env.BILLING_PROVIDER = 'local';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+// External SDKs loaded by the controllers
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+jest.mock('firebase-admin', () => ({}), { virtual: true });
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+
+const mockUserId = uuidv4();
+const mockTenant = { organizationId: uuidv4(), locationId: null, locationIds: [] };
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { id: mockUserId, role: 'salesperson' };
+    req.tenant = mockTenant;
+    next();
+  },
+  restrictTo: () => (req, res, next) => next()
+}));
+
+jest.mock('../../models/billingModel', () => ({
+  createCheckout: jest.fn(),
+  getCheckoutByStripeId: jest.fn(),
+  updateCheckout: jest.fn(),
+  claimEvent: jest.fn(),
+  updateEvent: jest.fn(),
+  releaseEvent: jest.fn()
+}));
+
+jest.mock('../../models/memberModel', () => ({
+  createMemberExtension: jest.fn(),
+  getMemberExtensionByPersonId: jest.fn(),
+  getMemberExtensionByStripeCustomerId: jest.fn(),
+  updateMemberExtension: jest.fn()
+}));
+
+jest.mock('../../models/personModel', () => ({
+  getPersonById: jest.fn(),
+  updatePerson: jest.fn()
+}));
+
+jest.mock('../../models/membershipPlanModel', () => ({
+  getPlanById: jest.fn(),
+  getPlanByName: jest.fn()
+}));
+
+jest.mock('../../models/referralModel', () => ({
+  getReferralById: jest.fn(),
+  convertToMember: jest.fn()
+}));
+
+jest.mock('../../utils/referralAttribution', () => ({
+  applyAttribution: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../../utils/referralIncentives', () => ({
+  evaluateConversion: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../models/messageModel', () => ({}));
+jest.mock('../../models/userModel', () => ({}));
+jest.mock('../../config/telnyx', () => ({}));
+
+const billingModel = require('../../models/billingModel');
+const memberModel = require('../../models/memberModel');
+const membershipPlanModel = require('../../models/membershipPlanModel');
+const personModel = require('../../models/personModel');
+const referralModel = require('../../models/referralModel');
+const referralAttribution = require('../../utils/referralAttribution');
+const referralIncentives = require('../../utils/referralIncentives');
+const billing = require('../../utils/billing');
+const billingRoutes = require('../../routes/billingRoutes');
+const memberRoutes = require('../../routes/memberRoutes');
+const referralRoutes = require('../../routes/referralRoutes');
+
+describe('Membership Billing API', () => {
+  let app;
+  let person;
+  let member;
+  let plans;
+
+  /**
+   * Send a webhook signed the way Stripe signs them
+   * @param {Object} event - Stripe event
+   * @param {string} [signature] - Signature override
+   * @returns {Promise<Object>} Supertest response
+   */
+  const sendWebhook = (event, signature) => {
+    const rawBody = JSON.stringify(event);
+
+    return request(app)
+      .post('/billing/webhook')
+      .set('Content-Type', 'application/json')
+      .set('stripe-signature', signature || billing.providers.local.signPayload(rawBody))
+      .send(rawBody);
+  };
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
+    app.use('/billing', billingRoutes);
+    app.use('/members', memberRoutes);
+    app.use('/referrals', referralRoutes);
+    jest.clearAllMocks();
+    billing.providers.local.reset();
+
+    person = { id: uuidv4(), first_name: 'Dana', last_name: 'Reyes', email: 'dana@example.com', is_member: false };
+    plans = [
+      { id: uuidv4(), name: 'Premium', monthly_price: 129, trial_days: 0, is_active: true, stripe_price_id: 'price_premium' },
+      { id: uuidv4(), name: 'Platinum', monthly_price: 249, trial_days: 0, is_active: true, stripe_price_id: null },
+      { id: uuidv4(), name: 'Legacy', monthly_price: 29, trial_days: 0, is_active: false, stripe_price_id: 'price_legacy' }
+    ];
+    member = {
+      id: uuidv4(),
+      person_id: person.id,
+      membership_plan_id: plans[0].id,
+      membership_type: 'Premium',
+      payment_status: 'pending',
+      lifetime_value: 0
+    };
+
+    billingModel.createCheckout.mockImplementation(async checkout => ({ id: uuidv4(), ...checkout }));
+    billingModel.claimEvent.mockImplementation(async event => ({ id: uuidv4(), ...event }));
+    memberModel.getMemberExtensionByPersonId.mockResolvedValue(member);
+    memberModel.updateMemberExtension.mockImplementation(async (id, data) => ({ ...member, ...data }));
+    membershipPlanModel.getPlanById.mockImplementation(async id => plans.find(plan => plan.id === id) || null);
+    membershipPlanModel.getPlanByName.mockImplementation(async name => (
+      plans.find(plan => plan.name.toLowerCase() === name.toLowerCase()) || null
+    ));
+  });
+
+  describe('POST /api/billing/webhook', () => {
+    const invoicePaid = () => ({
+      id: `evt_${uuidv4()}`,
+      type: 'invoice.paid',
+      data: {
+        object: {
+          customer: 'cus_1',
+          amount_paid: 4900,
+          subscription_details: { metadata: { person_id: person.id } }
+        }
+      }
+    });
+
+    it('should apply a signed invoice event to the member', async () => {
+      const res = await sendWebhook(invoicePaid());
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ event_type: 'invoice.paid', handled: true, person_id: person.id });
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith(member.id, expect.objectContaining({
+        payment_status: 'current',
+        lifetime_value: 49
+      }));
+    });
+
+    it('should reject an event with a bad signature', async () => {
+      const res = await sendWebhook(invoicePaid(), `t=${Math.floor(Date.now() / 1000)},v1=forged`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch('Webhook verification failed');
+      expect(billingModel.claimEvent).not.toHaveBeenCalled();
+      expect(memberModel.updateMemberExtension).not.toHaveBeenCalled();
+    });
+
+    it('should acknowledge a redelivered event without applying it again', async () => {
+      billingModel.claimEvent.mockResolvedValue(null);
+
+      const res = await sendWebhook(invoicePaid());
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.duplicate).toBe(true);
+      expect(memberModel.updateMemberExtension).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/billing/checkout', () => {
+    it('should create a payment link for a member', async () => {
+      personModel.getPersonById.mockResolvedValue({ ...person, is_member: true, member_extensions: [member] });
+
+      const res = await request(app)
+        .post('/billing/checkout')
+        .send({ personId: person.id, method: 'payment_link' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({
+        method: 'payment_link',
+        price_id: 'price_premium',
+        url: expect.stringContaining('plink_local_1'),
+        created_by: mockUserId
+      });
+    });
+
+    it('should create a checkout for another plan', async () => {
+      plans[1].stripe_price_id = 'price_platinum';
+      personModel.getPersonById.mockResolvedValue({ ...person, is_member: true, member_extensions: [member] });
+
+      const res = await request(app)
+        .post('/billing/checkout')
+        .send({ personId: person.id, membershipPlanId: plans[1].id });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ membership_plan_id: plans[1].id, price_id: 'price_platinum' });
+    });
+
+    it('should reject a person who is not a member', async () => {
+      personModel.getPersonById.mockResolvedValue({ ...person, member_extensions: [] });
+
+      const res = await request(app)
+        .post('/billing/checkout')
+        .send({ personId: person.id });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Person is not a member');
+    });
+  });
+
+  describe('POST /api/members/convert/:personId', () => {
+    it('should convert the person and return a checkout link', async () => {
+      personModel.getPersonById.mockResolvedValue(person);
+      memberModel.createMemberExtension.mockResolvedValue(member);
+
+      const res = await request(app)
+        .post(`/members/convert/${person.id}`)
+        .send({ membership_plan_id: plans[0].id, paymentCollection: 'checkout' });
+
+      expect(res.status).toBe(201);
+      expect(memberModel.createMemberExtension).toHaveBeenCalledWith({
+        person_id: person.id,
+        membership_plan_id: plans[0].id,
+        membership_type: 'Premium'
+      });
+      expect(res.body.data.checkout).toMatchObject({
+        method: 'checkout',
+        url: expect.stringContaining('cs_local_1')
+      });
+    });
+
+    it('should not convert anyone when the plan has no price', async () => {
+      const res = await request(app)
+        .post(`/members/convert/${person.id}`)
+        .send({ membership_type: 'platinum', paymentCollection: 'checkout' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('The Platinum plan has no Stripe price');
+      expect(personModel.updatePerson).not.toHaveBeenCalled();
+    });
+
+    it('should not convert anyone onto a plan that is no longer offered', async () => {
+      const res = await request(app)
+        .post(`/members/convert/${person.id}`)
+        .send({ membership_plan_id: plans[2].id });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('The Legacy plan is no longer offered');
+      expect(personModel.updatePerson).not.toHaveBeenCalled();
+    });
+
+    it('should keep the conversion when the checkout cannot be created', async () => {
+      personModel.getPersonById.mockResolvedValue(person);
+      memberModel.createMemberExtension.mockResolvedValue(member);
+      billingModel.createCheckout.mockRejectedValue(new Error('Database unavailable'));
+
+      const res = await request(app)
+        .post(`/members/convert/${person.id}`)
+        .send({ membership_type: 'premium', paymentCollection: 'payment_link' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.checkout).toBeNull();
+      expect(res.body.data.checkout_error).toBe('Database unavailable');
+    });
+  });
+
+  describe('POST /api/referrals/:id/convert', () => {
+    it('should convert the referral and return a payment link', async () => {
+      referralModel.getReferralById.mockResolvedValue({ ...person, is_referral: true });
+      referralModel.convertToMember.mockResolvedValue({ ...person, is_member: true, member_extensions: [member] });
+
+      const res = await request(app)
+        .post(`/referrals/${person.id}/convert`)
+        .send({ membershipPlanId: plans[0].id, paymentCollection: 'payment_link' });
+
+      expect(res.status).toBe(200);
+      expect(referralModel.convertToMember).toHaveBeenCalledWith(person.id, expect.objectContaining({
+        membership_plan_id: plans[0].id,
+        membership_type: 'Premium',
+        payment_status: 'pending'
+      }));
+      expect(res.body.checkout).toMatchObject({ method: 'payment_link', person_id: person.id });
+    });
+
+    it('should convert the referral without a checkout when none is asked for', async () => {
+      referralModel.getReferralById.mockResolvedValue({ ...person, is_referral: true });
+      referralModel.convertToMember.mockResolvedValue({ ...person, is_member: true, member_extensions: [member] });
+
+      const res = await request(app)
+        .post(`/referrals/${person.id}/convert`)
+        .send({ membershipType: 'premium' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.checkout).toBeNull();
+      expect(billingModel.createCheckout).not.toHaveBeenCalled();
+    });
+
+    it('should split the credit between the referrers before awarding incentives', async () => {
+      const converted = { ...person, is_member: true, member_extensions: [member] };
+      const attribution = { model: 'equal_split', referrers: [] };
+      referralModel.getReferralById.mockResolvedValue({ ...person, is_referral: true });
+      referralModel.convertToMember.mockResolvedValue(converted);
+      referralAttribution.applyAttribution.mockResolvedValueOnce(attribution);
+
+      const res = await request(app)
+        .post(`/referrals/${person.id}/convert`)
+        .send({ membershipType: 'premium' });
+
+      expect(res.status).toBe(200);
+      expect(referralAttribution.applyAttribution).toHaveBeenCalledWith(converted);
+      expect(referralAttribution.applyAttribution.mock.invocationCallOrder[0])
+        .toBeLessThan(referralIncentives.evaluateConversion.mock.invocationCallOrder[0]);
+      expect(res.body.attribution).toEqual(attribution);
+    });
+
+    it('should award the referrers\' incentives', async () => {
+      const converted = { ...person, is_member: true, member_extensions: [member] };
+      const award = { id: uuidv4(), person_id: uuidv4(), referral_id: person.id, amount: 50, status: 'pending' };
+      referralModel.getReferralById.mockResolvedValue({ ...person, is_referral: true });
+      referralModel.convertToMember.mockResolvedValue(converted);
+      referralIncentives.evaluateConversion.mockResolvedValueOnce([award]);
+
+      const res = await request(app)
+        .post(`/referrals/${person.id}/convert`)
+        .send({ membershipType: 'premium' });
+
+      expect(res.status).toBe(200);
+      expect(referralIncentives.evaluateConversion).toHaveBeenCalledWith(converted);
+      expect(res.body.incentives).toEqual([award]);
+    });
+
+    it('should keep the conversion when awarding incentives fails', async () => {
+      referralModel.getReferralById.mockResolvedValue({ ...person, is_referral: true });
+      referralModel.convertToMember.mockResolvedValue({ ...person, is_member: true, member_extensions: [member] });
+      referralIncentives.evaluateConversion.mockRejectedValueOnce(new Error('Database unavailable'));
+
+      const res = await request(app)
+        .post(`/referrals/${person.id}/convert`)
+        .send({ membershipType: 'premium' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.is_member).toBe(true);
+      expect(res.body.incentives_error).toBe('Database unavailable');
+    });
+
+    it('should reject an unknown plan', async () => {
+      const res = await request(app)
+        .post(`/referrals/${person.id}/convert`)
+        .send({ membershipType: 'Diamond' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Unknown membership plan: Diamond');
+      expect(referralModel.convertToMember).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Goals API Tests
+ * Tests for setting monthly performance goals, the leaderboard and users'
+ * own progress
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+const mockUser = { id: uuidv4(), role: 'salesperson' };
+const mockTenant = { organizationId: uuidv4(), locationId: null, locationIds: [] };
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { ...mockUser };
+    req.tenant = mockTenant;
+    next();
+  },
+  restrictTo: (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ status: 'error', message: 'You do not have permission to perform this action' });
+    }
+    next();
+  }
+}));
+
+jest.mock('../../models/goalModel', () => ({
+  getGoals: jest.fn(),
+  saveGoals: jest.fn(),
+  deleteGoal: jest.fn(),
+  getUsers: jest.fn(),
+  getLeadActivity: jest.fn(),
+  getReferralActivity: jest.fn(),
+  getMeetings: jest.fn(),
+  getSentMessages: jest.fn()
+}));
+
+const goalModel = require('../../models/goalModel');
+const goalRoutes = require('../../routes/goalRoutes');
+
+describe('Goals API', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockUser.role = 'salesperson';
+
+    app = express();
+    app.use(express.json());
+    app.use('/goals', goalRoutes);
+    // Same shape as the server's error handler
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+    });
+
+    goalModel.getUsers.mockResolvedValue([
+      { id: mockUser.id, first_name: 'Jane', last_name: 'Seller', role: 'salesperson', location_id: null }
+    ]);
+    goalModel.getGoals.mockResolvedValue([{ id: uuidv4(), user_id: mockUser.id, metric: 'messages_sent', target: 4 }]);
+    goalModel.saveGoals.mockImplementation(async goals => goals);
+    goalModel.getLeadActivity.mockResolvedValue([]);
+    goalModel.getReferralActivity.mockResolvedValue([]);
+    goalModel.getMeetings.mockResolvedValue([]);
+    goalModel.getSentMessages.mockResolvedValue([{ id: uuidv4(), sender_id: mockUser.id }]);
+  });
+
+  describe('GET /goals/leaderboard', () => {
+    it('should rank the organization\'s salespeople for the month', async () => {
+      const res = await request(app).get('/goals/leaderboard?month=2030-05');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.month).toBe('2030-05');
+      expect(res.body.data.entries[0]).toEqual(expect.objectContaining({
+        rank: 1,
+        user: { id: mockUser.id, name: 'Jane Seller' },
+        score: 0.25
+      }));
+      expect(goalModel.getGoals).toHaveBeenCalledWith(mockTenant.organizationId, { month: '2030-05-01' });
+    });
+
+    it('should reject a bad month', async () => {
+      const res = await request(app).get('/goals/leaderboard?month=05-2030');
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('month must be in the form YYYY-MM');
+    });
+  });
+
+  describe('GET /goals/me', () => {
+    it('should return the current user\'s progress', async () => {
+      const res = await request(app).get('/goals/me');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual(expect.objectContaining({ rank: 1, of: 1 }));
+      expect(res.body.data.progress.messages_sent).toEqual({ target: 4, actual: 1, progress: 0.25 });
+    });
+  });
+
+  describe('Goal management', () => {
+    it('should only let admins see and set goals', async () => {
+      const list = await request(app).get('/goals');
+      const save = await request(app).put('/goals').send({ month: '2030-05', goals: [] });
+
+      expect(list.status).toBe(403);
+      expect(save.status).toBe(403);
+    });
+
+    it('should save an admin\'s targets for the month', async () => {
+      mockUser.role = 'admin';
+
+      const res = await request(app)
+        .put('/goals')
+        .send({ month: '2030-05', goals: [{ user_id: mockUser.id, metric: 'conversions', target: 6 }] });
+
+      expect(res.status).toBe(200);
+      expect(goalModel.saveGoals).toHaveBeenCalledWith([{
+        user_id: mockUser.id,
+        metric: 'conversions',
+        target: 6,
+        organization_id: mockTenant.organizationId,
+        month: '2030-05-01',
+        created_by: mockUser.id
+      }]);
+    });
+
+    it('should return 404 when removing a goal that isn\'t there', async () => {
+      mockUser.role = 'admin';
+      goalModel.deleteGoal.mockResolvedValue(null);
+
+      const res = await request(app).delete(`/goals/${uuidv4()}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.message).toBe('Goal not found');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Google Connection API Tests
+ * Tests for connecting, checking and disconnecting a user's Google account
+ */
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+const mockUser = { id: 'user-1', role: 'salesperson' };
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  restrictTo: () => (req, res, next) => next()
+}));
+
+// Keep the real OAuth state handling; stub everything that talks to Google or the database
+jest.mock('../../utils/googleAccounts', () => ({
+  ...jest.requireActual('../../utils/googleAccounts'),
+  getAuthUrl: jest.fn(),
+  connect: jest.fn(),
+  getStatus: jest.fn(),
+  disconnect: jest.fn()
+}));
+
+jest.mock('../../utils/calendarSync', () => ({
+  stopSyncingUserCalendar: jest.fn()
+}));
+
+const googleAccounts = require('../../utils/googleAccounts');
+const calendarSync = require('../../utils/calendarSync');
+const authRoutes = require('../../routes/authRoutes');
+
+describe('Google Connection API', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use(authRoutes);
+    jest.clearAllMocks();
+
+    googleAccounts.config.clientRedirectUrl = 'https://app.orca.test/profile';
+  });
+
+  describe('GET /google/connect', () => {
+    it('should return the consent URL for the current user', async () => {
+      googleAccounts.getAuthUrl.mockReturnValue('https://accounts.google.com/o/oauth2/v2/auth?state=abc');
+
+      const response = await request(app).get('/google/connect');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.url).toBe('https://accounts.google.com/o/oauth2/v2/auth?state=abc');
+      expect(googleAccounts.getAuthUrl).toHaveBeenCalledWith('user-1');
+    });
+  });
+
+  describe('GET /google-callback', () => {
+    it('should connect the user named in a valid state', async () => {
+      const state = googleAccounts.createState('user-1');
+
+      const response = await request(app).get('/google-callback').query({ code: 'auth-code', state });
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('https://app.orca.test/profile?google=connected');
+      expect(googleAccounts.connect).toHaveBeenCalledWith('user-1', 'auth-code');
+    });
+
+    it('should store nothing for an invalid state', async () => {
+      const response = await request(app).get('/google-callback').query({ code: 'auth-code', state: 'forged' });
+
+      expect(response.headers.location).toBe('https://app.orca.test/profile?google=invalid_state');
+      expect(googleAccounts.connect).not.toHaveBeenCalled();
+    });
+
+    it('should report when the user declines access', async () => {
+      const state = googleAccounts.createState('user-1');
+
+      const response = await request(app).get('/google-callback').query({ error: 'access_denied', state });
+
+      expect(response.headers.location).toBe('https://app.orca.test/profile?google=denied');
+      expect(googleAccounts.connect).not.toHaveBeenCalled();
+    });
+
+    it('should report a failed token exchange', async () => {
+      googleAccounts.connect.mockRejectedValue(new Error('invalid_grant'));
+      const state = googleAccounts.createState('user-1');
+
+      const response = await request(app).get('/google-callback').query({ code: 'used-code', state });
+
+      expect(response.headers.location).toBe('https://app.orca.test/profile?google=error');
+    });
+  });
+
+  describe('GET /google', () => {
+    it('should return the connection health', async () => {
+      googleAccounts.getStatus.mockResolvedValue({ provider: 'google', connected: true, healthy: true });
+
+      const response = await request(app).get('/google').query({ check: 'true' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.healthy).toBe(true);
+      expect(googleAccounts.getStatus).toHaveBeenCalledWith('user-1', { check: true });
+    });
+  });
+
+  describe('DELETE /google', () => {
+    it('should disconnect the account', async () => {
+      googleAccounts.disconnect.mockResolvedValue(true);
+
+      const response = await request(app).delete('/google');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.connected).toBe(false);
+      expect(googleAccounts.disconnect).toHaveBeenCalledWith('user-1');
+      expect(calendarSync.stopSyncingUserCalendar).toHaveBeenCalledWith(mockUser);
+    });
+
+    it('should return 404 when nothing is connected', async () => {
+      googleAccounts.disconnect.mockResolvedValue(false);
+
+      const response = await request(app).delete('/google');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Import API Tests
+ * Tests for uploading lead and member files, previewing and starting imports
+ * and downloading error reports
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+const mockUser = { id: uuidv4(), role: 'admin' };
+const mockTenant = { organizationId: uuidv4(), locationId: null, locationIds: [] };
+
+// Loaded through the membership plan pricing helpers
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { ...mockUser };
+    req.tenant = mockTenant;
+    next();
+  },
+  restrictTo: (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ status: 'error', message: 'You do not have permission to perform this action' });
+    }
+    next();
+  }
+}));
+
+jest.mock('../../models/importModel', () => ({
+  createImport: jest.fn(),
+  getImports: jest.fn(),
+  getImportById: jest.fn(),
+  updateImport: jest.fn()
+}));
+
+jest.mock('../../models/personModel', () => ({
+  findPersonsByContact: jest.fn()
+}));
+
+jest.mock('../../models/leadModel', () => ({}));
+jest.mock('../../models/memberModel', () => ({}));
+
+jest.mock('../../models/membershipPlanModel', () => ({
+  getPlans: jest.fn()
+}));
+
+jest.mock('../../utils/bulkImport', () => ({
+  ...jest.requireActual('../../utils/bulkImport'),
+  processQueuedImports: jest.fn()
+}));
+
+const importModel = require('../../models/importModel');
+const personModel = require('../../models/personModel');
+const membershipPlanModel = require('../../models/membershipPlanModel');
+const bulkImport = require('../../utils/bulkImport');
+const importRoutes = require('../../routes/importRoutes');
+
+describe('Import API', () => {
+  let app;
+  let importJob;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockUser.role = 'admin';
+
+    app = express();
+    app.use(express.json());
+    app.use('/imports', importRoutes);
+    // Same shape as the server's error handler
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+    });
+
+    importJob = {
+      id: uuidv4(),
+      organization_id: mockTenant.organizationId,
+      import_type: 'lead',
+      file_name: 'leads.csv',
+      headers: ['First Name', 'Last Name', 'Email'],
+      rows: [
+        ['Jane', 'Doe', 'jane@example.com'],
+        ['Sam', '', 'not-an-email']
+      ],
+      total_rows: 2,
+      column_mapping: {},
+      duplicate_strategy: 'skip',
+      status: 'uploaded',
+      processed_rows: 0,
+      errors: []
+    };
+
+    importModel.createImport.mockImplementation(async data => ({ id: importJob.id, status: 'uploaded', ...data }));
+    importModel.getImportById.mockResolvedValue(importJob);
+    importModel.updateImport.mockImplementation(async (id, changes) => ({ ...importJob, ...changes }));
+    personModel.findPersonsByContact.mockResolvedValue([]);
+    membershipPlanModel.getPlans.mockResolvedValue([]);
+    bulkImport.processQueuedImports.mockResolvedValue({ skipped: false, processed: 1, results: [] });
+  });
+
+  describe('POST /imports', () => {
+    it('should parse an uploaded file and suggest a column mapping', async () => {
+      const res = await request(app)
+        .post('/imports?import_type=lead&file_name=leads.csv')
+        .set('Content-Type', 'application/octet-stream')
+        .send(Buffer.from('First Name,Last Name,Email\nJane,Doe,jane@example.com\n'));
+
+      expect(res.status).toBe(201);
+      expect(importModel.createImport).toHaveBeenCalledWith(expect.objectContaining({
+        created_by: mockUser.id,
+        import_type: 'lead',
+        file_name: 'leads.csv',
+        headers: ['First Name', 'Last Name', 'Email'],
+        rows: [['Jane', 'Doe', 'jane@example.com']],
+        total_rows: 1
+      }), mockTenant);
+      expect(res.body.data.column_mapping).toEqual({
+        'First Name': 'first_name',
+        'Last Name': 'last_name',
+        Email: 'email'
+      });
+      expect(res.body.data.rows).toBeUndefined();
+      expect(res.body.data.sample_rows).toEqual([['Jane', 'Doe', 'jane@example.com']]);
+    });
+
+    it('should reject an unknown import type', async () => {
+      const res = await request(app)
+        .post('/imports?import_type=referral&file_name=leads.csv')
+        .set('Content-Type', 'application/octet-stream')
+        .send(Buffer.from('Name\nJane\n'));
+
+      expect(res.status).toBe(400);
+      expect(importModel.createImport).not.toHaveBeenCalled();
+    });
+
+    it('should reject a file without data rows', async () => {
+      const res = await request(app)
+        .post('/imports?import_type=lead&file_name=leads.csv')
+        .set('Content-Type', 'application/octet-stream')
+        .send(Buffer.from('Name,Email\n'));
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('The file needs a header row and at least one row of data');
+    });
+  });
+
+  describe('GET /imports', () => {
+    it('should only allow admins', async () => {
+      mockUser.role = 'salesperson';
+
+      const res = await request(app).get('/imports');
+
+      expect(res.status).toBe(403);
+      expect(importModel.getImports).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /imports/:id/preview', () => {
+    it('should return a dry run with per-row errors', async () => {
+      const res = await request(app)
+        .post(`/imports/${importJob.id}/preview`)
+        .send({ column_mapping: { 'First Name': 'first_name', 'Last Name': 'last_name', Email: 'email' } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.summary).toEqual({ total_rows: 2, create: 1, update: 0, skip: 0, error: 1 });
+      expect(res.body.data.errors).toEqual([{ row: 3, errors: ['last_name is required', 'Invalid email format'] }]);
+      expect(importModel.updateImport).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid mapping', async () => {
+      const res = await request(app)
+        .post(`/imports/${importJob.id}/preview`)
+        .send({ column_mapping: { Email: 'email' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Map columns to first and last name, or to full name');
+    });
+
+    it('should return 404 for an import outside the organization', async () => {
+      importModel.getImportById.mockResolvedValue(null);
+
+      const res = await request(app)
+        .post(`/imports/${uuidv4()}/preview`)
+        .send({ column_mapping: {} });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('POST /imports/:id/start', () => {
+    it('should queue the import and start processing', async () => {
+      const columnMapping = { 'First Name': 'first_name', 'Last Name': 'last_name', Email: 'email' };
+
+      const res = await request(app)
+        .post(`/imports/${importJob.id}/start`)
+        .send({ column_mapping: columnMapping, duplicate_strategy: 'update' });
+
+      expect(res.status).toBe(202);
+      expect(importModel.updateImport).toHaveBeenCalledWith(importJob.id, expect.objectContaining({
+        status: 'queued',
+        column_mapping: columnMapping,
+        duplicate_strategy: 'update'
+      }));
+      expect(bulkImport.processQueuedImports).toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /imports/:id/errors', () => {
+    it('should download the failed rows as CSV', async () => {
+      importJob.errors = [{ row: 3, errors: ['last_name is required', 'Invalid email format'] }];
+
+      const res = await request(app).get(`/imports/${importJob.id}/errors`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/csv/);
+      expect(res.headers['content-disposition']).toBe('attachment; filename="leads-errors.csv"');
+      expect(res.text).toBe('Row,First Name,Last Name,Email,Errors\r\n3,Sam,,not-an-email,last_name is required; Invalid email format');
+    });
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * Incentive API Tests
+ * Tests for managing referral incentive rules, reviewing awards in the approval
+ * queue and paying them into the payout ledger
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+const mockUser = { id: uuidv4(), role: 'admin' };
+const mockTenant = { organizationId: uuidv4(), locationId: null, locationIds: [] };
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { ...mockUser };
+    req.tenant = mockTenant;
+    next();
+  },
+  restrictTo: (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ status: 'error', message: 'You do not have permission to perform this action' });
+    }
+    next();
+  }
+}));
+
+jest.mock('../../models/incentiveModel', () => ({
+  getRules: jest.fn(),
+  getRuleById: jest.fn(),
+  createRule: jest.fn(),
+  updateRule: jest.fn(),
+  getAwards: jest.fn(),
+  getAwardById: jest.fn(),
+  updateAwardStatus: jest.fn(),
+  createPayout: jest.fn(),
+  getPayouts: jest.fn()
+}));
+
+jest.mock('../../models/referralModel', () => ({
+  getReferralById: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../../models/memberModel', () => ({
+  getMemberExtensionByPersonId: jest.fn().mockResolvedValue(null)
+}));
+
+const incentiveModel = require('../../models/incentiveModel');
+const incentiveRoutes = require('../../routes/incentiveRoutes');
+
+describe('Incentive API', () => {
+  let app;
+  let rule;
+  let award;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockUser.role = 'admin';
+
+    app = express();
+    app.use(express.json());
+    app.use('/incentives', incentiveRoutes);
+    // Same shape as the server's error handler
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+    });
+
+    rule = {
+      id: uuidv4(),
+      organization_id: mockTenant.organizationId,
+      name: 'Refer a friend',
+      trigger: 'conversion',
+      reward_type: 'credit',
+      reward_amount: 50,
+      tiers: [],
+      requires_approval: true,
+      is_active: true
+    };
+    award = {
+      id: uuidv4(),
+      organization_id: mockTenant.organizationId,
+      rule_id: rule.id,
+      person_id: uuidv4(),
+      referral_id: uuidv4(),
+      reward_type: 'credit',
+      amount: 50,
+      status: 'pending'
+    };
+
+    incentiveModel.getRules.mockResolvedValue([rule]);
+    incentiveModel.getRuleById.mockImplementation(async (orgId, id) => (
+      orgId === rule.organization_id && id === rule.id ? rule : null
+    ));
+    incentiveModel.createRule.mockImplementation(async data => ({ id: uuidv4(), ...data }));
+    incentiveModel.updateRule.mockImplementation(async (orgId, id, data) => ({ ...rule, ...data }));
+    incentiveModel.getAwards.mockResolvedValue([award]);
+    incentiveModel.getAwardById.mockImplementation(async (orgId, id) => (id === award.id ? award : null));
+    incentiveModel.updateAwardStatus.mockImplementation(async (orgId, id, fromStatuses, data) => (
+      fromStatuses.includes(award.status) ? { ...award, ...data } : null
+    ));
+    incentiveModel.createPayout.mockImplementation(async data => ({ id: uuidv4(), ...data }));
+    incentiveModel.getPayouts.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('rules', () => {
+    it('should list the organization\'s rules to any signed-in user', async () => {
+      mockUser.role = 'salesperson';
+
+      const res = await request(app).get('/incentives/rules?includeInactive=true');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([rule]);
+      expect(incentiveModel.getRules).toHaveBeenCalledWith(mockTenant.organizationId, { includeInactive: false });
+    });
+
+    it('should create a tiered milestone rule for the organization', async () => {
+      const res = await request(app)
+        .post('/incentives/rules')
+        .send({
+          name: 'Three friends',
+          trigger: 'milestone',
+          referral_threshold: '3',
+          reward_type: 'free_month',
+          reward_amount: '99',
+          tiers: [{ min_referrals: 6, reward_amount: 149 }],
+          ends_at: '2026-12-31',
+          organization_id: uuidv4()
+        });
+
+      expect(res.status).toBe(201);
+      expect(incentiveModel.createRule).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'Three friends',
+        referral_threshold: 3,
+        reward_amount: 99,
+        requires_approval: true,
+        organization_id: mockTenant.organizationId,
+        created_by: mockUser.id
+      }));
+    });
+
+    it('should reject a milestone without a threshold', async () => {
+      const res = await request(app)
+        .post('/incentives/rules')
+        .send({ name: 'Milestone', trigger: 'milestone', reward_amount: 50 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toContain('Referral threshold must be a whole number of 1 or more');
+      expect(incentiveModel.createRule).not.toHaveBeenCalled();
+    });
+
+    it('should reject a rule that ends before it starts', async () => {
+      const res = await request(app)
+        .patch(`/incentives/rules/${rule.id}`)
+        .send({ starts_at: '2026-07-01', ends_at: '2026-06-01' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toContain('starts_at must be before ends_at');
+    });
+
+    it('should switch a rule off', async () => {
+      const res = await request(app).delete(`/incentives/rules/${rule.id}`);
+
+      expect(res.status).toBe(200);
+      expect(incentiveModel.updateRule).toHaveBeenCalledWith(mockTenant.organizationId, rule.id, { is_active: false });
+    });
+
+    it('should not find another organization\'s rule', async () => {
+      const res = await request(app)
+        .patch(`/incentives/rules/${uuidv4()}`)
+        .send({ reward_amount: 75 });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should only let admins manage rules', async () => {
+      mockUser.role = 'salesperson';
+
+      const res = await request(app)
+        .post('/incentives/rules')
+        .send({ name: 'Refer a friend', reward_amount: 50 });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('approval queue', () => {
+    it('should list pending awards', async () => {
+      const res = await request(app).get('/incentives/awards?status=pending');
+
+      expect(res.status).toBe(200);
+      expect(incentiveModel.getAwards).toHaveBeenCalledWith(
+        mockTenant.organizationId,
+        { status: 'pending', personId: undefined, referralId: undefined },
+        { page: 0, pageSize: 50 }
+      );
+    });
+
+    it('should approve a pending award', async () => {
+      const res = await request(app)
+        .post(`/incentives/awards/${award.id}/approve`)
+        .send({ notes: 'Membership confirmed' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        status: 'approved',
+        reviewed_by: mockUser.id,
+        review_notes: 'Membership confirmed'
+      });
+    });
+
+    it('should not approve an award that was rejected', async () => {
+      award.status = 'rejected';
+
+      const res = await request(app).post(`/incentives/awards/${award.id}/approve`).send({});
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should keep the queue from salespeople', async () => {
+      mockUser.role = 'salesperson';
+
+      const res = await request(app).get('/incentives/awards');
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('payouts', () => {
+    it('should pay an approved award into the ledger', async () => {
+      award.status = 'approved';
+
+      const res = await request(app)
+        .post(`/incentives/awards/${award.id}/payout`)
+        .send({ method: 'check', reference: '#1042' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.award.status).toBe('paid');
+      expect(res.body.data.payout).toMatchObject({ award_id: award.id, amount: 50, method: 'check', reference: '#1042' });
+    });
+
+    it('should not pay an award waiting for approval', async () => {
+      const res = await request(app).post(`/incentives/awards/${award.id}/payout`).send({});
+
+      expect(res.status).toBe(409);
+      expect(incentiveModel.createPayout).not.toHaveBeenCalled();
+    });
+
+    it('should not pay an award twice', async () => {
+      award.status = 'approved';
+      incentiveModel.createPayout.mockResolvedValueOnce(null);
+
+      const res = await request(app).post(`/incentives/awards/${award.id}/payout`).send({});
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('This award has already been paid');
+    });
+
+    it('should list the ledger', async () => {
+      const res = await request(app).get('/incentives/payouts?dateFrom=2026-01-01');
+
+      expect(res.status).toBe(200);
+      expect(incentiveModel.getPayouts).toHaveBeenCalledWith(
+        mockTenant.organizationId,
+        { personId: undefined, dateFrom: '2026-01-01', dateTo: undefined },
+        { page: 0, pageSize: 50 }
+      );
+    });
+  });
+});
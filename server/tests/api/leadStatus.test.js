@@ -0,0 +1,139 @@
+/**
+ * Lead Status API Tests
+ * Tests for moving leads through the pipeline
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+// External SDKs loaded by the controllers
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+const mockUserId = uuidv4();
+const mockTenant = { organizationId: uuidv4(), locationId: null, locationIds: [] };
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { id: mockUserId, role: 'salesperson' };
+    req.tenant = mockTenant;
+    next();
+  },
+  restrictTo: () => (req, res, next) => next()
+}));
+
+jest.mock('../../models/leadModel', () => ({
+  getLeadById: jest.fn(),
+  updateLeadStatus: jest.fn()
+}));
+
+jest.mock('../../utils/leadScoring', () => ({
+  rescoreLead: jest.fn()
+}));
+
+jest.mock('../../utils/nurtureSequences', () => ({
+  enrollByTrigger: jest.fn(),
+  recordReply: jest.fn()
+}));
+
+const leadModel = require('../../models/leadModel');
+const leadScoring = require('../../utils/leadScoring');
+const nurtureSequences = require('../../utils/nurtureSequences');
+const leadRoutes = require('../../routes/leadRoutes');
+
+describe('Lead Status API', () => {
+  let app;
+  let lead;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use(leadRoutes);
+    jest.clearAllMocks();
+
+    lead = {
+      id: uuidv4(),
+      first_name: 'Jordan',
+      lead_extensions: [{
+        lead_status: 'appointment_scheduled',
+        status_history: [{ status: 'new', timestamp: '2030-01-01T00:00:00.000Z', notes: 'Lead created' }]
+      }]
+    };
+
+    leadModel.getLeadById.mockResolvedValue(lead);
+    leadModel.updateLeadStatus.mockImplementation(async (id, status) => ({
+      ...lead,
+      lead_extensions: [{ ...lead.lead_extensions[0], lead_status: status }]
+    }));
+  });
+
+  describe('GET /pipeline', () => {
+    it('should return the pipeline stages', async () => {
+      const response = await request(app).get('/pipeline');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0]).toEqual({
+        key: 'new',
+        label: 'New',
+        requiredFields: [],
+        transitions: ['contacted', 'appointment_scheduled', 'lost']
+      });
+    });
+  });
+
+  describe('PATCH /:id/status', () => {
+    it('should move the lead and record who moved it', async () => {
+      const response = await request(app)
+        .patch(`/${lead.id}/status`)
+        .send({ status: 'Visited', visit_date: '2030-01-08T15:00:00.000Z', notes: 'Toured the gym', first_name: 'Ignored' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.lead_extensions[0].lead_status).toBe('visited');
+      expect(leadModel.updateLeadStatus).toHaveBeenCalledWith(lead.id, 'visited', {
+        userId: mockUserId,
+        notes: 'Toured the gym',
+        fields: { visit_date: '2030-01-08T15:00:00.000Z' },
+        currentExtension: lead.lead_extensions[0]
+      }, mockTenant);
+      expect(leadScoring.rescoreLead).toHaveBeenCalledWith(lead.id, 'status_changed');
+      expect(nurtureSequences.enrollByTrigger).toHaveBeenCalledWith('lead_status_changed', lead.id, { status: 'visited' });
+    });
+
+    it('should reject a move that is not allowed', async () => {
+      const response = await request(app)
+        .patch(`/${lead.id}/status`)
+        .send({ status: 'won' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        'A lead in Appointment Scheduled can only move to Visited, Contacted or Lost',
+        'Payment info is required before Won'
+      ]);
+      expect(leadModel.updateLeadStatus).not.toHaveBeenCalled();
+    });
+
+    it('should reject a move without the fields the stage requires', async () => {
+      const response = await request(app)
+        .patch(`/${lead.id}/status`)
+        .send({ status: 'visited' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Visit date is required before Visited');
+      expect(leadModel.updateLeadStatus).not.toHaveBeenCalled();
+    });
+
+    it('should require a status', async () => {
+      const response = await request(app).patch(`/${lead.id}/status`).send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Status is required');
+    });
+
+    it('should return 404 for an unknown lead', async () => {
+      leadModel.getLeadById.mockResolvedValue(null);
+
+      const response = await request(app).patch(`/${lead.id}/status`).send({ status: 'contacted' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Member API Tests
+ * Tests for the member list filters and the member profile's referral network
+ * and referrals
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+const mockTenant = { organizationId: uuidv4(), locationId: null, locationIds: [] };
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { id: 'user-1', role: 'salesperson' };
+    req.tenant = mockTenant;
+    next();
+  },
+  restrictTo: () => (req, res, next) => next()
+}));
+
+jest.mock('../../models/memberModel', () => ({
+  listMembers: jest.fn()
+}));
+
+jest.mock('../../models/personModel', () => ({
+  getPersonById: jest.fn()
+}));
+
+jest.mock('../../models/relationshipModel', () => ({
+  getReferralRelationships: jest.fn()
+}));
+
+jest.mock('../../models/referralModel', () => ({
+  getReferralNetwork: jest.fn()
+}));
+
+const memberModel = require('../../models/memberModel');
+const personModel = require('../../models/personModel');
+const relationshipModel = require('../../models/relationshipModel');
+const referralModel = require('../../models/referralModel');
+const memberRoutes = require('../../routes/memberRoutes');
+
+describe('Member API', () => {
+  let app;
+  let member;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    app = express();
+    app.use(express.json());
+    app.use('/members', memberRoutes);
+
+    member = { id: uuidv4(), first_name: 'Jane', last_name: 'Member', is_member: true };
+    personModel.getPersonById.mockImplementation(async id => (id === member.id ? member : null));
+    memberModel.listMembers.mockResolvedValue({
+      members: [member],
+      pagination: { total: 1, page: 1, limit: 20, pages: 1 }
+    });
+  });
+
+  describe('GET /api/members', () => {
+    it('should filter by membership, churn risk and referrals', async () => {
+      const res = await request(app).get('/members').query({
+        membership_type: 'Premium',
+        membership_status: 'active',
+        churn_risk: 'high',
+        has_referrals: 'true',
+        page: 2
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.members).toEqual([member]);
+      expect(memberModel.listMembers).toHaveBeenCalledWith({
+        membership_type: 'Premium',
+        membership_status: 'active',
+        churn_risk: 'high',
+        has_referrals: true
+      }, 2, 20, mockTenant);
+    });
+
+    it('should find members who have not referred anyone', async () => {
+      await request(app).get('/members').query({ has_referrals: 'false' });
+
+      expect(memberModel.listMembers).toHaveBeenCalledWith({ has_referrals: false }, 1, 20, mockTenant);
+    });
+
+    it('should ignore an empty referrals filter', async () => {
+      await request(app).get('/members').query({ has_referrals: '' });
+
+      expect(memberModel.listMembers).toHaveBeenCalledWith({}, 1, 20, mockTenant);
+    });
+  });
+
+  describe('GET /api/members/:id/network', () => {
+    it('should return the member\'s referral network within the tenant', async () => {
+      const network = { nodes: [{ id: member.id, first_name: 'Jane', last_name: 'Member', isMember: true }], links: [] };
+      referralModel.getReferralNetwork.mockResolvedValue(network);
+
+      const res = await request(app).get(`/members/${member.id}/network`).query({ levels: 2 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual(network);
+      expect(referralModel.getReferralNetwork).toHaveBeenCalledWith(member.id, 2, true, mockTenant);
+    });
+
+    it('should refuse a person who is not a member', async () => {
+      member.is_member = false;
+
+      const res = await request(app).get(`/members/${member.id}/network`);
+
+      expect(res.status).toBe(400);
+      expect(referralModel.getReferralNetwork).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/members/:id/referrals', () => {
+    it('should page through the member\'s referrals', async () => {
+      const referral = { id: uuidv4(), person_a_id: member.id, referred: { first_name: 'Sam' } };
+      relationshipModel.getReferralRelationships.mockResolvedValue([referral]);
+
+      const res = await request(app).get(`/members/${member.id}/referrals`).query({ page: 2, limit: 10 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([referral]);
+      expect(relationshipModel.getReferralRelationships).toHaveBeenCalledWith(
+        { referrerId: member.id },
+        { page: 1, pageSize: 10 },
+        mockTenant
+      );
+    });
+  });
+});
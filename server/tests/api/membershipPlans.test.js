@@ -0,0 +1,270 @@
+/**
+ * Membership Plan API Tests
+ * Tests for the admin-managed plan catalog, synced to Stripe through the local
+ * billing provider, and for leads that choose a plan
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+process.env.BILLING_PROVIDER = 'local';
+
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+const mockUser = { id: uuidv4(), role: 'admin' };
+const mockTenant = { organizationId: uuidv4(), locationId: null, locationIds: [] };
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { ...mockUser };
+    req.tenant = mockTenant;
+    next();
+  },
+  restrictTo: (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ status: 'error', message: 'You do not have permission to perform this action' });
+    }
+    next();
+  }
+}));
+
+jest.mock('../../models/membershipPlanModel', () => ({
+  getPlans: jest.fn(),
+  getPlanById: jest.fn(),
+  getPlanByName: jest.fn(),
+  createPlan: jest.fn(),
+  updatePlan: jest.fn()
+}));
+
+jest.mock('../../models/leadModel', () => ({
+  createLead: jest.fn()
+}));
+
+jest.mock('../../utils/leadScoring', () => ({
+  rescoreLead: jest.fn()
+}));
+
+jest.mock('../../utils/nurtureSequences', () => ({
+  enrollByTrigger: jest.fn(),
+  recordReply: jest.fn()
+}));
+
+const membershipPlanModel = require('../../models/membershipPlanModel');
+const leadModel = require('../../models/leadModel');
+const billing = require('../../utils/billing');
+const membershipPlanRoutes = require('../../routes/membershipPlanRoutes');
+const leadRoutes = require('../../routes/leadRoutes');
+
+describe('Membership Plan API', () => {
+  let app;
+  let plans;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/membership-plans', membershipPlanRoutes);
+    app.use('/leads', leadRoutes);
+    jest.clearAllMocks();
+    billing.providers.local.reset();
+    mockUser.role = 'admin';
+
+    plans = [{
+      id: uuidv4(),
+      organization_id: mockTenant.organizationId,
+      name: 'Basic',
+      monthly_price: 49,
+      billing_interval: 'month',
+      trial_days: 0,
+      enrollment_fee: 99,
+      is_active: true,
+      stripe_product_id: 'prod_basic',
+      stripe_price_id: 'price_basic',
+      stripe_enrollment_price_id: 'price_basic_enrollment'
+    }];
+
+    // Only the tenant's own plans are found
+    const inScope = (plan, scope) => !scope || plan.organization_id === scope.organizationId;
+    membershipPlanModel.getPlans.mockImplementation(async (options, scope) => plans.filter(plan => inScope(plan, scope)));
+    membershipPlanModel.getPlanById.mockImplementation(async (id, scope) => (
+      plans.find(plan => plan.id === id && inScope(plan, scope)) || null
+    ));
+    membershipPlanModel.getPlanByName.mockImplementation(async (name, scope) => (
+      plans.find(plan => plan.name.toLowerCase() === name.toLowerCase() && inScope(plan, scope)) || null
+    ));
+    membershipPlanModel.createPlan.mockImplementation(async plan => ({ id: uuidv4(), ...plan }));
+    membershipPlanModel.updatePlan.mockImplementation(async (id, changes) => ({
+      ...plans.find(plan => plan.id === id),
+      ...changes
+    }));
+    leadModel.createLead.mockImplementation(async (person, lead) => ({ id: uuidv4(), ...person, lead_extensions: [lead] }));
+  });
+
+  describe('GET /api/membership-plans', () => {
+    it('should list plans with their computed prices', async () => {
+      mockUser.role = 'salesperson';
+
+      const res = await request(app).get('/membership-plans?includeInactive=true');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data[0]).toMatchObject({ name: 'Basic', interval_price: 49, estimated_value: 687 });
+      expect(membershipPlanModel.getPlans).toHaveBeenCalledWith({ includeInactive: false }, mockTenant);
+    });
+  });
+
+  describe('POST /api/membership-plans', () => {
+    it('should create the plan with its Stripe product and prices', async () => {
+      const res = await request(app)
+        .post('/membership-plans')
+        .send({ name: ' Premium ', monthly_price: '129', billing_interval: 'year', trial_days: 14 });
+
+      expect(res.status).toBe(201);
+      expect(membershipPlanModel.createPlan).toHaveBeenCalledWith({
+        name: 'Premium',
+        monthly_price: 129,
+        billing_interval: 'year',
+        trial_days: 14,
+        enrollment_fee: 0,
+        is_active: true,
+        stripe_product_id: 'prod_local_1',
+        stripe_price_id: 'price_local_1',
+        stripe_enrollment_price_id: null,
+        organization_id: mockTenant.organizationId,
+        created_by: mockUser.id
+      });
+      expect(billing.providers.local.prices[0]).toMatchObject({
+        unitAmount: 154800,
+        recurring: { interval: 'year', interval_count: 1 }
+      });
+    });
+
+    it('should reject an invalid plan', async () => {
+      const res = await request(app)
+        .post('/membership-plans')
+        .send({ name: 'Weekend', monthly_price: -5, billing_interval: 'week' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([
+        'Monthly price must be a number of 0 or more',
+        'Billing interval must be one of: month, quarter, year'
+      ]);
+      expect(billing.providers.local.products).toHaveLength(0);
+    });
+
+    it('should reject a name already in the catalog', async () => {
+      const res = await request(app)
+        .post('/membership-plans')
+        .send({ name: 'basic', monthly_price: 59 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('A plan named Basic already exists');
+    });
+
+    it('should only let admins manage the catalog', async () => {
+      mockUser.role = 'salesperson';
+
+      const res = await request(app)
+        .post('/membership-plans')
+        .send({ name: 'Premium', monthly_price: 129 });
+
+      expect(res.status).toBe(403);
+      expect(membershipPlanModel.createPlan).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PATCH /api/membership-plans/:id', () => {
+    it('should replace the Stripe price when the price changes', async () => {
+      billing.providers.local.products.push({ id: 'prod_basic', name: 'Basic', active: true });
+
+      const res = await request(app)
+        .patch(`/membership-plans/${plans[0].id}`)
+        .send({ monthly_price: 59 });
+
+      expect(res.status).toBe(200);
+      expect(membershipPlanModel.updatePlan).toHaveBeenCalledWith(plans[0].id, {
+        monthly_price: 59,
+        stripe_price_id: 'price_local_1'
+      }, mockTenant);
+      expect(res.body.data).toMatchObject({ monthly_price: 59, estimated_value: 807 });
+    });
+
+    it('should return 404 for an unknown plan', async () => {
+      const res = await request(app)
+        .patch(`/membership-plans/${uuidv4()}`)
+        .send({ monthly_price: 59 });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should return 404 for another organization\'s plan', async () => {
+      plans[0].organization_id = uuidv4();
+
+      const res = await request(app)
+        .patch(`/membership-plans/${plans[0].id}`)
+        .send({ is_active: false });
+
+      expect(res.status).toBe(404);
+      expect(membershipPlanModel.updatePlan).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/membership-plans/:id', () => {
+    it('should stop offering the plan and archive its product', async () => {
+      billing.providers.local.products.push({ id: 'prod_basic', name: 'Basic', active: true });
+
+      const res = await request(app).delete(`/membership-plans/${plans[0].id}`);
+
+      expect(res.status).toBe(200);
+      expect(membershipPlanModel.updatePlan).toHaveBeenCalledWith(plans[0].id, { is_active: false }, mockTenant);
+      expect(billing.providers.local.products[0].active).toBe(false);
+    });
+  });
+
+  describe('POST /api/leads with a preferred plan', () => {
+    it('should record the plan and value the lead at its price', async () => {
+      const res = await request(app)
+        .post('/leads')
+        .send({ first_name: 'Sam', last_name: 'Lee', preferred_membership_plan_id: plans[0].id });
+
+      expect(res.status).toBe(201);
+      expect(leadModel.createLead).toHaveBeenCalledWith(
+        expect.objectContaining({ preferred_membership_plan_id: plans[0].id, preferred_membership: 'Basic' }),
+        expect.objectContaining({ estimated_value: 687 }),
+        mockTenant
+      );
+    });
+
+    it('should keep an estimated value that was given', async () => {
+      await request(app)
+        .post('/leads')
+        .send({ first_name: 'Sam', last_name: 'Lee', preferred_membership: 'basic', estimated_value: 500 });
+
+      expect(leadModel.createLead).toHaveBeenCalledWith(
+        expect.objectContaining({ preferred_membership_plan_id: plans[0].id }),
+        expect.objectContaining({ estimated_value: 500 }),
+        mockTenant
+      );
+    });
+
+    it('should reject an unknown plan', async () => {
+      const res = await request(app)
+        .post('/leads')
+        .send({ first_name: 'Sam', last_name: 'Lee', preferred_membership: 'Diamond' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Unknown membership plan: Diamond');
+      expect(leadModel.createLead).not.toHaveBeenCalled();
+    });
+
+    it('should reject another organization\'s plan', async () => {
+      plans[0].organization_id = uuidv4();
+
+      const res = await request(app)
+        .post('/leads')
+        .send({ first_name: 'Sam', last_name: 'Lee', preferred_membership_plan_id: plans[0].id });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Membership plan not found');
+      expect(leadModel.createLead).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * Nurture Sequences API Tests
+ * Tests for defining nurture sequences, enrolling people and reading stats
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+const mockUser = { id: uuidv4(), role: 'admin' };
+const mockTenant = { organizationId: uuidv4(), locationId: null, locationIds: [] };
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { ...mockUser };
+    req.tenant = mockTenant;
+    next();
+  },
+  restrictTo: (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ status: 'error', message: 'You do not have permission to perform this action' });
+    }
+    next();
+  }
+}));
+
+jest.mock('../../models/nurtureModel', () => ({
+  getSequences: jest.fn(),
+  getSequenceById: jest.fn(),
+  createSequence: jest.fn(),
+  updateSequence: jest.fn(),
+  deleteSequence: jest.fn(),
+  saveSteps: jest.fn(),
+  getEnrollments: jest.fn(),
+  getEnrollmentById: jest.fn(),
+  createEnrollment: jest.fn(),
+  endEnrollment: jest.fn(),
+  getEnrollmentOutcomes: jest.fn(),
+  getDeliveries: jest.fn(),
+  getPersonState: jest.fn(),
+  updateReferralNurture: jest.fn()
+}));
+
+const nurtureModel = require('../../models/nurtureModel');
+const nurtureRoutes = require('../../routes/nurtureRoutes');
+
+describe('Nurture Sequences API', () => {
+  let app;
+  let sequence;
+  let lead;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockUser.role = 'admin';
+
+    app = express();
+    app.use(express.json());
+    app.use('/nurture-sequences', nurtureRoutes);
+    // Same shape as the server's error handler
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+    });
+
+    sequence = {
+      id: uuidv4(),
+      organization_id: mockTenant.organizationId,
+      location_id: null,
+      name: 'New lead follow-up',
+      audience: 'lead',
+      trigger: 'lead_created',
+      trigger_status: null,
+      exit_conditions: ['replied', 'opted_out'],
+      is_active: true,
+      steps: [
+        { id: uuidv4(), position: 1, delay_minutes: 1440, channel: 'email', subject: 'Hello', template: 'Hi {{first_name}}' },
+        { id: uuidv4(), position: 0, delay_minutes: 0, channel: 'sms', subject: null, template: 'Hi {{first_name}}' }
+      ]
+    };
+
+    lead = {
+      id: uuidv4(),
+      organization_id: mockTenant.organizationId,
+      location_id: null,
+      first_name: 'Sam',
+      is_lead: true,
+      is_referral: false,
+      is_member: false,
+      lead_extensions: [{ lead_status: 'new' }],
+      referral_extensions: []
+    };
+
+    nurtureModel.getSequences.mockResolvedValue([sequence]);
+    nurtureModel.getSequenceById.mockResolvedValue(sequence);
+    nurtureModel.createSequence.mockImplementation(async data => ({ id: uuidv4(), ...data }));
+    nurtureModel.updateSequence.mockImplementation(async (id, changes) => ({ ...sequence, ...changes }));
+    nurtureModel.saveSteps.mockImplementation(async (id, steps) => steps.map((step, position) => ({ id: uuidv4(), position, ...step })));
+    nurtureModel.getPersonState.mockResolvedValue(lead);
+    nurtureModel.createEnrollment.mockImplementation(async data => ({ id: uuidv4(), ...data }));
+  });
+
+  describe('GET /nurture-sequences', () => {
+    it('should list sequences with their steps in order', async () => {
+      const res = await request(app).get('/nurture-sequences');
+
+      expect(res.status).toBe(200);
+      expect(res.body.results).toBe(1);
+      expect(res.body.data[0].steps.map(step => step.position)).toEqual([0, 1]);
+      expect(nurtureModel.getSequences).toHaveBeenCalledWith(mockTenant);
+    });
+  });
+
+  describe('POST /nurture-sequences', () => {
+    const body = {
+      name: 'Referral welcome',
+      audience: 'referral',
+      trigger: 'referral_created',
+      steps: [
+        { delay_minutes: 0, channel: 'sms', template: 'Hi {{first_name}}!' },
+        { delay_minutes: 2880, channel: 'email', subject: 'Your free session', template: 'Hi {{first_name}}' }
+      ]
+    };
+
+    it('should create a sequence and its steps for the admin\'s organization', async () => {
+      const res = await request(app).post('/nurture-sequences').send(body);
+
+      expect(res.status).toBe(201);
+      expect(nurtureModel.createSequence).toHaveBeenCalledWith(expect.objectContaining({
+        organization_id: mockTenant.organizationId,
+        name: 'Referral welcome',
+        audience: 'referral',
+        trigger: 'referral_created',
+        exit_conditions: ['replied', 'appointment_booked', 'converted', 'opted_out'],
+        is_active: true,
+        created_by: mockUser.id
+      }));
+      expect(res.body.data.steps).toHaveLength(2);
+    });
+
+    it('should reject an invalid step', async () => {
+      const res = await request(app).post('/nurture-sequences').send({
+        ...body,
+        steps: [{ delay_minutes: 0, channel: 'email', template: 'No subject' }]
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Step 1: emails need a subject');
+      expect(nurtureModel.createSequence).not.toHaveBeenCalled();
+    });
+
+    it('should only let admins define sequences', async () => {
+      mockUser.role = 'salesperson';
+
+      const res = await request(app).post('/nurture-sequences').send(body);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('GET /nurture-sequences/:id', () => {
+    it('should return the sequence with its stats', async () => {
+      nurtureModel.getEnrollmentOutcomes.mockResolvedValue([{ id: uuidv4(), status: 'active', exit_reason: null }]);
+      nurtureModel.getDeliveries.mockResolvedValue([
+        { id: uuidv4(), position: 0, channel: 'sms', status: 'sent', responded_at: '2030-01-01T10:00:00.000Z', message: { status: 'delivered' } }
+      ]);
+
+      const res = await request(app).get(`/nurture-sequences/${sequence.id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.stats.enrollments.active).toBe(1);
+      expect(res.body.data.stats.steps[0]).toMatchObject({ sent: 1, delivered: 1, responded: 1, response_rate: 100 });
+    });
+
+    it('should return 404 for a sequence outside the tenant', async () => {
+      nurtureModel.getSequenceById.mockResolvedValue(null);
+
+      const res = await request(app).get(`/nurture-sequences/${sequence.id}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /nurture-sequences/:id', () => {
+    it('should pause a sequence without touching its steps', async () => {
+      const res = await request(app).patch(`/nurture-sequences/${sequence.id}`).send({ is_active: false });
+
+      expect(res.status).toBe(200);
+      expect(nurtureModel.updateSequence).toHaveBeenCalledWith(sequence.id, { is_active: false }, mockTenant);
+      expect(nurtureModel.saveSteps).not.toHaveBeenCalled();
+      expect(res.body.data.is_active).toBe(false);
+    });
+  });
+
+  describe('DELETE /nurture-sequences/:id', () => {
+    it('should delete a sequence', async () => {
+      nurtureModel.deleteSequence.mockResolvedValue(sequence);
+
+      const res = await request(app).delete(`/nurture-sequences/${sequence.id}`);
+
+      expect(res.status).toBe(204);
+      expect(nurtureModel.deleteSequence).toHaveBeenCalledWith(sequence.id, mockTenant);
+    });
+  });
+
+  describe('enrollments', () => {
+    it('should let a salesperson enroll leads and report who was skipped', async () => {
+      mockUser.role = 'salesperson';
+      const member = { ...lead, id: uuidv4(), is_lead: false, is_member: true };
+      nurtureModel.getPersonState.mockImplementation(async id => (id === member.id ? member : lead));
+
+      const res = await request(app)
+        .post(`/nurture-sequences/${sequence.id}/enrollments`)
+        .send({ person_ids: [lead.id, member.id] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.enrolled).toEqual([expect.objectContaining({ person_id: lead.id, enrolled_via: 'manual', enrolled_by: mockUser.id })]);
+      expect(res.body.data.skipped).toEqual([{ person_id: member.id, reason: 'not_a_lead' }]);
+    });
+
+    it('should require a list of people', async () => {
+      const res = await request(app).post(`/nurture-sequences/${sequence.id}/enrollments`).send({});
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should list a person\'s enrollments across sequences', async () => {
+      nurtureModel.getEnrollments.mockResolvedValue({ enrollments: [{ id: uuidv4() }], total: 1 });
+
+      const res = await request(app).get(`/nurture-sequences/enrollments?person_id=${lead.id}&status=active`);
+
+      expect(res.status).toBe(200);
+      expect(nurtureModel.getEnrollments).toHaveBeenCalledWith(
+        { sequenceId: undefined, personId: lead.id, status: 'active' },
+        { page: 0, pageSize: 20 },
+        mockTenant
+      );
+    });
+
+    it('should take a person out of a sequence', async () => {
+      const enrollment = { id: uuidv4(), sequence_id: sequence.id, person_id: lead.id, status: 'active' };
+      nurtureModel.getEnrollmentById.mockResolvedValue(enrollment);
+      nurtureModel.endEnrollment.mockImplementation(async (id, changes) => ({ ...enrollment, ...changes }));
+
+      const res = await request(app).delete(`/nurture-sequences/${sequence.id}/enrollments/${enrollment.id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('cancelled');
+    });
+
+    it('should return 404 for an enrollment in another sequence', async () => {
+      nurtureModel.getEnrollmentById.mockResolvedValue({ id: uuidv4(), sequence_id: uuidv4() });
+
+      const res = await request(app).delete(`/nurture-sequences/${sequence.id}/enrollments/${uuidv4()}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
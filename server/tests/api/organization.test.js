@@ -0,0 +1,468 @@
+/**
+ * Organization API Tests
+ * Tests for the ORCA billing page endpoints and for the plan limits enforced
+ * on sign-up, text blasts, SMS and referral links
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+process.env.BILLING_PROVIDER = 'local';
+
+// External SDKs loaded by the controllers
+jest.mock('telnyx', () => jest.fn(() => ({ messages: { create: jest.fn() } })), { virtual: true });
+jest.mock('firebase-admin', () => ({}), { virtual: true });
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+const mockUser = { id: uuidv4(), role: 'admin', email: 'owner@harbor.example', organization_id: null };
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { ...mockUser };
+    next();
+  },
+  restrictTo: (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ status: 'error', message: 'You do not have permission to perform this action' });
+    }
+    next();
+  }
+}));
+
+jest.mock('../../config/supabase', () => ({
+  auth: { signUp: jest.fn() }
+}));
+
+jest.mock('../../models/organizationModel', () => ({
+  getOrganizationById: jest.fn(),
+  createOrganization: jest.fn(),
+  updateOrganization: jest.fn(),
+  getUserIds: jest.fn(),
+  countSMSSent: jest.fn(),
+  countReferralLinks: jest.fn(),
+  createInvitation: jest.fn(),
+  getPendingInvitations: jest.fn(),
+  getInvitationByTokenHash: jest.fn(),
+  claimInvitation: jest.fn(),
+  updateInvitation: jest.fn(),
+  deleteInvitation: jest.fn()
+}));
+
+jest.mock('../../models/locationModel', () => ({
+  createLocation: jest.fn()
+}));
+
+jest.mock('../../models/userModel', () => ({
+  createUser: jest.fn()
+}));
+
+jest.mock('../../models/personModel', () => ({
+  getPersonById: jest.fn()
+}));
+
+jest.mock('../../models/messageModel', () => ({
+  createMessage: jest.fn(),
+  createTextBlast: jest.fn(),
+  getMessagesByBlastId: jest.fn(),
+  updateTextBlastStatus: jest.fn()
+}));
+
+jest.mock('../../models/interactionModel', () => ({
+  createInteraction: jest.fn()
+}));
+
+jest.mock('../../models/referralModel', () => ({
+  createReferralLink: jest.fn()
+}));
+
+jest.mock('../../models/leadModel', () => ({
+  getLeadsForScoring: jest.fn()
+}));
+
+const supabase = require('../../config/supabase');
+const organizationModel = require('../../models/organizationModel');
+const locationModel = require('../../models/locationModel');
+const userModel = require('../../models/userModel');
+const personModel = require('../../models/personModel');
+const messageModel = require('../../models/messageModel');
+const referralModel = require('../../models/referralModel');
+const billing = require('../../utils/billing');
+const subscriptionTiers = require('../../utils/subscriptionTiers');
+const organizationInvitations = require('../../utils/organizationInvitations');
+const organizationRoutes = require('../../routes/organizationRoutes');
+const authRoutes = require('../../routes/authRoutes');
+const messagingRoutes = require('../../routes/messagingRoutes');
+const referralRoutes = require('../../routes/referralRoutes');
+
+describe('Organization API', () => {
+  let app;
+  let organization;
+
+  // Give the organization a number of users, SMS sent this month and referral links
+  const setUsage = ({ seats = 1, sms = 0, links = 0 } = {}) => {
+    organizationModel.getUserIds.mockResolvedValue(Array.from({ length: seats }, () => uuidv4()));
+    organizationModel.countSMSSent.mockResolvedValue(sms);
+    organizationModel.countReferralLinks.mockResolvedValue(links);
+  };
+
+  // Issue an invitation to the organization, returning its token
+  const invite = (changes = {}) => {
+    const token = `invite-${uuidv4()}`;
+    const invitation = {
+      id: uuidv4(),
+      organization_id: organization.id,
+      email: null,
+      role: 'salesperson',
+      expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+      accepted_at: null,
+      ...changes
+    };
+    organizationModel.getInvitationByTokenHash.mockImplementation(async hash => (
+      hash === organizationInvitations.hashToken(token) ? invitation : null
+    ));
+    organizationModel.claimInvitation.mockImplementation(async id => (
+      id === invitation.id ? { ...invitation, accepted_at: new Date().toISOString() } : null
+    ));
+    return token;
+  };
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/organization', organizationRoutes);
+    app.use('/auth', authRoutes);
+    app.use('/messaging', messagingRoutes);
+    app.use('/referrals', referralRoutes);
+    app.use((err, req, res, next) => res.status(err.statusCode || 500).json({ status: 'error', message: err.message }));
+    jest.clearAllMocks();
+    billing.providers.local.reset();
+    subscriptionTiers.config.prices.growth = 'price_orca_growth';
+
+    organization = { id: uuidv4(), name: 'Harbor Fitness', plan_tier: 'starter', subscription_status: null };
+    mockUser.role = 'admin';
+    mockUser.organization_id = organization.id;
+
+    organizationModel.getOrganizationById.mockImplementation(async id => (id === organization.id ? organization : null));
+    organizationModel.createOrganization.mockImplementation(async data => ({ id: uuidv4(), plan_tier: 'starter', ...data }));
+    organizationModel.updateOrganization.mockImplementation(async (id, data) => ({ ...organization, ...data }));
+    userModel.createUser.mockImplementation(async user => user);
+    organizationModel.createInvitation.mockImplementation(async ({ token_hash, ...data }) => ({ id: uuidv4(), ...data }));
+    organizationModel.updateInvitation.mockImplementation(async (id, data) => ({ id, ...data }));
+    supabase.auth.signUp.mockResolvedValue({ data: { user: { id: uuidv4() }, session: null }, error: null });
+    setUsage();
+  });
+
+  describe('GET /api/organization', () => {
+    it('should return the tier with usage against each limit', async () => {
+      setUsage({ seats: 2, sms: 40, links: 3 });
+
+      const res = await request(app).get('/organization');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.tier.key).toBe('starter');
+      expect(res.body.data.limits).toContainEqual({ key: 'seats', label: 'Seats', allowed: 3, used: 2 });
+    });
+
+    it('should return 404 for a user without an organization', async () => {
+      mockUser.organization_id = null;
+
+      const res = await request(app).get('/organization');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/organization', () => {
+    it('should set the default referral attribution model', async () => {
+      const res = await request(app).patch('/organization').send({ attribution_model: 'equal_split', plan_tier: 'scale' });
+
+      expect(res.status).toBe(200);
+      expect(organizationModel.updateOrganization).toHaveBeenCalledWith(organization.id, { attribution_model: 'equal_split' });
+      expect(res.body.data.attribution_model).toBe('equal_split');
+    });
+
+    it('should set the lead scoring weights', async () => {
+      const res = await request(app).patch('/organization').send({ lead_scoring_weights: { response_rate: 40, source: 0 } });
+
+      expect(res.status).toBe(200);
+      expect(organizationModel.updateOrganization).toHaveBeenCalledWith(organization.id, {
+        lead_scoring_weights: { response_rate: 40, source: 0 }
+      });
+    });
+
+    it('should reject weights for an unknown signal', async () => {
+      const res = await request(app).patch('/organization').send({ lead_scoring_weights: { shoe_size: 10 } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/Unknown lead scoring signal "shoe_size"/);
+      expect(organizationModel.updateOrganization).not.toHaveBeenCalled();
+    });
+
+    it('should require a setting to change', async () => {
+      const res = await request(app).patch('/organization').send({ plan_tier: 'scale' });
+
+      expect(res.status).toBe(400);
+      expect(organizationModel.updateOrganization).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown attribution model', async () => {
+      const res = await request(app).patch('/organization').send({ attribution_model: 'linear' });
+
+      expect(res.status).toBe(400);
+      expect(organizationModel.updateOrganization).not.toHaveBeenCalled();
+    });
+
+    it('should only let admins change the settings', async () => {
+      mockUser.role = 'salesperson';
+
+      const res = await request(app).patch('/organization').send({ attribution_model: 'last_touch' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/organization/subscription', () => {
+    it('should subscribe the organization to a paid tier', async () => {
+      const res = await request(app).post('/organization/subscription').send({ tier: 'growth' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.organization.plan_tier).toBe('growth');
+      expect(billing.providers.local.customers[0].email).toBe(mockUser.email);
+    });
+
+    it('should require a tier', async () => {
+      const res = await request(app).post('/organization/subscription').send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('tier is required');
+    });
+
+    it('should only let admins change the subscription', async () => {
+      mockUser.role = 'salesperson';
+
+      const res = await request(app).post('/organization/subscription').send({ tier: 'growth' });
+
+      expect(res.status).toBe(403);
+      expect(billing.providers.local.subscriptions).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/auth/register', () => {
+    const newUser = { email: 'coach@harbor.example', password: 'secret123', first_name: 'Sam', last_name: 'Lee' };
+
+    it('should add an invited user to the organization with the invitation\'s role', async () => {
+      setUsage({ seats: 2 });
+      const token = invite();
+
+      const res = await request(app).post('/auth/register').send({ ...newUser, invitationToken: token });
+
+      expect(res.status).toBe(201);
+      expect(userModel.createUser).toHaveBeenCalledWith(expect.objectContaining({
+        organization_id: organization.id,
+        role: 'salesperson'
+      }));
+      expect(organizationModel.createOrganization).not.toHaveBeenCalled();
+      expect(organizationModel.updateInvitation).toHaveBeenCalledWith(expect.any(String), { accepted_by: expect.any(String) });
+    });
+
+    it('should give an invited admin the admin role', async () => {
+      const token = invite({ role: 'admin' });
+
+      const res = await request(app).post('/auth/register').send({ ...newUser, invitationToken: token });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.user).toMatchObject({ role: 'admin', organization_id: organization.id });
+    });
+
+    it('should never take the role from the request', async () => {
+      const token = invite();
+
+      const res = await request(app).post('/auth/register').send({ ...newUser, invitationToken: token, role: 'admin' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.user.role).toBe('salesperson');
+    });
+
+    it('should refuse to join an organization without an invitation', async () => {
+      const res = await request(app).post('/auth/register').send({ ...newUser, organizationId: organization.id, role: 'admin' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('An invitation is required to join an organization');
+      expect(supabase.auth.signUp).not.toHaveBeenCalled();
+      expect(userModel.createUser).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an unknown, used or expired invitation', async () => {
+      const used = invite({ accepted_at: new Date().toISOString() });
+      let res = await request(app).post('/auth/register').send({ ...newUser, invitationToken: used });
+      expect(res.status).toBe(400);
+
+      const expired = invite({ expires_at: new Date(Date.now() - 1000).toISOString() });
+      res = await request(app).post('/auth/register').send({ ...newUser, invitationToken: expired });
+      expect(res.status).toBe(400);
+
+      res = await request(app).post('/auth/register').send({ ...newUser, invitationToken: 'made-up' });
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('This invitation is invalid, has been used or has expired');
+      expect(supabase.auth.signUp).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an invitation for another email address', async () => {
+      const token = invite({ email: 'someone.else@harbor.example' });
+
+      const res = await request(app).post('/auth/register').send({ ...newUser, invitationToken: token });
+
+      expect(res.status).toBe(403);
+      expect(supabase.auth.signUp).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an invitation another registration used first', async () => {
+      const token = invite();
+      organizationModel.claimInvitation.mockResolvedValue(null);
+
+      const res = await request(app).post('/auth/register').send({ ...newUser, invitationToken: token });
+
+      expect(res.status).toBe(400);
+      expect(supabase.auth.signUp).not.toHaveBeenCalled();
+    });
+
+    it('should release the invitation when the account can\'t be created', async () => {
+      const token = invite();
+      supabase.auth.signUp.mockResolvedValue({ data: null, error: { message: 'User already registered' } });
+
+      const res = await request(app).post('/auth/register').send({ ...newUser, invitationToken: token });
+
+      expect(res.status).toBe(400);
+      expect(organizationModel.updateInvitation).toHaveBeenCalledWith(expect.any(String), { accepted_at: null, accepted_by: null });
+    });
+
+    it('should release the invitation when the user can\'t be saved', async () => {
+      const token = invite();
+      userModel.createUser.mockRejectedValue(new Error('Database unavailable'));
+
+      const res = await request(app).post('/auth/register').send({ ...newUser, invitationToken: token });
+
+      expect(res.status).toBe(500);
+      expect(organizationModel.updateInvitation).toHaveBeenCalledTimes(1);
+      expect(organizationModel.updateInvitation).toHaveBeenCalledWith(expect.any(String), { accepted_at: null, accepted_by: null });
+    });
+
+    it('should refuse a seat over the plan limit before creating the account', async () => {
+      setUsage({ seats: 3 });
+      const token = invite();
+
+      const res = await request(app).post('/auth/register').send({ ...newUser, invitationToken: token });
+
+      expect(res.status).toBe(402);
+      expect(res.body.message).toMatch(/Upgrade to Growth for 10 seats\.$/);
+      expect(res.body.limit).toMatchObject({ limit: 'seats', upgrade_tier: 'growth' });
+      expect(organizationModel.claimInvitation).not.toHaveBeenCalled();
+      expect(supabase.auth.signUp).not.toHaveBeenCalled();
+    });
+
+    it('should create an organization for a new account and make its creator the admin', async () => {
+      const res = await request(app).post('/auth/register').send({ ...newUser, organizationName: 'Lee Athletics' });
+
+      expect(res.status).toBe(201);
+      expect(organizationModel.createOrganization).toHaveBeenCalledWith({ name: 'Lee Athletics' });
+      expect(locationModel.createLocation).toHaveBeenCalledWith({
+        organization_id: expect.any(String),
+        name: 'Main'
+      });
+      expect(res.body.data.user).toMatchObject({ role: 'admin', organization_id: expect.any(String) });
+    });
+  });
+
+  describe('invitations', () => {
+    it('should let an admin invite someone and return the token once', async () => {
+      const res = await request(app).post('/organization/invitations').send({ email: 'Coach@Harbor.example', role: 'admin' });
+
+      expect(res.status).toBe(201);
+      expect(organizationModel.createInvitation).toHaveBeenCalledWith(expect.objectContaining({
+        organization_id: organization.id,
+        email: 'coach@harbor.example',
+        role: 'admin',
+        invited_by: mockUser.id
+      }));
+      const { token_hash: tokenHash } = organizationModel.createInvitation.mock.calls[0][0];
+      expect(tokenHash).toBe(organizationInvitations.hashToken(res.body.data.token));
+      expect(res.body.data.token_hash).toBeUndefined();
+    });
+
+    it('should reject an unknown role', async () => {
+      const res = await request(app).post('/organization/invitations').send({ role: 'owner' });
+
+      expect(res.status).toBe(400);
+      expect(organizationModel.createInvitation).not.toHaveBeenCalled();
+    });
+
+    it('should only let admins invite people', async () => {
+      mockUser.role = 'salesperson';
+
+      const res = await request(app).post('/organization/invitations').send({});
+
+      expect(res.status).toBe(403);
+      expect(organizationModel.createInvitation).not.toHaveBeenCalled();
+    });
+
+    it('should list and withdraw the organization\'s invitations', async () => {
+      organizationModel.getPendingInvitations.mockResolvedValue([{ id: uuidv4() }]);
+      organizationModel.deleteInvitation.mockResolvedValue(null);
+
+      let res = await request(app).get('/organization/invitations');
+      expect(res.status).toBe(200);
+      expect(organizationModel.getPendingInvitations).toHaveBeenCalledWith(organization.id);
+
+      const id = uuidv4();
+      res = await request(app).delete(`/organization/invitations/${id}`);
+      expect(res.status).toBe(404);
+      expect(organizationModel.deleteInvitation).toHaveBeenCalledWith(id, organization.id);
+    });
+  });
+
+  describe('plan limits', () => {
+    const recipients = Array.from({ length: 260 }, (_, i) => ({
+      id: uuidv4(),
+      first_name: 'Member',
+      last_name: String(i),
+      phone: `+1555000${String(i).padStart(4, '0')}`
+    }));
+
+    beforeEach(() => {
+      personModel.getPersonById.mockImplementation(async id => recipients.find(r => r.id === id) || null);
+    });
+
+    it('should refuse a text blast larger than the plan allows', async () => {
+      const res = await request(app)
+        .post('/messaging/blast')
+        .send({ recipientIds: recipients.map(r => r.id), content: 'Open gym Saturday' });
+
+      expect(res.status).toBe(402);
+      expect(res.body.limit).toMatchObject({ limit: 'blast_size', allowed: 250, requested: 260 });
+      expect(messageModel.createTextBlast).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a text blast that would go over the monthly SMS limit', async () => {
+      setUsage({ sms: 990 });
+
+      const res = await request(app)
+        .post('/messaging/blast')
+        .send({ recipientIds: recipients.slice(0, 20).map(r => r.id), content: 'Open gym Saturday' });
+
+      expect(res.status).toBe(402);
+      expect(res.body.limit).toMatchObject({ limit: 'monthly_sms', used: 990, requested: 20 });
+    });
+
+    it('should refuse a referral link over the plan limit', async () => {
+      setUsage({ links: 100 });
+      personModel.getPersonById.mockResolvedValue({ id: uuidv4(), first_name: 'Jane', last_name: 'Member', is_member: true });
+
+      const res = await request(app).post('/referrals/links').send({ memberId: uuidv4() });
+
+      expect(res.status).toBe(402);
+      expect(res.body.message).toMatch(/Upgrade to Growth for 1,000 referral links\.$/);
+      expect(referralModel.createReferralLink).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Public Referral API Tests
+ * Tests for the unauthenticated referral landing page endpoints
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+// Limit kept low so the rate limiting test stays small
+process.env.PUBLIC_REFERRAL_RATE_LIMIT = '3';
+
+// External SDKs loaded by the referral controller
+jest.mock('firebase-admin', () => ({}), { virtual: true });
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+// Public routes must never reach the auth middleware
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res) => res.status(401).json({ status: 'error', message: 'Not authorized to access this route' }),
+  restrictTo: () => (req, res, next) => next()
+}));
+
+jest.mock('../../models/referralModel', () => ({
+  getReferralLinkByCode: jest.fn(),
+  createReferral: jest.fn()
+}));
+
+jest.mock('../../models/personModel', () => ({
+  getPersonById: jest.fn()
+}));
+
+jest.mock('../../models/messageModel', () => ({
+  createMessage: jest.fn()
+}));
+
+jest.mock('../../config/telnyx', () => ({
+  sendSMS: jest.fn()
+}));
+
+jest.mock('../../utils/nurtureSequences', () => ({
+  enrollByTrigger: jest.fn()
+}));
+
+const referralModel = require('../../models/referralModel');
+const nurtureSequences = require('../../utils/nurtureSequences');
+const referralRoutes = require('../../routes/referralRoutes');
+
+const makeLink = (overrides = {}) => ({
+  id: uuidv4(),
+  short_code: 'abc12345',
+  referrer_id: uuidv4(),
+  created_by: uuidv4(),
+  campaign: 'spring',
+  utm_params: { utm_source: 'sms', utm_campaign: 'spring' },
+  is_active: true,
+  referrer: { id: uuidv4(), first_name: 'Jane', last_name: 'Member', email: 'jane@example.com', phone: '5555550100' },
+  ...overrides
+});
+
+const validSubmission = {
+  first_name: 'Sam',
+  last_name: 'Friend',
+  email: 'Sam@Example.com ',
+  phone: '(555) 555-0111',
+  goals: 'Get stronger'
+};
+
+describe('Public Referral API', () => {
+  let app;
+  let clientIp = 0;
+
+  // Each test submits from its own address so the rate limit does not carry over
+  const fromNewClient = (req) => req.set('X-Forwarded-For', `10.0.0.${++clientIp}`);
+
+  beforeEach(() => {
+    app = express();
+    app.set('trust proxy', true);
+    app.use(express.json());
+    app.use(referralRoutes);
+    jest.clearAllMocks();
+  });
+
+  describe('GET /public/:code', () => {
+    it('should share only the referrer first name', async () => {
+      referralModel.getReferralLinkByCode.mockResolvedValue(makeLink());
+
+      const response = await request(app).get('/public/abc12345');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.referrer).toEqual({ first_name: 'Jane' });
+      expect(JSON.stringify(response.body)).not.toContain('jane@example.com');
+    });
+
+    it('should return 404 for an inactive link', async () => {
+      referralModel.getReferralLinkByCode.mockResolvedValue(makeLink({ is_active: false }));
+
+      const response = await request(app).get('/public/abc12345');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /public/:code', () => {
+    it('should create the person, referral extension and relationship in one call', async () => {
+      const link = makeLink();
+      const referralId = uuidv4();
+      referralModel.getReferralLinkByCode.mockResolvedValue(link);
+      referralModel.createReferral.mockResolvedValue({ id: referralId });
+
+      const response = await fromNewClient(request(app).post('/public/abc12345')).send(validSubmission);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toEqual({ referral_id: referralId, referrer: { first_name: 'Jane' } });
+      expect(referralModel.createReferral).toHaveBeenCalledWith(
+        expect.objectContaining({
+          first_name: 'Sam',
+          email: 'sam@example.com',
+          goals: 'Get stronger',
+          is_referral: true,
+          acquisition_source: 'Referral',
+          acquisition_campaign: 'spring',
+          utm_parameters: link.utm_params,
+          assigned_to: link.created_by
+        }),
+        { referral_status: 'submitted' },
+        link.referrer_id,
+        expect.objectContaining({
+          referral_channel: 'referral_link',
+          referral_campaign: 'spring',
+          referral_link_id: link.id
+        })
+      );
+      expect(nurtureSequences.enrollByTrigger).toHaveBeenCalledWith('referral_created', referralId);
+    });
+
+    it('should reject a submission missing contact details', async () => {
+      const response = await fromNewClient(request(app).post('/public/abc12345'))
+        .send({ first_name: 'Sam', last_name: 'Friend', email: 'not-an-email' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual(expect.arrayContaining(['Invalid email format', 'Phone is required']));
+      expect(referralModel.createReferral).not.toHaveBeenCalled();
+    });
+
+    it('should reject a submission for an unknown link', async () => {
+      referralModel.getReferralLinkByCode.mockResolvedValue(null);
+
+      const response = await fromNewClient(request(app).post('/public/missing')).send(validSubmission);
+
+      expect(response.status).toBe(404);
+      expect(referralModel.createReferral).not.toHaveBeenCalled();
+    });
+
+    it('should rate limit repeated submissions from one client', async () => {
+      referralModel.getReferralLinkByCode.mockResolvedValue(makeLink());
+      referralModel.createReferral.mockResolvedValue({ id: uuidv4() });
+
+      const submit = () => request(app)
+        .post('/public/abc12345')
+        .set('X-Forwarded-For', '10.0.1.1')
+        .send(validSubmission);
+
+      for (let i = 0; i < 3; i++) {
+        expect((await submit()).status).toBe(201);
+      }
+
+      const limited = await submit();
+
+      expect(limited.status).toBe(429);
+      expect(limited.headers['retry-after']).toBeDefined();
+      expect(referralModel.createReferral).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  it('should still protect the rest of the referral routes', async () => {
+    const response = await request(app).get('/links');
+
+    expect(response.status).toBe(401);
+  });
+});
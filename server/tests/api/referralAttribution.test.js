@@ -0,0 +1,167 @@
+/**
+ * Referral Attribution API Tests
+ * Tests for viewing and changing how a referral's credit is split between its
+ * referrers
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+// External SDKs loaded by the referral controller
+jest.mock('firebase-admin', () => ({}), { virtual: true });
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+const mockUser = { id: uuidv4(), role: 'admin' };
+const mockTenant = { organizationId: uuidv4(), locationId: null, locationIds: [] };
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { ...mockUser };
+    req.tenant = mockTenant;
+    next();
+  },
+  restrictTo: (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ status: 'error', message: 'You do not have permission to perform this action' });
+    }
+    next();
+  }
+}));
+
+jest.mock('../../models/referralModel', () => ({
+  getReferralById: jest.fn(),
+  getReferrersForReferral: jest.fn(),
+  getConvertedReferralShares: jest.fn(),
+  updateReferral: jest.fn()
+}));
+
+jest.mock('../../models/relationshipModel', () => ({
+  updateRelationship: jest.fn()
+}));
+
+jest.mock('../../models/memberModel', () => ({
+  getMemberExtensionByPersonId: jest.fn(),
+  updateMemberExtension: jest.fn()
+}));
+
+jest.mock('../../models/organizationModel', () => ({
+  getOrganizationById: jest.fn()
+}));
+
+jest.mock('../../models/messageModel', () => ({}));
+jest.mock('../../models/userModel', () => ({}));
+jest.mock('../../config/telnyx', () => ({}));
+
+const referralModel = require('../../models/referralModel');
+const relationshipModel = require('../../models/relationshipModel');
+const organizationModel = require('../../models/organizationModel');
+const referralRoutes = require('../../routes/referralRoutes');
+
+describe('Referral Attribution API', () => {
+  let app;
+  let referral;
+  let relationships;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUser.role = 'admin';
+
+    app = express();
+    app.use(express.json());
+    app.use('/referrals', referralRoutes);
+    // Same shape as the server's error handler
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+    });
+
+    referral = {
+      id: uuidv4(),
+      organization_id: mockTenant.organizationId,
+      referral_extensions: [{ id: uuidv4(), conversion_status: 'pending', attribution_model: null }]
+    };
+    relationships = [
+      {
+        id: uuidv4(),
+        person_a_id: uuidv4(),
+        referral_date: '2026-02-01T00:00:00Z',
+        attribution_percentage: 100,
+        is_primary_referrer: true,
+        referrer: { first_name: 'Alice', last_name: 'Ng' }
+      },
+      {
+        id: uuidv4(),
+        person_a_id: uuidv4(),
+        referral_date: '2026-03-01T00:00:00Z',
+        attribution_percentage: 0,
+        is_primary_referrer: false,
+        referrer: { first_name: 'Bob', last_name: 'Ortiz' }
+      }
+    ];
+
+    referralModel.getReferralById.mockImplementation(async id => (id === referral.id ? referral : null));
+    referralModel.getReferrersForReferral.mockImplementation(async () => relationships.map(rel => ({ ...rel })));
+    referralModel.getConvertedReferralShares.mockResolvedValue([]);
+    referralModel.updateReferral.mockResolvedValue({});
+    relationshipModel.updateRelationship.mockImplementation(async (id, data) => {
+      const relationship = relationships.find(rel => rel.id === id);
+      Object.assign(relationship, data);
+      return relationship;
+    });
+    organizationModel.getOrganizationById.mockResolvedValue({ id: mockTenant.organizationId, attribution_model: 'first_touch' });
+  });
+
+  describe('GET /api/referrals/:id/attribution', () => {
+    it('should return the split with the organization\'s default model', async () => {
+      mockUser.role = 'salesperson';
+
+      const res = await request(app).get(`/referrals/${referral.id}/attribution`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ model: 'first_touch', referral_model: null, organization_model: 'first_touch' });
+      expect(res.body.data.referrers.map(r => r.share)).toEqual([100, 0]);
+      expect(res.body.data.referrers[0].referrer.first_name).toBe('Alice');
+    });
+
+    it('should not find a referral outside the tenant', async () => {
+      const res = await request(app).get(`/referrals/${uuidv4()}/attribution`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('PUT /api/referrals/:id/attribution', () => {
+    it('should split the credit equally', async () => {
+      const res = await request(app)
+        .put(`/referrals/${referral.id}/attribution`)
+        .send({ model: 'equal_split' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ model: 'equal_split', referral_model: 'equal_split', attributed_with: 'equal_split' });
+      expect(relationships.map(rel => rel.attribution_percentage)).toEqual([50, 50]);
+    });
+
+    it('should reject manual shares that do not add up to 100', async () => {
+      const res = await request(app)
+        .put(`/referrals/${referral.id}/attribution`)
+        .send({
+          model: 'manual',
+          shares: relationships.map(rel => ({ relationship_id: rel.id, attribution_percentage: 60 }))
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Shares must add up to 100%');
+    });
+
+    it('should only let admins change the split', async () => {
+      mockUser.role = 'salesperson';
+
+      const res = await request(app)
+        .put(`/referrals/${referral.id}/attribution`)
+        .send({ model: 'last_touch' });
+
+      expect(res.status).toBe(403);
+      expect(referralModel.updateReferral).not.toHaveBeenCalled();
+    });
+  });
+});
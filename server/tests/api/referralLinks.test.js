@@ -0,0 +1,147 @@
+/**
+ * Referral Link API Tests
+ * Tests for generating referral links and tracking their clicks
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+// External SDKs loaded by the referral controller
+jest.mock('firebase-admin', () => ({}), { virtual: true });
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+const mockUser = { id: uuidv4(), role: 'salesperson' };
+const mockTenant = { organizationId: uuidv4(), locationId: null, locationIds: [] };
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = mockUser;
+    req.tenant = mockTenant;
+    next();
+  },
+  restrictTo: () => (req, res, next) => next()
+}));
+
+jest.mock('../../models/referralModel', () => ({
+  createReferralLink: jest.fn(),
+  getReferralLinks: jest.fn(),
+  getReferralLinkById: jest.fn(),
+  recordReferralLinkClick: jest.fn()
+}));
+
+jest.mock('../../models/personModel', () => ({
+  getPersonById: jest.fn()
+}));
+
+jest.mock('../../models/messageModel', () => ({
+  createMessage: jest.fn()
+}));
+
+jest.mock('../../config/telnyx', () => ({
+  sendSMS: jest.fn()
+}));
+
+const referralModel = require('../../models/referralModel');
+const personModel = require('../../models/personModel');
+const referralLinks = require('../../utils/referralLinks');
+const referralRoutes = require('../../routes/referralRoutes');
+
+describe('Referral Link API', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use(referralRoutes);
+    jest.clearAllMocks();
+
+    referralLinks.config.provider = 'self_hosted';
+    referralLinks.config.apiBaseUrl = 'https://api.orca.test';
+    referralLinks.config.clientBaseUrl = 'https://app.orca.test';
+    referralModel.createReferralLink.mockImplementation(async (data) => ({ id: uuidv4(), ...data }));
+  });
+
+  describe('POST /links', () => {
+    it('should create and store a link with its UTM data', async () => {
+      const member = { id: uuidv4(), first_name: 'Jane', last_name: 'Member', is_member: true };
+      personModel.getPersonById.mockResolvedValue(member);
+
+      const response = await request(app)
+        .post('/links')
+        .send({ memberId: member.id, campaign: 'spring', source: 'sms' });
+
+      expect(response.status).toBe(201);
+      expect(referralModel.createReferralLink).toHaveBeenCalledWith(expect.objectContaining({
+        referrer_id: member.id,
+        created_by: mockUser.id,
+        provider: 'self_hosted',
+        campaign: 'spring',
+        source: 'sms',
+        medium: 'referral',
+        utm_params: expect.objectContaining({ utm_campaign: 'spring', utm_content: member.id })
+      }));
+
+      const link = referralModel.createReferralLink.mock.calls[0][0];
+      expect(link.url).toBe(`https://api.orca.test/api/referrals/l/${link.short_code}`);
+      expect(response.body.data.shortLink).toBe(link.url);
+    });
+
+    it('should reject a person who is not a member', async () => {
+      personModel.getPersonById.mockResolvedValue({ id: uuidv4(), is_member: false });
+
+      const response = await request(app)
+        .post('/links')
+        .send({ memberId: uuidv4() });
+
+      expect(response.status).toBe(404);
+      expect(referralModel.createReferralLink).not.toHaveBeenCalled();
+    });
+
+    it('should require a member ID', async () => {
+      const response = await request(app).post('/links').send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /links', () => {
+    it('should limit salespeople to the links they generated', async () => {
+      referralModel.getReferralLinks.mockResolvedValue([{ id: uuidv4(), click_count: 3 }]);
+
+      const response = await request(app).get('/links').query({ createdBy: uuidv4() });
+
+      expect(response.status).toBe(200);
+      expect(referralModel.getReferralLinks).toHaveBeenCalledWith(
+        expect.objectContaining({ createdBy: mockUser.id }),
+        { page: 0, pageSize: 50 },
+        mockTenant
+      );
+      expect(response.body.data[0].click_count).toBe(3);
+    });
+  });
+
+  describe('GET /l/:code', () => {
+    it('should count the click and redirect to the landing page', async () => {
+      referralModel.recordReferralLinkClick.mockResolvedValue({
+        short_code: 'abc12345',
+        click_count: 1,
+        destination_url: 'https://app.orca.test/r/abc12345?utm_source=sms'
+      });
+
+      const response = await request(app).get('/l/abc12345');
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe('https://app.orca.test/r/abc12345?utm_source=sms');
+      expect(referralModel.recordReferralLinkClick).toHaveBeenCalledWith('abc12345');
+    });
+
+    it('should return 404 for an unknown or inactive link', async () => {
+      referralModel.recordReferralLinkClick.mockResolvedValue(null);
+
+      const response = await request(app).get('/l/missing');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
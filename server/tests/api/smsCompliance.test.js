@@ -0,0 +1,366 @@
+/**
+ * SMS Compliance API Tests
+ * Tests for STOP/START/HELP handling and suppression of opted-out recipients
+ */
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+// Key pair standing in for the one Telnyx signs webhooks with
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+process.env.TELNYX_PUBLIC_KEY = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64');
+
+// External SDKs loaded by the messaging controller
+jest.mock('telnyx', () => jest.fn(() => ({ messages: { create: jest.fn() } })), { virtual: true });
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+const mockUserId = uuidv4();
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { id: mockUserId };
+    next();
+  },
+  restrictTo: () => (req, res, next) => next()
+}));
+
+jest.mock('../../models/messageModel', () => ({
+  getMessageByProviderId: jest.fn(),
+  getLatestMessageToPhone: jest.fn(),
+  recordResponse: jest.fn(),
+  createMessage: jest.fn(),
+  updateMessage: jest.fn(),
+  markInboundHandled: jest.fn(),
+  createTextBlast: jest.fn(),
+  getMessagesByBlastId: jest.fn(),
+  updateTextBlastStatus: jest.fn()
+}));
+
+jest.mock('../../models/personModel', () => ({
+  getPersonById: jest.fn(),
+  getPersonByPhone: jest.fn(),
+  getPersonsByPhone: jest.fn(),
+  updatePerson: jest.fn()
+}));
+
+jest.mock('../../models/interactionModel', () => ({
+  createInteraction: jest.fn()
+}));
+
+jest.mock('../../utils/leadScoring', () => ({
+  rescoreLead: jest.fn()
+}));
+
+jest.mock('../../utils/nurtureSequences', () => ({
+  enrollByTrigger: jest.fn(),
+  recordReply: jest.fn()
+}));
+
+const telnyx = require('../../config/telnyx');
+const messageModel = require('../../models/messageModel');
+const personModel = require('../../models/personModel');
+const interactionModel = require('../../models/interactionModel');
+const nurtureSequences = require('../../utils/nurtureSequences');
+const messagingRoutes = require('../../routes/messagingRoutes');
+const { getComplianceKeyword } = require('../../utils/smsCompliance');
+
+const sendInbound = (app, text, from = '+15555550100') => {
+  const rawBody = JSON.stringify({
+    data: {
+      event_type: 'message.received',
+      id: uuidv4(),
+      occurred_at: '2024-01-08T13:00:05.000Z',
+      payload: {
+        id: `tx-in-${uuidv4()}`,
+        direction: 'inbound',
+        from: { phone_number: from },
+        text
+      }
+    }
+  });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto.sign(null, Buffer.from(`${timestamp}|${rawBody}`), privateKey).toString('base64');
+
+  return request(app)
+    .post('/webhooks/telnyx')
+    .set('Content-Type', 'application/json')
+    .set('telnyx-timestamp', timestamp)
+    .set('telnyx-signature-ed25519', signature)
+    .send(rawBody);
+};
+
+const makePerson = (overrides = {}) => ({
+  id: uuidv4(),
+  first_name: 'Test',
+  last_name: 'Person',
+  phone: '(555) 555-0100',
+  sms_opt_in: true,
+  assigned_to: mockUserId,
+  ...overrides
+});
+
+describe('SMS Compliance', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
+    app.use(messagingRoutes);
+    jest.clearAllMocks();
+
+    jest.spyOn(telnyx, 'sendSMS').mockResolvedValue({ success: true, messageId: 'tx-out-1', status: 'queued' });
+    messageModel.getMessageByProviderId.mockResolvedValue(null);
+    messageModel.getLatestMessageToPhone.mockResolvedValue(null);
+    messageModel.getMessagesByBlastId.mockResolvedValue([]);
+    messageModel.createMessage.mockImplementation(async (data) => ({ id: uuidv4(), ...data }));
+    messageModel.updateMessage.mockImplementation(async (id, data) => ({ id, ...data }));
+    messageModel.markInboundHandled.mockImplementation(async (message, field = 'handled_at') => ({
+      ...message,
+      metadata: { ...message.metadata, [field]: new Date().toISOString() }
+    }));
+    interactionModel.createInteraction.mockResolvedValue({ id: uuidv4() });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('keyword detection', () => {
+    it('should recognize keywords regardless of case and trailing punctuation', () => {
+      expect(getComplianceKeyword('stop')).toBe('opt_out');
+      expect(getComplianceKeyword(' Unsubscribe. ')).toBe('opt_out');
+      expect(getComplianceKeyword('START!')).toBe('opt_in');
+      expect(getComplianceKeyword('help')).toBe('help');
+    });
+
+    it('should not treat keywords inside a sentence as a keyword', () => {
+      expect(getComplianceKeyword('Please stop by on Monday')).toBeNull();
+      expect(getComplianceKeyword('')).toBeNull();
+    });
+  });
+
+  describe('inbound keywords', () => {
+    it('should opt out every person with the number on STOP and confirm', async () => {
+      const persons = [makePerson(), makePerson({ assigned_to: uuidv4() })];
+      personModel.getPersonByPhone.mockResolvedValue(persons[0]);
+      personModel.getPersonsByPhone.mockResolvedValue(persons);
+
+      const response = await sendInbound(app, 'STOP');
+
+      expect(response.status).toBe(200);
+      expect(personModel.getPersonsByPhone).toHaveBeenCalledWith('+15555550100');
+      expect(personModel.updatePerson).toHaveBeenCalledTimes(2);
+      expect(personModel.updatePerson).toHaveBeenCalledWith(persons[0].id, { sms_opt_in: false });
+      expect(personModel.updatePerson).toHaveBeenCalledWith(persons[1].id, { sms_opt_in: false });
+      expect(interactionModel.createInteraction).toHaveBeenCalledWith(expect.objectContaining({
+        person_id: persons[1].id,
+        user_id: persons[1].assigned_to,
+        interaction_type: 'sms',
+        subject: 'SMS opt-out'
+      }));
+      expect(telnyx.sendSMS).toHaveBeenCalledWith('+15555550100', expect.stringContaining('unsubscribed'));
+    });
+
+    it('should opt a person back in on START', async () => {
+      const person = makePerson({ sms_opt_in: false });
+      personModel.getPersonByPhone.mockResolvedValue(person);
+      personModel.getPersonsByPhone.mockResolvedValue([person]);
+
+      await sendInbound(app, 'start');
+
+      expect(personModel.updatePerson).toHaveBeenCalledWith(person.id, { sms_opt_in: true });
+      expect(telnyx.sendSMS).toHaveBeenCalledWith('+15555550100', expect.stringContaining('resubscribed'));
+    });
+
+    it('should reply to HELP without changing consent', async () => {
+      const person = makePerson();
+      personModel.getPersonByPhone.mockResolvedValue(person);
+      personModel.getPersonsByPhone.mockResolvedValue([person]);
+
+      await sendInbound(app, 'HELP');
+
+      expect(personModel.updatePerson).not.toHaveBeenCalled();
+      expect(interactionModel.createInteraction).toHaveBeenCalledWith(expect.objectContaining({
+        subject: 'SMS help request'
+      }));
+      expect(telnyx.sendSMS).toHaveBeenCalledWith('+15555550100', expect.stringContaining('Reply STOP'));
+    });
+
+    it('should record the confirmation in the conversation', async () => {
+      const person = makePerson();
+      const original = { id: uuidv4(), sender_id: mockUserId, recipient_id: person.id };
+      messageModel.getLatestMessageToPhone.mockResolvedValue(original);
+      messageModel.recordResponse.mockResolvedValue({ id: uuidv4(), sender_id: mockUserId, recipient_id: person.id, content: 'STOP' });
+      personModel.getPersonsByPhone.mockResolvedValue([person]);
+
+      await sendInbound(app, 'STOP');
+
+      expect(messageModel.createMessage).toHaveBeenCalledWith(expect.objectContaining({
+        sender_id: mockUserId,
+        recipient_id: person.id,
+        status: 'sent',
+        metadata: expect.objectContaining({ telnyx_message_id: 'tx-out-1', compliance_keyword: 'opt_out' })
+      }));
+    });
+
+    it('should still confirm STOP from an unknown number', async () => {
+      personModel.getPersonByPhone.mockResolvedValue(null);
+      personModel.getPersonsByPhone.mockResolvedValue([]);
+
+      const response = await sendInbound(app, 'STOP', '+15555550199');
+
+      expect(response.status).toBe(200);
+      expect(interactionModel.createInteraction).not.toHaveBeenCalled();
+      expect(telnyx.sendSMS).toHaveBeenCalledWith('+15555550199', expect.any(String));
+    });
+
+    it('should apply STOP on a retry after the first attempt failed', async () => {
+      const person = makePerson();
+      personModel.getPersonByPhone.mockResolvedValue(person);
+      personModel.getPersonsByPhone.mockResolvedValue([person]);
+      personModel.updatePerson.mockRejectedValueOnce(new Error('Database unavailable'));
+
+      const failed = await sendInbound(app, 'STOP');
+
+      expect(failed.status).toBe(500);
+      expect(messageModel.createMessage).not.toHaveBeenCalled();
+
+      const retried = await sendInbound(app, 'STOP');
+
+      expect(retried.status).toBe(200);
+      expect(personModel.updatePerson).toHaveBeenLastCalledWith(person.id, { sms_opt_in: false });
+      expect(telnyx.sendSMS).toHaveBeenCalledWith('+15555550100', expect.stringContaining('unsubscribed'));
+    });
+
+    it('should apply STOP and finish logging it when the reply was already stored', async () => {
+      const person = makePerson();
+      const stored = { id: uuidv4(), sender_id: mockUserId, recipient_id: person.id, content: 'STOP', metadata: {} };
+      messageModel.getMessageByProviderId.mockResolvedValue(stored);
+      personModel.getPersonsByPhone.mockResolvedValue([person]);
+
+      const response = await sendInbound(app, 'STOP');
+
+      expect(response.status).toBe(200);
+      expect(personModel.updatePerson).toHaveBeenCalledWith(person.id, { sms_opt_in: false });
+      expect(messageModel.recordResponse).not.toHaveBeenCalled();
+      expect(interactionModel.createInteraction).toHaveBeenCalledWith(expect.objectContaining({ subject: 'SMS opt-out' }));
+      expect(messageModel.markInboundHandled).toHaveBeenCalledWith(stored, 'keyword_handled_at');
+      expect(messageModel.markInboundHandled).toHaveBeenLastCalledWith(expect.objectContaining({
+        id: stored.id,
+        metadata: { keyword_handled_at: expect.any(String) }
+      }));
+    });
+
+    it('should not log or confirm STOP again when a failed delivery is retried', async () => {
+      const person = makePerson();
+      let stored = null;
+      messageModel.getMessageByProviderId.mockImplementation(async () => stored);
+      messageModel.getLatestMessageToPhone.mockResolvedValue({ id: uuidv4() });
+      messageModel.recordResponse.mockImplementation(async (id, data) => ({ id: uuidv4(), recipient_id: person.id, ...data }));
+      messageModel.markInboundHandled.mockImplementation(async (message, field = 'handled_at') => {
+        stored = { ...message, metadata: { ...message.metadata, [field]: new Date().toISOString() } };
+        return stored;
+      });
+      personModel.getPersonsByPhone.mockResolvedValue([person]);
+      nurtureSequences.recordReply.mockRejectedValueOnce(new Error('Database unavailable'));
+
+      const failed = await sendInbound(app, 'STOP');
+      const retried = await sendInbound(app, 'STOP');
+
+      expect(failed.status).toBe(500);
+      expect(retried.status).toBe(200);
+      expect(interactionModel.createInteraction).toHaveBeenCalledTimes(1);
+      expect(telnyx.sendSMS).toHaveBeenCalledTimes(1);
+      expect(stored.metadata).toEqual({
+        telnyx_message_id: expect.any(String),
+        from: '+15555550100',
+        keyword_handled_at: expect.any(String),
+        handled_at: expect.any(String)
+      });
+    });
+
+    it('should only reapply consent on a retry of a handled reply', async () => {
+      const person = makePerson({ sms_opt_in: false });
+      messageModel.getMessageByProviderId.mockResolvedValue({
+        id: uuidv4(),
+        recipient_id: person.id,
+        metadata: { handled_at: '2024-01-08T13:00:06.000Z' }
+      });
+      personModel.getPersonsByPhone.mockResolvedValue([person]);
+
+      const response = await sendInbound(app, 'STOP');
+
+      expect(response.status).toBe(200);
+      expect(personModel.updatePerson).not.toHaveBeenCalled();
+      expect(interactionModel.createInteraction).not.toHaveBeenCalled();
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+    });
+
+    it('should not act on regular replies', async () => {
+      const person = makePerson();
+      personModel.getPersonByPhone.mockResolvedValue(person);
+
+      await sendInbound(app, 'Can I stop by tomorrow?');
+
+      expect(personModel.getPersonsByPhone).not.toHaveBeenCalled();
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('suppression', () => {
+    it('should refuse a single SMS to an opted-out person', async () => {
+      const person = makePerson({ sms_opt_in: false });
+      personModel.getPersonById.mockResolvedValue(person);
+
+      const response = await request(app)
+        .post('/sms')
+        .send({ recipientId: person.id, content: 'Hi there' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.data.suppressed).toEqual([person.id]);
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+      expect(messageModel.createMessage).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an SMS message to an opted-out person', async () => {
+      const person = makePerson({ sms_opt_in: false });
+      personModel.getPersonById.mockResolvedValue(person);
+
+      const response = await request(app)
+        .post('/messages')
+        .send({ recipientId: person.id, messageType: 'sms', content: 'Hi there' });
+
+      expect(response.status).toBe(422);
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+    });
+
+    it('should skip opted-out recipients in a blast and report them', async () => {
+      const optedIn = makePerson();
+      const optedOut = makePerson({ sms_opt_in: false });
+      const blast = { id: uuidv4(), sender_id: mockUserId, content: 'Promo!' };
+
+      const result = await require('../../controllers/messagingController')
+        ._processTextBlast(blast, [optedIn, optedOut]);
+
+      expect(result.suppressed).toEqual([optedOut.id]);
+      expect(messageModel.createMessage).toHaveBeenCalledTimes(1);
+      expect(messageModel.createMessage).toHaveBeenCalledWith(expect.objectContaining({
+        recipient_id: optedIn.id,
+        status: 'sending'
+      }));
+      expect(messageModel.updateMessage).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ status: 'sent' }));
+      expect(messageModel.updateTextBlastStatus).toHaveBeenCalledWith(
+        blast.id,
+        'completed',
+        1,
+        expect.objectContaining({ suppressed_count: 1 })
+      );
+    });
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Tasks API Tests
+ * Tests for listing, creating, changing and completing follow-up tasks
+ */
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+const mockUser = { id: uuidv4(), role: 'salesperson' };
+const mockTenant = { organizationId: uuidv4(), locationId: null, locationIds: [] };
+
+jest.mock('../../middleware/authMiddleware', () => ({
+  protect: (req, res, next) => {
+    req.user = { ...mockUser };
+    req.tenant = mockTenant;
+    next();
+  },
+  restrictTo: (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ status: 'error', message: 'You do not have permission to perform this action' });
+    }
+    next();
+  }
+}));
+
+jest.mock('../../models/taskModel', () => ({
+  getTasks: jest.fn(),
+  getAssignees: jest.fn(),
+  getTaskById: jest.fn(),
+  createTask: jest.fn(),
+  updateTask: jest.fn(),
+  claimCompletion: jest.fn(),
+  deleteTask: jest.fn()
+}));
+
+jest.mock('../../models/organizationModel', () => ({
+  getUserIds: jest.fn()
+}));
+
+jest.mock('../../models/interactionModel', () => ({
+  createInteraction: jest.fn()
+}));
+
+const taskModel = require('../../models/taskModel');
+const organizationModel = require('../../models/organizationModel');
+const interactionModel = require('../../models/interactionModel');
+const taskRoutes = require('../../routes/taskRoutes');
+
+describe('Tasks API', () => {
+  let app;
+  let task;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockUser.role = 'salesperson';
+
+    app = express();
+    app.use(express.json());
+    app.use('/tasks', taskRoutes);
+    // Same shape as the server's error handler
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode || 500).json({ status: 'error', message: err.message });
+    });
+
+    task = {
+      id: uuidv4(),
+      organization_id: mockTenant.organizationId,
+      person_id: uuidv4(),
+      title: 'Follow up on the tour',
+      due_at: '2030-01-10T10:00:00.000Z',
+      assigned_to: mockUser.id,
+      created_by: mockUser.id,
+      interaction_type: 'call',
+      recurrence: null,
+      status: 'open'
+    };
+
+    taskModel.getTasks.mockResolvedValue({ tasks: [task], total: 1 });
+    taskModel.getTaskById.mockResolvedValue(task);
+    taskModel.createTask.mockImplementation(async data => ({ id: uuidv4(), ...data }));
+    taskModel.updateTask.mockImplementation(async (id, changes) => ({ ...task, ...changes }));
+    taskModel.claimCompletion.mockImplementation(async (id, completion) => ({ ...task, ...completion, status: 'completed' }));
+    organizationModel.getUserIds.mockResolvedValue([mockUser.id]);
+    interactionModel.createInteraction.mockResolvedValue({ id: uuidv4() });
+  });
+
+  describe('GET /tasks', () => {
+    it('should list the overdue tasks a salesperson can see', async () => {
+      const res = await request(app).get('/tasks?view=overdue&assigned_to=me');
+
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(1);
+      expect(taskModel.getTasks).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'open',
+        dueBefore: expect.any(String),
+        assignedTo: mockUser.id,
+        visibleTo: mockUser.id
+      }), { page: 0, pageSize: 20 }, mockTenant);
+    });
+
+    it('should reject an unknown view', async () => {
+      const res = await request(app).get('/tasks?view=later');
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /tasks/assignees', () => {
+    it('should list the organization\'s users', async () => {
+      taskModel.getAssignees.mockResolvedValue([{ id: mockUser.id, first_name: 'Sam', last_name: 'Seller' }]);
+
+      const res = await request(app).get('/tasks/assignees');
+
+      expect(res.status).toBe(200);
+      expect(res.body.results).toBe(1);
+      expect(taskModel.getAssignees).toHaveBeenCalledWith(mockTenant.organizationId);
+    });
+  });
+
+  describe('POST /tasks', () => {
+    it('should create a task assigned to its creator', async () => {
+      const res = await request(app)
+        .post('/tasks')
+        .send({ title: ' Send the class schedule ', due_at: '2030-01-12T09:00:00.000Z', priority: 'high' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toEqual(expect.objectContaining({
+        title: 'Send the class schedule',
+        assigned_to: mockUser.id,
+        organization_id: mockTenant.organizationId
+      }));
+    });
+
+    it('should explain what is wrong with an invalid task', async () => {
+      const res = await request(app).post('/tasks').send({ due_at: 'soon', priority: 'asap', recurrence: 'hourly' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([
+        'Title is required',
+        'Due date must be a valid date',
+        'Priority must be one of: low, normal, high, urgent',
+        'Recurrence must be one of: daily, weekly, monthly'
+      ]);
+    });
+  });
+
+  describe('PATCH /tasks/:id', () => {
+    it('should cancel a task but not complete it', async () => {
+      const cancelled = await request(app).patch(`/tasks/${task.id}`).send({ status: 'cancelled' });
+      const completed = await request(app).patch(`/tasks/${task.id}`).send({ status: 'completed' });
+
+      expect(cancelled.status).toBe(200);
+      expect(taskModel.updateTask).toHaveBeenCalledWith(task.id, { status: 'cancelled' }, mockTenant);
+      expect(completed.status).toBe(400);
+    });
+
+    it('should hide other salespeople\'s tasks', async () => {
+      taskModel.getTaskById.mockResolvedValue({ ...task, assigned_to: uuidv4(), created_by: uuidv4() });
+
+      const res = await request(app).patch(`/tasks/${task.id}`).send({ title: 'Mine now' });
+
+      expect(res.status).toBe(404);
+      expect(taskModel.updateTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /tasks/:id/complete', () => {
+    it('should complete the task and log an interaction with the notes', async () => {
+      interactionModel.createInteraction.mockResolvedValue({ id: 'interaction-1' });
+
+      const res = await request(app).post(`/tasks/${task.id}/complete`).send({ notes: 'Left a voicemail' });
+
+      expect(res.status).toBe(200);
+      expect(interactionModel.createInteraction).toHaveBeenCalledWith(expect.objectContaining({
+        person_id: task.person_id,
+        user_id: mockUser.id,
+        interaction_type: 'call',
+        content: 'Left a voicemail'
+      }), mockTenant);
+      expect(taskModel.claimCompletion).toHaveBeenCalledWith(task.id, expect.objectContaining({ completed_by: mockUser.id }));
+      expect(res.body.data.task.interaction_id).toBe('interaction-1');
+    });
+
+    it('should refuse a task that is already completed', async () => {
+      taskModel.getTaskById.mockResolvedValue({ ...task, status: 'completed' });
+
+      const res = await request(app).post(`/tasks/${task.id}/complete`);
+
+      expect(res.status).toBe(409);
+      expect(taskModel.claimCompletion).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,265 @@
+/**
+ * Telnyx Webhook API Tests
+ */
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+// Key pair standing in for the one Telnyx signs webhooks with
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+process.env.TELNYX_PUBLIC_KEY = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64');
+
+// External SDKs loaded by the messaging controller
+jest.mock('telnyx', () => jest.fn(() => ({ messages: { create: jest.fn() } })), { virtual: true });
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+jest.mock('../../models/messageModel', () => ({
+  getMessageByProviderId: jest.fn(),
+  getLatestMessageToPhone: jest.fn(),
+  markAsDelivered: jest.fn(),
+  markAsFailed: jest.fn(),
+  recordResponse: jest.fn(),
+  createMessage: jest.fn(),
+  markInboundHandled: jest.fn()
+}));
+
+jest.mock('../../models/personModel', () => ({
+  getPersonById: jest.fn(),
+  getPersonByPhone: jest.fn()
+}));
+
+jest.mock('../../models/interactionModel', () => ({
+  createInteraction: jest.fn()
+}));
+
+jest.mock('../../utils/leadScoring', () => ({
+  rescoreLead: jest.fn()
+}));
+
+jest.mock('../../utils/nurtureSequences', () => ({
+  enrollByTrigger: jest.fn(),
+  recordReply: jest.fn()
+}));
+
+const messageModel = require('../../models/messageModel');
+const personModel = require('../../models/personModel');
+const nurtureSequences = require('../../utils/nurtureSequences');
+const appointmentReminders = require('../../utils/appointmentReminders');
+const messagingRoutes = require('../../routes/messagingRoutes');
+
+/**
+ * Send a webhook signed the way Telnyx signs them
+ * @param {Object} app - Express app
+ * @param {Object} body - Webhook body
+ * @param {Object} options - Signature overrides
+ * @returns {Promise<Object>} Supertest response
+ */
+const sendWebhook = (app, body, options = {}) => {
+  const rawBody = JSON.stringify(body);
+  const timestamp = options.timestamp || Math.floor(Date.now() / 1000).toString();
+  const signature = crypto.sign(null, Buffer.from(`${timestamp}|${rawBody}`), privateKey).toString('base64');
+
+  return request(app)
+    .post('/webhooks/telnyx')
+    .set('Content-Type', 'application/json')
+    .set('telnyx-timestamp', timestamp)
+    .set('telnyx-signature-ed25519', options.signature || signature)
+    .send(rawBody);
+};
+
+const makeEvent = (eventType, payload) => ({
+  data: {
+    event_type: eventType,
+    id: uuidv4(),
+    occurred_at: '2024-01-08T13:00:05.000Z',
+    payload
+  }
+});
+
+describe('Telnyx Webhook API', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    }));
+    app.use(messagingRoutes);
+    jest.clearAllMocks();
+  });
+
+  it('should reject webhooks with an invalid signature', async () => {
+    const body = makeEvent('message.finalized', { id: 'tx-1', to: [{ status: 'delivered' }] });
+
+    const response = await sendWebhook(app, body, {
+      signature: crypto.sign(null, Buffer.from('tampered'), privateKey).toString('base64')
+    });
+
+    expect(response.status).toBe(400);
+    expect(messageModel.getMessageByProviderId).not.toHaveBeenCalled();
+  });
+
+  it('should reject webhooks outside the timestamp tolerance', async () => {
+    const body = makeEvent('message.finalized', { id: 'tx-1', to: [{ status: 'delivered' }] });
+    const staleTimestamp = Math.floor(Date.now() / 1000 - 3600).toString();
+
+    const response = await sendWebhook(app, body, { timestamp: staleTimestamp });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should not require a user token', async () => {
+    messageModel.getMessageByProviderId.mockResolvedValue(null);
+
+    const response = await sendWebhook(app, makeEvent('message.sent', { id: 'tx-1', to: [{ status: 'sent' }] }));
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should mark a message delivered from a delivery receipt', async () => {
+    const message = { id: uuidv4(), metadata: { telnyx_message_id: 'tx-1' } };
+    messageModel.getMessageByProviderId.mockResolvedValue(message);
+    messageModel.markAsDelivered.mockResolvedValue({ ...message, status: 'delivered' });
+
+    const response = await sendWebhook(app, makeEvent('message.finalized', {
+      id: 'tx-1',
+      to: [{ phone_number: '+15555550100', status: 'delivered' }]
+    }));
+
+    expect(response.status).toBe(200);
+    expect(messageModel.getMessageByProviderId).toHaveBeenCalledWith('tx-1');
+    expect(messageModel.markAsDelivered).toHaveBeenCalledWith(message.id, '2024-01-08T13:00:05.000Z');
+    expect(response.body.data.message_id).toBe(message.id);
+  });
+
+  it('should mark a message failed from a failed delivery receipt', async () => {
+    const message = { id: uuidv4() };
+    const errors = [{ code: '40300', title: 'Blocked as spam' }];
+    messageModel.getMessageByProviderId.mockResolvedValue(message);
+    messageModel.markAsFailed.mockResolvedValue({ ...message, status: 'failed' });
+
+    await sendWebhook(app, makeEvent('message.finalized', {
+      id: 'tx-1',
+      to: [{ status: 'delivery_failed' }],
+      errors
+    }));
+
+    expect(messageModel.markAsFailed).toHaveBeenCalledWith(message.id, expect.objectContaining({
+      status: 'delivery_failed',
+      errors
+    }));
+  });
+
+  it('should thread an inbound reply onto the latest message sent to that number', async () => {
+    const original = { id: uuidv4(), sender_id: uuidv4(), recipient_id: uuidv4() };
+    messageModel.getMessageByProviderId.mockResolvedValue(null);
+    messageModel.getLatestMessageToPhone.mockResolvedValue(original);
+    messageModel.recordResponse.mockResolvedValue({ id: uuidv4(), recipient_id: original.recipient_id });
+
+    const response = await sendWebhook(app, makeEvent('message.received', {
+      id: 'tx-in-1',
+      direction: 'inbound',
+      from: { phone_number: '+15555550100' },
+      text: 'Sounds good, see you Monday'
+    }));
+
+    expect(response.status).toBe(200);
+    expect(messageModel.getLatestMessageToPhone).toHaveBeenCalledWith('+15555550100');
+    expect(messageModel.recordResponse).toHaveBeenCalledWith(original.id, expect.objectContaining({
+      message_type: 'sms',
+      content: 'Sounds good, see you Monday',
+      metadata: { telnyx_message_id: 'tx-in-1', from: '+15555550100' }
+    }));
+    expect(nurtureSequences.recordReply).toHaveBeenCalledWith(original.recipient_id, null);
+  });
+
+  it('should file a reply under the assigned salesperson when nothing was sent to the number', async () => {
+    const person = { id: uuidv4(), assigned_to: uuidv4(), phone: '(555) 555-0100' };
+    messageModel.getMessageByProviderId.mockResolvedValue(null);
+    messageModel.getLatestMessageToPhone.mockResolvedValue(null);
+    personModel.getPersonByPhone.mockResolvedValue(person);
+    messageModel.createMessage.mockResolvedValue({ id: uuidv4() });
+
+    await sendWebhook(app, makeEvent('message.received', {
+      id: 'tx-in-2',
+      from: { phone_number: '+15555550100' },
+      text: 'Hi, is the gym open Sunday?'
+    }));
+
+    expect(messageModel.createMessage).toHaveBeenCalledWith(expect.objectContaining({
+      sender_id: person.assigned_to,
+      recipient_id: person.id,
+      direction: 'inbound'
+    }));
+  });
+
+  it('should pass a C or R reply on to appointment reminders', async () => {
+    const inbound = { id: uuidv4(), content: 'c' };
+    const handleReply = jest.spyOn(appointmentReminders, 'handleReply').mockResolvedValue(null);
+    messageModel.getMessageByProviderId.mockResolvedValue(null);
+    messageModel.getLatestMessageToPhone.mockResolvedValue({ id: uuidv4() });
+    messageModel.recordResponse.mockResolvedValue(inbound);
+
+    await sendWebhook(app, makeEvent('message.received', {
+      id: 'tx-in-3',
+      from: { phone_number: '+15555550100' },
+      text: 'c'
+    }));
+
+    expect(handleReply).toHaveBeenCalledWith('confirm', '+15555550100', inbound);
+
+    handleReply.mockRestore();
+  });
+
+  it('should pass a C or R reply on again when a retry finds it stored but not handled', async () => {
+    const stored = { id: uuidv4(), content: 'r', metadata: { telnyx_message_id: 'tx-in-3' } };
+    const handleReply = jest.spyOn(appointmentReminders, 'handleReply').mockResolvedValue(null);
+    messageModel.getMessageByProviderId.mockResolvedValue(stored);
+
+    await sendWebhook(app, makeEvent('message.received', {
+      id: 'tx-in-3',
+      from: { phone_number: '+15555550100' },
+      text: 'r'
+    }));
+
+    expect(messageModel.recordResponse).not.toHaveBeenCalled();
+    expect(handleReply).toHaveBeenCalledWith('reschedule', '+15555550100', stored);
+
+    handleReply.mockRestore();
+  });
+
+  it('should ignore a retried webhook for a reply that was handled', async () => {
+    messageModel.getMessageByProviderId.mockResolvedValue({ id: uuidv4(), metadata: { handled_at: '2024-01-08T13:00:06.000Z' } });
+
+    await sendWebhook(app, makeEvent('message.received', {
+      id: 'tx-in-1',
+      from: { phone_number: '+15555550100' },
+      text: 'Duplicate'
+    }));
+
+    expect(messageModel.recordResponse).not.toHaveBeenCalled();
+    expect(messageModel.createMessage).not.toHaveBeenCalled();
+    expect(nurtureSequences.recordReply).not.toHaveBeenCalled();
+  });
+
+  it('should finish handling a stored reply on a retried webhook', async () => {
+    const stored = { id: uuidv4(), recipient_id: uuidv4(), metadata: { telnyx_message_id: 'tx-in-1' } };
+    messageModel.getMessageByProviderId.mockResolvedValue(stored);
+
+    const response = await sendWebhook(app, makeEvent('message.received', {
+      id: 'tx-in-1',
+      from: { phone_number: '+15555550100' },
+      text: 'Sounds good'
+    }));
+
+    expect(response.status).toBe(200);
+    expect(messageModel.recordResponse).not.toHaveBeenCalled();
+    expect(messageModel.createMessage).not.toHaveBeenCalled();
+    expect(nurtureSequences.recordReply).toHaveBeenCalledWith(stored.recipient_id, null);
+    expect(messageModel.markInboundHandled).toHaveBeenCalledWith(stored);
+  });
+});
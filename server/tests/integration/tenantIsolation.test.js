@@ -0,0 +1,338 @@
+/**
+ * Tenant Isolation Integration Tests
+ * Seeds two organizations, one with two locations, in an in-memory Supabase
+ * and checks that the models never read or change another tenant's records
+ */
+const { v4: uuidv4 } = require('uuid');
+
+const mockTables = {};
+
+// In-memory stand-in for the Supabase query builder, covering the calls the
+// person, message, interaction and location models make
+jest.mock('../../config/supabase', () => {
+  class MockQuery {
+    constructor(table) {
+      this.table = table;
+      this.action = 'select';
+      this.filters = [];
+      this.mode = 'many';
+    }
+
+    select() { return this; }
+    insert(rows) { this.action = 'insert'; this.rows = [].concat(rows); return this; }
+    update(changes) { this.action = 'update'; this.changes = changes; return this; }
+    delete() { this.action = 'delete'; return this; }
+    eq(column, value) { return this.where(row => row[column] === value); }
+    in(column, values) { return this.where(row => values.includes(row[column])); }
+    gte(column, value) { return this.where(row => row[column] >= value); }
+    lte(column, value) { return this.where(row => row[column] <= value); }
+    contains(column, values) { return this.where(row => values.every(value => (row[column] || []).includes(value))); }
+    order() { return this; }
+    range(from, to) { this.bounds = [from, to + 1]; return this; }
+    single() { this.mode = 'single'; return this; }
+    maybeSingle() { this.mode = 'maybeSingle'; return this; }
+
+    where(filter) {
+      this.filters.push(filter);
+      return this;
+    }
+
+    run() {
+      mockTables[this.table] = mockTables[this.table] || [];
+      const table = mockTables[this.table];
+      const matches = row => this.filters.every(filter => filter(row));
+      let data;
+
+      if (this.action === 'insert') {
+        data = this.rows.map(row => ({ id: row.id || `${this.table}-${table.length + 1}`, ...row }));
+        table.push(...data);
+      } else if (this.action === 'update') {
+        data = table.filter(matches);
+        data.forEach(row => Object.assign(row, this.changes));
+      } else if (this.action === 'delete') {
+        data = table.filter(matches);
+        mockTables[this.table] = table.filter(row => !matches(row));
+      } else {
+        data = table.filter(matches);
+      }
+
+      data = data.map(row => ({ ...row }));
+
+      if (this.bounds) {
+        data = data.slice(...this.bounds);
+      }
+
+      if (this.mode === 'single' && data.length !== 1) {
+        return { data: null, error: { message: 'JSON object requested, multiple (or no) rows returned' } };
+      }
+
+      if (this.mode !== 'many') {
+        return { data: data[0] || null, error: null };
+      }
+
+      return { data, error: null, count: data.length };
+    }
+
+    then(resolve, reject) {
+      return Promise.resolve(this.run()).then(resolve, reject);
+    }
+  }
+
+  return { from: table => new MockQuery(table) };
+});
+
+jest.mock('../../db/schema/types', () => ({
+  SchemaConstraints: {
+    DEFAULT_VALUES: {
+      MESSAGE_STATUS: 'sent',
+      MESSAGE_DIRECTION: 'outbound',
+      IS_BLAST: false,
+      HAS_RESPONSE: false,
+      INTERACTION_STATUS: 'completed',
+      RESPONSE_RECEIVED: false
+    }
+  }
+}));
+
+const personModel = require('../../models/personModel');
+const messageModel = require('../../models/messageModel');
+const interactionModel = require('../../models/interactionModel');
+const tenancy = require('../../utils/tenancy');
+
+describe('Tenant Isolation', () => {
+  const orgA = uuidv4();
+  const orgB = uuidv4();
+  const northId = uuidv4();
+  const southId = uuidv4();
+  const eastId = uuidv4();
+  const senderId = uuidv4();
+
+  let northLead;
+  let southLead;
+  let eastLead;
+
+  // Scopes as authMiddleware.protect resolves them for each kind of user
+  let orgAScope;
+  let northScope;
+  let orgBScope;
+
+  const seedPerson = (organizationId, locationId, firstName) => {
+    const person = {
+      id: uuidv4(),
+      first_name: firstName,
+      last_name: 'Lead',
+      is_lead: true,
+      organization_id: organizationId,
+      location_id: locationId
+    };
+
+    mockTables.persons.push(person);
+    mockTables.messages.push({
+      id: uuidv4(),
+      sender_id: senderId,
+      recipient_id: person.id,
+      content: `Hi ${firstName}`,
+      organization_id: organizationId,
+      location_id: locationId
+    });
+    mockTables.interactions.push({
+      id: uuidv4(),
+      person_id: person.id,
+      interaction_type: 'call',
+      organization_id: organizationId,
+      location_id: locationId
+    });
+
+    return person;
+  };
+
+  const ids = records => records.map(record => record.id).sort();
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    Object.keys(mockTables).forEach(table => delete mockTables[table]);
+    mockTables.locations = [
+      { id: northId, organization_id: orgA, name: 'North', is_active: true },
+      { id: southId, organization_id: orgA, name: 'South', is_active: true },
+      { id: eastId, organization_id: orgB, name: 'East', is_active: true }
+    ];
+    mockTables.persons = [];
+    mockTables.messages = [];
+    mockTables.interactions = [];
+
+    northLead = seedPerson(orgA, northId, 'North');
+    southLead = seedPerson(orgA, southId, 'South');
+    eastLead = seedPerson(orgB, eastId, 'East');
+
+    orgAScope = await tenancy.resolveTenant({ organization_id: orgA });
+    northScope = await tenancy.resolveTenant({ organization_id: orgA, location_id: northId });
+    orgBScope = await tenancy.resolveTenant({ organization_id: orgB });
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('resolveTenant', () => {
+    it('should give users without a location all of their organization\'s locations', () => {
+      expect(orgAScope).toEqual({ organizationId: orgA, locationId: null, locationIds: [northId, southId] });
+    });
+
+    it('should let users without a location switch to one of their organization\'s', async () => {
+      await expect(tenancy.resolveTenant({ organization_id: orgA }, southId))
+        .resolves.toMatchObject({ locationId: southId });
+    });
+
+    it('should refuse another organization\'s location', async () => {
+      await expect(tenancy.resolveTenant({ organization_id: orgA }, eastId))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should keep users assigned to a location in it', async () => {
+      await expect(tenancy.resolveTenant({ organization_id: orgA, location_id: northId }, southId))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should refuse users without an organization', async () => {
+      await expect(tenancy.resolveTenant({})).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('persons', () => {
+    it('should only list the organization\'s persons', async () => {
+      expect(ids(await personModel.getAllPersons({}, { page: 0, pageSize: 50 }, orgAScope)))
+        .toEqual(ids([northLead, southLead]));
+      expect(ids(await personModel.getAllPersons({}, { page: 0, pageSize: 50 }, orgBScope)))
+        .toEqual([eastLead.id]);
+    });
+
+    it('should only list the location\'s persons when working in one', async () => {
+      expect(ids(await personModel.getAllPersons({ isLead: true }, { page: 0, pageSize: 50 }, northScope)))
+        .toEqual([northLead.id]);
+    });
+
+    it('should not find another tenant\'s person by ID', async () => {
+      await expect(personModel.getPersonById(eastLead.id, orgAScope)).resolves.toBeNull();
+      await expect(personModel.getPersonById(southLead.id, northScope)).resolves.toBeNull();
+      await expect(personModel.getPersonById(northLead.id, northScope)).resolves.toMatchObject({ id: northLead.id });
+    });
+
+    it('should not update another organization\'s person', async () => {
+      await expect(personModel.updatePerson(eastLead.id, { first_name: 'Taken' }, {}, orgAScope))
+        .rejects.toMatchObject({ statusCode: 404 });
+
+      expect(mockTables.persons.find(person => person.id === eastLead.id).first_name).toBe('East');
+    });
+
+    it('should not move a person to another organization', async () => {
+      await personModel.updatePerson(northLead.id, { organization_id: orgB, location_id: eastId }, {}, orgAScope);
+
+      expect(mockTables.persons.find(person => person.id === northLead.id)).toMatchObject({
+        organization_id: orgA,
+        location_id: northId
+      });
+    });
+
+    it('should not delete another organization\'s person', async () => {
+      await personModel.deletePerson(eastLead.id, orgAScope);
+
+      expect(mockTables.persons.map(person => person.id)).toContain(eastLead.id);
+    });
+
+    it('should stamp new persons with the scope, whatever the payload says', async () => {
+      const person = await personModel.createPerson({
+        first_name: 'New',
+        last_name: 'Lead',
+        organization_id: orgB,
+        location_id: eastId
+      }, {}, northScope);
+
+      expect(person).toMatchObject({ organization_id: orgA, location_id: northId });
+    });
+  });
+
+  describe('messages', () => {
+    it('should only list the tenant\'s messages', async () => {
+      const messages = await messageModel.getAllMessages({}, { page: 0, pageSize: 50 }, orgBScope);
+
+      expect(messages.map(message => message.recipient_id)).toEqual([eastLead.id]);
+    });
+
+    it('should refuse to message another organization\'s person', async () => {
+      await expect(messageModel.createMessage({
+        sender_id: senderId,
+        recipient_id: eastLead.id,
+        message_type: 'sms',
+        content: 'Hello'
+      }, orgAScope)).rejects.toMatchObject({ statusCode: 404 });
+
+      expect(mockTables.messages).toHaveLength(3);
+    });
+
+    it('should stamp messages with their recipient\'s tenant', async () => {
+      const message = await messageModel.createMessage({
+        sender_id: senderId,
+        recipient_id: southLead.id,
+        message_type: 'sms',
+        content: 'Hello'
+      }, orgAScope);
+
+      expect(message).toMatchObject({ organization_id: orgA, location_id: southId });
+    });
+  });
+
+  describe('message templates', () => {
+    let eastTemplate;
+
+    beforeEach(() => {
+      eastTemplate = { id: uuidv4(), user_id: senderId, name: 'Welcome', template_type: 'sms', content: 'Hi', organization_id: orgB, location_id: null };
+      mockTables.message_templates = [
+        { id: uuidv4(), user_id: senderId, name: 'Welcome', template_type: 'sms', content: 'Hello', organization_id: orgA, location_id: null },
+        eastTemplate
+      ];
+    });
+
+    it('should only list the organization\'s templates', async () => {
+      const templates = await messageModel.getAllTemplates({ userId: senderId }, { page: 0, pageSize: 10 }, orgBScope);
+
+      expect(ids(templates)).toEqual([eastTemplate.id]);
+    });
+
+    it('should not find, change or delete another organization\'s template', async () => {
+      expect(await messageModel.getTemplateById(eastTemplate.id, orgAScope)).toBeNull();
+      expect(await messageModel.updateTemplate(eastTemplate.id, { content: 'Changed' }, orgAScope)).toBeNull();
+
+      await messageModel.deleteTemplate(eastTemplate.id, orgAScope);
+
+      expect(mockTables.message_templates.find(template => template.id === eastTemplate.id)).toMatchObject({ content: 'Hi' });
+    });
+
+    it('should stamp new templates with the scope, whatever the payload says', async () => {
+      const template = await messageModel.createTemplate({
+        user_id: senderId,
+        name: 'Follow-up',
+        template_type: 'sms',
+        content: 'Checking in',
+        organization_id: orgB
+      }, northScope);
+
+      expect(template).toMatchObject({ organization_id: orgA, location_id: northId });
+    });
+  });
+
+  describe('interactions', () => {
+    it('should only list the location\'s interactions', async () => {
+      const interactions = await interactionModel.getAllInteractions({}, { page: 0, pageSize: 50 }, northScope);
+
+      expect(interactions.map(interaction => interaction.person_id)).toEqual([northLead.id]);
+    });
+
+    it('should refuse to log an interaction with another location\'s person', async () => {
+      await expect(interactionModel.createInteraction({
+        person_id: southLead.id,
+        interaction_type: 'call'
+      }, northScope)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
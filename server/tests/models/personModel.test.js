@@ -134,7 +134,7 @@ describe('Person Model', () => {
       const mockPerson = generatePerson();
       
       // Setup the mock
-      supabase.single.mockImplementation(() => ({
+      supabase.maybeSingle.mockImplementation(() => ({
         data: mockPerson,
         error: null
       }));
@@ -146,13 +146,13 @@ describe('Person Model', () => {
       expect(supabase.from).toHaveBeenCalledWith('persons');
       expect(supabase.select).toHaveBeenCalled();
       expect(supabase.eq).toHaveBeenCalledWith('id', mockPerson.id);
-      expect(supabase.single).toHaveBeenCalled();
+      expect(supabase.maybeSingle).toHaveBeenCalled();
       expect(result).toEqual(mockPerson);
     });
     
     it('should handle errors', async () => {
       // Setup error mock
-      supabase.single.mockImplementation(() => ({
+      supabase.maybeSingle.mockImplementation(() => ({
         data: null,
         error: new Error('Person not found')
       }));
@@ -186,6 +186,12 @@ describe('Person Model', () => {
         error: null
       }));
       
+      // The created person is read back with its extensions
+      supabase.maybeSingle.mockImplementation(() => ({
+        data: createdPerson,
+        error: null
+      }));
+      
       // Call the function
       const result = await personModel.createPerson(personData);
       
@@ -256,8 +262,11 @@ describe('Person Model', () => {
       // Mock the final getPersonById call to return updated data
       supabase.from.mockImplementationOnce(() => ({
         update: jest.fn().mockReturnValue({
-          eq: jest.fn().mockResolvedValue({
-            error: null
+          eq: jest.fn().mockReturnValue({
+            select: jest.fn().mockResolvedValue({
+              data: [{ id: mockPerson.id }],
+              error: null
+            })
           })
         })
       })).mockImplementationOnce(() => ({
@@ -269,7 +278,7 @@ describe('Person Model', () => {
       })).mockImplementationOnce(() => ({
         select: jest.fn().mockReturnValue({
           eq: jest.fn().mockReturnValue({
-            single: jest.fn().mockResolvedValue({
+            maybeSingle: jest.fn().mockResolvedValue({
               data: { ...mockPersonWithExtension, first_name: 'Updated' },
               error: null
             })
@@ -15,6 +15,7 @@ jest.mock('../../config/supabase', () => ({
   delete: jest.fn().mockReturnThis(),
   eq: jest.fn().mockReturnThis(),
   single: jest.fn().mockReturnThis(),
+  maybeSingle: jest.fn().mockReturnThis(),
   order: jest.fn().mockReturnThis(),
   range: jest.fn().mockReturnThis(),
   gte: jest.fn().mockReturnThis(),
@@ -112,7 +113,7 @@ describe('Referral Model', () => {
       };
       
       // Setup the mock
-      supabase.single.mockImplementation(() => ({
+      supabase.maybeSingle.mockImplementation(() => ({
         data: mockReferral,
         error: null
       }));
@@ -125,13 +126,13 @@ describe('Referral Model', () => {
       expect(supabase.select).toHaveBeenCalledWith('*, referral_extensions(*)');
       expect(supabase.eq).toHaveBeenCalledWith('id', mockReferralPerson.id);
       expect(supabase.eq).toHaveBeenCalledWith('is_referral', true);
-      expect(supabase.single).toHaveBeenCalled();
+      expect(supabase.maybeSingle).toHaveBeenCalled();
       expect(result).toEqual(mockReferral);
     });
     
     it('should handle errors', async () => {
       // Setup error mock
-      supabase.single.mockImplementation(() => ({
+      supabase.maybeSingle.mockImplementation(() => ({
         data: null,
         error: new Error('Referral not found')
       }));
@@ -290,6 +291,26 @@ describe('Referral Model', () => {
     });
   });
   
+  describe('updateReferralAppointment', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+    
+    it('should report a booking that overlaps another as a 409', async () => {
+      // Another booking holds 15:00-16:00; this one starts half an hour later
+      jest.spyOn(referralModel, 'updateReferral').mockRejectedValue({
+        code: '23P01',
+        message: 'conflicting key value violates exclusion constraint "referral_extensions_appointment_overlap"'
+      });
+      
+      await expect(referralModel.updateReferralAppointment(uuidv4(), {
+        appointment_date: '2030-01-08T15:30:00.000Z',
+        appointment_end_date: '2030-01-08T16:30:00.000Z',
+        appointment_status: 'scheduled'
+      })).rejects.toMatchObject({ statusCode: 409, message: 'That time is no longer available' });
+    });
+  });
+  
   describe('deleteReferral', () => {
     it('should delete a referral', async () => {
       // Mock data
@@ -0,0 +1,182 @@
+/**
+ * Analytics Tests
+ * Tests for the dashboard's KPIs, conversion funnel, lead sources and period
+ * trends, and for caching them per tenant scope
+ */
+jest.mock('../../models/analyticsModel', () => ({
+  countPersons: jest.fn(),
+  countActiveMembers: jest.fn(),
+  getLeadsForAnalytics: jest.fn(),
+  getLeadMetricsByPeriod: jest.fn()
+}));
+
+const analyticsModel = require('../../models/analyticsModel');
+const analytics = require('../../utils/analytics');
+
+describe('Analytics', () => {
+  const now = new Date('2030-03-15T12:00:00.000Z');
+  const scope = { organizationId: 'org-1', locationId: null, locationIds: ['loc-1', 'loc-2'] };
+
+  const lead = (status, history = [], source = 'Website') => ({
+    id: `lead-${Math.random()}`,
+    acquisition_source: source,
+    lead_extensions: [{
+      lead_status: status,
+      status_history: history.map(entry => ({ status: entry, timestamp: now.toISOString() }))
+    }]
+  });
+
+  let leads;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    analytics.clearCache();
+
+    leads = [
+      lead('new'),
+      lead('contacted', ['new', 'contacted'], 'Referral'),
+      lead('Visited', ['new', 'contacted', 'appointment_scheduled', 'visited']),
+      lead('won', ['new', 'contacted', 'appointment_scheduled', 'visited', 'proposal_made', 'won'], 'Referral'),
+      lead('lost', ['new', 'contacted', 'appointment_scheduled', 'visited', 'lost'], null)
+    ];
+
+    analyticsModel.getLeadsForAnalytics.mockImplementation(async (filters, { page }) => (page === 0 ? leads : []));
+    analyticsModel.countPersons.mockImplementation(async ({ flag, createdSince }) => {
+      if (flag === 'is_lead') return 2;
+      return createdSince ? 1 : 4;
+    });
+    analyticsModel.countActiveMembers.mockResolvedValue(12);
+  });
+
+  describe('getKpis', () => {
+    it('should count leads by outcome and work out conversion from closed leads', async () => {
+      const kpis = await analytics.getKpis(scope, { now });
+
+      expect(kpis).toEqual({
+        leads: { total: 5, new_this_week: 2, open: 3, won: 1, lost: 1, conversion_rate: 0.5 },
+        members: { active: 12 },
+        referrals: { total: 4, new_this_month: 1 },
+        generated_at: now.toISOString(),
+        cached: false
+      });
+      expect(analyticsModel.countPersons).toHaveBeenCalledWith(
+        { flag: 'is_lead', createdSince: '2030-03-08T12:00:00.000Z', assignedTo: null },
+        scope
+      );
+      expect(analyticsModel.countPersons).toHaveBeenCalledWith(
+        { flag: 'is_referral', createdSince: '2030-03-01T00:00:00.000Z', assignedTo: null },
+        scope
+      );
+    });
+
+    it('should read every page of leads', async () => {
+      analytics.config.pageSize = 2;
+
+      try {
+        analyticsModel.getLeadsForAnalytics.mockImplementation(async (filters, { page, pageSize }) =>
+          leads.slice(page * pageSize, (page + 1) * pageSize));
+
+        const kpis = await analytics.getKpis(scope, { now });
+
+        expect(kpis.leads.total).toBe(5);
+        expect(analyticsModel.getLeadsForAnalytics).toHaveBeenCalledTimes(3);
+      } finally {
+        analytics.config.pageSize = 1000;
+      }
+    });
+  });
+
+  describe('cache', () => {
+    it('should reuse a result until it expires', async () => {
+      await analytics.getKpis(scope, { now });
+      const again = await analytics.getKpis(scope, { now: new Date(now.getTime() + 60 * 1000) });
+
+      expect(again.cached).toBe(true);
+      expect(again.generated_at).toBe(now.toISOString());
+      expect(analyticsModel.countActiveMembers).toHaveBeenCalledTimes(1);
+
+      const later = new Date(now.getTime() + (analytics.config.cacheSeconds + 1) * 1000);
+      const expired = await analytics.getKpis(scope, { now: later });
+
+      expect(expired.cached).toBe(false);
+      expect(analyticsModel.countActiveMembers).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep scopes, filters and refreshes apart', async () => {
+      await analytics.getKpis(scope, { now });
+      await analytics.getKpis({ ...scope, locationId: 'loc-1' }, { now });
+      await analytics.getKpis(scope, { now, assignedTo: 'user-1' });
+      await analytics.getKpis({ ...scope, organizationId: 'org-2' }, { now });
+      const refreshed = await analytics.getKpis(scope, { now, refresh: true });
+
+      expect(refreshed.cached).toBe(false);
+      expect(analyticsModel.countActiveMembers).toHaveBeenCalledTimes(5);
+    });
+  });
+
+  describe('getFunnel', () => {
+    it('should count leads in and reaching each stage, with stage-to-stage conversion', async () => {
+      const { stages, total } = await analytics.getFunnel(scope, { now });
+
+      expect(total).toBe(5);
+      expect(stages.map(({ key, current, reached, conversion_rate: conversionRate }) => [key, current, reached, conversionRate]))
+        .toEqual([
+          ['new', 1, 5, null],
+          ['contacted', 1, 4, 0.8],
+          ['appointment_scheduled', 0, 3, 0.75],
+          // The lost lead was lost after its visit, so it still counts here
+          ['visited', 1, 3, 1],
+          ['proposal_made', 0, 1, 0.3333],
+          ['negotiation', 0, 1, 1],
+          ['won', 1, 1, 1],
+          ['lost', 1, 1, null]
+        ]);
+    });
+  });
+
+  describe('getSources', () => {
+    it('should total leads and wins by source, most leads first', async () => {
+      const { sources } = await analytics.getSources(scope, { now });
+
+      expect(sources).toEqual([
+        { source: 'Referral', leads: 2, won: 1, lost: 0, conversion_rate: 1 },
+        { source: 'Website', leads: 2, won: 0, lost: 0, conversion_rate: 0 },
+        { source: 'Unknown', leads: 1, won: 0, lost: 1, conversion_rate: 0 }
+      ]);
+    });
+  });
+
+  describe('getTrends', () => {
+    it('should report a quarter week by week from get_lead_metrics_by_period', async () => {
+      analyticsModel.getLeadMetricsByPeriod.mockResolvedValue([
+        { date: '2029-12-17', new_leads: 3, converted_leads: 1, conversion_rate: '0.3333' }
+      ]);
+
+      const trends = await analytics.getTrends(scope, 'quarter', { now, assignedTo: 'user-1' });
+
+      expect(analyticsModel.getLeadMetricsByPeriod).toHaveBeenCalledWith({
+        startDate: '2029-12-21T00:00:00.000Z',
+        endDate: now.toISOString(),
+        interval: '1 week',
+        assignedTo: 'user-1'
+      }, scope);
+      expect(trends.points).toEqual([
+        { date: '2029-12-17', new_leads: 3, converted_leads: 1, conversion_rate: 0.3333 }
+      ]);
+    });
+
+    it('should start a year at the first of the month eleven months back', async () => {
+      analyticsModel.getLeadMetricsByPeriod.mockResolvedValue([]);
+
+      const trends = await analytics.getTrends(scope, 'year', { now });
+
+      expect(trends.start_date).toBe('2029-04-01T00:00:00.000Z');
+      expect(trends.interval).toBe('1 month');
+    });
+
+    it('should reject an unknown period', () => {
+      expect(() => analytics.getTrends(scope, 'decade', { now }))
+        .toThrow('period must be one of: week, month, quarter, year');
+    });
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Appointment Calendar Tests
+ * Tests for finding free slots and booking, moving and cancelling appointments
+ * through the calendar providers
+ */
+jest.mock('../../config/google', () => ({
+  getAvailableTimeSlots: jest.fn(),
+  createCalendarEvent: jest.fn(),
+  updateCalendarEvent: jest.fn(),
+  deleteCalendarEvent: jest.fn(),
+  listCalendarEventChanges: jest.fn(),
+  sendEmail: jest.fn(),
+  calculateAvailableSlots: jest.requireActual('../../config/google').calculateAvailableSlots
+}));
+
+jest.mock('../../utils/googleAccounts', () => ({
+  getTokens: jest.fn()
+}));
+
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+
+const google = require('../../config/google');
+const googleAccounts = require('../../utils/googleAccounts');
+const appointmentCalendar = require('../../utils/appointmentCalendar');
+
+describe('Appointment Calendar', () => {
+  const salesperson = { id: 'user-1', email: 'sales@orca.test' };
+  // A Monday well in the future, in server local time
+  const monday = new Date(2030, 0, 7);
+  const at = (hours, minutes = 0) => new Date(2030, 0, 7, hours, minutes).toISOString();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    appointmentCalendar.config.provider = 'local';
+    appointmentCalendar.config.durationMinutes = 60;
+    appointmentCalendar.config.workHoursStart = 9;
+    appointmentCalendar.config.workHoursEnd = 17;
+    appointmentCalendar.providers.local.reset();
+  });
+
+  describe('local provider', () => {
+    it('should offer weekday slots within work hours', async () => {
+      const slots = await appointmentCalendar.getAvailableSlots(salesperson, { from: monday, days: 1 });
+      const mondaySlots = slots.filter(slot => new Date(slot.start).getDate() === 7);
+
+      expect(mondaySlots[0]).toEqual({ start: at(9), end: at(10) });
+      expect(mondaySlots[mondaySlots.length - 1]).toEqual({ start: at(16), end: at(17) });
+      expect(mondaySlots).toHaveLength(15);
+    });
+
+    it('should remove booked and overlapping slots', async () => {
+      await appointmentCalendar.bookAppointment(salesperson, {
+        start: at(10),
+        summary: 'Consultation',
+        attendees: ['sam@example.com']
+      });
+
+      const slots = await appointmentCalendar.getAvailableSlots(salesperson, { from: monday, days: 1 });
+      const starts = slots.map(slot => slot.start);
+
+      expect(starts).toContain(at(9));
+      expect(starts).not.toContain(at(9, 30));
+      expect(starts).not.toContain(at(10));
+      expect(starts).not.toContain(at(10, 30));
+      expect(starts).toContain(at(11));
+      expect(appointmentCalendar.providers.local.events[0]).toMatchObject({
+        userId: 'user-1',
+        attendees: ['sam@example.com'],
+        startDateTime: at(10),
+        endDateTime: at(11)
+      });
+    });
+
+    it('should keep each salesperson\'s calendar separate', async () => {
+      await appointmentCalendar.bookAppointment(salesperson, { start: at(10), summary: 'Consultation' });
+
+      expect(await appointmentCalendar.isSlotAvailable({ id: 'user-2' }, at(10))).toBe(true);
+      expect(await appointmentCalendar.isSlotAvailable(salesperson, at(10))).toBe(false);
+    });
+  });
+
+  describe('bookAppointment', () => {
+    it('should reject a slot that has been taken', async () => {
+      await appointmentCalendar.bookAppointment(salesperson, { start: at(10), summary: 'Consultation' });
+
+      await expect(appointmentCalendar.bookAppointment(salesperson, { start: at(10), summary: 'Consultation' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reject a time outside the offered slots', async () => {
+      await expect(appointmentCalendar.bookAppointment(salesperson, { start: at(10, 15), summary: 'Consultation' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      await expect(appointmentCalendar.bookAppointment(salesperson, { start: at(20), summary: 'Consultation' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reject a time in the past', async () => {
+      expect(await appointmentCalendar.isSlotAvailable(salesperson, new Date(2020, 0, 6, 10).toISOString())).toBe(false);
+    });
+  });
+
+  describe('rescheduleAppointment', () => {
+    let booked;
+
+    beforeEach(async () => {
+      booked = await appointmentCalendar.bookAppointment(salesperson, { start: at(10), summary: 'Consultation' });
+    });
+
+    it('should move the event to a free slot', async () => {
+      const moved = await appointmentCalendar.rescheduleAppointment(salesperson, booked.id, {
+        start: at(14),
+        currentStart: booked.start
+      });
+
+      expect(moved).toEqual({ start: at(14), end: at(15) });
+      expect(appointmentCalendar.providers.local.events[0]).toMatchObject({
+        startDateTime: at(14),
+        endDateTime: at(15)
+      });
+    });
+
+    it('should allow a move that overlaps the current slot', async () => {
+      await expect(appointmentCalendar.rescheduleAppointment(salesperson, booked.id, {
+        start: at(10, 30),
+        currentStart: booked.start
+      })).resolves.toEqual({ start: at(10, 30), end: at(11, 30) });
+    });
+
+    it('should reject a slot that has been taken', async () => {
+      await appointmentCalendar.bookAppointment(salesperson, { start: at(14), summary: 'Another appointment' });
+
+      await expect(appointmentCalendar.rescheduleAppointment(salesperson, booked.id, {
+        start: at(14),
+        currentStart: booked.start
+      })).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reject a time in the past', async () => {
+      await expect(appointmentCalendar.rescheduleAppointment(salesperson, booked.id, {
+        start: new Date(2020, 0, 6, 10).toISOString(),
+        currentStart: booked.start
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('cancelAppointment', () => {
+    it('should cancel the event and free its slot', async () => {
+      const booked = await appointmentCalendar.bookAppointment(salesperson, { start: at(10), summary: 'Consultation' });
+
+      await appointmentCalendar.cancelAppointment(salesperson, booked.id);
+
+      expect(appointmentCalendar.providers.local.events[0].status).toBe('cancelled');
+      expect(await appointmentCalendar.isSlotAvailable(salesperson, at(10))).toBe(true);
+    });
+  });
+
+  describe('checkConfig', () => {
+    const clientId = process.env.GOOGLE_CLIENT_ID;
+
+    afterEach(() => {
+      if (clientId === undefined) {
+        delete process.env.GOOGLE_CLIENT_ID;
+      } else {
+        process.env.GOOGLE_CLIENT_ID = clientId;
+      }
+    });
+
+    it('should refuse Google Calendar without GOOGLE_CLIENT_ID', () => {
+      appointmentCalendar.config.provider = 'google';
+      delete process.env.GOOGLE_CLIENT_ID;
+
+      expect(() => appointmentCalendar.checkConfig()).toThrow('GOOGLE_CLIENT_ID is not configured');
+    });
+
+    it('should accept Google Calendar once it is configured', () => {
+      appointmentCalendar.config.provider = 'google';
+      process.env.GOOGLE_CLIENT_ID = 'client-id';
+
+      expect(() => appointmentCalendar.checkConfig()).not.toThrow();
+    });
+
+    it('should accept the in-memory calendar when asked for', () => {
+      delete process.env.GOOGLE_CLIENT_ID;
+
+      expect(() => appointmentCalendar.checkConfig()).not.toThrow();
+    });
+
+    it('should refuse an unknown provider', () => {
+      appointmentCalendar.config.provider = 'outlook';
+
+      expect(() => appointmentCalendar.checkConfig()).toThrow('Unknown calendar provider: outlook');
+    });
+  });
+
+  describe('google provider', () => {
+    const tokens = { access_token: 'token', refresh_token: 'refresh' };
+
+    beforeEach(() => {
+      appointmentCalendar.config.provider = 'google';
+      googleAccounts.getTokens.mockResolvedValue(tokens);
+    });
+
+    it('should use the salesperson\'s tokens to read their calendar', async () => {
+      google.getAvailableTimeSlots.mockResolvedValue([{ start: at(9), end: at(10) }]);
+
+      const slots = await appointmentCalendar.getAvailableSlots(salesperson, { from: monday, days: 1 });
+
+      expect(slots).toEqual([{ start: at(9), end: at(10) }]);
+      expect(googleAccounts.getTokens).toHaveBeenCalledWith('user-1');
+      expect(google.getAvailableTimeSlots).toHaveBeenCalledWith(tokens, expect.objectContaining({
+        durationMinutes: 60,
+        workHoursStart: 9,
+        workHoursEnd: 17
+      }));
+    });
+
+    it('should create the event with invites sent to attendees', async () => {
+      google.getAvailableTimeSlots.mockResolvedValue([{ start: at(9), end: at(10) }]);
+      google.createCalendarEvent.mockResolvedValue({ id: 'evt_1', htmlLink: 'https://calendar.google.com/evt_1' });
+
+      const event = await appointmentCalendar.bookAppointment(salesperson, {
+        start: at(9),
+        summary: 'Consultation',
+        attendees: ['sam@example.com']
+      });
+
+      expect(google.createCalendarEvent).toHaveBeenCalledWith(tokens, expect.objectContaining({
+        startDateTime: at(9),
+        endDateTime: at(10),
+        attendees: ['sam@example.com'],
+        sendInvites: true
+      }));
+      expect(event).toMatchObject({ id: 'evt_1', start: at(9), end: at(10) });
+    });
+
+    it('should move the event and notify attendees', async () => {
+      await appointmentCalendar.providers.google.updateEvent(salesperson, 'evt_1', {
+        startDateTime: at(14),
+        endDateTime: at(15)
+      });
+
+      expect(google.updateCalendarEvent).toHaveBeenCalledWith(tokens, 'evt_1', {
+        startDateTime: at(14),
+        endDateTime: at(15),
+        sendInvites: true
+      });
+    });
+
+    it('should list changed events in the provider format', async () => {
+      google.listCalendarEventChanges.mockResolvedValue({
+        events: [{
+          id: 'evt_1',
+          status: 'confirmed',
+          start: { dateTime: '2030-01-07T14:00:00-05:00' },
+          end: { dateTime: '2030-01-07T15:00:00-05:00' },
+          attendees: [{ email: 'sam@example.com', responseStatus: 'declined', displayName: 'Sam' }]
+        }],
+        nextSyncToken: 'token-2'
+      });
+
+      const changes = await appointmentCalendar.providers.google.listChanges(salesperson, 'token-1');
+
+      expect(google.listCalendarEventChanges).toHaveBeenCalledWith(tokens, { syncToken: 'token-1' });
+      expect(changes).toEqual({
+        events: [{
+          id: 'evt_1',
+          status: 'confirmed',
+          start: '2030-01-07T19:00:00.000Z',
+          end: '2030-01-07T20:00:00.000Z',
+          attendees: [{ email: 'sam@example.com', responseStatus: 'declined' }]
+        }],
+        nextSyncToken: 'token-2'
+      });
+    });
+
+    it('should require a connected calendar', async () => {
+      const { CustomError } = jest.requireActual('../../utils/errorHandler');
+      googleAccounts.getTokens.mockRejectedValue(new CustomError('Google account is not connected', 409));
+
+      await expect(appointmentCalendar.getAvailableSlots(salesperson))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(google.getAvailableTimeSlots).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should reject an unknown provider', () => {
+    expect(() => appointmentCalendar.getProvider('outlook')).toThrow('Unknown calendar provider: outlook');
+  });
+});
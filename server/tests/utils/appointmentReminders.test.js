@@ -0,0 +1,357 @@
+/**
+ * Appointment Reminder Tests
+ * Tests for sending reminders before referral appointments and acting on
+ * C/R replies, using the local calendar provider for email
+ */
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+
+jest.mock('../../models/appointmentReminderModel', () => ({
+  claimReminder: jest.fn(),
+  updateReminder: jest.fn(),
+  getLatestSmsReminder: jest.fn()
+}));
+
+jest.mock('../../models/referralModel', () => ({
+  getUpcomingAppointments: jest.fn(),
+  getReferralById: jest.fn(),
+  updateReferralAppointment: jest.fn()
+}));
+
+jest.mock('../../models/personModel', () => ({
+  getPersonsByPhone: jest.fn()
+}));
+
+jest.mock('../../models/userModel', () => ({
+  getUserById: jest.fn()
+}));
+
+jest.mock('../../models/messageModel', () => ({
+  createMessage: jest.fn()
+}));
+
+jest.mock('../../models/interactionModel', () => ({
+  createInteraction: jest.fn(),
+  updateInteraction: jest.fn()
+}));
+
+jest.mock('../../config/telnyx', () => ({
+  sendSMS: jest.fn()
+}));
+
+jest.mock('../../utils/subscriptionTiers', () => ({
+  checkLimit: jest.fn()
+}));
+
+const appointmentReminderModel = require('../../models/appointmentReminderModel');
+const referralModel = require('../../models/referralModel');
+const personModel = require('../../models/personModel');
+const userModel = require('../../models/userModel');
+const messageModel = require('../../models/messageModel');
+const interactionModel = require('../../models/interactionModel');
+const telnyx = require('../../config/telnyx');
+const subscriptionTiers = require('../../utils/subscriptionTiers');
+const appointmentCalendar = require('../../utils/appointmentCalendar');
+const appointmentReminders = require('../../utils/appointmentReminders');
+
+describe('Appointment Reminders', () => {
+  const salesperson = { id: 'user-1', first_name: 'Alex', email: 'alex@orca.test' };
+  const appointmentDate = '2030-01-08T15:00:00.000Z';
+  const hoursBefore = (hours) => new Date(new Date(appointmentDate).getTime() - hours * 60 * 60 * 1000);
+  let referral;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    appointmentCalendar.config.provider = 'local';
+    appointmentCalendar.providers.local.reset();
+    appointmentReminders.config.offsets = [1440, 120];
+
+    referral = {
+      id: 'referral-1',
+      organization_id: 'org-1',
+      first_name: 'Sam',
+      last_name: 'Friend',
+      email: 'sam@example.com',
+      phone: '(555) 555-0111',
+      sms_opt_in: true,
+      email_opt_in: true,
+      preferred_contact_method: 'SMS',
+      assigned_to: salesperson.id,
+      referral_extensions: [{
+        appointment_date: appointmentDate,
+        appointment_status: 'scheduled',
+        appointment_calendar_user_id: salesperson.id
+      }]
+    };
+
+    referralModel.getUpcomingAppointments.mockImplementation(async () => [referral]);
+    appointmentReminderModel.claimReminder.mockImplementation(async (data) => ({ id: 'reminder-1', ...data }));
+    userModel.getUserById.mockResolvedValue(salesperson);
+    messageModel.createMessage.mockResolvedValue({ id: 'message-1' });
+    interactionModel.createInteraction.mockResolvedValue({ id: 'interaction-1' });
+    telnyx.sendSMS.mockResolvedValue({ success: true, messageId: 'tx-1' });
+    subscriptionTiers.checkLimit.mockResolvedValue(null);
+  });
+
+  describe('parseOffsets', () => {
+    it('should read days, hours and minutes, largest first', () => {
+      expect(appointmentReminders.parseOffsets('30, 2h,1d')).toEqual([1440, 120, 30]);
+    });
+  });
+
+  describe('getReplyKeyword', () => {
+    it('should recognize confirm and reschedule replies', () => {
+      expect(appointmentReminders.getReplyKeyword(' c ')).toBe('confirm');
+      expect(appointmentReminders.getReplyKeyword('Confirm!')).toBe('confirm');
+      expect(appointmentReminders.getReplyKeyword('r')).toBe('reschedule');
+      expect(appointmentReminders.getReplyKeyword('Can we do Tuesday?')).toBeNull();
+      expect(appointmentReminders.getReplyKeyword('CANCEL')).toBeNull();
+    });
+  });
+
+  describe('chooseChannel', () => {
+    it('should use email when it is preferred', () => {
+      expect(appointmentReminders.chooseChannel({ ...referral, preferred_contact_method: 'Email' })).toBe('email');
+    });
+
+    it('should text by default', () => {
+      expect(appointmentReminders.chooseChannel({ ...referral, preferred_contact_method: 'Phone' })).toBe('sms');
+      expect(appointmentReminders.chooseChannel({ ...referral, preferred_contact_method: null })).toBe('sms');
+    });
+
+    it('should fall back when the preferred channel is opted out', () => {
+      expect(appointmentReminders.chooseChannel({ ...referral, sms_opt_in: false })).toBe('email');
+      expect(appointmentReminders.chooseChannel({
+        ...referral,
+        preferred_contact_method: 'Email',
+        email_opt_in: false
+      })).toBe('sms');
+      expect(appointmentReminders.chooseChannel({ ...referral, sms_opt_in: false, email: null })).toBeNull();
+    });
+  });
+
+  describe('getDueOffset', () => {
+    it('should pick the reminder closest to the appointment that is due', () => {
+      expect(appointmentReminders.getDueOffset(appointmentDate, hoursBefore(25))).toBeNull();
+      expect(appointmentReminders.getDueOffset(appointmentDate, hoursBefore(23))).toBe(1440);
+      expect(appointmentReminders.getDueOffset(appointmentDate, hoursBefore(1))).toBe(120);
+      expect(appointmentReminders.getDueOffset(appointmentDate, hoursBefore(-1))).toBeNull();
+    });
+  });
+
+  describe('processDueReminders', () => {
+    it('should text a reminder and log it as an interaction', async () => {
+      const summary = await appointmentReminders.processDueReminders(hoursBefore(23));
+
+      expect(summary).toMatchObject({ processed: 1, results: [{ status: 'sent', channel: 'sms' }] });
+      expect(appointmentReminderModel.claimReminder).toHaveBeenCalledWith({
+        person_id: 'referral-1',
+        appointment_date: appointmentDate,
+        offset_minutes: 1440
+      });
+      expect(telnyx.sendSMS).toHaveBeenCalledWith('+15555550111', expect.stringContaining('Reply C to confirm or R to reschedule'));
+      expect(interactionModel.createInteraction).toHaveBeenCalledWith(expect.objectContaining({
+        person_id: 'referral-1',
+        user_id: salesperson.id,
+        interaction_type: 'sms',
+        subject: 'Appointment reminder',
+        status: 'completed'
+      }));
+      expect(appointmentReminderModel.updateReminder).toHaveBeenCalledWith('reminder-1', expect.objectContaining({
+        status: 'sent',
+        channel: 'sms',
+        message_id: 'message-1',
+        interaction_id: 'interaction-1'
+      }));
+    });
+
+    it('should email a person who prefers email', async () => {
+      referral.preferred_contact_method = 'Email';
+
+      await appointmentReminders.processDueReminders(hoursBefore(1));
+
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+      expect(subscriptionTiers.checkLimit).not.toHaveBeenCalled();
+      expect(appointmentCalendar.providers.local.outbox).toEqual([expect.objectContaining({
+        to: 'sam@example.com',
+        from: 'alex@orca.test',
+        subject: 'Reminder: your appointment with ORCA'
+      })]);
+      expect(interactionModel.createInteraction).toHaveBeenCalledWith(expect.objectContaining({
+        interaction_type: 'email',
+        custom_fields: expect.objectContaining({ offset_minutes: 120 })
+      }));
+    });
+
+    it('should not send a reminder that was already claimed', async () => {
+      appointmentReminderModel.claimReminder.mockResolvedValue(null);
+
+      const summary = await appointmentReminders.processDueReminders(hoursBefore(23));
+
+      expect(summary.processed).toBe(0);
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+    });
+
+    it('should skip a person who cannot be reached', async () => {
+      referral.sms_opt_in = false;
+      referral.email_opt_in = false;
+
+      await appointmentReminders.processDueReminders(hoursBefore(23));
+
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+      expect(interactionModel.createInteraction).not.toHaveBeenCalled();
+      expect(appointmentReminderModel.updateReminder).toHaveBeenCalledWith('reminder-1', expect.objectContaining({
+        status: 'skipped'
+      }));
+    });
+
+    it('should respect do_not_contact_until', async () => {
+      referral.do_not_contact_until = '2030-02-01T00:00:00.000Z';
+
+      await appointmentReminders.processDueReminders(hoursBefore(23));
+
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+    });
+
+    it('should skip a text once the organization has used its monthly SMS', async () => {
+      subscriptionTiers.checkLimit.mockResolvedValue({
+        limit: 'monthly_sms',
+        message: 'Your Starter plan includes 1,000 SMS a month.'
+      });
+
+      await appointmentReminders.processDueReminders(hoursBefore(23));
+
+      expect(subscriptionTiers.checkLimit).toHaveBeenCalledWith('org-1', 'monthly_sms', 1);
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+      expect(interactionModel.createInteraction).not.toHaveBeenCalled();
+      expect(appointmentReminderModel.updateReminder).toHaveBeenCalledWith('reminder-1', {
+        status: 'skipped',
+        error: 'Your Starter plan includes 1,000 SMS a month.'
+      });
+    });
+
+    it('should record a failed send', async () => {
+      telnyx.sendSMS.mockResolvedValue({ success: false, error: 'Carrier rejected' });
+
+      await appointmentReminders.processDueReminders(hoursBefore(23));
+
+      expect(interactionModel.createInteraction).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed' }));
+      expect(appointmentReminderModel.updateReminder).toHaveBeenCalledWith('reminder-1', expect.objectContaining({
+        status: 'failed',
+        error: 'Carrier rejected'
+      }));
+    });
+
+    it('should store a text to a person without a salesperson, so it counts towards the monthly SMS', async () => {
+      referral.assigned_to = null;
+      referral.referral_extensions[0].appointment_calendar_user_id = null;
+
+      await appointmentReminders.processDueReminders(hoursBefore(23));
+
+      expect(telnyx.sendSMS).toHaveBeenCalledWith('+15555550111', expect.not.stringContaining('Alex'));
+      expect(messageModel.createMessage).toHaveBeenCalledWith(expect.objectContaining({
+        sender_id: null,
+        recipient_id: 'referral-1',
+        message_type: 'sms'
+      }));
+      expect(appointmentReminderModel.updateReminder).toHaveBeenCalledWith('reminder-1', expect.objectContaining({
+        status: 'sent',
+        message_id: 'message-1'
+      }));
+    });
+  });
+
+  describe('handleReply', () => {
+    const reminder = {
+      id: 'reminder-1',
+      appointment_date: appointmentDate,
+      interaction_id: 'interaction-1',
+      sent_at: '2030-01-07T15:00:00.000Z'
+    };
+    const inbound = { id: 'inbound-1', content: 'C' };
+
+    beforeEach(() => {
+      personModel.getPersonsByPhone.mockResolvedValue([referral]);
+      appointmentReminderModel.getLatestSmsReminder.mockResolvedValue(reminder);
+      referralModel.getReferralById.mockImplementation(async () => referral);
+    });
+
+    it('should confirm the appointment', async () => {
+      const result = await appointmentReminders.handleReply('confirm', '+15555550111', inbound);
+
+      expect(result).toEqual({ referral_id: 'referral-1', appointment_status: 'confirmed', reminder_id: 'reminder-1' });
+      expect(referralModel.updateReferralAppointment).toHaveBeenCalledWith('referral-1', {
+        appointment_status: 'confirmed',
+        statusChangeNotes: 'Confirmed by text reply to appointment reminder'
+      });
+      expect(appointmentReminderModel.updateReminder).toHaveBeenCalledWith('reminder-1', expect.objectContaining({
+        reply: 'confirm'
+      }));
+      expect(interactionModel.updateInteraction).toHaveBeenCalledWith('interaction-1', expect.objectContaining({
+        response_received: true,
+        response_content: 'C'
+      }));
+      expect(telnyx.sendSMS).toHaveBeenCalledWith('+15555550111', expect.stringContaining('you\'re confirmed'));
+    });
+
+    it('should flag a reschedule request and tell the salesperson', async () => {
+      await appointmentReminders.handleReply('reschedule', '+15555550111', { ...inbound, content: 'R' });
+
+      expect(referralModel.updateReferralAppointment).toHaveBeenCalledWith('referral-1', expect.objectContaining({
+        appointment_status: 'reschedule_requested'
+      }));
+      expect(telnyx.sendSMS).toHaveBeenCalledWith('+15555550111', expect.stringContaining('Alex will be in touch'));
+      expect(appointmentCalendar.providers.local.outbox).toEqual([expect.objectContaining({
+        to: 'alex@orca.test',
+        subject: 'Reschedule requested: Sam Friend'
+      })]);
+    });
+
+    it('should finish a reply whose first attempt failed, without repeating the status change', async () => {
+      referral.referral_extensions[0].appointment_status = 'confirmed';
+      telnyx.sendSMS.mockResolvedValue({ success: true, messageId: 'tx-2' });
+
+      const result = await appointmentReminders.handleReply('confirm', '+15555550111', inbound);
+
+      expect(result.appointment_status).toBe('confirmed');
+      expect(referralModel.updateReferralAppointment).not.toHaveBeenCalled();
+      expect(telnyx.sendSMS).toHaveBeenCalledWith('+15555550111', expect.stringContaining('you\'re confirmed'));
+      expect(appointmentReminderModel.updateReminder).toHaveBeenCalledWith('reminder-1', expect.objectContaining({
+        reply: 'confirm'
+      }));
+    });
+
+    it('should record the reply on the reminder only once the rest is done', async () => {
+      messageModel.createMessage.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(appointmentReminders.handleReply('confirm', '+15555550111', inbound)).rejects.toThrow('Database unavailable');
+
+      expect(appointmentReminderModel.updateReminder).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing more for a reply already recorded', async () => {
+      appointmentReminderModel.getLatestSmsReminder.mockResolvedValue({ ...reminder, reply: 'confirm' });
+
+      const result = await appointmentReminders.handleReply('confirm', '+15555550111', inbound);
+
+      expect(result).toEqual({ referral_id: 'referral-1', appointment_status: 'confirmed', reminder_id: 'reminder-1' });
+      expect(referralModel.updateReferralAppointment).not.toHaveBeenCalled();
+      expect(interactionModel.updateInteraction).not.toHaveBeenCalled();
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+    });
+
+    it('should ignore a reply when no reminder was sent', async () => {
+      appointmentReminderModel.getLatestSmsReminder.mockResolvedValue(null);
+
+      expect(await appointmentReminders.handleReply('confirm', '+15555550111', inbound)).toBeNull();
+      expect(referralModel.updateReferralAppointment).not.toHaveBeenCalled();
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+    });
+
+    it('should ignore a reply about an appointment that has since moved', async () => {
+      referral.referral_extensions[0].appointment_date = '2030-01-09T15:00:00.000Z';
+
+      expect(await appointmentReminders.handleReply('confirm', '+15555550111', inbound)).toBeNull();
+      expect(referralModel.updateReferralAppointment).not.toHaveBeenCalled();
+    });
+  });
+});
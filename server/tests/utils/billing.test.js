@@ -0,0 +1,446 @@
+/**
+ * Membership Billing Utility Tests
+ * Tests for membership checkouts and Stripe webhook handling, including ORCA
+ * subscription events for organizations, using the local provider in place of Stripe
+ */
+const { v4: uuidv4 } = require('uuid');
+
+process.env.BILLING_PROVIDER = 'local';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+jest.mock('../../models/billingModel', () => ({
+  createCheckout: jest.fn(),
+  getCheckoutByStripeId: jest.fn(),
+  updateCheckout: jest.fn(),
+  claimEvent: jest.fn(),
+  updateEvent: jest.fn(),
+  releaseEvent: jest.fn()
+}));
+
+jest.mock('../../models/memberModel', () => ({
+  getMemberExtensionByPersonId: jest.fn(),
+  getMemberExtensionByStripeCustomerId: jest.fn(),
+  updateMemberExtension: jest.fn()
+}));
+
+jest.mock('../../models/organizationModel', () => ({
+  getOrganizationById: jest.fn(),
+  updateOrganization: jest.fn()
+}));
+
+const billingModel = require('../../models/billingModel');
+const memberModel = require('../../models/memberModel');
+const organizationModel = require('../../models/organizationModel');
+const billing = require('../../utils/billing');
+
+describe('Membership Billing Utility', () => {
+  const local = billing.providers.local;
+  let person;
+  let member;
+
+  const basicPlan = {
+    id: uuidv4(),
+    name: 'Basic',
+    monthly_price: 49,
+    billing_interval: 'month',
+    trial_days: 14,
+    enrollment_fee: 99,
+    is_active: true,
+    stripe_price_id: 'price_basic',
+    stripe_enrollment_price_id: 'price_basic_enrollment'
+  };
+  const premiumPlan = {
+    id: uuidv4(),
+    name: 'Premium',
+    monthly_price: 129,
+    billing_interval: 'month',
+    trial_days: 0,
+    enrollment_fee: 0,
+    is_active: true,
+    stripe_price_id: 'price_premium',
+    stripe_enrollment_price_id: null
+  };
+
+  const makeEvent = (type, object) => ({ id: `evt_${uuidv4()}`, type, data: { object } });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    local.reset();
+
+    person = { id: uuidv4(), first_name: 'Dana', last_name: 'Reyes', email: 'dana@example.com', phone: '+15551234567' };
+    member = {
+      id: uuidv4(),
+      person_id: person.id,
+      membership_type: 'premium',
+      payment_status: 'pending',
+      lifetime_value: 100,
+      current_monthly_spend: 0,
+      stripe_customer_id: null
+    };
+
+    billingModel.createCheckout.mockImplementation(async checkout => ({ id: uuidv4(), ...checkout }));
+    billingModel.claimEvent.mockImplementation(async event => ({ id: uuidv4(), ...event }));
+    billingModel.getCheckoutByStripeId.mockResolvedValue(null);
+    memberModel.getMemberExtensionByPersonId.mockImplementation(async id => (id === person.id ? member : null));
+    memberModel.getMemberExtensionByStripeCustomerId.mockResolvedValue(null);
+    memberModel.updateMemberExtension.mockImplementation(async (id, data) => ({ ...member, ...data }));
+  });
+
+  describe('validatePaymentCollection', () => {
+    it('should explain why payment cannot be collected', () => {
+      expect(billing.validatePaymentCollection('checkout', basicPlan)).toBeNull();
+      expect(billing.validatePaymentCollection('cash', basicPlan)).toMatch('checkout, payment_link');
+      expect(billing.validatePaymentCollection('checkout')).toMatch('membership plan is required');
+      expect(billing.validatePaymentCollection('checkout', { ...basicPlan, is_active: false }))
+        .toMatch('no longer offered');
+      expect(billing.validatePaymentCollection('payment_link', { ...basicPlan, stripe_price_id: null }))
+        .toMatch('has no Stripe price');
+    });
+  });
+
+  describe('createMembershipCheckout', () => {
+    it('should create a Stripe customer and checkout session for a new member', async () => {
+      const checkout = await billing.createMembershipCheckout(person, {
+        plan: premiumPlan,
+        method: 'checkout',
+        memberExtension: member,
+        userId: 'user-1'
+      });
+
+      const metadata = { person_id: person.id, membership_plan_id: premiumPlan.id, membership_type: 'Premium' };
+
+      expect(local.customers).toHaveLength(1);
+      expect(local.customers[0]).toMatchObject({
+        email: 'dana@example.com',
+        name: 'Dana Reyes',
+        metadata
+      });
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith(member.id, { stripe_customer_id: 'cus_local_1' });
+
+      expect(local.checkouts[0]).toMatchObject({
+        priceId: 'price_premium',
+        customerId: 'cus_local_1',
+        trialDays: 0,
+        enrollmentFeePriceId: null,
+        subscriptionMetadata: metadata
+      });
+      expect(checkout).toMatchObject({
+        person_id: person.id,
+        membership_plan_id: premiumPlan.id,
+        membership_type: 'Premium',
+        price_id: 'price_premium',
+        method: 'checkout',
+        stripe_id: 'cs_local_1',
+        url: 'https://checkout.stripe.local/cs_local_1',
+        status: 'open',
+        created_by: 'user-1'
+      });
+    });
+
+    it('should reuse the member\'s Stripe customer', async () => {
+      member.stripe_customer_id = 'cus_existing';
+
+      await billing.createMembershipCheckout(person, { plan: basicPlan, memberExtension: member });
+
+      expect(local.customers).toHaveLength(0);
+      expect(memberModel.updateMemberExtension).not.toHaveBeenCalled();
+      expect(local.checkouts[0]).toMatchObject({ customerId: 'cus_existing', priceId: 'price_basic' });
+    });
+
+    it('should apply the plan\'s trial and enrollment fee', async () => {
+      await billing.createMembershipCheckout(person, { plan: basicPlan, method: 'payment_link', memberExtension: member });
+
+      expect(local.checkouts[0]).toMatchObject({
+        priceId: 'price_basic',
+        trialDays: 14,
+        enrollmentFeePriceId: 'price_basic_enrollment'
+      });
+    });
+
+    it('should create a payment link without a customer', async () => {
+      const checkout = await billing.createMembershipCheckout(person, {
+        plan: basicPlan,
+        method: 'payment_link',
+        memberExtension: member
+      });
+
+      expect(local.customers).toHaveLength(0);
+      expect(checkout).toMatchObject({
+        method: 'payment_link',
+        stripe_id: 'plink_local_1',
+        url: 'https://buy.stripe.local/plink_local_1'
+      });
+    });
+
+    it('should reject a plan without a price', async () => {
+      await expect(billing.createMembershipCheckout(person, { plan: { ...basicPlan, stripe_price_id: null } }))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      expect(local.checkouts).toHaveLength(0);
+      expect(billingModel.createCheckout).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('webhook signatures', () => {
+    it('should accept a payload signed with the webhook secret', () => {
+      const payload = JSON.stringify(makeEvent('invoice.paid', { id: 'in_1' }));
+
+      const result = billing.parseWebhookEvent(payload, local.signPayload(payload));
+
+      expect(result.success).toBe(true);
+      expect(result.event.type).toBe('invoice.paid');
+    });
+
+    it('should reject a tampered payload', () => {
+      const payload = JSON.stringify(makeEvent('invoice.paid', { amount_paid: 100 }));
+      const signature = local.signPayload(payload);
+
+      const result = billing.parseWebhookEvent(payload.replace('100', '100000'), signature);
+
+      expect(result).toEqual({ success: false, error: 'Signature does not match the payload' });
+    });
+
+    it('should reject an old or missing signature', () => {
+      const payload = JSON.stringify(makeEvent('invoice.paid', {}));
+      const anHourAgo = Math.floor(Date.now() / 1000) - 3600;
+
+      expect(billing.parseWebhookEvent(payload, local.signPayload(payload, anHourAgo)).success).toBe(false);
+      expect(billing.parseWebhookEvent(payload, undefined).success).toBe(false);
+    });
+
+    it('should refuse every webhook until the webhook secret is configured', () => {
+      const payload = JSON.stringify(makeEvent('invoice.paid', {}));
+      const signature = local.signPayload(payload);
+      billing.config.webhookSecret = null;
+
+      try {
+        expect(billing.parseWebhookEvent(payload, signature)).toEqual({
+          success: false,
+          error: 'STRIPE_WEBHOOK_SECRET is not configured'
+        });
+      } finally {
+        billing.config.webhookSecret = 'whsec_test';
+      }
+    });
+  });
+
+  describe('getMonthlyAmount', () => {
+    it('should normalize subscription items to a monthly amount', () => {
+      const subscription = {
+        items: {
+          data: [
+            { price: { unit_amount: 4900, recurring: { interval: 'month', interval_count: 1 } }, quantity: 1 },
+            { price: { unit_amount: 12000, recurring: { interval: 'year', interval_count: 1 } }, quantity: 2 },
+            { price: { unit_amount: 3000, recurring: { interval: 'month', interval_count: 3 } }, quantity: 1 }
+          ]
+        }
+      };
+
+      // 49 + 240 / 12 + 30 / 3
+      expect(billing.getMonthlyAmount(subscription)).toBe(79);
+    });
+  });
+
+  describe('handleWebhookEvent', () => {
+    it('should add a paid invoice to lifetime value and mark the member current', async () => {
+      const result = await billing.handleWebhookEvent(makeEvent('invoice.paid', {
+        customer: 'cus_1',
+        amount_paid: 4950,
+        subscription_details: { metadata: { person_id: person.id } }
+      }));
+
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith(member.id, {
+        payment_status: 'current',
+        lifetime_value: 149.5,
+        stripe_customer_id: 'cus_1'
+      });
+      expect(billingModel.updateEvent).toHaveBeenCalledWith(expect.any(String), {
+        person_id: person.id,
+        amount: 49.5
+      });
+      expect(result).toEqual({ handled: true, duplicate: false, person_id: person.id });
+    });
+
+    it('should find the member by Stripe customer when the invoice has no metadata', async () => {
+      memberModel.getMemberExtensionByStripeCustomerId.mockResolvedValue(member);
+
+      await billing.handleWebhookEvent(makeEvent('invoice.payment_failed', { customer: 'cus_1' }));
+
+      expect(memberModel.getMemberExtensionByStripeCustomerId).toHaveBeenCalledWith('cus_1');
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith(member.id, { payment_status: 'past_due' });
+    });
+
+    it('should skip an event that was already processed', async () => {
+      billingModel.claimEvent.mockResolvedValue(null);
+
+      const result = await billing.handleWebhookEvent(makeEvent('invoice.paid', {
+        amount_paid: 4950,
+        subscription_details: { metadata: { person_id: person.id } }
+      }));
+
+      expect(result.duplicate).toBe(true);
+      expect(memberModel.updateMemberExtension).not.toHaveBeenCalled();
+    });
+
+    it('should set payment status and monthly spend from a subscription', async () => {
+      await billing.handleWebhookEvent(makeEvent('customer.subscription.updated', {
+        id: 'sub_1',
+        customer: 'cus_1',
+        status: 'past_due',
+        metadata: { person_id: person.id },
+        items: { data: [{ price: { unit_amount: 4900, recurring: { interval: 'month' } }, quantity: 1 }] }
+      }));
+
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith(member.id, {
+        stripe_customer_id: 'cus_1',
+        stripe_subscription_id: 'sub_1',
+        payment_status: 'past_due',
+        current_monthly_spend: 49
+      });
+    });
+
+    it('should clear monthly spend when a subscription ends', async () => {
+      await billing.handleWebhookEvent(makeEvent('customer.subscription.deleted', {
+        id: 'sub_1',
+        customer: 'cus_1',
+        status: 'canceled',
+        metadata: { person_id: person.id }
+      }));
+
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith(member.id, expect.objectContaining({
+        payment_status: 'canceled',
+        current_monthly_spend: 0
+      }));
+    });
+
+    it('should link the customer and complete the checkout when a payment link is paid', async () => {
+      const checkout = { id: uuidv4(), person_id: person.id, stripe_id: 'plink_1' };
+      billingModel.getCheckoutByStripeId.mockImplementation(async id => (id === 'plink_1' ? checkout : null));
+
+      await billing.handleWebhookEvent(makeEvent('checkout.session.completed', {
+        id: 'cs_from_link',
+        payment_link: 'plink_1',
+        customer: 'cus_new',
+        subscription: 'sub_new',
+        payment_status: 'paid'
+      }));
+
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith(member.id, {
+        stripe_customer_id: 'cus_new',
+        stripe_subscription_id: 'sub_new',
+        payment_status: 'current'
+      });
+      expect(billingModel.updateCheckout).toHaveBeenCalledWith(checkout.id, {
+        status: 'completed',
+        completed_at: expect.any(String)
+      });
+    });
+
+    it('should move the member onto the plan they paid for', async () => {
+      const checkout = {
+        id: uuidv4(),
+        person_id: person.id,
+        stripe_id: 'cs_1',
+        membership_plan_id: basicPlan.id,
+        membership_type: 'Basic'
+      };
+      billingModel.getCheckoutByStripeId.mockImplementation(async id => (id === 'cs_1' ? checkout : null));
+
+      await billing.handleWebhookEvent(makeEvent('checkout.session.completed', {
+        id: 'cs_1',
+        customer: 'cus_1',
+        subscription: 'sub_1',
+        payment_status: 'paid'
+      }));
+
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith(member.id, expect.objectContaining({
+        membership_plan_id: basicPlan.id,
+        membership_type: 'Basic'
+      }));
+    });
+
+    it('should acknowledge an event that matches no member', async () => {
+      const result = await billing.handleWebhookEvent(makeEvent('invoice.paid', { customer: 'cus_unknown' }));
+
+      expect(result.handled).toBe(false);
+      expect(memberModel.updateMemberExtension).not.toHaveBeenCalled();
+      expect(billingModel.updateEvent).not.toHaveBeenCalled();
+    });
+
+    it('should ignore event types it does not act on', async () => {
+      const result = await billing.handleWebhookEvent(makeEvent('customer.created', {}));
+
+      expect(result.handled).toBe(false);
+      expect(billingModel.claimEvent).not.toHaveBeenCalled();
+    });
+
+    it('should move an organization onto the tier of its active ORCA subscription', async () => {
+      const organization = { id: uuidv4(), plan_tier: 'starter' };
+      organizationModel.getOrganizationById.mockResolvedValue(organization);
+
+      const result = await billing.handleWebhookEvent(makeEvent('customer.subscription.updated', {
+        id: 'sub_orca',
+        customer: 'cus_orca',
+        status: 'active',
+        current_period_end: 1790000000,
+        metadata: { organization_id: organization.id, plan_tier: 'growth' }
+      }));
+
+      expect(organizationModel.updateOrganization).toHaveBeenCalledWith(organization.id, {
+        stripe_customer_id: 'cus_orca',
+        stripe_subscription_id: 'sub_orca',
+        subscription_status: 'active',
+        current_period_end: new Date(1790000000 * 1000).toISOString(),
+        plan_tier: 'growth'
+      });
+      expect(billingModel.updateEvent).toHaveBeenCalledWith(expect.any(String), { organization_id: organization.id });
+      expect(memberModel.updateMemberExtension).not.toHaveBeenCalled();
+      expect(result).toEqual({ handled: true, duplicate: false, person_id: null, organization_id: organization.id });
+    });
+
+    it('should not move an organization onto a tier that does not exist', async () => {
+      const organization = { id: uuidv4(), plan_tier: 'starter' };
+      organizationModel.getOrganizationById.mockResolvedValue(organization);
+
+      await billing.handleWebhookEvent(makeEvent('customer.subscription.updated', {
+        id: 'sub_orca',
+        customer: 'cus_orca',
+        status: 'active',
+        metadata: { organization_id: organization.id, plan_tier: 'enterprise' }
+      }));
+
+      expect(organizationModel.updateOrganization).toHaveBeenCalledWith(organization.id, expect.not.objectContaining({
+        plan_tier: expect.anything()
+      }));
+    });
+
+    it('should return an organization to Starter when its ORCA subscription ends', async () => {
+      const organization = { id: uuidv4(), plan_tier: 'scale', stripe_customer_id: 'cus_orca' };
+      organizationModel.getOrganizationById.mockResolvedValue(organization);
+
+      await billing.handleWebhookEvent(makeEvent('customer.subscription.deleted', {
+        id: 'sub_orca',
+        status: 'canceled',
+        metadata: { organization_id: organization.id, plan_tier: 'scale' }
+      }));
+
+      expect(organizationModel.updateOrganization).toHaveBeenCalledWith(organization.id, expect.objectContaining({
+        stripe_subscription_id: null,
+        subscription_status: 'canceled',
+        plan_tier: 'starter'
+      }));
+    });
+
+    it('should release the event when applying it fails', async () => {
+      memberModel.updateMemberExtension.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(billing.handleWebhookEvent(makeEvent('invoice.payment_failed', {
+        subscription_details: { metadata: { person_id: person.id } }
+      }))).rejects.toThrow('Database unavailable');
+
+      expect(billingModel.releaseEvent).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,383 @@
+/**
+ * Bulk Import Tests
+ * Tests for mapping, validating, deduplicating and writing imported leads and members
+ */
+const { v4: uuidv4 } = require('uuid');
+
+// Loaded through the membership plan pricing helpers
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+jest.mock('../../models/importModel', () => ({
+  getImports: jest.fn(),
+  getImportById: jest.fn(),
+  updateImport: jest.fn(),
+  claimImport: jest.fn()
+}));
+
+jest.mock('../../models/personModel', () => ({
+  findPersonsByContact: jest.fn()
+}));
+
+jest.mock('../../models/leadModel', () => ({
+  createLead: jest.fn(),
+  updateLead: jest.fn()
+}));
+
+jest.mock('../../models/memberModel', () => ({
+  createMember: jest.fn(),
+  updateMember: jest.fn()
+}));
+
+jest.mock('../../models/membershipPlanModel', () => ({
+  getPlans: jest.fn()
+}));
+
+const importModel = require('../../models/importModel');
+const personModel = require('../../models/personModel');
+const leadModel = require('../../models/leadModel');
+const memberModel = require('../../models/memberModel');
+const membershipPlanModel = require('../../models/membershipPlanModel');
+const bulkImport = require('../../utils/bulkImport');
+
+const plans = [
+  { id: uuidv4(), name: 'Premium', monthly_price: 79, enrollment_fee: 49, is_active: true }
+];
+
+const makeImport = (overrides = {}) => ({
+  id: uuidv4(),
+  organization_id: uuidv4(),
+  location_id: null,
+  import_type: 'lead',
+  file_name: 'leads.csv',
+  headers: ['Name', 'E-mail', 'Phone', 'Status'],
+  rows: [],
+  total_rows: 0,
+  column_mapping: { Name: 'full_name', 'E-mail': 'email', Phone: 'phone', Status: 'lead_status' },
+  duplicate_strategy: 'skip',
+  status: 'uploaded',
+  processed_rows: 0,
+  created_count: 0,
+  updated_count: 0,
+  skipped_count: 0,
+  error_count: 0,
+  errors: [],
+  ...overrides
+});
+
+describe('Bulk Import', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    personModel.findPersonsByContact.mockResolvedValue([]);
+    membershipPlanModel.getPlans.mockResolvedValue(plans);
+    importModel.updateImport.mockImplementation(async (id, changes) => ({ id, ...changes }));
+    leadModel.createLead.mockImplementation(async personData => ({ id: uuidv4(), ...personData }));
+    memberModel.createMember.mockImplementation(async personData => ({ id: uuidv4(), ...personData }));
+  });
+
+  describe('suggestMapping', () => {
+    it('should match headers to fields by name and common aliases', () => {
+      const mapping = bulkImport.suggestMapping(
+        ['First Name', 'Surname', 'E-mail Address', 'Mobile', 'Status', 'Favorite color'],
+        'member'
+      );
+
+      expect(mapping).toEqual({
+        'First Name': 'first_name',
+        Surname: 'last_name',
+        'E-mail Address': 'email',
+        Mobile: 'phone',
+        Status: 'membership_status'
+      });
+    });
+  });
+
+  describe('validateMapping', () => {
+    const headers = ['Name', 'E-mail', 'Phone', 'Status'];
+
+    it('should drop ignored columns', () => {
+      expect(bulkImport.validateMapping({ Name: 'full_name', 'E-mail': 'email', Phone: '' }, headers, 'lead'))
+        .toEqual({ Name: 'full_name', 'E-mail': 'email' });
+    });
+
+    it('should reject a field mapped from two columns', () => {
+      expect(() => bulkImport.validateMapping({ Name: 'full_name', 'E-mail': 'email', Phone: 'email' }, headers, 'lead'))
+        .toThrow('Email is mapped from both "E-mail" and "Phone"');
+    });
+
+    it('should reject fields that belong to the other import type', () => {
+      expect(() => bulkImport.validateMapping({ Name: 'full_name', 'E-mail': 'email', Status: 'membership_status' }, headers, 'lead'))
+        .toThrow('Unknown field "membership_status" for lead imports');
+    });
+
+    it('should require a name and a way to match contacts', () => {
+      expect(() => bulkImport.validateMapping({ 'E-mail': 'email' }, headers, 'lead'))
+        .toThrow('Map columns to first and last name, or to full name');
+      expect(() => bulkImport.validateMapping({ Name: 'full_name' }, headers, 'lead'))
+        .toThrow('Map a column to email or phone');
+    });
+  });
+
+  describe('parseDate', () => {
+    it('should read ISO, US and written-out dates', () => {
+      expect(bulkImport.parseDate('2024-03-04')).toBe('2024-03-04');
+      expect(bulkImport.parseDate('3/4/2024')).toBe('2024-03-04');
+      expect(bulkImport.parseDate('Mar 4, 2024')).toBe('2024-03-04');
+    });
+
+    it('should reject dates that do not exist', () => {
+      expect(bulkImport.parseDate('2/30/2024')).toBeNull();
+      expect(bulkImport.parseDate('soon')).toBeNull();
+    });
+  });
+
+  describe('buildRecord', () => {
+    it('should split full names and normalize lead data', () => {
+      const importJob = makeImport({
+        headers: ['Name', 'E-mail', 'Plan', 'Status'],
+        column_mapping: { Name: 'full_name', 'E-mail': 'email', Plan: 'preferred_membership', Status: 'lead_status' }
+      });
+
+      const record = bulkImport.buildRecord(
+        ['Doe, Jane', 'Jane@Example.com', 'premium', 'Contacted'],
+        importJob.headers,
+        importJob.column_mapping,
+        'lead',
+        plans
+      );
+
+      expect(record.errors).toEqual([]);
+      expect(record.personData).toEqual(expect.objectContaining({
+        first_name: 'Jane',
+        last_name: 'Doe',
+        email: 'jane@example.com',
+        preferred_membership: 'Premium',
+        preferred_membership_plan_id: plans[0].id
+      }));
+      expect(record.extensionData).toEqual(expect.objectContaining({
+        lead_status: 'contacted',
+        estimated_value: expect.any(Number)
+      }));
+    });
+
+    it('should collect conversion and schema errors for a row', () => {
+      const headers = ['First', 'Last', 'Email', 'Status', 'Billing day'];
+      const mapping = { First: 'first_name', Last: 'last_name', Email: 'email', Status: 'membership_status', 'Billing day': 'billing_day' };
+
+      const record = bulkImport.buildRecord(['Sam', '', 'not-an-email', 'paused', '40'], headers, mapping, 'member', plans);
+
+      expect(record.errors).toEqual(expect.arrayContaining([
+        'Membership status "paused" should be one of: active, frozen, cancelled, expired',
+        'last_name is required',
+        'Invalid email format',
+        'billing_day must be between 1 and 31'
+      ]));
+    });
+  });
+
+  describe('previewImport', () => {
+    it('should report what each row would do without writing anything', async () => {
+      const existing = { id: uuidv4(), first_name: 'Ann', last_name: 'Lee', email: 'ann@example.com', is_lead: true };
+      personModel.findPersonsByContact.mockResolvedValue([existing]);
+
+      const importJob = makeImport({
+        rows: [
+          ['Jane Doe', 'jane@example.com', '555-010-0001', 'new'],
+          ['Ann Lee', 'ANN@example.com', '', ''],
+          ['Jane D', '', '(555) 010-0001', ''],
+          ['', '', '', ''],
+          ['Bad Row', 'bad', '', 'nowhere']
+        ]
+      });
+
+      const preview = await bulkImport.previewImport(importJob, {
+        column_mapping: importJob.column_mapping
+      }, { organizationId: importJob.organization_id });
+
+      expect(preview.summary).toEqual({ total_rows: 5, create: 1, update: 0, skip: 3, error: 1 });
+      expect(preview.rows.map(({ row, action }) => [row, action])).toEqual([
+        [2, 'create'], [3, 'skip'], [4, 'skip'], [5, 'skip'], [6, 'error']
+      ]);
+      expect(preview.rows[1].reason).toBe('Matches Ann Lee, already in ORCA');
+      expect(preview.rows[2].reason).toBe('Same email or phone as row 2');
+      expect(preview.errors).toEqual([{
+        row: 6,
+        errors: ['Lead status "nowhere" is not a pipeline stage', 'Invalid email format']
+      }]);
+      expect(leadModel.createLead).not.toHaveBeenCalled();
+    });
+
+    it('should only update existing persons of the same kind', async () => {
+      personModel.findPersonsByContact.mockResolvedValue([
+        { id: uuidv4(), first_name: 'Ann', last_name: 'Lee', email: 'ann@example.com', is_lead: true },
+        { id: uuidv4(), first_name: 'Bo', last_name: 'Kim', email: 'bo@example.com', is_lead: false, is_member: true }
+      ]);
+
+      const importJob = makeImport({
+        rows: [
+          ['Ann Lee', 'ann@example.com', '', ''],
+          ['Bo Kim', 'bo@example.com', '', '']
+        ]
+      });
+
+      const preview = await bulkImport.previewImport(importJob, {
+        column_mapping: importJob.column_mapping,
+        duplicate_strategy: 'update'
+      });
+
+      expect(preview.rows.map(({ action }) => action)).toEqual(['update', 'skip']);
+      expect(preview.rows[1].reason).toBe("Matches Bo Kim, who isn't a lead");
+    });
+  });
+
+  describe('queueImport', () => {
+    it('should save the mapping and queue the import', async () => {
+      const importJob = makeImport({ rows: [['Jane Doe', 'jane@example.com', '', '']], total_rows: 1 });
+
+      await bulkImport.queueImport(importJob, {
+        column_mapping: importJob.column_mapping,
+        duplicate_strategy: 'update'
+      });
+
+      expect(importModel.updateImport).toHaveBeenCalledWith(importJob.id, {
+        status: 'queued',
+        column_mapping: importJob.column_mapping,
+        duplicate_strategy: 'update',
+        last_error: null
+      });
+    });
+
+    it('should not queue an import that is already running', async () => {
+      await expect(bulkImport.queueImport(makeImport({ status: 'processing' }), {}))
+        .rejects.toThrow('Import is already processing');
+    });
+  });
+
+  describe('processQueuedImports', () => {
+    const now = new Date('2024-01-08T13:00:00.000Z');
+
+    it('should write queued imports in chunks and record progress', async () => {
+      const chunkSize = bulkImport.config.chunkSize;
+      bulkImport.config.chunkSize = 2;
+
+      const importJob = makeImport({
+        status: 'queued',
+        rows: [
+          ['Jane Doe', 'jane@example.com', '', ''],
+          ['Ann Lee', 'ann@example.com', '', ''],
+          ['Bad Row', 'bad', '', '']
+        ],
+        total_rows: 3
+      });
+
+      importModel.getImports
+        .mockResolvedValueOnce([importJob])
+        .mockResolvedValueOnce([]);
+      importModel.getImportById.mockResolvedValue(importJob);
+      importModel.claimImport.mockImplementation(async job => ({ ...job, status: 'processing' }));
+
+      try {
+        const summary = await bulkImport.processQueuedImports(now);
+
+        expect(importModel.getImports).toHaveBeenCalledWith(
+          { status: 'processing', progressedBefore: '2024-01-08T12:50:00.000Z' },
+          expect.any(Object)
+        );
+        expect(leadModel.createLead).toHaveBeenCalledTimes(2);
+        expect(leadModel.createLead).toHaveBeenCalledWith(
+          expect.objectContaining({ first_name: 'Jane', last_name: 'Doe' }),
+          expect.objectContaining({
+            lead_status: 'new',
+            status_history: [expect.objectContaining({ notes: 'Imported from leads.csv' })]
+          }),
+          { organizationId: importJob.organization_id, locationId: null, locationIds: [] }
+        );
+        expect(importModel.updateImport).toHaveBeenCalledWith(importJob.id, expect.objectContaining({
+          processed_rows: 2,
+          created_count: 2
+        }));
+        expect(importModel.updateImport).toHaveBeenCalledWith(importJob.id, expect.objectContaining({
+          processed_rows: 3,
+          created_count: 2,
+          error_count: 1,
+          errors: [{ row: 4, errors: ['Invalid email format'] }]
+        }));
+        expect(importModel.updateImport).toHaveBeenLastCalledWith(importJob.id, expect.objectContaining({
+          status: 'completed'
+        }));
+        expect(summary.results).toEqual([{ id: importJob.id, status: 'completed' }]);
+      } finally {
+        bulkImport.config.chunkSize = chunkSize;
+      }
+    });
+
+    it('should resume a stalled import from its last chunk', async () => {
+      const importJob = makeImport({
+        import_type: 'member',
+        status: 'processing',
+        headers: ['Name', 'Email'],
+        column_mapping: { Name: 'full_name', Email: 'email' },
+        rows: [
+          ['Jane Doe', 'jane@example.com'],
+          ['Ann Lee', 'ann@example.com']
+        ],
+        total_rows: 2,
+        processed_rows: 1,
+        created_count: 1,
+        progressed_at: '2024-01-08T12:00:00.000Z'
+      });
+
+      importModel.getImports
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([importJob]);
+      importModel.getImportById.mockResolvedValue(importJob);
+      importModel.claimImport.mockImplementation(async job => job);
+
+      await bulkImport.processQueuedImports(now);
+
+      expect(memberModel.createMember).toHaveBeenCalledTimes(1);
+      expect(memberModel.createMember).toHaveBeenCalledWith(
+        expect.objectContaining({ email: 'ann@example.com' }),
+        expect.any(Object),
+        expect.any(Object)
+      );
+      expect(importModel.updateImport).toHaveBeenCalledWith(importJob.id, expect.objectContaining({
+        processed_rows: 2,
+        created_count: 2
+      }));
+    });
+
+    it('should skip an import claimed by another worker', async () => {
+      const importJob = makeImport({ status: 'queued', rows: [['Jane Doe', 'jane@example.com', '', '']], total_rows: 1 });
+
+      importModel.getImports
+        .mockResolvedValueOnce([importJob])
+        .mockResolvedValueOnce([]);
+      importModel.getImportById.mockResolvedValue(importJob);
+      importModel.claimImport.mockResolvedValue(null);
+
+      const summary = await bulkImport.processQueuedImports(now);
+
+      expect(leadModel.createLead).not.toHaveBeenCalled();
+      expect(summary.processed).toBe(0);
+    });
+  });
+
+  describe('buildErrorReport', () => {
+    it('should list each failed row with its original cells and errors', () => {
+      const importJob = makeImport({
+        rows: [
+          ['Jane Doe', 'jane@example.com', '', ''],
+          ['Bad, Row', 'bad', '', '']
+        ],
+        errors: [{ row: 3, errors: ['Invalid email format', 'last_name is required'] }]
+      });
+
+      expect(bulkImport.buildErrorReport(importJob).split('\r\n').filter(Boolean)).toEqual([
+        'Row,Name,E-mail,Phone,Status,Errors',
+        '3,"Bad, Row",bad,,,Invalid email format; last_name is required'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * Calendar Sync Tests
+ * Tests for applying changes made in the salesperson's calendar to referral
+ * appointments, using the local calendar provider in place of Google
+ */
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+
+jest.mock('../../models/calendarSyncModel', () => ({
+  getSyncByUserId: jest.fn(),
+  getSyncByChannelId: jest.fn(),
+  saveSync: jest.fn(),
+  deleteSync: jest.fn()
+}));
+
+jest.mock('../../models/oauthConnectionModel', () => ({
+  getConnections: jest.fn()
+}));
+
+jest.mock('../../models/referralModel', () => ({
+  getReferralByCalendarEventId: jest.fn(),
+  updateReferralAppointment: jest.fn()
+}));
+
+jest.mock('../../models/userModel', () => ({
+  getUserById: jest.fn()
+}));
+
+const calendarSyncModel = require('../../models/calendarSyncModel');
+const oauthConnectionModel = require('../../models/oauthConnectionModel');
+const referralModel = require('../../models/referralModel');
+const userModel = require('../../models/userModel');
+const appointmentCalendar = require('../../utils/appointmentCalendar');
+const calendarSync = require('../../utils/calendarSync');
+
+describe('Calendar Sync', () => {
+  const salesperson = { id: 'user-1', first_name: 'Alex', email: 'alex@orca.test' };
+  const at = (hours) => new Date(2030, 0, 7, hours).toISOString();
+  const local = () => appointmentCalendar.providers.local;
+  let sync;
+  let event;
+  let referral;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    appointmentCalendar.config.provider = 'local';
+    local().reset();
+    calendarSync.config.webhookUrl = null;
+
+    const booked = await appointmentCalendar.bookAppointment(salesperson, {
+      start: at(10),
+      summary: 'Consultation',
+      attendees: ['sam@example.com']
+    });
+    event = local().events[0];
+
+    referral = {
+      id: 'referral-1',
+      first_name: 'Sam',
+      email: 'Sam@Example.com',
+      assigned_to: salesperson.id,
+      referral_extensions: [{
+        appointment_date: booked.start,
+        appointment_status: 'scheduled',
+        google_calendar_event_id: booked.id,
+        appointment_calendar_user_id: salesperson.id
+      }]
+    };
+
+    // Synced up to the booking
+    sync = { id: 'sync-1', user_id: salesperson.id, sync_token: String(local().version) };
+
+    calendarSyncModel.getSyncByUserId.mockImplementation(async () => sync);
+    calendarSyncModel.saveSync.mockImplementation(async (userId, data) => {
+      sync = { ...sync, ...data };
+      return sync;
+    });
+    referralModel.getReferralByCalendarEventId.mockImplementation(async (eventId) =>
+      (eventId === booked.id ? referral : null)
+    );
+    userModel.getUserById.mockResolvedValue(salesperson);
+  });
+
+  describe('syncUserCalendar', () => {
+    it('should apply an event moved in the calendar', async () => {
+      await local().updateEvent(salesperson, event.id, { startDateTime: at(14), endDateTime: at(15) });
+
+      const summary = await calendarSync.syncUserCalendar(salesperson);
+
+      expect(summary.applied).toEqual([expect.objectContaining({
+        referral_id: 'referral-1',
+        appointment_status: 'rescheduled',
+        appointment_date: at(14)
+      })]);
+      expect(referralModel.updateReferralAppointment).toHaveBeenCalledWith('referral-1', {
+        appointment_date: at(14),
+        appointment_end_date: at(15),
+        appointment_status: 'rescheduled',
+        statusChangeNotes: `Appointment moved in Google Calendar from ${at(10)} to ${at(14)}`
+      });
+    });
+
+    it('should cancel the appointment when the event is deleted', async () => {
+      await local().deleteEvent(salesperson, event.id);
+
+      await calendarSync.syncUserCalendar(salesperson);
+
+      expect(referralModel.updateReferralAppointment).toHaveBeenCalledWith('referral-1', {
+        appointment_status: 'cancelled',
+        statusChangeNotes: 'Appointment cancelled in Google Calendar'
+      });
+    });
+
+    it('should cancel the appointment when the referral declines the invitation', async () => {
+      local().respond(event.id, 'sam@example.com', 'declined');
+
+      await calendarSync.syncUserCalendar(salesperson);
+
+      expect(referralModel.updateReferralAppointment).toHaveBeenCalledWith('referral-1', {
+        appointment_status: 'cancelled',
+        statusChangeNotes: 'Sam declined the calendar invitation'
+      });
+    });
+
+    it('should ignore changes that match the stored appointment', async () => {
+      local().respond(event.id, 'sam@example.com', 'accepted');
+
+      const summary = await calendarSync.syncUserCalendar(salesperson);
+
+      expect(summary).toMatchObject({ checked: 1, applied: [] });
+      expect(referralModel.updateReferralAppointment).not.toHaveBeenCalled();
+    });
+
+    it('should ignore appointments that are already cancelled', async () => {
+      referral.referral_extensions[0].appointment_status = 'cancelled';
+      await local().deleteEvent(salesperson, event.id);
+
+      await calendarSync.syncUserCalendar(salesperson);
+
+      expect(referralModel.updateReferralAppointment).not.toHaveBeenCalled();
+    });
+
+    it('should ignore the copy of an event on another user\'s calendar', async () => {
+      const colleague = { id: 'user-2' };
+      referral.referral_extensions[0].appointment_calendar_user_id = colleague.id;
+      await local().updateEvent(salesperson, event.id, { startDateTime: at(14) });
+
+      await calendarSync.syncUserCalendar(salesperson);
+
+      expect(referralModel.updateReferralAppointment).not.toHaveBeenCalled();
+    });
+
+    it('should only fetch changes since the stored sync token', async () => {
+      const listChanges = jest.spyOn(local(), 'listChanges');
+
+      await calendarSync.syncUserCalendar(salesperson);
+
+      expect(listChanges).toHaveBeenCalledWith(salesperson, String(local().version));
+      expect(referralModel.getReferralByCalendarEventId).not.toHaveBeenCalled();
+      expect(calendarSyncModel.saveSync).toHaveBeenCalledWith(salesperson.id, expect.objectContaining({
+        sync_token: String(local().version),
+        last_error: null
+      }));
+
+      listChanges.mockRestore();
+    });
+
+    it('should run a full sync when the sync token has expired', async () => {
+      const listChanges = jest.spyOn(local(), 'listChanges')
+        .mockRejectedValueOnce(Object.assign(new Error('Sync token is no longer valid'), { code: 410 }));
+
+      const summary = await calendarSync.syncUserCalendar(salesperson);
+
+      expect(listChanges).toHaveBeenLastCalledWith(salesperson, null);
+      expect(summary.checked).toBe(1);
+
+      listChanges.mockRestore();
+    });
+
+    it('should record other errors on the sync state', async () => {
+      const listChanges = jest.spyOn(local(), 'listChanges').mockRejectedValueOnce(new Error('Network Error'));
+
+      await expect(calendarSync.syncUserCalendar(salesperson)).rejects.toThrow('Network Error');
+      expect(calendarSyncModel.saveSync).toHaveBeenCalledWith(salesperson.id, { last_error: 'Network Error' });
+
+      listChanges.mockRestore();
+    });
+
+    it('should apply a change only once when syncs overlap', async () => {
+      await local().updateEvent(salesperson, event.id, { startDateTime: at(14) });
+      referralModel.updateReferralAppointment.mockImplementation(async (id, data) => {
+        referral.referral_extensions[0].appointment_date = data.appointment_date;
+      });
+
+      await Promise.all([
+        calendarSync.syncUserCalendar(salesperson),
+        calendarSync.syncUserCalendar(salesperson)
+      ]);
+
+      expect(referralModel.updateReferralAppointment).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('watchUserCalendar', () => {
+    beforeEach(() => {
+      calendarSync.config.webhookUrl = 'https://api.orca.test/api/referrals/webhooks/google-calendar';
+    });
+
+    it('should do nothing when push notifications are off', async () => {
+      calendarSync.config.webhookUrl = null;
+
+      expect(await calendarSync.watchUserCalendar(salesperson)).toBeNull();
+      expect(calendarSyncModel.saveSync).not.toHaveBeenCalled();
+    });
+
+    it('should start a channel with a secret token', async () => {
+      const watch = jest.spyOn(local(), 'watch');
+
+      const saved = await calendarSync.watchUserCalendar(salesperson);
+
+      expect(watch).toHaveBeenCalledWith(salesperson, {
+        id: expect.any(String),
+        token: expect.stringMatching(/^[0-9a-f]{48}$/),
+        address: 'https://api.orca.test/api/referrals/webhooks/google-calendar'
+      });
+      expect(saved).toMatchObject({
+        channel_id: watch.mock.calls[0][1].id,
+        channel_token: watch.mock.calls[0][1].token,
+        channel_resource_id: 'local_resource'
+      });
+
+      watch.mockRestore();
+    });
+
+    it('should keep a channel that is not about to expire', async () => {
+      sync.channel_id = 'channel-1';
+      sync.channel_expires_at = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString();
+
+      await calendarSync.watchUserCalendar(salesperson);
+
+      expect(calendarSyncModel.saveSync).not.toHaveBeenCalled();
+    });
+
+    it('should replace a channel that is about to expire', async () => {
+      const stopWatching = jest.spyOn(local(), 'stopWatching');
+      sync.channel_id = 'channel-1';
+      sync.channel_resource_id = 'resource-1';
+      sync.channel_expires_at = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+      const saved = await calendarSync.watchUserCalendar(salesperson);
+
+      expect(saved.channel_id).not.toBe('channel-1');
+      expect(stopWatching).toHaveBeenCalledWith(salesperson, { id: 'channel-1', resourceId: 'resource-1' });
+
+      stopWatching.mockRestore();
+    });
+  });
+
+  describe('handleNotification', () => {
+    beforeEach(() => {
+      sync.channel_id = 'channel-1';
+      sync.channel_token = 'secret-token';
+      calendarSyncModel.getSyncByChannelId.mockImplementation(async (channelId) =>
+        (channelId === sync.channel_id ? sync : null)
+      );
+    });
+
+    it('should sync the calendar behind the channel', async () => {
+      await local().deleteEvent(salesperson, event.id);
+
+      const summary = await calendarSync.handleNotification({
+        channelId: 'channel-1',
+        channelToken: 'secret-token',
+        resourceState: 'exists'
+      });
+
+      expect(summary.applied).toHaveLength(1);
+      expect(userModel.getUserById).toHaveBeenCalledWith(salesperson.id);
+    });
+
+    it('should ignore unknown channels and wrong tokens', async () => {
+      expect(await calendarSync.handleNotification({ channelId: 'channel-9', channelToken: 'secret-token' })).toBeNull();
+      expect(await calendarSync.handleNotification({ channelId: 'channel-1', channelToken: 'wrong' })).toBeNull();
+      expect(await calendarSync.handleNotification({ channelId: 'channel-1' })).toBeNull();
+      expect(userModel.getUserById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('syncAllCalendars', () => {
+    it('should sync every connected calendar and carry on past failures', async () => {
+      oauthConnectionModel.getConnections.mockResolvedValue([{ user_id: 'user-9' }, { user_id: salesperson.id }]);
+      userModel.getUserById.mockImplementation(async (id) => {
+        if (id === 'user-9') {
+          throw new Error('User not found');
+        }
+        return salesperson;
+      });
+      await local().deleteEvent(salesperson, event.id);
+
+      const summary = await calendarSync.syncAllCalendars();
+
+      expect(oauthConnectionModel.getConnections).toHaveBeenCalledWith('google', { status: 'connected' });
+      expect(summary).toEqual({ skipped: false, synced: 1, applied: 1 });
+    });
+  });
+
+  describe('stopSyncingUserCalendar', () => {
+    it('should stop the channel and remove the sync state', async () => {
+      const stopWatching = jest.spyOn(local(), 'stopWatching');
+      sync.channel_id = 'channel-1';
+      sync.channel_resource_id = 'resource-1';
+
+      await calendarSync.stopSyncingUserCalendar(salesperson);
+
+      expect(stopWatching).toHaveBeenCalledWith(salesperson, { id: 'channel-1', resourceId: 'resource-1' });
+      expect(calendarSyncModel.deleteSync).toHaveBeenCalledWith(salesperson.id);
+
+      stopWatching.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Churn Risk Tests
+ * Tests for scoring members' churn risk from attendance and engagement
+ * signals, and for the retention action created when a member becomes high risk
+ */
+jest.mock('../../models/memberModel', () => ({
+  getMembersForChurnScoring: jest.fn(),
+  getCheckInsSince: jest.fn(),
+  updateMemberExtension: jest.fn()
+}));
+
+jest.mock('../../models/interactionModel', () => ({
+  getSentimentsSince: jest.fn()
+}));
+
+const memberModel = require('../../models/memberModel');
+const interactionModel = require('../../models/interactionModel');
+const churnRisk = require('../../utils/churnRisk');
+
+describe('Churn Risk', () => {
+  const now = new Date('2030-03-01T12:00:00.000Z');
+  const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+  const checkInsOn = (personId, days) => days.map(day => ({ person_id: personId, checked_in_at: daysAgo(day) }));
+  let member;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    member = {
+      id: 'ext-1',
+      person_id: 'person-1',
+      last_check_in: daysAgo(2),
+      attendance_streak: 3,
+      payment_status: 'current',
+      satisfaction_score: 8,
+      churn_risk: 'low',
+      retention_actions: [],
+      persons: { organization_id: 'org-1', assigned_to: 'user-1', first_name: 'Jane', last_name: 'Member' }
+    };
+
+    memberModel.getMembersForChurnScoring.mockImplementation(async page => (page === 0 ? [member] : []));
+    memberModel.getCheckInsSince.mockResolvedValue([]);
+    memberModel.updateMemberExtension.mockImplementation(async (id, data) => ({ id, ...data }));
+    interactionModel.getSentimentsSince.mockResolvedValue([]);
+  });
+
+  describe('scoreMember', () => {
+    it('should score an engaged member as low risk with no factors', () => {
+      const result = churnRisk.scoreMember(member, { now });
+
+      expect(result).toEqual({ score: 0, risk: 'low', factors: [] });
+    });
+
+    it('should add up the factors behind a disengaged member\'s score', () => {
+      member.last_check_in = daysAgo(20);
+      member.attendance_streak = 0;
+      member.payment_status = 'past_due';
+      member.satisfaction_score = 5;
+
+      const result = churnRisk.scoreMember(member, {
+        checkIns: checkInsOn(member.person_id, [20, 35, 40, 45, 50, 60, 70, 80, 85]),
+        sentiments: [{ person_id: member.person_id, sentiment: 'negative' }],
+        now
+      });
+
+      expect(result.factors.map(f => [f.factor, f.points])).toEqual([
+        ['recency', 20],
+        ['frequency_decay', 25],
+        ['attendance_streak', 5],
+        ['payment_status', 20],
+        ['satisfaction', 10],
+        ['sentiment', 15]
+      ]);
+      expect(result.score).toBe(95);
+      expect(result.risk).toBe('high');
+    });
+
+    it('should cap the score at 100', () => {
+      member.last_check_in = null;
+      member.attendance_streak = 0;
+      member.payment_status = 'canceled';
+      member.satisfaction_score = 2;
+
+      const result = churnRisk.scoreMember(member, {
+        sentiments: [{ person_id: member.person_id, sentiment: 'negative' }],
+        now
+      });
+
+      expect(result.score).toBe(100);
+      expect(result.factors[0]).toEqual({ factor: 'recency', points: 30, detail: 'Has never checked in' });
+    });
+
+    it('should let good signals lower the score', () => {
+      member.last_check_in = daysAgo(10);
+      member.attendance_streak = 6;
+      member.satisfaction_score = 9;
+
+      const result = churnRisk.scoreMember(member, {
+        sentiments: [{ person_id: member.person_id, sentiment: 'positive' }],
+        now
+      });
+
+      expect(result.factors.map(f => f.points)).toEqual([10, -5, -5, -5]);
+      expect(result.score).toBe(0);
+    });
+
+    it('should not count frequency decay without enough history', () => {
+      const result = churnRisk.scoreMember(member, {
+        checkIns: checkInsOn(member.person_id, [40]),
+        now
+      });
+
+      expect(result.factors.find(f => f.factor === 'frequency_decay')).toBeUndefined();
+    });
+
+    it('should rate a score by the configured thresholds', () => {
+      expect(churnRisk.getRiskLevel(34)).toBe('low');
+      expect(churnRisk.getRiskLevel(35)).toBe('medium');
+      expect(churnRisk.getRiskLevel(60)).toBe('high');
+    });
+  });
+
+  describe('processChurnScoring', () => {
+    const makeHighRisk = () => {
+      member.last_check_in = daysAgo(45);
+      member.attendance_streak = 0;
+      member.payment_status = 'failed';
+    };
+
+    it('should write the score, risk and factors back to the member', async () => {
+      member.last_check_in = daysAgo(20);
+      member.payment_status = 'past_due';
+
+      const summary = await churnRisk.processChurnScoring(now);
+
+      expect(summary.processed).toBe(1);
+      expect(memberModel.getCheckInsSince).toHaveBeenCalledWith(['person-1'], new Date(daysAgo(90)));
+      expect(interactionModel.getSentimentsSince).toHaveBeenCalledWith(['person-1'], new Date(daysAgo(60)));
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith('ext-1', {
+        churn_score: 40,
+        churn_risk: 'medium',
+        churn_risk_factors: [
+          { factor: 'recency', points: 20, detail: 'Last checked in 20 days ago' },
+          { factor: 'payment_status', points: 20, detail: 'Payment status is past due' }
+        ],
+        churn_scored_at: now.toISOString()
+      });
+      expect(summary.results[0].retention_action_id).toBeNull();
+    });
+
+    it('should give the salesperson a retention action when a member becomes high risk', async () => {
+      makeHighRisk();
+
+      const summary = await churnRisk.processChurnScoring(now);
+      const update = memberModel.updateMemberExtension.mock.calls[0][1];
+
+      expect(update.churn_risk).toBe('high');
+      expect(update.retention_actions).toEqual([
+        expect.objectContaining({
+          id: summary.results[0].retention_action_id,
+          type: 'churn_outreach',
+          status: 'open',
+          assigned_to: 'user-1',
+          title: 'Reach out to Jane Member: high churn risk',
+          due_date: daysAgo(-2),
+          churn_score: update.churn_score,
+          factors: update.churn_risk_factors
+        })
+      ]);
+    });
+
+    it('should not create another retention action for a member already at high risk', async () => {
+      makeHighRisk();
+      member.churn_risk = 'high';
+
+      await churnRisk.processChurnScoring(now);
+
+      expect(memberModel.updateMemberExtension.mock.calls[0][1].retention_actions).toBeUndefined();
+    });
+
+    it('should not duplicate an outreach that is still open', async () => {
+      makeHighRisk();
+      member.churn_risk = 'medium';
+      member.retention_actions = [{ id: 'action-1', type: 'churn_outreach', status: 'open' }];
+
+      await churnRisk.processChurnScoring(now);
+
+      expect(memberModel.updateMemberExtension.mock.calls[0][1].retention_actions).toBeUndefined();
+    });
+
+    it('should page through members in batches', async () => {
+      const batchSize = churnRisk.config.batchSize;
+      churnRisk.config.batchSize = 1;
+      const other = { ...member, id: 'ext-2', person_id: 'person-2' };
+      memberModel.getMembersForChurnScoring.mockImplementation(async page => [member, other].slice(page, page + 1));
+
+      try {
+        const summary = await churnRisk.processChurnScoring(now);
+
+        expect(summary.processed).toBe(2);
+        expect(memberModel.getMembersForChurnScoring).toHaveBeenCalledTimes(3);
+      } finally {
+        churnRisk.config.batchSize = batchSize;
+      }
+    });
+
+    it('should keep scoring other members when one fails', async () => {
+      const other = { ...member, id: 'ext-2', person_id: 'person-2' };
+      memberModel.getMembersForChurnScoring.mockImplementation(async page => (page === 0 ? [member, other] : []));
+      memberModel.updateMemberExtension.mockRejectedValueOnce(new Error('write failed'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const summary = await churnRisk.processChurnScoring(now);
+
+      expect(summary.processed).toBe(1);
+      expect(summary.results[0].id).toBe('ext-2');
+      console.error.mockRestore();
+    });
+  });
+});
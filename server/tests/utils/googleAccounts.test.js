@@ -0,0 +1,248 @@
+/**
+ * Google Account Tests
+ * Tests for connecting Google accounts, the OAuth state and automatic token refresh
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../config/google', () => ({
+  getGoogleAuthUrl: jest.fn(state => `https://accounts.google.com/o/oauth2/v2/auth?state=${state}`),
+  getGoogleTokens: jest.fn(),
+  refreshGoogleTokens: jest.fn(),
+  revokeGoogleToken: jest.fn()
+}));
+
+jest.mock('../../models/oauthConnectionModel', () => ({
+  getConnection: jest.fn(),
+  saveConnection: jest.fn(),
+  updateConnection: jest.fn(),
+  deleteConnection: jest.fn()
+}));
+
+const google = require('../../config/google');
+const oauthConnectionModel = require('../../models/oauthConnectionModel');
+const { encrypt, decrypt } = require('../../utils/tokenEncryption');
+const googleAccounts = require('../../utils/googleAccounts');
+
+describe('Google Accounts', () => {
+  const userId = 'user-1';
+  const hour = 60 * 60 * 1000;
+
+  const storedConnection = (overrides = {}) => ({
+    id: 'connection-1',
+    user_id: userId,
+    provider: 'google',
+    account_email: 'alex@gmail.com',
+    access_token_encrypted: encrypt('access-old'),
+    refresh_token_encrypted: encrypt('refresh-1'),
+    token_expires_at: new Date(Date.now() + hour).toISOString(),
+    status: 'connected',
+    last_error: null,
+    ...overrides
+  });
+
+  beforeAll(() => {
+    process.env.TOKEN_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    oauthConnectionModel.saveConnection.mockImplementation(async (data) => ({ id: 'connection-1', ...data }));
+    oauthConnectionModel.updateConnection.mockImplementation(async (id, data) => ({ id, ...data }));
+  });
+
+  describe('OAuth state', () => {
+    it('should sign the user into the state and read it back', () => {
+      const url = googleAccounts.getAuthUrl(userId);
+      const state = new URL(url).searchParams.get('state');
+
+      expect(googleAccounts.verifyState(state)).toBe(userId);
+    });
+
+    it('should reject a forged state', () => {
+      const forged = jwt.sign({ sub: userId, purpose: 'google_connect' }, 'some-other-secret');
+
+      expect(() => googleAccounts.verifyState(forged)).toThrow('Invalid or expired OAuth state');
+      expect(() => googleAccounts.verifyState('not-a-token')).toThrow('Invalid or expired OAuth state');
+      expect(() => googleAccounts.verifyState(undefined)).toThrow('Invalid or expired OAuth state');
+    });
+
+    it('should reject an expired state', () => {
+      const secret = process.env.JWT_SECRET || 'your-secret-jwt-key';
+      const expired = jwt.sign(
+        { sub: userId, purpose: 'google_connect', exp: Math.floor(Date.now() / 1000) - 60 },
+        secret
+      );
+
+      expect(() => googleAccounts.verifyState(expired)).toThrow('Invalid or expired OAuth state');
+    });
+
+    it('should reject a login token used as state', () => {
+      const secret = process.env.JWT_SECRET || 'your-secret-jwt-key';
+      const sessionToken = jwt.sign({ id: userId }, secret);
+
+      expect(() => googleAccounts.verifyState(sessionToken)).toThrow('Invalid or expired OAuth state');
+    });
+  });
+
+  describe('connect', () => {
+    it('should store the tokens encrypted with the account email', async () => {
+      google.getGoogleTokens.mockResolvedValue({
+        access_token: 'access-1',
+        refresh_token: 'refresh-1',
+        expiry_date: Date.now() + hour,
+        scope: 'openid https://www.googleapis.com/auth/calendar',
+        id_token: jwt.sign({ email: 'alex@gmail.com' }, 'google-signed')
+      });
+      oauthConnectionModel.getConnection.mockResolvedValue(null);
+
+      await googleAccounts.connect(userId, 'auth-code');
+
+      const saved = oauthConnectionModel.saveConnection.mock.calls[0][0];
+      expect(saved).toMatchObject({
+        user_id: userId,
+        provider: 'google',
+        account_email: 'alex@gmail.com',
+        scopes: ['openid', 'https://www.googleapis.com/auth/calendar'],
+        status: 'connected'
+      });
+      expect(JSON.stringify(saved)).not.toContain('refresh-1');
+      expect(decrypt(saved.refresh_token_encrypted)).toBe('refresh-1');
+      expect(decrypt(saved.access_token_encrypted)).toBe('access-1');
+    });
+
+    it('should keep the stored refresh token when Google does not send a new one', async () => {
+      google.getGoogleTokens.mockResolvedValue({ access_token: 'access-2', expiry_date: Date.now() + hour });
+      oauthConnectionModel.getConnection.mockResolvedValue(storedConnection());
+
+      await googleAccounts.connect(userId, 'auth-code');
+
+      const saved = oauthConnectionModel.saveConnection.mock.calls[0][0];
+      expect(decrypt(saved.refresh_token_encrypted)).toBe('refresh-1');
+      expect(saved.account_email).toBe('alex@gmail.com');
+    });
+
+    it('should fail without any refresh token', async () => {
+      google.getGoogleTokens.mockResolvedValue({ access_token: 'access-2' });
+      oauthConnectionModel.getConnection.mockResolvedValue(null);
+
+      await expect(googleAccounts.connect(userId, 'auth-code')).rejects.toMatchObject({ statusCode: 400 });
+      expect(oauthConnectionModel.saveConnection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTokens', () => {
+    it('should return the stored tokens while the access token is fresh', async () => {
+      oauthConnectionModel.getConnection.mockResolvedValue(storedConnection());
+
+      const tokens = await googleAccounts.getTokens(userId);
+
+      expect(tokens).toMatchObject({ access_token: 'access-old', refresh_token: 'refresh-1' });
+      expect(google.refreshGoogleTokens).not.toHaveBeenCalled();
+    });
+
+    it('should refresh an access token that is about to expire', async () => {
+      oauthConnectionModel.getConnection.mockResolvedValue(storedConnection({
+        token_expires_at: new Date(Date.now() + 60 * 1000).toISOString()
+      }));
+      google.refreshGoogleTokens.mockResolvedValue({ access_token: 'access-new', expiry_date: Date.now() + hour });
+
+      const tokens = await googleAccounts.getTokens(userId);
+
+      expect(google.refreshGoogleTokens).toHaveBeenCalledWith('refresh-1');
+      expect(tokens.access_token).toBe('access-new');
+
+      const [id, update] = oauthConnectionModel.updateConnection.mock.calls[0];
+      expect(id).toBe('connection-1');
+      expect(decrypt(update.access_token_encrypted)).toBe('access-new');
+      expect(decrypt(update.refresh_token_encrypted)).toBe('refresh-1');
+      expect(update.last_error).toBeNull();
+    });
+
+    it('should store a rotated refresh token', async () => {
+      oauthConnectionModel.getConnection.mockResolvedValue(storedConnection({ token_expires_at: null }));
+      google.refreshGoogleTokens.mockResolvedValue({
+        access_token: 'access-new',
+        refresh_token: 'refresh-2',
+        expiry_date: Date.now() + hour
+      });
+
+      await googleAccounts.getTokens(userId);
+
+      const [, update] = oauthConnectionModel.updateConnection.mock.calls[0];
+      expect(decrypt(update.refresh_token_encrypted)).toBe('refresh-2');
+    });
+
+    it('should mark the connection for reconnecting when Google revokes it', async () => {
+      oauthConnectionModel.getConnection.mockResolvedValue(storedConnection({ token_expires_at: null }));
+      google.refreshGoogleTokens.mockRejectedValue(Object.assign(new Error('invalid_grant'), {
+        response: { data: { error: 'invalid_grant' } }
+      }));
+
+      await expect(googleAccounts.getTokens(userId)).rejects.toMatchObject({ statusCode: 409 });
+      expect(oauthConnectionModel.updateConnection).toHaveBeenCalledWith('connection-1', {
+        status: 'needs_reauth',
+        last_error: 'invalid_grant'
+      });
+    });
+
+    it('should keep the connection on a temporary refresh failure', async () => {
+      oauthConnectionModel.getConnection.mockResolvedValue(storedConnection({ token_expires_at: null }));
+      google.refreshGoogleTokens.mockRejectedValue(new Error('socket hang up'));
+
+      await expect(googleAccounts.getTokens(userId)).rejects.toThrow('socket hang up');
+      expect(oauthConnectionModel.updateConnection).toHaveBeenCalledWith('connection-1', {
+        status: 'connected',
+        last_error: 'socket hang up'
+      });
+    });
+
+    it('should refuse when the user has not connected', async () => {
+      oauthConnectionModel.getConnection.mockResolvedValue(null);
+
+      await expect(googleAccounts.getTokens(userId)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should report health without exposing tokens', async () => {
+      oauthConnectionModel.getConnection.mockResolvedValue(storedConnection());
+
+      const status = await googleAccounts.getStatus(userId);
+
+      expect(status).toMatchObject({ connected: true, healthy: true, account_email: 'alex@gmail.com' });
+      expect(JSON.stringify(status)).not.toContain('v1:');
+    });
+
+    it('should report a connection that needs reconnecting as unhealthy', async () => {
+      oauthConnectionModel.getConnection.mockResolvedValue(storedConnection({
+        status: 'needs_reauth',
+        last_error: 'invalid_grant'
+      }));
+
+      const status = await googleAccounts.getStatus(userId, { check: true });
+
+      expect(status).toMatchObject({ connected: true, healthy: false, status: 'needs_reauth' });
+      expect(google.refreshGoogleTokens).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('disconnect', () => {
+    it('should revoke access and delete the stored tokens', async () => {
+      oauthConnectionModel.getConnection.mockResolvedValue(storedConnection());
+
+      expect(await googleAccounts.disconnect(userId)).toBe(true);
+      expect(google.revokeGoogleToken).toHaveBeenCalledWith('refresh-1');
+      expect(oauthConnectionModel.deleteConnection).toHaveBeenCalledWith(userId, 'google');
+    });
+
+    it('should delete the stored tokens even if revoking fails', async () => {
+      oauthConnectionModel.getConnection.mockResolvedValue(storedConnection());
+      google.revokeGoogleToken.mockRejectedValue(new Error('invalid_token'));
+
+      await googleAccounts.disconnect(userId);
+
+      expect(oauthConnectionModel.deleteConnection).toHaveBeenCalledWith(userId, 'google');
+    });
+  });
+});
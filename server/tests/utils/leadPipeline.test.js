@@ -0,0 +1,140 @@
+/**
+ * Lead Pipeline Tests
+ * Tests for stage transitions, required fields and stage durations
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const leadPipeline = require('../../utils/leadPipeline');
+
+describe('Lead Pipeline', () => {
+  const defaultStages = leadPipeline.config.stages;
+
+  afterEach(() => {
+    leadPipeline.config.stages = defaultStages;
+  });
+
+  describe('getStage', () => {
+    it('should match stage keys, labels and aliases', () => {
+      expect(leadPipeline.getStage('appointment_scheduled').key).toBe('appointment_scheduled');
+      expect(leadPipeline.getStage('Appointment Scheduled').key).toBe('appointment_scheduled');
+      expect(leadPipeline.getStage('Appointment Completed').key).toBe('visited');
+      expect(leadPipeline.getStage('qualified')).toBeNull();
+    });
+  });
+
+  describe('checkTransition', () => {
+    it('should allow a move to a following stage', () => {
+      expect(leadPipeline.checkTransition({ lead_status: 'new' }, 'Contacted')).toEqual({
+        status: 'contacted',
+        fields: {},
+        errors: []
+      });
+    });
+
+    it('should reject a move that skips the pipeline', () => {
+      const result = leadPipeline.checkTransition({ lead_status: 'contacted' }, 'won', { payment_info_collected: true });
+
+      expect(result.errors).toEqual(['A lead in Contacted can only move to Appointment Scheduled or Lost']);
+    });
+
+    it('should require the fields a stage needs', () => {
+      const current = { lead_status: 'appointment_scheduled' };
+
+      expect(leadPipeline.checkTransition(current, 'visited').errors).toEqual(['Visit date is required before Visited']);
+      expect(leadPipeline.checkTransition({ ...current, visit_date: '2030-01-08T15:00:00.000Z' }, 'visited').errors).toEqual([]);
+      expect(leadPipeline.checkTransition(current, 'visited', { visit_date: '2030-01-08T15:00:00.000Z' })).toEqual({
+        status: 'visited',
+        fields: { visit_date: '2030-01-08T15:00:00.000Z' },
+        errors: []
+      });
+    });
+
+    it('should not move a lead out of a final stage', () => {
+      expect(leadPipeline.checkTransition({ lead_status: 'won' }, 'lost').errors).toEqual(['A lead in Won cannot be moved']);
+    });
+
+    it('should treat a lead without a known status as new', () => {
+      expect(leadPipeline.checkTransition({}, 'contacted').errors).toEqual([]);
+      expect(leadPipeline.checkTransition({ lead_status: 'qualified' }, 'negotiation').errors).toHaveLength(1);
+    });
+
+    it('should reject an unknown status', () => {
+      expect(leadPipeline.checkTransition({ lead_status: 'new' }, 'qualified')).toEqual({
+        status: null,
+        fields: {},
+        errors: ['Unknown lead status: qualified']
+      });
+    });
+  });
+
+  describe('recordTransition', () => {
+    it('should append a history entry and recompute stage durations', () => {
+      const currentExtension = {
+        lead_status: 'contacted',
+        status_history: [
+          { status: 'New', timestamp: '2030-01-01T00:00:00.000Z', notes: 'Lead created' },
+          { status: 'contacted', timestamp: '2030-01-03T12:00:00.000Z' }
+        ]
+      };
+
+      const result = leadPipeline.recordTransition(currentExtension, 'appointment_scheduled', {
+        userId: 'user-1',
+        notes: 'Booked a tour',
+        now: new Date('2030-01-04T12:00:00.000Z')
+      });
+
+      expect(result.status_history[2]).toEqual({
+        status: 'appointment_scheduled',
+        previous_status: 'contacted',
+        timestamp: '2030-01-04T12:00:00.000Z',
+        user_id: 'user-1',
+        notes: 'Booked a tour'
+      });
+      expect(result.stage_duration_days).toEqual({ new: 2.5, contacted: 1 });
+    });
+
+    it('should add up repeat visits to a stage', () => {
+      const durations = leadPipeline.getStageDurations([
+        { status: 'contacted', timestamp: '2030-01-01T00:00:00.000Z' },
+        { status: 'appointment_scheduled', timestamp: '2030-01-02T00:00:00.000Z' },
+        { status: 'contacted', timestamp: '2030-01-03T00:00:00.000Z' },
+        { status: 'appointment_scheduled', timestamp: '2030-01-05T00:00:00.000Z' }
+      ]);
+
+      expect(durations).toEqual({ contacted: 3, appointment_scheduled: 1 });
+    });
+  });
+
+  describe('loadStages', () => {
+    const writeDefinition = (definition) => {
+      const file = path.join(os.tmpdir(), `lead-pipeline-${process.pid}-${Date.now()}.json`);
+      fs.writeFileSync(file, JSON.stringify(definition));
+      return file;
+    };
+
+    it('should load a custom pipeline from a file', () => {
+      const file = writeDefinition({
+        stages: [
+          { key: 'enquiry', label: 'Enquiry', transitions: ['member'] },
+          { key: 'member', label: 'Member', requiredFields: [{ field: 'estimated_value', label: 'Estimated value' }] }
+        ]
+      });
+
+      leadPipeline.config.stages = leadPipeline.loadStages(file);
+      fs.unlinkSync(file);
+
+      expect(leadPipeline.getPipeline().map(stage => stage.key)).toEqual(['enquiry', 'member']);
+      expect(leadPipeline.checkTransition({ lead_status: 'enquiry' }, 'member').errors).toEqual([
+        'Estimated value is required before Member'
+      ]);
+    });
+
+    it('should reject transitions to stages that do not exist', () => {
+      const file = writeDefinition({ stages: [{ key: 'enquiry', label: 'Enquiry', transitions: ['member'] }] });
+
+      expect(() => leadPipeline.loadStages(file)).toThrow('Lead pipeline stage enquiry moves to unknown stage(s): member');
+      fs.unlinkSync(file);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Lead Scoring Tests
+ * Tests for scoring leads from their activity with the organization's weights,
+ * and for keeping the score history
+ */
+jest.mock('../../models/leadModel', () => ({
+  getLeadsForScoring: jest.fn(),
+  updateLeadExtension: jest.fn()
+}));
+
+jest.mock('../../models/leadScoreModel', () => ({
+  recordScore: jest.fn()
+}));
+
+jest.mock('../../models/interactionModel', () => ({
+  getInteractionTimesSince: jest.fn()
+}));
+
+jest.mock('../../models/messageModel', () => ({
+  getMessagesForResponseRate: jest.fn()
+}));
+
+jest.mock('../../models/organizationModel', () => ({
+  getOrganizationById: jest.fn()
+}));
+
+const leadModel = require('../../models/leadModel');
+const leadScoreModel = require('../../models/leadScoreModel');
+const interactionModel = require('../../models/interactionModel');
+const messageModel = require('../../models/messageModel');
+const organizationModel = require('../../models/organizationModel');
+const leadScoring = require('../../utils/leadScoring');
+
+describe('Lead Scoring', () => {
+  const now = new Date('2030-03-01T12:00:00.000Z');
+  const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+  let lead;
+  let organization;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    organization = { id: 'org-1', lead_scoring_weights: {} };
+    lead = {
+      id: 'lead-1',
+      organization_id: organization.id,
+      acquisition_source: 'Website',
+      budget_range: '$50-100/month',
+      last_contacted: null,
+      preferred_plan: { id: 'plan-1', name: 'Standard', monthly_price: 80 },
+      lead_extensions: [{
+        id: 'ext-1',
+        lead_status: 'contacted',
+        objections: [],
+        visit_completed: false,
+        payment_info_collected: false,
+        scored_at: null
+      }]
+    };
+
+    leadModel.getLeadsForScoring.mockImplementation(async ({ page = 0 } = {}) => (page === 0 ? [lead] : []));
+    leadModel.updateLeadExtension.mockImplementation(async (id, data) => ({ id, ...data }));
+    interactionModel.getInteractionTimesSince.mockResolvedValue([]);
+    messageModel.getMessagesForResponseRate.mockResolvedValue([]);
+    organizationModel.getOrganizationById.mockImplementation(async () => organization);
+  });
+
+  describe('scoreLead', () => {
+    it('should rate a lead with no activity from its budget, objections and source', () => {
+      const score = leadScoring.scoreLead(lead, { now });
+
+      expect(score.factors.map(f => [f.factor, f.value])).toEqual([
+        ['interactions', 0],
+        ['recency', 0],
+        ['response_rate', 0],
+        ['visit_trial', 0],
+        ['objections', 1],
+        ['budget_fit', 1],
+        ['source', 0.5]
+      ]);
+      expect(score.conversion_probability).toBe(25);
+      expect(score.readiness_score).toBe(3);
+      expect(score.lead_temperature).toBe('cold');
+      expect(score.top_factors.map(f => f.factor)).toEqual(['objections', 'budget_fit', 'source']);
+    });
+
+    it('should score an engaged lead who answers messages and has visited as hot', () => {
+      lead.acquisition_source = 'Direct Referral';
+      lead.lead_extensions[0].visit_completed = true;
+      lead.lead_extensions[0].trial_status = 'Active';
+
+      const score = leadScoring.scoreLead(lead, {
+        interactions: [1, 5, 10, 20, 25].map(days => ({ person_id: lead.id, created_at: daysAgo(days) })),
+        messages: [
+          { recipient_id: lead.id, direction: 'outbound', has_response: true },
+          { recipient_id: lead.id, direction: 'outbound', has_response: true },
+          { recipient_id: lead.id, direction: 'inbound', has_response: false }
+        ],
+        now
+      });
+
+      expect(score.factors.find(f => f.factor === 'visit_trial')).toEqual(expect.objectContaining({
+        value: 0.8,
+        detail: 'Trial active'
+      }));
+      expect(score.factors.find(f => f.factor === 'response_rate').detail).toBe('Answered 2 of 2 messages');
+      expect(score.conversion_probability).toBe(96);
+      expect(score.readiness_score).toBe(10);
+      expect(score.lead_temperature).toBe('hot');
+    });
+
+    it('should count unresolved objections and a plan over budget against the lead', () => {
+      lead.preferred_plan.monthly_price = 150;
+      lead.lead_extensions[0].objections = [
+        { objection: 'Too expensive', resolved: true },
+        { objection: 'Location inconvenient', resolved: false }
+      ];
+
+      const score = leadScoring.scoreLead(lead, { now });
+      const factor = name => score.factors.find(f => f.factor === name);
+
+      expect(factor('objections')).toEqual(expect.objectContaining({ value: 0.5, detail: '1 of 2 objections resolved' }));
+      expect(factor('budget_fit')).toEqual(expect.objectContaining({ value: 0, detail: '$150/month plan is over a budget of $50-100/month' }));
+    });
+
+    it('should weigh the signals with the organization\'s weights', () => {
+      const weights = leadScoring.getWeights({ lead_scoring_weights: { source: 100, objections: 0, budget_fit: 0 } });
+      lead.acquisition_source = 'Walk-in';
+
+      const score = leadScoring.scoreLead(lead, { weights, now });
+
+      expect(score.factors.find(f => f.factor === 'objections').points).toBe(0);
+      expect(score.factors.find(f => f.factor === 'source')).toEqual(expect.objectContaining({ weight: 100, value: 0.8 }));
+      expect(score.conversion_probability).toBe(47);
+    });
+  });
+
+  describe('validateWeights', () => {
+    it('should accept whole-number weights for known signals', () => {
+      expect(leadScoring.validateWeights({ response_rate: 30, source: 0 })).toEqual({ response_rate: 30, source: 0 });
+    });
+
+    it('should reject unknown signals, bad weights and all-zero weights', () => {
+      expect(() => leadScoring.validateWeights({ height: 5 })).toThrow('Unknown lead scoring signal "height"');
+      expect(() => leadScoring.validateWeights({ recency: 12.5 })).toThrow('whole number from 0 to 100');
+      expect(() => leadScoring.validateWeights([])).toThrow('must be an object');
+
+      const allZero = Object.fromEntries(leadScoring.SIGNALS.map(signal => [signal, 0]));
+      expect(() => leadScoring.validateWeights(allZero)).toThrow('At least one');
+    });
+  });
+
+  describe('rescoreLead', () => {
+    it('should write the score and top factors back and record it in the history', async () => {
+      const result = await leadScoring.rescoreLead(lead.id, 'interaction');
+
+      expect(leadModel.getLeadsForScoring).toHaveBeenCalledWith({ personIds: [lead.id] });
+      expect(leadModel.updateLeadExtension).toHaveBeenCalledWith('ext-1', expect.objectContaining({
+        readiness_score: 3,
+        conversion_probability: 25,
+        lead_temperature: 'cold',
+        score_factors: result.top_factors
+      }));
+      expect(leadScoreModel.recordScore).toHaveBeenCalledWith(expect.objectContaining({
+        organization_id: 'org-1',
+        person_id: lead.id,
+        conversion_probability: 25,
+        trigger: 'interaction'
+      }));
+      expect(leadScoreModel.recordScore.mock.calls[0][0].factors).toHaveLength(leadScoring.SIGNALS.length);
+    });
+
+    it('should not add to the history when the score is unchanged', async () => {
+      Object.assign(lead.lead_extensions[0], {
+        readiness_score: 3,
+        conversion_probability: 25,
+        lead_temperature: 'cold',
+        scored_at: daysAgo(1)
+      });
+
+      const result = await leadScoring.rescoreLead(lead.id, 'lead_updated');
+
+      expect(result.changed).toBe(false);
+      expect(leadModel.updateLeadExtension).toHaveBeenCalled();
+      expect(leadScoreModel.recordScore).not.toHaveBeenCalled();
+    });
+
+    it('should not score won or lost leads', async () => {
+      lead.lead_extensions[0].lead_status = 'won';
+
+      const result = await leadScoring.rescoreLead(lead.id, 'status_changed');
+
+      expect(result).toBeNull();
+      expect(leadModel.updateLeadExtension).not.toHaveBeenCalled();
+    });
+
+    it('should return null instead of throwing when scoring fails', async () => {
+      leadModel.getLeadsForScoring.mockRejectedValue(new Error('database down'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(leadScoring.rescoreLead(lead.id, 'message')).resolves.toBeNull();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('processLeadScoring', () => {
+    it('should score every open lead in batches, loading each organization once', async () => {
+      const batchSize = leadScoring.config.batchSize;
+      leadScoring.config.batchSize = 1;
+      const other = { ...lead, id: 'lead-2', lead_extensions: [{ ...lead.lead_extensions[0], id: 'ext-2' }] };
+      leadModel.getLeadsForScoring.mockImplementation(async ({ page }) => [lead, other].slice(page, page + 1));
+
+      try {
+        const summary = await leadScoring.processLeadScoring(now);
+
+        expect(summary).toEqual({ skipped: false, processed: 2, changed: 2 });
+        expect(organizationModel.getOrganizationById).toHaveBeenCalledTimes(1);
+        expect(leadScoreModel.recordScore.mock.calls.map(call => call[0].trigger)).toEqual(['nightly', 'nightly']);
+      } finally {
+        leadScoring.config.batchSize = batchSize;
+      }
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Membership Plans Utility Tests
+ * Tests for plan pricing, syncing plans to Stripe products and prices using the
+ * local billing provider, and resolving the plan a request refers to
+ */
+const { v4: uuidv4 } = require('uuid');
+
+process.env.BILLING_PROVIDER = 'local';
+
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+jest.mock('../../models/membershipPlanModel', () => ({
+  getPlanById: jest.fn(),
+  getPlanByName: jest.fn()
+}));
+
+const membershipPlanModel = require('../../models/membershipPlanModel');
+const billing = require('../../utils/billing');
+const membershipPlans = require('../../utils/membershipPlans');
+
+describe('Membership Plans Utility', () => {
+  const local = billing.providers.local;
+  let plan;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    local.reset();
+
+    plan = {
+      name: 'Premium',
+      description: 'All locations, all classes',
+      monthly_price: 129,
+      billing_interval: 'month',
+      trial_days: 7,
+      enrollment_fee: 0,
+      is_active: true
+    };
+  });
+
+  describe('pricing', () => {
+    it('should price each billing interval from the monthly price', () => {
+      expect(membershipPlans.getIntervalPrice(plan)).toBe(129);
+      expect(membershipPlans.getIntervalPrice({ ...plan, billing_interval: 'quarter' })).toBe(387);
+      expect(membershipPlans.getIntervalPrice({ ...plan, monthly_price: 49.99, billing_interval: 'year' })).toBe(599.88);
+    });
+
+    it('should value a lead at the enrollment fee plus a year of dues', () => {
+      expect(membershipPlans.getEstimatedValue({ ...plan, enrollment_fee: 99 })).toBe(1647);
+    });
+
+    it('should add the computed prices to a plan', () => {
+      expect(membershipPlans.withPricing(plan)).toMatchObject({
+        name: 'Premium',
+        interval_price: 129,
+        estimated_value: 1548
+      });
+    });
+  });
+
+  describe('syncPlan', () => {
+    it('should create a product and a recurring price for a new plan', async () => {
+      const changes = await membershipPlans.syncPlan({ ...plan, billing_interval: 'quarter' });
+
+      expect(changes).toEqual({
+        stripe_product_id: 'prod_local_1',
+        stripe_price_id: 'price_local_1',
+        stripe_enrollment_price_id: null
+      });
+      expect(local.products[0]).toMatchObject({ name: 'Premium', description: 'All locations, all classes' });
+      expect(local.prices[0]).toMatchObject({
+        productId: 'prod_local_1',
+        unitAmount: 38700,
+        recurring: { interval: 'month', interval_count: 3 }
+      });
+    });
+
+    it('should create a one-time price for the enrollment fee', async () => {
+      const changes = await membershipPlans.syncPlan({ ...plan, enrollment_fee: 99 });
+
+      expect(changes.stripe_enrollment_price_id).toBe('price_local_2');
+      expect(local.prices[1]).toMatchObject({ productId: 'prod_local_1', unitAmount: 9900, recurring: null });
+    });
+
+    it('should not create a price for a free plan', async () => {
+      const changes = await membershipPlans.syncPlan({ ...plan, monthly_price: 0 });
+
+      expect(changes.stripe_price_id).toBeNull();
+      expect(local.prices).toHaveLength(0);
+    });
+
+    it('should replace the price when the monthly price changes', async () => {
+      const previous = { ...plan, id: uuidv4(), ...await membershipPlans.syncPlan(plan) };
+
+      const changes = await membershipPlans.syncPlan({ ...previous, monthly_price: 139 }, previous);
+
+      expect(changes).toEqual({ stripe_price_id: 'price_local_2' });
+      expect(local.prices[0].active).toBe(false);
+      expect(local.prices[1]).toMatchObject({ unitAmount: 13900, active: true });
+    });
+
+    it('should rename the product without touching prices', async () => {
+      const previous = { ...plan, id: uuidv4(), ...await membershipPlans.syncPlan(plan) };
+
+      const changes = await membershipPlans.syncPlan({ ...previous, name: 'Premium Plus' }, previous);
+
+      expect(changes).toEqual({});
+      expect(local.products[0].name).toBe('Premium Plus');
+      expect(local.prices).toHaveLength(1);
+    });
+
+    it('should archive the product when the plan is deactivated', async () => {
+      const previous = { ...plan, id: uuidv4(), ...await membershipPlans.syncPlan(plan) };
+
+      await membershipPlans.syncPlan({ ...previous, is_active: false }, previous);
+
+      expect(local.products[0].active).toBe(false);
+    });
+
+    it('should create prices missing from an earlier sync', async () => {
+      const previous = { ...plan, id: uuidv4(), ...await membershipPlans.syncPlan(plan), stripe_price_id: null };
+
+      const changes = await membershipPlans.syncPlan({ ...previous, trial_days: 14 }, previous);
+
+      expect(changes).toEqual({ stripe_price_id: 'price_local_2' });
+    });
+  });
+
+  describe('resolvePlan', () => {
+    const premium = { id: uuidv4(), name: 'Premium', is_active: true };
+    const legacy = { id: uuidv4(), name: 'Legacy', is_active: false };
+
+    beforeEach(() => {
+      membershipPlanModel.getPlanById.mockImplementation(async id => [premium, legacy].find(item => item.id === id) || null);
+      membershipPlanModel.getPlanByName.mockImplementation(async name => (
+        [premium, legacy].find(item => item.name.toLowerCase() === name.toLowerCase()) || null
+      ));
+    });
+
+    it('should prefer the plan ID over the name', async () => {
+      expect(await membershipPlans.resolvePlan({ planId: premium.id, name: 'Legacy' }))
+        .toEqual({ plan: premium, error: null });
+      expect(membershipPlanModel.getPlanByName).not.toHaveBeenCalled();
+    });
+
+    it('should match a plan by name', async () => {
+      expect(await membershipPlans.resolvePlan({ name: 'premium' })).toEqual({ plan: premium, error: null });
+    });
+
+    it('should resolve nothing when no plan is given', async () => {
+      expect(await membershipPlans.resolvePlan({ name: ' ' })).toEqual({ plan: null, error: null });
+    });
+
+    it('should explain why a plan cannot be chosen', async () => {
+      expect((await membershipPlans.resolvePlan({ planId: uuidv4() })).error).toBe('Membership plan not found');
+      expect((await membershipPlans.resolvePlan({ name: 'Diamond' })).error).toBe('Unknown membership plan: Diamond');
+      expect((await membershipPlans.resolvePlan({ planId: legacy.id })).error).toBe('The Legacy plan is no longer offered');
+    });
+
+    it('should only look in the tenant\'s catalog', async () => {
+      const scope = { organizationId: uuidv4(), locationId: null, locationIds: [] };
+
+      await membershipPlans.resolvePlan({ planId: premium.id }, scope);
+      await membershipPlans.resolvePlan({ name: 'Premium' }, scope);
+
+      expect(membershipPlanModel.getPlanById).toHaveBeenCalledWith(premium.id, scope);
+      expect(membershipPlanModel.getPlanByName).toHaveBeenCalledWith('Premium', scope);
+    });
+  });
+});
@@ -0,0 +1,596 @@
+/**
+ * Nurture Sequence Tests
+ * Tests for checking sequences, enrolling people, exit conditions, replies and
+ * stats, and for sending due steps with the clock mocked. The nurture model is
+ * backed by an in-memory store; email goes through the local calendar provider.
+ */
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+
+jest.mock('../../models/nurtureModel', () => ({
+  getSequenceById: jest.fn(),
+  getTriggeredSequences: jest.fn(),
+  createSequence: jest.fn(),
+  updateSequence: jest.fn(),
+  saveSteps: jest.fn(),
+  getActiveEnrollments: jest.fn(),
+  createEnrollment: jest.fn(),
+  advanceEnrollment: jest.fn(),
+  endEnrollment: jest.fn(),
+  getDueEnrollments: jest.fn(),
+  getEnrollmentOutcomes: jest.fn(),
+  getPersonState: jest.fn(),
+  createDelivery: jest.fn(),
+  getDeliveries: jest.fn(),
+  getLastSentDelivery: jest.fn(),
+  markResponded: jest.fn(),
+  updateReferralNurture: jest.fn()
+}));
+
+jest.mock('../../models/userModel', () => ({
+  getUserById: jest.fn()
+}));
+
+jest.mock('../../models/messageModel', () => ({
+  createMessage: jest.fn()
+}));
+
+jest.mock('../../models/interactionModel', () => ({
+  createInteraction: jest.fn()
+}));
+
+jest.mock('../../config/telnyx', () => ({
+  sendSMS: jest.fn()
+}));
+
+jest.mock('../../utils/subscriptionTiers', () => ({
+  checkLimit: jest.fn()
+}));
+
+const nurtureModel = require('../../models/nurtureModel');
+const userModel = require('../../models/userModel');
+const messageModel = require('../../models/messageModel');
+const interactionModel = require('../../models/interactionModel');
+const telnyx = require('../../config/telnyx');
+const subscriptionTiers = require('../../utils/subscriptionTiers');
+const appointmentCalendar = require('../../utils/appointmentCalendar');
+const clock = require('../../utils/clock');
+const nurtureSequences = require('../../utils/nurtureSequences');
+const nurtureDispatcher = require('../../utils/nurtureDispatcher');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+describe('Nurture Sequences', () => {
+  const salesperson = { id: 'user-1', first_name: 'Alex', last_name: 'Coach', email: 'alex@orca.test' };
+  const user = { id: 'admin-1', role: 'admin' };
+  const scope = { organizationId: 'org-1', locationId: null };
+  let store;
+  let sequence;
+  let referral;
+
+  /**
+   * Back the nurture model with the in-memory store
+   */
+  const useStore = () => {
+    const withSequence = enrollment => ({
+      ...enrollment,
+      sequence: store.sequences.find(candidate => candidate.id === enrollment.sequence_id)
+    });
+    const findActive = id => store.enrollments.find(enrollment => enrollment.id === id && enrollment.status === 'active');
+    const page = (rows, { page: number, pageSize }) => rows.slice(number * pageSize, (number + 1) * pageSize);
+
+    nurtureModel.getSequenceById.mockImplementation(async id => store.sequences.find(candidate => candidate.id === id) || null);
+    nurtureModel.getTriggeredSequences.mockImplementation(async (organizationId, trigger) => store.sequences
+      .filter(candidate => candidate.organization_id === organizationId && candidate.trigger === trigger && candidate.is_active));
+    nurtureModel.getPersonState.mockImplementation(async id => store.persons[id] || null);
+    nurtureModel.getActiveEnrollments.mockImplementation(async personId => store.enrollments
+      .filter(enrollment => enrollment.person_id === personId && enrollment.status === 'active')
+      .map(withSequence));
+
+    nurtureModel.createEnrollment.mockImplementation(async (data) => {
+      if (store.enrollments.some(enrollment => enrollment.status === 'active' &&
+        enrollment.sequence_id === data.sequence_id && enrollment.person_id === data.person_id)) {
+        return null;
+      }
+
+      const enrollment = { id: `enrollment-${store.enrollments.length + 1}`, exit_reason: null, ended_at: null, ...data };
+      store.enrollments.push(enrollment);
+      return { ...enrollment };
+    });
+
+    nurtureModel.advanceEnrollment.mockImplementation(async (id, currentStep, changes) => {
+      const enrollment = findActive(id);
+
+      if (!enrollment || enrollment.current_step !== currentStep) {
+        return null;
+      }
+
+      return { ...Object.assign(enrollment, changes) };
+    });
+
+    nurtureModel.endEnrollment.mockImplementation(async (id, changes) => {
+      const enrollment = findActive(id);
+      return enrollment ? { ...Object.assign(enrollment, changes, { next_step_at: null }) } : null;
+    });
+
+    nurtureModel.getDueEnrollments.mockImplementation(async (now, limit) => store.enrollments
+      .map(withSequence)
+      .filter(enrollment => enrollment.status === 'active' && enrollment.sequence.is_active && enrollment.next_step_at <= now)
+      .slice(0, limit));
+
+    nurtureModel.createDelivery.mockImplementation(async (data) => {
+      const delivery = { id: `delivery-${store.deliveries.length + 1}`, responded_at: null, ...data };
+      store.deliveries.push(delivery);
+      return { ...delivery };
+    });
+
+    nurtureModel.getLastSentDelivery.mockImplementation(async personId => store.deliveries
+      .filter(delivery => delivery.person_id === personId && delivery.status === 'sent')
+      .sort((a, b) => b.sent_at.localeCompare(a.sent_at))[0] || null);
+
+    nurtureModel.markResponded.mockImplementation(async (id, respondedAt) => {
+      const delivery = store.deliveries.find(candidate => candidate.id === id && !candidate.responded_at);
+      return delivery ? { ...Object.assign(delivery, { responded_at: respondedAt }) } : null;
+    });
+
+    nurtureModel.getEnrollmentOutcomes.mockImplementation(async (sequenceId, pagination) => page(
+      store.enrollments.filter(enrollment => enrollment.sequence_id === sequenceId), pagination));
+    nurtureModel.getDeliveries.mockImplementation(async (sequenceId, pagination) => page(
+      store.deliveries
+        .filter(delivery => delivery.sequence_id === sequenceId)
+        .map(delivery => ({ ...delivery, message: store.messageStatuses[delivery.message_id] ? { status: store.messageStatuses[delivery.message_id] } : null })),
+      pagination));
+  };
+
+  const run = () => nurtureDispatcher.processDueSteps();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    clock.setTime('2030-01-01T09:00:00.000Z');
+    appointmentCalendar.config.provider = 'local';
+    appointmentCalendar.providers.local.reset();
+
+    sequence = {
+      id: 'sequence-1',
+      organization_id: 'org-1',
+      location_id: null,
+      name: 'New referral welcome',
+      audience: 'any',
+      trigger: 'manual',
+      trigger_status: null,
+      exit_conditions: ['replied', 'appointment_booked', 'converted', 'opted_out'],
+      is_active: true,
+      steps: [
+        { id: 'step-2', position: 1, delay_minutes: 2 * 24 * 60, channel: 'email', subject: 'Welcome, {{first_name}}', template: 'Hi {{first_name}}, {{salesperson_first_name}} here from {{business_name}}.' },
+        { id: 'step-1', position: 0, delay_minutes: 0, channel: 'sms', subject: null, template: 'Hi {{first_name}}, it\'s {{salesperson_first_name}}. Can I book you a free session?' },
+        { id: 'step-3', position: 2, delay_minutes: 24 * 60, channel: 'sms', subject: null, template: 'Last chance for your free session, {{first_name}}!' }
+      ]
+    };
+
+    referral = {
+      id: 'referral-1',
+      organization_id: 'org-1',
+      location_id: 'location-1',
+      first_name: 'Sam',
+      last_name: 'Friend',
+      email: 'sam@example.com',
+      phone: '(555) 555-0111',
+      sms_opt_in: true,
+      email_opt_in: true,
+      do_not_contact_until: null,
+      assigned_to: salesperson.id,
+      is_lead: false,
+      is_referral: true,
+      is_member: false,
+      lead_extensions: [],
+      referral_extensions: [{
+        id: 'extension-1',
+        appointment_date: null,
+        appointment_status: null,
+        conversion_status: null,
+        campaign_enrollments: [],
+        nurture_sequence_status: {}
+      }]
+    };
+
+    store = {
+      sequences: [sequence],
+      persons: { [referral.id]: referral },
+      enrollments: [],
+      deliveries: [],
+      messageStatuses: {}
+    };
+    useStore();
+
+    userModel.getUserById.mockResolvedValue(salesperson);
+    telnyx.sendSMS.mockResolvedValue({ success: true, messageId: 'telnyx-1' });
+    subscriptionTiers.checkLimit.mockResolvedValue(null);
+    messageModel.createMessage.mockImplementation(async data => ({ id: `message-${messageModel.createMessage.mock.calls.length}`, ...data }));
+    interactionModel.createInteraction.mockImplementation(async data => ({ id: `interaction-${interactionModel.createInteraction.mock.calls.length}`, ...data }));
+  });
+
+  afterEach(() => {
+    clock.reset();
+    console.error.mockRestore();
+  });
+
+  describe('clock', () => {
+    it('should only move forward when mocked', () => {
+      expect(clock.now().toISOString()).toBe('2030-01-01T09:00:00.000Z');
+      expect(clock.advance(DAY).toISOString()).toBe('2030-01-02T09:00:00.000Z');
+
+      clock.reset();
+
+      expect(clock.isMocked()).toBe(false);
+      expect(() => clock.advance(DAY)).toThrow('The clock is not mocked');
+      expect(() => clock.setTime('not a time')).toThrow('Invalid time');
+    });
+  });
+
+  describe('normalizeSequence', () => {
+    const step = { delay_minutes: 0, channel: 'sms', template: 'Hi {{ first_name }}' };
+
+    it('should fill in defaults and keep only stored step fields', () => {
+      const { fields, steps } = nurtureSequences.normalizeSequence({
+        name: '  Welcome  ',
+        steps: [{ ...step, subject: 'Dropped for texts', extra: true }]
+      });
+
+      expect(fields).toEqual({
+        name: 'Welcome',
+        audience: 'any',
+        trigger: 'manual',
+        trigger_status: null,
+        exit_conditions: ['replied', 'appointment_booked', 'converted', 'opted_out']
+      });
+      expect(steps).toEqual([{ delay_minutes: 0, channel: 'sms', subject: null, template: 'Hi {{ first_name }}' }]);
+    });
+
+    it('should normalize the stage for the lead_status_changed trigger', () => {
+      const { fields } = nurtureSequences.normalizeSequence({
+        name: 'After a visit',
+        trigger: 'lead_status_changed',
+        trigger_status: 'Visited',
+        steps: [step]
+      });
+
+      expect(fields.trigger_status).toBe('visited');
+    });
+
+    it('should only check the fields given for an update', () => {
+      expect(nurtureSequences.normalizeSequence({ is_active: false }, { partial: true })).toEqual({
+        fields: { is_active: false },
+        steps: undefined
+      });
+    });
+
+    it.each([
+      [{ steps: [step] }, 'Name is required'],
+      [{ name: 'A', steps: [] }, 'steps must be a list'],
+      [{ name: 'A', audience: 'members', steps: [step] }, 'audience must be one of'],
+      [{ name: 'A', trigger: 'lead_status_changed', steps: [step] }, 'trigger_status must be a lead pipeline stage'],
+      [{ name: 'A', exit_conditions: ['bored'], steps: [step] }, 'exit_conditions must be a list of'],
+      [{ name: 'A', steps: [step, { ...step, delay_minutes: -5 }] }, 'Step 2: delay_minutes must be a whole number'],
+      [{ name: 'A', steps: [{ ...step, channel: 'fax' }] }, 'Step 1: channel must be one of'],
+      [{ name: 'A', steps: [{ ...step, channel: 'email' }] }, 'Step 1: emails need a subject'],
+      [{ name: 'A', steps: [{ ...step, template: '   ' }] }, 'Step 1: template is required'],
+      [{ name: 'A', steps: [{ ...step, template: 'Hi {{nickname}}' }] }, 'Step 1: {{nickname}} is not a placeholder']
+    ])('should reject %j', (data, message) => {
+      expect(() => nurtureSequences.normalizeSequence(data)).toThrow(message);
+    });
+  });
+
+  describe('renderTemplate', () => {
+    it('should fill in the person, salesperson and business', () => {
+      expect(nurtureSequences.renderTemplate(
+        'Hi {{ first_name }}, {{salesperson_name}} at {{business_name}} here for {{full_name}}',
+        referral,
+        salesperson
+      )).toBe('Hi Sam, Alex Coach at ORCA here for Sam Friend');
+    });
+
+    it('should leave salesperson placeholders blank without a salesperson', () => {
+      expect(nurtureSequences.renderTemplate('From {{salesperson_first_name}}.', referral, null)).toBe('From .');
+    });
+  });
+
+  describe('getExitReason', () => {
+    it('should only apply the sequence\'s exit conditions', () => {
+      referral.is_member = true;
+
+      expect(nurtureSequences.getExitReason(sequence, referral)).toBe('converted');
+      expect(nurtureSequences.getExitReason({ ...sequence, exit_conditions: ['replied'] }, referral)).toBeNull();
+    });
+
+    it('should count an opt-out only from a channel the sequence uses', () => {
+      referral.email_opt_in = false;
+      const textOnly = { ...sequence, steps: sequence.steps.filter(step => step.channel === 'sms') };
+
+      expect(nurtureSequences.getExitReason(sequence, referral)).toBe('opted_out');
+      expect(nurtureSequences.getExitReason(textOnly, referral)).toBeNull();
+    });
+
+    it('should treat an appointment that isn\'t cancelled, or a lead past booking, as booked', () => {
+      referral.referral_extensions[0].appointment_date = '2030-01-05T15:00:00.000Z';
+      expect(nurtureSequences.getExitReason(sequence, referral)).toBe('appointment_booked');
+
+      referral.referral_extensions[0].appointment_status = 'cancelled';
+      expect(nurtureSequences.getExitReason(sequence, referral)).toBeNull();
+
+      expect(nurtureSequences.getExitReason(sequence, { ...referral, lead_extensions: [{ lead_status: 'visited' }] })).toBe('appointment_booked');
+      expect(nurtureSequences.getExitReason(sequence, { ...referral, lead_extensions: [{ lead_status: 'won' }] })).toBe('converted');
+    });
+  });
+
+  describe('enrollPeople', () => {
+    it('should enroll people with the first step due after its delay and mirror it on the referral', async () => {
+      const { enrolled, skipped } = await nurtureSequences.enrollPeople(sequence, [referral.id, referral.id], user, scope);
+
+      expect(skipped).toEqual([]);
+      expect(enrolled).toEqual([expect.objectContaining({
+        sequence_id: sequence.id,
+        person_id: referral.id,
+        organization_id: 'org-1',
+        location_id: 'location-1',
+        status: 'active',
+        current_step: 0,
+        next_step_at: '2030-01-01T09:00:00.000Z',
+        enrolled_via: 'manual',
+        enrolled_by: user.id
+      })]);
+      expect(nurtureModel.updateReferralNurture).toHaveBeenCalledWith(referral.id, {
+        campaign_enrollments: [sequence.id],
+        nurture_sequence_status: {
+          [sequence.id]: expect.objectContaining({ name: sequence.name, status: 'active', steps_sent: 0, steps: 3 })
+        }
+      });
+    });
+
+    it('should skip people who can\'t be enrolled, with the reason', async () => {
+      const member = { ...referral, id: 'member-1', is_referral: false, is_member: true };
+      const otherOrganization = { ...referral, id: 'referral-2', organization_id: 'org-2' };
+      const booked = {
+        ...referral,
+        id: 'referral-3',
+        referral_extensions: [{ ...referral.referral_extensions[0], appointment_date: '2030-01-05T15:00:00.000Z' }]
+      };
+      Object.assign(store.persons, { [member.id]: member, [otherOrganization.id]: otherOrganization, [booked.id]: booked });
+      await nurtureSequences.enrollPeople(sequence, [referral.id], user, scope);
+
+      const { enrolled, skipped } = await nurtureSequences.enrollPeople(
+        sequence,
+        [referral.id, member.id, otherOrganization.id, booked.id, 'missing'],
+        user,
+        scope
+      );
+
+      expect(enrolled).toEqual([]);
+      expect(skipped).toEqual([
+        { person_id: referral.id, reason: 'already_enrolled' },
+        { person_id: member.id, reason: 'not_a_lead_or_referral' },
+        { person_id: otherOrganization.id, reason: 'not_found' },
+        { person_id: booked.id, reason: 'appointment_booked' },
+        { person_id: 'missing', reason: 'not_found' }
+      ]);
+    });
+
+    it('should refuse to enroll people in a paused sequence', async () => {
+      await expect(nurtureSequences.enrollPeople({ ...sequence, is_active: false }, [referral.id], user, scope))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('enrollByTrigger', () => {
+    it('should enroll a lead in the sequences for the stage it reached', async () => {
+      const lead = { ...referral, id: 'lead-1', is_lead: true, is_referral: false, lead_extensions: [{ lead_status: 'contacted' }], referral_extensions: [] };
+      store.persons[lead.id] = lead;
+      store.sequences.push(
+        { ...sequence, id: 'sequence-2', trigger: 'lead_status_changed', trigger_status: 'contacted' },
+        { ...sequence, id: 'sequence-3', trigger: 'lead_status_changed', trigger_status: 'lost' }
+      );
+
+      const enrollments = await nurtureSequences.enrollByTrigger('lead_status_changed', lead.id, { status: 'Contacted' });
+
+      expect(enrollments).toEqual([expect.objectContaining({ sequence_id: 'sequence-2', enrolled_via: 'trigger', enrolled_by: null })]);
+    });
+
+    it('should log a failure instead of throwing', async () => {
+      nurtureModel.getPersonState.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(nurtureSequences.enrollByTrigger('referral_created', referral.id)).resolves.toEqual([]);
+      expect(console.error).toHaveBeenCalled();
+    });
+  });
+
+  describe('processDueSteps', () => {
+    beforeEach(async () => {
+      await nurtureSequences.enrollPeople(sequence, [referral.id], user, scope);
+    });
+
+    it('should send each step when it falls due on the mocked clock', async () => {
+      expect((await run()).results).toEqual([{ enrollment_id: 'enrollment-1', status: 'sent', channel: 'sms', position: 0 }]);
+      expect(telnyx.sendSMS).toHaveBeenCalledWith('+15555550111', 'Hi Sam, it\'s Alex. Can I book you a free session?');
+      expect(messageModel.createMessage).toHaveBeenCalledWith(expect.objectContaining({
+        sender_id: salesperson.id,
+        recipient_id: referral.id,
+        message_type: 'sms',
+        status: 'sent',
+        metadata: expect.objectContaining({ nurture_enrollment_id: 'enrollment-1', nurture_step_id: 'step-1' })
+      }));
+      expect(store.enrollments[0]).toMatchObject({ current_step: 1, next_step_at: '2030-01-03T09:00:00.000Z' });
+
+      clock.advance(DAY);
+      expect((await run()).processed).toBe(0);
+
+      clock.advance(DAY);
+      expect((await run()).results).toEqual([{ enrollment_id: 'enrollment-1', status: 'sent', channel: 'email', position: 1 }]);
+      expect(appointmentCalendar.providers.local.outbox).toEqual([{
+        to: 'sam@example.com',
+        subject: 'Welcome, Sam',
+        body: 'Hi Sam, Alex here from ORCA.',
+        from: salesperson.email
+      }]);
+
+      clock.advance(DAY);
+      expect((await run()).results).toEqual([{ enrollment_id: 'enrollment-1', status: 'sent', channel: 'sms', position: 2 }]);
+      expect(store.enrollments[0]).toMatchObject({ status: 'completed', current_step: 3, next_step_at: null, ended_at: '2030-01-04T09:00:00.000Z' });
+      expect(store.deliveries.map(delivery => [delivery.position, delivery.status, delivery.sent_at])).toEqual([
+        [0, 'sent', '2030-01-01T09:00:00.000Z'],
+        [1, 'sent', '2030-01-03T09:00:00.000Z'],
+        [2, 'sent', '2030-01-04T09:00:00.000Z']
+      ]);
+      expect(interactionModel.createInteraction).toHaveBeenCalledTimes(3);
+      expect(referral.referral_extensions[0].nurture_sequence_status[sequence.id]).toMatchObject({ status: 'completed', steps_sent: 3 });
+
+      clock.advance(7 * DAY);
+      expect((await run()).processed).toBe(0);
+    });
+
+    it('should end the enrollment instead of sending once the person books', async () => {
+      await run();
+      referral.referral_extensions[0].appointment_date = '2030-01-05T15:00:00.000Z';
+      referral.referral_extensions[0].appointment_status = 'scheduled';
+      clock.advance(2 * DAY);
+
+      expect((await run()).results).toEqual([{ enrollment_id: 'enrollment-1', status: 'exited', exit_reason: 'appointment_booked' }]);
+      expect(appointmentCalendar.providers.local.outbox).toEqual([]);
+      expect(store.enrollments[0]).toMatchObject({ status: 'exited', exit_reason: 'appointment_booked', next_step_at: null });
+    });
+
+    it('should skip a step the person can\'t get when the sequence doesn\'t exit on opt-outs', async () => {
+      sequence.exit_conditions = ['replied'];
+      referral.sms_opt_in = false;
+
+      expect((await run()).results).toEqual([{ enrollment_id: 'enrollment-1', status: 'skipped', channel: 'sms', position: 0 }]);
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+      expect(store.deliveries[0]).toMatchObject({ status: 'skipped', error: 'Person has opted out of texts' });
+      expect(store.enrollments[0].current_step).toBe(1);
+    });
+
+    it('should skip a text once the organization has used its monthly SMS', async () => {
+      subscriptionTiers.checkLimit.mockResolvedValue({
+        limit: 'monthly_sms',
+        message: 'Your Starter plan includes 1,000 SMS a month.'
+      });
+
+      expect((await run()).results).toEqual([{ enrollment_id: 'enrollment-1', status: 'skipped', channel: 'sms', position: 0 }]);
+      expect(subscriptionTiers.checkLimit).toHaveBeenCalledWith('org-1', 'monthly_sms', 1);
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+      expect(store.deliveries[0]).toMatchObject({ status: 'skipped', error: 'Your Starter plan includes 1,000 SMS a month.' });
+      expect(store.enrollments[0].current_step).toBe(1);
+
+      // Emails don't count towards the limit
+      clock.advance(2 * DAY);
+      expect((await run()).results[0]).toMatchObject({ status: 'sent', channel: 'email' });
+      expect(subscriptionTiers.checkLimit).toHaveBeenCalledTimes(1);
+    });
+
+    it('should record a failed send and still move on', async () => {
+      telnyx.sendSMS.mockResolvedValue({ success: false, error: 'Carrier rejected' });
+
+      expect((await run()).results[0].status).toBe('failed');
+      expect(store.deliveries[0]).toMatchObject({ status: 'failed', error: 'Carrier rejected', message_id: 'message-1' });
+      expect(store.enrollments[0].current_step).toBe(1);
+    });
+
+    it('should store a text to a person without a salesperson, so it counts towards the monthly SMS', async () => {
+      referral.assigned_to = null;
+
+      expect((await run()).results[0]).toMatchObject({ status: 'sent', channel: 'sms' });
+      expect(messageModel.createMessage).toHaveBeenCalledWith(expect.objectContaining({
+        sender_id: null,
+        recipient_id: referral.id,
+        message_type: 'sms'
+      }));
+      expect(store.deliveries[0]).toMatchObject({ status: 'sent', message_id: 'message-1' });
+    });
+
+    it('should wait until a do-not-contact date has passed', async () => {
+      referral.do_not_contact_until = '2030-01-02T12:00:00.000Z';
+
+      expect((await run()).results).toEqual([{ enrollment_id: 'enrollment-1', status: 'postponed' }]);
+      expect(store.enrollments[0]).toMatchObject({ current_step: 0, next_step_at: '2030-01-02T12:00:00.000Z' });
+
+      clock.setTime('2030-01-02T12:00:00.000Z');
+
+      expect((await run()).results[0].status).toBe('sent');
+    });
+
+    it('should hold enrollments while the sequence is paused', async () => {
+      sequence.is_active = false;
+
+      expect((await run()).processed).toBe(0);
+      expect(telnyx.sendSMS).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordReply', () => {
+    beforeEach(async () => {
+      await nurtureSequences.enrollPeople(sequence, [referral.id], user, scope);
+      await nurtureDispatcher.processDueSteps();
+    });
+
+    it('should credit the reply to the last step sent and end the enrollment', async () => {
+      clock.advance(30 * MINUTE);
+
+      const ended = await nurtureSequences.recordReply(referral.id, null);
+
+      expect(ended).toEqual([expect.objectContaining({ status: 'exited', exit_reason: 'replied' })]);
+      expect(store.deliveries[0].responded_at).toBe('2030-01-01T09:30:00.000Z');
+    });
+
+    it('should leave enrollments that don\'t exit on a reply running', async () => {
+      sequence.exit_conditions = ['converted'];
+
+      expect(await nurtureSequences.recordReply(referral.id, null)).toEqual([]);
+      expect(store.deliveries[0].responded_at).not.toBeNull();
+      expect(store.enrollments[0].status).toBe('active');
+    });
+
+    it('should end enrollments on STOP and ignore HELP', async () => {
+      expect(await nurtureSequences.recordReply(referral.id, 'help')).toEqual([]);
+
+      const ended = await nurtureSequences.recordReply(referral.id, 'opt_out');
+
+      expect(ended).toEqual([expect.objectContaining({ exit_reason: 'opted_out' })]);
+      expect(store.deliveries[0].responded_at).toBeNull();
+    });
+  });
+
+  describe('cancelEnrollment', () => {
+    it('should cancel an active enrollment once', async () => {
+      const { enrolled: [enrollment] } = await nurtureSequences.enrollPeople(sequence, [referral.id], user, scope);
+
+      await expect(nurtureSequences.cancelEnrollment(enrollment, sequence)).resolves.toMatchObject({ status: 'cancelled' });
+      await expect(nurtureSequences.cancelEnrollment(enrollment, sequence)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('getStats', () => {
+    it('should count enrollments and each step\'s deliveries and responses', async () => {
+      const friend = { ...referral, id: 'referral-2', phone: '(555) 555-0122' };
+      store.persons[friend.id] = friend;
+      await nurtureSequences.enrollPeople(sequence, [referral.id, friend.id], user, scope);
+      await nurtureDispatcher.processDueSteps();
+      store.messageStatuses['message-1'] = 'delivered';
+      await nurtureSequences.recordReply(friend.id, null);
+
+      const stats = await nurtureSequences.getStats(sequence);
+
+      expect(stats.enrollments).toEqual({
+        total: 2,
+        active: 1,
+        completed: 0,
+        exited: 1,
+        cancelled: 0,
+        exit_reasons: { replied: 1, appointment_booked: 0, converted: 0, opted_out: 0 }
+      });
+      expect(stats.steps).toEqual([
+        { step_id: 'step-1', position: 0, channel: 'sms', sent: 2, delivered: 1, failed: 0, skipped: 0, responded: 1, response_rate: 50 },
+        { step_id: 'step-2', position: 1, channel: 'email', sent: 0, delivered: 0, failed: 0, skipped: 0, responded: 0, response_rate: 0 },
+        { step_id: 'step-3', position: 2, channel: 'sms', sent: 0, delivered: 0, failed: 0, skipped: 0, responded: 0, response_rate: 0 }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Performance Goals Tests
+ * Tests for counting salespeople's monthly actuals, ranking the leaderboard
+ * and checking the goals managers set
+ */
+
+jest.mock('../../models/goalModel', () => ({
+  getGoals: jest.fn(),
+  saveGoals: jest.fn(),
+  getUsers: jest.fn(),
+  getLeadActivity: jest.fn(),
+  getReferralActivity: jest.fn(),
+  getMeetings: jest.fn(),
+  getSentMessages: jest.fn()
+}));
+
+const goalModel = require('../../models/goalModel');
+const performanceGoals = require('../../utils/performanceGoals');
+
+describe('Performance Goals', () => {
+  const now = new Date('2030-03-20T12:00:00.000Z');
+  const scope = { organizationId: 'org-1', locationId: null, locationIds: ['loc-1', 'loc-2'] };
+
+  const users = [
+    { id: 'user-1', first_name: 'Jane', last_name: 'Seller', role: 'salesperson', location_id: 'loc-1' },
+    { id: 'user-2', first_name: 'Sam', last_name: 'Closer', role: 'salesperson', location_id: 'loc-2' },
+    { id: 'admin-1', first_name: 'Mia', last_name: 'Manager', role: 'admin', location_id: null }
+  ];
+
+  // Returns the rows on the first page and nothing after
+  const pages = rows => async (filters, { page }) => (page === 0 ? rows : []);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    goalModel.getUsers.mockResolvedValue(users);
+    goalModel.getGoals.mockResolvedValue([
+      { id: 'goal-1', user_id: 'user-1', metric: 'new_leads', target: 2 },
+      { id: 'goal-2', user_id: 'user-1', metric: 'conversions', target: 4 },
+      { id: 'goal-3', user_id: 'user-2', metric: 'messages_sent', target: 1 }
+    ]);
+    goalModel.getLeadActivity.mockImplementation(pages([
+      {
+        id: 'lead-1',
+        created_at: '2030-03-02T10:00:00.000Z',
+        assigned_to: 'user-1',
+        lead_extensions: [{
+          status_history: [
+            { status: 'new', timestamp: '2030-03-02T10:00:00.000Z' },
+            { status: 'appointment_scheduled', timestamp: '2030-03-04T10:00:00.000Z' },
+            { status: 'won', timestamp: '2030-03-10T10:00:00.000Z' }
+          ]
+        }]
+      },
+      {
+        // Created last month, won this month
+        id: 'lead-2',
+        created_at: '2030-02-27T10:00:00.000Z',
+        assigned_to: 'user-1',
+        lead_extensions: [{
+          status_history: [
+            { status: 'appointment_scheduled', timestamp: '2030-02-28T10:00:00.000Z' },
+            { status: 'won', timestamp: '2030-03-01T00:00:00.000Z' }
+          ]
+        }]
+      },
+      {
+        id: 'lead-3',
+        created_at: '2030-03-05T10:00:00.000Z',
+        assigned_to: null,
+        lead_extensions: [{ status_history: [{ status: 'new', timestamp: '2030-03-05T10:00:00.000Z' }] }]
+      }
+    ]));
+    goalModel.getReferralActivity.mockImplementation(pages([
+      {
+        id: 'referral-1',
+        created_at: '2030-03-03T10:00:00.000Z',
+        assigned_to: 'user-2',
+        referral_extensions: [{ conversion_status: 'converted', conversion_date: '2030-03-15T10:00:00.000Z' }]
+      },
+      {
+        id: 'referral-2',
+        created_at: '2030-01-03T10:00:00.000Z',
+        assigned_to: 'user-1',
+        referral_extensions: [{ conversion_status: 'converted', conversion_date: '2030-04-01T00:00:00.000Z' }]
+      }
+    ]));
+    goalModel.getMeetings.mockImplementation(pages([
+      // The same lead as its status change, so it is one appointment
+      { id: 'interaction-1', user_id: 'user-1', person_id: 'lead-1' },
+      { id: 'interaction-2', user_id: 'user-2', person_id: 'referral-1' }
+    ]));
+    goalModel.getSentMessages.mockImplementation(pages([
+      { id: 'message-1', sender_id: 'user-2' },
+      { id: 'message-2', sender_id: 'user-2' },
+      { id: 'message-3', sender_id: 'admin-1' }
+    ]));
+  });
+
+  describe('parseMonth', () => {
+    it('should default to the current month and run to the start of the next', () => {
+      expect(performanceGoals.parseMonth(undefined, now)).toEqual({
+        month: '2030-03',
+        date: '2030-03-01',
+        start: new Date('2030-03-01T00:00:00.000Z'),
+        end: new Date('2030-04-01T00:00:00.000Z')
+      });
+      expect(performanceGoals.parseMonth('2030-12', now).end).toEqual(new Date('2031-01-01T00:00:00.000Z'));
+    });
+
+    it('should reject anything but YYYY-MM', () => {
+      expect(() => performanceGoals.parseMonth('2030-13', now)).toThrow('month must be in the form YYYY-MM');
+      expect(() => performanceGoals.parseMonth('March', now)).toThrow('month must be in the form YYYY-MM');
+    });
+  });
+
+  describe('getActuals', () => {
+    it('should credit each metric to the right salesperson for the month', async () => {
+      const actuals = await performanceGoals.getActuals(scope, performanceGoals.parseMonth('2030-03', now));
+
+      expect(actuals.get('user-1')).toEqual({
+        new_leads: 1,
+        appointments_set: 1,
+        conversions: 2,
+        referrals_generated: 0,
+        messages_sent: 0
+      });
+      expect(actuals.get('user-2')).toEqual({
+        new_leads: 0,
+        appointments_set: 1,
+        conversions: 1,
+        referrals_generated: 1,
+        messages_sent: 2
+      });
+      expect(goalModel.getMeetings).toHaveBeenCalledWith(
+        { since: '2030-03-01T00:00:00.000Z', until: '2030-04-01T00:00:00.000Z' },
+        { page: 0, pageSize: 1000 },
+        scope
+      );
+    });
+  });
+
+  describe('getLeaderboard', () => {
+    it('should rank users by progress towards their goals', async () => {
+      const leaderboard = await performanceGoals.getLeaderboard(scope, { now });
+
+      expect(leaderboard.month).toBe('2030-03');
+      expect(goalModel.getGoals).toHaveBeenCalledWith('org-1', { month: '2030-03-01' });
+      expect(leaderboard.entries.map(({ rank, user, score }) => [rank, user.name, score])).toEqual([
+        // Two of two messages sent, capped at 100%
+        [1, 'Sam Closer', 1],
+        // Half of the new leads and half of the conversions
+        [2, 'Jane Seller', 0.5],
+        // No goals, but sent a message
+        [3, 'Mia Manager', null]
+      ]);
+      expect(leaderboard.entries[0].metrics.messages_sent).toEqual({ target: 1, actual: 2, progress: 2 });
+      expect(leaderboard.entries[1].metrics.appointments_set).toEqual({ target: null, actual: 1, progress: null });
+    });
+
+    it('should leave out users working at another location', async () => {
+      const leaderboard = await performanceGoals.getLeaderboard({ ...scope, locationId: 'loc-1' }, { now });
+
+      expect(leaderboard.entries.map(entry => entry.user.id)).toEqual(['user-1', 'admin-1']);
+    });
+  });
+
+  describe('getUserProgress', () => {
+    it('should return a user\'s progress and place on the leaderboard', async () => {
+      const progress = await performanceGoals.getUserProgress(scope, 'user-1', { month: '2030-03', now });
+
+      expect(progress).toEqual(expect.objectContaining({ month: '2030-03', rank: 2, of: 3, score: 0.5 }));
+      expect(progress.progress.conversions).toEqual({ target: 4, actual: 2, progress: 0.5 });
+    });
+  });
+
+  describe('saveGoals', () => {
+    it('should save targets for the first day of the month', async () => {
+      goalModel.saveGoals.mockImplementation(async goals => goals);
+
+      const saved = await performanceGoals.saveGoals('org-1', '2030-04', [
+        { user_id: 'user-1', metric: 'new_leads', target: '12' }
+      ], 'admin-1');
+
+      expect(saved).toEqual([{
+        user_id: 'user-1',
+        metric: 'new_leads',
+        target: 12,
+        organization_id: 'org-1',
+        month: '2030-04-01',
+        created_by: 'admin-1'
+      }]);
+    });
+
+    it('should reject goals for other organizations\' users, unknown metrics and bad targets', async () => {
+      await expect(performanceGoals.saveGoals('org-1', '2030-04', [{ user_id: 'someone-else', metric: 'new_leads', target: 1 }], 'admin-1'))
+        .rejects.toThrow('Goal 1: user_id must be one of your organization\'s users');
+      await expect(performanceGoals.saveGoals('org-1', '2030-04', [{ user_id: 'user-1', metric: 'calls', target: 1 }], 'admin-1'))
+        .rejects.toThrow('Goal 1: metric must be one of: new_leads, appointments_set, conversions, referrals_generated, messages_sent');
+      await expect(performanceGoals.saveGoals('org-1', '2030-04', [{ user_id: 'user-1', metric: 'new_leads', target: 2.5 }], 'admin-1'))
+        .rejects.toThrow('Goal 1: target must be a whole number of 0 or more');
+      expect(goalModel.saveGoals).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Pipeline Report Tests
+ * Tests for stage conversion, days in each stage, acquisition cohorts and
+ * win rates from lead and referral status histories, and for exporting them
+ */
+const zlib = require('zlib');
+
+jest.mock('../../models/analyticsModel', () => ({
+  getRecordsForReport: jest.fn()
+}));
+
+const analyticsModel = require('../../models/analyticsModel');
+const pipelineReport = require('../../utils/pipelineReport');
+
+describe('Pipeline Report', () => {
+  const now = new Date('2030-04-20T12:00:00.000Z');
+  const day = (date, days = 0) => new Date(new Date(`${date}T09:00:00.000Z`).getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+  const jane = { id: 'user-1', first_name: 'Jane', last_name: 'Seller' };
+
+  // A lead acquired on `acquired` that moved through `steps` ([status, days after acquisition])
+  const lead = (acquired, steps, fields = {}) => ({
+    id: `lead-${Math.random()}`,
+    acquisition_source: 'Website',
+    acquisition_campaign: null,
+    acquisition_date: null,
+    created_at: day(acquired),
+    assigned_to: 'user-1',
+    salesperson: jane,
+    lead_extensions: [{
+      lead_status: steps[steps.length - 1][0],
+      status_history: steps.map(([status, days]) => ({ status, timestamp: day(acquired, days) }))
+    }],
+    ...fields
+  });
+
+  let records;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    records = [
+      lead('2030-01-10', [['new', 0], ['contacted', 2], ['appointment_scheduled', 3], ['visited', 10], ['proposal_made', 11], ['won', 15]],
+        { acquisition_source: 'Referral', acquisition_campaign: 'Spring' }),
+      lead('2030-01-20', [['new', 0], ['contacted', 4], ['lost', 5]]),
+      lead('2030-03-05', [['new', 0], ['contacted', 1], ['appointment_scheduled', 7], ['visited', 9], ['lost', 12]],
+        { assigned_to: 'user-2', salesperson: { id: 'user-2', first_name: 'Sam', last_name: 'Closer' } }),
+      lead('2030-03-06', [['new', 0]], { assigned_to: null, salesperson: null }),
+      // Acquired before the range; its acquisition date wins over when it was created
+      lead('2030-03-01', [['new', 0]], { acquisition_date: '2029-06-01T00:00:00.000Z' })
+    ];
+
+    analyticsModel.getRecordsForReport.mockImplementation(async (filters, { page }) => (page === 0 ? records : []));
+  });
+
+  describe('normalizeFilters', () => {
+    it('should default to leads over the last twelve months', () => {
+      expect(pipelineReport.normalizeFilters({}, now)).toEqual({
+        record_type: 'lead',
+        start_date: '2029-05-01',
+        end_date: '2030-04-20',
+        acquisition_source: null,
+        acquisition_campaign: null,
+        assigned_to: null
+      });
+    });
+
+    it('should reject bad filters', () => {
+      expect(() => pipelineReport.normalizeFilters({ record_type: 'member' }, now))
+        .toThrow('record_type must be one of: lead, referral');
+      expect(() => pipelineReport.normalizeFilters({ start_date: '2030-02-30' }, now))
+        .toThrow('start_date must be a date in the form YYYY-MM-DD');
+      expect(() => pipelineReport.normalizeFilters({ start_date: '2030-03-01', end_date: '2030-02-01' }, now))
+        .toThrow('start_date must be on or before end_date');
+    });
+  });
+
+  describe('median', () => {
+    it('should average the middle pair of an even list', () => {
+      expect(pipelineReport.median([4, 1, 3, 2])).toBe(2.5);
+      expect(pipelineReport.median([5, 1, 3])).toBe(3);
+      expect(pipelineReport.median([])).toBeNull();
+    });
+  });
+
+  describe('buildReport', () => {
+    const query = { start_date: '2030-01-01', end_date: '2030-03-31' };
+
+    it('should work out stage conversion and median days in each stage', async () => {
+      const report = await pipelineReport.buildReport({ organizationId: 'org-1' }, query, { now });
+
+      expect(report.total).toBe(4);
+      expect(report.stages.map(({ key, reached, conversion_rate: conversionRate, median_days: medianDays }) => [key, reached, conversionRate, medianDays]))
+        .toEqual([
+          ['new', 4, null, 2],
+          ['contacted', 3, 0.75, 1],
+          ['appointment_scheduled', 2, 0.6667, 4.5],
+          ['visited', 2, 1, 2],
+          ['proposal_made', 1, 0.5, 4],
+          ['negotiation', 1, 1, null],
+          ['won', 1, 1, null],
+          ['lost', 2, null, null]
+        ]);
+    });
+
+    it('should group records into acquisition month cohorts, including empty months', async () => {
+      const { cohorts } = await pipelineReport.buildReport({ organizationId: 'org-1' }, query, { now });
+
+      expect(cohorts).toEqual([
+        { month: '2030-01', records: 2, won: 1, lost: 1, open: 0, conversion_rate: 0.5, win_rate: 0.5 },
+        { month: '2030-02', records: 0, won: 0, lost: 0, open: 0, conversion_rate: 0, win_rate: 0 },
+        { month: '2030-03', records: 2, won: 0, lost: 1, open: 1, conversion_rate: 0, win_rate: 0 }
+      ]);
+    });
+
+    it('should break win rates down by source, campaign and salesperson', async () => {
+      const { win_rates: winRates, options } = await pipelineReport.buildReport({ organizationId: 'org-1' }, query, { now });
+
+      expect(winRates.source.map(({ label, records: count, win_rate: winRate }) => [label, count, winRate]))
+        .toEqual([['Website', 3, 0], ['Referral', 1, 1]]);
+      expect(winRates.campaign.map(({ label }) => label)).toEqual(['No campaign', 'Spring']);
+      expect(winRates.salesperson.map(({ key, label, won, lost }) => [key, label, won, lost])).toEqual([
+        ['user-1', 'Jane Seller', 1, 1],
+        ['user-2', 'Sam Closer', 0, 1],
+        ['', 'Unassigned', 0, 0]
+      ]);
+      expect(options).toEqual({
+        sources: ['Referral', 'Website'],
+        campaigns: ['Spring'],
+        salespeople: [{ id: 'user-1', name: 'Jane Seller' }, { id: 'user-2', name: 'Sam Closer' }]
+      });
+    });
+
+    it('should narrow the report by source, campaign and salesperson', async () => {
+      const report = await pipelineReport.buildReport({ organizationId: 'org-1' }, {
+        ...query,
+        acquisition_source: 'Website',
+        assigned_to: 'user-2'
+      }, { now });
+
+      expect(report.total).toBe(1);
+      expect(report.win_rates.salesperson.map(({ key }) => key)).toEqual(['user-2']);
+      // The menus still offer everything in the date range
+      expect(report.options.sources).toEqual(['Referral', 'Website']);
+    });
+
+    it('should report referrals on their own pipeline', async () => {
+      records = [{
+        id: 'referral-1',
+        acquisition_source: 'Referral',
+        created_at: day('2030-02-01'),
+        assigned_to: null,
+        salesperson: null,
+        referral_extensions: [{
+          referral_status: 'appointment_completed',
+          conversion_status: 'converted',
+          status_history: [
+            { status: 'submitted', timestamp: day('2030-02-01') },
+            { status: 'appointment_confirmed', timestamp: day('2030-02-01', 3) },
+            { status: 'appointment_completed', timestamp: day('2030-02-01', 5) }
+          ]
+        }]
+      }];
+
+      const report = await pipelineReport.buildReport({ organizationId: 'org-1' }, { ...query, record_type: 'referral' }, { now });
+
+      expect(analyticsModel.getRecordsForReport).toHaveBeenCalledWith(
+        expect.objectContaining({ flag: 'is_referral', extension: 'referral_extensions' }),
+        { page: 0, pageSize: 1000 },
+        { organizationId: 'org-1' }
+      );
+      expect(report.stages.map(({ key, reached, median_days: medianDays }) => [key, reached, medianDays])).toEqual([
+        ['submitted', 1, 3],
+        ['contacted', 1, null],
+        ['appointment_scheduled', 1, 2],
+        ['appointment_completed', 1, null],
+        ['converted', 1, null],
+        ['lost', 0, null]
+      ]);
+      expect(report.win_rates.source[0]).toEqual(expect.objectContaining({ label: 'Referral', won: 1, win_rate: 1 }));
+    });
+  });
+
+  describe('exports', () => {
+    it('should write every table to CSV', async () => {
+      const report = await pipelineReport.buildReport({ organizationId: 'org-1' }, { start_date: '2030-01-01', end_date: '2030-03-31' }, { now });
+      const lines = pipelineReport.toCsv(report).split('\r\n');
+
+      expect(lines[0]).toBe('Leads Pipeline Report');
+      expect(lines).toContain('Stage,Reached,Conversion,Median days,Measured');
+      expect(lines).toContain('Contacted,3,75%,1,3');
+      expect(lines).toContain('2030-01,2,1,1,0,50%,50%');
+      expect(lines).toContain('Salesperson,Records,Won,Lost,Open,Win rate');
+    });
+
+    it('should write a PDF with the report\'s tables', async () => {
+      const report = await pipelineReport.buildReport({ organizationId: 'org-1' }, { start_date: '2030-01-01', end_date: '2030-03-31' }, { now });
+      const file = pipelineReport.toPdf(report);
+      const text = file.toString('latin1');
+
+      expect(text.startsWith('%PDF-1.4')).toBe(true);
+      expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+
+      const stream = /stream\n([\s\S]*?)\nendstream/.exec(text)[1];
+      const content = zlib.inflateSync(Buffer.from(stream, 'latin1')).toString('latin1');
+
+      expect(content).toContain('(Leads Pipeline Report) Tj');
+      expect(content).toContain('(Win rate by salesperson) Tj');
+      expect(content).toContain('Jane Seller');
+    });
+  });
+});
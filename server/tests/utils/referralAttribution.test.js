@@ -0,0 +1,250 @@
+/**
+ * Referral Attribution Utility Tests
+ * Tests for splitting a referral's credit between its referrers with each
+ * attribution model, and for recounting the referrers' successful referrals
+ */
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../../models/referralModel', () => ({
+  getReferrersForReferral: jest.fn(),
+  getConvertedReferralShares: jest.fn(),
+  updateReferral: jest.fn()
+}));
+
+jest.mock('../../models/relationshipModel', () => ({
+  updateRelationship: jest.fn()
+}));
+
+jest.mock('../../models/memberModel', () => ({
+  getMemberExtensionByPersonId: jest.fn(),
+  updateMemberExtension: jest.fn()
+}));
+
+jest.mock('../../models/organizationModel', () => ({
+  getOrganizationById: jest.fn()
+}));
+
+const referralModel = require('../../models/referralModel');
+const relationshipModel = require('../../models/relationshipModel');
+const memberModel = require('../../models/memberModel');
+const organizationModel = require('../../models/organizationModel');
+const referralAttribution = require('../../utils/referralAttribution');
+
+describe('Referral Attribution Utility', () => {
+  const alice = uuidv4();
+  const bob = uuidv4();
+  const carol = uuidv4();
+
+  let organization;
+  let referral;
+  let relationships;
+  let conversions;
+
+  const makeRelationship = (personId, referralDate, overrides = {}) => ({
+    id: uuidv4(),
+    person_a_id: personId,
+    referral_date: referralDate,
+    created_at: referralDate,
+    attribution_percentage: 0,
+    is_primary_referrer: false,
+    ...overrides
+  });
+
+  const shareOf = (attribution, personId) => attribution.referrers.find(r => r.person_id === personId).share;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    organization = { id: uuidv4(), attribution_model: 'first_touch' };
+    referral = {
+      id: uuidv4(),
+      organization_id: organization.id,
+      referral_extensions: [{ id: uuidv4(), conversion_status: 'converted', attribution_model: null }]
+    };
+    // Listed out of order to check the referrers are ordered by when they referred
+    relationships = [
+      makeRelationship(bob, '2026-03-10T00:00:00Z'),
+      makeRelationship(alice, '2026-02-01T00:00:00Z', { attribution_percentage: 100, is_primary_referrer: true }),
+      makeRelationship(carol, '2026-04-20T00:00:00Z')
+    ];
+    conversions = {};
+
+    organizationModel.getOrganizationById.mockImplementation(async () => organization);
+    referralModel.getReferrersForReferral.mockImplementation(async () => relationships.map(rel => ({ ...rel })));
+    referralModel.updateReferral.mockResolvedValue({});
+    relationshipModel.updateRelationship.mockImplementation(async (id, data) => {
+      const relationship = relationships.find(rel => rel.id === id);
+      Object.assign(relationship, data);
+      return relationship;
+    });
+    // As stored, a referrer's converted referrals include this one with their current share
+    referralModel.getConvertedReferralShares.mockImplementation(async personId => [
+      ...(conversions[personId] || []),
+      {
+        referral_id: referral.id,
+        attribution_percentage: relationships.find(rel => rel.person_a_id === personId).attribution_percentage
+      }
+    ]);
+    memberModel.getMemberExtensionByPersonId.mockImplementation(async personId => ({ id: `ext-${personId}`, person_id: personId }));
+    memberModel.updateMemberExtension.mockResolvedValue({});
+  });
+
+  describe('computeShares', () => {
+    it('should give first touch all the credit to the earliest referrer', () => {
+      const shares = referralAttribution.computeShares(relationships, 'first_touch');
+
+      expect(shares.map(share => share.person_id)).toEqual([alice, bob, carol]);
+      expect(shares.map(share => share.attribution_percentage)).toEqual([100, 0, 0]);
+      expect(shares[0].is_primary_referrer).toBe(true);
+    });
+
+    it('should give last touch all the credit to the latest referrer', () => {
+      const shares = referralAttribution.computeShares(relationships, 'last_touch');
+
+      expect(shares.map(share => share.attribution_percentage)).toEqual([0, 0, 100]);
+      expect(shares[2]).toMatchObject({ person_id: carol, is_primary_referrer: true });
+    });
+
+    it('should split equally in whole percentages, earliest referrers first for the remainder', () => {
+      const shares = referralAttribution.computeShares(relationships, 'equal_split');
+
+      expect(shares.map(share => share.attribution_percentage)).toEqual([34, 33, 33]);
+      expect(shares[0]).toMatchObject({ person_id: alice, is_primary_referrer: true });
+    });
+
+    it('should keep manual shares as they are', () => {
+      relationships[0].attribution_percentage = 70;
+      relationships[1].attribution_percentage = 30;
+
+      const shares = referralAttribution.computeShares(relationships, 'manual');
+
+      expect(shares.map(share => share.attribution_percentage)).toEqual([30, 70, 0]);
+      expect(shares[1]).toMatchObject({ person_id: bob, is_primary_referrer: true });
+    });
+
+    it('should give a lone referrer all the credit with any model', () => {
+      const lone = [makeRelationship(alice, '2026-02-01T00:00:00Z', { attribution_percentage: null })];
+
+      ['first_touch', 'last_touch', 'equal_split'].forEach((model) => {
+        expect(referralAttribution.computeShares(lone, model)[0].attribution_percentage).toBe(100);
+      });
+    });
+  });
+
+  describe('applyAttribution', () => {
+    it('should use the organization\'s default model', async () => {
+      organization.attribution_model = 'equal_split';
+
+      const attribution = await referralAttribution.applyAttribution(referral);
+
+      expect(attribution).toMatchObject({ model: 'equal_split', referral_model: null, attributed_with: 'equal_split' });
+      expect(shareOf(attribution, alice)).toBe(34);
+      expect(referralModel.updateReferral).toHaveBeenCalledWith(referral.id, {}, {
+        attributed_with: 'equal_split',
+        attributed_at: expect.any(String)
+      });
+    });
+
+    it('should let the referral\'s own model override the organization\'s', async () => {
+      referral.referral_extensions[0].attribution_model = 'last_touch';
+
+      const attribution = await referralAttribution.applyAttribution(referral);
+
+      expect(attribution.model).toBe('last_touch');
+      expect(relationships.find(rel => rel.person_a_id === carol)).toMatchObject({
+        attribution_percentage: 100,
+        is_primary_referrer: true
+      });
+      expect(relationships.find(rel => rel.person_a_id === alice)).toMatchObject({
+        attribution_percentage: 0,
+        is_primary_referrer: false
+      });
+    });
+
+    it('should credit each referrer\'s successful referrals with their share', async () => {
+      organization.attribution_model = 'equal_split';
+      conversions[alice] = [{ referral_id: uuidv4(), attribution_percentage: 100 }];
+
+      await referralAttribution.applyAttribution(referral);
+
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith(`ext-${alice}`, { successful_referrals: 1.34 });
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith(`ext-${bob}`, { successful_referrals: 0.33 });
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith(`ext-${carol}`, { successful_referrals: 0.33 });
+    });
+
+    it('should not change anything when applied twice', async () => {
+      organization.attribution_model = 'equal_split';
+
+      await referralAttribution.applyAttribution(referral);
+      relationshipModel.updateRelationship.mockClear();
+      memberModel.updateMemberExtension.mockClear();
+      await referralAttribution.applyAttribution(referral);
+
+      expect(relationshipModel.updateRelationship).not.toHaveBeenCalled();
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith(`ext-${alice}`, { successful_referrals: 0.34 });
+    });
+
+    it('should skip referrers who are not members', async () => {
+      memberModel.getMemberExtensionByPersonId.mockImplementation(async personId => (
+        personId === alice ? { id: `ext-${alice}` } : null
+      ));
+
+      await referralAttribution.applyAttribution(referral);
+
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('setAttribution', () => {
+    const manualShares = (aliceShare, bobShare, carolShare) => [
+      { relationship_id: relationships[1].id, attribution_percentage: aliceShare },
+      { relationship_id: relationships[0].id, attribution_percentage: bobShare },
+      { relationship_id: relationships[2].id, attribution_percentage: carolShare }
+    ];
+
+    it('should save manual shares and credit them', async () => {
+      const attribution = await referralAttribution.setAttribution(referral, {
+        model: 'manual',
+        shares: manualShares(20, 50, 30)
+      });
+
+      expect(referralModel.updateReferral).toHaveBeenCalledWith(referral.id, {}, { attribution_model: 'manual' });
+      expect(attribution).toMatchObject({ model: 'manual', referral_model: 'manual' });
+      expect(shareOf(attribution, bob)).toBe(50);
+      expect(relationships.find(rel => rel.person_a_id === bob).is_primary_referrer).toBe(true);
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith(`ext-${bob}`, { successful_referrals: 0.5 });
+    });
+
+    it('should reject manual shares that do not add up to 100', async () => {
+      await expect(referralAttribution.setAttribution(referral, {
+        model: 'manual',
+        shares: manualShares(20, 50, 20)
+      })).rejects.toMatchObject({ statusCode: 400, message: 'Shares must add up to 100%' });
+      expect(relationshipModel.updateRelationship).not.toHaveBeenCalled();
+    });
+
+    it('should reject manual shares that leave out a referrer', async () => {
+      await expect(referralAttribution.setAttribution(referral, {
+        model: 'manual',
+        shares: manualShares(50, 50, 0).slice(0, 2)
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject an unknown model', async () => {
+      await expect(referralAttribution.setAttribution(referral, { model: 'linear' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(referralModel.updateReferral).not.toHaveBeenCalled();
+    });
+
+    it('should go back to the organization\'s default', async () => {
+      referral.referral_extensions[0].attribution_model = 'manual';
+      organization.attribution_model = 'last_touch';
+
+      const attribution = await referralAttribution.setAttribution(referral, { model: null });
+
+      expect(referralModel.updateReferral).toHaveBeenCalledWith(referral.id, {}, { attribution_model: null });
+      expect(attribution).toMatchObject({ model: 'last_touch', referral_model: null });
+      expect(shareOf(attribution, carol)).toBe(100);
+    });
+  });
+});
@@ -0,0 +1,426 @@
+/**
+ * Referral Incentives Utility Tests
+ * Tests for evaluating incentive rules when a referral converts (attribution
+ * splits, tiers, time boxes and milestones) and for moving awards through
+ * approval and payout
+ */
+const { v4: uuidv4 } = require('uuid');
+
+jest.mock('../../models/incentiveModel', () => ({
+  getRules: jest.fn(),
+  createAward: jest.fn(),
+  getAwardById: jest.fn(),
+  updateAwardStatus: jest.fn(),
+  createPayout: jest.fn()
+}));
+
+jest.mock('../../models/referralModel', () => ({
+  getReferrersForReferral: jest.fn(),
+  getConvertedReferralShares: jest.fn(),
+  getReferralById: jest.fn(),
+  updateReferral: jest.fn()
+}));
+
+jest.mock('../../models/memberModel', () => ({
+  getMemberExtensionByPersonId: jest.fn(),
+  updateMemberExtension: jest.fn()
+}));
+
+const incentiveModel = require('../../models/incentiveModel');
+const referralModel = require('../../models/referralModel');
+const memberModel = require('../../models/memberModel');
+const referralIncentives = require('../../utils/referralIncentives');
+
+describe('Referral Incentives Utility', () => {
+  const organizationId = uuidv4();
+  const adminId = uuidv4();
+  const alice = uuidv4();
+  const bob = uuidv4();
+
+  let rules;
+  let relationships;
+  let conversions;
+  let awards;
+  let payouts;
+  let referral;
+
+  const makeRule = overrides => ({
+    id: uuidv4(),
+    organization_id: organizationId,
+    name: 'Refer a friend',
+    trigger: 'conversion',
+    referral_threshold: null,
+    repeats: false,
+    reward_type: 'credit',
+    reward_amount: 50,
+    tiers: [],
+    starts_at: null,
+    ends_at: null,
+    requires_approval: true,
+    is_active: true,
+    ...overrides
+  });
+
+  // Gives a referrer earlier converted referrals, each credited in full
+  const givePastConversions = (personId, count) => {
+    conversions[personId] = Array.from({ length: count }, () => ({
+      referral_id: uuidv4(),
+      attribution_percentage: 100,
+      conversion_date: '2026-01-01T00:00:00Z'
+    }));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    rules = [];
+    conversions = {};
+    awards = [];
+    payouts = [];
+    referral = {
+      id: uuidv4(),
+      organization_id: organizationId,
+      first_name: 'Casey',
+      referral_extensions: [{ id: uuidv4(), conversion_status: 'converted', incentives_awarded: [] }]
+    };
+    relationships = [{ id: uuidv4(), person_a_id: alice, attribution_percentage: 100, is_primary_referrer: true }];
+
+    incentiveModel.getRules.mockImplementation(async () => rules.filter(rule => rule.is_active));
+    referralModel.getReferrersForReferral.mockImplementation(async () => relationships);
+    // As stored, a referrer's converted referrals include the one converting now
+    referralModel.getConvertedReferralShares.mockImplementation(async (personId) => {
+      const share = relationships.find(rel => rel.person_a_id === personId);
+
+      return [
+        ...(conversions[personId] || []),
+        { referral_id: referral.id, attribution_percentage: share.attribution_percentage, conversion_date: '2026-06-01T00:00:00Z' }
+      ];
+    });
+    referralModel.getReferralById.mockImplementation(async () => referral);
+    referralModel.updateReferral.mockImplementation(async (id, personData, extensionData) => {
+      referral.referral_extensions[0] = { ...referral.referral_extensions[0], ...extensionData };
+      return referral;
+    });
+
+    // incentive_awards is unique on (rule_id, person_id, referral_id)
+    incentiveModel.createAward.mockImplementation(async (awardData) => {
+      const duplicate = awards.some(award => award.rule_id === awardData.rule_id &&
+        award.person_id === awardData.person_id && award.referral_id === awardData.referral_id);
+
+      if (duplicate) {
+        return null;
+      }
+
+      const award = { id: uuidv4(), created_at: new Date().toISOString(), ...awardData };
+      awards.push(award);
+      return award;
+    });
+    incentiveModel.getAwardById.mockImplementation(async (orgId, id) => (
+      awards.find(award => award.id === id && award.organization_id === orgId) || null
+    ));
+    incentiveModel.updateAwardStatus.mockImplementation(async (orgId, id, fromStatuses, awardData) => {
+      const award = awards.find(a => a.id === id && a.organization_id === orgId && fromStatuses.includes(a.status));
+
+      if (!award) {
+        return null;
+      }
+
+      Object.assign(award, awardData);
+      return { ...award };
+    });
+    incentiveModel.createPayout.mockImplementation(async (payoutData) => {
+      if (payouts.some(payout => payout.award_id === payoutData.award_id)) {
+        return null;
+      }
+
+      const payout = { id: uuidv4(), created_at: new Date().toISOString(), ...payoutData };
+      payouts.push(payout);
+      return payout;
+    });
+
+    memberModel.getMemberExtensionByPersonId.mockResolvedValue({ id: uuidv4(), referral_rewards_earned: 25 });
+    memberModel.updateMemberExtension.mockResolvedValue({});
+  });
+
+  describe('getRewardAmount', () => {
+    const rule = makeRule({
+      reward_amount: 50,
+      tiers: [{ min_referrals: 3, reward_amount: 75 }, { min_referrals: 10, reward_amount: 100 }]
+    });
+
+    it('should pay the base reward below the first tier', () => {
+      expect(referralIncentives.getRewardAmount(rule, 2)).toBe(50);
+    });
+
+    it('should pay the highest tier reached', () => {
+      expect(referralIncentives.getRewardAmount(rule, 3)).toBe(75);
+      expect(referralIncentives.getRewardAmount(rule, 12)).toBe(100);
+    });
+  });
+
+  describe('getReferrerShares', () => {
+    it('should count a missing attribution as a full share', () => {
+      expect(referralIncentives.getReferrerShares([{ person_a_id: alice, attribution_percentage: null }]))
+        .toEqual([expect.objectContaining({ personId: alice, percentage: 100 })]);
+    });
+
+    it('should scale shares down when they add up to more than 100%', () => {
+      const shares = referralIncentives.getReferrerShares([
+        { person_a_id: alice, attribution_percentage: 100 },
+        { person_a_id: bob, attribution_percentage: 100 }
+      ]);
+
+      expect(shares.map(share => share.percentage)).toEqual([50, 50]);
+    });
+  });
+
+  describe('isRuleActiveAt', () => {
+    const rule = makeRule({ starts_at: '2026-06-01T00:00:00Z', ends_at: '2026-07-01T00:00:00Z' });
+
+    it('should only apply between the rule\'s dates', () => {
+      expect(referralIncentives.isRuleActiveAt(rule, '2026-05-31T23:59:59Z')).toBe(false);
+      expect(referralIncentives.isRuleActiveAt(rule, '2026-06-15T00:00:00Z')).toBe(true);
+      expect(referralIncentives.isRuleActiveAt(rule, '2026-07-01T00:00:00Z')).toBe(false);
+    });
+
+    it('should not apply a switched-off rule', () => {
+      expect(referralIncentives.isRuleActiveAt({ ...rule, is_active: false }, '2026-06-15T00:00:00Z')).toBe(false);
+    });
+  });
+
+  describe('evaluateConversion', () => {
+    it('should award the referrer a conversion reward waiting for approval', async () => {
+      rules.push(makeRule());
+
+      const created = await referralIncentives.evaluateConversion(referral);
+
+      expect(created).toHaveLength(1);
+      expect(created[0]).toMatchObject({
+        person_id: alice,
+        referral_id: referral.id,
+        amount: 50,
+        attribution_percentage: 100,
+        referral_count: 1,
+        status: 'pending'
+      });
+    });
+
+    it('should approve the award straight away when the rule doesn\'t need approval', async () => {
+      rules.push(makeRule({ requires_approval: false }));
+
+      const [award] = await referralIncentives.evaluateConversion(referral);
+
+      expect(award.status).toBe('approved');
+    });
+
+    it('should split a conversion reward by attribution', async () => {
+      rules.push(makeRule({ reward_amount: 90 }));
+      relationships = [
+        { id: uuidv4(), person_a_id: alice, attribution_percentage: 70 },
+        { id: uuidv4(), person_a_id: bob, attribution_percentage: 30 }
+      ];
+
+      const created = await referralIncentives.evaluateConversion(referral);
+
+      expect(created.map(award => [award.person_id, award.amount])).toEqual([[alice, 63], [bob, 27]]);
+      expect(created.map(award => award.referral_count)).toEqual([0.7, 0.3]);
+    });
+
+    it('should pay the tier the referrer has reached', async () => {
+      rules.push(makeRule({ tiers: [{ min_referrals: 3, reward_amount: 80 }] }));
+      givePastConversions(alice, 2);
+
+      const [award] = await referralIncentives.evaluateConversion(referral);
+
+      expect(award).toMatchObject({ amount: 80, referral_count: 3 });
+    });
+
+    it('should not apply rules outside their dates', async () => {
+      rules.push(makeRule({ ends_at: '2026-06-01T00:00:00Z' }));
+
+      const created = await referralIncentives.evaluateConversion(referral, { convertedAt: '2026-06-02T00:00:00Z' });
+
+      expect(created).toEqual([]);
+      expect(incentiveModel.createAward).not.toHaveBeenCalled();
+    });
+
+    it('should award a milestone when the referrer reaches it', async () => {
+      rules.push(makeRule({ trigger: 'milestone', referral_threshold: 3, reward_type: 'free_month', reward_amount: 99 }));
+
+      givePastConversions(alice, 1);
+      expect(await referralIncentives.evaluateConversion(referral)).toEqual([]);
+
+      givePastConversions(alice, 2);
+      const [award] = await referralIncentives.evaluateConversion(referral);
+
+      expect(award).toMatchObject({ reward_type: 'free_month', amount: 99, referral_count: 3 });
+    });
+
+    it('should only award a one-off milestone once', async () => {
+      rules.push(makeRule({ trigger: 'milestone', referral_threshold: 3 }));
+      givePastConversions(alice, 5);
+
+      expect(await referralIncentives.evaluateConversion(referral)).toEqual([]);
+    });
+
+    it('should award a repeating milestone every time it is reached', async () => {
+      rules.push(makeRule({ trigger: 'milestone', referral_threshold: 3, repeats: true }));
+      givePastConversions(alice, 5);
+
+      const [award] = await referralIncentives.evaluateConversion(referral);
+
+      expect(award).toMatchObject({ referral_count: 6 });
+    });
+
+    it('should only count conversions within a milestone rule\'s dates', async () => {
+      rules.push(makeRule({ trigger: 'milestone', referral_threshold: 3, starts_at: '2026-03-01T00:00:00Z' }));
+      // Two conversions from before the rule started
+      givePastConversions(alice, 2);
+
+      const convertedAt = '2026-06-01T00:00:00Z';
+      expect(await referralIncentives.evaluateConversion(referral, { convertedAt })).toEqual([]);
+
+      conversions[alice].push(
+        { referral_id: uuidv4(), attribution_percentage: 100, conversion_date: '2026-04-01T00:00:00Z' },
+        { referral_id: uuidv4(), attribution_percentage: 100, conversion_date: '2026-05-01T00:00:00Z' }
+      );
+      const [award] = await referralIncentives.evaluateConversion(referral, { convertedAt });
+
+      expect(award).toMatchObject({ person_id: alice, referral_count: 3 });
+    });
+
+    it('should count a shared referral\'s fraction towards milestones', async () => {
+      rules.push(makeRule({ trigger: 'milestone', referral_threshold: 2 }));
+      relationships = [
+        { id: uuidv4(), person_a_id: alice, attribution_percentage: 50 },
+        { id: uuidv4(), person_a_id: bob, attribution_percentage: 50 }
+      ];
+      givePastConversions(alice, 1);
+      conversions[bob] = [{ referral_id: uuidv4(), attribution_percentage: 50 }];
+
+      const created = await referralIncentives.evaluateConversion(referral);
+
+      // Alice reaches 1.5 and Bob 1: neither has reached 2
+      expect(created).toEqual([]);
+
+      // Another half share takes Alice to 2
+      conversions[alice].push({ referral_id: uuidv4(), attribution_percentage: 50 });
+      const [award] = await referralIncentives.evaluateConversion(referral);
+
+      expect(award).toMatchObject({ person_id: alice, referral_count: 2, amount: 50 });
+    });
+
+    it('should not award anything twice when a conversion is evaluated again', async () => {
+      rules.push(makeRule());
+
+      await referralIncentives.evaluateConversion(referral);
+      const again = await referralIncentives.evaluateConversion(referral);
+
+      expect(again).toEqual([]);
+      expect(awards).toHaveLength(1);
+      expect(referral.referral_extensions[0].incentives_awarded).toHaveLength(1);
+    });
+
+    it('should record the rules the referral was eligible for and the awards it earned', async () => {
+      const rule = makeRule();
+      rules.push(rule);
+
+      const [award] = await referralIncentives.evaluateConversion(referral);
+
+      expect(referral.referral_extensions[0]).toMatchObject({
+        eligible_incentives: [expect.objectContaining({ incentive_id: rule.id, reward_amount: 50 })],
+        incentives_awarded: [expect.objectContaining({ incentive_id: rule.id, award_id: award.id, status: 'pending' })]
+      });
+    });
+  });
+
+  describe('reviewAward', () => {
+    let award;
+
+    beforeEach(async () => {
+      rules.push(makeRule());
+      [award] = await referralIncentives.evaluateConversion(referral);
+    });
+
+    it('should approve a pending award', async () => {
+      const approved = await referralIncentives.reviewAward(organizationId, award.id, 'approve', {
+        userId: adminId,
+        notes: 'Checked the membership'
+      });
+
+      expect(approved).toMatchObject({ status: 'approved', reviewed_by: adminId, review_notes: 'Checked the membership' });
+      expect(referral.referral_extensions[0].incentives_awarded[0].status).toBe('approved');
+    });
+
+    it('should reject an approved award that hasn\'t been paid', async () => {
+      await referralIncentives.reviewAward(organizationId, award.id, 'approve', { userId: adminId });
+      const rejected = await referralIncentives.reviewAward(organizationId, award.id, 'reject', { userId: adminId });
+
+      expect(rejected.status).toBe('rejected');
+    });
+
+    it('should not approve an award twice', async () => {
+      await referralIncentives.reviewAward(organizationId, award.id, 'approve', { userId: adminId });
+
+      await expect(referralIncentives.reviewAward(organizationId, award.id, 'approve', { userId: adminId }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should not find another organization\'s award', async () => {
+      await expect(referralIncentives.reviewAward(uuidv4(), award.id, 'approve', { userId: adminId }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('payAward', () => {
+    let award;
+
+    beforeEach(async () => {
+      rules.push(makeRule({ requires_approval: false }));
+      [award] = await referralIncentives.evaluateConversion(referral);
+    });
+
+    it('should record the payout and credit the referrer', async () => {
+      const result = await referralIncentives.payAward(organizationId, award.id, {
+        userId: adminId,
+        method: 'gift_card',
+        reference: 'GC-1042'
+      });
+
+      expect(result.award.status).toBe('paid');
+      expect(result.payout).toMatchObject({
+        award_id: award.id,
+        person_id: alice,
+        amount: 50,
+        method: 'gift_card',
+        reference: 'GC-1042',
+        paid_by: adminId
+      });
+      expect(memberModel.updateMemberExtension).toHaveBeenCalledWith(expect.any(String), {
+        referral_rewards_earned: 75
+      });
+      expect(referral.referral_extensions[0].incentives_awarded[0].status).toBe('paid');
+    });
+
+    it('should not pay an award twice', async () => {
+      await referralIncentives.payAward(organizationId, award.id, { userId: adminId });
+
+      await expect(referralIncentives.payAward(organizationId, award.id, { userId: adminId }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'This award has already been paid' });
+      expect(payouts).toHaveLength(1);
+    });
+
+    it('should not pay an award waiting for approval', async () => {
+      award.status = 'pending';
+
+      await expect(referralIncentives.payAward(organizationId, award.id, { userId: adminId }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(incentiveModel.createPayout).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown payout method', async () => {
+      await expect(referralIncentives.payAward(organizationId, award.id, { userId: adminId, method: 'crypto' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
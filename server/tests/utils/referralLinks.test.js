@@ -0,0 +1,93 @@
+/**
+ * Referral Link Provider Tests
+ * Tests for creating referral links through Firebase or the self-hosted provider
+ */
+jest.mock('../../config/firebase', () => ({
+  createReferralLink: jest.fn(),
+  parseReferralLink: jest.requireActual('../../config/firebase').parseReferralLink
+}));
+
+const firebase = require('../../config/firebase');
+const referralLinks = require('../../utils/referralLinks');
+
+describe('Referral Links', () => {
+  const options = {
+    referrerId: 'member-1',
+    referrerName: 'Jane Member',
+    campaign: 'spring',
+    source: 'sms'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    referralLinks.config.apiBaseUrl = 'https://api.orca.test';
+    referralLinks.config.clientBaseUrl = 'https://app.orca.test';
+    referralLinks.config.fallbackToSelfHosted = true;
+  });
+
+  it('should create a self-hosted link that points at click tracking', async () => {
+    const link = await referralLinks.createLink({ ...options, provider: 'self_hosted' });
+
+    expect(link.provider).toBe('self_hosted');
+    expect(link.shortCode).toMatch(/^[A-Za-z0-9_-]{8}$/);
+    expect(link.url).toBe(`https://api.orca.test/api/referrals/l/${link.shortCode}`);
+    expect(firebase.createReferralLink).not.toHaveBeenCalled();
+  });
+
+  it('should send every link to the landing page with UTM parameters', async () => {
+    const link = await referralLinks.createLink({ ...options, provider: 'self_hosted' });
+    const parsed = firebase.parseReferralLink(link.destinationUrl);
+
+    expect(link.destinationUrl.startsWith(`https://app.orca.test/r/${link.shortCode}?`)).toBe(true);
+    expect(parsed).toMatchObject({
+      referrerId: 'member-1',
+      campaign: 'spring',
+      source: 'sms',
+      medium: 'referral',
+      content: 'member-1'
+    });
+  });
+
+  it('should create a Firebase link that deep links to click tracking', async () => {
+    firebase.createReferralLink.mockResolvedValue({
+      success: true,
+      shortLink: 'https://orca.page.link/abc',
+      previewLink: 'https://orca.page.link/abc?d=1'
+    });
+
+    const link = await referralLinks.createLink({ ...options, provider: 'firebase' });
+
+    expect(firebase.createReferralLink).toHaveBeenCalledWith(expect.objectContaining({
+      referrerId: 'member-1',
+      campaign: 'spring',
+      source: 'sms',
+      link: `https://api.orca.test/api/referrals/l/${link.shortCode}`
+    }));
+    expect(link).toMatchObject({
+      provider: 'firebase',
+      url: 'https://orca.page.link/abc',
+      previewUrl: 'https://orca.page.link/abc?d=1'
+    });
+  });
+
+  it('should fall back to a self-hosted link when Firebase fails', async () => {
+    firebase.createReferralLink.mockResolvedValue({ success: false, error: 'Network Error' });
+
+    const link = await referralLinks.createLink({ ...options, provider: 'firebase' });
+
+    expect(link.provider).toBe('self_hosted');
+    expect(link.url).toBe(`https://api.orca.test/api/referrals/l/${link.shortCode}`);
+  });
+
+  it('should surface the Firebase error when fallback is disabled', async () => {
+    referralLinks.config.fallbackToSelfHosted = false;
+    firebase.createReferralLink.mockResolvedValue({ success: false, error: 'Network Error' });
+
+    await expect(referralLinks.createLink({ ...options, provider: 'firebase' }))
+      .rejects.toThrow('Firebase Dynamic Link creation failed: Network Error');
+  });
+
+  it('should reject an unknown provider', () => {
+    expect(() => referralLinks.getProvider('bitly')).toThrow('Unknown referral link provider: bitly');
+  });
+});
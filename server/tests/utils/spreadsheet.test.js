@@ -0,0 +1,161 @@
+/**
+ * Spreadsheet Utility Tests
+ * Tests for reading uploaded CSV and XLSX files and writing CSV
+ */
+const zlib = require('zlib');
+const { config, parseCsv, parseSpreadsheet, toCsv } = require('../../utils/spreadsheet');
+
+// Zip the given files the way spreadsheet apps do (deflated entries plus a central directory).
+// declaredSizes overrides the uncompressed size recorded for a file.
+const buildZip = (files, declaredSizes = {}) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBuffer = Buffer.from(name);
+    const data = zlib.deflateRawSync(Buffer.from(content));
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(content), 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(declaredSizes[name] ?? Buffer.byteLength(content), 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+};
+
+describe('Spreadsheet Utility', () => {
+  describe('parseCsv', () => {
+    it('should handle quoted fields with delimiters, quotes and line breaks', () => {
+      expect(parseCsv('Name,Notes\r\n"Doe, Jane","Said ""hi""\ntwice"\r\n')).toEqual([
+        ['Name', 'Notes'],
+        ['Doe, Jane', 'Said "hi"\ntwice']
+      ]);
+    });
+
+    it('should detect semicolon and tab delimiters', () => {
+      expect(parseCsv('﻿Name;Email\nJane;jane@example.com')).toEqual([
+        ['Name', 'Email'],
+        ['Jane', 'jane@example.com']
+      ]);
+      expect(parseCsv('Name\tEmail\nJane\tjane@example.com')[1]).toEqual(['Jane', 'jane@example.com']);
+    });
+  });
+
+  describe('parseSpreadsheet', () => {
+    it('should name blank and repeated headers and pad short rows', () => {
+      const { headers, rows } = parseSpreadsheet(Buffer.from('Name,,Phone,Phone\nJane\n\nAnn,x,1,2\n\n'), 'leads.csv');
+
+      expect(headers).toEqual(['Name', 'Column 2', 'Phone', 'Phone (2)']);
+      // The blank row stays so row numbers match the file
+      expect(rows).toEqual([
+        ['Jane', '', '', ''],
+        ['', '', '', ''],
+        ['Ann', 'x', '1', '2']
+      ]);
+    });
+
+    it('should read the first worksheet of an XLSX workbook', () => {
+      const xlsx = buildZip({
+        'xl/workbook.xml': '<workbook><sheets><sheet name="Leads" sheetId="1" r:id="rId1"/></sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+        'xl/sharedStrings.xml': '<sst><si><t>Name</t></si><si><t>Joined</t></si><si><t>Jane &amp; Co</t></si></sst>',
+        'xl/styles.xml': '<styleSheet><cellXfs count="2"><xf numFmtId="0"/><xf numFmtId="14"/></cellXfs></styleSheet>',
+        'xl/worksheets/sheet1.xml': '<worksheet><sheetData>'
+          + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>'
+          + '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2" s="1"><v>45296</v></c></row>'
+          + '</sheetData></worksheet>'
+      });
+
+      expect(parseSpreadsheet(xlsx, 'leads.xlsx')).toEqual({
+        headers: ['Name', 'Joined'],
+        rows: [['Jane & Co', '2024-01-05']]
+      });
+    });
+
+    it('should reject files it cannot import', () => {
+      expect(() => parseSpreadsheet(Buffer.from(''), 'leads.csv')).toThrow('The file is empty');
+      expect(() => parseSpreadsheet(Buffer.from('Name,Email\n'), 'leads.csv'))
+        .toThrow('The file needs a header row and at least one row of data');
+      expect(() => parseSpreadsheet(Buffer.from('Name\nJane'), 'leads.xls'))
+        .toThrow('Older .xls workbooks');
+    });
+
+    describe('XLSX size limits', () => {
+      const maxUncompressedBytes = config.maxUncompressedBytes;
+      const sheet = `<worksheet><sheetData>${'<row r="1"><c r="A1" t="inlineStr"><is><t>Name</t></is></c></row>'.repeat(200)}</sheetData></worksheet>`;
+      const readError = (buffer) => {
+        try {
+          parseSpreadsheet(buffer, 'leads.xlsx');
+        } catch (error) {
+          return error;
+        }
+        return null;
+      };
+
+      afterEach(() => {
+        config.maxUncompressedBytes = maxUncompressedBytes;
+      });
+
+      it('should refuse a workbook whose files add up to more than the limit before inflating them', () => {
+        config.maxUncompressedBytes = 1000;
+        const inflate = jest.spyOn(zlib, 'inflateRawSync');
+
+        const error = readError(buildZip({ 'xl/worksheets/sheet1.xml': sheet }));
+
+        expect(error).toMatchObject({ statusCode: 400, message: 'The XLSX workbook is too large once uncompressed' });
+        expect(inflate).not.toHaveBeenCalled();
+        inflate.mockRestore();
+      });
+
+      it('should stop inflating a file that grows past the size it declares', () => {
+        const error = readError(buildZip({ 'xl/worksheets/sheet1.xml': sheet }, { 'xl/worksheets/sheet1.xml': 100 }));
+
+        expect(error).toMatchObject({ statusCode: 400, message: 'The XLSX workbook is too large once uncompressed' });
+      });
+
+      it('should report a truncated or corrupt archive as an invalid workbook', () => {
+        const xlsx = buildZip({ 'xl/worksheets/sheet1.xml': sheet });
+        // The directory is said to start past the end of the file
+        const truncated = Buffer.from(xlsx);
+        truncated.writeUInt32LE(xlsx.length + 100, xlsx.length - 22 + 16);
+        // The deflated sheet starts after the 30 byte local header and its name
+        const corrupt = Buffer.from(xlsx);
+        corrupt.fill(0xff, 54, 70);
+
+        expect(readError(truncated)).toMatchObject({ statusCode: 400, message: 'The file is not a valid XLSX workbook' });
+        expect(readError(corrupt)).toMatchObject({ statusCode: 400, message: 'The file is not a valid XLSX workbook' });
+      });
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should quote values that need it', () => {
+      expect(toCsv([['Row', 'Errors'], [2, 'Bad "email", missing name'], [3, null]]))
+        .toBe('Row,Errors\r\n2,"Bad ""email"", missing name"\r\n3,');
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Subscription Tiers Utility Tests
+ * Tests for ORCA plan limits, the upgrade messages shown when an action goes
+ * over them, and subscribing an organization through the local billing provider
+ */
+const { v4: uuidv4 } = require('uuid');
+
+process.env.BILLING_PROVIDER = 'local';
+
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+jest.mock('../../models/organizationModel', () => ({
+  getOrganizationById: jest.fn(),
+  updateOrganization: jest.fn(),
+  getUserIds: jest.fn(),
+  countSMSSent: jest.fn(),
+  countReferralLinks: jest.fn()
+}));
+
+const organizationModel = require('../../models/organizationModel');
+const billing = require('../../utils/billing');
+const subscriptionTiers = require('../../utils/subscriptionTiers');
+
+describe('Subscription Tiers Utility', () => {
+  const local = billing.providers.local;
+  let organization;
+
+  // Give the organization a number of users, SMS sent this month and referral links
+  const setUsage = ({ seats = 1, sms = 0, links = 0 } = {}) => {
+    organizationModel.getUserIds.mockResolvedValue(Array.from({ length: seats }, () => uuidv4()));
+    organizationModel.countSMSSent.mockResolvedValue(sms);
+    organizationModel.countReferralLinks.mockResolvedValue(links);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    local.reset();
+    subscriptionTiers.config.prices.growth = 'price_orca_growth';
+    subscriptionTiers.config.prices.scale = 'price_orca_scale';
+
+    organization = {
+      id: uuidv4(),
+      name: 'Harbor Fitness',
+      plan_tier: 'starter',
+      stripe_customer_id: null,
+      stripe_subscription_id: null,
+      subscription_status: null
+    };
+
+    organizationModel.getOrganizationById.mockImplementation(async id => (id === organization.id ? organization : null));
+    organizationModel.updateOrganization.mockImplementation(async (id, data) => ({ ...organization, ...data }));
+    setUsage();
+  });
+
+  describe('getPeriodStart', () => {
+    it('should start the SMS period on the first of the month', () => {
+      expect(subscriptionTiers.getPeriodStart(new Date('2026-03-18T15:30:00Z')).toISOString())
+        .toBe('2026-03-01T00:00:00.000Z');
+    });
+  });
+
+  describe('checkLimit', () => {
+    it('should allow an action within the limit', async () => {
+      setUsage({ seats: 2 });
+
+      await expect(subscriptionTiers.checkLimit(organization.id, 'seats', 1)).resolves.toBeNull();
+    });
+
+    it('should refuse a seat over the limit and suggest an upgrade', async () => {
+      setUsage({ seats: 3 });
+
+      const exceeded = await subscriptionTiers.checkLimit(organization.id, 'seats', 1);
+
+      expect(exceeded).toMatchObject({
+        limit: 'seats',
+        tier: 'starter',
+        allowed: 3,
+        used: 3,
+        requested: 1,
+        upgrade_tier: 'growth'
+      });
+      expect(exceeded.message).toBe('Your Starter plan includes 3 seats, and 3 are in use. Upgrade to Growth for 10 seats.');
+    });
+
+    it('should count SMS already sent this month', async () => {
+      setUsage({ sms: 900 });
+
+      const exceeded = await subscriptionTiers.checkLimit(organization.id, 'monthly_sms', 200);
+
+      expect(organizationModel.countSMSSent).toHaveBeenCalledWith(organization.id, subscriptionTiers.getPeriodStart());
+      expect(exceeded.message).toBe(
+        'Your Starter plan includes 1,000 SMS a month. 900 have been sent this month, so sending 200 more would go over. ' +
+        'Upgrade to Growth for 10,000 SMS a month.'
+      );
+    });
+
+    it('should suggest the smallest tier that fits a large blast', async () => {
+      const exceeded = await subscriptionTiers.checkLimit(organization.id, 'blast_size', 5000);
+
+      expect(exceeded).toMatchObject({ used: 0, upgrade_tier: 'scale' });
+      expect(organizationModel.getUserIds).not.toHaveBeenCalled();
+    });
+
+    it('should point to support when no tier is large enough', async () => {
+      organization.plan_tier = 'scale';
+
+      const exceeded = await subscriptionTiers.checkLimit(organization.id, 'blast_size', 20000);
+
+      expect(exceeded.upgrade_tier).toBeNull();
+      expect(exceeded.message).toMatch(/Contact ORCA support to raise this limit\.$/);
+    });
+
+    it('should not limit unlimited referral links on Scale', async () => {
+      organization.plan_tier = 'scale';
+      setUsage({ links: 50000 });
+
+      await expect(subscriptionTiers.checkLimit(organization.id, 'referral_links', 1)).resolves.toBeNull();
+    });
+
+    it('should not limit users outside an organization', async () => {
+      await expect(subscriptionTiers.checkLimit(null, 'seats', 100)).resolves.toBeNull();
+      expect(organizationModel.getOrganizationById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSummary', () => {
+    it('should list each limit with its usage', async () => {
+      setUsage({ seats: 2, sms: 120, links: 7 });
+
+      const summary = await subscriptionTiers.getSummary(organization);
+
+      expect(summary.tier.key).toBe('starter');
+      expect(summary.limits).toEqual([
+        { key: 'seats', label: 'Seats', allowed: 3, used: 2 },
+        { key: 'monthly_sms', label: 'SMS this month', allowed: 1000, used: 120 },
+        { key: 'blast_size', label: 'Text blast size', allowed: 250, used: null },
+        { key: 'referral_links', label: 'Referral links', allowed: 100, used: 7 }
+      ]);
+    });
+  });
+
+  describe('subscribe', () => {
+    it('should create a customer and an active subscription', async () => {
+      const result = await subscriptionTiers.subscribe(organization, 'growth', { email: 'owner@harbor.example' });
+
+      expect(local.customers[0]).toMatchObject({
+        email: 'owner@harbor.example',
+        name: 'Harbor Fitness',
+        metadata: { organization_id: organization.id }
+      });
+      expect(local.subscriptions[0]).toMatchObject({
+        customerId: 'cus_local_1',
+        priceId: 'price_orca_growth',
+        metadata: { organization_id: organization.id, plan_tier: 'growth' }
+      });
+      expect(organizationModel.updateOrganization).toHaveBeenCalledWith(organization.id, expect.objectContaining({
+        stripe_customer_id: 'cus_local_1',
+        stripe_subscription_id: 'sub_local_1',
+        subscription_status: 'active',
+        plan_tier: 'growth'
+      }));
+      expect(result.organization.plan_tier).toBe('growth');
+    });
+
+    it('should move an existing subscription to the new tier\'s price', async () => {
+      const { subscription } = await subscriptionTiers.subscribe(organization, 'growth');
+      Object.assign(organization, {
+        plan_tier: 'growth',
+        stripe_customer_id: 'cus_local_1',
+        stripe_subscription_id: subscription.id,
+        subscription_status: 'active'
+      });
+
+      await subscriptionTiers.subscribe(organization, 'scale');
+
+      expect(local.customers).toHaveLength(1);
+      expect(local.subscriptions).toHaveLength(1);
+      expect(local.subscriptions[0]).toMatchObject({
+        priceId: 'price_orca_scale',
+        metadata: { plan_tier: 'scale' }
+      });
+    });
+
+    it('should refuse a tier the organization has outgrown', async () => {
+      organization.plan_tier = 'scale';
+      setUsage({ seats: 12 });
+
+      await expect(subscriptionTiers.subscribe(organization, 'growth')).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'The Growth plan includes 10 seats, and 12 are in use'
+      });
+      expect(local.subscriptions).toHaveLength(0);
+    });
+
+    it('should refuse the free tier and tiers without a price', async () => {
+      subscriptionTiers.config.prices.scale = null;
+
+      await expect(subscriptionTiers.subscribe(organization, 'starter')).rejects.toMatchObject({ statusCode: 400 });
+      await expect(subscriptionTiers.subscribe(organization, 'scale')).rejects.toMatchObject({
+        message: 'The Scale plan has no Stripe price'
+      });
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Tasks Tests
+ * Tests for task list views, repeating tasks and completing tasks
+ */
+
+jest.mock('../../models/taskModel', () => ({
+  createTask: jest.fn(),
+  updateTask: jest.fn(),
+  claimCompletion: jest.fn()
+}));
+
+jest.mock('../../models/personModel', () => ({
+  getPersonTenant: jest.fn()
+}));
+
+jest.mock('../../models/organizationModel', () => ({
+  getUserIds: jest.fn()
+}));
+
+jest.mock('../../models/interactionModel', () => ({
+  createInteraction: jest.fn()
+}));
+
+const taskModel = require('../../models/taskModel');
+const personModel = require('../../models/personModel');
+const organizationModel = require('../../models/organizationModel');
+const interactionModel = require('../../models/interactionModel');
+const tasks = require('../../utils/tasks');
+
+describe('Tasks', () => {
+  const now = new Date('2030-01-31T15:00:00.000Z');
+  const scope = { organizationId: 'org-1', locationId: null, locationIds: ['loc-1'] };
+  const user = { id: 'user-1', role: 'salesperson' };
+
+  const openTask = (fields = {}) => ({
+    id: 'task-1',
+    organization_id: 'org-1',
+    location_id: 'loc-1',
+    person_id: 'person-1',
+    title: 'Call about the trial',
+    description: null,
+    due_at: '2030-01-31T14:00:00.000Z',
+    priority: 'high',
+    assigned_to: 'user-1',
+    interaction_type: 'call',
+    recurrence: null,
+    recurrence_interval: 1,
+    recurrence_ends_at: null,
+    series_id: null,
+    status: 'open',
+    created_by: 'user-1',
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    organizationModel.getUserIds.mockResolvedValue(['user-1', 'user-2']);
+    personModel.getPersonTenant.mockResolvedValue({ organization_id: 'org-1', location_id: 'loc-1' });
+    taskModel.createTask.mockImplementation(async task => ({ id: 'task-new', ...task }));
+    taskModel.updateTask.mockImplementation(async (id, changes) => ({ ...openTask(), ...changes, id }));
+    taskModel.claimCompletion.mockImplementation(async (id, completion) => ({ ...openTask(), ...completion, status: 'completed' }));
+    interactionModel.createInteraction.mockResolvedValue({ id: 'interaction-1' });
+  });
+
+  describe('getViewFilters', () => {
+    it('should show open tasks that are past due as overdue', () => {
+      expect(tasks.getViewFilters('overdue', now)).toEqual({ status: 'open', dueBefore: '2030-01-31T15:00:00.000Z' });
+      expect(tasks.getViewFilters('today', now)).toEqual({
+        status: 'open',
+        dueAfter: '2030-01-31T00:00:00.000Z',
+        dueBefore: '2030-02-01T00:00:00.000Z'
+      });
+    });
+
+    it('should reject an unknown view', () => {
+      expect(() => tasks.getViewFilters('someday', now)).toThrow('view must be one of: open, overdue, today, upcoming, completed');
+    });
+  });
+
+  describe('getNextDueAt', () => {
+    it('should repeat daily, weekly and monthly', () => {
+      const due = { due_at: '2030-02-01T09:00:00.000Z' };
+      const before = new Date('2030-01-01T00:00:00.000Z');
+
+      expect(tasks.getNextDueAt({ ...due, recurrence: 'daily', recurrence_interval: 2 }, before).toISOString())
+        .toBe('2030-02-03T09:00:00.000Z');
+      expect(tasks.getNextDueAt({ ...due, recurrence: 'weekly', recurrence_interval: 1 }, before).toISOString())
+        .toBe('2030-02-08T09:00:00.000Z');
+      expect(tasks.getNextDueAt({ ...due, recurrence: 'monthly', recurrence_interval: 3 }, before).toISOString())
+        .toBe('2030-05-01T09:00:00.000Z');
+      expect(tasks.getNextDueAt({ due_at: due.due_at, recurrence: null }, before)).toBeNull();
+    });
+
+    it('should keep monthly tasks on the last day of shorter months', () => {
+      const task = { due_at: '2030-01-31T09:00:00.000Z', recurrence: 'monthly', recurrence_interval: 1 };
+
+      expect(tasks.getNextDueAt(task, new Date('2030-01-31T10:00:00.000Z')).toISOString()).toBe('2030-02-28T09:00:00.000Z');
+    });
+
+    it('should skip repeats that are already overdue and stop at the end of the series', () => {
+      const task = { due_at: '2030-01-20T09:00:00.000Z', recurrence: 'daily', recurrence_interval: 1 };
+
+      expect(tasks.getNextDueAt(task, now).toISOString()).toBe('2030-02-01T09:00:00.000Z');
+      expect(tasks.getNextDueAt({ ...task, recurrence_ends_at: '2030-01-31T23:59:59.000Z' }, now)).toBeNull();
+    });
+  });
+
+  describe('createTask', () => {
+    it('should put a task about a person in the person\'s location and assign it to its creator', async () => {
+      await tasks.createTask({ title: 'Send the price sheet', due_at: '2030-02-02T10:00:00.000Z', person_id: 'person-1' }, user, scope);
+
+      expect(taskModel.createTask).toHaveBeenCalledWith(expect.objectContaining({
+        title: 'Send the price sheet',
+        assigned_to: 'user-1',
+        created_by: 'user-1',
+        priority: 'normal',
+        status: 'open',
+        organization_id: 'org-1',
+        location_id: 'loc-1'
+      }));
+    });
+
+    it('should reject an assignee from another organization or a person outside the scope', async () => {
+      await expect(tasks.createTask({ title: 'Call', due_at: '2030-02-02T10:00:00.000Z', assigned_to: 'user-9' }, user, scope))
+        .rejects.toThrow('assigned_to must be one of your organization\'s users');
+
+      personModel.getPersonTenant.mockResolvedValue({ organization_id: 'org-2', location_id: null });
+
+      await expect(tasks.createTask({ title: 'Call', due_at: '2030-02-02T10:00:00.000Z', person_id: 'person-2' }, user, scope))
+        .rejects.toThrow('Person with ID person-2 not found');
+      expect(taskModel.createTask).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('completeTask', () => {
+    it('should log an interaction on the person\'s record', async () => {
+      const result = await tasks.completeTask(openTask(), { user, notes: 'Booked a tour for Friday', now }, scope);
+
+      expect(interactionModel.createInteraction).toHaveBeenCalledWith({
+        person_id: 'person-1',
+        user_id: 'user-1',
+        interaction_type: 'call',
+        subject: 'Call about the trial',
+        content: 'Booked a tour for Friday',
+        status: 'completed',
+        completed_at: '2030-01-31T15:00:00.000Z'
+      }, scope);
+      expect(taskModel.updateTask).toHaveBeenCalledWith('task-1', { interaction_id: 'interaction-1' });
+      expect(result.interaction).toEqual({ id: 'interaction-1' });
+      expect(result.next_task).toBeNull();
+    });
+
+    it('should schedule the next task of a repeating series', async () => {
+      const result = await tasks.completeTask(openTask({ person_id: null, recurrence: 'weekly' }), { user, now }, scope);
+
+      expect(interactionModel.createInteraction).not.toHaveBeenCalled();
+      expect(result.next_task).toEqual(expect.objectContaining({
+        due_at: '2030-02-07T14:00:00.000Z',
+        series_id: 'task-1',
+        assigned_to: 'user-1',
+        status: 'open'
+      }));
+    });
+
+    it('should refuse a task that was completed in the meantime', async () => {
+      taskModel.claimCompletion.mockResolvedValue(null);
+
+      await expect(tasks.completeTask(openTask(), { user, now }, scope)).rejects.toThrow('This task is no longer open');
+      expect(interactionModel.createInteraction).not.toHaveBeenCalled();
+    });
+
+    it('should reopen the task if the interaction can\'t be logged', async () => {
+      interactionModel.createInteraction.mockRejectedValue(new Error('insert failed'));
+
+      await expect(tasks.completeTask(openTask(), { user, now }, scope)).rejects.toThrow('insert failed');
+      expect(taskModel.updateTask).toHaveBeenCalledWith('task-1', { status: 'open', completed_at: null, completed_by: null });
+      expect(taskModel.createTask).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,336 @@
+/**
+ * Text Blast Scheduler Tests
+ * Tests for dispatching scheduled text blasts
+ */
+const { v4: uuidv4 } = require('uuid');
+
+// External SDKs loaded by the messaging controller
+jest.mock('telnyx', () => jest.fn(() => ({ messages: { create: jest.fn() } })), { virtual: true });
+jest.mock('googleapis', () => ({ google: {} }), { virtual: true });
+jest.mock('stripe', () => jest.fn(() => ({})), { virtual: true });
+
+jest.mock('../../models/messageModel', () => ({
+  getAllTextBlasts: jest.fn(),
+  claimTextBlast: jest.fn(),
+  touchTextBlast: jest.fn(),
+  updateTextBlastStatus: jest.fn(),
+  getMessagesByBlastId: jest.fn(),
+  getTemplateById: jest.fn(),
+  createMessage: jest.fn(),
+  updateMessage: jest.fn(),
+  deleteMessage: jest.fn()
+}));
+
+jest.mock('../../models/personModel', () => ({
+  getPersonById: jest.fn(),
+  getAllPersons: jest.fn()
+}));
+
+jest.mock('../../models/interactionModel', () => ({
+  createInteraction: jest.fn()
+}));
+
+jest.mock('../../utils/leadScoring', () => ({
+  rescoreLead: jest.fn()
+}));
+
+const telnyx = require('../../config/telnyx');
+const messageModel = require('../../models/messageModel');
+const personModel = require('../../models/personModel');
+const { processDueTextBlasts } = require('../../utils/textBlastScheduler');
+
+const makePerson = (overrides = {}) => ({
+  id: uuidv4(),
+  first_name: 'Test',
+  last_name: 'Person',
+  phone: '+15555550100',
+  sms_opt_in: true,
+  ...overrides
+});
+
+const makeBlast = (overrides = {}) => ({
+  id: uuidv4(),
+  sender_id: uuidv4(),
+  content: 'Hi {{first_name}}, Monday promo!',
+  status: 'scheduled',
+  scheduled_for: '2024-01-08T13:00:00.000Z',
+  started_at: null,
+  recipient_ids: [],
+  ...overrides
+});
+
+describe('Text Blast Scheduler', () => {
+  const now = new Date('2024-01-08T13:00:30.000Z');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.TELNYX_API_KEY;
+
+    messageModel.getAllTextBlasts.mockResolvedValue([]);
+    messageModel.getMessagesByBlastId.mockResolvedValue([]);
+    messageModel.updateTextBlastStatus.mockResolvedValue({});
+    messageModel.createMessage.mockImplementation(async (data) => ({ id: uuidv4(), ...data }));
+    messageModel.updateMessage.mockImplementation(async (id, data) => ({ id, ...data }));
+    messageModel.claimTextBlast.mockImplementation(async (blast) => ({
+      ...blast,
+      status: 'processing',
+      started_at: now.toISOString()
+    }));
+  });
+
+  it('should look up due scheduled blasts and stale processing blasts', async () => {
+    await processDueTextBlasts(now);
+
+    expect(messageModel.getAllTextBlasts).toHaveBeenCalledWith(
+      { status: 'scheduled', scheduledBefore: now.toISOString() },
+      expect.any(Object)
+    );
+    expect(messageModel.getAllTextBlasts).toHaveBeenCalledWith(
+      { status: 'processing', startedBefore: '2024-01-08T12:45:30.000Z' },
+      expect.any(Object)
+    );
+  });
+
+  it('should send a due blast to each recipient and mark it completed', async () => {
+    const recipients = [makePerson(), makePerson()];
+    const blast = makeBlast({ recipient_ids: recipients.map(r => r.id) });
+
+    messageModel.getAllTextBlasts
+      .mockResolvedValueOnce([blast])
+      .mockResolvedValueOnce([]);
+    personModel.getPersonById.mockImplementation(async (id) => recipients.find(r => r.id === id));
+
+    const summary = await processDueTextBlasts(now);
+
+    expect(messageModel.claimTextBlast).toHaveBeenCalledWith(blast);
+    expect(messageModel.createMessage).toHaveBeenCalledTimes(2);
+    expect(messageModel.createMessage).toHaveBeenCalledWith(expect.objectContaining({
+      sender_id: blast.sender_id,
+      recipient_id: recipients[0].id,
+      message_type: 'sms',
+      status: 'sending',
+      is_blast: true,
+      blast_id: blast.id
+    }));
+    // Each pending row is updated once the SMS is sent
+    expect(messageModel.updateMessage).toHaveBeenCalledTimes(2);
+    expect(messageModel.updateMessage).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({ recipient_id: recipients[0].id, status: 'sent' })
+    );
+    expect(messageModel.updateTextBlastStatus).toHaveBeenCalledWith(
+      blast.id,
+      'completed',
+      2,
+      { failed_count: 0, suppressed_count: 0, last_error: null }
+    );
+    expect(summary.processed).toBe(1);
+  });
+
+  it('should resolve recipients from stored filters', async () => {
+    const recipients = [makePerson()];
+    const organizationId = uuidv4();
+    const locationId = uuidv4();
+    const blast = makeBlast({
+      recipient_ids: null,
+      filters: { isLead: true },
+      organization_id: organizationId,
+      location_id: locationId
+    });
+
+    messageModel.getAllTextBlasts
+      .mockResolvedValueOnce([blast])
+      .mockResolvedValueOnce([]);
+    personModel.getAllPersons.mockResolvedValue(recipients);
+
+    await processDueTextBlasts(now);
+
+    // Only the blast's own location is reached
+    expect(personModel.getAllPersons).toHaveBeenCalledWith({ isLead: true }, { page: 0, pageSize: 500 }, {
+      organizationId,
+      locationId,
+      locationIds: [locationId]
+    });
+    expect(messageModel.createMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should skip a blast claimed by another worker', async () => {
+    const blast = makeBlast({ recipient_ids: [uuidv4()] });
+
+    messageModel.getAllTextBlasts
+      .mockResolvedValueOnce([blast])
+      .mockResolvedValueOnce([]);
+    messageModel.claimTextBlast.mockResolvedValue(null);
+
+    const summary = await processDueTextBlasts(now);
+
+    expect(messageModel.createMessage).not.toHaveBeenCalled();
+    expect(messageModel.updateTextBlastStatus).not.toHaveBeenCalled();
+    expect(summary.processed).toBe(0);
+  });
+
+  it('should not resend to recipients already messaged when resuming a blast', async () => {
+    const recipients = [makePerson(), makePerson()];
+    const blast = makeBlast({
+      status: 'processing',
+      started_at: '2024-01-08T12:00:00.000Z',
+      recipient_ids: recipients.map(r => r.id)
+    });
+
+    messageModel.getAllTextBlasts
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([blast]);
+    messageModel.getMessagesByBlastId.mockResolvedValue([
+      { id: uuidv4(), blast_id: blast.id, recipient_id: recipients[0].id }
+    ]);
+    personModel.getPersonById.mockImplementation(async (id) => recipients.find(r => r.id === id));
+
+    await processDueTextBlasts(now);
+
+    expect(messageModel.createMessage).toHaveBeenCalledTimes(1);
+    expect(messageModel.createMessage).toHaveBeenCalledWith(expect.objectContaining({
+      recipient_id: recipients[1].id
+    }));
+    expect(messageModel.updateTextBlastStatus).toHaveBeenCalledWith(
+      blast.id,
+      'completed',
+      2,
+      expect.any(Object)
+    );
+  });
+
+  it('should count a recipient left sending by a crash as failed instead of texting them again', async () => {
+    const recipients = [makePerson(), makePerson()];
+    const blast = makeBlast({
+      status: 'processing',
+      started_at: '2024-01-08T12:00:00.000Z',
+      recipient_ids: recipients.map(r => r.id)
+    });
+
+    messageModel.getAllTextBlasts
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([blast]);
+    messageModel.getMessagesByBlastId.mockResolvedValue([
+      { id: uuidv4(), blast_id: blast.id, recipient_id: recipients[0].id, status: 'sending' }
+    ]);
+    personModel.getPersonById.mockImplementation(async (id) => recipients.find(r => r.id === id));
+
+    await processDueTextBlasts(now);
+
+    expect(messageModel.createMessage).toHaveBeenCalledTimes(1);
+    expect(messageModel.createMessage).toHaveBeenCalledWith(expect.objectContaining({
+      recipient_id: recipients[1].id
+    }));
+    expect(messageModel.updateTextBlastStatus).toHaveBeenCalledWith(
+      blast.id,
+      'completed',
+      1,
+      {
+        failed_count: 1,
+        suppressed_count: 0,
+        last_error: 'Sending was interrupted before it could be confirmed'
+      }
+    );
+  });
+
+  it('should release the pending row when the provider rejects a send', async () => {
+    const recipient = makePerson();
+    const blast = makeBlast({ recipient_ids: [recipient.id] });
+
+    process.env.TELNYX_API_KEY = 'test-key';
+    process.env.TELNYX_MESSAGING_PROFILE_ID = 'test-profile';
+    jest.spyOn(telnyx, 'sendSMS').mockResolvedValue({ success: false, error: 'Invalid number' });
+    messageModel.getAllTextBlasts
+      .mockResolvedValueOnce([blast])
+      .mockResolvedValueOnce([]);
+    personModel.getPersonById.mockResolvedValue(recipient);
+
+    await processDueTextBlasts(now);
+
+    const pendingMessage = await messageModel.createMessage.mock.results[0].value;
+    expect(messageModel.deleteMessage).toHaveBeenCalledWith(pendingMessage.id);
+    expect(messageModel.updateMessage).not.toHaveBeenCalled();
+    expect(messageModel.updateTextBlastStatus).toHaveBeenCalledWith(
+      blast.id,
+      'failed',
+      0,
+      { failed_count: 1, suppressed_count: 0, last_error: 'SMS sending failed: Invalid number' }
+    );
+
+    delete process.env.TELNYX_MESSAGING_PROFILE_ID;
+  });
+
+  it('should refresh a long blast\'s start time and stop if another worker takes it over', async () => {
+    const recipients = [makePerson(), makePerson(), makePerson()];
+    const blast = makeBlast({ recipient_ids: recipients.map(r => r.id) });
+    let clock = now.getTime();
+
+    // Each send takes a minute
+    jest.spyOn(Date, 'now').mockImplementation(() => clock);
+    messageModel.createMessage.mockImplementation(async (data) => {
+      clock += 60000;
+      return { id: uuidv4(), ...data };
+    });
+    messageModel.touchTextBlast
+      .mockImplementationOnce(async (claimed) => ({ ...claimed, started_at: new Date(clock).toISOString() }))
+      .mockResolvedValueOnce(null);
+    messageModel.getAllTextBlasts
+      .mockResolvedValueOnce([blast])
+      .mockResolvedValueOnce([]);
+    personModel.getPersonById.mockImplementation(async (id) => recipients.find(r => r.id === id));
+
+    const summary = await processDueTextBlasts(now);
+
+    expect(messageModel.touchTextBlast).toHaveBeenCalledTimes(2);
+    expect(messageModel.touchTextBlast).toHaveBeenCalledWith(expect.objectContaining({
+      id: blast.id,
+      started_at: now.toISOString()
+    }));
+    // The third recipient is left to the worker that took the blast over
+    expect(messageModel.createMessage).toHaveBeenCalledTimes(2);
+    expect(messageModel.updateTextBlastStatus).not.toHaveBeenCalled();
+    expect(summary.results[0]).toMatchObject({ status: 'processing', sentCount: 2 });
+  });
+
+  it('should mark a blast failed when no recipients can be found', async () => {
+    const blast = makeBlast({ recipient_ids: [uuidv4()] });
+
+    messageModel.getAllTextBlasts
+      .mockResolvedValueOnce([blast])
+      .mockResolvedValueOnce([]);
+    personModel.getPersonById.mockRejectedValue(new Error('Not found'));
+
+    await processDueTextBlasts(now);
+
+    expect(messageModel.updateTextBlastStatus).toHaveBeenCalledWith(
+      blast.id,
+      'failed',
+      0,
+      { last_error: 'No valid recipients found' }
+    );
+  });
+
+  it('should mark a blast failed when every send fails', async () => {
+    const recipient = makePerson();
+    const blast = makeBlast({ recipient_ids: [recipient.id] });
+
+    messageModel.getAllTextBlasts
+      .mockResolvedValueOnce([blast])
+      .mockResolvedValueOnce([]);
+    personModel.getPersonById.mockResolvedValue(recipient);
+    messageModel.createMessage.mockRejectedValue(new Error('Provider down'));
+
+    await processDueTextBlasts(now);
+
+    expect(messageModel.updateTextBlastStatus).toHaveBeenCalledWith(
+      blast.id,
+      'failed',
+      0,
+      { failed_count: 1, suppressed_count: 0, last_error: 'Provider down' }
+    );
+  });
+});
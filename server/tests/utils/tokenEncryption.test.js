@@ -0,0 +1,64 @@
+/**
+ * Token Encryption Tests
+ * Tests for encrypting OAuth tokens at rest
+ */
+const crypto = require('crypto');
+const { encrypt, decrypt } = require('../../utils/tokenEncryption');
+
+describe('Token Encryption', () => {
+  const originalKey = process.env.TOKEN_ENCRYPTION_KEY;
+
+  beforeEach(() => {
+    process.env.TOKEN_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+  });
+
+  afterAll(() => {
+    process.env.TOKEN_ENCRYPTION_KEY = originalKey;
+  });
+
+  it('should round trip a token without storing it in plain text', () => {
+    const encrypted = encrypt('1//refresh-token');
+
+    expect(encrypted).toMatch(/^v1:/);
+    expect(encrypted).not.toContain('refresh-token');
+    expect(decrypt(encrypted)).toBe('1//refresh-token');
+  });
+
+  it('should use a new IV for every value', () => {
+    expect(encrypt('same-token')).not.toBe(encrypt('same-token'));
+  });
+
+  it('should accept a hex encoded key', () => {
+    process.env.TOKEN_ENCRYPTION_KEY = crypto.randomBytes(32).toString('hex');
+
+    expect(decrypt(encrypt('token'))).toBe('token');
+  });
+
+  it('should reject a value that has been tampered with', () => {
+    const [version, iv, tag, ciphertext] = encrypt('token').split(':');
+    const tampered = Buffer.from(ciphertext, 'base64');
+    tampered[0] ^= 1;
+
+    expect(() => decrypt([version, iv, tag, tampered.toString('base64')].join(':'))).toThrow();
+  });
+
+  it('should not decrypt with a different key', () => {
+    const encrypted = encrypt('token');
+    process.env.TOKEN_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+
+    expect(() => decrypt(encrypted)).toThrow();
+  });
+
+  it('should require a 32 byte key', () => {
+    delete process.env.TOKEN_ENCRYPTION_KEY;
+    expect(() => encrypt('token')).toThrow('TOKEN_ENCRYPTION_KEY is not set');
+
+    process.env.TOKEN_ENCRYPTION_KEY = 'too-short';
+    expect(() => encrypt('token')).toThrow('TOKEN_ENCRYPTION_KEY must be 32 bytes');
+  });
+
+  it('should pass empty values through as null', () => {
+    expect(encrypt(null)).toBeNull();
+    expect(decrypt(null)).toBeNull();
+  });
+});
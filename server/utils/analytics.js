@@ -0,0 +1,342 @@
+/**
+ * Analytics Utility
+ *
+ * Works out the numbers on the dashboard from the organization's records, so
+ * every manager sees the same figures and never a made-up fallback. It
+ * provides:
+ * - KPIs: lead totals and conversion, active members and referrals
+ * - The conversion funnel: how many leads are in and have reached each
+ *   pipeline stage, and how many moved on from one stage to the next
+ * - Lead sources: leads, wins and conversion for each acquisition source
+ * - Period trends: new and converted leads per day, week or month, from
+ *   get_lead_metrics_by_period
+ *
+ * Conversion rates are fractions from 0 to 1. A lead counts as converted when
+ * it is won; the KPI and source conversion rates are wins out of closed leads.
+ * Results are cached per tenant scope for ANALYTICS_CACHE_SECONDS and carry
+ * the time they were worked out as generated_at.
+ */
+
+const dotenv = require('dotenv');
+const analyticsModel = require('../models/analyticsModel');
+const leadPipeline = require('./leadPipeline');
+const { CustomError } = require('./errorHandler');
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Configuration for analytics
+const config = {
+  // How long results are reused before they are worked out again
+  cacheSeconds: parseInt(process.env.ANALYTICS_CACHE_SECONDS || '300', 10),
+  // Leads read per query when building the funnel and source reports
+  pageSize: 1000
+};
+
+// Trend periods: how far back they reach and how long each point is
+const PERIODS = {
+  week: { interval: '1 day', start: now => addDays(startOfDay(now), -6) },
+  month: { interval: '1 day', start: now => addDays(startOfDay(now), -29) },
+  quarter: { interval: '1 week', start: now => addDays(startOfDay(now), -12 * 7) },
+  year: { interval: '1 month', start: now => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 11, 1)) }
+};
+
+// Stages a lead leaves the funnel through rather than moving along it
+const EXIT_STAGES = ['lost'];
+
+// Source name for leads without an acquisition source
+const UNKNOWN_SOURCE = 'Unknown';
+
+// Results by cache key: { expiresAt, value }
+const cache = new Map();
+
+/**
+ * Midnight (UTC) at the start of a date
+ * @param {Date} date - Date
+ * @returns {Date} Start of the day
+ */
+const startOfDay = date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Move a date by a number of days
+ * @param {Date} date - Date
+ * @param {number} days - Days to add, negative to go back
+ * @returns {Date} New date
+ */
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Divide, rounding to four decimals and treating nothing out of nothing as 0
+ * @param {number} part - Numerator
+ * @param {number} whole - Denominator
+ * @returns {number} Rate from 0 to 1
+ */
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0);
+
+/**
+ * Get a cached result, or work it out and cache it
+ * @param {string} name - Report name
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @param {Object} params - Report parameters that change the result
+ * @param {Function} build - Async function working out the result
+ * @param {Object} [options] - Cache options
+ * @param {boolean} [options.refresh] - Work the result out again even if it is cached
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} Result with generated_at and whether it came from the cache
+ */
+const cached = async (name, scope, params, build, { refresh = false, now = new Date() } = {}) => {
+  const key = JSON.stringify([name, scope.organizationId, scope.locationId || null, params]);
+  const entry = cache.get(key);
+
+  if (!refresh && entry && entry.expiresAt > now.getTime()) {
+    return { ...entry.value, cached: true };
+  }
+
+  const value = {
+    ...(await build()),
+    generated_at: now.toISOString()
+  };
+
+  // Drop expired results so the cache doesn't grow with every scope and filter
+  cache.forEach((other, otherKey) => {
+    if (other.expiresAt <= now.getTime()) {
+      cache.delete(otherKey);
+    }
+  });
+
+  if (config.cacheSeconds > 0) {
+    cache.set(key, { expiresAt: now.getTime() + config.cacheSeconds * 1000, value });
+  }
+
+  return { ...value, cached: false };
+};
+
+/**
+ * Forget every cached result
+ */
+const clearCache = () => {
+  cache.clear();
+};
+
+/**
+ * Read every lead in scope
+ * @param {UUID|null} assignedTo - Only include leads assigned to this user
+ * @param {Object} scope - Tenant scope
+ * @returns {Promise<Array>} Leads with acquisition_source and their lead extension
+ */
+const loadLeads = async (assignedTo, scope) => {
+  const leads = [];
+
+  for (let page = 0; ; page += 1) {
+    const batch = await analyticsModel.getLeadsForAnalytics({ assignedTo }, { page, pageSize: config.pageSize }, scope);
+    leads.push(...batch);
+
+    if (batch.length < config.pageSize) {
+      return leads;
+    }
+  }
+};
+
+/**
+ * Get a lead's extension from a persons row
+ * @param {Object} lead - Person with lead_extensions
+ * @returns {Object} Lead extension, empty if there isn't one
+ */
+const extensionOf = lead => (Array.isArray(lead.lead_extensions)
+  ? lead.lead_extensions[0]
+  : lead.lead_extensions) || {};
+
+/**
+ * Get the pipeline stage key of a lead's current status
+ * @param {Object} lead - Person with lead_extensions
+ * @returns {string|null} Stage key, or null for an unknown status
+ */
+const currentStageKey = (lead) => {
+  const stage = leadPipeline.getStage(extensionOf(lead).lead_status);
+  return stage ? stage.key : null;
+};
+
+/**
+ * Get the KPIs
+ * @param {Object} scope - Tenant scope
+ * @param {Object} [options] - Report options
+ * @param {UUID} [options.assignedTo] - Only count records assigned to this user
+ * @param {boolean} [options.refresh] - Skip the cache
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} { leads: { total, new_this_week, open, won, lost, conversion_rate },
+ * members: { active }, referrals: { total, new_this_month }, generated_at, cached }
+ */
+const getKpis = (scope, { assignedTo = null, refresh = false, now = new Date() } = {}) => cached('kpis', scope, { assignedTo }, async () => {
+  const weekAgo = addDays(now, -7).toISOString();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+
+  const [leads, newLeads, activeMembers, referrals, newReferrals] = await Promise.all([
+    loadLeads(assignedTo, scope),
+    analyticsModel.countPersons({ flag: 'is_lead', createdSince: weekAgo, assignedTo }, scope),
+    analyticsModel.countActiveMembers({ assignedTo }, scope),
+    analyticsModel.countPersons({ flag: 'is_referral', assignedTo }, scope),
+    analyticsModel.countPersons({ flag: 'is_referral', createdSince: monthStart, assignedTo }, scope)
+  ]);
+
+  const stages = leads.map(currentStageKey);
+  const won = stages.filter(key => key === 'won').length;
+  const lost = stages.filter(key => key === 'lost').length;
+
+  return {
+    leads: {
+      total: leads.length,
+      new_this_week: newLeads,
+      open: leads.length - won - lost,
+      won,
+      lost,
+      conversion_rate: rate(won, won + lost)
+    },
+    members: {
+      active: activeMembers
+    },
+    referrals: {
+      total: referrals,
+      new_this_month: newReferrals
+    }
+  };
+}, { refresh, now });
+
+/**
+ * Get the conversion funnel
+ * A lead has reached every stage up to the furthest one in its status history,
+ * so a lead that was lost after a visit still counts towards the visit. Each
+ * stage's conversion_rate is the share of the leads reaching the stage before
+ * it that went on to reach it.
+ * @param {Object} scope - Tenant scope
+ * @param {Object} [options] - Report options (see getKpis)
+ * @returns {Promise<Object>} { stages: [{ key, label, current, reached, conversion_rate }], total, generated_at, cached }
+ */
+const getFunnel = (scope, { assignedTo = null, refresh = false, now = new Date() } = {}) => cached('funnel', scope, { assignedTo }, async () => {
+  const leads = await loadLeads(assignedTo, scope);
+  const pipeline = leadPipeline.getPipeline();
+  const steps = pipeline.filter(stage => !EXIT_STAGES.includes(stage.key)).map(stage => stage.key);
+
+  const current = {};
+  const reached = steps.map(() => 0);
+
+  leads.forEach((lead) => {
+    const extension = extensionOf(lead);
+    const key = currentStageKey(lead);
+
+    if (key) {
+      current[key] = (current[key] || 0) + 1;
+    }
+
+    // Every lead starts in the first stage
+    const furthest = [extension.lead_status, ...(extension.status_history || []).map(entry => entry && entry.status)]
+      .map(status => leadPipeline.getStage(status))
+      .reduce((max, stage) => (stage ? Math.max(max, steps.indexOf(stage.key)) : max), 0);
+
+    for (let index = 0; index <= furthest; index += 1) {
+      reached[index] += 1;
+    }
+  });
+
+  return {
+    stages: pipeline.map((stage) => {
+      const index = steps.indexOf(stage.key);
+
+      return {
+        key: stage.key,
+        label: stage.label,
+        current: current[stage.key] || 0,
+        reached: index === -1 ? current[stage.key] || 0 : reached[index],
+        conversion_rate: index > 0 ? rate(reached[index], reached[index - 1]) : null
+      };
+    }),
+    total: leads.length
+  };
+}, { refresh, now });
+
+/**
+ * Get leads, wins and conversion for each acquisition source, most leads first
+ * @param {Object} scope - Tenant scope
+ * @param {Object} [options] - Report options (see getKpis)
+ * @returns {Promise<Object>} { sources: [{ source, leads, won, lost, conversion_rate }], generated_at, cached }
+ */
+const getSources = (scope, { assignedTo = null, refresh = false, now = new Date() } = {}) => cached('sources', scope, { assignedTo }, async () => {
+  const leads = await loadLeads(assignedTo, scope);
+  const sources = new Map();
+
+  leads.forEach((lead) => {
+    const source = (lead.acquisition_source || '').trim() || UNKNOWN_SOURCE;
+    const key = currentStageKey(lead);
+
+    if (!sources.has(source)) {
+      sources.set(source, { source, leads: 0, won: 0, lost: 0 });
+    }
+
+    const totals = sources.get(source);
+    totals.leads += 1;
+
+    if (key === 'won') {
+      totals.won += 1;
+    } else if (key === 'lost') {
+      totals.lost += 1;
+    }
+  });
+
+  return {
+    sources: Array.from(sources.values())
+      .map(totals => ({ ...totals, conversion_rate: rate(totals.won, totals.won + totals.lost) }))
+      .sort((a, b) => b.leads - a.leads || a.source.localeCompare(b.source))
+  };
+}, { refresh, now });
+
+/**
+ * Get new and converted leads for each day, week or month of a period
+ * @param {Object} scope - Tenant scope
+ * @param {string} period - 'week', 'month', 'quarter' or 'year'
+ * @param {Object} [options] - Report options (see getKpis)
+ * @returns {Promise<Object>} { period, interval, start_date, end_date,
+ * points: [{ date, new_leads, converted_leads, conversion_rate }], generated_at, cached }
+ * @throws {CustomError} 400 for an unknown period
+ */
+const getTrends = (scope, period = 'month', { assignedTo = null, refresh = false, now = new Date() } = {}) => {
+  const definition = PERIODS[period];
+
+  if (!definition) {
+    throw new CustomError(`period must be one of: ${Object.keys(PERIODS).join(', ')}`, 400);
+  }
+
+  return cached('trends', scope, { assignedTo, period }, async () => {
+    const startDate = definition.start(now).toISOString();
+    const endDate = now.toISOString();
+
+    const points = await analyticsModel.getLeadMetricsByPeriod({
+      startDate,
+      endDate,
+      interval: definition.interval,
+      assignedTo
+    }, scope);
+
+    return {
+      period,
+      interval: definition.interval,
+      start_date: startDate,
+      end_date: endDate,
+      points: points.map(point => ({
+        date: point.date,
+        new_leads: Number(point.new_leads) || 0,
+        converted_leads: Number(point.converted_leads) || 0,
+        conversion_rate: Number(point.conversion_rate) || 0
+      }))
+    };
+  }, { refresh, now });
+};
+
+module.exports = {
+  config,
+  PERIODS,
+  clearCache,
+  getKpis,
+  getFunnel,
+  getSources,
+  getTrends
+};
@@ -0,0 +1,392 @@
+/**
+ * Appointment Calendar Utility
+ *
+ * Finds a salesperson's free slots, books appointments on their calendar and
+ * emails booking confirmations. Calendar access goes through a provider:
+ * - google: The salesperson's Google Calendar and Gmail (config/google.js)
+ * - local: An in-memory calendar, for local development and tests. Only used
+ *   when CALENDAR_PROVIDER=local.
+ */
+
+const dotenv = require('dotenv');
+const google = require('../config/google');
+const googleAccounts = require('./googleAccounts');
+const { CustomError } = require('./errorHandler');
+
+dotenv.config();
+
+// Configuration for appointment booking
+const config = {
+  // 'google' or 'local'. The in-memory calendar has to be asked for.
+  provider: process.env.CALENDAR_PROVIDER || 'google',
+  // Length of a booked appointment
+  durationMinutes: parseInt(process.env.APPOINTMENT_DURATION_MINUTES || '60', 10),
+  // How many days ahead referrals can book
+  bookingWindowDays: parseInt(process.env.APPOINTMENT_BOOKING_WINDOW_DAYS || '14', 10),
+  // Bookable hours of the day (24h clock)
+  workHoursStart: parseInt(process.env.APPOINTMENT_WORK_HOURS_START || '9', 10),
+  workHoursEnd: parseInt(process.env.APPOINTMENT_WORK_HOURS_END || '17', 10),
+  timezone: process.env.APPOINTMENT_TIMEZONE || 'America/New_York'
+};
+
+/**
+ * Calendar providers
+ * The google provider uses the tokens the salesperson connected (utils/googleAccounts.js).
+ * Each provider implements:
+ * - getFreeSlots(user, options) resolving to [{ start, end }]
+ * - createEvent(user, event) resolving to { id, htmlLink }
+ * - updateEvent(user, eventId, { startDateTime, endDateTime }) to move an event
+ * - deleteEvent(user, eventId), which succeeds if the event is already gone
+ * - listChanges(user, syncToken) resolving to { events, nextSyncToken }, events
+ *   as { id, status, start, end, attendees: [{ email, responseStatus }] }
+ * - watch(user, { id, token, address }) resolving to { resourceId, expiration },
+ *   and stopWatching(user, { id, resourceId })
+ * - sendEmail(user, { to, subject, body }), sent from the salesperson
+ */
+const providers = {
+  google: {
+    getFreeSlots: async (user, options) => google.getAvailableTimeSlots(await googleAccounts.getTokens(user.id), options),
+
+    createEvent: async (user, event) => {
+      const created = await google.createCalendarEvent(await googleAccounts.getTokens(user.id), {
+        ...event,
+        sendInvites: true
+      });
+
+      return {
+        id: created.id,
+        htmlLink: created.htmlLink || null
+      };
+    },
+
+    updateEvent: async (user, eventId, changes) => {
+      await google.updateCalendarEvent(await googleAccounts.getTokens(user.id), eventId, {
+        ...changes,
+        sendInvites: true
+      });
+    },
+
+    deleteEvent: async (user, eventId) => google.deleteCalendarEvent(await googleAccounts.getTokens(user.id), eventId),
+
+    listChanges: async (user, syncToken) => {
+      const { events, nextSyncToken } = await google.listCalendarEventChanges(await googleAccounts.getTokens(user.id), {
+        syncToken: syncToken || undefined
+      });
+
+      return {
+        events: events.map(event => ({
+          id: event.id,
+          status: event.status,
+          start: event.start && event.start.dateTime ? new Date(event.start.dateTime).toISOString() : null,
+          end: event.end && event.end.dateTime ? new Date(event.end.dateTime).toISOString() : null,
+          attendees: (event.attendees || []).map(attendee => ({
+            email: attendee.email,
+            responseStatus: attendee.responseStatus
+          }))
+        })),
+        nextSyncToken
+      };
+    },
+
+    watch: async (user, channel) => {
+      const watched = await google.watchCalendarEvents(await googleAccounts.getTokens(user.id), channel);
+
+      return {
+        resourceId: watched.resourceId,
+        expiration: watched.expiration ? new Date(Number(watched.expiration)).toISOString() : null
+      };
+    },
+
+    stopWatching: async (user, channel) => google.stopCalendarChannel(await googleAccounts.getTokens(user.id), channel),
+
+    sendEmail: async (user, email) => google.sendEmail(await googleAccounts.getTokens(user.id), email)
+  },
+
+  local: {
+    // Booked events and sent emails, kept until the process exits or reset() is called.
+    // Every change bumps `version`, which doubles as the sync token.
+    events: [],
+    outbox: [],
+    version: 0,
+
+    getFreeSlots: async (user, options) => {
+      const busySlots = providers.local.events
+        .filter(event => event.userId === user.id && event.status !== 'cancelled')
+        .map(event => ({ start: event.startDateTime, end: event.endDateTime }));
+
+      return google.calculateAvailableSlots(busySlots, options);
+    },
+
+    createEvent: async (user, event) => {
+      const created = {
+        ...event,
+        id: `local_${providers.local.events.length + 1}`,
+        userId: user.id,
+        status: 'confirmed',
+        responses: {},
+        htmlLink: null,
+        version: ++providers.local.version
+      };
+
+      providers.local.events.push(created);
+
+      return { id: created.id, htmlLink: null };
+    },
+
+    updateEvent: async (user, eventId, changes) => {
+      const event = providers.local.findEvent(user, eventId);
+      Object.assign(event, changes, { version: ++providers.local.version });
+    },
+
+    deleteEvent: async (user, eventId) => {
+      const event = providers.local.events.find(candidate => candidate.id === eventId && candidate.userId === user.id);
+
+      if (event) {
+        Object.assign(event, { status: 'cancelled', version: ++providers.local.version });
+      }
+    },
+
+    // Record an attendee's reply, as if they answered the invitation in their calendar
+    respond: (eventId, email, responseStatus) => {
+      const event = providers.local.events.find(candidate => candidate.id === eventId);
+      event.responses[email] = responseStatus;
+      event.version = ++providers.local.version;
+    },
+
+    listChanges: async (user, syncToken) => ({
+      events: providers.local.events
+        .filter(event => event.userId === user.id && event.version > Number(syncToken || 0))
+        .map(event => ({
+          id: event.id,
+          status: event.status,
+          start: event.startDateTime,
+          end: event.endDateTime,
+          attendees: (event.attendees || []).map(email => ({
+            email,
+            responseStatus: event.responses[email] || 'needsAction'
+          }))
+        })),
+      nextSyncToken: String(providers.local.version)
+    }),
+
+    watch: async () => ({
+      resourceId: 'local_resource',
+      expiration: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString()
+    }),
+
+    stopWatching: async () => {},
+
+    findEvent: (user, eventId) => {
+      const event = providers.local.events.find(candidate => candidate.id === eventId && candidate.userId === user.id);
+
+      if (!event) {
+        throw new CustomError('Calendar event not found', 404);
+      }
+
+      return event;
+    },
+
+    sendEmail: async (user, email) => {
+      providers.local.outbox.push({ ...email, from: user.email });
+      return { id: `local_email_${providers.local.outbox.length}` };
+    },
+
+    reset: () => {
+      providers.local.events = [];
+      providers.local.outbox = [];
+      providers.local.version = 0;
+    }
+  }
+};
+
+/**
+ * Get a calendar provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+const getProvider = (name = config.provider) => {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown calendar provider: ${name}`);
+  }
+
+  return provider;
+};
+
+/**
+ * Check that appointments have a calendar to go to, so a misconfigured server
+ * fails at startup instead of taking bookings nobody sees
+ * @throws {Error} If the provider is unknown, or Google is used without GOOGLE_CLIENT_ID
+ */
+const checkConfig = () => {
+  getProvider();
+
+  if (config.provider === 'google' && !process.env.GOOGLE_CLIENT_ID) {
+    throw new Error('GOOGLE_CLIENT_ID is not configured. Set it, or set CALENDAR_PROVIDER=local to use the in-memory calendar.');
+  }
+};
+
+/**
+ * Get a salesperson's bookable slots
+ * @param {Object} user - Salesperson (users row)
+ * @param {Object} options - Range options
+ * @param {Date} options.from - Start of the range (default: now)
+ * @param {Number} options.days - Days in the range (default: config.bookingWindowDays)
+ * @returns {Promise<Array>} Future slots as { start, end } ISO strings
+ */
+const getAvailableSlots = async (user, { from = new Date(), days = config.bookingWindowDays } = {}) => {
+  const startDate = new Date(from);
+  const endDate = new Date(startDate);
+  endDate.setDate(endDate.getDate() + days);
+
+  const slots = await getProvider().getFreeSlots(user, {
+    startDate: startDate.toISOString(),
+    endDate: endDate.toISOString(),
+    durationMinutes: config.durationMinutes,
+    workHoursStart: config.workHoursStart,
+    workHoursEnd: config.workHoursEnd,
+    timezone: config.timezone
+  });
+
+  // Slots are laid out from the start of the first day, so drop any before the range starts
+  return slots.filter(slot => new Date(slot.start) > startDate);
+};
+
+/**
+ * Check whether a slot is still free on a salesperson's calendar
+ * @param {Object} user - Salesperson (users row)
+ * @param {string|Date} start - Slot start time
+ * @returns {Promise<Boolean>} True if the slot can be booked
+ */
+const isSlotAvailable = async (user, start) => {
+  const startTime = new Date(start).getTime();
+
+  if (Number.isNaN(startTime) || startTime <= Date.now()) {
+    return false;
+  }
+
+  // Only the slot's own day needs checking
+  const dayStart = new Date(startTime);
+  dayStart.setHours(0, 0, 0, 0);
+
+  const slots = await getAvailableSlots(user, { from: dayStart, days: 1 });
+
+  return slots.some(slot => new Date(slot.start).getTime() === startTime);
+};
+
+/**
+ * Book an appointment on a salesperson's calendar
+ * @param {Object} user - Salesperson (users row)
+ * @param {Object} appointment - Appointment details
+ * @param {string|Date} appointment.start - Start time, one of the available slots
+ * @param {string} appointment.summary - Event title
+ * @param {string} appointment.description - Event description
+ * @param {Array<string>} appointment.attendees - Attendee emails
+ * @returns {Promise<Object>} Created event with id, htmlLink, start and end
+ */
+const bookAppointment = async (user, { start, summary, description, attendees = [] }) => {
+  if (!(await isSlotAvailable(user, start))) {
+    throw new CustomError('That time is no longer available', 409);
+  }
+
+  const startDateTime = new Date(start);
+  const endDateTime = new Date(startDateTime.getTime() + config.durationMinutes * 60 * 1000);
+
+  const event = await getProvider().createEvent(user, {
+    summary,
+    description,
+    startDateTime: startDateTime.toISOString(),
+    endDateTime: endDateTime.toISOString(),
+    attendees,
+    timezone: config.timezone
+  });
+
+  return {
+    ...event,
+    start: startDateTime.toISOString(),
+    end: endDateTime.toISOString()
+  };
+};
+
+/**
+ * Move a booked appointment to a new time
+ * The new time must be free, unless it overlaps the appointment's current slot
+ * (which the appointment itself keeps busy).
+ * @param {Object} user - Salesperson whose calendar holds the event
+ * @param {string} eventId - Calendar event ID
+ * @param {Object} appointment - Appointment times
+ * @param {string|Date} appointment.start - New start time
+ * @param {string|Date} appointment.currentStart - Current start time
+ * @returns {Promise<Object>} New start and end
+ */
+const rescheduleAppointment = async (user, eventId, { start, currentStart }) => {
+  const startDateTime = new Date(start);
+  const durationMs = config.durationMinutes * 60 * 1000;
+
+  if (Number.isNaN(startDateTime.getTime()) || startDateTime.getTime() <= Date.now()) {
+    throw new CustomError('Appointment time must be in the future', 400);
+  }
+
+  const overlapsCurrent = currentStart &&
+    Math.abs(startDateTime.getTime() - new Date(currentStart).getTime()) < durationMs;
+
+  if (!overlapsCurrent && !(await isSlotAvailable(user, startDateTime))) {
+    throw new CustomError('That time is no longer available', 409);
+  }
+
+  const endDateTime = new Date(startDateTime.getTime() + durationMs);
+
+  await getProvider().updateEvent(user, eventId, {
+    startDateTime: startDateTime.toISOString(),
+    endDateTime: endDateTime.toISOString(),
+    timezone: config.timezone
+  });
+
+  return {
+    start: startDateTime.toISOString(),
+    end: endDateTime.toISOString()
+  };
+};
+
+/**
+ * Remove a cancelled appointment from the salesperson's calendar
+ * Attendees are notified by the provider.
+ * @param {Object} user - Salesperson whose calendar holds the event
+ * @param {string} eventId - Calendar event ID
+ * @returns {Promise<void>}
+ */
+const cancelAppointment = async (user, eventId) => getProvider().deleteEvent(user, eventId);
+
+/**
+ * Format an appointment time for messages to the referral and salesperson
+ * @param {string|Date} start - Appointment start time
+ * @returns {string} Time in the appointment timezone, e.g. "Monday, January 7, 2030 at 10:00 AM"
+ */
+const formatAppointmentTime = (start) => new Date(start).toLocaleString('en-US', {
+  timeZone: config.timezone,
+  dateStyle: 'full',
+  timeStyle: 'short'
+});
+
+/**
+ * Email from a salesperson's account through the configured provider
+ * @param {Object} user - Salesperson (users row)
+ * @param {Object} email - Email with to, subject and body
+ * @returns {Promise<Object>} Provider result
+ */
+const sendEmail = async (user, email) => getProvider().sendEmail(user, email);
+
+module.exports = {
+  config,
+  providers,
+  getProvider,
+  checkConfig,
+  getAvailableSlots,
+  isSlotAvailable,
+  bookAppointment,
+  rescheduleAppointment,
+  cancelAppointment,
+  formatAppointmentTime,
+  sendEmail
+};
@@ -0,0 +1,497 @@
+/**
+ * Appointment Reminders for ORCA Lead Management
+ *
+ * Reminds referrals of their upcoming appointments, by default 24 hours and
+ * 2 hours before. It provides functionality to:
+ * - Send each due reminder once, by text or email according to the person's
+ *   preferred contact method and opt-in flags
+ * - Skip a text once the organization has used its plan's monthly SMS
+ * - Log every reminder as an interaction
+ * - Act on a text reply of C (confirm) or R (reschedule) to a reminder
+ *
+ * Sent reminders are recorded in appointment_reminders, keyed by the appointment
+ * time, so restarts never send a reminder twice and a rescheduled appointment
+ * gets a fresh set.
+ */
+
+const cron = require('node-cron');
+const dotenv = require('dotenv');
+const appointmentReminderModel = require('../models/appointmentReminderModel');
+const referralModel = require('../models/referralModel');
+const personModel = require('../models/personModel');
+const userModel = require('../models/userModel');
+const messageModel = require('../models/messageModel');
+const interactionModel = require('../models/interactionModel');
+const telnyx = require('../config/telnyx');
+const appointmentCalendar = require('./appointmentCalendar');
+const subscriptionTiers = require('./subscriptionTiers');
+const { normalizePhone } = require('./validation');
+
+dotenv.config();
+
+/**
+ * Parse reminder offsets like "24h,2h,30m" into minutes
+ * @param {string} value - Comma-separated offsets; a bare number is minutes
+ * @returns {Array<number>} Offsets in minutes, largest first
+ */
+const parseOffsets = (value) => value
+  .split(',')
+  .map(part => part.trim().toLowerCase())
+  .filter(Boolean)
+  .map((part) => {
+    const amount = parseFloat(part);
+
+    if (part.endsWith('d')) {
+      return amount * 24 * 60;
+    }
+
+    return part.endsWith('h') ? amount * 60 : amount;
+  })
+  .filter(minutes => minutes > 0)
+  .sort((a, b) => b - a);
+
+// Configuration for appointment reminders
+const config = {
+  // Default: every 5 minutes
+  schedule: process.env.APPOINTMENT_REMINDER_SCHEDULE || '*/5 * * * *',
+  // How long before an appointment each reminder goes out
+  offsets: parseOffsets(process.env.APPOINTMENT_REMINDER_OFFSETS || '24h,2h')
+};
+
+// Replies to a text reminder. Matching is on the whole message, case-insensitive.
+// CANCEL is left out on purpose: it is a carrier opt-out keyword.
+const REPLY_KEYWORDS = {
+  confirm: ['C', 'CONFIRM', 'CONFIRMED'],
+  reschedule: ['R', 'RESCHEDULE']
+};
+
+// Guards against overlapping runs within this process
+let isRunning = false;
+let scheduledTask = null;
+
+const getBusinessName = () => process.env.BUSINESS_NAME || 'ORCA';
+
+/**
+ * Classify an inbound SMS as a reply to an appointment reminder
+ * @param {string} text - Inbound message text
+ * @returns {string|null} 'confirm', 'reschedule', or null for any other message
+ */
+const getReplyKeyword = (text) => {
+  if (!text) {
+    return null;
+  }
+
+  const normalized = text.trim().replace(/[.!]+$/, '').toUpperCase();
+
+  const match = Object.entries(REPLY_KEYWORDS).find(([, words]) => words.includes(normalized));
+  return match ? match[0] : null;
+};
+
+/**
+ * Choose how to reach a person
+ * Email is used when it is their preferred method; otherwise text comes first,
+ * since C/R replies only work by text. Opted-out channels are never used.
+ * @param {Object} person - Person record
+ * @returns {string|null} 'sms', 'email', or null if the person cannot be reached
+ */
+const chooseChannel = (person) => {
+  const canText = Boolean(person.phone) && person.sms_opt_in !== false;
+  const canEmail = Boolean(person.email) && person.email_opt_in !== false;
+
+  if ((person.preferred_contact_method || '').toLowerCase() === 'email') {
+    return canEmail ? 'email' : (canText ? 'sms' : null);
+  }
+
+  return canText ? 'sms' : (canEmail ? 'email' : null);
+};
+
+/**
+ * Pick the reminder to send now for an appointment
+ * When several are due (e.g. the appointment was booked late, or the server
+ * was down), only the one closest to the appointment is sent.
+ * @param {string} appointmentDate - Appointment time
+ * @param {Date} now - Current time
+ * @returns {number|null} Offset in minutes, or null if no reminder is due
+ */
+const getDueOffset = (appointmentDate, now) => {
+  const appointmentTime = new Date(appointmentDate).getTime();
+
+  if (appointmentTime <= now.getTime()) {
+    return null;
+  }
+
+  const due = config.offsets.filter(offset => appointmentTime - offset * 60000 <= now.getTime());
+
+  return due.length > 0 ? Math.min(...due) : null;
+};
+
+/**
+ * Send a reminder by text
+ * @param {Object} referral - Referral (person)
+ * @param {Object|null} salesperson - Salesperson (user)
+ * @param {string} when - Formatted appointment time
+ * @param {Object} reminder - Claimed reminder
+ * @returns {Promise<Object>} success, content, messageId and error
+ */
+const sendSmsReminder = async (referral, salesperson, when, reminder) => {
+  const phone = normalizePhone(referral.phone);
+  const withName = salesperson ? ` with ${salesperson.first_name}` : '';
+  const content = `${getBusinessName()}: Reminder, you're booked${withName} on ${when}. Reply C to confirm or R to reschedule.`;
+
+  const result = await telnyx.sendSMS(phone, content);
+
+  // Stored even without a salesperson, so the text counts towards the organization's monthly SMS
+  const message = await messageModel.createMessage({
+    sender_id: salesperson ? salesperson.id : null,
+    recipient_id: referral.id,
+    message_type: 'sms',
+    content,
+    status: result.success ? 'sent' : 'failed',
+    metadata: { telnyx_message_id: result.messageId, to: phone, appointment_reminder_id: reminder.id }
+  });
+
+  return {
+    success: result.success,
+    content,
+    messageId: message ? message.id : null,
+    error: result.success ? null : result.error
+  };
+};
+
+/**
+ * Send a reminder by email from the salesperson's account
+ * @param {Object} referral - Referral (person)
+ * @param {Object|null} salesperson - Salesperson (user)
+ * @param {string} when - Formatted appointment time
+ * @param {Object} reminder - Claimed reminder
+ * @returns {Promise<Object>} success, content, messageId and error
+ */
+const sendEmailReminder = async (referral, salesperson, when, reminder) => {
+  const businessName = getBusinessName();
+  const subject = `Reminder: your appointment with ${businessName}`;
+  const content = `Hi ${referral.first_name}, this is a reminder of your appointment${salesperson ? ` with ${salesperson.first_name}` : ''} at ${businessName} on ${when}. If you need to reschedule, just reply to this email.`;
+
+  if (!salesperson) {
+    return { success: false, content, messageId: null, error: 'No salesperson to send the email from' };
+  }
+
+  try {
+    await appointmentCalendar.sendEmail(salesperson, { to: referral.email, subject, body: content });
+  } catch (error) {
+    return { success: false, content, messageId: null, error: error.message };
+  }
+
+  const message = await messageModel.createMessage({
+    sender_id: salesperson.id,
+    recipient_id: referral.id,
+    message_type: 'email',
+    subject,
+    content,
+    status: 'sent',
+    metadata: { to: referral.email, appointment_reminder_id: reminder.id }
+  });
+
+  return { success: true, content, messageId: message ? message.id : null, error: null };
+};
+
+/**
+ * Send one reminder for a referral's appointment, unless it was already sent
+ * @param {Object} referral - Referral (person with referral_extensions)
+ * @param {number} offsetMinutes - Which reminder this is
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Reminder result, or null if it was already handled
+ */
+const sendReminder = async (referral, offsetMinutes, now = new Date()) => {
+  const extension = referral.referral_extensions[0];
+  const appointmentDate = new Date(extension.appointment_date).toISOString();
+
+  const reminder = await appointmentReminderModel.claimReminder({
+    person_id: referral.id,
+    appointment_date: appointmentDate,
+    offset_minutes: offsetMinutes
+  });
+
+  if (!reminder) {
+    return null;
+  }
+
+  const doNotContact = referral.do_not_contact_until && new Date(referral.do_not_contact_until) > now;
+  const channel = doNotContact ? null : chooseChannel(referral);
+
+  if (!channel) {
+    await appointmentReminderModel.updateReminder(reminder.id, {
+      status: 'skipped',
+      error: doNotContact ? 'Person asked not to be contacted yet' : 'No phone or email the person has opted in to'
+    });
+    return { id: reminder.id, status: 'skipped' };
+  }
+
+  // Texts count towards the organization's monthly SMS, like every other SMS
+  if (channel === 'sms') {
+    const smsLimit = await subscriptionTiers.checkLimit(referral.organization_id, 'monthly_sms', 1);
+
+    if (smsLimit) {
+      await appointmentReminderModel.updateReminder(reminder.id, { status: 'skipped', error: smsLimit.message });
+      return { id: reminder.id, status: 'skipped' };
+    }
+  }
+
+  const salespersonId = extension.appointment_calendar_user_id || referral.assigned_to;
+  const salesperson = salespersonId ? await userModel.getUserById(salespersonId) : null;
+  const when = appointmentCalendar.formatAppointmentTime(appointmentDate);
+
+  let result;
+
+  try {
+    result = channel === 'sms'
+      ? await sendSmsReminder(referral, salesperson, when, reminder)
+      : await sendEmailReminder(referral, salesperson, when, reminder);
+  } catch (error) {
+    result = { success: false, content: null, messageId: null, error: error.message };
+  }
+
+  const sentAt = new Date().toISOString();
+  const interaction = await interactionModel.createInteraction({
+    person_id: referral.id,
+    user_id: salesperson ? salesperson.id : null,
+    interaction_type: channel,
+    subject: 'Appointment reminder',
+    content: result.content,
+    status: result.success ? 'completed' : 'failed',
+    completed_at: sentAt,
+    custom_fields: {
+      appointment_reminder_id: reminder.id,
+      appointment_date: appointmentDate,
+      offset_minutes: offsetMinutes
+    }
+  });
+
+  const status = result.success ? 'sent' : 'failed';
+
+  await appointmentReminderModel.updateReminder(reminder.id, {
+    status,
+    channel,
+    message_id: result.messageId,
+    interaction_id: interaction ? interaction.id : null,
+    sent_at: result.success ? sentAt : null,
+    error: result.error || null
+  });
+
+  if (!result.success) {
+    console.error(`Appointment reminder ${reminder.id} to ${referral.id} failed:`, result.error);
+  }
+
+  return { id: reminder.id, status, channel };
+};
+
+/**
+ * Send every reminder that is due
+ * @param {Date} now - Current time (injectable for testing)
+ * @returns {Promise<Object>} Summary of the run
+ */
+const processDueReminders = async (now = new Date()) => {
+  if (isRunning || config.offsets.length === 0) {
+    return { skipped: true, processed: 0 };
+  }
+
+  isRunning = true;
+
+  try {
+    const until = new Date(now.getTime() + Math.max(...config.offsets) * 60000);
+    const referrals = await referralModel.getUpcomingAppointments(now.toISOString(), until.toISOString());
+    const results = [];
+
+    for (const referral of referrals) {
+      const offset = getDueOffset(referral.referral_extensions[0].appointment_date, now);
+
+      if (offset === null) {
+        continue;
+      }
+
+      try {
+        const result = await sendReminder(referral, offset, now);
+
+        if (result) {
+          results.push(result);
+        }
+      } catch (error) {
+        console.error(`Error sending appointment reminder to ${referral.id}:`, error);
+      }
+    }
+
+    return {
+      skipped: false,
+      processed: results.length,
+      results
+    };
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Act on a C or R reply to a text reminder
+ *
+ * The reply applies to the person with this number who was most recently sent
+ * a reminder for an appointment that is still coming up. The reminder's
+ * interaction records the response, the person gets a reply, and for R the
+ * salesperson is emailed to arrange a new time.
+ *
+ * The reply is recorded on the reminder last. A retried webhook runs this again
+ * after a failure, finishing the steps the failed attempt didn't; once the
+ * reply is recorded, the same reply changes nothing.
+ * @param {string} reply - 'confirm' or 'reschedule'
+ * @param {string} phone - Number the reply came from (E.164)
+ * @param {Object|null} inboundMessage - The stored inbound message, if it matched a conversation
+ * @returns {Promise<Object|null>} Updated appointment, or null if no reminder matches the reply
+ */
+const handleReply = async (reply, phone, inboundMessage) => {
+  const now = new Date();
+  const persons = await personModel.getPersonsByPhone(phone);
+  let match = null;
+
+  for (const person of persons) {
+    const reminder = await appointmentReminderModel.getLatestSmsReminder(person.id, now.toISOString());
+
+    if (reminder && (!match || new Date(reminder.sent_at) > new Date(match.reminder.sent_at))) {
+      match = { person, reminder };
+    }
+  }
+
+  if (!match) {
+    return null;
+  }
+
+  const { reminder } = match;
+  const referral = await referralModel.getReferralById(match.person.id);
+  const extension = referral.referral_extensions[0];
+
+  // Ignore replies about an appointment that has since moved or been cancelled
+  if (new Date(extension.appointment_date).getTime() !== new Date(reminder.appointment_date).getTime() ||
+    ['cancelled', 'completed', 'no_show'].includes(extension.appointment_status)) {
+    return null;
+  }
+
+  const appointmentStatus = reply === 'confirm' ? 'confirmed' : 'reschedule_requested';
+  const result = {
+    referral_id: referral.id,
+    appointment_status: appointmentStatus,
+    reminder_id: reminder.id
+  };
+
+  if (reminder.reply === reply) {
+    return result;
+  }
+
+  if (extension.appointment_status !== appointmentStatus) {
+    await referralModel.updateReferralAppointment(referral.id, {
+      appointment_status: appointmentStatus,
+      statusChangeNotes: reply === 'confirm'
+        ? 'Confirmed by text reply to appointment reminder'
+        : 'Asked to reschedule by text reply to appointment reminder'
+    });
+  }
+
+  if (reminder.interaction_id) {
+    await interactionModel.updateInteraction(reminder.interaction_id, {
+      response_received: true,
+      response_date: now.toISOString(),
+      response_content: inboundMessage ? inboundMessage.content : reply
+    });
+  }
+
+  const salespersonId = extension.appointment_calendar_user_id || referral.assigned_to;
+  const salesperson = salespersonId ? await userModel.getUserById(salespersonId) : null;
+  const when = appointmentCalendar.formatAppointmentTime(extension.appointment_date);
+  const businessName = getBusinessName();
+  const content = reply === 'confirm'
+    ? `${businessName}: Thanks, you're confirmed for ${when}. See you then!`
+    : `${businessName}: No problem. ${salesperson ? salesperson.first_name : 'We'} will be in touch to find a new time.`;
+
+  const sent = await telnyx.sendSMS(phone, content);
+
+  if (!sent.success) {
+    console.error(`Failed to answer appointment reply from ${phone}:`, sent.error);
+  }
+
+  await messageModel.createMessage({
+    sender_id: salesperson ? salesperson.id : null,
+    recipient_id: referral.id,
+    message_type: 'sms',
+    content,
+    status: sent.success ? 'sent' : 'failed',
+    metadata: { telnyx_message_id: sent.messageId, to: phone, appointment_reminder_id: reminder.id }
+  });
+
+  if (reply === 'reschedule' && salesperson && salesperson.email) {
+    const referralName = `${referral.first_name} ${referral.last_name || ''}`.trim();
+
+    try {
+      await appointmentCalendar.sendEmail(salesperson, {
+        to: salesperson.email,
+        subject: `Reschedule requested: ${referralName}`,
+        body: `${referralName} replied to their reminder asking to reschedule the appointment on ${when}. Please contact them to find a new time.`
+      });
+    } catch (error) {
+      console.error(`Failed to email reschedule request to salesperson ${salesperson.id}:`, error.message);
+    }
+  }
+
+  await appointmentReminderModel.updateReminder(reminder.id, {
+    reply,
+    replied_at: now.toISOString()
+  });
+
+  return result;
+};
+
+/**
+ * Schedule the recurring reminder job
+ *
+ * Also runs once immediately so reminders that fell due while the server was
+ * down go out on startup.
+ */
+const scheduleAppointmentReminders = () => {
+  console.log(`Scheduling appointment reminders: ${config.schedule}`);
+
+  const run = async () => {
+    try {
+      const summary = await processDueReminders();
+
+      if (summary.processed > 0) {
+        console.log(`Processed ${summary.processed} appointment reminder(s)`);
+      }
+    } catch (error) {
+      console.error('Scheduled appointment reminders failed:', error);
+    }
+  };
+
+  scheduledTask = cron.schedule(config.schedule, run);
+  run();
+
+  return scheduledTask;
+};
+
+/**
+ * Stop the recurring reminder job
+ */
+const stopAppointmentReminders = () => {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+};
+
+module.exports = {
+  config,
+  REPLY_KEYWORDS,
+  parseOffsets,
+  getReplyKeyword,
+  chooseChannel,
+  getDueOffset,
+  sendReminder,
+  processDueReminders,
+  handleReply,
+  scheduleAppointmentReminders,
+  stopAppointmentReminders
+};
@@ -0,0 +1,680 @@
+/**
+ * Membership Billing Utility
+ *
+ * Collects membership payments through Stripe. It provides functionality to:
+ * - Create a checkout session or payment link for a member's membership plan
+ * - Verify Stripe webhooks and apply invoice and subscription events to the
+ *   member's payment_status, current_monthly_spend and lifetime_value
+ * - Apply events for an organization's ORCA subscription to the organization
+ *
+ * Stripe access goes through a provider:
+ * - stripe: The Stripe API (config/stripe.js)
+ * - local: An in-memory stand-in for local development and tests, which signs
+ *   and verifies webhooks the same way Stripe does. Only used when
+ *   BILLING_PROVIDER=local.
+ *
+ * Webhooks are refused until STRIPE_WEBHOOK_SECRET is set, whichever provider
+ * is in use.
+ */
+
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const stripe = require('../config/stripe');
+const billingModel = require('../models/billingModel');
+const memberModel = require('../models/memberModel');
+const organizationModel = require('../models/organizationModel');
+const { CustomError } = require('./errorHandler');
+
+dotenv.config();
+
+const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Configuration for membership billing
+const config = {
+  // 'stripe' or 'local'. The local stand-in has to be asked for.
+  provider: process.env.BILLING_PROVIDER || 'stripe',
+  // Where Stripe Checkout sends the member afterwards
+  successUrl: process.env.BILLING_SUCCESS_URL || `${clientUrl}/billing/success`,
+  cancelUrl: process.env.BILLING_CANCEL_URL || `${clientUrl}/billing/cancelled`,
+  // Webhook signing secret, which the local provider also signs with
+  webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || null
+};
+
+// Ways to collect the first payment at conversion
+const PAYMENT_COLLECTION_METHODS = ['checkout', 'payment_link'];
+
+// member_extensions.payment_status for each Stripe subscription status
+const SUBSCRIPTION_PAYMENT_STATUS = {
+  trialing: 'current',
+  active: 'current',
+  incomplete: 'pending',
+  past_due: 'past_due',
+  unpaid: 'failed',
+  canceled: 'canceled',
+  incomplete_expired: 'canceled'
+};
+
+// Months per billing interval, for monthly spend
+const MONTHS_PER_INTERVAL = {
+  day: 12 / 365,
+  week: 12 / 52,
+  month: 1,
+  year: 12
+};
+
+/**
+ * Throw if a config/stripe.js call failed
+ * @param {Object} result - { success, error, ... } from config/stripe.js
+ * @param {string} action - What was being done, for the error message
+ * @returns {Object} The result
+ */
+const unwrap = (result, action) => {
+  if (!result.success) {
+    throw new CustomError(`Stripe could not ${action}: ${result.error}`, 502);
+  }
+
+  return result;
+};
+
+/**
+ * Billing providers
+ * Each provider implements:
+ * - createProduct({ name, description, metadata }) resolving to { id }
+ * - updateProduct(productId, { name, description, active }) resolving to { id }
+ * - createPrice({ productId, unitAmount, recurring, metadata }) resolving to { id };
+ *   a null `recurring` creates a one-time price
+ * - archivePrice(priceId) resolving to { id }
+ * - createCustomer({ email, name, phone, metadata }) resolving to { id }
+ * - createCheckoutSession({ priceId, customerId, metadata, subscriptionMetadata, trialDays,
+ *   enrollmentFeePriceId, successUrl, cancelUrl }) resolving to { id, url }
+ * - createPaymentLink({ priceId, metadata, subscriptionMetadata, trialDays, enrollmentFeePriceId })
+ *   resolving to { id, url }
+ * - createSubscription({ customerId, priceId, paymentMethodId, metadata }) resolving to
+ *   { id, status, current_period_end, clientSecret }
+ * - updateSubscription(subscriptionId, { priceId, metadata }) resolving to { id, status, current_period_end }
+ * - parseWebhookEvent(payload, signature) returning { success, event } or { success: false, error }
+ */
+const providers = {
+  stripe: {
+    createProduct: async (product) => {
+      const result = unwrap(await stripe.createProduct(product), 'create the product');
+      return { id: result.productId };
+    },
+
+    updateProduct: async (productId, product) => {
+      const result = unwrap(await stripe.updateProduct(productId, product), 'update the product');
+      return { id: result.productId };
+    },
+
+    createPrice: async (price) => {
+      const result = unwrap(await stripe.createPrice(price), 'create the price');
+      return { id: result.priceId };
+    },
+
+    archivePrice: async (priceId) => {
+      const result = unwrap(await stripe.archivePrice(priceId), 'archive the price');
+      return { id: result.priceId };
+    },
+
+    createCustomer: async (customer) => {
+      const result = unwrap(await stripe.createCustomer(customer), 'create the customer');
+      return { id: result.customerId };
+    },
+
+    createCheckoutSession: async (checkout) => {
+      const result = unwrap(await stripe.createCheckoutSession(checkout), 'create the checkout session');
+      return { id: result.sessionId, url: result.checkoutUrl };
+    },
+
+    createPaymentLink: async (link) => {
+      const result = unwrap(await stripe.createPaymentLink(link), 'create the payment link');
+      return { id: result.paymentLinkId, url: result.url };
+    },
+
+    createSubscription: async (subscription) => {
+      const result = unwrap(await stripe.createSubscription(subscription), 'create the subscription');
+      return {
+        id: result.subscriptionId,
+        status: result.subscription.status,
+        current_period_end: result.subscription.current_period_end,
+        clientSecret: result.clientSecret
+      };
+    },
+
+    updateSubscription: async (subscriptionId, changes) => {
+      const result = unwrap(await stripe.updateSubscription(subscriptionId, changes), 'update the subscription');
+      return {
+        id: result.subscriptionId,
+        status: result.subscription.status,
+        current_period_end: result.subscription.current_period_end
+      };
+    },
+
+    parseWebhookEvent: (payload, signature) => stripe.parseWebhookEvent(payload, signature)
+  },
+
+  local: {
+    // Created products, prices, customers, checkout sessions, payment links and
+    // subscriptions, kept until the process exits or reset() is called
+    products: [],
+    prices: [],
+    customers: [],
+    checkouts: [],
+    subscriptions: [],
+
+    createProduct: async (product) => {
+      const created = { ...product, id: `prod_local_${providers.local.products.length + 1}`, active: true };
+      providers.local.products.push(created);
+      return { id: created.id };
+    },
+
+    updateProduct: async (productId, changes) => {
+      const product = providers.local.products.find(item => item.id === productId);
+
+      if (!product) {
+        throw new CustomError(`Stripe could not update the product: No such product: ${productId}`, 502);
+      }
+
+      Object.assign(product, changes);
+      return { id: product.id };
+    },
+
+    createPrice: async (price) => {
+      const created = { ...price, id: `price_local_${providers.local.prices.length + 1}`, active: true };
+      providers.local.prices.push(created);
+      return { id: created.id };
+    },
+
+    archivePrice: async (priceId) => {
+      const price = providers.local.prices.find(item => item.id === priceId);
+
+      if (price) {
+        price.active = false;
+      }
+
+      return { id: priceId };
+    },
+
+    createCustomer: async (customer) => {
+      const created = { ...customer, id: `cus_local_${providers.local.customers.length + 1}` };
+      providers.local.customers.push(created);
+      return { id: created.id };
+    },
+
+    createCheckoutSession: async (checkout) => {
+      const id = `cs_local_${providers.local.checkouts.length + 1}`;
+      providers.local.checkouts.push({ ...checkout, id });
+      return { id, url: `https://checkout.stripe.local/${id}` };
+    },
+
+    createPaymentLink: async (link) => {
+      const id = `plink_local_${providers.local.checkouts.length + 1}`;
+      providers.local.checkouts.push({ ...link, id });
+      return { id, url: `https://buy.stripe.local/${id}` };
+    },
+
+    // Local subscriptions are active at once and renew every 30 days
+    createSubscription: async (subscription) => {
+      const created = {
+        ...subscription,
+        id: `sub_local_${providers.local.subscriptions.length + 1}`,
+        status: 'active',
+        current_period_end: Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60
+      };
+      providers.local.subscriptions.push(created);
+      return { id: created.id, status: created.status, current_period_end: created.current_period_end, clientSecret: null };
+    },
+
+    updateSubscription: async (subscriptionId, changes) => {
+      const subscription = providers.local.subscriptions.find(item => item.id === subscriptionId);
+
+      if (!subscription) {
+        throw new CustomError(`Stripe could not update the subscription: No such subscription: ${subscriptionId}`, 502);
+      }
+
+      Object.assign(subscription, changes);
+      return { id: subscription.id, status: subscription.status, current_period_end: subscription.current_period_end };
+    },
+
+    // Sign a webhook payload as Stripe does: "t=<timestamp>,v1=<HMAC-SHA256 of timestamp.payload>"
+    signPayload: (payload, timestamp = Math.floor(Date.now() / 1000)) => {
+      const signature = crypto
+        .createHmac('sha256', config.webhookSecret)
+        .update(`${timestamp}.${payload}`)
+        .digest('hex');
+
+      return `t=${timestamp},v1=${signature}`;
+    },
+
+    parseWebhookEvent: (payload, signature) => {
+      const parts = Object.fromEntries(String(signature || '')
+        .split(',')
+        .map(part => part.split('=')));
+      const timestamp = Number(parts.t);
+
+      // Stripe's default tolerance for replayed events is five minutes
+      if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > 300 || !parts.v1) {
+        return { success: false, error: 'Missing or expired signature' };
+      }
+
+      const expected = Buffer.from(providers.local.signPayload(String(payload), timestamp).split('v1=')[1]);
+      const received = Buffer.from(parts.v1);
+
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return { success: false, error: 'Signature does not match the payload' };
+      }
+
+      return { success: true, event: JSON.parse(String(payload)) };
+    },
+
+    reset: () => {
+      providers.local.products = [];
+      providers.local.prices = [];
+      providers.local.customers = [];
+      providers.local.checkouts = [];
+      providers.local.subscriptions = [];
+    }
+  }
+};
+
+/**
+ * Get a billing provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+const getProvider = (name = config.provider) => {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown billing provider: ${name}`);
+  }
+
+  return provider;
+};
+
+/**
+ * Check a request to collect payment before converting anyone
+ * @param {string} method - 'checkout' or 'payment_link'
+ * @param {Object} plan - Chosen membership plan
+ * @returns {string|null} Why payment cannot be collected, or null if it can
+ */
+const validatePaymentCollection = (method, plan) => {
+  if (!PAYMENT_COLLECTION_METHODS.includes(method)) {
+    return `Payment collection must be one of: ${PAYMENT_COLLECTION_METHODS.join(', ')}`;
+  }
+
+  if (!plan) {
+    return 'A membership plan is required to collect payment';
+  }
+
+  if (!plan.is_active) {
+    return `The ${plan.name} plan is no longer offered`;
+  }
+
+  if (!plan.stripe_price_id) {
+    return `The ${plan.name} plan has no Stripe price`;
+  }
+
+  return null;
+};
+
+/**
+ * Create a checkout session or payment link for a member's membership plan
+ * A checkout session is tied to the member's Stripe customer, which is created
+ * the first time. A payment link can be shared by text or email. Either one
+ * applies the plan's trial and charges its enrollment fee with the first invoice.
+ * @param {Object} person - The member (persons row)
+ * @param {Object} options - Checkout options
+ * @param {Object} options.plan - Membership plan to charge for
+ * @param {string} options.method - 'checkout' or 'payment_link'
+ * @param {Object} options.memberExtension - The member's member_extensions record
+ * @param {string} options.userId - User creating the checkout
+ * @returns {Promise<Object>} Recorded checkout, with its url
+ */
+const createMembershipCheckout = async (person, { plan, method = 'checkout', memberExtension = null, userId = null }) => {
+  const invalid = validatePaymentCollection(method, plan);
+
+  if (invalid) {
+    throw new CustomError(invalid, 400);
+  }
+
+  const provider = getProvider();
+  // Copied onto the subscription so invoice and subscription events find the member
+  const metadata = { person_id: person.id, membership_plan_id: plan.id, membership_type: plan.name };
+  const planTerms = {
+    priceId: plan.stripe_price_id,
+    trialDays: plan.trial_days || 0,
+    enrollmentFeePriceId: plan.stripe_enrollment_price_id || null
+  };
+  let created;
+
+  if (method === 'checkout') {
+    let customerId = memberExtension && memberExtension.stripe_customer_id;
+
+    if (!customerId) {
+      const customer = await provider.createCustomer({
+        email: person.email || undefined,
+        name: [person.first_name, person.last_name].filter(Boolean).join(' ') || undefined,
+        phone: person.phone || undefined,
+        metadata
+      });
+      customerId = customer.id;
+
+      if (memberExtension) {
+        await memberModel.updateMemberExtension(memberExtension.id, { stripe_customer_id: customerId });
+      }
+    }
+
+    created = await provider.createCheckoutSession({
+      ...planTerms,
+      customerId,
+      metadata,
+      subscriptionMetadata: metadata,
+      successUrl: config.successUrl,
+      cancelUrl: config.cancelUrl
+    });
+  } else {
+    created = await provider.createPaymentLink({
+      ...planTerms,
+      metadata,
+      subscriptionMetadata: metadata
+    });
+  }
+
+  return billingModel.createCheckout({
+    person_id: person.id,
+    membership_plan_id: plan.id,
+    membership_type: plan.name,
+    price_id: plan.stripe_price_id,
+    method,
+    stripe_id: created.id,
+    url: created.url,
+    status: 'open',
+    created_by: userId
+  });
+};
+
+/**
+ * Verify a Stripe webhook request
+ * @param {Buffer|string} payload - Raw request body
+ * @param {string} signature - Stripe-Signature header
+ * @returns {Object} { success, event } or { success: false, error }
+ */
+const parseWebhookEvent = (payload, signature) => {
+  if (!config.webhookSecret) {
+    return { success: false, error: 'STRIPE_WEBHOOK_SECRET is not configured' };
+  }
+
+  return getProvider().parseWebhookEvent(payload, signature);
+};
+
+/**
+ * Work out a subscription's spend per month
+ * @param {Object} subscription - Stripe subscription
+ * @returns {number} Monthly amount in currency units, rounded to cents
+ */
+const getMonthlyAmount = (subscription) => {
+  const items = (subscription.items && subscription.items.data) || [];
+
+  const cents = items.reduce((total, item) => {
+    const price = item.price || {};
+    const recurring = price.recurring || { interval: 'month', interval_count: 1 };
+    const months = (MONTHS_PER_INTERVAL[recurring.interval] || 1) * (recurring.interval_count || 1);
+
+    return total + ((price.unit_amount || 0) * (item.quantity || 1)) / months;
+  }, 0);
+
+  return Math.round(cents) / 100;
+};
+
+/**
+ * Find the member an event is about
+ * Subscription metadata names the person; otherwise the Stripe customer is used.
+ * @param {Object} ids - { personId, customerId }
+ * @returns {Promise<Object|null>} Member extension, or null if no member matches
+ */
+const findMember = async ({ personId, customerId }) => {
+  if (personId) {
+    const member = await memberModel.getMemberExtensionByPersonId(personId);
+
+    if (member) {
+      return member;
+    }
+  }
+
+  return customerId ? memberModel.getMemberExtensionByStripeCustomerId(customerId) : null;
+};
+
+/**
+ * Apply a completed checkout: link the member to their Stripe customer, subscription and plan
+ * @param {Object} session - Stripe checkout session
+ * @returns {Promise<Object|null>} { person_id } or null if the checkout is not ours
+ */
+const applyCheckoutCompleted = async (session) => {
+  const checkout = await billingModel.getCheckoutByStripeId(session.id) ||
+    (session.payment_link ? await billingModel.getCheckoutByStripeId(session.payment_link) : null);
+
+  const member = await findMember({
+    personId: (checkout && checkout.person_id) || (session.metadata && session.metadata.person_id),
+    customerId: session.customer
+  });
+
+  if (!member) {
+    return null;
+  }
+
+  const memberData = {
+    stripe_customer_id: session.customer || member.stripe_customer_id,
+    stripe_subscription_id: session.subscription || member.stripe_subscription_id,
+    payment_status: session.payment_status === 'paid' ? 'current' : member.payment_status
+  };
+
+  // The member is now on the plan they paid for
+  if (checkout && checkout.membership_plan_id) {
+    memberData.membership_plan_id = checkout.membership_plan_id;
+    memberData.membership_type = checkout.membership_type;
+  }
+
+  await memberModel.updateMemberExtension(member.id, memberData);
+
+  if (checkout) {
+    await billingModel.updateCheckout(checkout.id, {
+      status: 'completed',
+      completed_at: new Date().toISOString()
+    });
+  }
+
+  return { person_id: member.person_id };
+};
+
+/**
+ * Apply an invoice event: a paid invoice adds to lifetime value, a failed one marks the member past due
+ * @param {Object} invoice - Stripe invoice
+ * @param {boolean} paid - Whether the invoice was paid
+ * @returns {Promise<Object|null>} { person_id, amount } or null if no member matches
+ */
+const applyInvoice = async (invoice, paid) => {
+  const subscriptionMetadata = (invoice.subscription_details && invoice.subscription_details.metadata) || {};
+
+  if (subscriptionMetadata.organization_id) {
+    return applyOrganizationInvoice(subscriptionMetadata.organization_id, paid);
+  }
+
+  const member = await findMember({ personId: subscriptionMetadata.person_id, customerId: invoice.customer });
+
+  if (!member) {
+    return null;
+  }
+
+  if (!paid) {
+    await memberModel.updateMemberExtension(member.id, { payment_status: 'past_due' });
+    return { person_id: member.person_id, amount: null };
+  }
+
+  const amount = (invoice.amount_paid || 0) / 100;
+
+  await memberModel.updateMemberExtension(member.id, {
+    payment_status: 'current',
+    lifetime_value: Math.round((Number(member.lifetime_value || 0) + amount) * 100) / 100,
+    stripe_customer_id: member.stripe_customer_id || invoice.customer
+  });
+
+  return { person_id: member.person_id, amount };
+};
+
+/**
+ * Apply a subscription event to the member's payment status and monthly spend
+ * @param {Object} subscription - Stripe subscription
+ * @param {boolean} deleted - Whether the subscription has ended
+ * @returns {Promise<Object|null>} { person_id } or null if no member matches
+ */
+const applySubscription = async (subscription, deleted) => {
+  if (subscription.metadata && subscription.metadata.organization_id) {
+    return applyOrganizationSubscription(subscription, deleted);
+  }
+
+  const member = await findMember({
+    personId: subscription.metadata && subscription.metadata.person_id,
+    customerId: subscription.customer
+  });
+
+  if (!member) {
+    return null;
+  }
+
+  await memberModel.updateMemberExtension(member.id, {
+    stripe_customer_id: subscription.customer || member.stripe_customer_id,
+    stripe_subscription_id: subscription.id,
+    payment_status: deleted ? 'canceled' : (SUBSCRIPTION_PAYMENT_STATUS[subscription.status] || member.payment_status),
+    current_monthly_spend: deleted ? 0 : getMonthlyAmount(subscription)
+  });
+
+  return { person_id: member.person_id };
+};
+
+/**
+ * Apply an invoice for an organization's ORCA subscription to its subscription status
+ * @param {string} organizationId - Organization ID from the subscription metadata
+ * @param {boolean} paid - Whether the invoice was paid
+ * @returns {Promise<Object|null>} { organization_id } or null if the organization no longer exists
+ */
+const applyOrganizationInvoice = async (organizationId, paid) => {
+  const organization = await organizationModel.getOrganizationById(organizationId);
+
+  if (!organization) {
+    return null;
+  }
+
+  await organizationModel.updateOrganization(organization.id, {
+    subscription_status: paid ? 'active' : 'past_due'
+  });
+
+  return { organization_id: organization.id };
+};
+
+/**
+ * Apply a subscription event to an organization's ORCA plan tier
+ * The tier in the subscription metadata takes effect once the subscription is
+ * active; an ended subscription returns the organization to the starter tier.
+ * A tier that isn't one of subscriptionTiers.TIERS is ignored.
+ * @param {Object} subscription - Stripe subscription
+ * @param {boolean} deleted - Whether the subscription has ended
+ * @returns {Promise<Object|null>} { organization_id } or null if the organization no longer exists
+ */
+const applyOrganizationSubscription = async (subscription, deleted) => {
+  // Required here, as subscriptionTiers requires this module
+  const { TIERS } = require('./subscriptionTiers');
+  const organization = await organizationModel.getOrganizationById(subscription.metadata.organization_id);
+
+  if (!organization) {
+    return null;
+  }
+
+  const organizationData = {
+    stripe_customer_id: subscription.customer || organization.stripe_customer_id,
+    stripe_subscription_id: deleted ? null : subscription.id,
+    subscription_status: deleted ? 'canceled' : subscription.status,
+    current_period_end: subscription.current_period_end
+      ? new Date(subscription.current_period_end * 1000).toISOString()
+      : organization.current_period_end
+  };
+
+  if (deleted) {
+    organizationData.plan_tier = 'starter';
+  } else if (['active', 'trialing'].includes(subscription.status) && TIERS[subscription.metadata.plan_tier]) {
+    organizationData.plan_tier = subscription.metadata.plan_tier;
+  }
+
+  await organizationModel.updateOrganization(organization.id, organizationData);
+
+  return { organization_id: organization.id };
+};
+
+/**
+ * Apply a verified Stripe webhook event
+ * Each event is processed once; redelivered events are acknowledged and skipped.
+ * @param {Object} event - Stripe event
+ * @returns {Promise<Object>} { handled, duplicate, person_id }, plus organization_id for ORCA subscription events
+ */
+const handleWebhookEvent = async (event) => {
+  const handlers = {
+    'checkout.session.completed': object => applyCheckoutCompleted(object),
+    'invoice.paid': object => applyInvoice(object, true),
+    'invoice.payment_failed': object => applyInvoice(object, false),
+    'customer.subscription.created': object => applySubscription(object, false),
+    'customer.subscription.updated': object => applySubscription(object, false),
+    'customer.subscription.deleted': object => applySubscription(object, true)
+  };
+
+  const handler = handlers[event.type];
+
+  // Acknowledge events we don't act on so Stripe doesn't retry them
+  if (!handler) {
+    return { handled: false, duplicate: false, person_id: null };
+  }
+
+  const claimed = await billingModel.claimEvent({ stripe_event_id: event.id, event_type: event.type });
+
+  if (!claimed) {
+    return { handled: false, duplicate: true, person_id: null };
+  }
+
+  let result;
+
+  try {
+    result = await handler(event.data.object);
+  } catch (error) {
+    // Let Stripe's retry process the event again
+    await billingModel.releaseEvent(claimed.id);
+    throw error;
+  }
+
+  if (!result) {
+    console.warn(`Stripe ${event.type} event ${event.id} does not match a member or organization`);
+    return { handled: false, duplicate: false, person_id: null };
+  }
+
+  if (result.organization_id) {
+    await billingModel.updateEvent(claimed.id, { organization_id: result.organization_id });
+    return { handled: true, duplicate: false, person_id: null, organization_id: result.organization_id };
+  }
+
+  await billingModel.updateEvent(claimed.id, {
+    person_id: result.person_id,
+    amount: result.amount === undefined ? null : result.amount
+  });
+
+  return { handled: true, duplicate: false, person_id: result.person_id };
+};
+
+module.exports = {
+  config,
+  providers,
+  PAYMENT_COLLECTION_METHODS,
+  getProvider,
+  validatePaymentCollection,
+  createMembershipCheckout,
+  parseWebhookEvent,
+  getMonthlyAmount,
+  handleWebhookEvent
+};
@@ -0,0 +1,885 @@
+/**
+ * Bulk Import for ORCA Lead Management
+ *
+ * Brings leads and members in from the CSV and XLSX files gyms export from
+ * their old CRM or check-in software. It provides functionality to:
+ * - Suggest which field each of a file's columns holds, and check an admin's mapping
+ * - Turn each row into person and lead or member extension data, validated with
+ *   the same schema validators as the rest of the API
+ * - Match rows to existing persons by email or phone, and skip or update them
+ * - Dry-run a file, reporting what each row would do and why rows fail
+ * - Write queued imports in chunks in the background
+ * - Produce a CSV report of the rows that couldn't be imported
+ *
+ * Progress lives on the import_jobs row. A chunk interrupted by a restart is
+ * planned again when the job resumes, and the rows it already wrote then match
+ * by email or phone instead of being created twice.
+ */
+
+const cron = require('node-cron');
+const dotenv = require('dotenv');
+const importModel = require('../models/importModel');
+const personModel = require('../models/personModel');
+const leadModel = require('../models/leadModel');
+const memberModel = require('../models/memberModel');
+const membershipPlanModel = require('../models/membershipPlanModel');
+const membershipPlans = require('./membershipPlans');
+const leadPipeline = require('./leadPipeline');
+const { getRecordScope } = require('./tenancy');
+const { toCsv } = require('./spreadsheet');
+const { CustomError } = require('./errorHandler');
+const {
+  validatePersonSchema,
+  validateLeadExtensionSchema,
+  validateMemberExtensionSchema
+} = require('./schemaValidation');
+
+dotenv.config();
+
+// Configuration for bulk imports
+const config = {
+  // Default: every minute
+  schedule: process.env.IMPORT_SCHEDULE || '* * * * *',
+  // Rows written between progress updates
+  chunkSize: parseInt(process.env.IMPORT_CHUNK_SIZE || '100', 10),
+  // Maximum number of imports picked up per run
+  batchSize: parseInt(process.env.IMPORT_BATCH_SIZE || '5', 10),
+  // An import that hasn't written a chunk for this long is assumed to belong to a crashed worker
+  staleAfterMinutes: parseInt(process.env.IMPORT_STALE_MINUTES || '10', 10),
+  // Rows shown in a dry run; errors are always reported for every row
+  previewRows: parseInt(process.env.IMPORT_PREVIEW_ROWS || '100', 10),
+  // How to read dates like 03/04/2024: 'mdy' (US) or 'dmy'
+  dateOrder: process.env.IMPORT_DATE_ORDER === 'dmy' ? 'dmy' : 'mdy'
+};
+
+const IMPORT_TYPES = ['lead', 'member'];
+const DUPLICATE_STRATEGIES = ['skip', 'update'];
+const MEMBERSHIP_STATUSES = ['active', 'frozen', 'cancelled', 'expired'];
+
+// The extension validators need a person_id, which a row to be created doesn't
+// have yet; this stands in for it while the rest of the row is checked
+const PENDING_PERSON_ID = '00000000-0000-4000-8000-000000000000';
+
+/**
+ * Fields a file's columns can be mapped to
+ * `target` says where the value goes: the person, their address, the lead or
+ * member extension, or (for full_name) split into first and last name.
+ * `importTypes` limits a field to lead or member imports.
+ */
+const FIELDS = [
+  { key: 'full_name', label: 'Full name', type: 'text', target: 'name', aliases: ['name', 'contact name', 'member name', 'client name', 'customer name'] },
+  { key: 'first_name', label: 'First name', type: 'text', target: 'person', aliases: ['first', 'given name', 'fname', 'forename'] },
+  { key: 'last_name', label: 'Last name', type: 'text', target: 'person', aliases: ['last', 'surname', 'family name', 'lname'] },
+  { key: 'email', label: 'Email', type: 'email', target: 'person', aliases: ['email address', 'e-mail address'] },
+  { key: 'phone', label: 'Phone', type: 'phone', target: 'person', aliases: ['phone number', 'mobile', 'mobile phone', 'cell', 'cell phone', 'telephone', 'primary phone'] },
+  { key: 'secondary_phone', label: 'Secondary phone', type: 'phone', target: 'person', aliases: ['home phone', 'work phone', 'other phone', 'alternate phone'] },
+  { key: 'dob', label: 'Date of birth', type: 'date', target: 'person', aliases: ['birthday', 'birth date', 'birthdate'] },
+  { key: 'gender', label: 'Gender', type: 'text', target: 'person', aliases: ['sex'] },
+  { key: 'street', label: 'Street address', type: 'text', target: 'address', aliases: ['address', 'address 1', 'address line 1', 'street'] },
+  { key: 'city', label: 'City', type: 'text', target: 'address', aliases: ['town'] },
+  { key: 'state', label: 'State', type: 'text', target: 'address', aliases: ['province', 'region'] },
+  { key: 'zip', label: 'ZIP code', type: 'text', target: 'address', aliases: ['zip', 'zipcode', 'postal code', 'postcode'] },
+  { key: 'preferred_contact_method', label: 'Preferred contact method', type: 'text', target: 'person', aliases: ['contact method', 'contact preference'] },
+  { key: 'email_opt_in', label: 'Email opt-in', type: 'boolean', target: 'person', aliases: ['email opt in', 'email consent', 'email subscribed'] },
+  { key: 'sms_opt_in', label: 'SMS opt-in', type: 'boolean', target: 'person', aliases: ['sms opt in', 'text opt in', 'sms consent'] },
+  { key: 'acquisition_source', label: 'Source', type: 'text', target: 'person', aliases: ['source', 'lead source', 'how did you hear about us'] },
+  { key: 'acquisition_date', label: 'Acquired on', type: 'date', target: 'person', aliases: ['date added', 'created date', 'signup date', 'inquiry date'] },
+  { key: 'referral_source', label: 'Referred by', type: 'text', target: 'person', aliases: ['referred by', 'referrer'] },
+  { key: 'interest_level', label: 'Interest level', type: 'text', target: 'person', aliases: ['interest'] },
+  { key: 'goals', label: 'Goals', type: 'text', target: 'person', aliases: ['goal', 'fitness goals'] },
+  { key: 'budget_range', label: 'Budget', type: 'text', target: 'person', aliases: ['budget'] },
+  { key: 'tags', label: 'Tags', type: 'list', target: 'person', aliases: ['tag', 'labels'] },
+  { key: 'notes', label: 'Notes', type: 'text', target: 'person', aliases: ['note', 'comments', 'comment'] },
+
+  { key: 'lead_status', label: 'Lead status', type: 'text', target: 'extension', importTypes: ['lead'], aliases: ['status', 'stage', 'pipeline stage'] },
+  { key: 'preferred_membership', label: 'Preferred membership', type: 'text', target: 'person', importTypes: ['lead'], aliases: ['membership', 'plan', 'interested in', 'preferred plan'] },
+  { key: 'decision_timeline', label: 'Decision timeline', type: 'text', target: 'extension', importTypes: ['lead'], aliases: ['timeline'] },
+  { key: 'estimated_value', label: 'Estimated value', type: 'number', target: 'extension', importTypes: ['lead'], aliases: ['value', 'deal value'] },
+  { key: 'visit_date', label: 'Visit date', type: 'date', target: 'extension', importTypes: ['lead'], aliases: ['tour date', 'appointment date'] },
+  { key: 'trial_status', label: 'Trial status', type: 'text', target: 'extension', importTypes: ['lead'], aliases: ['trial'] },
+
+  { key: 'membership_type', label: 'Membership plan', type: 'text', target: 'extension', importTypes: ['member'], aliases: ['membership', 'plan', 'plan name'] },
+  { key: 'membership_status', label: 'Membership status', type: 'text', target: 'extension', importTypes: ['member'], aliases: ['status', 'member status'] },
+  { key: 'join_date', label: 'Join date', type: 'date', target: 'extension', importTypes: ['member'], aliases: ['member since', 'start date', 'joined', 'date joined'] },
+  { key: 'membership_end_date', label: 'Membership end date', type: 'date', target: 'extension', importTypes: ['member'], aliases: ['end date', 'expiration date', 'expires'] },
+  { key: 'billing_day', label: 'Billing day', type: 'integer', target: 'extension', importTypes: ['member'], aliases: [] },
+  { key: 'current_monthly_spend', label: 'Monthly dues', type: 'number', target: 'extension', importTypes: ['member'], aliases: ['dues', 'monthly rate', 'monthly price'] },
+  { key: 'lifetime_value', label: 'Lifetime value', type: 'number', target: 'extension', importTypes: ['member'], aliases: ['ltv', 'total spent'] },
+  { key: 'check_in_count', label: 'Check-ins', type: 'integer', target: 'extension', importTypes: ['member'], aliases: ['check ins', 'visits', 'total visits', 'visit count'] },
+  { key: 'last_check_in', label: 'Last check-in', type: 'date', target: 'extension', importTypes: ['member'], aliases: ['last visit', 'last attended'] }
+];
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'x', 'subscribed', 'opted in'];
+const FALSE_VALUES = ['no', 'n', 'false', '0', 'unsubscribed', 'opted out'];
+
+// Guards against overlapping runs within this process
+let isRunning = false;
+let scheduledTask = null;
+
+/**
+ * Reduce a header or field name to letters and digits for matching
+ * @param {string} value - Header or field name
+ * @returns {string} Normalized name
+ */
+const normalizeName = value => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Key used to match a phone number regardless of formatting
+ * @param {string} phone - Phone number
+ * @returns {string} National digits
+ */
+const phoneKey = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+};
+
+/**
+ * Check an import type
+ * @param {string} importType - 'lead' or 'member'
+ * @returns {string} The import type
+ */
+const assertImportType = (importType) => {
+  if (!IMPORT_TYPES.includes(importType)) {
+    throw new CustomError(`import_type must be one of: ${IMPORT_TYPES.join(', ')}`, 400);
+  }
+
+  return importType;
+};
+
+/**
+ * Fields available to an import type
+ * @param {string} importType - 'lead' or 'member'
+ * @returns {Array} Fields with key, label and type
+ */
+const getFields = importType => FIELDS
+  .filter(field => !field.importTypes || field.importTypes.includes(importType))
+  .map(({ key, label, type }) => ({ key, label, type }));
+
+const findField = (key, importType) => FIELDS.find(field => field.key === key
+  && (!field.importTypes || field.importTypes.includes(importType)));
+
+/**
+ * Guess which field each column holds from its header
+ * @param {Array<string>} headers - The file's headers
+ * @param {string} importType - 'lead' or 'member'
+ * @returns {Object} Column -> field key, for the columns that could be matched
+ */
+const suggestMapping = (headers, importType) => {
+  const candidates = FIELDS.filter(field => !field.importTypes || field.importTypes.includes(importType));
+  const used = new Set();
+  const mapping = {};
+
+  headers.forEach((header) => {
+    const name = normalizeName(header);
+    const field = candidates.find(candidate => !used.has(candidate.key) && (
+      normalizeName(candidate.key) === name
+      || normalizeName(candidate.label) === name
+      || candidate.aliases.some(alias => normalizeName(alias) === name)
+    ));
+
+    if (field) {
+      used.add(field.key);
+      mapping[header] = field.key;
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Check an admin's column mapping against the file and import type
+ * Columns mapped to nothing are dropped.
+ * @param {Object} mapping - Column -> field key
+ * @param {Array<string>} headers - The file's headers
+ * @param {string} importType - 'lead' or 'member'
+ * @returns {Object} The mapping, without ignored columns
+ */
+const validateMapping = (mapping, headers, importType) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new CustomError('column_mapping must map file columns to fields', 400);
+  }
+
+  const cleaned = {};
+  const mappedFrom = {};
+
+  Object.entries(mapping).forEach(([column, key]) => {
+    if (!headers.includes(column)) {
+      throw new CustomError(`Unknown column "${column}"`, 400);
+    }
+
+    if (!key) {
+      return;
+    }
+
+    const field = findField(key, importType);
+
+    if (!field) {
+      throw new CustomError(`Unknown field "${key}" for ${importType} imports`, 400);
+    }
+
+    if (mappedFrom[key]) {
+      throw new CustomError(`${field.label} is mapped from both "${mappedFrom[key]}" and "${column}"`, 400);
+    }
+
+    mappedFrom[key] = column;
+    cleaned[column] = key;
+  });
+
+  if (!mappedFrom.full_name && !(mappedFrom.first_name && mappedFrom.last_name)) {
+    throw new CustomError('Map columns to first and last name, or to full name', 400);
+  }
+
+  if (!mappedFrom.email && !mappedFrom.phone) {
+    throw new CustomError('Map a column to email or phone so rows can be matched to existing contacts', 400);
+  }
+
+  return cleaned;
+};
+
+/**
+ * Check a duplicate strategy
+ * @param {string} strategy - 'skip' or 'update'
+ * @returns {string} The strategy, 'skip' if none was given
+ */
+const validateDuplicateStrategy = (strategy) => {
+  if (strategy === undefined || strategy === null || strategy === '') {
+    return 'skip';
+  }
+
+  if (!DUPLICATE_STRATEGIES.includes(strategy)) {
+    throw new CustomError(`duplicate_strategy must be one of: ${DUPLICATE_STRATEGIES.join(', ')}`, 400);
+  }
+
+  return strategy;
+};
+
+/**
+ * Read a date the way spreadsheets and exports write them
+ * @param {string} raw - Cell text
+ * @returns {string|null} YYYY-MM-DD, or null if it isn't a date
+ */
+const parseDate = (raw) => {
+  const toIsoDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+
+    return date.toISOString().slice(0, 10);
+  };
+
+  const iso = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+
+  if (iso) {
+    return toIsoDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+  }
+
+  const numeric = raw.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+
+  if (numeric) {
+    const [first, second] = [Number(numeric[1]), Number(numeric[2])];
+    let year = Number(numeric[3]);
+
+    if (numeric[3].length === 2) {
+      // Two-digit years up to this year are this century
+      const pivot = new Date().getFullYear() % 100;
+      year += year > pivot ? 1900 : 2000;
+    }
+
+    return config.dateOrder === 'dmy'
+      ? toIsoDate(year, second, first)
+      : toIsoDate(year, first, second);
+  }
+
+  // Written-out dates such as "Jan 5, 2024"
+  if (/[a-z]/i.test(raw)) {
+    const parsed = new Date(raw);
+
+    if (!Number.isNaN(parsed.getTime())) {
+      return toIsoDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Convert a cell to a field's type
+ * @param {Object} field - Field from FIELDS
+ * @param {string} raw - Trimmed, non-empty cell text
+ * @returns {Object} { value } or { error }
+ */
+const convertValue = (field, raw) => {
+  switch (field.type) {
+    case 'email':
+      return { value: raw.toLowerCase() };
+    case 'phone':
+      return raw.replace(/\D/g, '').length >= 7
+        ? { value: raw }
+        : { error: `${field.label} "${raw}" is not a phone number` };
+    case 'date': {
+      const value = parseDate(raw);
+      return value ? { value } : { error: `${field.label} "${raw}" is not a date` };
+    }
+    case 'number':
+    case 'integer': {
+      const value = Number(raw.replace(/[$€£,\s]/g, ''));
+
+      if (raw.replace(/[$€£,\s]/g, '') === '' || !Number.isFinite(value)) {
+        return { error: `${field.label} "${raw}" is not a number` };
+      }
+
+      if (field.type === 'integer' && !Number.isInteger(value)) {
+        return { error: `${field.label} "${raw}" is not a whole number` };
+      }
+
+      return { value };
+    }
+    case 'boolean': {
+      const normalized = raw.toLowerCase();
+
+      if (TRUE_VALUES.includes(normalized)) {
+        return { value: true };
+      }
+
+      if (FALSE_VALUES.includes(normalized)) {
+        return { value: false };
+      }
+
+      return { error: `${field.label} "${raw}" should be yes or no` };
+    }
+    case 'list':
+      return { value: raw.split(/[,;|]/).map(item => item.trim()).filter(Boolean) };
+    default:
+      return { value: raw };
+  }
+};
+
+/**
+ * Find a membership plan by name, ignoring case
+ * @param {Array} plans - Membership plan catalog
+ * @param {string} name - Plan name from the file
+ * @returns {Object|null} Plan, or null if none matches
+ */
+const matchPlan = (plans, name) => plans.find(plan => plan.name.toLowerCase() === name.toLowerCase()) || null;
+
+/**
+ * Turn one row into person and extension data
+ * @param {Array<string>} row - The row's cells
+ * @param {Array<string>} headers - The file's headers
+ * @param {Object} mapping - Column -> field key
+ * @param {string} importType - 'lead' or 'member'
+ * @param {Array} plans - Membership plan catalog
+ * @returns {Object} { blank, personData, extensionData, errors }
+ */
+const buildRecord = (row, headers, mapping, importType, plans = []) => {
+  const personData = {};
+  const extensionData = {};
+  const address = {};
+  const errors = [];
+  let fullName = null;
+  let blank = true;
+
+  headers.forEach((header, index) => {
+    const field = mapping[header] && findField(mapping[header], importType);
+    const raw = String(row[index] === undefined || row[index] === null ? '' : row[index]).trim();
+
+    if (!field || raw === '') {
+      return;
+    }
+
+    blank = false;
+    const { value, error } = convertValue(field, raw);
+
+    if (error) {
+      errors.push(error);
+    } else if (field.target === 'name') {
+      fullName = value;
+    } else if (field.target === 'address') {
+      address[field.key] = value;
+    } else if (field.target === 'extension') {
+      extensionData[field.key] = value;
+    } else {
+      personData[field.key] = value;
+    }
+  });
+
+  if (blank) {
+    return { blank: true, personData, extensionData, errors: [] };
+  }
+
+  // "Last, First" or "First Middle Last"
+  if (fullName && !personData.first_name && !personData.last_name) {
+    const [before, after] = fullName.split(',').map(part => part.trim());
+    const parts = (after ? `${after} ${before}` : before).split(/\s+/);
+    personData.first_name = parts[0];
+
+    if (parts.length > 1) {
+      personData.last_name = parts.slice(1).join(' ');
+    }
+  }
+
+  if (Object.keys(address).length > 0) {
+    personData.address = address;
+  }
+
+  if (!personData.email && !personData.phone) {
+    errors.push('Needs an email or a phone number');
+  }
+
+  if (importType === 'lead') {
+    if (extensionData.lead_status) {
+      const stage = leadPipeline.getStage(extensionData.lead_status);
+
+      if (stage) {
+        extensionData.lead_status = stage.key;
+      } else {
+        errors.push(`Lead status "${extensionData.lead_status}" is not a pipeline stage`);
+      }
+    }
+
+    if (personData.preferred_membership) {
+      const plan = matchPlan(plans, personData.preferred_membership);
+
+      if (plan) {
+        personData.preferred_membership_plan_id = plan.id;
+        personData.preferred_membership = plan.name;
+
+        if (extensionData.estimated_value === undefined) {
+          extensionData.estimated_value = membershipPlans.getEstimatedValue(plan);
+        }
+      }
+    }
+  } else {
+    if (extensionData.membership_status) {
+      const status = extensionData.membership_status.toLowerCase().replace(/^canceled$/, 'cancelled');
+
+      if (MEMBERSHIP_STATUSES.includes(status)) {
+        extensionData.membership_status = status;
+      } else {
+        errors.push(`Membership status "${extensionData.membership_status}" should be one of: ${MEMBERSHIP_STATUSES.join(', ')}`);
+      }
+    }
+
+    if (extensionData.membership_type) {
+      const plan = matchPlan(plans, extensionData.membership_type);
+
+      if (plan) {
+        extensionData.membership_plan_id = plan.id;
+        extensionData.membership_type = plan.name;
+      }
+    }
+  }
+
+  const validateExtension = importType === 'lead' ? validateLeadExtensionSchema : validateMemberExtensionSchema;
+
+  [
+    validatePersonSchema(personData),
+    validateExtension({ ...extensionData, person_id: PENDING_PERSON_ID })
+  ].forEach((result) => {
+    result.errors.forEach((error) => {
+      if (!errors.includes(error)) {
+        errors.push(error);
+      }
+    });
+  });
+
+  return { blank: false, personData, extensionData, errors };
+};
+
+/**
+ * Work out what importing a run of rows would do
+ * Rows are matched by email or phone against existing persons and against
+ * earlier rows of the same run.
+ * @param {Object} importJob - Import job with headers, rows, column_mapping and duplicate_strategy
+ * @param {number} start - Index of the first row
+ * @param {number} count - Number of rows
+ * @param {Object} scope - Tenant scope persons are matched in
+ * @param {Array} plans - Membership plan catalog
+ * @returns {Promise<Array>} One plan per row: { row, action, reason, errors, personData, extensionData, personId }
+ */
+const planRows = async (importJob, start, count, scope, plans) => {
+  const { headers, column_mapping: mapping, import_type: importType, duplicate_strategy: strategy } = importJob;
+  const role = importType === 'lead' ? 'is_lead' : 'is_member';
+
+  const planned = importJob.rows.slice(start, start + count).map((row, index) => ({
+    // Numbered as in the file, counting the header as row 1
+    row: start + index + 2,
+    ...buildRecord(row, headers, mapping, importType, plans)
+  }));
+
+  const valid = planned.filter(plan => !plan.blank && plan.errors.length === 0);
+  const existing = valid.length > 0
+    ? await personModel.findPersonsByContact({
+      emails: valid.map(plan => plan.personData.email).filter(Boolean),
+      phones: valid.map(plan => plan.personData.phone).filter(Boolean)
+    }, scope)
+    : [];
+
+  const byEmail = new Map();
+  const byPhone = new Map();
+
+  existing.forEach((person) => {
+    if (person.email) {
+      byEmail.set(person.email.toLowerCase(), person);
+    }
+
+    if (person.phone) {
+      byPhone.set(phoneKey(person.phone), person);
+    }
+  });
+
+  const seenEmails = new Map();
+  const seenPhones = new Map();
+
+  return planned.map((plan) => {
+    const { row, blank, errors, personData, extensionData } = plan;
+
+    if (blank) {
+      return { row, action: 'skip', reason: 'Blank row', errors: [] };
+    }
+
+    if (errors.length > 0) {
+      return { row, action: 'error', errors, personData, extensionData };
+    }
+
+    const email = personData.email || null;
+    const phone = personData.phone ? phoneKey(personData.phone) : null;
+    const earlierRow = (email && seenEmails.get(email)) || (phone && seenPhones.get(phone));
+
+    if (email) {
+      seenEmails.set(email, seenEmails.get(email) || row);
+    }
+
+    if (phone) {
+      seenPhones.set(phone, seenPhones.get(phone) || row);
+    }
+
+    if (earlierRow) {
+      return { row, action: 'skip', reason: `Same email or phone as row ${earlierRow}`, errors: [], personData, extensionData };
+    }
+
+    const match = (email && byEmail.get(email)) || (phone && byPhone.get(phone));
+
+    if (!match) {
+      return { row, action: 'create', errors: [], personData, extensionData };
+    }
+
+    const name = `${match.first_name} ${match.last_name}`;
+
+    if (strategy !== 'update') {
+      return { row, action: 'skip', reason: `Matches ${name}, already in ORCA`, errors: [], personData, extensionData, personId: match.id };
+    }
+
+    if (!match[role]) {
+      return { row, action: 'skip', reason: `Matches ${name}, who isn't a ${importType}`, errors: [], personData, extensionData, personId: match.id };
+    }
+
+    return { row, action: 'update', errors: [], personData, extensionData, personId: match.id };
+  });
+};
+
+/**
+ * Dry-run an import with a column mapping
+ * Nothing is written; the mapping is not saved.
+ * @param {Object} importJob - Import job with its rows
+ * @param {Object} options - Options
+ * @param {Object} options.column_mapping - Column -> field key
+ * @param {string} options.duplicate_strategy - 'skip' or 'update'
+ * @param {Object} scope - Tenant scope persons are matched in
+ * @returns {Promise<Object>} { summary, rows, errors }
+ */
+const previewImport = async (importJob, options = {}, scope = null) => {
+  const mapping = validateMapping(options.column_mapping, importJob.headers, importJob.import_type);
+  const strategy = validateDuplicateStrategy(options.duplicate_strategy);
+  const plans = await membershipPlanModel.getPlans({}, scope);
+
+  const planned = await planRows({
+    ...importJob,
+    column_mapping: mapping,
+    duplicate_strategy: strategy
+  }, 0, importJob.rows.length, scope, plans);
+
+  const summary = { total_rows: planned.length, create: 0, update: 0, skip: 0, error: 0 };
+  planned.forEach(({ action }) => {
+    summary[action] += 1;
+  });
+
+  return {
+    summary,
+    rows: planned.slice(0, config.previewRows).map(({ row, action, reason, errors, personData, extensionData }) => ({
+      row,
+      action,
+      reason: reason || null,
+      errors,
+      data: { ...personData, ...extensionData }
+    })),
+    errors: planned
+      .filter(({ action }) => action === 'error')
+      .map(({ row, errors }) => ({ row, errors }))
+  };
+};
+
+/**
+ * Queue an import for the background job
+ * An import that failed part way can be queued again and carries on where it stopped.
+ * @param {Object} importJob - Import job
+ * @param {Object} options - Options
+ * @param {Object} options.column_mapping - Column -> field key
+ * @param {string} options.duplicate_strategy - 'skip' or 'update'
+ * @returns {Promise<Object>} Queued import job
+ */
+const queueImport = async (importJob, options = {}) => {
+  if (!['uploaded', 'failed'].includes(importJob.status)) {
+    throw new CustomError(`Import is already ${importJob.status}`, 400);
+  }
+
+  const mapping = validateMapping(options.column_mapping, importJob.headers, importJob.import_type);
+  const strategy = validateDuplicateStrategy(options.duplicate_strategy);
+
+  if (importJob.status === 'failed' && importJob.processed_rows > 0
+    && (JSON.stringify(mapping) !== JSON.stringify(importJob.column_mapping) || strategy !== importJob.duplicate_strategy)) {
+    throw new CustomError('A partly imported file must be resumed with the same mapping', 400);
+  }
+
+  return importModel.updateImport(importJob.id, {
+    status: 'queued',
+    column_mapping: mapping,
+    duplicate_strategy: strategy,
+    last_error: null
+  });
+};
+
+/**
+ * Write one planned row
+ * @param {Object} plan - Row plan from planRows with action 'create' or 'update'
+ * @param {Object} importJob - Import job
+ * @param {Object} scope - Tenant scope the import belongs to
+ * @returns {Promise<Object>} Created or updated person
+ */
+const writeRow = async (plan, importJob, scope) => {
+  const { personData, extensionData, personId } = plan;
+
+  if (importJob.import_type === 'lead') {
+    if (plan.action === 'update') {
+      // Stage moves for existing leads go through the pipeline, not an import
+      const { lead_status: leadStatus, ...leadChanges } = extensionData;
+      return leadModel.updateLead(personId, personData, leadChanges, scope);
+    }
+
+    const leadStatus = extensionData.lead_status || 'new';
+
+    return leadModel.createLead(personData, {
+      ...extensionData,
+      lead_status: leadStatus,
+      status_history: [{
+        status: leadStatus,
+        timestamp: new Date().toISOString(),
+        notes: `Imported from ${importJob.file_name}`
+      }]
+    }, scope);
+  }
+
+  return plan.action === 'update'
+    ? memberModel.updateMember(personId, personData, extensionData, scope)
+    : memberModel.createMember(personData, extensionData, scope);
+};
+
+/**
+ * Import the next chunk of rows and record progress
+ * @param {Object} importJob - Import job in 'processing' state, with its rows and errors
+ * @param {Object} scope - Tenant scope the import belongs to
+ * @param {Array} plans - Membership plan catalog
+ * @returns {Promise<Object>} The import job after the chunk
+ */
+const processImportChunk = async (importJob, scope, plans) => {
+  const start = importJob.processed_rows;
+  const planned = await planRows(importJob, start, config.chunkSize, scope, plans);
+  const counts = { created: 0, updated: 0, skipped: 0 };
+  const errors = [];
+
+  for (const plan of planned) {
+    if (plan.action === 'error') {
+      errors.push({ row: plan.row, errors: plan.errors });
+    } else if (plan.action === 'skip') {
+      counts.skipped += 1;
+    } else {
+      try {
+        await writeRow(plan, importJob, scope);
+        counts[plan.action === 'create' ? 'created' : 'updated'] += 1;
+      } catch (error) {
+        errors.push({ row: plan.row, errors: [error.message] });
+      }
+    }
+  }
+
+  const allErrors = [...(importJob.errors || []), ...errors];
+
+  const updated = await importModel.updateImport(importJob.id, {
+    processed_rows: start + planned.length,
+    created_count: importJob.created_count + counts.created,
+    updated_count: importJob.updated_count + counts.updated,
+    skipped_count: importJob.skipped_count + counts.skipped,
+    error_count: importJob.error_count + errors.length,
+    errors: allErrors,
+    progressed_at: new Date().toISOString()
+  });
+
+  return { ...importJob, ...updated, errors: allErrors };
+};
+
+/**
+ * Claim an import and write all its remaining rows
+ * @param {Object} importJob - Import job in 'queued' or stalled 'processing' state
+ * @returns {Promise<Object|null>} Finished import job, or null if another worker claimed it
+ */
+const runImport = async (importJob) => {
+  const claimed = await importModel.claimImport(importJob);
+
+  if (!claimed) {
+    return null;
+  }
+
+  let current = claimed;
+
+  try {
+    const scope = getRecordScope(claimed);
+    const plans = await membershipPlanModel.getPlans({}, scope);
+
+    while (current.processed_rows < current.total_rows) {
+      current = await processImportChunk(current, scope, plans);
+    }
+
+    return await importModel.updateImport(current.id, {
+      status: 'completed',
+      completed_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`Import ${current.id} failed:`, error);
+    return importModel.updateImport(current.id, {
+      status: 'failed',
+      last_error: error.message
+    });
+  }
+};
+
+/**
+ * Run every queued import, and resume imports abandoned mid-way
+ * @param {Date} now - Current time (injectable for testing)
+ * @returns {Promise<Object>} Summary of the run
+ */
+const processQueuedImports = async (now = new Date()) => {
+  if (isRunning) {
+    return { skipped: true, processed: 0 };
+  }
+
+  isRunning = true;
+
+  try {
+    const pagination = { page: 0, pageSize: config.batchSize };
+    const staleBefore = new Date(now.getTime() - config.staleAfterMinutes * 60000);
+
+    const queued = await importModel.getImports({ status: 'queued' }, pagination);
+
+    const stalled = await importModel.getImports({
+      status: 'processing',
+      progressedBefore: staleBefore.toISOString()
+    }, pagination);
+
+    const results = [];
+
+    for (const importJob of [...(stalled || []), ...(queued || [])]) {
+      try {
+        // Listing leaves the rows out, so load them before claiming
+        const fullJob = await importModel.getImportById(importJob.id);
+        const result = fullJob && await runImport(fullJob);
+
+        if (result) {
+          results.push({ id: importJob.id, status: result.status });
+        }
+      } catch (error) {
+        console.error(`Error running import ${importJob.id}:`, error);
+      }
+    }
+
+    return {
+      skipped: false,
+      processed: results.length,
+      results
+    };
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Build the error report for an import
+ * @param {Object} importJob - Import job with its rows and errors
+ * @returns {string} CSV of each failed row's original cells and its errors
+ */
+const buildErrorReport = importJob => toCsv([
+  ['Row', ...importJob.headers, 'Errors'],
+  ...(importJob.errors || []).map(({ row, errors }) => [
+    row,
+    ...importJob.headers.map((header, index) => (importJob.rows[row - 2] || [])[index] || ''),
+    errors.join('; ')
+  ])
+]);
+
+/**
+ * Schedule the recurring import processor
+ *
+ * Also runs once immediately so imports interrupted by a restart carry on.
+ */
+const scheduleImportProcessing = () => {
+  console.log(`Scheduling import processing: ${config.schedule}`);
+
+  const run = async () => {
+    try {
+      const summary = await processQueuedImports();
+
+      if (summary.processed > 0) {
+        console.log(`Processed ${summary.processed} import(s)`);
+      }
+    } catch (error) {
+      console.error('Scheduled import processing failed:', error);
+    }
+  };
+
+  scheduledTask = cron.schedule(config.schedule, run);
+  run();
+
+  return scheduledTask;
+};
+
+/**
+ * Stop the recurring import processor
+ */
+const stopImportProcessing = () => {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+};
+
+module.exports = {
+  config,
+  IMPORT_TYPES,
+  assertImportType,
+  getFields,
+  suggestMapping,
+  validateMapping,
+  validateDuplicateStrategy,
+  parseDate,
+  buildRecord,
+  planRows,
+  previewImport,
+  queueImport,
+  processImportChunk,
+  runImport,
+  processQueuedImports,
+  buildErrorReport,
+  scheduleImportProcessing,
+  stopImportProcessing
+};
@@ -0,0 +1,388 @@
+/**
+ * Calendar Sync for ORCA Lead Management
+ *
+ * Applies changes made to appointment events in the salesperson's calendar back
+ * to the referrals they belong to:
+ * - An event that moved updates appointment_date and appointment_end_date and marks
+ *   the appointment rescheduled
+ * - A deleted event, or an invitation the referral declined, cancels the appointment
+ *
+ * Changes are found with the provider's incremental sync token, stored per user
+ * in calendar_syncs. When GOOGLE_CALENDAR_WEBHOOK_URL is set, a push notification
+ * channel triggers a sync as soon as something changes; the scheduled job syncs
+ * every connected calendar as a fallback and renews channels before they expire.
+ */
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const dotenv = require('dotenv');
+const { v4: uuidv4 } = require('uuid');
+const calendarSyncModel = require('../models/calendarSyncModel');
+const oauthConnectionModel = require('../models/oauthConnectionModel');
+const referralModel = require('../models/referralModel');
+const userModel = require('../models/userModel');
+const appointmentCalendar = require('./appointmentCalendar');
+
+dotenv.config();
+
+// Configuration for calendar sync
+const config = {
+  // Default: every 15 minutes
+  schedule: process.env.CALENDAR_SYNC_SCHEDULE || '*/15 * * * *',
+  // Public HTTPS address of POST /api/referrals/webhooks/google-calendar; push is off without it
+  webhookUrl: process.env.GOOGLE_CALENDAR_WEBHOOK_URL || null,
+  // Replace a push channel when it has less than this long left
+  channelRenewMs: 24 * 60 * 60 * 1000
+};
+
+// Syncs for the same user run one after another, so a change is never applied twice
+const userQueues = new Map();
+
+// Guards against overlapping scheduled runs within this process
+let isRunning = false;
+let scheduledTask = null;
+
+/**
+ * Whether a provider error means the sync token has expired
+ * @param {Error} error - Error from listChanges
+ * @returns {boolean} True if a full sync is needed
+ */
+const isExpiredSyncToken = (error) => {
+  const status = error.code || (error.response && error.response.status);
+  return status === 410;
+};
+
+/**
+ * Work out how a changed event affects its appointment
+ * @param {Object} event - Changed event from the provider
+ * @param {Object} referral - Referral (person with referral_extensions)
+ * @returns {Object|null} Appointment update for updateReferralAppointment, or null if nothing changed
+ */
+const getAppointmentUpdate = (event, referral) => {
+  const extension = referral.referral_extensions[0];
+
+  if (event.status === 'cancelled') {
+    return {
+      appointment_status: 'cancelled',
+      statusChangeNotes: 'Appointment cancelled in Google Calendar'
+    };
+  }
+
+  const referralEmail = (referral.email || '').toLowerCase();
+  const declined = referralEmail && (event.attendees || []).some(attendee =>
+    (attendee.email || '').toLowerCase() === referralEmail && attendee.responseStatus === 'declined'
+  );
+
+  if (declined) {
+    return {
+      appointment_status: 'cancelled',
+      statusChangeNotes: `${referral.first_name} declined the calendar invitation`
+    };
+  }
+
+  if (event.start && new Date(event.start).getTime() !== new Date(extension.appointment_date).getTime()) {
+    return {
+      appointment_date: event.start,
+      appointment_end_date: event.end || undefined,
+      appointment_status: 'rescheduled',
+      statusChangeNotes: `Appointment moved in Google Calendar from ${new Date(extension.appointment_date).toISOString()} to ${event.start}`
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Apply one changed calendar event to the referral it belongs to
+ * Events that are not referral appointments, appointments already cancelled and
+ * changes ORCA made itself are ignored.
+ * @param {Object} user - User whose calendar the event came from
+ * @param {Object} event - Changed event from the provider
+ * @returns {Promise<Object|null>} Applied change, or null if nothing changed
+ */
+const applyEventChange = async (user, event) => {
+  const referral = await referralModel.getReferralByCalendarEventId(event.id);
+  const extension = referral && referral.referral_extensions && referral.referral_extensions[0];
+
+  if (!extension || extension.appointment_status === 'cancelled') {
+    return null;
+  }
+
+  // Attendees' copies of an event share its ID; only the organizer's calendar counts
+  const ownerId = extension.appointment_calendar_user_id || referral.assigned_to;
+
+  if (ownerId && ownerId !== user.id) {
+    return null;
+  }
+
+  const update = getAppointmentUpdate(event, referral);
+
+  if (!update) {
+    return null;
+  }
+
+  await referralModel.updateReferralAppointment(referral.id, { ...update });
+
+  return {
+    referral_id: referral.id,
+    event_id: event.id,
+    appointment_status: update.appointment_status,
+    appointment_date: update.appointment_date || extension.appointment_date
+  };
+};
+
+/**
+ * Fetch and apply the changes to a user's calendar since the last sync
+ * @param {Object} user - User (users row) with a connected calendar
+ * @returns {Promise<Object>} Summary of the sync
+ */
+const runUserSync = async (user) => {
+  const provider = appointmentCalendar.getProvider();
+  const sync = await calendarSyncModel.getSyncByUserId(user.id);
+  let changes;
+
+  try {
+    changes = await provider.listChanges(user, sync && sync.sync_token);
+  } catch (error) {
+    if (!(sync && sync.sync_token && isExpiredSyncToken(error))) {
+      await calendarSyncModel.saveSync(user.id, { last_error: error.message });
+      throw error;
+    }
+
+    // The provider no longer accepts the token, so start over with a full sync
+    changes = await provider.listChanges(user, null);
+  }
+
+  const applied = [];
+
+  for (const event of changes.events) {
+    try {
+      const result = await applyEventChange(user, event);
+
+      if (result) {
+        applied.push(result);
+      }
+    } catch (error) {
+      console.error(`Error applying calendar event ${event.id} for user ${user.id}:`, error);
+    }
+  }
+
+  await calendarSyncModel.saveSync(user.id, {
+    sync_token: changes.nextSyncToken,
+    last_synced_at: new Date().toISOString(),
+    last_error: null
+  });
+
+  return {
+    userId: user.id,
+    checked: changes.events.length,
+    applied
+  };
+};
+
+/**
+ * Sync a user's calendar, waiting for any sync of theirs already running
+ * @param {Object} user - User (users row) with a connected calendar
+ * @returns {Promise<Object>} Summary of the sync
+ */
+const syncUserCalendar = (user) => {
+  const previous = userQueues.get(user.id) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => runUserSync(user));
+
+  userQueues.set(user.id, run);
+
+  return run.finally(() => {
+    if (userQueues.get(user.id) === run) {
+      userQueues.delete(user.id);
+    }
+  });
+};
+
+/**
+ * Make sure a user's calendar has a push notification channel that is not about to expire
+ * @param {Object} user - User (users row) with a connected calendar
+ * @returns {Promise<Object|null>} Sync state, or null when push notifications are off
+ */
+const watchUserCalendar = async (user) => {
+  if (!config.webhookUrl) {
+    return null;
+  }
+
+  const provider = appointmentCalendar.getProvider();
+  const sync = await calendarSyncModel.getSyncByUserId(user.id);
+
+  if (sync && sync.channel_id && sync.channel_expires_at &&
+    new Date(sync.channel_expires_at).getTime() - Date.now() > config.channelRenewMs) {
+    return sync;
+  }
+
+  const channel = {
+    id: uuidv4(),
+    token: crypto.randomBytes(24).toString('hex'),
+    address: config.webhookUrl
+  };
+
+  const watched = await provider.watch(user, channel);
+
+  // Stop the old channel only once the new one is running
+  if (sync && sync.channel_id) {
+    try {
+      await provider.stopWatching(user, { id: sync.channel_id, resourceId: sync.channel_resource_id });
+    } catch (error) {
+      console.error(`Could not stop calendar channel ${sync.channel_id}:`, error.message);
+    }
+  }
+
+  return await calendarSyncModel.saveSync(user.id, {
+    channel_id: channel.id,
+    channel_token: channel.token,
+    channel_resource_id: watched.resourceId,
+    channel_expires_at: watched.expiration
+  });
+};
+
+/**
+ * Stop syncing a user's calendar, e.g. before their account is disconnected
+ * @param {Object} user - User (users row)
+ * @returns {Promise<void>}
+ */
+const stopSyncingUserCalendar = async (user) => {
+  const sync = await calendarSyncModel.getSyncByUserId(user.id);
+
+  if (!sync) {
+    return;
+  }
+
+  if (sync.channel_id) {
+    try {
+      await appointmentCalendar.getProvider().stopWatching(user, {
+        id: sync.channel_id,
+        resourceId: sync.channel_resource_id
+      });
+    } catch (error) {
+      console.error(`Could not stop calendar channel ${sync.channel_id}:`, error.message);
+    }
+  }
+
+  await calendarSyncModel.deleteSync(user.id);
+};
+
+/**
+ * Handle a push notification from Google
+ * @param {Object} notification - Notification headers
+ * @param {string} notification.channelId - X-Goog-Channel-ID
+ * @param {string} notification.channelToken - X-Goog-Channel-Token
+ * @param {string} notification.resourceState - X-Goog-Resource-State ('sync' when a channel starts)
+ * @returns {Promise<Object|null>} Sync summary, or null if the channel is not one of ours
+ */
+const handleNotification = async ({ channelId, channelToken, resourceState }) => {
+  const sync = channelId ? await calendarSyncModel.getSyncByChannelId(channelId) : null;
+
+  if (!sync || !sync.channel_token || !channelToken) {
+    return null;
+  }
+
+  const expected = Buffer.from(sync.channel_token);
+  const received = Buffer.from(channelToken);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  // The first notification on a new channel only confirms it is running
+  if (resourceState === 'sync') {
+    return { userId: sync.user_id, checked: 0, applied: [] };
+  }
+
+  const user = await userModel.getUserById(sync.user_id);
+
+  return await syncUserCalendar(user);
+};
+
+/**
+ * Sync every connected calendar and keep their push channels running
+ * @returns {Promise<Object>} Summary of the run
+ */
+const syncAllCalendars = async () => {
+  if (isRunning) {
+    return { skipped: true, synced: 0, applied: 0 };
+  }
+
+  isRunning = true;
+
+  try {
+    const connections = await oauthConnectionModel.getConnections('google', { status: 'connected' });
+    let synced = 0;
+    let applied = 0;
+
+    for (const connection of connections) {
+      try {
+        const user = await userModel.getUserById(connection.user_id);
+
+        try {
+          await watchUserCalendar(user);
+        } catch (error) {
+          console.error(`Could not watch calendar for user ${user.id}:`, error.message);
+        }
+
+        const summary = await syncUserCalendar(user);
+        synced += 1;
+        applied += summary.applied.length;
+      } catch (error) {
+        console.error(`Calendar sync failed for user ${connection.user_id}:`, error.message);
+      }
+    }
+
+    return { skipped: false, synced, applied };
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Schedule the recurring calendar sync
+ *
+ * Also runs once immediately so changes made while the server was down are picked up.
+ */
+const scheduleCalendarSync = () => {
+  console.log(`Scheduling calendar sync: ${config.schedule}`);
+
+  const run = async () => {
+    try {
+      const summary = await syncAllCalendars();
+
+      if (summary.applied > 0) {
+        console.log(`Applied ${summary.applied} calendar change(s) to referral appointments`);
+      }
+    } catch (error) {
+      console.error('Scheduled calendar sync failed:', error);
+    }
+  };
+
+  scheduledTask = cron.schedule(config.schedule, run);
+  run();
+
+  return scheduledTask;
+};
+
+/**
+ * Stop the recurring calendar sync
+ */
+const stopCalendarSync = () => {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+};
+
+module.exports = {
+  config,
+  applyEventChange,
+  syncUserCalendar,
+  watchUserCalendar,
+  stopSyncingUserCalendar,
+  handleNotification,
+  syncAllCalendars,
+  scheduleCalendarSync,
+  stopCalendarSync
+};
@@ -0,0 +1,371 @@
+/**
+ * Churn Risk Scoring for ORCA Lead Management
+ *
+ * Scores each active or frozen member's risk of leaving, nightly by default.
+ * It provides functionality to:
+ * - Score a member from 0 to 100 on how recently they checked in, whether
+ *   their visits are tailing off, their attendance streak, payment status,
+ *   satisfaction score and the sentiment of recent interactions
+ * - Record the factors behind the score and write the score and its risk
+ *   level ('low', 'medium' or 'high') to member_extensions
+ * - Give the member's salesperson a retention action when the member crosses
+ *   into high risk
+ *
+ * Visits come from member_check_ins, which keeps every check-in; frequency
+ * decay compares the last 30 days with the 60 days before them.
+ */
+
+const cron = require('node-cron');
+const dotenv = require('dotenv');
+const { v4: uuidv4 } = require('uuid');
+const memberModel = require('../models/memberModel');
+const interactionModel = require('../models/interactionModel');
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Configuration for churn risk scoring
+const config = {
+  // Default: every night at 3am
+  schedule: process.env.CHURN_RISK_SCHEDULE || '0 3 * * *',
+  // Lowest score for each risk level
+  thresholds: { medium: 35, high: 60 },
+  // How far back interaction sentiment counts
+  sentimentDays: 60,
+  // Days the salesperson has to act on a retention action
+  retentionActionDueDays: 2,
+  // Members scored per batch
+  batchSize: 500
+};
+
+// Points added for a member's payment status
+const PAYMENT_STATUS_POINTS = {
+  pending: 5,
+  past_due: 20,
+  failed: 25,
+  canceled: 30
+};
+
+// Guards against overlapping runs within this process
+let isRunning = false;
+let scheduledTask = null;
+
+/**
+ * Turn a score into a risk level
+ * @param {number} score - Churn score, 0-100
+ * @returns {string} 'low', 'medium' or 'high'
+ */
+const getRiskLevel = (score) => {
+  if (score >= config.thresholds.high) {
+    return 'high';
+  }
+
+  return score >= config.thresholds.medium ? 'medium' : 'low';
+};
+
+/**
+ * Points for how long it has been since the member last checked in
+ * @param {Object} member - Member extension
+ * @param {Date} now - Current time
+ * @returns {Object|null} Factor, or null if it doesn't affect the score
+ */
+const scoreRecency = (member, now) => {
+  if (!member.last_check_in) {
+    return { factor: 'recency', points: 30, detail: 'Has never checked in' };
+  }
+
+  const days = Math.floor((now - new Date(member.last_check_in)) / DAY_MS);
+  const points = days > 30 ? 30 : days > 14 ? 20 : days > 7 ? 10 : 0;
+
+  return points > 0
+    ? { factor: 'recency', points, detail: `Last checked in ${days} days ago` }
+    : null;
+};
+
+/**
+ * Points for visits tailing off: check-ins in the last 30 days against the
+ * monthly rate over the 60 days before them
+ * @param {Array} checkIns - The member's check-ins from the last 90 days
+ * @param {Date} now - Current time
+ * @returns {Object|null} Factor, or null if it doesn't affect the score
+ */
+const scoreFrequencyDecay = (checkIns, now) => {
+  const recentSince = now.getTime() - 30 * DAY_MS;
+  const baselineSince = now.getTime() - 90 * DAY_MS;
+  const times = checkIns.map(checkIn => new Date(checkIn.checked_in_at).getTime());
+
+  const recent = times.filter(time => time >= recentSince && time <= now.getTime()).length;
+  const baseline = times.filter(time => time >= baselineSince && time < recentSince).length / 2;
+
+  // Too little history to call it a trend
+  if (baseline < 1) {
+    return null;
+  }
+
+  const drop = (baseline - recent) / baseline;
+  const points = drop >= 0.75 ? 25 : drop >= 0.5 ? 15 : drop >= 0.25 ? 8 : 0;
+
+  return points > 0
+    ? {
+      factor: 'frequency_decay',
+      points,
+      detail: `${recent} check-ins in the last 30 days, down from about ${Math.round(baseline)} a month`
+    }
+    : null;
+};
+
+/**
+ * Points for the member's attendance streak
+ * @param {Object} member - Member extension
+ * @returns {Object|null} Factor, or null if it doesn't affect the score
+ */
+const scoreStreak = (member) => {
+  const streak = member.attendance_streak || 0;
+
+  if (streak <= 1) {
+    return { factor: 'attendance_streak', points: 5, detail: 'No current attendance streak' };
+  }
+
+  return streak >= 5
+    ? { factor: 'attendance_streak', points: -5, detail: `${streak}-visit attendance streak` }
+    : null;
+};
+
+/**
+ * Points for the member's payment status
+ * @param {Object} member - Member extension
+ * @returns {Object|null} Factor, or null if it doesn't affect the score
+ */
+const scorePaymentStatus = (member) => {
+  const points = PAYMENT_STATUS_POINTS[member.payment_status];
+
+  return points
+    ? { factor: 'payment_status', points, detail: `Payment status is ${member.payment_status.replace('_', ' ')}` }
+    : null;
+};
+
+/**
+ * Points for the member's satisfaction score (1-10)
+ * @param {Object} member - Member extension
+ * @returns {Object|null} Factor, or null if it doesn't affect the score
+ */
+const scoreSatisfaction = (member) => {
+  const score = member.satisfaction_score;
+
+  if (score === null || score === undefined) {
+    return null;
+  }
+
+  const points = score <= 4 ? 20 : score <= 6 ? 10 : score >= 9 ? -5 : 0;
+
+  return points !== 0
+    ? { factor: 'satisfaction', points, detail: `Satisfaction score of ${score}/10` }
+    : null;
+};
+
+/**
+ * Points for the sentiment of recent interactions with the member
+ * @param {Array} sentiments - Recent interactions with a sentiment
+ * @returns {Object|null} Factor, or null if it doesn't affect the score
+ */
+const scoreSentiment = (sentiments) => {
+  const count = value => sentiments.filter(s => (s.sentiment || '').toLowerCase() === value).length;
+  const negative = count('negative');
+  const positive = count('positive');
+
+  if (negative > 0) {
+    return {
+      factor: 'sentiment',
+      points: negative >= positive ? 15 : 8,
+      detail: `${negative} negative and ${positive} positive interaction(s) in the last ${config.sentimentDays} days`
+    };
+  }
+
+  return positive > 0 && positive === sentiments.length
+    ? { factor: 'sentiment', points: -5, detail: `${positive} positive interaction(s) in the last ${config.sentimentDays} days` }
+    : null;
+};
+
+/**
+ * Score a member's risk of leaving
+ * @param {Object} member - Member extension
+ * @param {Object} signals - The member's recent history
+ * @param {Array} signals.checkIns - Check-ins from the last 90 days
+ * @param {Array} signals.sentiments - Interactions with a sentiment from the sentiment window
+ * @param {Date} signals.now - Current time
+ * @returns {Object} score (0-100), risk level and the factors behind the score
+ */
+const scoreMember = (member, { checkIns = [], sentiments = [], now = new Date() } = {}) => {
+  const factors = [
+    scoreRecency(member, now),
+    scoreFrequencyDecay(checkIns, now),
+    scoreStreak(member),
+    scorePaymentStatus(member),
+    scoreSatisfaction(member),
+    scoreSentiment(sentiments)
+  ].filter(Boolean);
+
+  const total = factors.reduce((sum, factor) => sum + factor.points, 0);
+  const score = Math.min(100, Math.max(0, total));
+
+  return { score, risk: getRiskLevel(score), factors };
+};
+
+/**
+ * Build the retention action for a member who has become high risk
+ * @param {Object} member - Member extension with persons (assigned_to, first_name, last_name)
+ * @param {Object} result - The member's score from scoreMember
+ * @param {Date} now - Current time
+ * @returns {Object} Retention action
+ */
+const buildRetentionAction = (member, result, now) => {
+  const person = member.persons || {};
+  const name = `${person.first_name || ''} ${person.last_name || ''}`.trim() || 'member';
+
+  return {
+    id: uuidv4(),
+    type: 'churn_outreach',
+    status: 'open',
+    assigned_to: person.assigned_to || null,
+    title: `Reach out to ${name}: high churn risk`,
+    due_date: new Date(now.getTime() + config.retentionActionDueDays * DAY_MS).toISOString(),
+    churn_score: result.score,
+    factors: result.factors,
+    created_at: now.toISOString()
+  };
+};
+
+/**
+ * Score one member and write the result back
+ * A member crossing into high risk gets a retention action for their
+ * salesperson, unless an outreach is already open.
+ * @param {Object} member - Member extension from getMembersForChurnScoring
+ * @param {Object} signals - See scoreMember
+ * @returns {Promise<Object>} Member ID, score, risk and whether an action was created
+ */
+const scoreAndSaveMember = async (member, signals) => {
+  const now = signals.now || new Date();
+  const result = scoreMember(member, { ...signals, now });
+  const update = {
+    churn_score: result.score,
+    churn_risk: result.risk,
+    churn_risk_factors: result.factors,
+    churn_scored_at: now.toISOString()
+  };
+
+  const actions = member.retention_actions || [];
+  const crossedIntoHigh = result.risk === 'high' && member.churn_risk !== 'high';
+  const hasOpenOutreach = actions.some(action => action.type === 'churn_outreach' && action.status === 'open');
+  let retentionAction = null;
+
+  if (crossedIntoHigh && !hasOpenOutreach) {
+    retentionAction = buildRetentionAction(member, result, now);
+    update.retention_actions = [...actions, retentionAction];
+  }
+
+  await memberModel.updateMemberExtension(member.id, update);
+
+  return {
+    id: member.id,
+    person_id: member.person_id,
+    score: result.score,
+    risk: result.risk,
+    previous_risk: member.churn_risk || null,
+    retention_action_id: retentionAction ? retentionAction.id : null
+  };
+};
+
+/**
+ * Score every active and frozen member
+ * @param {Date} now - Current time (injectable for testing)
+ * @returns {Promise<Object>} Summary of the run
+ */
+const processChurnScoring = async (now = new Date()) => {
+  if (isRunning) {
+    return { skipped: true, processed: 0 };
+  }
+
+  isRunning = true;
+
+  try {
+    const results = [];
+    const checkInsSince = new Date(now.getTime() - 90 * DAY_MS);
+    const sentimentsSince = new Date(now.getTime() - config.sentimentDays * DAY_MS);
+
+    for (let page = 0; ; page++) {
+      const members = await memberModel.getMembersForChurnScoring(page, config.batchSize);
+      const personIds = members.map(member => member.person_id);
+
+      const checkIns = await memberModel.getCheckInsSince(personIds, checkInsSince);
+      const sentiments = await interactionModel.getSentimentsSince(personIds, sentimentsSince);
+
+      for (const member of members) {
+        try {
+          results.push(await scoreAndSaveMember(member, {
+            checkIns: checkIns.filter(checkIn => checkIn.person_id === member.person_id),
+            sentiments: sentiments.filter(interaction => interaction.person_id === member.person_id),
+            now
+          }));
+        } catch (error) {
+          console.error(`Error scoring churn risk for member ${member.id}:`, error);
+        }
+      }
+
+      if (members.length < config.batchSize) {
+        break;
+      }
+    }
+
+    return {
+      skipped: false,
+      processed: results.length,
+      results
+    };
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Schedule the recurring churn scoring job
+ */
+const scheduleChurnScoring = () => {
+  console.log(`Scheduling churn risk scoring: ${config.schedule}`);
+
+  scheduledTask = cron.schedule(config.schedule, async () => {
+    try {
+      const summary = await processChurnScoring();
+      const actions = (summary.results || []).filter(result => result.retention_action_id).length;
+
+      if (summary.processed > 0) {
+        console.log(`Scored churn risk for ${summary.processed} member(s); ${actions} became high risk`);
+      }
+    } catch (error) {
+      console.error('Scheduled churn risk scoring failed:', error);
+    }
+  });
+
+  return scheduledTask;
+};
+
+/**
+ * Stop the recurring churn scoring job
+ */
+const stopChurnScoring = () => {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+};
+
+module.exports = {
+  config,
+  PAYMENT_STATUS_POINTS,
+  getRiskLevel,
+  scoreMember,
+  scoreAndSaveMember,
+  processChurnScoring,
+  scheduleChurnScoring,
+  stopChurnScoring
+};
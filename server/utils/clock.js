@@ -0,0 +1,65 @@
+/**
+ * Clock Utility
+ *
+ * The current time for work that is scheduled ahead, such as nurture sequence
+ * steps. Tests can stop the clock at a set time and move it forward, so
+ * "send this in two days" runs deterministically without waiting.
+ */
+
+// Set while the clock is mocked
+let mockedTime = null;
+
+/**
+ * Get the current time
+ * @returns {Date} The mocked time if the clock is mocked, otherwise the real time
+ */
+const now = () => (mockedTime === null ? new Date() : new Date(mockedTime));
+
+/**
+ * Stop the clock at a time
+ * @param {Date|string|number} time - Time the clock reads until it is moved or reset
+ */
+const setTime = (time) => {
+  const date = new Date(time);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid time: ${time}`);
+  }
+
+  mockedTime = date.getTime();
+};
+
+/**
+ * Move the mocked clock forward
+ * @param {number} ms - Milliseconds to move it by
+ * @returns {Date} The new time
+ */
+const advance = (ms) => {
+  if (mockedTime === null) {
+    throw new Error('The clock is not mocked; call setTime first');
+  }
+
+  mockedTime += ms;
+  return now();
+};
+
+/**
+ * Go back to the real time
+ */
+const reset = () => {
+  mockedTime = null;
+};
+
+/**
+ * Check whether the clock is mocked
+ * @returns {boolean} True between setTime and reset
+ */
+const isMocked = () => mockedTime !== null;
+
+module.exports = {
+  now,
+  setTime,
+  advance,
+  reset,
+  isMocked
+};
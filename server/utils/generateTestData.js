@@ -29,6 +29,24 @@ const insertTestData = async (options = {}) => {
       - ${testData.messages.length} messages
     `);
 
+    // Insert the organization and its location
+    console.log('Inserting organization...');
+    const { error: organizationError } = await supabase
+      .from('organizations')
+      .insert(testData.organization);
+
+    if (organizationError) {
+      throw new Error(`Error inserting organization: ${organizationError.message}`);
+    }
+
+    const { error: locationError } = await supabase
+      .from('locations')
+      .insert(testData.location);
+
+    if (locationError) {
+      throw new Error(`Error inserting location: ${locationError.message}`);
+    }
+
     // Insert users
     console.log('Inserting users...');
     const { error: usersError } = await supabase
@@ -0,0 +1,256 @@
+/**
+ * Google Account Utility
+ *
+ * Connects users' Google accounts and keeps their tokens usable:
+ * - The OAuth `state` is a short-lived signed token naming the user, checked
+ *   by the callback before anything is stored
+ * - Tokens are encrypted at rest (utils/tokenEncryption.js) in oauth_connections
+ * - Access tokens are refreshed automatically shortly before they expire. A
+ *   refresh token Google no longer accepts marks the connection 'needs_reauth'
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+const google = require('../config/google');
+const oauthConnectionModel = require('../models/oauthConnectionModel');
+const { encrypt, decrypt } = require('./tokenEncryption');
+const { CustomError } = require('./errorHandler');
+
+dotenv.config();
+
+const PROVIDER = 'google';
+const STATE_PURPOSE = 'google_connect';
+
+// Configuration for Google account connections
+const config = {
+  // How long a user has to finish the Google consent screen
+  stateTtlSeconds: parseInt(process.env.GOOGLE_OAUTH_STATE_TTL_SECONDS || '600', 10),
+  // Refresh access tokens this long before they expire
+  refreshMarginMs: 5 * 60 * 1000,
+  // Where the callback sends the user afterwards
+  clientRedirectUrl: `${process.env.CLIENT_URL || 'https://orca-lead-management.vercel.app'}/profile`
+};
+
+const getStateSecret = () => process.env.JWT_SECRET || 'your-secret-jwt-key';
+
+/**
+ * Create the OAuth state parameter for a user
+ * @param {UUID} userId - User connecting their account
+ * @returns {string} Signed state
+ */
+const createState = (userId) => jwt.sign(
+  { sub: userId, purpose: STATE_PURPOSE, nonce: crypto.randomBytes(8).toString('hex') },
+  getStateSecret(),
+  { expiresIn: config.stateTtlSeconds }
+);
+
+/**
+ * Check an OAuth state parameter returned to the callback
+ * @param {string} state - State from the callback query
+ * @returns {UUID} ID of the user who started the connection
+ */
+const verifyState = (state) => {
+  try {
+    const payload = jwt.verify(state, getStateSecret());
+
+    if (payload.purpose !== STATE_PURPOSE || !payload.sub) {
+      throw new Error('Wrong state purpose');
+    }
+
+    return payload.sub;
+  } catch (error) {
+    throw new CustomError('Invalid or expired OAuth state', 400);
+  }
+};
+
+/**
+ * Get the Google consent URL for a user
+ * @param {UUID} userId - User connecting their account
+ * @returns {string} Authorization URL
+ */
+const getAuthUrl = (userId) => google.getGoogleAuthUrl(createState(userId));
+
+/**
+ * Whether a Google error means the refresh token is no longer usable
+ * @param {Error} error - Error from the token endpoint
+ * @returns {boolean} True if the user has to connect again
+ */
+const isRevokedError = (error) => {
+  const code = (error.response && error.response.data && error.response.data.error) || error.message;
+  return code === 'invalid_grant' || code === 'unauthorized_client';
+};
+
+/**
+ * Finish connecting a Google account with the code from the callback
+ * @param {UUID} userId - User from the verified state
+ * @param {string} code - Authorization code
+ * @returns {Promise<Object>} Saved connection
+ */
+const connect = async (userId, code) => {
+  const tokens = await google.getGoogleTokens(code);
+  const existing = await oauthConnectionModel.getConnection(userId, PROVIDER);
+
+  // Google may leave out the refresh token when access was granted before
+  const refreshToken = tokens.refresh_token ||
+    (existing ? decrypt(existing.refresh_token_encrypted) : null);
+
+  if (!refreshToken) {
+    throw new CustomError('Google did not return a refresh token. Remove ORCA from your Google account permissions and connect again.', 400);
+  }
+
+  // The ID token comes from Google's token endpoint, so it is only decoded here
+  const identity = tokens.id_token ? jwt.decode(tokens.id_token) : null;
+  const now = new Date().toISOString();
+
+  return await oauthConnectionModel.saveConnection({
+    user_id: userId,
+    provider: PROVIDER,
+    account_email: (identity && identity.email) || (existing ? existing.account_email : null),
+    scopes: tokens.scope ? tokens.scope.split(' ') : [],
+    access_token_encrypted: encrypt(tokens.access_token),
+    refresh_token_encrypted: encrypt(refreshToken),
+    token_expires_at: tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : null,
+    status: 'connected',
+    last_refreshed_at: now,
+    last_error: null,
+    connected_at: now
+  });
+};
+
+/**
+ * Get usable tokens for a user, refreshing the access token if it is about to expire
+ * @param {UUID} userId - User ID
+ * @returns {Promise<Object>} Tokens for config/google.js (access_token, refresh_token, expiry_date)
+ */
+const getTokens = async (userId) => {
+  const connection = await oauthConnectionModel.getConnection(userId, PROVIDER);
+
+  if (!connection) {
+    throw new CustomError('Google account is not connected', 409);
+  }
+
+  if (connection.status === 'needs_reauth') {
+    throw new CustomError('Google account needs to be reconnected', 409);
+  }
+
+  const refreshToken = decrypt(connection.refresh_token_encrypted);
+  const expiresAt = connection.token_expires_at ? new Date(connection.token_expires_at).getTime() : 0;
+
+  if (connection.access_token_encrypted && expiresAt - config.refreshMarginMs > Date.now()) {
+    return {
+      access_token: decrypt(connection.access_token_encrypted),
+      refresh_token: refreshToken,
+      expiry_date: expiresAt
+    };
+  }
+
+  let credentials;
+
+  try {
+    credentials = await google.refreshGoogleTokens(refreshToken);
+  } catch (error) {
+    const revoked = isRevokedError(error);
+
+    await oauthConnectionModel.updateConnection(connection.id, {
+      status: revoked ? 'needs_reauth' : connection.status,
+      last_error: error.message
+    });
+
+    if (revoked) {
+      throw new CustomError('Google account needs to be reconnected', 409);
+    }
+
+    throw error;
+  }
+
+  // Google can rotate the refresh token, so keep whichever is newest
+  const newRefreshToken = credentials.refresh_token || refreshToken;
+
+  await oauthConnectionModel.updateConnection(connection.id, {
+    access_token_encrypted: encrypt(credentials.access_token),
+    refresh_token_encrypted: encrypt(newRefreshToken),
+    token_expires_at: credentials.expiry_date ? new Date(credentials.expiry_date).toISOString() : null,
+    last_refreshed_at: new Date().toISOString(),
+    last_error: null
+  });
+
+  return {
+    access_token: credentials.access_token,
+    refresh_token: newRefreshToken,
+    expiry_date: credentials.expiry_date
+  };
+};
+
+/**
+ * Get a user's connection health, without any tokens
+ * @param {UUID} userId - User ID
+ * @param {Object} options - Options
+ * @param {boolean} options.check - Also confirm the tokens still work by refreshing if needed
+ * @returns {Promise<Object>} Connection status
+ */
+const getStatus = async (userId, { check = false } = {}) => {
+  let connection = await oauthConnectionModel.getConnection(userId, PROVIDER);
+
+  if (!connection) {
+    return { provider: PROVIDER, connected: false };
+  }
+
+  if (check && connection.status === 'connected') {
+    try {
+      await getTokens(userId);
+    } catch (error) {
+      console.error(`Google connection check failed for user ${userId}:`, error.message);
+    }
+
+    connection = await oauthConnectionModel.getConnection(userId, PROVIDER);
+  }
+
+  return {
+    provider: PROVIDER,
+    connected: true,
+    healthy: connection.status === 'connected' && !connection.last_error,
+    status: connection.status,
+    account_email: connection.account_email,
+    scopes: connection.scopes || [],
+    token_expires_at: connection.token_expires_at,
+    last_refreshed_at: connection.last_refreshed_at,
+    last_error: connection.last_error,
+    connected_at: connection.connected_at
+  };
+};
+
+/**
+ * Disconnect a user's Google account
+ * Access is revoked at Google when possible; the stored tokens are always removed.
+ * @param {UUID} userId - User ID
+ * @returns {Promise<boolean>} True if there was a connection to remove
+ */
+const disconnect = async (userId) => {
+  const connection = await oauthConnectionModel.getConnection(userId, PROVIDER);
+
+  if (!connection) {
+    return false;
+  }
+
+  try {
+    await google.revokeGoogleToken(decrypt(connection.refresh_token_encrypted));
+  } catch (error) {
+    console.error(`Could not revoke Google access for user ${userId}:`, error.message);
+  }
+
+  await oauthConnectionModel.deleteConnection(userId, PROVIDER);
+
+  return true;
+};
+
+module.exports = {
+  config,
+  createState,
+  verifyState,
+  getAuthUrl,
+  connect,
+  getTokens,
+  getStatus,
+  disconnect
+};
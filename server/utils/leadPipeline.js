@@ -0,0 +1,287 @@
+/**
+ * Lead Pipeline for ORCA Lead Management
+ *
+ * Defines the stages a lead moves through and the rules for moving between
+ * them. It provides functionality to:
+ * - Check a status change against the allowed transitions and the fields each
+ *   stage requires (e.g. a visit date before "Visited")
+ * - Append the change to the lead's status history
+ * - Recompute how many days the lead has spent in each stage
+ *
+ * Statuses are stored as stage keys (e.g. 'appointment_scheduled'). The
+ * default pipeline can be replaced with a JSON file of the same shape, named by
+ * LEAD_PIPELINE_CONFIG.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default pipeline, in board order
+const DEFAULT_STAGES = [
+  {
+    key: 'new',
+    label: 'New',
+    transitions: ['contacted', 'appointment_scheduled', 'lost']
+  },
+  {
+    key: 'contacted',
+    label: 'Contacted',
+    transitions: ['appointment_scheduled', 'lost']
+  },
+  {
+    key: 'appointment_scheduled',
+    label: 'Appointment Scheduled',
+    transitions: ['visited', 'contacted', 'lost']
+  },
+  {
+    key: 'visited',
+    label: 'Visited',
+    aliases: ['appointment_completed'],
+    requiredFields: [{ field: 'visit_date', label: 'Visit date' }],
+    transitions: ['proposal_made', 'lost']
+  },
+  {
+    key: 'proposal_made',
+    label: 'Proposal Made',
+    requiredFields: [{ field: 'estimated_value', label: 'Estimated value' }],
+    transitions: ['negotiation', 'won', 'lost']
+  },
+  {
+    key: 'negotiation',
+    label: 'Negotiation',
+    transitions: ['proposal_made', 'won', 'lost']
+  },
+  {
+    key: 'won',
+    label: 'Won',
+    requiredFields: [{ field: 'payment_info_collected', label: 'Payment info' }],
+    transitions: []
+  },
+  {
+    key: 'lost',
+    label: 'Lost',
+    // A lost lead can be picked up again
+    transitions: ['contacted']
+  }
+];
+
+/**
+ * Normalize a status or label for comparison ('Appointment Scheduled' -> 'appointment_scheduled')
+ * @param {string} value - Status, label or alias
+ * @returns {string} Normalized value
+ */
+const toKey = value => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+/**
+ * Check a pipeline definition and fill in optional properties
+ * @param {Array<Object>} stages - Stage definitions
+ * @returns {Array<Object>} Checked stages
+ */
+const defineStages = (stages) => {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    throw new Error('Lead pipeline must define at least one stage');
+  }
+
+  const keys = stages.map(stage => stage.key);
+
+  return stages.map((stage) => {
+    if (!stage.key || !stage.label) {
+      throw new Error('Each lead pipeline stage needs a key and a label');
+    }
+
+    const transitions = stage.transitions || [];
+    const unknown = transitions.filter(key => !keys.includes(key));
+
+    if (unknown.length > 0) {
+      throw new Error(`Lead pipeline stage ${stage.key} moves to unknown stage(s): ${unknown.join(', ')}`);
+    }
+
+    return {
+      key: stage.key,
+      label: stage.label,
+      aliases: stage.aliases || [],
+      requiredFields: stage.requiredFields || [],
+      transitions
+    };
+  });
+};
+
+/**
+ * Load the pipeline definition
+ * @param {string} [file] - JSON file with a `stages` array; the default pipeline when unset
+ * @returns {Array<Object>} Stage definitions
+ */
+const loadStages = (file) => {
+  if (!file) {
+    return defineStages(DEFAULT_STAGES);
+  }
+
+  const definition = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  return defineStages(definition.stages);
+};
+
+// Configuration for the lead pipeline
+const config = {
+  stages: loadStages(process.env.LEAD_PIPELINE_CONFIG)
+};
+
+/**
+ * Find the stage for a status
+ * Matches the stage key, its label or one of its aliases, so statuses saved
+ * as labels (e.g. 'Appointment Scheduled') are still recognized.
+ * @param {string} status - Lead status
+ * @returns {Object|null} Stage definition, or null for an unknown status
+ */
+const getStage = (status) => {
+  if (!status) {
+    return null;
+  }
+
+  const key = toKey(status);
+
+  return config.stages.find(stage => stage.key === key ||
+    toKey(stage.label) === key ||
+    stage.aliases.includes(key)) || null;
+};
+
+/**
+ * Get the pipeline definition for clients
+ * @returns {Array<Object>} Stages with their transitions and required fields
+ */
+const getPipeline = () => config.stages.map(({ key, label, requiredFields, transitions }) => ({
+  key,
+  label,
+  requiredFields,
+  transitions
+}));
+
+/**
+ * Check whether a stage's required field has a value
+ * @param {*} value - Field value
+ * @returns {boolean} True when the field is filled in
+ */
+const hasValue = value => value !== undefined && value !== null && value !== '' && value !== false;
+
+/**
+ * Check a status change against the pipeline
+ * @param {Object} currentExtension - The lead's current lead_extensions record
+ * @param {string} status - Requested status
+ * @param {Object} [fields] - Field values sent with the change, used for required fields
+ * @returns {Object} { status, fields, errors } with the target stage key, the
+ * required fields taken from `fields`, and the reasons the change is not allowed
+ */
+const checkTransition = (currentExtension = {}, status, fields = {}) => {
+  const target = getStage(status);
+
+  if (!target) {
+    return { status: null, fields: {}, errors: [`Unknown lead status: ${status}`] };
+  }
+
+  // A lead without a recognized status is treated as new
+  const current = getStage(currentExtension.lead_status) || config.stages[0];
+  const errors = [];
+
+  if (current.key === target.key) {
+    return { status: target.key, fields: {}, errors };
+  }
+
+  if (!current.transitions.includes(target.key)) {
+    const allowed = current.transitions.map(key => getStage(key).label);
+
+    const allowedList = allowed.length > 1
+      ? `${allowed.slice(0, -1).join(', ')} or ${allowed[allowed.length - 1]}`
+      : allowed[0];
+
+    errors.push(allowed.length > 0
+      ? `A lead in ${current.label} can only move to ${allowedList}`
+      : `A lead in ${current.label} cannot be moved`);
+  }
+
+  const stageFields = {};
+
+  target.requiredFields.forEach(({ field, label }) => {
+    if (hasValue(fields[field])) {
+      stageFields[field] = fields[field];
+    } else if (!hasValue(currentExtension[field])) {
+      errors.push(`${label} is required before ${target.label}`);
+    }
+  });
+
+  return { status: target.key, fields: stageFields, errors };
+};
+
+/**
+ * Work out the days spent in each stage from a status history
+ * Each entry lasts until the next one; the current stage is left open.
+ * @param {Array<Object>} statusHistory - Entries with status and timestamp
+ * @returns {Object} Days per stage key, rounded to two decimals
+ */
+const getStageDurations = (statusHistory = []) => {
+  const entries = statusHistory
+    .filter(entry => entry && entry.status && entry.timestamp)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const durations = {};
+
+  entries.slice(0, -1).forEach((entry, index) => {
+    const stage = getStage(entry.status);
+    const key = stage ? stage.key : toKey(entry.status);
+    const days = (new Date(entries[index + 1].timestamp) - new Date(entry.timestamp)) / DAY_MS;
+
+    durations[key] = (durations[key] || 0) + days;
+  });
+
+  Object.keys(durations).forEach((key) => {
+    durations[key] = Math.round(durations[key] * 100) / 100;
+  });
+
+  return durations;
+};
+
+/**
+ * Record a status change
+ * @param {Object} currentExtension - The lead's current lead_extensions record
+ * @param {string} status - New stage key
+ * @param {Object} [options] - Change details
+ * @param {string} [options.userId] - User making the change
+ * @param {string} [options.notes] - Notes for the history entry
+ * @param {Date} [options.now] - Time of the change
+ * @returns {Object} { status_history, stage_duration_days } to save on the lead
+ */
+const recordTransition = (currentExtension = {}, status, { userId = null, notes, now = new Date() } = {}) => {
+  const previousStatus = currentExtension.lead_status || null;
+  const previous = getStage(previousStatus);
+  const target = getStage(status);
+
+  const statusHistory = [
+    ...(currentExtension.status_history || []),
+    {
+      status,
+      previous_status: previousStatus,
+      timestamp: now.toISOString(),
+      user_id: userId,
+      notes: notes || `Status changed from ${previous ? previous.label : previousStatus || 'none'} to ${target ? target.label : status}`
+    }
+  ];
+
+  return {
+    status_history: statusHistory,
+    stage_duration_days: getStageDurations(statusHistory)
+  };
+};
+
+module.exports = {
+  config,
+  DEFAULT_STAGES,
+  loadStages,
+  getStage,
+  getPipeline,
+  checkTransition,
+  getStageDurations,
+  recordTransition
+};
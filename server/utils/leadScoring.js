@@ -0,0 +1,433 @@
+/**
+ * Lead Scoring for ORCA Lead Management
+ *
+ * Works out each open lead's readiness_score, conversion_probability and
+ * lead_temperature from rules and weights. It provides functionality to:
+ * - Rate a lead from 0 to 1 on each signal: interactions in the last 30 days,
+ *   how recently they were contacted, how often they answer messages, visit
+ *   and trial progress, objections resolved, budget fit and source
+ * - Weigh the signals with the organization's weights (lead_scoring_weights
+ *   overrides the defaults) into a conversion probability, and derive the
+ *   readiness score and temperature from it
+ * - Store every changed score in lead_score_history with its factors, and the
+ *   biggest factors on the lead
+ * - Rescore a lead when it changes, is interacted with or messaged, and every
+ *   open lead nightly
+ */
+
+const cron = require('node-cron');
+const dotenv = require('dotenv');
+const leadModel = require('../models/leadModel');
+const leadScoreModel = require('../models/leadScoreModel');
+const interactionModel = require('../models/interactionModel');
+const messageModel = require('../models/messageModel');
+const organizationModel = require('../models/organizationModel');
+const { CustomError } = require('./errorHandler');
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Signals and their default weights; the weights are relative, not percentages
+const DEFAULT_WEIGHTS = {
+  interactions: 15,
+  recency: 15,
+  response_rate: 20,
+  visit_trial: 20,
+  objections: 10,
+  budget_fit: 10,
+  source: 10
+};
+
+const SIGNALS = Object.keys(DEFAULT_WEIGHTS);
+
+// How well each lead source converts, by normalized source name
+const SOURCE_VALUES = {
+  referral: 1,
+  direct_referral: 1,
+  walk_in: 0.8,
+  phone_inquiry: 0.7,
+  website: 0.5,
+  email_campaign: 0.4,
+  social_media: 0.4
+};
+
+// Value for a source that isn't listed above
+const OTHER_SOURCE_VALUE = 0.3;
+
+// What can cause a lead to be rescored
+const TRIGGERS = ['nightly', 'lead_created', 'lead_updated', 'status_changed', 'interaction', 'message', 'manual'];
+
+// Leads in these stages are no longer scored
+const CLOSED_STATUSES = ['won', 'lost'];
+
+// Configuration for lead scoring
+const config = {
+  // Default: every night at 2:30am
+  schedule: process.env.LEAD_SCORING_SCHEDULE || '30 2 * * *',
+  // Lowest conversion probability for each temperature
+  temperatures: { warm: 40, hot: 70 },
+  // How many factors are kept on the lead
+  topFactors: 3,
+  // Leads scored per batch
+  batchSize: 200
+};
+
+// Guards against overlapping nightly runs within this process
+let isRunning = false;
+let scheduledTask = null;
+
+const toKey = value => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Check weights an organization wants to use
+ * @param {Object} weights - Weights by signal; signals left out keep their default
+ * @returns {Object} The weights, as integers
+ * @throws {CustomError} 400 if a signal is unknown, a weight is not a whole number from 0 to 100, or every weight is 0
+ */
+const validateWeights = (weights) => {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    throw new CustomError('lead_scoring_weights must be an object of weights by signal', 400);
+  }
+
+  Object.entries(weights).forEach(([signal, weight]) => {
+    if (!SIGNALS.includes(signal)) {
+      throw new CustomError(`Unknown lead scoring signal "${signal}". Signals are: ${SIGNALS.join(', ')}`, 400);
+    }
+
+    if (!Number.isInteger(weight) || weight < 0 || weight > 100) {
+      throw new CustomError(`The weight for ${signal} must be a whole number from 0 to 100`, 400);
+    }
+  });
+
+  if (Object.values({ ...DEFAULT_WEIGHTS, ...weights }).every(weight => weight === 0)) {
+    throw new CustomError('At least one lead scoring weight must be above 0', 400);
+  }
+
+  return weights;
+};
+
+/**
+ * Get the weights an organization scores leads with
+ * @param {Object|null} organization - Organization
+ * @returns {Object} Weights by signal
+ */
+const getWeights = (organization) => ({
+  ...DEFAULT_WEIGHTS,
+  ...((organization && organization.lead_scoring_weights) || {})
+});
+
+/**
+ * Rate each signal for a lead, from 0 to 1
+ * @param {Object} lead - Lead from leadModel.getLeadsForScoring
+ * @param {Object} activity - The lead's recent activity
+ * @param {Array} activity.interactions - Interactions from the last 90 days, newest first
+ * @param {Array} activity.messages - Messages exchanged in the last 90 days
+ * @param {Date} now - Current time
+ * @returns {Object} value and detail by signal
+ */
+const rateSignals = (lead, { interactions = [], messages = [] }, now) => {
+  const extension = lead.lead_extensions[0] || {};
+  const ratings = {};
+
+  // Interactions in the last 30 days, five or more counting in full
+  const recentInteractions = interactions
+    .filter(interaction => now - new Date(interaction.created_at) <= 30 * DAY_MS).length;
+  ratings.interactions = {
+    value: Math.min(recentInteractions, 5) / 5,
+    detail: `${plural(recentInteractions, 'interaction')} in the last 30 days`
+  };
+
+  // Days since the lead was last interacted with or contacted
+  const contactTimes = [interactions[0] && interactions[0].created_at, lead.last_contacted]
+    .filter(Boolean)
+    .map(date => new Date(date).getTime());
+
+  if (contactTimes.length === 0) {
+    ratings.recency = { value: 0, detail: 'Never contacted' };
+  } else {
+    const days = Math.max(0, Math.floor((now - Math.max(...contactTimes)) / DAY_MS));
+    const value = days <= 2 ? 1 : days <= 7 ? 0.7 : days <= 14 ? 0.4 : days <= 30 ? 0.2 : 0;
+    ratings.recency = { value, detail: `Last contacted ${plural(days, 'day')} ago` };
+  }
+
+  // Share of the messages sent to the lead that they answered
+  const sent = messages.filter(message => message.direction !== 'inbound');
+  const answered = sent.filter(message => message.has_response).length;
+  ratings.response_rate = sent.length === 0
+    ? { value: 0, detail: 'No messages sent yet' }
+    : { value: answered / sent.length, detail: `Answered ${answered} of ${plural(sent.length, 'message')}` };
+
+  // Furthest step towards joining
+  const trialStatus = toKey(extension.trial_status || '');
+
+  if (extension.payment_info_collected) {
+    ratings.visit_trial = { value: 1, detail: 'Payment info collected' };
+  } else if (['active', 'completed'].includes(trialStatus)) {
+    ratings.visit_trial = { value: 0.8, detail: `Trial ${trialStatus}` };
+  } else if (extension.visit_completed) {
+    ratings.visit_trial = { value: 0.6, detail: 'Visit completed' };
+  } else if (extension.visit_date && new Date(extension.visit_date) > now) {
+    ratings.visit_trial = { value: 0.3, detail: 'Visit booked' };
+  } else {
+    ratings.visit_trial = { value: 0, detail: 'No visit yet' };
+  }
+
+  // Share of objections resolved; a lead with none raised counts in full
+  const objections = extension.objections || [];
+  const resolved = objections.filter(objection => objection && objection.resolved).length;
+  ratings.objections = objections.length === 0
+    ? { value: 1, detail: 'No objections raised' }
+    : { value: resolved / objections.length, detail: `${resolved} of ${plural(objections.length, 'objection')} resolved` };
+
+  // Preferred plan's price against the top of the lead's budget_range (e.g. "$50-100/month")
+  const budgetAmounts = (lead.budget_range || '').replace(/,/g, '').match(/\d+(\.\d+)?/g);
+  const price = lead.preferred_plan ? Number(lead.preferred_plan.monthly_price) : null;
+
+  if (!budgetAmounts || price === null) {
+    ratings.budget_fit = { value: 0.5, detail: 'Budget or preferred plan unknown' };
+  } else {
+    const budget = Number(budgetAmounts[budgetAmounts.length - 1]);
+    const value = price <= budget ? 1 : price <= budget * 1.2 ? 0.5 : 0;
+    const fit = value === 1 ? 'within' : value === 0.5 ? 'slightly over' : 'over';
+    ratings.budget_fit = { value, detail: `$${price}/month plan is ${fit} a budget of ${lead.budget_range}` };
+  }
+
+  // How well the lead's source converts
+  const source = lead.acquisition_source || (lead.referral_source ? 'Referral' : null);
+  const sourceValue = source ? SOURCE_VALUES[toKey(source)] : undefined;
+  ratings.source = {
+    value: sourceValue !== undefined ? sourceValue : OTHER_SOURCE_VALUE,
+    detail: source ? `Source: ${source}` : 'Source unknown'
+  };
+
+  return ratings;
+};
+
+/**
+ * Score a lead
+ * @param {Object} lead - Lead from leadModel.getLeadsForScoring
+ * @param {Object} options - Options
+ * @param {Array} options.interactions - Interactions from the last 90 days, newest first
+ * @param {Array} options.messages - Messages exchanged in the last 90 days
+ * @param {Object} options.weights - Weights by signal (see getWeights)
+ * @param {Date} options.now - Current time
+ * @returns {Object} readiness_score, conversion_probability, lead_temperature,
+ *   every signal's factor, and the top factors
+ */
+const scoreLead = (lead, { interactions = [], messages = [], weights = DEFAULT_WEIGHTS, now = new Date() } = {}) => {
+  const ratings = rateSignals(lead, { interactions, messages }, now);
+  const totalWeight = SIGNALS.reduce((sum, signal) => sum + weights[signal], 0);
+
+  const factors = SIGNALS.map(signal => ({
+    factor: signal,
+    value: Math.round(ratings[signal].value * 100) / 100,
+    weight: weights[signal],
+    points: Math.round((ratings[signal].value * weights[signal] / totalWeight) * 1000) / 10,
+    detail: ratings[signal].detail
+  }));
+
+  const probability = Math.round(factors.reduce((sum, factor) => sum + factor.points, 0));
+  const conversionProbability = Math.min(100, Math.max(0, probability));
+
+  let temperature = 'cold';
+
+  if (conversionProbability >= config.temperatures.hot) {
+    temperature = 'hot';
+  } else if (conversionProbability >= config.temperatures.warm) {
+    temperature = 'warm';
+  }
+
+  return {
+    readiness_score: Math.min(10, Math.max(1, Math.round(conversionProbability / 10))),
+    conversion_probability: conversionProbability,
+    lead_temperature: temperature,
+    factors,
+    top_factors: factors
+      .filter(factor => factor.points > 0)
+      .sort((a, b) => b.points - a.points)
+      .slice(0, config.topFactors)
+  };
+};
+
+/**
+ * Score leads and write the results back
+ * Leads that are won or lost are skipped. A score is added to the history
+ * when it differs from the lead's last one, or the lead had none.
+ * @param {Array} leads - Leads from leadModel.getLeadsForScoring
+ * @param {string} trigger - What caused the scoring (see TRIGGERS)
+ * @param {Object} options - Options
+ * @param {Date} options.now - Current time
+ * @param {Map} options.organizations - Organizations already loaded, by ID
+ * @returns {Promise<Array>} Each scored lead's ID, score and whether it changed
+ */
+const scoreAndSaveLeads = async (leads, trigger, { now = new Date(), organizations = new Map() } = {}) => {
+  const openLeads = leads.filter(lead => !CLOSED_STATUSES.includes((lead.lead_extensions[0] || {}).lead_status));
+  const personIds = openLeads.map(lead => lead.id);
+  const since = new Date(now.getTime() - 90 * DAY_MS);
+
+  const interactions = await interactionModel.getInteractionTimesSince(personIds, since);
+  const messages = await messageModel.getMessagesForResponseRate(personIds, since);
+  const results = [];
+
+  for (const lead of openLeads) {
+    try {
+      if (!organizations.has(lead.organization_id)) {
+        organizations.set(lead.organization_id, await organizationModel.getOrganizationById(lead.organization_id));
+      }
+
+      const extension = lead.lead_extensions[0];
+      const score = scoreLead(lead, {
+        interactions: interactions.filter(interaction => interaction.person_id === lead.id),
+        messages: messages.filter(message => message.recipient_id === lead.id),
+        weights: getWeights(organizations.get(lead.organization_id)),
+        now
+      });
+
+      const changed = !extension.scored_at ||
+        extension.readiness_score !== score.readiness_score ||
+        extension.conversion_probability !== score.conversion_probability ||
+        extension.lead_temperature !== score.lead_temperature;
+
+      await leadModel.updateLeadExtension(extension.id, {
+        readiness_score: score.readiness_score,
+        conversion_probability: score.conversion_probability,
+        lead_temperature: score.lead_temperature,
+        score_factors: score.top_factors,
+        scored_at: now.toISOString()
+      });
+
+      if (changed) {
+        await leadScoreModel.recordScore({
+          organization_id: lead.organization_id,
+          person_id: lead.id,
+          readiness_score: score.readiness_score,
+          conversion_probability: score.conversion_probability,
+          lead_temperature: score.lead_temperature,
+          factors: score.factors,
+          trigger
+        });
+      }
+
+      results.push({
+        person_id: lead.id,
+        readiness_score: score.readiness_score,
+        conversion_probability: score.conversion_probability,
+        lead_temperature: score.lead_temperature,
+        top_factors: score.top_factors,
+        changed
+      });
+    } catch (error) {
+      console.error(`Error scoring lead ${lead.id}:`, error);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Rescore one lead after something about it changed
+ * Never throws: a failed rescore is logged and the lead keeps its last score
+ * until the nightly run.
+ * @param {UUID} personId - Lead ID (person_id)
+ * @param {string} trigger - What changed (see TRIGGERS)
+ * @returns {Promise<Object|null>} The lead's new score, or null if it isn't an open lead or scoring failed
+ */
+const rescoreLead = async (personId, trigger) => {
+  try {
+    const leads = await leadModel.getLeadsForScoring({ personIds: [personId] });
+    const [result] = await scoreAndSaveLeads(leads, trigger);
+
+    return result || null;
+  } catch (error) {
+    console.error(`Error rescoring lead ${personId} after ${trigger}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Score every open lead
+ * @param {Date} now - Current time (injectable for testing)
+ * @returns {Promise<Object>} Summary of the run
+ */
+const processLeadScoring = async (now = new Date()) => {
+  if (isRunning) {
+    return { skipped: true, processed: 0 };
+  }
+
+  isRunning = true;
+
+  try {
+    const organizations = new Map();
+    let processed = 0;
+    let changed = 0;
+
+    for (let page = 0; ; page++) {
+      const leads = await leadModel.getLeadsForScoring({ page, pageSize: config.batchSize });
+      const results = await scoreAndSaveLeads(leads, 'nightly', { now, organizations });
+
+      processed += results.length;
+      changed += results.filter(result => result.changed).length;
+
+      if (leads.length < config.batchSize) {
+        break;
+      }
+    }
+
+    return {
+      skipped: false,
+      processed,
+      changed
+    };
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Schedule the nightly lead scoring job
+ */
+const scheduleLeadScoring = () => {
+  console.log(`Scheduling lead scoring: ${config.schedule}`);
+
+  scheduledTask = cron.schedule(config.schedule, async () => {
+    try {
+      const summary = await processLeadScoring();
+
+      if (summary.processed > 0) {
+        console.log(`Scored ${summary.processed} lead(s); ${summary.changed} changed`);
+      }
+    } catch (error) {
+      console.error('Scheduled lead scoring failed:', error);
+    }
+  });
+
+  return scheduledTask;
+};
+
+/**
+ * Stop the nightly lead scoring job
+ */
+const stopLeadScoring = () => {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+};
+
+module.exports = {
+  config,
+  DEFAULT_WEIGHTS,
+  SIGNALS,
+  SOURCE_VALUES,
+  TRIGGERS,
+  validateWeights,
+  getWeights,
+  scoreLead,
+  scoreAndSaveLeads,
+  rescoreLead,
+  processLeadScoring,
+  scheduleLeadScoring,
+  stopLeadScoring
+};
@@ -0,0 +1,192 @@
+/**
+ * Membership Plans Utility
+ *
+ * Works with the admin-managed membership plan catalog. It provides functionality to:
+ * - Work out a plan's price per billing interval and what a lead on the plan is worth
+ * - Sync a plan to a Stripe product with a recurring price and a one-time
+ *   enrollment fee price
+ * - Resolve the plan a request refers to, by ID or by name
+ *
+ * Stripe prices can't be changed, so a new price is created when a plan's price
+ * or billing interval changes and the old one is archived. Existing subscriptions
+ * stay on the price they were sold at.
+ */
+
+const dotenv = require('dotenv');
+const membershipPlanModel = require('../models/membershipPlanModel');
+const billing = require('./billing');
+
+dotenv.config();
+
+// Configuration for membership plans
+const config = {
+  // Months of dues counted in a lead's estimated value
+  estimatedValueMonths: parseInt(process.env.MEMBERSHIP_ESTIMATED_VALUE_MONTHS, 10) || 12
+};
+
+// Stripe recurring terms for each billing interval
+const BILLING_INTERVALS = {
+  month: { interval: 'month', interval_count: 1, months: 1 },
+  quarter: { interval: 'month', interval_count: 3, months: 3 },
+  year: { interval: 'year', interval_count: 1, months: 12 }
+};
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount in currency units
+ * @returns {number} Rounded amount
+ */
+const roundAmount = amount => Math.round(Number(amount) * 100) / 100;
+
+/**
+ * Get the amount charged each billing interval
+ * @param {Object} plan - Membership plan
+ * @returns {number} Price per billing interval
+ */
+const getIntervalPrice = (plan) => {
+  const { months } = BILLING_INTERVALS[plan.billing_interval] || BILLING_INTERVALS.month;
+  return roundAmount(Number(plan.monthly_price || 0) * months);
+};
+
+/**
+ * Work out what a lead choosing the plan is worth: the enrollment fee plus
+ * config.estimatedValueMonths of dues
+ * @param {Object} plan - Membership plan
+ * @returns {number} Estimated value
+ */
+const getEstimatedValue = plan => roundAmount(
+  Number(plan.enrollment_fee || 0) + Number(plan.monthly_price || 0) * config.estimatedValueMonths
+);
+
+/**
+ * Add the computed prices clients show alongside a plan
+ * @param {Object} plan - Membership plan
+ * @returns {Object} Plan with interval_price and estimated_value
+ */
+const withPricing = plan => ({
+  ...plan,
+  interval_price: getIntervalPrice(plan),
+  estimated_value: getEstimatedValue(plan)
+});
+
+/**
+ * Sync a plan to Stripe
+ * Creates the product the first time, keeps its name and active flag in step,
+ * and replaces the recurring and enrollment fee prices when their amounts or
+ * the billing interval change. Missing prices are created, so a plan whose
+ * last sync failed is completed by its next update. A free plan, or a plan
+ * without an enrollment fee, has no price for it.
+ * @param {Object} plan - Plan as it will be saved
+ * @param {Object} [previous] - Plan as it was before, when updating
+ * @returns {Promise<Object>} Stripe IDs to save on the plan
+ */
+const syncPlan = async (plan, previous = null) => {
+  const provider = billing.getProvider();
+  const changes = {};
+  let productId = previous && previous.stripe_product_id;
+
+  if (!productId) {
+    const product = await provider.createProduct({
+      name: plan.name,
+      description: plan.description || undefined,
+      metadata: { source: 'orca_membership_plan' }
+    });
+    productId = product.id;
+    changes.stripe_product_id = productId;
+  } else if (plan.name !== previous.name ||
+    (plan.description || '') !== (previous.description || '') ||
+    plan.is_active !== previous.is_active) {
+    await provider.updateProduct(productId, {
+      name: plan.name,
+      description: plan.description || undefined,
+      active: plan.is_active
+    });
+  }
+
+  const priceChanged = !previous ||
+    Number(plan.monthly_price) !== Number(previous.monthly_price) ||
+    plan.billing_interval !== previous.billing_interval;
+
+  if (priceChanged || (!previous.stripe_price_id && Number(plan.monthly_price) > 0)) {
+    if (previous && previous.stripe_price_id) {
+      await provider.archivePrice(previous.stripe_price_id);
+    }
+
+    changes.stripe_price_id = null;
+
+    if (Number(plan.monthly_price) > 0) {
+      const { interval, interval_count: intervalCount } = BILLING_INTERVALS[plan.billing_interval];
+      const price = await provider.createPrice({
+        productId,
+        unitAmount: Math.round(getIntervalPrice(plan) * 100),
+        recurring: { interval, interval_count: intervalCount }
+      });
+      changes.stripe_price_id = price.id;
+    }
+  }
+
+  const feeChanged = !previous || Number(plan.enrollment_fee) !== Number(previous.enrollment_fee);
+
+  if (feeChanged || (!previous.stripe_enrollment_price_id && Number(plan.enrollment_fee) > 0)) {
+    if (previous && previous.stripe_enrollment_price_id) {
+      await provider.archivePrice(previous.stripe_enrollment_price_id);
+    }
+
+    changes.stripe_enrollment_price_id = null;
+
+    if (Number(plan.enrollment_fee) > 0) {
+      const price = await provider.createPrice({
+        productId,
+        unitAmount: Math.round(Number(plan.enrollment_fee) * 100),
+        recurring: null
+      });
+      changes.stripe_enrollment_price_id = price.id;
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Resolve the plan a request refers to
+ * The plan ID is preferred; a name is matched ignoring case. Only the
+ * organization's own plans, and only those still offered, can be chosen.
+ * @param {Object} reference - { planId, name }
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object>} { plan, error }; both are null when no plan was given
+ */
+const resolvePlan = async ({ planId, name } = {}, scope = null) => {
+  let plan = null;
+
+  if (planId) {
+    plan = await membershipPlanModel.getPlanById(planId, scope);
+
+    if (!plan) {
+      return { plan: null, error: 'Membership plan not found' };
+    }
+  } else if (name && String(name).trim()) {
+    plan = await membershipPlanModel.getPlanByName(name, scope);
+
+    if (!plan) {
+      return { plan: null, error: `Unknown membership plan: ${name}` };
+    }
+  } else {
+    return { plan: null, error: null };
+  }
+
+  if (!plan.is_active) {
+    return { plan: null, error: `The ${plan.name} plan is no longer offered` };
+  }
+
+  return { plan, error: null };
+};
+
+module.exports = {
+  config,
+  BILLING_INTERVALS,
+  getIntervalPrice,
+  getEstimatedValue,
+  withPricing,
+  syncPlan,
+  resolvePlan
+};
@@ -0,0 +1,349 @@
+/**
+ * Nurture Sequence Dispatcher for ORCA Lead Management
+ *
+ * Sends the nurture sequence steps that are due. For each enrollment it:
+ * - Ends it instead if the person has met one of the sequence's exit
+ *   conditions since the last step
+ * - Waits until a person's do-not-contact date has passed
+ * - Sends the step by text (Telnyx) or email (the salesperson's account) from
+ *   the person's assigned salesperson, and logs it as an interaction
+ * - Skips a text once the organization has used its plan's monthly SMS
+ * - Records the step as sent, failed or skipped, and moves the enrollment on
+ *
+ * An enrollment is claimed by moving it to its next step before anything is
+ * sent, so a step is never sent twice. Times come from utils/clock.js; see
+ * utils/nurtureSequences.js for the rest of the engine.
+ */
+
+const cron = require('node-cron');
+const dotenv = require('dotenv');
+const nurtureModel = require('../models/nurtureModel');
+const userModel = require('../models/userModel');
+const messageModel = require('../models/messageModel');
+const interactionModel = require('../models/interactionModel');
+const telnyx = require('../config/telnyx');
+const appointmentCalendar = require('./appointmentCalendar');
+const nurtureSequences = require('./nurtureSequences');
+const subscriptionTiers = require('./subscriptionTiers');
+const clock = require('./clock');
+const { normalizePhone } = require('./validation');
+
+dotenv.config();
+
+// Configuration for the dispatcher
+const config = {
+  // Default: every 5 minutes
+  schedule: process.env.NURTURE_SEQUENCE_SCHEDULE || '*/5 * * * *',
+  // Most steps sent per run; the rest go out on the next run
+  batchSize: parseInt(process.env.NURTURE_BATCH_SIZE || '100', 10)
+};
+
+// Guards against overlapping runs within this process
+let isRunning = false;
+let scheduledTask = null;
+
+/**
+ * Check whether a step can reach a person
+ * @param {Object} step - Step
+ * @param {Object} person - Person
+ * @returns {string|null} Why it can't, or null if it can
+ */
+const getSkipReason = (step, person) => {
+  if (step.channel === 'sms') {
+    if (person.sms_opt_in === false) {
+      return 'Person has opted out of texts';
+    }
+
+    return person.phone ? null : 'Person has no phone number';
+  }
+
+  if (person.email_opt_in === false) {
+    return 'Person has opted out of email';
+  }
+
+  return person.email ? null : 'Person has no email address';
+};
+
+/**
+ * Send a step by text
+ * @param {Object} person - Person
+ * @param {Object|null} salesperson - Salesperson (user)
+ * @param {Object} enrollment - Enrollment
+ * @param {Object} step - Step
+ * @returns {Promise<Object>} success, content, messageId and error
+ */
+const sendSmsStep = async (person, salesperson, enrollment, step) => {
+  const phone = normalizePhone(person.phone);
+  const content = nurtureSequences.renderTemplate(step.template, person, salesperson);
+
+  const result = await telnyx.sendSMS(phone, content);
+
+  // Stored even without a salesperson, so the text counts towards the organization's monthly SMS
+  const message = await messageModel.createMessage({
+    sender_id: salesperson ? salesperson.id : null,
+    recipient_id: person.id,
+    message_type: 'sms',
+    content,
+    status: result.success ? 'sent' : 'failed',
+    metadata: {
+      telnyx_message_id: result.messageId,
+      to: phone,
+      nurture_enrollment_id: enrollment.id,
+      nurture_step_id: step.id
+    }
+  });
+
+  return {
+    success: result.success,
+    content,
+    messageId: message ? message.id : null,
+    error: result.success ? null : result.error
+  };
+};
+
+/**
+ * Send a step by email from the salesperson's account
+ * @param {Object} person - Person
+ * @param {Object|null} salesperson - Salesperson (user)
+ * @param {Object} enrollment - Enrollment
+ * @param {Object} step - Step
+ * @returns {Promise<Object>} success, content, messageId and error
+ */
+const sendEmailStep = async (person, salesperson, enrollment, step) => {
+  const subject = nurtureSequences.renderTemplate(step.subject, person, salesperson);
+  const content = nurtureSequences.renderTemplate(step.template, person, salesperson);
+
+  if (!salesperson) {
+    return { success: false, content, messageId: null, error: 'No salesperson to send the email from' };
+  }
+
+  try {
+    await appointmentCalendar.sendEmail(salesperson, { to: person.email, subject, body: content });
+  } catch (error) {
+    return { success: false, content, messageId: null, error: error.message };
+  }
+
+  const message = await messageModel.createMessage({
+    sender_id: salesperson.id,
+    recipient_id: person.id,
+    message_type: 'email',
+    subject,
+    content,
+    status: 'sent',
+    metadata: { to: person.email, nurture_enrollment_id: enrollment.id, nurture_step_id: step.id }
+  });
+
+  return { success: true, content, messageId: message ? message.id : null, error: null };
+};
+
+/**
+ * Send an enrollment's due step, or end or postpone it
+ * @param {Object} enrollment - Due enrollment, with its sequence and steps
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} What happened, or null if another run had already handled it
+ */
+const processEnrollment = async (enrollment, now = clock.now()) => {
+  const { sequence } = enrollment;
+  const steps = nurtureSequences.getSteps(sequence);
+  const step = steps[enrollment.current_step];
+  const person = await nurtureModel.getPersonState(enrollment.person_id);
+
+  if (!person) {
+    return null;
+  }
+
+  // Steps were removed from the sequence after this person reached them
+  if (!step) {
+    const ended = await nurtureSequences.endEnrollment(enrollment, sequence, person, 'completed');
+    return ended ? { enrollment_id: enrollment.id, status: 'completed' } : null;
+  }
+
+  const exitReason = nurtureSequences.getExitReason(sequence, person);
+
+  if (exitReason) {
+    const ended = await nurtureSequences.endEnrollment(enrollment, sequence, person, 'exited', exitReason);
+    return ended ? { enrollment_id: enrollment.id, status: 'exited', exit_reason: exitReason } : null;
+  }
+
+  if (person.do_not_contact_until && new Date(person.do_not_contact_until) > now) {
+    const postponed = await nurtureModel.advanceEnrollment(enrollment.id, enrollment.current_step, {
+      next_step_at: new Date(person.do_not_contact_until).toISOString()
+    });
+    return postponed ? { enrollment_id: enrollment.id, status: 'postponed' } : null;
+  }
+
+  // Claim the step by moving the enrollment on before sending it
+  const nextStep = steps[enrollment.current_step + 1];
+  const claimed = await nurtureModel.advanceEnrollment(enrollment.id, enrollment.current_step, nextStep
+    ? {
+      current_step: enrollment.current_step + 1,
+      next_step_at: nurtureSequences.getStepDueAt(nextStep, now).toISOString()
+    }
+    : {
+      current_step: enrollment.current_step + 1,
+      status: 'completed',
+      next_step_at: null,
+      ended_at: now.toISOString()
+    });
+
+  if (!claimed) {
+    return null;
+  }
+
+  let skipReason = getSkipReason(step, person);
+
+  // Texts count towards the organization's monthly SMS, like every other SMS
+  if (!skipReason && step.channel === 'sms') {
+    const smsLimit = await subscriptionTiers.checkLimit(sequence.organization_id, 'monthly_sms', 1);
+
+    if (smsLimit) {
+      skipReason = smsLimit.message;
+    }
+  }
+
+  let result;
+  let interaction = null;
+
+  if (skipReason) {
+    result = { success: false, messageId: null, error: skipReason };
+  } else {
+    const salesperson = person.assigned_to ? await userModel.getUserById(person.assigned_to) : null;
+
+    try {
+      result = step.channel === 'sms'
+        ? await sendSmsStep(person, salesperson, enrollment, step)
+        : await sendEmailStep(person, salesperson, enrollment, step);
+    } catch (error) {
+      result = { success: false, content: null, messageId: null, error: error.message };
+    }
+
+    interaction = await interactionModel.createInteraction({
+      person_id: person.id,
+      user_id: salesperson ? salesperson.id : null,
+      interaction_type: step.channel,
+      subject: `Nurture sequence: ${sequence.name} (step ${step.position + 1})`,
+      content: result.content,
+      status: result.success ? 'completed' : 'failed',
+      completed_at: now.toISOString(),
+      custom_fields: {
+        nurture_sequence_id: sequence.id,
+        nurture_enrollment_id: enrollment.id,
+        nurture_step_id: step.id
+      }
+    });
+  }
+
+  let status = 'failed';
+
+  if (skipReason) {
+    status = 'skipped';
+  } else if (result.success) {
+    status = 'sent';
+  }
+
+  await nurtureModel.createDelivery({
+    enrollment_id: enrollment.id,
+    sequence_id: sequence.id,
+    step_id: step.id,
+    position: step.position,
+    person_id: person.id,
+    channel: step.channel,
+    status,
+    message_id: result.messageId,
+    interaction_id: interaction ? interaction.id : null,
+    error: result.error || null,
+    sent_at: now.toISOString()
+  });
+
+  await nurtureSequences.syncReferralStatus(person, sequence, claimed);
+
+  if (status === 'failed') {
+    console.error(`Nurture step ${step.id} to ${person.id} failed:`, result.error);
+  }
+
+  return { enrollment_id: enrollment.id, status, channel: step.channel, position: step.position };
+};
+
+/**
+ * Send every step that is due
+ * @param {Date} now - Current time (injectable for testing; defaults to the clock)
+ * @returns {Promise<Object>} Summary of the run
+ */
+const processDueSteps = async (now = clock.now()) => {
+  if (isRunning) {
+    return { skipped: true, processed: 0 };
+  }
+
+  isRunning = true;
+
+  try {
+    const enrollments = await nurtureModel.getDueEnrollments(now.toISOString(), config.batchSize);
+    const results = [];
+
+    for (const enrollment of enrollments) {
+      try {
+        const result = await processEnrollment(enrollment, now);
+
+        if (result) {
+          results.push(result);
+        }
+      } catch (error) {
+        console.error(`Error processing nurture enrollment ${enrollment.id}:`, error);
+      }
+    }
+
+    return {
+      skipped: false,
+      processed: results.length,
+      results
+    };
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Schedule the recurring dispatch job
+ *
+ * Also runs once immediately so steps that fell due while the server was down
+ * go out on startup.
+ */
+const scheduleNurtureSequences = () => {
+  console.log(`Scheduling nurture sequences: ${config.schedule}`);
+
+  const run = async () => {
+    try {
+      const summary = await processDueSteps();
+
+      if (summary.processed > 0) {
+        console.log(`Processed ${summary.processed} nurture sequence step(s)`);
+      }
+    } catch (error) {
+      console.error('Scheduled nurture sequences failed:', error);
+    }
+  };
+
+  scheduledTask = cron.schedule(config.schedule, run);
+  run();
+
+  return scheduledTask;
+};
+
+/**
+ * Stop the recurring dispatch job
+ */
+const stopNurtureSequences = () => {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+};
+
+module.exports = {
+  config,
+  getSkipReason,
+  processEnrollment,
+  processDueSteps,
+  scheduleNurtureSequences,
+  stopNurtureSequences
+};
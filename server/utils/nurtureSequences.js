@@ -0,0 +1,717 @@
+/**
+ * Nurture Sequences for ORCA Lead Management
+ *
+ * Drip campaigns for leads and referrals. It provides functionality to:
+ * - Check and normalize the sequences admins define: steps sent by SMS or
+ *   email after a delay, from templates, and the exit conditions
+ * - Enroll people by hand, or when a trigger fires (a lead or referral is
+ *   created, or a lead moves to a stage)
+ * - Decide when an enrollment ends early: the person replied, booked an
+ *   appointment, converted or opted out
+ * - Count each step's deliveries and responses
+ *
+ * Steps are sent by utils/nurtureDispatcher.js. Times come from utils/clock.js
+ * so tests can move the clock forward instead of waiting. A referral's
+ * enrollments are mirrored to referral_extensions.campaign_enrollments and
+ * nurture_sequence_status.
+ */
+
+const dotenv = require('dotenv');
+const nurtureModel = require('../models/nurtureModel');
+const leadPipeline = require('./leadPipeline');
+const clock = require('./clock');
+const { stampRecord, isInScope } = require('./tenancy');
+const { CustomError } = require('./errorHandler');
+
+dotenv.config();
+
+// Configuration for nurture sequences
+const config = {
+  // Most steps in a sequence
+  maxSteps: parseInt(process.env.NURTURE_MAX_STEPS || '20', 10),
+  // Most people enrolled by one request
+  maxEnrollments: parseInt(process.env.NURTURE_MAX_ENROLLMENTS || '500', 10),
+  // Rows read per page when counting stats
+  pageSize: 1000
+};
+
+const AUDIENCES = ['lead', 'referral', 'any'];
+const TRIGGERS = ['manual', 'lead_created', 'referral_created', 'lead_status_changed'];
+const EXIT_CONDITIONS = ['replied', 'appointment_booked', 'converted', 'opted_out'];
+const CHANNELS = ['sms', 'email'];
+
+// Placeholders a step's template and subject can use, e.g. {{first_name}}
+const TEMPLATE_FIELDS = ['first_name', 'last_name', 'full_name', 'salesperson_first_name', 'salesperson_name', 'business_name'];
+
+// Lead stages that mean an appointment has been booked
+const BOOKED_LEAD_STATUSES = ['appointment_scheduled', 'visited', 'proposal_made', 'negotiation'];
+
+const PLACEHOLDER = /{{\s*([a-z_]+)\s*}}/gi;
+const MINUTE_MS = 60 * 1000;
+
+const getBusinessName = () => process.env.BUSINESS_NAME || 'ORCA';
+
+/**
+ * Check a sequence's steps
+ * @param {Array} steps - Steps in order
+ * @returns {Array} Steps with only their stored fields
+ * @throws {CustomError} 400 describing the first problem
+ */
+const normalizeSteps = (steps) => {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new CustomError('steps must be a list of { delay_minutes, channel, subject, template }', 400);
+  }
+
+  if (steps.length > config.maxSteps) {
+    throw new CustomError(`A sequence can have at most ${config.maxSteps} steps`, 400);
+  }
+
+  return steps.map((step, index) => {
+    const { channel } = step || {};
+    const delay = Number(step && step.delay_minutes);
+    const template = typeof (step && step.template) === 'string' ? step.template.trim() : '';
+    const subject = typeof (step && step.subject) === 'string' ? step.subject.trim() : '';
+
+    if (!CHANNELS.includes(channel)) {
+      throw new CustomError(`Step ${index + 1}: channel must be one of: ${CHANNELS.join(', ')}`, 400);
+    }
+
+    if (!Number.isInteger(delay) || delay < 0) {
+      throw new CustomError(`Step ${index + 1}: delay_minutes must be a whole number of 0 or more`, 400);
+    }
+
+    if (!template) {
+      throw new CustomError(`Step ${index + 1}: template is required`, 400);
+    }
+
+    if (channel === 'email' && !subject) {
+      throw new CustomError(`Step ${index + 1}: emails need a subject`, 400);
+    }
+
+    const unknown = [...`${subject} ${template}`.matchAll(PLACEHOLDER)]
+      .map(match => match[1].toLowerCase())
+      .find(field => !TEMPLATE_FIELDS.includes(field));
+
+    if (unknown) {
+      throw new CustomError(`Step ${index + 1}: {{${unknown}}} is not a placeholder; use one of: ${TEMPLATE_FIELDS.join(', ')}`, 400);
+    }
+
+    return {
+      delay_minutes: delay,
+      channel,
+      subject: channel === 'email' ? subject : null,
+      template
+    };
+  });
+};
+
+/**
+ * Check and normalize a sequence sent by an admin
+ * @param {Object} data - Sequence fields and steps
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.partial] - Only check the fields given (for updates)
+ * @returns {Object} { fields, steps }; steps is undefined if none were given for an update
+ * @throws {CustomError} 400 describing the first problem
+ */
+const normalizeSequence = (data = {}, { partial = false } = {}) => {
+  const fields = {};
+  const has = key => data[key] !== undefined;
+
+  if (!partial || has('name')) {
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+
+    if (!name) {
+      throw new CustomError('Name is required', 400);
+    }
+
+    fields.name = name;
+  }
+
+  if (has('description')) {
+    fields.description = typeof data.description === 'string' && data.description.trim()
+      ? data.description.trim()
+      : null;
+  }
+
+  if (!partial || has('audience')) {
+    fields.audience = data.audience || 'any';
+
+    if (!AUDIENCES.includes(fields.audience)) {
+      throw new CustomError(`audience must be one of: ${AUDIENCES.join(', ')}`, 400);
+    }
+  }
+
+  if (!partial || has('trigger') || has('trigger_status')) {
+    fields.trigger = data.trigger || 'manual';
+
+    if (!TRIGGERS.includes(fields.trigger)) {
+      throw new CustomError(`trigger must be one of: ${TRIGGERS.join(', ')}`, 400);
+    }
+
+    fields.trigger_status = null;
+
+    if (fields.trigger === 'lead_status_changed') {
+      const stage = leadPipeline.getStage(data.trigger_status);
+
+      if (!stage) {
+        throw new CustomError('trigger_status must be a lead pipeline stage', 400);
+      }
+
+      fields.trigger_status = stage.key;
+    }
+  }
+
+  if (!partial || has('exit_conditions')) {
+    const conditions = data.exit_conditions === undefined ? EXIT_CONDITIONS : data.exit_conditions;
+
+    if (!Array.isArray(conditions) || conditions.some(condition => !EXIT_CONDITIONS.includes(condition))) {
+      throw new CustomError(`exit_conditions must be a list of: ${EXIT_CONDITIONS.join(', ')}`, 400);
+    }
+
+    fields.exit_conditions = [...new Set(conditions)];
+  }
+
+  if (has('is_active')) {
+    fields.is_active = Boolean(data.is_active);
+  }
+
+  if (has('location_id')) {
+    fields.location_id = data.location_id || null;
+  }
+
+  return {
+    fields,
+    steps: !partial || has('steps') ? normalizeSteps(data.steps) : undefined
+  };
+};
+
+/**
+ * Fill in a template's placeholders
+ * @param {string} template - Template, e.g. "Hi {{first_name}}"
+ * @param {Object} person - Person it is sent to
+ * @param {Object|null} salesperson - User it is sent from
+ * @returns {string} Personalized text
+ */
+const renderTemplate = (template, person, salesperson) => {
+  const values = {
+    first_name: person.first_name || '',
+    last_name: person.last_name || '',
+    full_name: `${person.first_name || ''} ${person.last_name || ''}`.trim(),
+    salesperson_first_name: salesperson ? salesperson.first_name || '' : '',
+    salesperson_name: salesperson ? `${salesperson.first_name || ''} ${salesperson.last_name || ''}`.trim() : '',
+    business_name: getBusinessName()
+  };
+
+  return (template || '').replace(PLACEHOLDER, (match, field) => values[field.toLowerCase()] ?? match);
+};
+
+/**
+ * Get a sequence's steps in order
+ * @param {Object} sequence - Sequence with its steps
+ * @returns {Array} Steps, by position
+ */
+const getSteps = sequence => [...(sequence.steps || [])].sort((a, b) => a.position - b.position);
+
+/**
+ * Work out when a step is due
+ * @param {Object} step - Step
+ * @param {Date} after - Enrollment time for the first step, or when the previous step was sent
+ * @returns {Date} Due time
+ */
+const getStepDueAt = (step, after) => new Date(after.getTime() + step.delay_minutes * MINUTE_MS);
+
+/**
+ * Check whether a person can be enrolled in a sequence's audience
+ * @param {Object} sequence - Sequence
+ * @param {Object} person - Person
+ * @returns {boolean} True if they are a lead or referral the sequence is for
+ */
+const matchesAudience = (sequence, person) => {
+  if (sequence.audience === 'lead') {
+    return Boolean(person.is_lead);
+  }
+
+  if (sequence.audience === 'referral') {
+    return Boolean(person.is_referral);
+  }
+
+  return Boolean(person.is_lead || person.is_referral);
+};
+
+/**
+ * Check whether a person has booked an appointment
+ * @param {Object} person - Person with their lead and referral extensions
+ * @returns {boolean} True for a referral with an appointment that isn't cancelled, or a lead at or past the appointment stage
+ */
+const hasBooked = (person) => {
+  const referral = (person.referral_extensions || [])[0];
+  const lead = (person.lead_extensions || [])[0];
+
+  if (referral && referral.appointment_date && referral.appointment_status !== 'cancelled') {
+    return true;
+  }
+
+  return Boolean(lead && BOOKED_LEAD_STATUSES.includes(lead.lead_status));
+};
+
+/**
+ * Check whether a person has converted
+ * @param {Object} person - Person with their lead and referral extensions
+ * @returns {boolean} True for members, won leads and converted referrals
+ */
+const hasConverted = (person) => {
+  const referral = (person.referral_extensions || [])[0];
+  const lead = (person.lead_extensions || [])[0];
+
+  return Boolean(person.is_member) ||
+    Boolean(lead && lead.lead_status === 'won') ||
+    Boolean(referral && referral.conversion_status === 'converted');
+};
+
+/**
+ * Check whether a person has opted out of a channel a sequence uses
+ * @param {Object} sequence - Sequence with its steps
+ * @param {Object} person - Person
+ * @returns {boolean} True if they have opted out of texts and the sequence texts, or likewise for email
+ */
+const hasOptedOut = (sequence, person) => getSteps(sequence).some(step =>
+  (step.channel === 'sms' && person.sms_opt_in === false) ||
+  (step.channel === 'email' && person.email_opt_in === false));
+
+/**
+ * Decide whether an enrollment should end before its next step
+ * Replies end enrollments as they arrive (see recordReply).
+ * @param {Object} sequence - Sequence with its steps and exit_conditions
+ * @param {Object} person - Person with their lead and referral extensions
+ * @returns {string|null} 'opted_out', 'converted' or 'appointment_booked', or null to carry on
+ */
+const getExitReason = (sequence, person) => {
+  const conditions = sequence.exit_conditions || [];
+
+  if (conditions.includes('opted_out') && hasOptedOut(sequence, person)) {
+    return 'opted_out';
+  }
+
+  if (conditions.includes('converted') && hasConverted(person)) {
+    return 'converted';
+  }
+
+  if (conditions.includes('appointment_booked') && hasBooked(person)) {
+    return 'appointment_booked';
+  }
+
+  return null;
+};
+
+/**
+ * Mirror an enrollment to a referral's campaign_enrollments and nurture_sequence_status
+ * @param {Object} person - Person with their referral extension; updated in place
+ * @param {Object} sequence - Sequence with its steps
+ * @param {Object} enrollment - Enrollment as stored
+ * @returns {Promise<void>}
+ */
+const syncReferralStatus = async (person, sequence, enrollment) => {
+  const extension = (person.referral_extensions || [])[0];
+
+  if (!person.is_referral || !extension) {
+    return;
+  }
+
+  const campaignEnrollments = [...new Set([...(extension.campaign_enrollments || []), sequence.id])];
+  const nurtureStatus = {
+    ...(extension.nurture_sequence_status || {}),
+    [sequence.id]: {
+      name: sequence.name,
+      enrollment_id: enrollment.id,
+      status: enrollment.status,
+      steps_sent: enrollment.current_step,
+      steps: getSteps(sequence).length,
+      next_step_at: enrollment.next_step_at || null,
+      exit_reason: enrollment.exit_reason || null,
+      updated_at: clock.now().toISOString()
+    }
+  };
+
+  await nurtureModel.updateReferralNurture(person.id, {
+    campaign_enrollments: campaignEnrollments,
+    nurture_sequence_status: nurtureStatus
+  });
+
+  extension.campaign_enrollments = campaignEnrollments;
+  extension.nurture_sequence_status = nurtureStatus;
+};
+
+/**
+ * Enroll a person in a sequence
+ * @param {Object} sequence - Active sequence with its steps
+ * @param {Object} person - Person with their lead and referral extensions
+ * @param {Object} options - { via: 'manual' or 'trigger', userId }
+ * @returns {Promise<Object>} { enrollment } or { skipped: reason }
+ */
+const enroll = async (sequence, person, { via, userId = null }) => {
+  if (!matchesAudience(sequence, person)) {
+    return { skipped: `not_a_${sequence.audience === 'any' ? 'lead_or_referral' : sequence.audience}` };
+  }
+
+  if (sequence.location_id && sequence.location_id !== person.location_id) {
+    return { skipped: 'other_location' };
+  }
+
+  // Nobody is enrolled only to be taken straight back out
+  const exitReason = getExitReason(sequence, person);
+
+  if (exitReason) {
+    return { skipped: exitReason };
+  }
+
+  const steps = getSteps(sequence);
+  const now = clock.now();
+
+  const enrollment = await nurtureModel.createEnrollment({
+    organization_id: person.organization_id,
+    location_id: person.location_id || null,
+    sequence_id: sequence.id,
+    person_id: person.id,
+    status: 'active',
+    current_step: 0,
+    next_step_at: getStepDueAt(steps[0], now).toISOString(),
+    enrolled_via: via,
+    enrolled_by: userId,
+    enrolled_at: now.toISOString()
+  });
+
+  if (!enrollment) {
+    return { skipped: 'already_enrolled' };
+  }
+
+  await syncReferralStatus(person, sequence, enrollment);
+
+  return { enrollment };
+};
+
+/**
+ * Enroll people in a sequence by hand
+ * @param {Object} sequence - Sequence with its steps
+ * @param {Array<UUID>} personIds - Leads and referrals to enroll
+ * @param {Object} user - User enrolling them
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object>} { enrolled, skipped: [{ person_id, reason }] }
+ * @throws {CustomError} 400 for a paused sequence or a bad list of people
+ */
+const enrollPeople = async (sequence, personIds, user, scope) => {
+  if (!sequence.is_active) {
+    throw new CustomError('This sequence is paused; activate it before enrolling people', 400);
+  }
+
+  if (!Array.isArray(personIds) || personIds.length === 0) {
+    throw new CustomError('person_ids must be a list of lead or referral IDs', 400);
+  }
+
+  const ids = [...new Set(personIds)];
+
+  if (ids.length > config.maxEnrollments) {
+    throw new CustomError(`At most ${config.maxEnrollments} people can be enrolled at once`, 400);
+  }
+
+  const enrolled = [];
+  const skipped = [];
+
+  for (const personId of ids) {
+    const person = await nurtureModel.getPersonState(personId);
+
+    if (!person || !isInScope(person, scope)) {
+      skipped.push({ person_id: personId, reason: 'not_found' });
+      continue;
+    }
+
+    const result = await enroll(sequence, person, { via: 'manual', userId: user.id });
+
+    if (result.enrollment) {
+      enrolled.push(result.enrollment);
+    } else {
+      skipped.push({ person_id: personId, reason: result.skipped });
+    }
+  }
+
+  return { enrolled, skipped };
+};
+
+/**
+ * Enroll a person in the sequences a trigger starts
+ * Never throws: a failure is logged, so it can't fail the request that fired
+ * the trigger.
+ * @param {string} trigger - 'lead_created', 'referral_created' or 'lead_status_changed'
+ * @param {UUID} personId - Lead or referral
+ * @param {Object} [details] - { status } for lead_status_changed
+ * @returns {Promise<Array>} Enrollments created
+ */
+const enrollByTrigger = async (trigger, personId, { status = null } = {}) => {
+  try {
+    const person = await nurtureModel.getPersonState(personId);
+
+    if (!person) {
+      return [];
+    }
+
+    const stage = status ? leadPipeline.getStage(status) : null;
+    const sequences = (await nurtureModel.getTriggeredSequences(person.organization_id, trigger))
+      .filter(sequence => trigger !== 'lead_status_changed' || (stage && sequence.trigger_status === stage.key));
+    const enrollments = [];
+
+    for (const sequence of sequences) {
+      const result = await enroll(sequence, person, { via: 'trigger' });
+
+      if (result.enrollment) {
+        enrollments.push(result.enrollment);
+      }
+    }
+
+    return enrollments;
+  } catch (error) {
+    console.error(`Error enrolling ${personId} in nurture sequences (${trigger}):`, error);
+    return [];
+  }
+};
+
+/**
+ * End an active enrollment
+ * @param {Object} enrollment - Enrollment
+ * @param {Object} sequence - Sequence with its steps
+ * @param {Object|null} person - Person with their referral extension, to mirror the change to
+ * @param {string} status - 'completed', 'exited' or 'cancelled'
+ * @param {string|null} exitReason - Why it exited
+ * @returns {Promise<Object|null>} Ended enrollment, or null if it had already ended
+ */
+const endEnrollment = async (enrollment, sequence, person, status, exitReason = null) => {
+  const ended = await nurtureModel.endEnrollment(enrollment.id, {
+    status,
+    exit_reason: exitReason,
+    ended_at: clock.now().toISOString()
+  });
+
+  if (ended && person) {
+    await syncReferralStatus(person, sequence, ended);
+  }
+
+  return ended;
+};
+
+/**
+ * Take a person out of a sequence by hand
+ * @param {Object} enrollment - Enrollment
+ * @param {Object} sequence - Sequence with its steps
+ * @returns {Promise<Object>} Cancelled enrollment
+ * @throws {CustomError} 409 if it has already ended
+ */
+const cancelEnrollment = async (enrollment, sequence) => {
+  const person = await nurtureModel.getPersonState(enrollment.person_id);
+  const cancelled = await endEnrollment(enrollment, sequence, person, 'cancelled');
+
+  if (!cancelled) {
+    throw new CustomError('This enrollment has already ended', 409);
+  }
+
+  return cancelled;
+};
+
+/**
+ * Act on an inbound text from a person
+ * A reply is credited to the last step sent to them, and ends the enrollments
+ * whose sequence exits on a reply. STOP ends the ones that exit on an opt-out
+ * instead; the rest carry on without texting. Never throws.
+ * @param {UUID} personId - Person the text came from
+ * @param {string|null} keyword - Compliance keyword ('opt_out', 'opt_in' or 'help'), or null for a regular reply
+ * @returns {Promise<Array>} Enrollments ended
+ */
+const recordReply = async (personId, keyword = null) => {
+  try {
+    if (keyword && keyword !== 'opt_out') {
+      return [];
+    }
+
+    const reason = keyword === 'opt_out' ? 'opted_out' : 'replied';
+
+    if (reason === 'replied') {
+      const delivery = await nurtureModel.getLastSentDelivery(personId);
+
+      if (delivery) {
+        await nurtureModel.markResponded(delivery.id, clock.now().toISOString());
+      }
+    }
+
+    const enrollments = (await nurtureModel.getActiveEnrollments(personId))
+      .filter(enrollment => (enrollment.sequence.exit_conditions || []).includes(reason));
+
+    if (enrollments.length === 0) {
+      return [];
+    }
+
+    const person = await nurtureModel.getPersonState(personId);
+    const ended = [];
+
+    for (const enrollment of enrollments) {
+      const sequence = await nurtureModel.getSequenceById(enrollment.sequence_id);
+      const result = await endEnrollment(enrollment, sequence, person, 'exited', reason);
+
+      if (result) {
+        ended.push(result);
+      }
+    }
+
+    return ended;
+  } catch (error) {
+    console.error(`Error recording a reply from ${personId} to nurture sequences:`, error);
+    return [];
+  }
+};
+
+/**
+ * Read every page of a query
+ * @param {Function} fetchPage - Called with { page, pageSize }; resolves to a page of rows
+ * @returns {Promise<Array>} All rows
+ */
+const loadAll = async (fetchPage) => {
+  const rows = [];
+
+  for (let page = 0; ; page += 1) {
+    const batch = await fetchPage({ page, pageSize: config.pageSize });
+    rows.push(...batch);
+
+    if (batch.length < config.pageSize) {
+      return rows;
+    }
+  }
+};
+
+/**
+ * Count a sequence's enrollments and each step's deliveries and responses
+ * Delivered counts texts with a delivery receipt; email has no receipts, so
+ * emails sent count as sent only. Replies come in by text.
+ * @param {Object} sequence - Sequence with its steps
+ * @returns {Promise<Object>} { enrollments, steps }
+ */
+const getStats = async (sequence) => {
+  const [outcomes, deliveries] = await Promise.all([
+    loadAll(pagination => nurtureModel.getEnrollmentOutcomes(sequence.id, pagination)),
+    loadAll(pagination => nurtureModel.getDeliveries(sequence.id, pagination))
+  ]);
+
+  const enrollments = {
+    total: outcomes.length,
+    active: 0,
+    completed: 0,
+    exited: 0,
+    cancelled: 0,
+    exit_reasons: EXIT_CONDITIONS.reduce((counts, reason) => ({ ...counts, [reason]: 0 }), {})
+  };
+
+  outcomes.forEach((outcome) => {
+    enrollments[outcome.status] += 1;
+
+    if (outcome.exit_reason) {
+      enrollments.exit_reasons[outcome.exit_reason] += 1;
+    }
+  });
+
+  const steps = getSteps(sequence).map(step => ({
+    step_id: step.id,
+    position: step.position,
+    channel: step.channel,
+    sent: 0,
+    delivered: 0,
+    failed: 0,
+    skipped: 0,
+    responded: 0,
+    response_rate: 0
+  }));
+
+  deliveries.forEach((delivery) => {
+    const stats = steps[delivery.position];
+
+    if (!stats) {
+      return;
+    }
+
+    stats[delivery.status] += 1;
+
+    if (delivery.status === 'sent' && delivery.message && delivery.message.status === 'delivered') {
+      stats.delivered += 1;
+    }
+
+    if (delivery.responded_at) {
+      stats.responded += 1;
+    }
+  });
+
+  steps.forEach((stats) => {
+    stats.response_rate = stats.sent > 0 ? Math.round((stats.responded / stats.sent) * 1000) / 10 : 0;
+  });
+
+  return { enrollments, steps };
+};
+
+/**
+ * Create a sequence with its steps
+ * @param {Object} data - Sequence fields and steps
+ * @param {Object} user - Admin creating it
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object>} Created sequence with its steps
+ * @throws {CustomError} 400 if the sequence isn't valid
+ */
+const createSequence = async (data, user, scope) => {
+  const { fields, steps } = normalizeSequence(data);
+
+  const sequence = await nurtureModel.createSequence(stampRecord({
+    ...fields,
+    is_active: fields.is_active !== false,
+    created_by: user.id
+  }, scope));
+
+  return { ...sequence, steps: await nurtureModel.saveSteps(sequence.id, steps) };
+};
+
+/**
+ * Update a sequence and, if given, replace its steps
+ * People part way through keep their place: the step at their position is
+ * sent next, edited or not.
+ * @param {Object} sequence - Sequence as stored
+ * @param {Object} data - Fields to change, and steps
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object>} Updated sequence with its steps
+ * @throws {CustomError} 400 if the changes aren't valid
+ */
+const updateSequence = async (sequence, data, scope) => {
+  const { fields, steps } = normalizeSequence(data, { partial: true });
+
+  const updated = Object.keys(fields).length > 0
+    ? await nurtureModel.updateSequence(sequence.id, fields, scope)
+    : sequence;
+
+  return {
+    ...updated,
+    steps: steps ? await nurtureModel.saveSteps(sequence.id, steps) : getSteps(sequence)
+  };
+};
+
+module.exports = {
+  config,
+  AUDIENCES,
+  TRIGGERS,
+  EXIT_CONDITIONS,
+  CHANNELS,
+  TEMPLATE_FIELDS,
+  normalizeSequence,
+  renderTemplate,
+  getSteps,
+  getStepDueAt,
+  getExitReason,
+  syncReferralStatus,
+  enrollPeople,
+  enrollByTrigger,
+  endEnrollment,
+  cancelEnrollment,
+  recordReply,
+  getStats,
+  createSequence,
+  updateSequence
+};
@@ -0,0 +1,123 @@
+/**
+ * Organization Invitations Utility
+ *
+ * The only way to join an existing organization at sign-up. An admin invites
+ * someone with a role, and optionally their email address, and gets a token to
+ * send them. Registering with the token puts the new user in the admin's
+ * organization with that role.
+ *
+ * Only a hash of the token is stored. An invitation can be used once and
+ * expires after a set number of days.
+ */
+
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const organizationModel = require('../models/organizationModel');
+const { CustomError } = require('./errorHandler');
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Roles an invitation can give
+const ROLES = ['salesperson', 'admin'];
+
+const config = {
+  // Days an invitation can be used for
+  expiresInDays: parseInt(process.env.INVITATION_EXPIRES_DAYS, 10) || 7
+};
+
+/**
+ * Hash an invitation token for storage and lookup
+ * @param {string} token - Invitation token
+ * @returns {string} SHA-256 of the token, hex
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Invite someone to an organization
+ * @param {UUID} organizationId - Organization to join
+ * @param {Object} data - Invitation details
+ * @param {string} [data.email] - Only this address can use the invitation
+ * @param {string} [data.role='salesperson'] - Role the new user gets
+ * @param {Object} user - Admin sending the invitation
+ * @returns {Promise<{invitation: Object, token: string}>} The invitation, and its token, which can't be read again
+ * @throws {CustomError} 400 for an invalid role or email
+ */
+const createInvitation = async (organizationId, { email, role = 'salesperson' } = {}, user) => {
+  if (!ROLES.includes(role)) {
+    throw new CustomError(`role must be one of: ${ROLES.join(', ')}`, 400);
+  }
+
+  if (email !== undefined && email !== null && (typeof email !== 'string' || !email.includes('@'))) {
+    throw new CustomError('email must be an email address', 400);
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+
+  const invitation = await organizationModel.createInvitation({
+    organization_id: organizationId,
+    token_hash: hashToken(token),
+    email: email ? email.trim().toLowerCase() : null,
+    role,
+    expires_at: new Date(Date.now() + config.expiresInDays * DAY_MS).toISOString(),
+    invited_by: user.id
+  });
+
+  return { invitation, token };
+};
+
+/**
+ * Find the invitation a registration is using, and check it can be used
+ * @param {string} token - Invitation token
+ * @param {string} email - Email address being registered
+ * @returns {Promise<Object>} Invitation
+ * @throws {CustomError} 400 if the invitation doesn't exist, was used or has expired; 403 if it is for another email address
+ */
+const findInvitation = async (token, email) => {
+  const invitation = await organizationModel.getInvitationByTokenHash(hashToken(token));
+
+  if (!invitation || invitation.accepted_at || new Date(invitation.expires_at) <= new Date()) {
+    throw new CustomError('This invitation is invalid, has been used or has expired', 400);
+  }
+
+  if (invitation.email && invitation.email !== String(email || '').trim().toLowerCase()) {
+    throw new CustomError('This invitation is for a different email address', 403);
+  }
+
+  return invitation;
+};
+
+/**
+ * Mark an invitation used, before the account it is for is created
+ * @param {Object} invitation - Invitation from findInvitation
+ * @returns {Promise<Object>} Claimed invitation
+ * @throws {CustomError} 400 if another registration used it first, or it has just expired
+ */
+const claimInvitation = async (invitation) => {
+  const claimed = await organizationModel.claimInvitation(invitation.id);
+
+  if (!claimed) {
+    throw new CustomError('This invitation is invalid, has been used or has expired', 400);
+  }
+
+  return claimed;
+};
+
+/**
+ * Let an invitation be used again, when the registration that claimed it failed
+ * @param {Object} invitation - Claimed invitation
+ * @returns {Promise<Object>} Released invitation
+ */
+const releaseInvitation = (invitation) =>
+  organizationModel.updateInvitation(invitation.id, { accepted_at: null, accepted_by: null });
+
+module.exports = {
+  ROLES,
+  config,
+  hashToken,
+  createInvitation,
+  findInvitation,
+  claimInvitation,
+  releaseInvitation
+};
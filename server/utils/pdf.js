@@ -0,0 +1,261 @@
+/**
+ * PDF Utility
+ *
+ * Writes the plain, table-based PDF documents reports are exported as. It
+ * provides functionality to:
+ * - Lay out a title, a subtitle and sections of tables on US Letter pages,
+ *   starting a new page when one fills up
+ * - Number the pages
+ *
+ * Only the standard PDF fonts are used, so nothing is embedded. Tables are set
+ * in Courier to keep their columns lined up; values too long for their column
+ * are cut short. Characters outside Windows-1252 are written as '?'.
+ */
+
+const zlib = require('zlib');
+
+// Page layout, in points
+const PAGE = { width: 612, height: 792, margin: 50 };
+
+// Font resource names and the standard fonts they use
+const FONTS = {
+  F1: 'Helvetica',
+  F2: 'Helvetica-Bold',
+  F3: 'Courier'
+};
+
+// Line styles: font, size and the space the line takes up
+const STYLES = {
+  title: { font: 'F2', size: 16, leading: 24 },
+  subtitle: { font: 'F1', size: 10, leading: 16 },
+  heading: { font: 'F2', size: 12, leading: 20 },
+  note: { font: 'F1', size: 9, leading: 14 },
+  table: { font: 'F3', size: 8, leading: 11 },
+  footer: { font: 'F1', size: 8, leading: 0 }
+};
+
+// Courier's characters are 0.6 of the font size wide
+const TABLE_CHARS = Math.floor((PAGE.width - PAGE.margin * 2) / (STYLES.table.size * 0.6));
+const MAX_COLUMN_CHARS = 32;
+const COLUMN_GAP = 2;
+
+// Windows-1252 codes for the punctuation that isn't in Latin-1
+const WIN_ANSI = {
+  '–': 0x96,
+  '—': 0x97,
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '…': 0x85,
+  '€': 0x80
+};
+
+/**
+ * Write text as a PDF string literal
+ * @param {string} text - Text to write
+ * @returns {string} Literal, including its parentheses
+ */
+const pdfString = (text) => {
+  const escaped = Array.from(String(text)).map((char) => {
+    const code = WIN_ANSI[char] || char.charCodeAt(0);
+
+    if (char === '(' || char === ')' || char === '\\') {
+      return `\\${char}`;
+    }
+
+    if (code >= 0x20 && code <= 0x7e) {
+      return char;
+    }
+
+    if ((code >= 0x80 && code <= 0x9f && WIN_ANSI[char]) || (code >= 0xa0 && code <= 0xff)) {
+      return `\\${code.toString(8).padStart(3, '0')}`;
+    }
+
+    return '?';
+  }).join('');
+
+  return `(${escaped})`;
+};
+
+/**
+ * Work out how many characters each table column gets
+ * Columns get the width of their longest value, up to a limit, and are then
+ * narrowed together if the table is still wider than the page.
+ * @param {Array<string>} columns - Column headers
+ * @param {Array<Array<string>>} rows - Cell text
+ * @returns {Array<number>} Width of each column in characters
+ */
+const columnWidths = (columns, rows) => {
+  const widths = columns.map((column, index) => Math.min(MAX_COLUMN_CHARS, Math.max(
+    column.length,
+    ...rows.map(row => row[index].length)
+  )));
+
+  const available = TABLE_CHARS - COLUMN_GAP * (columns.length - 1);
+  const total = widths.reduce((sum, width) => sum + width, 0);
+
+  if (total <= available) {
+    return widths;
+  }
+
+  return widths.map(width => Math.max(3, Math.floor((width * available) / total)));
+};
+
+/**
+ * Fit a value into a column
+ * Numbers are right-aligned; text that is too long ends in '...'.
+ * @param {string} text - Cell text
+ * @param {number} width - Column width in characters
+ * @param {boolean} numeric - Whether the column holds numbers
+ * @returns {string} Padded cell
+ */
+const fitCell = (text, width, numeric) => {
+  const fitted = text.length > width ? `${text.slice(0, Math.max(0, width - 3))}...`.slice(0, width) : text;
+  return numeric ? fitted.padStart(width) : fitted.padEnd(width);
+};
+
+/**
+ * Turn a document into the lines to set, in order
+ * @param {Object} document - Document (see buildPdf)
+ * @returns {Array<Object>} [{ style, text, spaceBefore }]
+ */
+const layoutLines = ({ title, subtitle, sections = [] }) => {
+  const lines = [{ style: 'title', text: title }];
+
+  if (subtitle) {
+    lines.push({ style: 'subtitle', text: subtitle });
+  }
+
+  sections.forEach(({ heading, note, columns = [], rows = [] }) => {
+    lines.push({ style: 'heading', text: heading, spaceBefore: 8 });
+
+    if (note) {
+      lines.push({ style: 'note', text: note });
+    }
+
+    if (columns.length === 0) {
+      return;
+    }
+
+    const cells = rows.map(row => columns.map((column, index) => (
+      row[index] === null || row[index] === undefined ? '' : String(row[index])
+    )));
+    const numeric = columns.map((column, index) => cells.length > 0 &&
+      cells.every(row => row[index] === '' || /^-?[\d.,]+%?$/.test(row[index])));
+    const widths = columnWidths(columns, cells);
+    const gap = ' '.repeat(COLUMN_GAP);
+
+    lines.push({ style: 'table', text: columns.map((column, index) => fitCell(column, widths[index], numeric[index])).join(gap) });
+    lines.push({ style: 'table', text: widths.map(width => '-'.repeat(width)).join(gap) });
+
+    if (cells.length === 0) {
+      lines.push({ style: 'table', text: 'No data' });
+    }
+
+    cells.forEach((row) => {
+      lines.push({ style: 'table', text: row.map((cell, index) => fitCell(cell, widths[index], numeric[index])).join(gap) });
+    });
+  });
+
+  return lines;
+};
+
+/**
+ * Split lines into pages of content stream operators
+ * @param {Array<Object>} lines - Lines from layoutLines
+ * @returns {Array<Array<string>>} Text operators for each page
+ */
+const paginate = (lines) => {
+  const pages = [];
+  let operators = null;
+  let y = 0;
+
+  lines.forEach(({ style, text, spaceBefore = 0 }) => {
+    const { font, size, leading } = STYLES[style];
+
+    if (!operators || y - spaceBefore - leading < PAGE.margin) {
+      operators = [];
+      pages.push(operators);
+      y = PAGE.height - PAGE.margin;
+    } else {
+      y -= spaceBefore;
+    }
+
+    y -= leading;
+    operators.push(`BT /${font} ${size} Tf ${PAGE.margin} ${y} Td ${pdfString(text)} Tj ET`);
+  });
+
+  return pages;
+};
+
+/**
+ * Build a PDF document
+ * @param {Object} document - What to write
+ * @param {string} document.title - Title at the top of the first page
+ * @param {string} [document.subtitle] - Line under the title, e.g. the filters used
+ * @param {Array<Object>} [document.sections] - [{ heading, note, columns, rows }]; rows are arrays of values
+ * @returns {Buffer} PDF file
+ */
+const buildPdf = (document) => {
+  const pages = paginate(layoutLines(document));
+  const fontNames = Object.keys(FONTS);
+
+  // Objects are numbered from 1: catalog, page tree, fonts, then a page and its content for each page
+  const firstPageId = 3 + fontNames.length;
+  const objects = [
+    Buffer.from('<< /Type /Catalog /Pages 2 0 R >>'),
+    Buffer.from(`<< /Type /Pages /Kids [${pages.map((page, index) => `${firstPageId + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`),
+    ...fontNames.map(name => Buffer.from(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[name]} /Encoding /WinAnsiEncoding >>`))
+  ];
+  const fontResources = fontNames.map((name, index) => `/${name} ${3 + index} 0 R`).join(' ');
+
+  pages.forEach((operators, index) => {
+    const { font, size } = STYLES.footer;
+    const footer = `BT /${font} ${size} Tf ${PAGE.width - PAGE.margin - 50} ${PAGE.margin / 2} Td ${pdfString(`Page ${index + 1} of ${pages.length}`)} Tj ET`;
+    const content = zlib.deflateSync(Buffer.from([...operators, footer].join('\n'), 'latin1'));
+    const contentId = firstPageId + index * 2 + 1;
+
+    objects.push(Buffer.from(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] `
+      + `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`));
+    objects.push(Buffer.concat([
+      Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+      content,
+      Buffer.from('\nendstream')
+    ]));
+  });
+
+  const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let length = parts[0].length;
+
+  objects.forEach((body, index) => {
+    const object = Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), body, Buffer.from('\nendobj\n')]);
+    offsets.push(length);
+    parts.push(object);
+    length += object.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF'
+  ].join('\n');
+
+  parts.push(Buffer.from(xref));
+
+  return Buffer.concat(parts);
+};
+
+module.exports = {
+  PAGE,
+  pdfString,
+  buildPdf
+};
@@ -0,0 +1,406 @@
+/**
+ * Performance Goals Utility
+ *
+ * Managers set monthly targets for their salespeople and run their weekly
+ * sales meetings from the progress against them. It provides:
+ * - The metrics goals can be set for, and checks on the goals managers save
+ * - Each user's actual numbers for a month
+ * - The leaderboard: every salesperson's targets, actuals and progress,
+ *   ranked by how close they are to their goals overall
+ * - A user's own progress and place on the leaderboard
+ *
+ * Actuals are credited to the salesperson a lead or referral is assigned to,
+ * except meetings and messages, which belong to the user who logged or sent
+ * them. A lead counts once towards appointments set in a month, whether the
+ * appointment shows up as a move to 'appointment_scheduled' in its status
+ * history, a logged meeting, or both. Conversions are leads moved to 'won'
+ * and referrals converted during the month. Months run from midnight UTC on
+ * the 1st.
+ */
+
+const goalModel = require('../models/goalModel');
+const leadPipeline = require('./leadPipeline');
+const { CustomError } = require('./errorHandler');
+
+// Configuration for performance goals
+const config = {
+  // Records read per query when counting actuals
+  pageSize: 1000
+};
+
+// What goals can be set for, in the order they are shown
+const METRICS = [
+  { key: 'new_leads', label: 'New Leads' },
+  { key: 'appointments_set', label: 'Appointments Set' },
+  { key: 'conversions', label: 'Conversions' },
+  { key: 'referrals_generated', label: 'Referrals Generated' },
+  { key: 'messages_sent', label: 'Messages Sent' }
+];
+
+const METRIC_KEYS = METRICS.map(metric => metric.key);
+
+/**
+ * Round a fraction to four decimals
+ * @param {number} value - Fraction
+ * @returns {number} Rounded fraction
+ */
+const round = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Work out the month a report or goal is for
+ * @param {string} [value] - Month in the form YYYY-MM; defaults to the current month
+ * @param {Date} [now] - Current time
+ * @returns {Object} { month: 'YYYY-MM', date: first day as 'YYYY-MM-DD', start, end } with end exclusive
+ * @throws {CustomError} 400 if the month isn't in the form YYYY-MM
+ */
+const parseMonth = (value, now = new Date()) => {
+  let year = now.getUTCFullYear();
+  let monthIndex = now.getUTCMonth();
+
+  if (value !== undefined && value !== null && value !== '') {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(value));
+
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw new CustomError('month must be in the form YYYY-MM', 400);
+    }
+
+    year = Number(match[1]);
+    monthIndex = Number(match[2]) - 1;
+  }
+
+  const start = new Date(Date.UTC(year, monthIndex, 1));
+  const month = start.toISOString().slice(0, 7);
+
+  return {
+    month,
+    date: `${month}-01`,
+    start,
+    end: new Date(Date.UTC(year, monthIndex + 1, 1))
+  };
+};
+
+/**
+ * Check the goals a manager is saving for a month
+ * @param {Array<Object>} goals - [{ user_id, metric, target }]
+ * @param {Array<Object>} users - The organization's users
+ * @returns {Array<Object>} Goals with whole-number targets
+ * @throws {CustomError} 400 describing the first problem found
+ */
+const normalizeGoals = (goals, users) => {
+  if (!Array.isArray(goals) || goals.length === 0) {
+    throw new CustomError('goals must be a list of { user_id, metric, target }', 400);
+  }
+
+  const userIds = new Set(users.map(user => user.id));
+  const seen = new Set();
+
+  return goals.map((goal, index) => {
+    const { user_id: userId, metric } = goal || {};
+    const target = Number(goal && goal.target);
+
+    if (!userIds.has(userId)) {
+      throw new CustomError(`Goal ${index + 1}: user_id must be one of your organization's users`, 400);
+    }
+
+    if (!METRIC_KEYS.includes(metric)) {
+      throw new CustomError(`Goal ${index + 1}: metric must be one of: ${METRIC_KEYS.join(', ')}`, 400);
+    }
+
+    if (goal.target === null || goal.target === '' || !Number.isInteger(target) || target < 0) {
+      throw new CustomError(`Goal ${index + 1}: target must be a whole number of 0 or more`, 400);
+    }
+
+    if (seen.has(`${userId}:${metric}`)) {
+      throw new CustomError(`Goal ${index + 1}: there is already a ${metric} goal for this user`, 400);
+    }
+
+    seen.add(`${userId}:${metric}`);
+
+    return { user_id: userId, metric, target };
+  });
+};
+
+/**
+ * Read every page of a query
+ * @param {Function} fetchPage - Called with { page, pageSize }; resolves to a page of rows
+ * @returns {Promise<Array>} All rows
+ */
+const loadAll = async (fetchPage) => {
+  const rows = [];
+
+  for (let page = 0; ; page += 1) {
+    const batch = await fetchPage({ page, pageSize: config.pageSize });
+    rows.push(...batch);
+
+    if (batch.length < config.pageSize) {
+      return rows;
+    }
+  }
+};
+
+/**
+ * Get the one extension on a persons row
+ * @param {Object|Array} extension - Joined extension
+ * @returns {Object} Extension, empty if there isn't one
+ */
+const single = extension => (Array.isArray(extension) ? extension[0] : extension) || {};
+
+/**
+ * Count each user's actuals for a month
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @param {Object} period - Month from parseMonth
+ * @returns {Promise<Map>} Counts for each metric by user ID
+ */
+const getActuals = async (scope, { start, end }) => {
+  const since = start.toISOString();
+  const until = end.toISOString();
+  const inMonth = value => Boolean(value) && new Date(value) >= start && new Date(value) < end;
+
+  const [leads, referrals, meetings, messages] = await Promise.all([
+    loadAll(pagination => goalModel.getLeadActivity({ since }, pagination, scope)),
+    loadAll(pagination => goalModel.getReferralActivity({ since }, pagination, scope)),
+    loadAll(pagination => goalModel.getMeetings({ since, until }, pagination, scope)),
+    loadAll(pagination => goalModel.getSentMessages({ since, until }, pagination, scope))
+  ]);
+
+  const actuals = new Map();
+  const appointments = new Map();
+
+  const add = (userId, metric) => {
+    if (!userId) {
+      return;
+    }
+
+    if (!actuals.has(userId)) {
+      actuals.set(userId, METRIC_KEYS.reduce((counts, key) => ({ ...counts, [key]: 0 }), {}));
+    }
+
+    actuals.get(userId)[metric] += 1;
+  };
+
+  // Leads with an appointment set, by user, so each counts once
+  const addAppointment = (userId, personId) => {
+    if (!userId) {
+      return;
+    }
+
+    if (!appointments.has(userId)) {
+      appointments.set(userId, new Set());
+    }
+
+    appointments.get(userId).add(personId);
+  };
+
+  leads.forEach((lead) => {
+    if (inMonth(lead.created_at)) {
+      add(lead.assigned_to, 'new_leads');
+    }
+
+    const reached = new Set((single(lead.lead_extensions).status_history || [])
+      .filter(entry => entry && inMonth(entry.timestamp))
+      .map((entry) => {
+        const stage = leadPipeline.getStage(entry.status);
+        return stage ? stage.key : entry.status;
+      }));
+
+    if (reached.has('appointment_scheduled')) {
+      addAppointment(lead.assigned_to, lead.id);
+    }
+
+    if (reached.has('won')) {
+      add(lead.assigned_to, 'conversions');
+    }
+  });
+
+  meetings.forEach(meeting => addAppointment(meeting.user_id, meeting.person_id || meeting.id));
+
+  appointments.forEach((personIds, userId) => {
+    personIds.forEach(() => add(userId, 'appointments_set'));
+  });
+
+  referrals.forEach((referral) => {
+    const extension = single(referral.referral_extensions);
+
+    if (inMonth(referral.created_at)) {
+      add(referral.assigned_to, 'referrals_generated');
+    }
+
+    if (extension.conversion_status === 'converted' && inMonth(extension.conversion_date)) {
+      add(referral.assigned_to, 'conversions');
+    }
+  });
+
+  messages.forEach(message => add(message.sender_id, 'messages_sent'));
+
+  return actuals;
+};
+
+/**
+ * Get the leaderboard for a month
+ * Salespeople are always listed; other users only when they have goals or
+ * activity. Users are ranked by their score, the average progress towards
+ * their goals with each goal counting for no more than 100%, then by
+ * conversions. Users without goals have no score and come last.
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @param {Object} [options] - Report options
+ * @param {string} [options.month] - Month in the form YYYY-MM; defaults to the current month
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} { month, metrics, entries: [{ rank, user, score, metrics: { [key]: { target, actual, progress } } }], generated_at }
+ */
+const getLeaderboard = async (scope, { month, now = new Date() } = {}) => {
+  const period = parseMonth(month, now);
+
+  const [users, goals, actuals] = await Promise.all([
+    goalModel.getUsers(scope.organizationId),
+    goalModel.getGoals(scope.organizationId, { month: period.date }),
+    getActuals(scope, period)
+  ]);
+
+  const targets = new Map();
+
+  goals.forEach((goal) => {
+    if (!targets.has(goal.user_id)) {
+      targets.set(goal.user_id, {});
+    }
+
+    targets.get(goal.user_id)[goal.metric] = goal.target;
+  });
+
+  const entries = users
+    // Users working at another location aren't on this location's board
+    .filter(user => !scope.locationId || !user.location_id || user.location_id === scope.locationId)
+    .filter(user => user.role === 'salesperson' || targets.has(user.id) || actuals.has(user.id))
+    .map((user) => {
+      const userTargets = targets.get(user.id) || {};
+      const userActuals = actuals.get(user.id) || {};
+      const progress = [];
+
+      const metrics = METRIC_KEYS.reduce((result, key) => {
+        const target = userTargets[key] === undefined ? null : userTargets[key];
+        const actual = userActuals[key] || 0;
+        let metricProgress = null;
+
+        if (target !== null) {
+          metricProgress = target > 0 ? round(actual / target) : 1;
+          progress.push(Math.min(metricProgress, 1));
+        }
+
+        return { ...result, [key]: { target, actual, progress: metricProgress } };
+      }, {});
+
+      return {
+        user: {
+          id: user.id,
+          name: [user.first_name, user.last_name].filter(Boolean).join(' ') || 'Unnamed user'
+        },
+        score: progress.length > 0 ? round(progress.reduce((sum, value) => sum + value, 0) / progress.length) : null,
+        metrics
+      };
+    })
+    .sort((a, b) => {
+      if ((a.score === null) !== (b.score === null)) {
+        return a.score === null ? 1 : -1;
+      }
+
+      return (b.score || 0) - (a.score || 0) ||
+        b.metrics.conversions.actual - a.metrics.conversions.actual ||
+        a.user.name.localeCompare(b.user.name);
+    })
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+  return {
+    month: period.month,
+    metrics: METRICS,
+    entries,
+    generated_at: now.toISOString()
+  };
+};
+
+/**
+ * Get a user's progress towards their goals for a month
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @param {UUID} userId - User ID
+ * @param {Object} [options] - Report options (see getLeaderboard)
+ * @returns {Promise<Object>} { month, metrics, rank, of, score, progress: { [key]: { target, actual, progress } }, generated_at }
+ */
+const getUserProgress = async (scope, userId, options = {}) => {
+  const leaderboard = await getLeaderboard(scope, options);
+  const entry = leaderboard.entries.find(candidate => candidate.user.id === userId);
+
+  return {
+    month: leaderboard.month,
+    metrics: leaderboard.metrics,
+    rank: entry ? entry.rank : null,
+    of: leaderboard.entries.length,
+    score: entry ? entry.score : null,
+    progress: entry
+      ? entry.metrics
+      : METRIC_KEYS.reduce((result, key) => ({ ...result, [key]: { target: null, actual: 0, progress: null } }), {}),
+    generated_at: leaderboard.generated_at
+  };
+};
+
+/**
+ * Get an organization's goals for a month
+ * @param {UUID} organizationId - Organization ID
+ * @param {string} [month] - Month in the form YYYY-MM; defaults to the current month
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { month, metrics, users, goals }
+ */
+const getGoals = async (organizationId, month, now = new Date()) => {
+  const period = parseMonth(month, now);
+
+  const [users, goals] = await Promise.all([
+    goalModel.getUsers(organizationId),
+    goalModel.getGoals(organizationId, { month: period.date })
+  ]);
+
+  return {
+    month: period.month,
+    metrics: METRICS,
+    users: users.map(user => ({
+      id: user.id,
+      name: [user.first_name, user.last_name].filter(Boolean).join(' ') || 'Unnamed user',
+      role: user.role
+    })),
+    goals
+  };
+};
+
+/**
+ * Set users' targets for a month
+ * Targets already set for the same user and metric are replaced.
+ * @param {UUID} organizationId - Organization ID
+ * @param {string} month - Month in the form YYYY-MM
+ * @param {Array<Object>} goals - [{ user_id, metric, target }]
+ * @param {UUID} createdBy - User setting the targets
+ * @returns {Promise<Array>} Saved goals
+ * @throws {CustomError} 400 if the month or a goal isn't valid
+ */
+const saveGoals = async (organizationId, month, goals, createdBy) => {
+  if (!month) {
+    throw new CustomError('month is required', 400);
+  }
+
+  const period = parseMonth(month);
+  const users = await goalModel.getUsers(organizationId);
+
+  return goalModel.saveGoals(normalizeGoals(goals, users).map(goal => ({
+    ...goal,
+    organization_id: organizationId,
+    month: period.date,
+    created_by: createdBy
+  })));
+};
+
+module.exports = {
+  config,
+  METRICS,
+  parseMonth,
+  normalizeGoals,
+  getActuals,
+  getLeaderboard,
+  getUserProgress,
+  getGoals,
+  saveGoals
+};
@@ -0,0 +1,497 @@
+/**
+ * Pipeline Report Utility
+ *
+ * Reports on how leads and referrals move through their pipelines, from the
+ * status_history on lead_extensions and referral_extensions. It provides:
+ * - Stage-to-stage conversion: how many records reached each stage and what
+ *   share of those reaching the stage before went on to reach it
+ * - Pipeline velocity: the median days records spent in each stage
+ * - Cohort conversion: records acquired in each month and how many were won
+ * - Win rates by acquisition source, acquisition campaign and salesperson
+ * - CSV and PDF exports of the report
+ *
+ * Records are picked by when they were acquired (acquisition_date, or when
+ * they were created if it isn't set), so a cohort keeps its records however
+ * long they take to close. A record counts as won when it is in the won stage
+ * (a won lead or a converted referral) and as lost in the lost stage. Win
+ * rates are wins out of closed records; cohort conversion is wins out of every
+ * record in the cohort. Rates are fractions from 0 to 1.
+ */
+
+const analyticsModel = require('../models/analyticsModel');
+const leadPipeline = require('./leadPipeline');
+const spreadsheet = require('./spreadsheet');
+const pdf = require('./pdf');
+const { CustomError } = require('./errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Records read per query
+const PAGE_SIZE = 1000;
+
+// How far back a report reaches when no start date is given, in months
+const DEFAULT_MONTHS = 12;
+
+// Referral pipeline, in order; appointment statuses count towards the appointment stages
+const REFERRAL_STAGES = [
+  { key: 'submitted', label: 'Submitted', aliases: [] },
+  { key: 'contacted', label: 'Contacted', aliases: [] },
+  {
+    key: 'appointment_scheduled',
+    label: 'Appointment Scheduled',
+    aliases: ['appointment_confirmed', 'appointment_rescheduled', 'appointment_reschedule_requested', 'appointment_cancelled', 'no_show']
+  },
+  { key: 'appointment_completed', label: 'Appointment Completed', aliases: [] },
+  { key: 'converted', label: 'Converted', aliases: [] },
+  { key: 'lost', label: 'Lost', aliases: [] }
+];
+
+/**
+ * Normalize a status for matching
+ * @param {string} value - Status
+ * @returns {string} Lower-case status with underscores
+ */
+const toKey = value => String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// How each kind of record is read and staged
+const RECORD_TYPES = {
+  lead: {
+    label: 'Leads',
+    flag: 'is_lead',
+    extension: 'lead_extensions',
+    columns: 'lead_status, status_history',
+    statusField: 'lead_status',
+    wonStage: 'won',
+    exitStages: ['lost'],
+    stages: () => leadPipeline.getPipeline().map(({ key, label }) => ({ key, label })),
+    stageOf: (status) => {
+      const stage = leadPipeline.getStage(status);
+      return stage ? stage.key : null;
+    }
+  },
+  referral: {
+    label: 'Referrals',
+    flag: 'is_referral',
+    extension: 'referral_extensions',
+    columns: 'referral_status, conversion_status, status_history',
+    statusField: 'referral_status',
+    wonStage: 'converted',
+    exitStages: ['lost'],
+    stages: () => REFERRAL_STAGES.map(({ key, label }) => ({ key, label })),
+    stageOf: (status) => {
+      if (!status) {
+        return null;
+      }
+
+      const key = toKey(status);
+      const stage = REFERRAL_STAGES.find(candidate => candidate.key === key || candidate.aliases.includes(key));
+      return stage ? stage.key : null;
+    }
+  }
+};
+
+// Dimensions win rates are broken down by
+const DIMENSIONS = {
+  source: { label: 'Acquisition source', empty: 'Unknown' },
+  campaign: { label: 'Acquisition campaign', empty: 'No campaign' },
+  salesperson: { label: 'Salesperson', empty: 'Unassigned' }
+};
+
+/**
+ * Divide, rounding to four decimals and treating nothing out of nothing as 0
+ * @param {number} part - Numerator
+ * @param {number} whole - Denominator
+ * @returns {number} Rate from 0 to 1
+ */
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0);
+
+/**
+ * Get the middle value of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} Median rounded to two decimals, or null for an empty list
+ */
+const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const value = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+
+  return Math.round(value * 100) / 100;
+};
+
+/**
+ * Read a YYYY-MM-DD date from the query string
+ * @param {string} value - Date text
+ * @param {string} name - Parameter name, for the error
+ * @returns {Date|null} Midnight UTC on the date, or null if none was given
+ * @throws {CustomError} 400 for a malformed date
+ */
+const parseDay = (value, name) => {
+  if (!value) {
+    return null;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  const date = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : null;
+
+  if (!date || date.getUTCDate() !== Number(match[3])) {
+    throw new CustomError(`${name} must be a date in the form YYYY-MM-DD`, 400);
+  }
+
+  return date;
+};
+
+/**
+ * Check and complete a report's filters
+ * @param {Object} query - Filters from the query string
+ * @param {string} [query.record_type] - 'lead' (default) or 'referral'
+ * @param {string} [query.start_date] - First acquisition day (YYYY-MM-DD); defaults to the start of the month a year ago
+ * @param {string} [query.end_date] - Last acquisition day (YYYY-MM-DD); defaults to today
+ * @param {string} [query.acquisition_source] - Only records from this source
+ * @param {string} [query.acquisition_campaign] - Only records from this campaign
+ * @param {UUID} [query.assigned_to] - Only records assigned to this user
+ * @param {Date} [now] - Current time
+ * @returns {Object} Filters with record_type, start_date and end_date always set
+ * @throws {CustomError} 400 for an unknown record type or bad dates
+ */
+const normalizeFilters = (query = {}, now = new Date()) => {
+  const recordType = query.record_type || 'lead';
+
+  if (!RECORD_TYPES[recordType]) {
+    throw new CustomError(`record_type must be one of: ${Object.keys(RECORD_TYPES).join(', ')}`, 400);
+  }
+
+  const endDay = parseDay(query.end_date, 'end_date') ||
+    new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const startDay = parseDay(query.start_date, 'start_date') ||
+    new Date(Date.UTC(endDay.getUTCFullYear(), endDay.getUTCMonth() - (DEFAULT_MONTHS - 1), 1));
+
+  if (startDay > endDay) {
+    throw new CustomError('start_date must be on or before end_date', 400);
+  }
+
+  return {
+    record_type: recordType,
+    start_date: startDay.toISOString().slice(0, 10),
+    end_date: endDay.toISOString().slice(0, 10),
+    acquisition_source: query.acquisition_source || null,
+    acquisition_campaign: query.acquisition_campaign || null,
+    assigned_to: query.assigned_to || null
+  };
+};
+
+/**
+ * Read every lead or referral in scope
+ * @param {Object} type - Record type definition
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Array>} Persons with their extension
+ */
+const loadRecords = async (type, scope) => {
+  const records = [];
+
+  for (let page = 0; ; page += 1) {
+    const batch = await analyticsModel.getRecordsForReport({
+      flag: type.flag,
+      extension: type.extension,
+      columns: type.columns
+    }, { page, pageSize: PAGE_SIZE }, scope);
+
+    records.push(...batch);
+
+    if (batch.length < PAGE_SIZE) {
+      return records;
+    }
+  }
+};
+
+/**
+ * Get the values a record is grouped by
+ * @param {Object} type - Record type definition
+ * @param {Object} record - Person with its extension
+ * @returns {Object} { acquiredAt, source, campaign, salespersonId, salespersonName, stage, history }
+ */
+const describeRecord = (type, record) => {
+  const extension = (Array.isArray(record[type.extension])
+    ? record[type.extension][0]
+    : record[type.extension]) || {};
+  const salesperson = record.salesperson;
+  let stage = type.stageOf(extension[type.statusField]);
+
+  // A referral marked converted counts as won whatever its status says
+  if (extension.conversion_status === 'converted') {
+    stage = type.wonStage;
+  }
+
+  return {
+    acquiredAt: new Date(record.acquisition_date || record.created_at),
+    source: (record.acquisition_source || '').trim() || null,
+    campaign: (record.acquisition_campaign || '').trim() || null,
+    salespersonId: record.assigned_to || null,
+    salespersonName: salesperson ? `${salesperson.first_name || ''} ${salesperson.last_name || ''}`.trim() : null,
+    stage,
+    status: extension[type.statusField],
+    history: (extension.status_history || [])
+      .filter(entry => entry && entry.status && entry.timestamp)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+  };
+};
+
+/**
+ * Work out the days a record spent in each stage it has left
+ * The stage it is in now is still open, so it isn't counted.
+ * @param {Object} type - Record type definition
+ * @param {Array<Object>} history - Status history, oldest first
+ * @returns {Object} Days per stage key
+ */
+const stageDays = (type, history) => {
+  const days = {};
+
+  history.slice(0, -1).forEach((entry, index) => {
+    const key = type.stageOf(entry.status);
+
+    if (key) {
+      days[key] = (days[key] || 0) + (new Date(history[index + 1].timestamp) - new Date(entry.timestamp)) / DAY_MS;
+    }
+  });
+
+  return days;
+};
+
+/**
+ * Add up records, wins and losses for a group
+ * @param {Map} groups - Totals by group key
+ * @param {string} key - Group key
+ * @param {string} label - Group label
+ * @param {Object} type - Record type definition
+ * @param {string|null} stage - The record's current stage
+ */
+const tally = (groups, key, label, type, stage) => {
+  if (!groups.has(key)) {
+    groups.set(key, { key, label, records: 0, won: 0, lost: 0, open: 0 });
+  }
+
+  const totals = groups.get(key);
+  totals.records += 1;
+
+  if (stage === type.wonStage) {
+    totals.won += 1;
+  } else if (type.exitStages.includes(stage)) {
+    totals.lost += 1;
+  } else {
+    totals.open += 1;
+  }
+};
+
+/**
+ * Build the pipeline report
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @param {Object} query - Filters (see normalizeFilters)
+ * @param {Object} [options] - Report options
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} { filters, total, stages, cohorts, win_rates, options, generated_at }
+ * @throws {CustomError} 400 for bad filters
+ */
+const buildReport = async (scope, query = {}, { now = new Date() } = {}) => {
+  const filters = normalizeFilters(query, now);
+  const type = RECORD_TYPES[filters.record_type];
+  const start = new Date(`${filters.start_date}T00:00:00.000Z`);
+  const end = new Date(new Date(`${filters.end_date}T00:00:00.000Z`).getTime() + DAY_MS);
+
+  const inRange = (await loadRecords(type, scope))
+    .map(record => describeRecord(type, record))
+    .filter(record => record.acquiredAt >= start && record.acquiredAt < end);
+
+  // The filter menus list what's in the date range, before the other filters narrow it
+  const salespeople = new Map();
+  inRange.filter(record => record.salespersonId)
+    .forEach(record => salespeople.set(record.salespersonId, record.salespersonName || record.salespersonId));
+
+  const filterOptions = {
+    sources: [...new Set(inRange.map(record => record.source).filter(Boolean))].sort(),
+    campaigns: [...new Set(inRange.map(record => record.campaign).filter(Boolean))].sort(),
+    salespeople: Array.from(salespeople, ([id, name]) => ({ id, name })).sort((a, b) => a.name.localeCompare(b.name))
+  };
+
+  const records = inRange.filter(record => (!filters.acquisition_source || record.source === filters.acquisition_source) &&
+    (!filters.acquisition_campaign || record.campaign === filters.acquisition_campaign) &&
+    (!filters.assigned_to || record.salespersonId === filters.assigned_to));
+
+  // Stage-to-stage conversion and velocity
+  const stages = type.stages();
+  const steps = stages.filter(stage => !type.exitStages.includes(stage.key)).map(stage => stage.key);
+  const reached = steps.map(() => 0);
+  const exited = {};
+  const durations = {};
+
+  records.forEach((record) => {
+    const visited = [record.status, ...record.history.map(entry => entry.status)].map(type.stageOf);
+
+    if (record.stage) {
+      visited.push(record.stage);
+    }
+
+    // Every record starts in the first stage
+    const furthest = visited.reduce((max, key) => Math.max(max, steps.indexOf(key)), 0);
+
+    for (let index = 0; index <= furthest; index += 1) {
+      reached[index] += 1;
+    }
+
+    type.exitStages.filter(key => visited.includes(key)).forEach((key) => {
+      exited[key] = (exited[key] || 0) + 1;
+    });
+
+    Object.entries(stageDays(type, record.history)).forEach(([key, days]) => {
+      durations[key] = durations[key] || [];
+      durations[key].push(days);
+    });
+  });
+
+  const stageRows = stages.map((stage) => {
+    const index = steps.indexOf(stage.key);
+
+    return {
+      key: stage.key,
+      label: stage.label,
+      reached: index === -1 ? exited[stage.key] || 0 : reached[index],
+      conversion_rate: index > 0 ? rate(reached[index], reached[index - 1]) : null,
+      median_days: median(durations[stage.key] || []),
+      measured: (durations[stage.key] || []).length
+    };
+  });
+
+  // Cohorts by acquisition month, including months with nothing acquired
+  const cohorts = new Map();
+
+  for (let month = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1)); month < end;
+    month = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 1))) {
+    const key = month.toISOString().slice(0, 7);
+    cohorts.set(key, { key, label: key, records: 0, won: 0, lost: 0, open: 0 });
+  }
+
+  const groups = { source: new Map(), campaign: new Map(), salesperson: new Map() };
+
+  records.forEach((record) => {
+    tally(cohorts, record.acquiredAt.toISOString().slice(0, 7), record.acquiredAt.toISOString().slice(0, 7), type, record.stage);
+    tally(groups.source, record.source || '', record.source || DIMENSIONS.source.empty, type, record.stage);
+    tally(groups.campaign, record.campaign || '', record.campaign || DIMENSIONS.campaign.empty, type, record.stage);
+    tally(groups.salesperson, record.salespersonId || '', record.salespersonId
+      ? record.salespersonName || record.salespersonId
+      : DIMENSIONS.salesperson.empty, type, record.stage);
+  });
+
+  const withWinRate = totals => ({ ...totals, win_rate: rate(totals.won, totals.won + totals.lost) });
+
+  const winRates = {};
+  Object.keys(groups).forEach((dimension) => {
+    winRates[dimension] = Array.from(groups[dimension].values())
+      .map(withWinRate)
+      .sort((a, b) => b.records - a.records || a.label.localeCompare(b.label));
+  });
+
+  return {
+    filters,
+    total: records.length,
+    stages: stageRows,
+    cohorts: Array.from(cohorts.values()).map(totals => ({
+      month: totals.key,
+      records: totals.records,
+      won: totals.won,
+      lost: totals.lost,
+      open: totals.open,
+      conversion_rate: rate(totals.won, totals.records),
+      win_rate: rate(totals.won, totals.won + totals.lost)
+    })),
+    win_rates: winRates,
+    options: filterOptions,
+    generated_at: now.toISOString()
+  };
+};
+
+/**
+ * Format a rate as a percentage
+ * @param {number|null} value - Rate from 0 to 1
+ * @returns {string} Percentage with one decimal, or empty for no rate
+ */
+const percent = value => (value === null || value === undefined ? '' : `${Math.round(value * 1000) / 10}%`);
+
+/**
+ * Lay a report out as titled tables, shared by the CSV and PDF exports
+ * @param {Object} report - Report from buildReport
+ * @returns {Object} { title, subtitle, sections: [{ heading, note, columns, rows }] }
+ */
+const reportTables = (report) => {
+  const { filters } = report;
+  const type = RECORD_TYPES[filters.record_type];
+  const narrowed = [
+    filters.acquisition_source && `source ${filters.acquisition_source}`,
+    filters.acquisition_campaign && `campaign ${filters.acquisition_campaign}`,
+    filters.assigned_to && `salesperson ${(report.options.salespeople.find(person => person.id === filters.assigned_to) || {}).name || filters.assigned_to}`
+  ].filter(Boolean);
+
+  const groupColumns = label => [label, 'Records', 'Won', 'Lost', 'Open', 'Win rate'];
+  const groupRows = groups => groups.map(group => [group.label, group.records, group.won, group.lost, group.open, percent(group.win_rate)]);
+
+  return {
+    title: `${type.label} Pipeline Report`,
+    subtitle: `Acquired ${filters.start_date} to ${filters.end_date}${narrowed.length > 0 ? `; ${narrowed.join(', ')}` : ''}. `
+      + `${report.total} ${type.label.toLowerCase()}. Generated ${report.generated_at.slice(0, 16).replace('T', ' ')} UTC.`,
+    sections: [
+      {
+        heading: 'Stage conversion and velocity',
+        note: 'Conversion is the share of records reaching the previous stage that reached this one. Median days counts stages records have left.',
+        columns: ['Stage', 'Reached', 'Conversion', 'Median days', 'Measured'],
+        rows: report.stages.map(stage => [stage.label, stage.reached, percent(stage.conversion_rate),
+          stage.median_days === null ? '' : stage.median_days, stage.measured])
+      },
+      {
+        heading: 'Cohort conversion by acquisition month',
+        note: 'Conversion is wins out of every record acquired in the month; win rate is wins out of closed records.',
+        columns: ['Month', 'Records', 'Won', 'Lost', 'Open', 'Conversion', 'Win rate'],
+        rows: report.cohorts.map(cohort => [cohort.month, cohort.records, cohort.won, cohort.lost, cohort.open,
+          percent(cohort.conversion_rate), percent(cohort.win_rate)])
+      },
+      ...Object.keys(DIMENSIONS).map(dimension => ({
+        heading: `Win rate by ${DIMENSIONS[dimension].label.toLowerCase()}`,
+        columns: groupColumns(DIMENSIONS[dimension].label),
+        rows: groupRows(report.win_rates[dimension])
+      }))
+    ]
+  };
+};
+
+/**
+ * Write a report as CSV, one titled table after another
+ * @param {Object} report - Report from buildReport
+ * @returns {string} CSV text
+ */
+const toCsv = (report) => {
+  const { title, subtitle, sections } = reportTables(report);
+  const rows = [[title], [subtitle]];
+
+  sections.forEach(({ heading, columns, rows: sectionRows }) => {
+    rows.push([], [heading], columns, ...sectionRows);
+  });
+
+  return spreadsheet.toCsv(rows);
+};
+
+/**
+ * Write a report as a PDF
+ * @param {Object} report - Report from buildReport
+ * @returns {Buffer} PDF file
+ */
+const toPdf = report => pdf.buildPdf(reportTables(report));
+
+module.exports = {
+  RECORD_TYPES,
+  REFERRAL_STAGES,
+  median,
+  normalizeFilters,
+  buildReport,
+  toCsv,
+  toPdf
+};
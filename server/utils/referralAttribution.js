@@ -0,0 +1,260 @@
+/**
+ * Referral Attribution Utility
+ *
+ * Splits the credit for a referral between the members who referred the same
+ * person. The split is stored as each referral relationship's
+ * attribution_percentage, which the referrers' successful_referrals and their
+ * incentive rewards are worked out from.
+ *
+ * - first_touch: the earliest referrer gets all of the credit
+ * - last_touch: the latest referrer gets all of the credit
+ * - equal_split: every referrer gets the same share
+ * - manual: an admin sets each referrer's share
+ *
+ * A referral uses its own attribution_model if it has one, otherwise its
+ * organization's default. The split is applied when the referral converts, and
+ * again whenever an admin changes it.
+ */
+
+const referralModel = require('../models/referralModel');
+const relationshipModel = require('../models/relationshipModel');
+const memberModel = require('../models/memberModel');
+const organizationModel = require('../models/organizationModel');
+const { CustomError } = require('./errorHandler');
+
+const ATTRIBUTION_MODELS = ['first_touch', 'last_touch', 'equal_split', 'manual'];
+const DEFAULT_MODEL = 'first_touch';
+
+/**
+ * When a referrer referred the person
+ * @param {Object} relationship - Referral relationship
+ * @returns {number} Time in milliseconds
+ */
+const touchTime = relationship => new Date(relationship.referral_date || relationship.created_at || 0).getTime();
+
+/**
+ * Work out each referrer's share of a referral under a model
+ * Shares are whole percentages adding up to 100; an equal split gives any
+ * remainder to the earliest referrers. Manual shares are kept as they are.
+ * @param {Array} relationships - Referral relationships for the referral
+ * @param {string} model - Attribution model
+ * @returns {Array} [{ relationship_id, person_id, attribution_percentage, is_primary_referrer }], earliest first
+ */
+const computeShares = (relationships, model) => {
+  const ordered = [...relationships].sort((a, b) => touchTime(a) - touchTime(b));
+  const count = ordered.length;
+
+  const percentages = ordered.map((relationship, index) => {
+    switch (model) {
+      case 'last_touch':
+        return index === count - 1 ? 100 : 0;
+      case 'equal_split':
+        return Math.floor(100 / count) + (index < 100 % count ? 1 : 0);
+      case 'manual':
+        return relationship.attribution_percentage === null || relationship.attribution_percentage === undefined
+          ? 0
+          : Number(relationship.attribution_percentage);
+      default:
+        return index === 0 ? 100 : 0;
+    }
+  });
+
+  // The primary referrer has the largest share, the earliest on a tie
+  const primaryIndex = percentages.indexOf(Math.max(...percentages));
+
+  return ordered.map((relationship, index) => ({
+    relationship_id: relationship.id,
+    person_id: relationship.person_a_id,
+    attribution_percentage: percentages[index],
+    is_primary_referrer: index === primaryIndex
+  }));
+};
+
+/**
+ * Get the attribution model that applies to a referral
+ * @param {Object} referral - Referral with its referral_extensions and organization_id
+ * @returns {Promise<Object>} { model, referralModel, organizationModel }
+ */
+const resolveModel = async (referral) => {
+  const extension = (referral.referral_extensions || [])[0] || {};
+  const organization = referral.organization_id
+    ? await organizationModel.getOrganizationById(referral.organization_id)
+    : null;
+  const organizationDefault = (organization && organization.attribution_model) || DEFAULT_MODEL;
+
+  return {
+    model: extension.attribution_model || organizationDefault,
+    referralModel: extension.attribution_model || null,
+    organizationModel: organizationDefault
+  };
+};
+
+/**
+ * Get how a referral's credit is split between its referrers
+ * @param {Object} referral - Referral with its referral_extensions and organization_id
+ * @returns {Promise<Object>} { model, referral_model, organization_model, attributed_with, attributed_at,
+ *   referrers: [{ relationship_id, person_id, referrer, referral_date, attribution_percentage,
+ *   is_primary_referrer, share }] } where share is what the model would give the referrer now
+ */
+const getAttribution = async (referral) => {
+  const extension = (referral.referral_extensions || [])[0] || {};
+  const { model, referralModel: ownModel, organizationModel: organizationDefault } = await resolveModel(referral);
+  const relationships = await referralModel.getReferrersForReferral(referral.id);
+  const shares = computeShares(relationships, model);
+
+  return {
+    model,
+    referral_model: ownModel,
+    organization_model: organizationDefault,
+    attributed_with: extension.attributed_with || null,
+    attributed_at: extension.attributed_at || null,
+    referrers: shares.map((share) => {
+      const relationship = relationships.find(rel => rel.id === share.relationship_id);
+
+      return {
+        relationship_id: relationship.id,
+        person_id: relationship.person_a_id,
+        referrer: relationship.referrer || null,
+        referral_date: relationship.referral_date || relationship.created_at || null,
+        attribution_percentage: relationship.attribution_percentage,
+        is_primary_referrer: Boolean(relationship.is_primary_referrer),
+        share: share.attribution_percentage
+      };
+    })
+  };
+};
+
+/**
+ * Recount a referrer's successful_referrals from their converted referrals,
+ * each counting as the referrer's share of it
+ * @param {UUID} referrerId - Person ID of the referrer
+ * @returns {Promise<number|null>} New count, or null if the referrer isn't a member
+ */
+const recountSuccessfulReferrals = async (referrerId) => {
+  const memberExtension = await memberModel.getMemberExtensionByPersonId(referrerId);
+
+  if (!memberExtension) {
+    return null;
+  }
+
+  const conversions = await referralModel.getConvertedReferralShares(referrerId);
+  const points = conversions.reduce((sum, conversion) => sum + (
+    conversion.attribution_percentage === null || conversion.attribution_percentage === undefined
+      ? 100
+      : Number(conversion.attribution_percentage)
+  ), 0);
+  const successfulReferrals = Math.round(points) / 100;
+
+  await memberModel.updateMemberExtension(memberExtension.id, { successful_referrals: successfulReferrals });
+
+  return successfulReferrals;
+};
+
+/**
+ * Split a referral's credit between its referrers with the model that applies
+ * to it, and recount every referrer's successful_referrals
+ * Applying the same split again changes nothing.
+ * @param {Object} referral - Referral with its referral_extensions and organization_id
+ * @returns {Promise<Object>} The referral's attribution (see getAttribution)
+ */
+const applyAttribution = async (referral) => {
+  const { model } = await resolveModel(referral);
+  const relationships = await referralModel.getReferrersForReferral(referral.id);
+  const shares = computeShares(relationships, model);
+
+  for (const share of shares) {
+    const relationship = relationships.find(rel => rel.id === share.relationship_id);
+
+    if (relationship.attribution_percentage !== share.attribution_percentage ||
+        Boolean(relationship.is_primary_referrer) !== share.is_primary_referrer) {
+      await relationshipModel.updateRelationship(share.relationship_id, {
+        attribution_percentage: share.attribution_percentage,
+        is_primary_referrer: share.is_primary_referrer
+      });
+    }
+  }
+
+  const attributedAt = new Date().toISOString();
+  await referralModel.updateReferral(referral.id, {}, {
+    attributed_with: model,
+    attributed_at: attributedAt
+  });
+
+  for (const share of shares) {
+    await recountSuccessfulReferrals(share.person_id);
+  }
+
+  const extension = (referral.referral_extensions || [])[0] || {};
+
+  return getAttribution({
+    ...referral,
+    referral_extensions: [{ ...extension, attributed_with: model, attributed_at: attributedAt }]
+  });
+};
+
+/**
+ * Choose how a referral's credit is split, and apply it
+ * @param {Object} referral - Referral with its referral_extensions and organization_id
+ * @param {Object} attribution - The split
+ * @param {string|null} attribution.model - Attribution model; null uses the organization's default
+ * @param {Array} attribution.shares - For 'manual': [{ relationship_id, attribution_percentage }]
+ *   for every referrer, adding up to 100
+ * @returns {Promise<Object>} The referral's attribution (see getAttribution)
+ * @throws {CustomError} 400 if the model or shares are invalid
+ */
+const setAttribution = async (referral, { model = null, shares } = {}) => {
+  if (model !== null && !ATTRIBUTION_MODELS.includes(model)) {
+    throw new CustomError(`model must be one of: ${ATTRIBUTION_MODELS.join(', ')}`, 400);
+  }
+
+  const relationships = await referralModel.getReferrersForReferral(referral.id);
+
+  if (model === 'manual') {
+    if (!Array.isArray(shares)) {
+      throw new CustomError('shares are required for manual attribution', 400);
+    }
+
+    const byRelationship = new Map(shares.map(share => [share.relationship_id, Number(share.attribution_percentage)]));
+    const missing = relationships.some(rel => !byRelationship.has(rel.id));
+    const unknown = shares.some(share => !relationships.some(rel => rel.id === share.relationship_id));
+
+    if (missing || unknown) {
+      throw new CustomError('shares must give a percentage for each of the referral\'s referrers', 400);
+    }
+
+    const values = [...byRelationship.values()];
+
+    if (values.some(value => !Number.isInteger(value) || value < 0 || value > 100)) {
+      throw new CustomError('Each share must be a whole percentage between 0 and 100', 400);
+    }
+
+    if (values.reduce((sum, value) => sum + value, 0) !== 100) {
+      throw new CustomError('Shares must add up to 100%', 400);
+    }
+
+    for (const relationship of relationships) {
+      await relationshipModel.updateRelationship(relationship.id, {
+        attribution_percentage: byRelationship.get(relationship.id)
+      });
+    }
+  }
+
+  await referralModel.updateReferral(referral.id, {}, { attribution_model: model });
+
+  const extension = (referral.referral_extensions || [])[0] || {};
+
+  return applyAttribution({
+    ...referral,
+    referral_extensions: [{ ...extension, attribution_model: model }]
+  });
+};
+
+module.exports = {
+  ATTRIBUTION_MODELS,
+  DEFAULT_MODEL,
+  computeShares,
+  getAttribution,
+  applyAttribution,
+  setAttribution,
+  recountSuccessfulReferrals
+};
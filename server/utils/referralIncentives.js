@@ -0,0 +1,342 @@
+/**
+ * Referral Incentives Utility
+ *
+ * Evaluates the incentive rules admins define when a referral converts to a
+ * member, and moves the awards it creates through approval and payout.
+ *
+ * A rule pays on each conversion, or once a referrer reaches a number of
+ * converted referrals (a milestone, optionally repeating). Its reward can be
+ * tiered by how many referrals the referrer has converted, and a rule can be
+ * limited to conversions between starts_at and ends_at. Only those conversions
+ * count towards its milestones and tiers.
+ *
+ * A referral credited to several referrers is split by each referral
+ * relationship's attribution_percentage: a conversion reward is paid in
+ * proportion, and a conversion counts that fraction towards milestones and
+ * tiers. Shares adding up to more than 100% are scaled down, so a conversion
+ * never pays out more than the rule's reward.
+ *
+ * Awards start pending in the approval queue, or approved when the rule
+ * doesn't require approval. Paying an approved award adds it to the payout
+ * ledger and to the referrer's member_extensions.referral_rewards_earned.
+ */
+
+const incentiveModel = require('../models/incentiveModel');
+const referralModel = require('../models/referralModel');
+const memberModel = require('../models/memberModel');
+const { CustomError } = require('./errorHandler');
+
+const TRIGGERS = ['conversion', 'milestone'];
+const REWARD_TYPES = ['credit', 'free_month', 'cash', 'gift'];
+const PAYOUT_METHODS = ['account_credit', 'cash', 'check', 'gift_card', 'other'];
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount in currency units
+ * @returns {number} Rounded amount
+ */
+const roundAmount = amount => Math.round(Number(amount) * 100) / 100;
+
+/**
+ * Check whether a time is within a rule's dates
+ * A missing time is only within a rule without dates.
+ * @param {Object} rule - Incentive rule
+ * @param {Date|string} at - Conversion time
+ * @returns {boolean} True if the time is between starts_at and ends_at
+ */
+const isWithinRuleDates = (rule, at) => {
+  const time = new Date(at).getTime();
+
+  return (!rule.starts_at || new Date(rule.starts_at).getTime() <= time)
+    && (!rule.ends_at || new Date(rule.ends_at).getTime() > time);
+};
+
+/**
+ * Check whether a rule applies to a conversion at a given time
+ * @param {Object} rule - Incentive rule
+ * @param {Date|string} at - Conversion time
+ * @returns {boolean} True if the rule is active and the time is within its dates
+ */
+const isRuleActiveAt = (rule, at) => Boolean(rule.is_active) && isWithinRuleDates(rule, at);
+
+/**
+ * Get a rule's reward for a referrer with a number of converted referrals
+ * The highest tier the referrer has reached wins; below every tier, or without
+ * tiers, the rule's reward_amount applies.
+ * @param {Object} rule - Incentive rule
+ * @param {number} referralCount - Referrer's converted referrals, weighted by attribution
+ * @returns {number} Reward amount
+ */
+const getRewardAmount = (rule, referralCount) => {
+  const tier = (rule.tiers || [])
+    .filter(t => Number(t.min_referrals) <= referralCount)
+    .sort((a, b) => Number(b.min_referrals) - Number(a.min_referrals))[0];
+
+  return Number(tier ? tier.reward_amount : rule.reward_amount) || 0;
+};
+
+/**
+ * Work out each referrer's share of a referral
+ * A missing attribution_percentage counts as 100, as in the database.
+ * @param {Array} relationships - Referral relationships for the referral
+ * @returns {Array} [{ relationship, personId, percentage }] for referrers with a share
+ */
+const getReferrerShares = (relationships) => {
+  const percentage = rel => (rel.attribution_percentage === null || rel.attribution_percentage === undefined
+    ? 100
+    : Number(rel.attribution_percentage));
+  const total = relationships.reduce((sum, rel) => sum + percentage(rel), 0);
+  const scale = total > 100 ? 100 / total : 1;
+
+  return relationships
+    .map(rel => ({ relationship: rel, personId: rel.person_a_id, percentage: percentage(rel) * scale }))
+    .filter(share => share.percentage > 0);
+};
+
+/**
+ * Summarize a rule for a referral's eligible_incentives
+ * @param {Object} rule - Incentive rule
+ * @returns {Object} Rule summary
+ */
+const summarizeRule = rule => ({
+  incentive_id: rule.id,
+  name: rule.name,
+  trigger: rule.trigger,
+  reward_type: rule.reward_type,
+  reward_amount: Number(rule.reward_amount) || 0,
+  ends_at: rule.ends_at || null
+});
+
+/**
+ * Summarize an award for a referral's incentives_awarded
+ * @param {Object} award - Incentive award
+ * @returns {Object} Award summary
+ */
+const summarizeAward = award => ({
+  incentive_id: award.rule_id,
+  award_id: award.id,
+  person_id: award.person_id,
+  amount: Number(award.amount) || 0,
+  award_date: award.created_at,
+  status: award.status
+});
+
+/**
+ * Award the incentives a referral's conversion earns its referrers
+ * Evaluating the same conversion again awards nothing new.
+ * @param {Object} referral - Converted referral, with its organization_id and referral_extensions
+ * @param {Object} options - Evaluation options
+ * @param {Date|string} options.convertedAt - When the referral converted
+ * @returns {Promise<Array>} Awards created
+ */
+const evaluateConversion = async (referral, { convertedAt = new Date() } = {}) => {
+  if (!referral || !referral.organization_id) {
+    return [];
+  }
+
+  const rules = (await incentiveModel.getRules(referral.organization_id))
+    .filter(rule => isRuleActiveAt(rule, convertedAt));
+  const shares = getReferrerShares(await referralModel.getReferrersForReferral(referral.id));
+  const awards = [];
+
+  if (rules.length > 0) {
+    for (const share of shares) {
+      const conversions = (await referralModel.getConvertedReferralShares(share.personId))
+        .filter(conversion => conversion.referral_id !== referral.id);
+
+      for (const rule of rules) {
+        // Only conversions within the rule's dates count towards its milestones
+        // and tiers. Count in percentage points so fractional shares add up exactly
+        const previousPoints = conversions
+          .filter(conversion => isWithinRuleDates(rule, conversion.conversion_date))
+          .reduce((sum, conversion) => sum + getReferrerShares([conversion])[0].percentage, 0);
+        const countPoints = previousPoints + share.percentage;
+        const referralCount = roundAmount(countPoints / 100);
+        let amount;
+
+        if (rule.trigger === 'milestone') {
+          const thresholdPoints = Number(rule.referral_threshold) * 100;
+          const reached = rule.repeats
+            ? Math.floor(countPoints / thresholdPoints) > Math.floor(previousPoints / thresholdPoints)
+            : previousPoints < thresholdPoints && countPoints >= thresholdPoints;
+
+          if (!reached) {
+            continue;
+          }
+
+          amount = getRewardAmount(rule, referralCount);
+        } else {
+          amount = getRewardAmount(rule, referralCount) * share.percentage / 100;
+        }
+
+        const autoApproved = !rule.requires_approval;
+        const award = await incentiveModel.createAward({
+          organization_id: referral.organization_id,
+          rule_id: rule.id,
+          person_id: share.personId,
+          referral_id: referral.id,
+          relationship_id: share.relationship.id,
+          attribution_percentage: Math.round(share.percentage),
+          referral_count: referralCount,
+          reward_type: rule.reward_type,
+          amount: roundAmount(amount),
+          status: autoApproved ? 'approved' : 'pending',
+          reviewed_at: autoApproved ? new Date().toISOString() : null,
+          review_notes: autoApproved ? 'Approved automatically' : null
+        });
+
+        if (award) {
+          awards.push(award);
+        }
+      }
+    }
+  }
+
+  // Record what the referral was eligible for and what it earned
+  const extension = (referral.referral_extensions || [])[0] || {};
+  const previousAwards = (extension.incentives_awarded || [])
+    .filter(entry => !awards.some(award => award.id === entry.award_id));
+
+  await referralModel.updateReferral(referral.id, {}, {
+    eligible_incentives: rules.map(summarizeRule),
+    incentives_awarded: [...previousAwards, ...awards.map(summarizeAward)]
+  });
+
+  return awards;
+};
+
+/**
+ * Keep a referral's incentives_awarded entry for an award in step with it
+ * @param {Object} award - Updated award
+ * @returns {Promise<void>}
+ */
+const syncReferralAward = async (award) => {
+  const referral = await referralModel.getReferralById(award.referral_id);
+  const extension = referral && (referral.referral_extensions || [])[0];
+
+  if (!extension) {
+    return;
+  }
+
+  const entries = (extension.incentives_awarded || []).filter(entry => entry.award_id !== award.id);
+
+  await referralModel.updateReferral(award.referral_id, {}, {
+    incentives_awarded: [...entries, summarizeAward(award)]
+  });
+};
+
+/**
+ * Approve or reject a pending award
+ * Approved awards can still be rejected until they are paid.
+ * @param {UUID} organizationId - Organization ID
+ * @param {UUID} awardId - Award ID
+ * @param {String} decision - 'approve' or 'reject'
+ * @param {Object} review - Review details
+ * @param {UUID} review.userId - Reviewing user
+ * @param {String} review.notes - Review notes
+ * @returns {Promise<Object>} Updated award
+ * @throws {CustomError} 404 if the award is not found, 409 if it can't be moved from its status
+ */
+const reviewAward = async (organizationId, awardId, decision, { userId, notes } = {}) => {
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new CustomError('decision must be approve or reject', 400);
+  }
+
+  const award = await incentiveModel.getAwardById(organizationId, awardId);
+
+  if (!award) {
+    throw new CustomError('Incentive award not found', 404);
+  }
+
+  const fromStatuses = decision === 'approve' ? ['pending'] : ['pending', 'approved'];
+  const updated = await incentiveModel.updateAwardStatus(organizationId, awardId, fromStatuses, {
+    status: decision === 'approve' ? 'approved' : 'rejected',
+    reviewed_by: userId,
+    reviewed_at: new Date().toISOString(),
+    review_notes: notes || null
+  });
+
+  if (!updated) {
+    throw new CustomError(`This award is already ${award.status}`, 409);
+  }
+
+  await syncReferralAward(updated);
+  return updated;
+};
+
+/**
+ * Pay an approved award, recording it in the payout ledger and crediting the
+ * referrer's referral_rewards_earned
+ * @param {UUID} organizationId - Organization ID
+ * @param {UUID} awardId - Award ID
+ * @param {Object} payout - Payout details
+ * @param {UUID} payout.userId - User paying the award
+ * @param {String} payout.method - How it was paid (see PAYOUT_METHODS)
+ * @param {String} payout.reference - Receipt, check number or credit note
+ * @param {String} payout.notes - Notes
+ * @returns {Promise<Object>} { award, payout }
+ * @throws {CustomError} 404 if the award is not found, 409 if it isn't approved or is already paid
+ */
+const payAward = async (organizationId, awardId, { userId, method = 'account_credit', reference, notes } = {}) => {
+  if (!PAYOUT_METHODS.includes(method)) {
+    throw new CustomError(`method must be one of: ${PAYOUT_METHODS.join(', ')}`, 400);
+  }
+
+  const award = await incentiveModel.getAwardById(organizationId, awardId);
+
+  if (!award) {
+    throw new CustomError('Incentive award not found', 404);
+  }
+
+  if (award.status !== 'approved') {
+    throw new CustomError(award.status === 'paid'
+      ? 'This award has already been paid'
+      : `Only approved awards can be paid; this award is ${award.status}`, 409);
+  }
+
+  // The ledger allows one payout per award, so paying twice at once fails here
+  const entry = await incentiveModel.createPayout({
+    organization_id: organizationId,
+    award_id: award.id,
+    person_id: award.person_id,
+    amount: award.amount,
+    reward_type: award.reward_type,
+    method,
+    reference: reference || null,
+    notes: notes || null,
+    paid_by: userId
+  });
+
+  if (!entry) {
+    throw new CustomError('This award has already been paid', 409);
+  }
+
+  const paidAward = await incentiveModel.updateAwardStatus(organizationId, award.id, ['approved'], {
+    status: 'paid',
+    paid_at: entry.created_at || new Date().toISOString()
+  });
+
+  const memberExtension = await memberModel.getMemberExtensionByPersonId(award.person_id);
+
+  if (memberExtension) {
+    await memberModel.updateMemberExtension(memberExtension.id, {
+      referral_rewards_earned: roundAmount(Number(memberExtension.referral_rewards_earned || 0) + Number(award.amount))
+    });
+  }
+
+  await syncReferralAward(paidAward || { ...award, status: 'paid' });
+
+  return { award: paidAward || { ...award, status: 'paid' }, payout: entry };
+};
+
+module.exports = {
+  TRIGGERS,
+  REWARD_TYPES,
+  PAYOUT_METHODS,
+  isRuleActiveAt,
+  getRewardAmount,
+  getReferrerShares,
+  evaluateConversion,
+  reviewAward,
+  payAward
+};
@@ -0,0 +1,167 @@
+/**
+ * Referral Link Utility
+ *
+ * Creates the shareable links members send to the people they refer.
+ * Link creation goes through a provider:
+ * - firebase: Firebase Dynamic Links (config/firebase.js)
+ * - self_hosted: Built-in short links served by this API, for local and offline use
+ *
+ * Whichever provider creates the link, it opens the API's click tracking route
+ * first, which counts the click and redirects to the landing page.
+ */
+
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const firebase = require('../config/firebase');
+
+dotenv.config();
+
+// Configuration for referral links
+const config = {
+  // 'firebase' or 'self_hosted'. Defaults to Firebase only when it is configured.
+  provider: process.env.REFERRAL_LINK_PROVIDER ||
+    (process.env.FIREBASE_API_KEY ? 'firebase' : 'self_hosted'),
+  // Public URL of this API, used for short links and click tracking
+  apiBaseUrl: process.env.REFERRAL_LINK_BASE_URL || `http://localhost:${process.env.PORT || 5001}`,
+  // Client app that hosts the referral landing page
+  clientBaseUrl: process.env.CLIENT_URL || 'https://orca-lead-management.vercel.app',
+  // Fall back to self-hosted links when the configured provider fails
+  fallbackToSelfHosted: process.env.REFERRAL_LINK_FALLBACK !== 'false'
+};
+
+/**
+ * Generate a short, URL-safe code for a link
+ * @returns {string} 8 character code
+ */
+const generateShortCode = () => crypto.randomBytes(6).toString('base64url');
+
+/**
+ * Build the click tracking URL for a link
+ * @param {string} shortCode - Link short code
+ * @returns {string} Tracking URL
+ */
+const buildTrackingUrl = (shortCode) => `${config.apiBaseUrl}/api/referrals/l/${shortCode}`;
+
+/**
+ * Build the landing page URL a link redirects to, with its UTM parameters
+ * @param {Object} options - Link options
+ * @param {string} options.shortCode - Link short code
+ * @param {string} options.referrerId - ID of the referring member
+ * @param {string} options.campaign - Campaign identifier
+ * @param {string} options.source - Where the link is shared
+ * @returns {string} Landing page URL
+ */
+const buildDestinationUrl = ({ shortCode, referrerId, campaign = 'default', source = 'app' }) => {
+  const params = new URLSearchParams({
+    referrer: referrerId,
+    utm_source: source,
+    utm_medium: 'referral',
+    utm_campaign: campaign,
+    utm_content: referrerId
+  });
+
+  return `${config.clientBaseUrl}/r/${shortCode}?${params.toString()}`;
+};
+
+/**
+ * Link providers
+ * Each provider's createLink receives the link options plus `trackingUrl` and
+ * resolves to `{ url, previewUrl }`, where `url` is the link members share.
+ */
+const providers = {
+  firebase: {
+    createLink: async (options) => {
+      const result = await firebase.createReferralLink({
+        referrerId: options.referrerId,
+        referrerName: options.referrerName,
+        campaign: options.campaign,
+        source: options.source,
+        link: options.trackingUrl
+      });
+
+      if (!result.success) {
+        throw new Error(`Firebase Dynamic Link creation failed: ${result.error}`);
+      }
+
+      return {
+        url: result.shortLink,
+        previewUrl: result.previewLink || null
+      };
+    }
+  },
+
+  self_hosted: {
+    createLink: async (options) => ({
+      url: options.trackingUrl,
+      previewUrl: null
+    })
+  }
+};
+
+/**
+ * Get a link provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+const getProvider = (name = config.provider) => {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown referral link provider: ${name}`);
+  }
+
+  return provider;
+};
+
+/**
+ * Create a referral link with the configured provider
+ * @param {Object} options - Link options
+ * @param {string} options.referrerId - ID of the referring member
+ * @param {string} options.referrerName - Name shown in link previews
+ * @param {string} options.campaign - Campaign identifier
+ * @param {string} options.source - Where the link is shared
+ * @param {string} options.provider - Provider to use instead of the configured one
+ * @returns {Promise<Object>} Provider used, short code, shared URL, destination URL and preview URL
+ */
+const createLink = async (options) => {
+  const providerName = options.provider || config.provider;
+  const shortCode = generateShortCode();
+  const linkOptions = {
+    ...options,
+    shortCode,
+    trackingUrl: buildTrackingUrl(shortCode)
+  };
+
+  let provider = providerName;
+  let created;
+
+  try {
+    created = await getProvider(providerName).createLink(linkOptions);
+  } catch (error) {
+    if (providerName === 'self_hosted' || !config.fallbackToSelfHosted) {
+      throw error;
+    }
+
+    console.error(`Referral link provider ${providerName} failed, using self-hosted link:`, error.message);
+    provider = 'self_hosted';
+    created = await providers.self_hosted.createLink(linkOptions);
+  }
+
+  return {
+    provider,
+    shortCode,
+    url: created.url,
+    previewUrl: created.previewUrl,
+    destinationUrl: buildDestinationUrl(linkOptions)
+  };
+};
+
+module.exports = {
+  config,
+  providers,
+  getProvider,
+  createLink,
+  generateShortCode,
+  buildTrackingUrl,
+  buildDestinationUrl
+};
@@ -0,0 +1,59 @@
+/**
+ * SMS Compliance Utility
+ *
+ * Recognizes the carrier-standard opt-out, opt-in and help keywords in inbound
+ * SMS and provides the confirmation messages sent in reply.
+ */
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Carrier-standard keywords (CTIA). Matching is on the whole message, case-insensitive.
+const KEYWORDS = {
+  opt_out: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'REVOKE'],
+  opt_in: ['START', 'UNSTOP', 'OPTIN'],
+  help: ['HELP', 'INFO']
+};
+
+const businessName = process.env.SMS_BUSINESS_NAME || 'ORCA';
+
+// Reply messages, overridable per deployment
+const messages = {
+  opt_out: process.env.SMS_OPT_OUT_MESSAGE ||
+    `You have been unsubscribed from ${businessName} messages and will not receive any more. Reply START to resubscribe.`,
+  opt_in: process.env.SMS_OPT_IN_MESSAGE ||
+    `You have been resubscribed to ${businessName} messages. Msg & data rates may apply. Reply HELP for help, STOP to unsubscribe.`,
+  help: process.env.SMS_HELP_MESSAGE ||
+    `${businessName}: Msg & data rates may apply. Reply STOP to unsubscribe, START to resubscribe.`
+};
+
+/**
+ * Classify an inbound SMS as a compliance keyword
+ * @param {string} text - Inbound message text
+ * @returns {string|null} 'opt_out', 'opt_in', 'help', or null for a regular message
+ */
+const getComplianceKeyword = (text) => {
+  if (!text) {
+    return null;
+  }
+
+  // Ignore surrounding whitespace and trailing punctuation ("Stop." / "STOP!")
+  const normalized = text.trim().replace(/[.!]+$/, '').toUpperCase();
+
+  const match = Object.entries(KEYWORDS).find(([, words]) => words.includes(normalized));
+  return match ? match[0] : null;
+};
+
+/**
+ * Get the reply to send for a compliance keyword
+ * @param {string} keyword - 'opt_out', 'opt_in' or 'help'
+ * @returns {string} Reply message
+ */
+const getComplianceReply = (keyword) => messages[keyword];
+
+module.exports = {
+  KEYWORDS,
+  getComplianceKeyword,
+  getComplianceReply
+};
@@ -0,0 +1,430 @@
+/**
+ * Spreadsheet Utility
+ *
+ * Reads the CSV and XLSX files admins upload to import leads and members, and
+ * writes CSV for the reports sent back. It provides functionality to:
+ * - Parse CSV (comma, semicolon or tab separated, with quoted fields)
+ * - Read the first worksheet of an XLSX workbook, turning date-formatted
+ *   cells into YYYY-MM-DD
+ * - Turn rows back into CSV
+ *
+ * XLSX files are zip archives of XML parts; only the parts holding cell values
+ * are read, so formulas come through as their last calculated value.
+ */
+
+const zlib = require('zlib');
+const { CustomError } = require('./errorHandler');
+
+// Configuration for reading spreadsheets
+const config = {
+  // Largest number of data rows accepted from one file
+  maxRows: parseInt(process.env.IMPORT_MAX_ROWS || '20000', 10),
+  // Largest size an XLSX workbook's files may add up to once uncompressed
+  maxUncompressedBytes: parseInt(process.env.IMPORT_MAX_UNCOMPRESSED_MB || '100', 10) * 1024 * 1024
+};
+
+// Built-in XLSX number formats that show dates
+const DATE_FORMAT_IDS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+
+// Days between Excel's day 0 (1899-12-30, allowing for its 1900 leap year bug) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse CSV text into rows
+ * The delimiter is whichever of comma, semicolon and tab appears most in the
+ * first line. Quoted fields may contain delimiters, line breaks and doubled quotes.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+const parseCsv = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r\n|\n|\r/, 1)[0] || '';
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Decode the XML entities in a text node
+ * @param {string} text - XML text
+ * @returns {string} Decoded text
+ */
+const decodeXml = text => text
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Get the value of an attribute from an XML tag
+ * @param {string} tag - Opening tag
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value
+ */
+const getAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+/**
+ * Join the text runs (<t>) inside an XML fragment
+ * @param {string} xml - XML fragment, e.g. a shared string or inline string
+ * @returns {string} Text
+ */
+const joinText = xml => [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+  .map(match => decodeXml(match[1]))
+  .join('');
+
+/**
+ * Turn an error from reading a zip archive into a 400
+ * Truncated or malformed archives fail with reads past the end of the buffer
+ * or zlib data errors; an entry that inflates past its size fails with
+ * ERR_BUFFER_TOO_LARGE.
+ * @param {Error} error - Error thrown while reading
+ * @returns {CustomError} Error to report
+ */
+const toZipError = (error) => {
+  if (error instanceof CustomError) {
+    return error;
+  }
+
+  if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+    return new CustomError('The XLSX workbook is too large once uncompressed', 400);
+  }
+
+  return new CustomError('The file is not a valid XLSX workbook', 400);
+};
+
+/**
+ * Read the files in a zip archive
+ * The uncompressed sizes in the archive's directory are checked against
+ * config.maxUncompressedBytes before anything is inflated, and no entry is
+ * inflated past the size it declares, so a zip bomb is refused.
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Map<string, Function>} File name -> function returning its contents as text
+ * @throws {CustomError} 400 if the file is not a readable zip archive or is too large uncompressed
+ */
+const readZip = (buffer) => {
+  try {
+    // The end of central directory record is in the last 64KB (its comment can't be longer)
+    let end = -1;
+
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+      if (buffer.readUInt32LE(i) === 0x06054b50) {
+        end = i;
+        break;
+      }
+    }
+
+    if (end === -1) {
+      throw new CustomError('The file is not a valid XLSX workbook', 400);
+    }
+
+    const entries = new Map();
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    let totalSize = 0;
+
+    for (let i = 0; i < count; i++) {
+      if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+        throw new CustomError('The file is not a valid XLSX workbook', 400);
+      }
+
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const uncompressedSize = buffer.readUInt32LE(offset + 24);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const headerOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      totalSize += uncompressedSize;
+
+      if (totalSize > config.maxUncompressedBytes) {
+        throw new CustomError('The XLSX workbook is too large once uncompressed', 400);
+      }
+
+      entries.set(name, () => {
+        try {
+          const dataStart = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+          const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+          if (method === 0) {
+            return data.toString('utf8');
+          }
+
+          if (method === 8) {
+            return zlib.inflateRawSync(data, { maxOutputLength: Math.max(uncompressedSize, 1) }).toString('utf8');
+          }
+
+          throw new CustomError('The XLSX workbook uses an unsupported compression method', 400);
+        } catch (error) {
+          throw toZipError(error);
+        }
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  } catch (error) {
+    throw toZipError(error);
+  }
+};
+
+/**
+ * Find which cell styles show dates
+ * @param {string|null} stylesXml - xl/styles.xml
+ * @returns {Set<number>} Indexes of cell styles (the s attribute of a cell) with a date format
+ */
+const getDateStyles = (stylesXml) => {
+  const dateStyles = new Set();
+
+  if (!stylesXml) {
+    return dateStyles;
+  }
+
+  const dateFormats = new Set(DATE_FORMAT_IDS);
+
+  for (const match of stylesXml.matchAll(/<numFmt\s[^>]*>/g)) {
+    // A custom format is a date if it has day, month or year codes outside quoted text
+    const code = (getAttribute(match[0], 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+
+    if (/[dmy]/i.test(code)) {
+      dateFormats.add(parseInt(getAttribute(match[0], 'numFmtId'), 10));
+    }
+  }
+
+  const cellXfs = (stylesXml.match(/<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/) || [])[1] || '';
+
+  [...cellXfs.matchAll(/<xf\s[^>]*?\/?>/g)].forEach((match, index) => {
+    if (dateFormats.has(parseInt(getAttribute(match[0], 'numFmtId'), 10))) {
+      dateStyles.add(index);
+    }
+  });
+
+  return dateStyles;
+};
+
+/**
+ * Turn a column reference (e.g. "AB" from "AB12") into a zero-based index
+ * @param {string} ref - Cell reference
+ * @returns {number} Column index
+ */
+const columnIndex = ref => ref
+  .replace(/\d+$/, '')
+  .split('')
+  .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+/**
+ * Turn an Excel date serial number into YYYY-MM-DD
+ * @param {number} serial - Days since Excel's epoch
+ * @returns {string} ISO date
+ */
+const excelDateToIso = serial => new Date(Math.round((serial - EXCEL_EPOCH_OFFSET) * DAY_MS))
+  .toISOString()
+  .slice(0, 10);
+
+/**
+ * Read the first worksheet of an XLSX workbook into rows
+ * @param {Buffer} buffer - XLSX file
+ * @returns {Array<Array<string>>} Rows of cell values as text
+ * @throws {CustomError} 400 if the workbook can't be read
+ */
+const parseXlsx = (buffer) => {
+  const files = readZip(buffer);
+  const read = name => (files.has(name) ? files.get(name)() : null);
+
+  // The first sheet listed in the workbook, found through the workbook's relationships
+  let sheetPath = 'xl/worksheets/sheet1.xml';
+  const workbook = read('xl/workbook.xml');
+  const relationships = read('xl/_rels/workbook.xml.rels');
+  const firstSheet = workbook && workbook.match(/<sheet\s[^>]*>/);
+
+  if (firstSheet && relationships) {
+    const relationshipId = getAttribute(firstSheet[0], 'r:id');
+    const relationship = [...relationships.matchAll(/<Relationship\s[^>]*>/g)]
+      .find(match => getAttribute(match[0], 'Id') === relationshipId);
+    const target = relationship && getAttribute(relationship[0], 'Target');
+
+    if (target) {
+      sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+    }
+  }
+
+  const sheet = read(sheetPath);
+
+  if (!sheet) {
+    throw new CustomError('The XLSX workbook has no worksheet', 400);
+  }
+
+  const sharedStringsXml = read('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? [...sharedStringsXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => joinText(match[1]))
+    : [];
+  const dateStyles = getDateStyles(read('xl/styles.xml'));
+
+  const rows = [];
+
+  for (const rowMatch of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = parseInt(getAttribute(rowMatch[0], 'r'), 10);
+    const row = [];
+
+    for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const tag = `<c${cellMatch[1]}>`;
+      const body = cellMatch[2] || '';
+      const ref = getAttribute(tag, 'r');
+      const type = getAttribute(tag, 't');
+      const rawValue = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+      let value = '';
+
+      if (type === 'inlineStr') {
+        value = joinText(body);
+      } else if (rawValue === undefined) {
+        value = '';
+      } else if (type === 's') {
+        value = sharedStrings[parseInt(rawValue, 10)] || '';
+      } else if (type === 'b') {
+        value = rawValue === '1' ? 'TRUE' : 'FALSE';
+      } else if (type === 'str' || type === 'e') {
+        value = decodeXml(rawValue);
+      } else if (dateStyles.has(parseInt(getAttribute(tag, 's') || '0', 10)) && !isNaN(Number(rawValue))) {
+        value = excelDateToIso(Number(rawValue));
+      } else {
+        value = rawValue;
+      }
+
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+
+    // Rows are placed by their number so blank rows in the sheet stay blank
+    rows[(rowNumber || rows.length + 1) - 1] = Array.from(row, cell => cell || '');
+  }
+
+  return Array.from(rows, row => row || []);
+};
+
+/**
+ * Read an uploaded CSV or XLSX file into a header row and data rows
+ * The header row is the first row that isn't blank. Blank rows between data
+ * rows are kept so each row's number, counting the header as row 1, matches
+ * its place in the file; trailing blank rows are dropped.
+ * Blank headers are named after their column and repeated headers are
+ * numbered, so every column has a unique name.
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - File name, used to tell the format apart
+ * @returns {Object} { headers, rows } with every row as long as the header row
+ * @throws {CustomError} 400 if the file can't be read, has no data or is too long
+ */
+const parseSpreadsheet = (buffer, fileName = '') => {
+  if (!buffer || buffer.length === 0) {
+    throw new CustomError('The file is empty', 400);
+  }
+
+  const extension = (fileName.match(/\.([a-z0-9]+)$/i) || [])[1];
+  const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+
+  if (extension && extension.toLowerCase() === 'xls') {
+    throw new CustomError('Older .xls workbooks can\'t be read; save the file as .xlsx or CSV', 400);
+  }
+
+  const allRows = (isZip ? parseXlsx(buffer) : parseCsv(buffer.toString('utf8')))
+    .map(row => row.map(cell => String(cell).trim()));
+  const isBlank = row => row.every(cell => cell === '');
+
+  while (allRows.length > 0 && isBlank(allRows[0])) {
+    allRows.shift();
+  }
+
+  while (allRows.length > 0 && isBlank(allRows[allRows.length - 1])) {
+    allRows.pop();
+  }
+
+  if (allRows.length < 2) {
+    throw new CustomError('The file needs a header row and at least one row of data', 400);
+  }
+
+  if (allRows.length - 1 > config.maxRows) {
+    throw new CustomError(`Files can have at most ${config.maxRows} rows; split the file and import each part`, 400);
+  }
+
+  const width = Math.max(...allRows.map(row => row.length));
+  const seen = {};
+  const headers = Array.from({ length: width }, (value, index) => {
+    const header = allRows[0][index] || `Column ${index + 1}`;
+    seen[header] = (seen[header] || 0) + 1;
+    return seen[header] > 1 ? `${header} (${seen[header]})` : header;
+  });
+
+  const rows = allRows.slice(1).map(row => headers.map((header, index) => row[index] || ''));
+
+  return { headers, rows };
+};
+
+/**
+ * Write rows as CSV
+ * @param {Array<Array<*>>} rows - Rows of values; null and undefined are written empty
+ * @returns {string} CSV text
+ */
+const toCsv = rows => rows
+  .map(row => row.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(','))
+  .join('\r\n');
+
+module.exports = {
+  config,
+  parseCsv,
+  parseXlsx,
+  parseSpreadsheet,
+  toCsv
+};
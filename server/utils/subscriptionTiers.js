@@ -0,0 +1,324 @@
+/**
+ * Subscription Tiers Utility
+ *
+ * ORCA is sold to organizations on tiered plans. It provides functionality to:
+ * - Describe each tier's limits: seats, SMS sent per month, text blast size and
+ *   referral links
+ * - Measure an organization's usage against its tier and explain, with an
+ *   upgrade, when an action would go over a limit
+ * - Subscribe an organization to a paid tier through the billing provider
+ *
+ * Starter is free. Growth and Scale are Stripe subscriptions; the tier takes
+ * effect once the subscription is active, and webhooks keep it in step (see
+ * utils/billing.js).
+ */
+
+const dotenv = require('dotenv');
+const organizationModel = require('../models/organizationModel');
+const billing = require('./billing');
+const { CustomError } = require('./errorHandler');
+
+dotenv.config();
+
+// Configuration for ORCA subscriptions
+const config = {
+  // Stripe price for each paid tier
+  prices: {
+    growth: process.env.STRIPE_PRICE_ORCA_GROWTH || null,
+    scale: process.env.STRIPE_PRICE_ORCA_SCALE || null
+  }
+};
+
+// Tiers from smallest to largest. A null limit is unlimited.
+const TIERS = {
+  starter: {
+    key: 'starter',
+    name: 'Starter',
+    monthly_price: 0,
+    limits: { seats: 3, monthly_sms: 1000, blast_size: 250, referral_links: 100 }
+  },
+  growth: {
+    key: 'growth',
+    name: 'Growth',
+    monthly_price: 149,
+    limits: { seats: 10, monthly_sms: 10000, blast_size: 2500, referral_links: 1000 }
+  },
+  scale: {
+    key: 'scale',
+    name: 'Scale',
+    monthly_price: 399,
+    limits: { seats: 50, monthly_sms: 50000, blast_size: 10000, referral_links: null }
+  }
+};
+
+const TIER_ORDER = ['starter', 'growth', 'scale'];
+
+/**
+ * Format a count for messages, e.g. 10000 as "10,000"
+ * @param {number} value - Count
+ * @returns {string} Formatted count
+ */
+const formatCount = value => Number(value).toLocaleString('en-US');
+
+// What each limit counts, and how to explain going over it
+const LIMITS = {
+  seats: {
+    label: 'Seats',
+    unit: 'seats',
+    describe: ({ tier, allowed, used }) =>
+      `Your ${tier.name} plan includes ${formatCount(allowed)} seats, and ${formatCount(used)} are in use.`
+  },
+  monthly_sms: {
+    label: 'SMS this month',
+    unit: 'SMS a month',
+    describe: ({ tier, allowed, used, requested }) =>
+      `Your ${tier.name} plan includes ${formatCount(allowed)} SMS a month. ${formatCount(used)} have been sent this month, ` +
+      `so sending ${formatCount(requested)} more would go over.`
+  },
+  blast_size: {
+    label: 'Text blast size',
+    unit: 'recipients per text blast',
+    describe: ({ tier, allowed, requested }) =>
+      `Your ${tier.name} plan allows ${formatCount(allowed)} recipients per text blast, and this blast has ${formatCount(requested)}.`
+  },
+  referral_links: {
+    label: 'Referral links',
+    unit: 'referral links',
+    describe: ({ tier, allowed, used }) =>
+      `Your ${tier.name} plan includes ${formatCount(allowed)} referral links, and ${formatCount(used)} have been created.`
+  }
+};
+
+/**
+ * Get a tier by key, falling back to starter
+ * @param {string} key - Tier key
+ * @returns {Object} Tier
+ */
+const getTier = key => TIERS[key] || TIERS.starter;
+
+/**
+ * Get the start of the current monthly usage period (the 1st, UTC)
+ * @param {Date} now - Current time
+ * @returns {Date} Period start
+ */
+const getPeriodStart = (now = new Date()) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+/**
+ * Check whether a tier's limit allows an amount
+ * @param {Object} tier - Tier
+ * @param {string} limitKey - Limit key
+ * @param {number} amount - Amount needed
+ * @returns {boolean} True if the amount is within the limit
+ */
+const allows = (tier, limitKey, amount) => tier.limits[limitKey] === null || amount <= tier.limits[limitKey];
+
+/**
+ * Find the smallest tier above the current one that allows an amount
+ * @param {string} currentKey - Current tier key
+ * @param {string} limitKey - Limit key
+ * @param {number} amount - Amount needed
+ * @returns {Object|null} Tier, or null if no tier allows it
+ */
+const findUpgrade = (currentKey, limitKey, amount) => {
+  const larger = TIER_ORDER.slice(TIER_ORDER.indexOf(currentKey) + 1);
+  const key = larger.find(tierKey => allows(TIERS[tierKey], limitKey, amount));
+
+  return key ? TIERS[key] : null;
+};
+
+/**
+ * Measure an organization's usage of its limits
+ * The text blast limit applies to each blast, so it has no usage.
+ * @param {UUID} organizationId - Organization ID
+ * @param {Date} now - Current time, for the monthly SMS period
+ * @returns {Promise<Object>} { seats, monthly_sms, referral_links }
+ */
+const getUsage = async (organizationId, now = new Date()) => {
+  const userIds = await organizationModel.getUserIds(organizationId);
+
+  const [monthlySMS, referralLinks] = await Promise.all([
+    organizationModel.countSMSSent(organizationId, getPeriodStart(now)),
+    organizationModel.countReferralLinks(userIds)
+  ]);
+
+  return {
+    seats: userIds.length,
+    monthly_sms: monthlySMS,
+    referral_links: referralLinks
+  };
+};
+
+/**
+ * Check that an action stays within the organization's limits
+ * @param {UUID} organizationId - Organization ID; users without one are not limited
+ * @param {string} limitKey - 'seats', 'monthly_sms', 'blast_size' or 'referral_links'
+ * @param {number} requested - How many the action adds (seats, SMS, blast recipients or links)
+ * @returns {Promise<Object|null>} Null if within the limit; otherwise
+ *   { limit, tier, allowed, used, requested, upgrade_tier, message }
+ */
+const checkLimit = async (organizationId, limitKey, requested = 1) => {
+  if (!organizationId || !LIMITS[limitKey]) {
+    return null;
+  }
+
+  const organization = await organizationModel.getOrganizationById(organizationId);
+
+  if (!organization) {
+    return null;
+  }
+
+  const tier = getTier(organization.plan_tier);
+  const allowed = tier.limits[limitKey];
+
+  if (allowed === null) {
+    return null;
+  }
+
+  let used = 0;
+
+  if (limitKey !== 'blast_size') {
+    used = (await getUsage(organization.id))[limitKey];
+  }
+
+  if (used + requested <= allowed) {
+    return null;
+  }
+
+  const upgrade = findUpgrade(tier.key, limitKey, used + requested);
+  const upgradeLimit = upgrade && upgrade.limits[limitKey];
+  const { unit } = LIMITS[limitKey];
+
+  const upgradeMessage = upgrade
+    ? `Upgrade to ${upgrade.name} for ${upgradeLimit === null ? 'unlimited' : formatCount(upgradeLimit)} ${unit}.`
+    : 'Contact ORCA support to raise this limit.';
+
+  return {
+    limit: limitKey,
+    tier: tier.key,
+    allowed,
+    used,
+    requested,
+    upgrade_tier: upgrade ? upgrade.key : null,
+    message: `${LIMITS[limitKey].describe({ tier, allowed, used, requested })} ${upgradeMessage}`
+  };
+};
+
+/**
+ * Describe an organization's tier, limits and usage, for the billing page
+ * @param {Object} organization - Organization
+ * @returns {Promise<Object>} Organization with tier, limits and usage
+ */
+const getSummary = async (organization) => {
+  const tier = getTier(organization.plan_tier);
+  const usage = await getUsage(organization.id);
+
+  return {
+    ...organization,
+    tier,
+    usage,
+    limits: Object.keys(LIMITS).map(key => ({
+      key,
+      label: LIMITS[key].label,
+      allowed: tier.limits[key],
+      used: usage[key] === undefined ? null : usage[key]
+    })),
+    period_start: getPeriodStart().toISOString()
+  };
+};
+
+/**
+ * Subscribe an organization to a paid tier
+ * An existing subscription is moved to the tier's price; otherwise the
+ * organization's Stripe customer is created if needed and a subscription is
+ * started. Moving to a tier whose limits the organization already exceeds is refused.
+ * @param {Object} organization - Organization
+ * @param {string} tierKey - 'growth' or 'scale'
+ * @param {Object} options - Subscription options
+ * @param {string} options.email - Billing email for a new Stripe customer
+ * @param {string} options.paymentMethodId - Stripe payment method to charge
+ * @returns {Promise<Object>} { organization, subscription }; subscription.clientSecret is set
+ *   when Stripe needs the payment confirmed
+ */
+const subscribe = async (organization, tierKey, { email = null, paymentMethodId = null } = {}) => {
+  const tier = TIERS[tierKey];
+
+  if (!tier || tier.monthly_price === 0) {
+    throw new CustomError(`Subscriptions are available for: ${TIER_ORDER.filter(key => TIERS[key].monthly_price > 0).join(', ')}`, 400);
+  }
+
+  if (!config.prices[tierKey]) {
+    throw new CustomError(`The ${tier.name} plan has no Stripe price`, 400);
+  }
+
+  // Seats and referral links already in use must fit the new tier
+  const usage = await getUsage(organization.id);
+  const overLimit = ['seats', 'referral_links'].find(key => !allows(tier, key, usage[key]));
+
+  if (overLimit) {
+    throw new CustomError(
+      `The ${tier.name} plan includes ${formatCount(tier.limits[overLimit])} ${LIMITS[overLimit].unit}, ` +
+      `and ${formatCount(usage[overLimit])} are in use`,
+      400
+    );
+  }
+
+  const provider = billing.getProvider();
+  const metadata = { organization_id: organization.id, plan_tier: tierKey };
+  let subscription;
+  let customerId = organization.stripe_customer_id;
+
+  if (organization.stripe_subscription_id && organization.subscription_status !== 'canceled') {
+    subscription = await provider.updateSubscription(organization.stripe_subscription_id, {
+      priceId: config.prices[tierKey],
+      metadata
+    });
+  } else {
+    if (!customerId) {
+      const customer = await provider.createCustomer({
+        email: email || undefined,
+        name: organization.name,
+        metadata: { organization_id: organization.id }
+      });
+      customerId = customer.id;
+    }
+
+    subscription = await provider.createSubscription({
+      customerId,
+      priceId: config.prices[tierKey],
+      paymentMethodId,
+      metadata
+    });
+  }
+
+  const organizationData = {
+    stripe_customer_id: customerId,
+    stripe_subscription_id: subscription.id,
+    subscription_status: subscription.status,
+    current_period_end: subscription.current_period_end
+      ? new Date(subscription.current_period_end * 1000).toISOString()
+      : null
+  };
+
+  // Until Stripe confirms payment the organization stays on its current tier
+  if (['active', 'trialing'].includes(subscription.status)) {
+    organizationData.plan_tier = tierKey;
+  }
+
+  const updated = await organizationModel.updateOrganization(organization.id, organizationData);
+
+  return { organization: updated, subscription };
+};
+
+module.exports = {
+  config,
+  TIERS,
+  TIER_ORDER,
+  LIMITS,
+  getTier,
+  getPeriodStart,
+  findUpgrade,
+  getUsage,
+  checkLimit,
+  getSummary,
+  subscribe
+};
@@ -0,0 +1,288 @@
+/**
+ * Tasks Utility
+ *
+ * Follow-ups salespeople used to keep on paper. It provides:
+ * - Views of a task list: open, overdue, due today, upcoming and completed
+ * - Creating tasks, which belong to the tenant of the person they are about
+ * - Repeating tasks: every so many days, weeks or months, until an end date
+ * - Completing tasks, which logs an interaction on the person's record and
+ *   schedules the next task of a repeating series
+ *
+ * Admins see and manage every task in their scope. Other users see and manage
+ * the tasks assigned to them or that they created.
+ */
+
+const taskModel = require('../models/taskModel');
+const personModel = require('../models/personModel');
+const organizationModel = require('../models/organizationModel');
+const interactionModel = require('../models/interactionModel');
+const { stampRecord, getTenantColumns, isInScope } = require('./tenancy');
+const { CustomError } = require('./errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Task list views and the tasks in each
+const VIEWS = {
+  open: () => ({ status: 'open' }),
+  overdue: now => ({ status: 'open', dueBefore: now.toISOString() }),
+  today: now => ({
+    status: 'open',
+    dueAfter: startOfDay(now).toISOString(),
+    dueBefore: new Date(startOfDay(now).getTime() + DAY_MS).toISOString()
+  }),
+  upcoming: now => ({ status: 'open', dueAfter: now.toISOString() }),
+  completed: () => ({ status: 'completed' })
+};
+
+/**
+ * Midnight (UTC) at the start of a date
+ * @param {Date} date - Date
+ * @returns {Date} Start of the day
+ */
+const startOfDay = date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Get the filters for a task list view
+ * @param {string} [view] - 'open' (the default), 'overdue', 'today', 'upcoming' or 'completed'
+ * @param {Date} [now] - Current time
+ * @returns {Object} Filters for taskModel.getTasks
+ * @throws {CustomError} 400 for an unknown view
+ */
+const getViewFilters = (view = 'open', now = new Date()) => {
+  if (!VIEWS[view]) {
+    throw new CustomError(`view must be one of: ${Object.keys(VIEWS).join(', ')}`, 400);
+  }
+
+  return VIEWS[view](now);
+};
+
+/**
+ * Move a due date on by one repeat
+ * Monthly repeats keep the day of the month, or the month's last day when it
+ * is shorter.
+ * @param {Date} date - Due date
+ * @param {string} recurrence - 'daily', 'weekly' or 'monthly'
+ * @param {number} interval - Days, weeks or months between repeats
+ * @param {number} dayOfMonth - Day of the month monthly repeats fall on
+ * @returns {Date} Next due date
+ */
+const addRecurrence = (date, recurrence, interval, dayOfMonth) => {
+  if (recurrence === 'monthly') {
+    const month = date.getUTCMonth() + interval;
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), month + 1, 0)).getUTCDate();
+
+    return new Date(Date.UTC(
+      date.getUTCFullYear(),
+      month,
+      Math.min(dayOfMonth, lastDay),
+      date.getUTCHours(),
+      date.getUTCMinutes(),
+      date.getUTCSeconds()
+    ));
+  }
+
+  return new Date(date.getTime() + interval * (recurrence === 'weekly' ? 7 : 1) * DAY_MS);
+};
+
+/**
+ * Work out when the next task of a repeating series is due
+ * Repeats that would already be overdue are skipped, so completing a daily
+ * task a week late schedules one task, not seven.
+ * @param {Object} task - Task being completed
+ * @param {Date} [now] - Current time
+ * @returns {Date|null} Next due date, or null if the task doesn't repeat or the series has ended
+ */
+const getNextDueAt = (task, now = new Date()) => {
+  if (!task.recurrence) {
+    return null;
+  }
+
+  const interval = task.recurrence_interval || 1;
+  const dayOfMonth = new Date(task.due_at).getUTCDate();
+  let next = addRecurrence(new Date(task.due_at), task.recurrence, interval, dayOfMonth);
+
+  while (next <= now) {
+    next = addRecurrence(next, task.recurrence, interval, dayOfMonth);
+  }
+
+  if (task.recurrence_ends_at && next > new Date(task.recurrence_ends_at)) {
+    return null;
+  }
+
+  return next;
+};
+
+/**
+ * Check whether a user may see and change a task
+ * @param {Object} task - Task
+ * @param {Object} user - User record
+ * @returns {boolean} True for admins and the task's assignee or creator
+ */
+const canManage = (task, user) => user.role === 'admin' || task.assigned_to === user.id || task.created_by === user.id;
+
+/**
+ * Check that a task's assignee works for the organization
+ * @param {UUID} userId - Assignee
+ * @param {Object} scope - Tenant scope
+ * @throws {CustomError} 400 if they don't
+ */
+const checkAssignee = async (userId, scope) => {
+  const userIds = await organizationModel.getUserIds(scope.organizationId);
+
+  if (!userIds.includes(userId)) {
+    throw new CustomError('assigned_to must be one of your organization\'s users', 400);
+  }
+};
+
+/**
+ * Get the tenant columns for a task about a person
+ * @param {UUID} personId - Person the task is about
+ * @param {Object} scope - Tenant scope
+ * @returns {Promise<Object>} { organization_id, location_id }
+ * @throws {CustomError} 404 if the person is not found in the scope
+ */
+const getPersonTenantColumns = async (personId, scope) => {
+  const person = await personModel.getPersonTenant(personId);
+
+  if (!person || !isInScope(person, scope)) {
+    throw new CustomError(`Person with ID ${personId} not found`, 404);
+  }
+
+  return getTenantColumns(person);
+};
+
+/**
+ * Create a task
+ * A task about a person goes in the person's organization and location;
+ * other tasks go in the scope's.
+ * @param {Object} taskData - Task fields (see taskModel.taskFields); assigned_to defaults to the creator
+ * @param {Object} user - User creating the task
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object>} Created task
+ * @throws {CustomError} 404 if the person isn't in the scope, 400 if the assignee isn't in the organization
+ */
+const createTask = async (taskData, user, scope) => {
+  const task = {
+    priority: 'normal',
+    interaction_type: 'call',
+    recurrence_interval: 1,
+    ...taskData,
+    assigned_to: taskData.assigned_to || user.id,
+    status: 'open',
+    created_by: user.id
+  };
+
+  await checkAssignee(task.assigned_to, scope);
+
+  const tenant = task.person_id
+    ? await getPersonTenantColumns(task.person_id, scope)
+    : stampRecord({ location_id: task.location_id }, scope);
+
+  return taskModel.createTask({ ...task, ...tenant });
+};
+
+/**
+ * Update a task
+ * @param {Object} task - Task as stored
+ * @param {Object} changes - Fields to change
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object>} Updated task
+ * @throws {CustomError} 404 if a new person isn't in the scope, 400 if a new assignee isn't in the organization
+ */
+const updateTask = async (task, changes, scope) => {
+  const update = { ...changes };
+
+  if (update.assigned_to && update.assigned_to !== task.assigned_to) {
+    await checkAssignee(update.assigned_to, scope);
+  }
+
+  if (update.person_id && update.person_id !== task.person_id) {
+    Object.assign(update, await getPersonTenantColumns(update.person_id, scope));
+  }
+
+  return taskModel.updateTask(task.id, update, scope);
+};
+
+/**
+ * Complete a task
+ * A task about a person logs an interaction of the task's interaction_type
+ * on their record, with the notes given. A repeating task schedules the next
+ * task in the series, assigned to the same user.
+ * @param {Object} task - Open task
+ * @param {Object} options - Completion details
+ * @param {Object} options.user - User completing the task
+ * @param {string} [options.notes] - What happened, for the interaction
+ * @param {Date} [options.now] - Current time
+ * @param {Object} scope - Tenant scope (see utils/tenancy.js)
+ * @returns {Promise<Object>} { task, interaction, next_task }
+ * @throws {CustomError} 409 if the task isn't open
+ */
+const completeTask = async (task, { user, notes, now = new Date() }, scope) => {
+  const completed = await taskModel.claimCompletion(task.id, {
+    completed_at: now.toISOString(),
+    completed_by: user.id
+  });
+
+  if (!completed) {
+    throw new CustomError('This task is no longer open', 409);
+  }
+
+  let interaction = null;
+
+  if (task.person_id) {
+    try {
+      interaction = await interactionModel.createInteraction({
+        person_id: task.person_id,
+        user_id: user.id,
+        interaction_type: task.interaction_type || 'call',
+        subject: task.title,
+        content: notes || task.description || task.title,
+        status: 'completed',
+        completed_at: now.toISOString()
+      }, scope);
+    } catch (error) {
+      // Leave the task open so it can be completed again
+      await taskModel.updateTask(task.id, { status: 'open', completed_at: null, completed_by: null });
+      throw error;
+    }
+  }
+
+  const finished = interaction
+    ? await taskModel.updateTask(task.id, { interaction_id: interaction.id })
+    : completed;
+
+  const nextDueAt = getNextDueAt(task, now);
+  let nextTask = null;
+
+  if (nextDueAt) {
+    nextTask = await taskModel.createTask({
+      organization_id: task.organization_id,
+      location_id: task.location_id,
+      person_id: task.person_id,
+      title: task.title,
+      description: task.description,
+      due_at: nextDueAt.toISOString(),
+      priority: task.priority,
+      assigned_to: task.assigned_to,
+      interaction_type: task.interaction_type,
+      recurrence: task.recurrence,
+      recurrence_interval: task.recurrence_interval,
+      recurrence_ends_at: task.recurrence_ends_at,
+      series_id: task.series_id || task.id,
+      status: 'open',
+      created_by: task.created_by
+    });
+  }
+
+  return { task: finished, interaction, next_task: nextTask };
+};
+
+module.exports = {
+  VIEWS,
+  getViewFilters,
+  getNextDueAt,
+  canManage,
+  createTask,
+  updateTask,
+  completeTask
+};
@@ -0,0 +1,179 @@
+/**
+ * Tenancy Utility
+ *
+ * Each organization's records are kept apart, and so are each location's
+ * within it. Persons, messages, interactions, text blasts and referral links
+ * carry an organization_id and a location_id. A tenant scope says which of
+ * them a request may reach:
+ *
+ *   { organizationId, locationId, locationIds }
+ *
+ * locationId is the location being worked in, or null for all of the
+ * organization's locations (locationIds). authMiddleware.protect resolves the
+ * scope for each request as req.tenant, and models take it as their last
+ * argument. Jobs and webhooks that act on a record they have already found
+ * pass no scope.
+ */
+
+const locationModel = require('../models/locationModel');
+const { CustomError } = require('./errorHandler');
+
+/**
+ * Resolve a user's tenant scope
+ * A user assigned to a location always works in it. Other users may pick any
+ * of their organization's active locations, or none to work across all of them.
+ * @param {Object} user - User record
+ * @param {UUID} requestedLocationId - Location picked in the location switcher, if any
+ * @returns {Promise<Object>} { organizationId, locationId, locationIds }
+ * @throws {CustomError} 403 if the user has no organization or may not work in the location
+ */
+const resolveTenant = async (user, requestedLocationId = null) => {
+  if (!user.organization_id) {
+    throw new CustomError('Your account does not belong to an organization', 403);
+  }
+
+  if (user.location_id) {
+    if (requestedLocationId && requestedLocationId !== user.location_id) {
+      throw new CustomError('You do not have access to this location', 403);
+    }
+
+    return {
+      organizationId: user.organization_id,
+      locationId: user.location_id,
+      locationIds: [user.location_id]
+    };
+  }
+
+  const locations = await locationModel.getLocations(user.organization_id);
+  const locationIds = locations.map(location => location.id);
+
+  if (requestedLocationId && !locationIds.includes(requestedLocationId)) {
+    throw new CustomError('You do not have access to this location', 403);
+  }
+
+  return {
+    organizationId: user.organization_id,
+    locationId: requestedLocationId || null,
+    locationIds
+  };
+};
+
+/**
+ * Limit a Supabase query to a tenant scope
+ * @param {Object} query - Supabase query on a table with tenant columns
+ * @param {Object} scope - Tenant scope; without one the query is returned unchanged
+ * @returns {Object} Scoped query
+ */
+const applyScope = (query, scope) => {
+  if (!scope) {
+    return query;
+  }
+
+  let scoped = query.eq('organization_id', scope.organizationId);
+
+  if (scope.locationId) {
+    scoped = scoped.eq('location_id', scope.locationId);
+  }
+
+  return scoped;
+};
+
+/**
+ * Stamp a new record with a tenant scope
+ * Working in a location stamps that location. Working across the organization
+ * keeps a location the record names, if it is one of the organization's.
+ * @param {Object} record - Record to insert
+ * @param {Object} scope - Tenant scope; without one the record is returned unchanged
+ * @returns {Object} Stamped record
+ */
+const stampRecord = (record, scope) => {
+  if (!scope) {
+    return record;
+  }
+
+  const requestedLocationId = record.location_id;
+
+  return {
+    ...record,
+    organization_id: scope.organizationId,
+    location_id: scope.locationId
+      || ((scope.locationIds || []).includes(requestedLocationId) ? requestedLocationId : null)
+  };
+};
+
+/**
+ * Remove tenant changes a scope may not make from an update
+ * A record never changes organization. It may move to another location only
+ * when working across the organization, and only to one of its locations.
+ * @param {Object} changes - Fields to update
+ * @param {Object} scope - Tenant scope; without one the changes are returned unchanged
+ * @returns {Object} Allowed changes
+ */
+const restrictChanges = (changes, scope) => {
+  if (!scope) {
+    return changes;
+  }
+
+  const { organization_id: organizationId, location_id: locationId, ...allowed } = changes;
+
+  if (locationId !== undefined && !scope.locationId && (scope.locationIds || []).includes(locationId)) {
+    allowed.location_id = locationId;
+  }
+
+  return allowed;
+};
+
+/**
+ * Get a record's tenant columns, to stamp records created from it
+ * (a message to a person inherits the person's organization and location)
+ * @param {Object} record - Record with tenant columns
+ * @returns {Object} { organization_id, location_id }
+ */
+const getTenantColumns = (record) => ({
+  organization_id: record.organization_id,
+  location_id: record.location_id || null
+});
+
+/**
+ * Get the tenant scope of a record, for work done on its behalf outside a
+ * request (the scheduler sending a text blast only reaches the blast's tenant)
+ * @param {Object} record - Record with tenant columns
+ * @returns {Object|null} Tenant scope, or null if the record has no organization
+ */
+const getRecordScope = (record) => {
+  if (!record || !record.organization_id) {
+    return null;
+  }
+
+  return {
+    organizationId: record.organization_id,
+    locationId: record.location_id || null,
+    locationIds: record.location_id ? [record.location_id] : []
+  };
+};
+
+/**
+ * Check whether a record loaded without a scope falls within one
+ * @param {Object} record - Record with tenant columns
+ * @param {Object} scope - Tenant scope
+ * @returns {boolean} True if the scope may reach the record
+ */
+const isInScope = (record, scope) => {
+  if (!scope) {
+    return true;
+  }
+
+  return Boolean(record)
+    && record.organization_id === scope.organizationId
+    && (!scope.locationId || record.location_id === scope.locationId);
+};
+
+module.exports = {
+  resolveTenant,
+  applyScope,
+  stampRecord,
+  restrictChanges,
+  getTenantColumns,
+  getRecordScope,
+  isInScope
+};
@@ -367,6 +367,7 @@ const generateTestReferral = (assignedTo, overrides = {}) => {
 
 /**
  * Generate a complete test dataset with users, persons, leads, referrals, etc.
+ * Everything belongs to one organization with a single location.
  * @param {Number} counts - Object with counts for each entity type
  * @returns {Object} - Complete test dataset
  */
@@ -377,9 +378,26 @@ const generateTestDataset = (counts = {
   interactionsPerPerson: 3,
   messagesPerPerson: 3
 }) => {
+  // Create the organization and its location
+  const organization = {
+    id: uuidv4(),
+    name: 'ORCA Test Gym',
+    plan_tier: 'starter'
+  };
+  
+  const location = {
+    id: uuidv4(),
+    organization_id: organization.id,
+    name: 'Main',
+    timezone: 'America/New_York'
+  };
+  
+  const tenant = { organization_id: organization.id, location_id: location.id };
+  
   // Create users
   const users = Array.from({ length: counts.users }, (_, i) => ({
     id: uuidv4(),
+    organization_id: organization.id,
     email: `user${i + 1}@example.com`,
     password: '$2a$10$HA1mSVKDYdJhBhBNA1YVj.OXLfz/JxE5V6QEItKkC2X1HtF2I2c1e', // hashed 'password123'
     first_name: ['Sarah', 'Michael'][i],
@@ -401,12 +419,12 @@ const generateTestDataset = (counts = {
   
   // Create leads
   const leads = Array.from({ length: counts.leads }, () => 
-    generateTestLead(users[Math.floor(Math.random() * users.length)].id)
+    generateTestLead(users[Math.floor(Math.random() * users.length)].id, { person: tenant })
   );
   
   // Create referrals
   const referrals = Array.from({ length: counts.referrals }, () => 
-    generateTestReferral(users[Math.floor(Math.random() * users.length)].id)
+    generateTestReferral(users[Math.floor(Math.random() * users.length)].id, { person: tenant })
   );
   
   // Combine all persons
@@ -417,7 +435,8 @@ const generateTestDataset = (counts = {
     Array.from({ length: counts.interactionsPerPerson }, () => 
       generateInteraction(
         person.id, 
-        users[Math.floor(Math.random() * users.length)].id
+        users[Math.floor(Math.random() * users.length)].id,
+        tenant
       )
     )
   );
@@ -427,12 +446,15 @@ const generateTestDataset = (counts = {
     Array.from({ length: counts.messagesPerPerson }, () => 
       generateMessage(
         users[Math.floor(Math.random() * users.length)].id,
-        person.id
+        person.id,
+        tenant
       )
     )
   );
   
   return {
+    organization,
+    location,
     users,
     persons,
     leads,
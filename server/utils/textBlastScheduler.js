@@ -0,0 +1,158 @@
+/**
+ * Text Blast Scheduler for ORCA Lead Management
+ *
+ * This module dispatches text blasts that were saved with a `scheduled_for` time.
+ * It provides functionality to:
+ * - Find due blasts and send them through the same per-recipient path as immediate blasts
+ * - Move blasts through the scheduled -> processing -> completed/failed states
+ * - Resume blasts left in processing by a restart without texting anyone twice
+ *
+ * All state lives on the text_blasts row, so nothing is lost when the server restarts.
+ */
+
+const cron = require('node-cron');
+const dotenv = require('dotenv');
+const messageModel = require('../models/messageModel');
+const messagingController = require('../controllers/messagingController');
+
+dotenv.config();
+
+// Configuration for the text blast scheduler
+const config = {
+  // Default: every minute
+  schedule: process.env.TEXT_BLAST_SCHEDULE || '* * * * *',
+  // Maximum number of blasts picked up per run
+  batchSize: parseInt(process.env.TEXT_BLAST_BATCH_SIZE || '10', 10),
+  // A blast whose heartbeat is older than this is assumed to belong to a crashed worker
+  staleAfterMinutes: parseInt(process.env.TEXT_BLAST_STALE_MINUTES || '15', 10)
+};
+
+// Guards against overlapping runs within this process
+let isRunning = false;
+let scheduledTask = null;
+
+/**
+ * Claim and send a single blast
+ * @param {Object} textBlast - Text blast record in 'scheduled' or stale 'processing' state
+ * @returns {Promise<Object|null>} Processing result, or null if another worker claimed the blast
+ */
+const dispatchTextBlast = async (textBlast) => {
+  const claimed = await messageModel.claimTextBlast(textBlast);
+
+  if (!claimed) {
+    return null;
+  }
+
+  try {
+    const recipients = await messagingController._resolveBlastRecipients(claimed);
+
+    if (recipients.length === 0) {
+      await messageModel.updateTextBlastStatus(claimed.id, 'failed', 0, {
+        last_error: 'No valid recipients found'
+      });
+      return { status: 'failed', sentCount: 0, failedCount: 0 };
+    }
+
+    return await messagingController._processTextBlast(claimed, recipients);
+  } catch (error) {
+    console.error(`Scheduled text blast ${claimed.id} failed:`, error);
+    await messageModel.updateTextBlastStatus(claimed.id, 'failed', claimed.sent_count || 0, {
+      last_error: error.message
+    });
+    return { status: 'failed', sentCount: claimed.sent_count || 0, failedCount: 0 };
+  }
+};
+
+/**
+ * Send every blast that is due, and resume blasts abandoned mid-send
+ * @param {Date} now - Current time (injectable for testing)
+ * @returns {Promise<Object>} Summary of the run
+ */
+const processDueTextBlasts = async (now = new Date()) => {
+  if (isRunning) {
+    return { skipped: true, processed: 0 };
+  }
+
+  isRunning = true;
+
+  try {
+    const pagination = { page: 0, pageSize: config.batchSize };
+    const staleBefore = new Date(now.getTime() - config.staleAfterMinutes * 60000);
+
+    const dueBlasts = await messageModel.getAllTextBlasts({
+      status: 'scheduled',
+      scheduledBefore: now.toISOString()
+    }, pagination);
+
+    const staleBlasts = await messageModel.getAllTextBlasts({
+      status: 'processing',
+      startedBefore: staleBefore.toISOString()
+    }, pagination);
+
+    const results = [];
+
+    for (const textBlast of [...(staleBlasts || []), ...(dueBlasts || [])]) {
+      try {
+        const result = await dispatchTextBlast(textBlast);
+
+        if (result) {
+          results.push({ id: textBlast.id, ...result });
+        }
+      } catch (error) {
+        console.error(`Error dispatching text blast ${textBlast.id}:`, error);
+      }
+    }
+
+    return {
+      skipped: false,
+      processed: results.length,
+      results
+    };
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Schedule the recurring text blast dispatcher
+ *
+ * Also runs once immediately so blasts that fell due while the server was down
+ * go out on startup.
+ */
+const scheduleTextBlastDispatcher = () => {
+  console.log(`Scheduling text blast dispatcher: ${config.schedule}`);
+
+  const run = async () => {
+    try {
+      const summary = await processDueTextBlasts();
+
+      if (summary.processed > 0) {
+        console.log(`Dispatched ${summary.processed} scheduled text blast(s)`);
+      }
+    } catch (error) {
+      console.error('Scheduled text blast dispatch failed:', error);
+    }
+  };
+
+  scheduledTask = cron.schedule(config.schedule, run);
+  run();
+
+  return scheduledTask;
+};
+
+/**
+ * Stop the recurring text blast dispatcher
+ */
+const stopTextBlastDispatcher = () => {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+  }
+};
+
+module.exports = {
+  processDueTextBlasts,
+  dispatchTextBlast,
+  scheduleTextBlastDispatcher,
+  stopTextBlastDispatcher
+};
@@ -0,0 +1,93 @@
+/**
+ * Token Encryption Utility
+ *
+ * Encrypts OAuth tokens before they are stored, using AES-256-GCM with the key
+ * in TOKEN_ENCRYPTION_KEY (32 bytes, base64 or hex encoded). Generate one with:
+ *
+ *   node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ *
+ * Encrypted values look like `v1:<iv>:<auth tag>:<ciphertext>` (base64 parts),
+ * so the format can change later without breaking stored values.
+ */
+
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Read the encryption key from the environment
+ * @returns {Buffer} 32 byte key
+ */
+const getKey = () => {
+  const encoded = process.env.TOKEN_ENCRYPTION_KEY;
+
+  if (!encoded) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not set');
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(encoded)
+    ? Buffer.from(encoded, 'hex')
+    : Buffer.from(encoded, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('TOKEN_ENCRYPTION_KEY must be 32 bytes, base64 or hex encoded');
+  }
+
+  return key;
+};
+
+/**
+ * Encrypt a value for storage
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string|null} Encrypted value, or null for an empty value
+ */
+const encrypt = (plaintext) => {
+  if (plaintext === null || plaintext === undefined || plaintext === '') {
+    return null;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [
+    VERSION,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+};
+
+/**
+ * Decrypt a stored value
+ * @param {string} encrypted - Value returned by encrypt()
+ * @returns {string|null} Decrypted value, or null for an empty value
+ */
+const decrypt = (encrypted) => {
+  if (!encrypted) {
+    return null;
+  }
+
+  const [version, iv, authTag, ciphertext] = encrypted.split(':');
+
+  if (version !== VERSION || !iv || !authTag || !ciphertext) {
+    throw new Error('Unrecognized encrypted token format');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -283,6 +283,219 @@ exports.validateRelationship = (relationshipData, isUpdate = false) => {
   };
 };
 
+/**
+ * Validate a membership plan object
+ * @param {Object} planData - Membership plan data to validate
+ * @param {Boolean} isUpdate - Whether this is an update (some fields optional)
+ * @returns {Object} Validation result with isValid flag and errors
+ */
+exports.validateMembershipPlan = (planData, isUpdate = false) => {
+  const errors = [];
+  const isAmount = value => value !== null && value !== '' && !isNaN(Number(value)) && Number(value) >= 0;
+  
+  // Name validation (required unless update)
+  if (!isUpdate || planData.name !== undefined) {
+    if (!planData.name || !String(planData.name).trim()) {
+      errors.push('Plan name is required');
+    }
+  }
+  
+  // Monthly price validation (required unless update)
+  if (!isUpdate || planData.monthly_price !== undefined) {
+    if (!isAmount(planData.monthly_price)) {
+      errors.push('Monthly price must be a number of 0 or more');
+    }
+  }
+  
+  // Billing interval validation (if provided)
+  if (planData.billing_interval !== undefined && !['month', 'quarter', 'year'].includes(planData.billing_interval)) {
+    errors.push('Billing interval must be one of: month, quarter, year');
+  }
+  
+  // Trial days validation (if provided)
+  if (planData.trial_days !== undefined &&
+      (!Number.isInteger(Number(planData.trial_days)) || Number(planData.trial_days) < 0 || planData.trial_days === '')) {
+    errors.push('Trial days must be a whole number of 0 or more');
+  }
+  
+  // Enrollment fee validation (if provided)
+  if (planData.enrollment_fee !== undefined && !isAmount(planData.enrollment_fee)) {
+    errors.push('Enrollment fee must be a number of 0 or more');
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Validate a referral incentive rule
+ * On update, pass the rule as it will be saved (the stored rule with the
+ * changes applied), so checks that span fields see both.
+ * @param {Object} ruleData - Incentive rule data to validate
+ * @param {Boolean} isUpdate - Whether this is an update (some fields optional)
+ * @returns {Object} Validation result with isValid flag and errors
+ */
+exports.validateIncentiveRule = (ruleData, isUpdate = false) => {
+  const errors = [];
+  const isAmount = value => value !== null && value !== '' && !isNaN(Number(value)) && Number(value) >= 0;
+  
+  // Name validation (required unless update)
+  if (!isUpdate || ruleData.name !== undefined) {
+    if (!ruleData.name || !String(ruleData.name).trim()) {
+      errors.push('Rule name is required');
+    }
+  }
+  
+  // Trigger validation (if provided)
+  if (ruleData.trigger !== undefined && !['conversion', 'milestone'].includes(ruleData.trigger)) {
+    errors.push('Trigger must be one of: conversion, milestone');
+  }
+  
+  // Milestones need a number of referrals to reach
+  if (ruleData.trigger === 'milestone' || (ruleData.referral_threshold !== undefined && ruleData.referral_threshold !== null)) {
+    const threshold = Number(ruleData.referral_threshold);
+    
+    if (!Number.isInteger(threshold) || threshold < 1 || ruleData.referral_threshold === '') {
+      errors.push('Referral threshold must be a whole number of 1 or more');
+    }
+  }
+  
+  // Reward type validation (if provided)
+  if (ruleData.reward_type !== undefined && !['credit', 'free_month', 'cash', 'gift'].includes(ruleData.reward_type)) {
+    errors.push('Reward type must be one of: credit, free_month, cash, gift');
+  }
+  
+  // Reward amount validation (required unless update)
+  if (!isUpdate || ruleData.reward_amount !== undefined) {
+    if (!isAmount(ruleData.reward_amount)) {
+      errors.push('Reward amount must be a number of 0 or more');
+    }
+  }
+  
+  // Tiers validation (if provided)
+  if (ruleData.tiers !== undefined) {
+    if (!Array.isArray(ruleData.tiers)) {
+      errors.push('Tiers must be a list');
+    } else if (ruleData.tiers.some(tier => !tier || !Number.isInteger(Number(tier.min_referrals)) ||
+        Number(tier.min_referrals) < 1 || !isAmount(tier.reward_amount))) {
+      errors.push('Each tier needs min_referrals of 1 or more and a reward_amount of 0 or more');
+    } else if (new Set(ruleData.tiers.map(tier => Number(tier.min_referrals))).size !== ruleData.tiers.length) {
+      errors.push('Tiers must each have a different min_referrals');
+    }
+  }
+  
+  // Time box validation (if provided)
+  ['starts_at', 'ends_at'].forEach((field) => {
+    if (ruleData[field] && isNaN(new Date(ruleData[field]).getTime())) {
+      errors.push(`${field} must be a valid date`);
+    }
+  });
+  
+  if (ruleData.starts_at && ruleData.ends_at &&
+      new Date(ruleData.starts_at).getTime() >= new Date(ruleData.ends_at).getTime()) {
+    errors.push('starts_at must be before ends_at');
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Validate a task
+ * On update, pass the task as it will be saved (the stored task with the
+ * changes applied), so checks that span fields see both.
+ * @param {Object} taskData - Task data to validate
+ * @param {Boolean} isUpdate - Whether this is an update (some fields optional)
+ * @returns {Object} Validation result with isValid flag and errors
+ */
+exports.validateTask = (taskData, isUpdate = false) => {
+  const errors = [];
+  
+  // Title validation (required unless update)
+  if (!isUpdate || taskData.title !== undefined) {
+    if (!taskData.title || !String(taskData.title).trim()) {
+      errors.push('Title is required');
+    }
+  }
+  
+  // Due date validation (required unless update)
+  if (!isUpdate || taskData.due_at !== undefined) {
+    if (!isValidDate(taskData.due_at)) {
+      errors.push('Due date must be a valid date');
+    }
+  }
+  
+  // Priority validation (if provided)
+  if (taskData.priority !== undefined && !['low', 'normal', 'high', 'urgent'].includes(taskData.priority)) {
+    errors.push('Priority must be one of: low, normal, high, urgent');
+  }
+  
+  // ID validations (if provided)
+  if (taskData.assigned_to !== undefined && !isValidUUID(taskData.assigned_to)) {
+    errors.push('Invalid assignee ID format');
+  }
+  
+  if (taskData.person_id && !isValidUUID(taskData.person_id)) {
+    errors.push('Invalid Person ID format');
+  }
+  
+  // Interaction type validation (if provided)
+  if (taskData.interaction_type !== undefined && !isValidInteractionType(taskData.interaction_type)) {
+    errors.push('Invalid interaction type');
+  }
+  
+  // Recurrence validation (if provided)
+  if (taskData.recurrence && !['daily', 'weekly', 'monthly'].includes(taskData.recurrence)) {
+    errors.push('Recurrence must be one of: daily, weekly, monthly');
+  }
+  
+  if (taskData.recurrence_interval !== undefined) {
+    const interval = Number(taskData.recurrence_interval);
+    
+    if (!Number.isInteger(interval) || interval < 1 || taskData.recurrence_interval === '') {
+      errors.push('Recurrence interval must be a whole number of 1 or more');
+    }
+  }
+  
+  if (taskData.recurrence_ends_at) {
+    if (!isValidDate(taskData.recurrence_ends_at)) {
+      errors.push('Recurrence end must be a valid date');
+    } else if (isValidDate(taskData.due_at) &&
+        new Date(taskData.recurrence_ends_at).getTime() < new Date(taskData.due_at).getTime()) {
+      errors.push('Recurrence end must be on or after the due date');
+    }
+  }
+  
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * Normalize a phone number to E.164
+ * Ten-digit numbers are assumed to be US numbers.
+ * @param {String} phone - Phone number as entered
+ * @returns {String|null} Phone number in E.164 format
+ */
+exports.normalizePhone = (phone) => {
+  if (!phone) {
+    return null;
+  }
+  
+  const digits = phone.replace(/\D/g, '');
+  
+  if (digits.length === 10) {
+    return `+1${digits}`;
+  }
+  
+  return `+${digits}`;
+};
+
 // Helper functions
 
 /**